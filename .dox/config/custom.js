@@ -1,22 +1,9 @@
 document.addEventListener("DOMContentLoaded", () => {
-  waitForNavTree();
+  // without a navigation tree (treeview off, or navtree.js failing) the
+  // header still comes, only the links to the top sections are missing
+  fpxOnNavTreeReady((navTree) => injectVitePressHeader(navTree));
 });
 
-function waitForNavTree() {
-  const interval = setInterval(() => {
-    const navTree = document.getElementById("nav-tree");
-
-    if (!navTree) return;
-
-    const items = navTree.querySelectorAll(".item");
-    if (items.length === 0) return;
-
-    clearInterval(interval);
-
-    injectVitePressHeader(navTree);
-  }, 100);
-}
-
 function injectVitePressHeader(navTree) {
   if (document.getElementById("vp-header")) return;
 
@@ -40,7 +27,7 @@ function injectVitePressHeader(navTree) {
             <div id="MSearchBox" class="MSearchBoxInactive">
         <span class="left">
           <span id="MSearchSelect" class="search-icon" onmouseover="return searchBox.OnSearchSelectShow()" onmouseout="return searchBox.OnSearchSelectHide()" tabindex="0"><span class="search-icon-dropdown"></span></span>
-          <input type="text" id="MSearchField" value="" placeholder="Search" accesskey="S" onfocus="searchBox.OnSearchFieldFocus(true)" onblur="searchBox.OnSearchFieldFocus(false)" onkeyup="searchBox.OnSearchFieldChange(event)">
+          <input type="text" id="MSearchField" value="" placeholder="Search" accesskey="S" onfocus="searchBox.OnSearchFieldFocus(true)" onblur="searchBox.OnSearchFieldFocus(false)" onkeydown="return fpxSearchFieldKey(event)" onkeyup="searchBox.OnSearchFieldChange(event)">
           </span><span class="right">
             <a id="MSearchClose" href="javascript:searchBox.CloseResultsWindow()" style="display: none;"><div id="MSearchCloseImg" class="close-icon"></div></a>
           </span>
@@ -50,7 +37,6 @@ function injectVitePressHeader(navTree) {
     <nav class="vp-nav" id="vp-nav"></nav>
 
     <div class="vp-right">
-    <doxygen-awesome-dark-mode-toggle title="Toggle Light/Dark Mode"><svg xmlns="http://www.w3.org/2000/svg" enable-background="new 0 0 24 24" height="24px" viewBox="0 0 24 24" width="24px" fill="#FE9700"><rect fill="none" height="24" width="24"></rect><path d="M9.37,5.51C9.19,6.15,9.1,6.82,9.1,7.5c0,4.08,3.32,7.4,7.4,7.4c0.68,0,1.35-0.09,1.99-0.27 C17.45,17.19,14.93,19,12,19c-3.86,0-7-3.14-7-7C5,9.07,6.81,6.55,9.37,5.51z" opacity=".3"></path><path d="M9.37,5.51C9.19,6.15,9.1,6.82,9.1,7.5c0,4.08,3.32,7.4,7.4,7.4c0.68,0,1.35-0.09,1.99-0.27C17.45,17.19,14.93,19,12,19 c-3.86,0-7-3.14-7-7C5,9.07,6.81,6.55,9.37,5.51z M12,3c-4.97,0-9,4.03-9,9s4.03,9,9,9s9-4.03,9-9c0-0.46-0.04-0.92-0.1-1.36 c-0.98,1.37-2.58,2.26-4.4,2.26c-2.98,0-5.4-2.42-5.4-5.4c0-1.81,0.89-3.42,2.26-4.4C12.92,3.04,12.46,3,12,3L12,3z"></path></svg></doxygen-awesome-dark-mode-toggle>
       ${
       githubUrl
         ? `<a id="vp-github" class="vp-icon-button" href="${githubUrl}" target="_blank" rel="noopener">
@@ -71,17 +57,16 @@ function injectVitePressHeader(navTree) {
   `;
 
   document.body.prepend(header);
+  FpxTheme.mountToggle(header.querySelector(".vp-right"));
 
   buildTopNavigation(navTree);
   setupSidebarToggle();
-  injectResizeHandle();
-  restoreSidebarWidth();
-  initSidebarResize();
+  setupMobileDrawer();
 }
 
 function buildTopNavigation(navTree) {
   const nav = document.getElementById("vp-nav");
-  if (!nav) return;
+  if (!nav || !navTree) return;
 
   const seen = new Set();
 
@@ -108,11 +93,240 @@ function buildTopNavigation(navTree) {
       a.href = href;
       a.textContent = text;
 
-      nav.appendChild(a);
+      // STEP 2: entries with a subtree script (pages.js, topics.js, files.js) get a dropdown
+      const node = findTopNavNode(href);
+      if (node && typeof node[2] === "string") {
+        nav.appendChild(createNavMenu(a, node, seen.size));
+      } else {
+        nav.appendChild(a);
+      }
+    });
+  });
+
+  // one menu open at a time, closed by a click elsewhere
+  document.addEventListener("click", (e) => {
+    nav.querySelectorAll(".vp-nav-menu.open").forEach((menu) => {
+      if (!menu.contains(e.target)) closeNavMenu(menu, false);
     });
   });
 }
 
+// NAVTREE node of a top navigation link, e.g. ["API", "topics.html", "topics"]
+function findTopNavNode(href) {
+  if (typeof NAVTREE === "undefined") return null;
+
+  const page = href.split("/").pop();
+  return (NAVTREE[0][2] || []).find((node) => node[1] === page) || null;
+}
+
+function createNavMenu(link, node, index) {
+  const menu = document.createElement("div");
+  menu.className = "vp-nav-menu";
+
+  const toggle = document.createElement("button");
+  toggle.type = "button";
+  toggle.className = "vp-nav-toggle";
+  toggle.setAttribute("aria-expanded", "false");
+  toggle.setAttribute("aria-controls", "vp-nav-panel-" + index);
+  toggle.setAttribute("aria-label", link.textContent + " menu");
+  toggle.innerHTML = `<svg viewBox="0 0 24 24" aria-hidden="true"><path fill="currentColor" d="M7 10l5 5 5-5z"/></svg>`;
+
+  const panel = document.createElement("div");
+  panel.id = "vp-nav-panel-" + index;
+  panel.className = "vp-nav-panel";
+  panel.hidden = true;
+
+  menu.append(link, toggle, panel);
+
+  let hoverTimer = null;
+  menu.addEventListener("mouseenter", () => {
+    clearTimeout(hoverTimer);
+    hoverTimer = setTimeout(() => openNavMenu(menu, node, false), 150);
+  });
+  menu.addEventListener("mouseleave", () => {
+    clearTimeout(hoverTimer);
+    hoverTimer = setTimeout(() => closeNavMenu(menu, false), 250);
+  });
+
+  toggle.addEventListener("click", () => {
+    if (menu.classList.contains("open")) closeNavMenu(menu, false);
+    else openNavMenu(menu, node, false);
+  });
+
+  toggle.addEventListener("keydown", (e) => {
+    if (e.key === "ArrowDown") {
+      e.preventDefault();
+      openNavMenu(menu, node, true);
+    } else if (e.key === "Escape") {
+      closeNavMenu(menu, true);
+    }
+  });
+  link.addEventListener("keydown", (e) => {
+    if (e.key === "ArrowDown") {
+      e.preventDefault();
+      openNavMenu(menu, node, true);
+    }
+  });
+
+  panel.addEventListener("keydown", (e) => onNavPanelKey(e, menu));
+
+  // leaving the menu with Tab closes it
+  menu.addEventListener("focusout", (e) => {
+    if (!menu.contains(e.relatedTarget)) closeNavMenu(menu, false);
+  });
+
+  return menu;
+}
+
+function openNavMenu(menu, node, focusFirst) {
+  const panel = menu.querySelector(".vp-nav-panel");
+  const toggle = menu.querySelector(".vp-nav-toggle");
+
+  document.querySelectorAll("#vp-nav .vp-nav-menu.open").forEach((other) => {
+    if (other !== menu) closeNavMenu(other, false);
+  });
+
+  menu.classList.add("open");
+  toggle.setAttribute("aria-expanded", "true");
+  panel.hidden = false;
+
+  const focus = () => {
+    if (focusFirst) panel.querySelector("a")?.focus();
+  };
+
+  if (panel.dataset.loaded) {
+    focus();
+    return;
+  }
+
+  panel.innerHTML = `<div class="vp-nav-loading">Loading...</div>`;
+  fillNavPanel(panel, node, () => {
+    panel.dataset.loaded = "true";
+    if (menu.classList.contains("open")) focus();
+  });
+}
+
+function closeNavMenu(menu, restoreFocus) {
+  if (!menu.classList.contains("open")) return;
+
+  menu.classList.remove("open");
+  menu.querySelector(".vp-nav-toggle").setAttribute("aria-expanded", "false");
+  menu.querySelector(".vp-nav-panel").hidden = true;
+
+  if (restoreFocus) menu.querySelector(".vp-nav-toggle").focus();
+}
+
+// Related pages written for the documentation, as opposed to the sections of a
+// page and the pages doxygen generates for groups, types, interfaces and files
+function isDocPage(url) {
+  return !!url && !url.includes("#") &&
+    !/^(group__|struct|interface|class|namespace|dir_)|_8[a-z0-9]+\.html$/.test(url);
+}
+
+// Pages with pages of their own (e.g. "J3 specifications") make a group of
+// their own, the other children are listed together under the name of the menu
+function fillNavPanel(panel, node, done) {
+  // menus are only made for the nodes with a subtree script (STEP 2)
+  fpxNavTreeLoad(node[2], () => {
+    const children = fpxNavTreeEntries(node);
+    let pending = children.length + 1;
+    const groups = new Map();
+
+    const finish = () => {
+      if (--pending > 0) return;
+
+      const general = [];
+      panel.innerHTML = "";
+      children.forEach((child) => {
+        const pages = (groups.get(child) || []).filter((grandChild) => isDocPage(grandChild[1]));
+        if (pages.length > 0) {
+          panel.appendChild(createNavGroup(child, pages));
+        } else {
+          general.push(child);
+        }
+      });
+      if (general.length > 0) {
+        const group = createNavGroup([node[0], node[1]], general);
+        group.classList.add("vp-nav-group-main");
+        panel.prepend(group);
+      }
+      done();
+    };
+
+    children.forEach((child) => {
+      if (!isDocPage(child[1])) {
+        finish();
+        return;
+      }
+      const collect = () => {
+        groups.set(child, fpxNavTreeEntries(child));
+        finish();
+      };
+      if (typeof child[2] === "string") fpxNavTreeLoad(child[2], collect);
+      else collect();
+    });
+    finish();
+  });
+}
+
+function createNavGroup(parent, items) {
+  const group = document.createElement("div");
+  group.className = "vp-nav-group";
+
+  const title = document.createElement("a");
+  title.className = "vp-nav-group-title";
+  title.href = parent[1];
+  title.innerHTML = parent[0];
+  group.appendChild(title);
+
+  const list = document.createElement("ul");
+  items.forEach((item) => {
+    const li = document.createElement("li");
+    const a = document.createElement("a");
+    a.href = item[1];
+    a.innerHTML = item[0];
+    li.appendChild(a);
+    list.appendChild(li);
+  });
+  group.appendChild(list);
+
+  return group;
+}
+
+// Arrow keys, Home and End move through the links of an open panel,
+// Escape closes it and goes back to its button
+function onNavPanelKey(e, menu) {
+  const links = Array.from(menu.querySelectorAll(".vp-nav-panel a"));
+  const index = links.indexOf(document.activeElement);
+  let target = null;
+
+  switch (e.key) {
+    case "ArrowDown":
+    case "ArrowRight":
+      target = links[(index + 1) % links.length];
+      break;
+    case "ArrowUp":
+    case "ArrowLeft":
+      target = links[(index - 1 + links.length) % links.length];
+      break;
+    case "Home":
+      target = links[0];
+      break;
+    case "End":
+      target = links[links.length - 1];
+      break;
+    case "Escape":
+      e.preventDefault();
+      closeNavMenu(menu, true);
+      return;
+    default:
+      return;
+  }
+
+  e.preventDefault();
+  target?.focus();
+}
+
 function extractLabel(item) {
   const label = item.querySelector(".label");
 
@@ -145,87 +359,154 @@ function getNodeDepth(li) {
   return depth;
 }
 
+// Below this width the sidebar is an off-canvas drawer, same breakpoint as
+// doxygen-awesome, which hides #side-nav altogether
+const mobileLayout = window.matchMedia("(max-width: 767px)");
+
 function setupSidebarToggle() {
   const btn = document.getElementById("vp-toggle-sidebar");
   const navTree = document.getElementById("nav-tree");
 
   if (!btn || !navTree) return;
 
+  btn.setAttribute("aria-controls", "side-nav");
+
   btn.addEventListener("click", () => {
-    const collapsed = document.body.classList.toggle("vp-sidebar-collapsed");
+    if (mobileLayout.matches) {
+      if (document.body.classList.contains("vp-drawer-open")) closeDrawer();
+      else openDrawer();
+      return;
+    }
 
-    localStorage.setItem("vp-sidebar-collapsed", collapsed);
+    // kept by fpx-layout.js, which restores it on load
+    FpxLayout.setCollapsed(!document.body.classList.contains("vp-sidebar-collapsed"));
   });
 
-  // restore state
-  if (localStorage.getItem("vp-sidebar-collapsed") === "true") {
-    document.body.classList.add("vp-sidebar-collapsed");
-  }
+  btn.setAttribute("aria-expanded", !mobileLayout.matches && !document.body.classList.contains("vp-sidebar-collapsed"));
 }
 
-function injectResizeHandle() {
-  const navTree = document.getElementById("nav-tree");
-  if (!navTree) return;
+let drawerLastFocus = null;
 
-  if (document.getElementById("vp-resizer")) return;
+function openDrawer() {
+  const sideNav = document.getElementById("side-nav");
+  if (!sideNav || document.body.classList.contains("vp-drawer-open")) return;
 
-  const handle = document.createElement("div");
-  handle.id = "vp-resizer";
+  drawerLastFocus = document.activeElement;
+  document.body.classList.add("vp-drawer-open");
+  sideNav.setAttribute("role", "dialog");
+  sideNav.setAttribute("aria-modal", "true");
+  sideNav.setAttribute("aria-label", "Navigation");
+  document.getElementById("vp-toggle-sidebar")?.setAttribute("aria-expanded", true);
 
-  navTree.appendChild(handle);
+  // the item of the tree reached with Tab (see fpx-navtree.js), the first link otherwise
+  const current = sideNav.querySelector("[role=treeitem][tabindex='0'], #selected a") || drawerFocusables(sideNav)[0];
+  current?.focus({ preventScroll: true });
 }
 
-function initSidebarResize() {
-  const handle = document.getElementById("vp-resizer");
-  const navTree = document.getElementById("nav-tree");
+function closeDrawer(restoreFocus = true) {
+  const sideNav = document.getElementById("side-nav");
+  if (!sideNav || !document.body.classList.contains("vp-drawer-open")) return;
 
-  if (!handle || !navTree) return;
+  document.body.classList.remove("vp-drawer-open");
+  sideNav.removeAttribute("role");
+  sideNav.removeAttribute("aria-modal");
+  sideNav.removeAttribute("aria-label");
+  document.getElementById("vp-toggle-sidebar")?.setAttribute("aria-expanded", false);
 
-  let isDragging = false;
+  if (restoreFocus && drawerLastFocus?.focus) drawerLastFocus.focus();
+  drawerLastFocus = null;
+}
 
-  handle.addEventListener("mousedown", (e) => {
-    isDragging = true;
-    e.preventDefault();
+function drawerFocusables(container) {
+  return Array.from(container.querySelectorAll("a[href]:not([tabindex='-1']), button, input, [tabindex]:not([tabindex='-1'])"))
+    .filter((el) => el.offsetWidth > 0 || el.offsetHeight > 0);
+}
 
-    document.body.classList.add("vp-resizing");
+function setupMobileDrawer() {
+  const sideNav = document.getElementById("side-nav");
+  if (!sideNav || document.getElementById("vp-drawer-backdrop")) return;
+
+  const backdrop = document.createElement("div");
+  backdrop.id = "vp-drawer-backdrop";
+  backdrop.className = "vp-drawer-backdrop";
+  backdrop.addEventListener("click", () => closeDrawer());
+  document.body.appendChild(backdrop);
+
+  // Escape closes, Tab cycles through the links of the drawer
+  document.addEventListener("keydown", (e) => {
+    if (!document.body.classList.contains("vp-drawer-open")) return;
+
+    if (e.key === "Escape") {
+      e.preventDefault();
+      closeDrawer();
+    } else if (e.key === "Tab") {
+      const focusables = drawerFocusables(sideNav);
+      if (focusables.length === 0) return;
+
+      const first = focusables[0];
+      const last = focusables[focusables.length - 1];
+      if (!sideNav.contains(document.activeElement)) {
+        e.preventDefault();
+        first.focus();
+      } else if (e.shiftKey && document.activeElement === first) {
+        e.preventDefault();
+        last.focus();
+      } else if (!e.shiftKey && document.activeElement === last) {
+        e.preventDefault();
+        first.focus();
+      }
+    }
   });
 
-  document.addEventListener("mousemove", (e) => {
-    if (!isDragging) return;
+  // following a link, even to an anchor of the same page, closes the drawer
+  sideNav.addEventListener("click", (e) => {
+    if (mobileLayout.matches && e.target.closest("a[href]")) closeDrawer(false);
+  });
 
-    const rect = navTree.getBoundingClientRect();
+  mobileLayout.addEventListener("change", () => {
+    if (!mobileLayout.matches) closeDrawer(false);
+    document.getElementById("vp-toggle-sidebar")?.setAttribute("aria-expanded",
+      !mobileLayout.matches && !document.body.classList.contains("vp-sidebar-collapsed"));
+  });
 
-    let newWidth = e.clientX - rect.left;
+  initDrawerSwipe(sideNav);
+}
 
-    const min = 180;
-    const max = 600;
+// Swiping right from the left edge of the screen opens the drawer,
+// swiping left on the drawer or its backdrop closes it
+function initDrawerSwipe(sideNav) {
+  const edge = 24;
+  const distance = 60;
+  let start = null;
 
-    if (newWidth < min) newWidth = min;
-    if (newWidth > max) newWidth = max;
+  document.addEventListener("touchstart", (e) => {
+    if (!mobileLayout.matches || e.touches.length !== 1) return;
 
-    document.documentElement.style.setProperty(
-      "--side-nav-fixed-width",
-      newWidth + "px"
-    );
+    const touch = e.touches[0];
+    const open = document.body.classList.contains("vp-drawer-open");
+    const onDrawer = sideNav.contains(e.target) || e.target.id === "vp-drawer-backdrop";
 
-    localStorage.setItem("vp-sidebar-width", newWidth);
-  });
+    start = (!open && touch.clientX <= edge) || (open && onDrawer)
+      ? { x: touch.clientX, y: touch.clientY, open: open }
+      : null;
+  }, { passive: true });
 
-  document.addEventListener("mouseup", () => {
-    if (!isDragging) return;
+  document.addEventListener("touchend", (e) => {
+    if (!start) return;
 
-    isDragging = false;
-    document.body.classList.remove("vp-resizing");
-  });
-}
+    const touch = e.changedTouches[0];
+    const dx = touch.clientX - start.x;
+    const dy = touch.clientY - start.y;
 
-function restoreSidebarWidth() {
-  const saved = localStorage.getItem("vp-sidebar-width");
+    if (Math.abs(dx) > distance && Math.abs(dx) > 2 * Math.abs(dy)) {
+      if (!start.open && dx > 0) openDrawer();
+      if (start.open && dx < 0) closeDrawer(false);
+    }
+    start = null;
+  }, { passive: true });
+
+  document.addEventListener("touchcancel", () => {
+    start = null;
+  }, { passive: true });
+}
 
-  if (saved) {
-    document.documentElement.style.setProperty(
-      "--side-nav-fixed-width",
-      saved + "px"
-    );
-  }
-}
\ No newline at end of file
@@ -0,0 +1,184 @@
+// fpx-lines.js - Selection of a range of lines in the source listings
+//
+// In a listing (*_8f90_source.html), each line is a div.line starting with its
+// anchor (a#l00120) and its span.lineno. A click on a line number selects the
+// line, a shift-click extends the selection from it, as on GitHub. The range
+// is kept in the hash as #l00120-l00145 (#l00120 for a single line), with
+// history.replaceState so that navtree.js does not handle it as a navigation,
+// and selected again on load and when the hash changes.
+//
+// The selected lines must be visible: the folds of dynsections.js (codefold)
+// holding them are opened. Next to the first selected line, two buttons copy
+// the link to the range and the text of its lines (FpxFragment.copyText, see
+// fpx-fragment.js).
+
+const FpxLines = {
+  pattern: /^#(l\d+)(?:-(l\d+))?$/,
+  lines: [], // div.line of the listing, in order
+  index: new Map(), // anchor id -> index in lines
+  anchor: null, // line of the last click, where a shift-click extends from
+  selection: null,
+  copiedDuration: 1200,
+
+  init() {
+    // the listing is the fragment with the line anchors, the others are left out
+    const first = Array.from(document.querySelectorAll(".fragment div.line > a[id]"))
+      .find((link) => /^l\d+$/.test(link.id));
+    if (!first) return;
+
+    this.fragment = first.closest(".fragment");
+    this.fragment.querySelectorAll("div.line > a[id]").forEach((link) => {
+      // the folded blocks repeat their first line (codefold.init)
+      if (!/^l\d+$/.test(link.id) || link.closest(".foldclosed")) return;
+      this.index.set(link.id, this.lines.length);
+      this.lines.push(link.parentNode);
+    });
+
+    this.fragment.classList.add("fpx-lines");
+    this.fragment.addEventListener("click", (evt) => this.onClick(evt));
+    window.addEventListener("hashchange", () => this.fromHash());
+  },
+
+  onClick(evt) {
+    // the number of a line declaring a documented symbol is a link to its
+    // documentation (span.lineno > a.line), a click on it selects the line
+    // too; the fold toggles and the links of the code keep their clicks
+    const lineno = evt.target.closest("span.lineno");
+    if (!lineno || evt.target.closest("span.fold")) return;
+
+    const id = lineno.parentNode.querySelector(":scope > a[id]")?.id;
+    if (!this.index.has(id)) return;
+
+    evt.preventDefault();
+    const index = this.index.get(id);
+    if (evt.shiftKey && this.anchor !== null) {
+      window.getSelection()?.removeAllRanges();
+      this.select(this.anchor, index);
+    } else {
+      this.anchor = index;
+      this.select(index, index);
+    }
+    history.replaceState(history.state, "", this.hash());
+  },
+
+  fromHash() {
+    const match = window.location.hash.match(this.pattern);
+    if (!match || !this.index.has(match[1]) || (match[2] && !this.index.has(match[2]))) {
+      this.clear();
+      return;
+    }
+
+    const first = this.index.get(match[1]);
+    this.anchor = first;
+    this.select(first, match[2] ? this.index.get(match[2]) : first);
+    this.lines[this.selection.start].scrollIntoView({ block: this.selection.start === this.selection.end ? "center" : "start" });
+  },
+
+  select(from, to) {
+    this.clear();
+    this.selection = { start: Math.min(from, to), end: Math.max(from, to) };
+
+    for (let i = this.selection.start; i <= this.selection.end; i++) {
+      this.expand(this.lines[i]);
+      this.lines[i].classList.add("fpx-line-selected");
+    }
+    this.lines[this.selection.start].classList.add("fpx-line-first");
+    this.lines[this.selection.end].classList.add("fpx-line-last");
+    this.showActions();
+  },
+
+  clear() {
+    if (!this.selection) return;
+
+    for (let i = this.selection.start; i <= this.selection.end; i++) {
+      this.lines[i].classList.remove("fpx-line-selected", "fpx-line-first", "fpx-line-last");
+    }
+    this.selection = null;
+    if (this.actions) this.actions.hidden = true;
+  },
+
+  // Opens the folds around `line`, the outermost first. After a "fold all"
+  // (codefold.toggle_all), everything is unfolded the same way, so that
+  // codefold.opened and the #fold_all button stay in step.
+  expand(line) {
+    if (typeof codefold === "undefined") return;
+
+    const folds = [];
+    for (let fold = line.closest(".foldopen"); fold; fold = fold.parentElement.closest(".foldopen")) {
+      if (fold.style.display === "none") folds.unshift(fold);
+    }
+    if (folds.length === 0) return;
+
+    if (!codefold.opened) {
+      codefold.toggle_all();
+      return;
+    }
+    folds.forEach((fold) => codefold.toggle(fold.id.replace("foldopen", "")));
+  },
+
+  hash() {
+    const start = this.lines[this.selection.start].querySelector(":scope > a[id]").id;
+    const end = this.lines[this.selection.end].querySelector(":scope > a[id]").id;
+    return "#" + start + (start === end ? "" : "-" + end);
+  },
+
+  text() {
+    const lines = [];
+    for (let i = this.selection.start; i <= this.selection.end; i++) {
+      const line = this.lines[i].cloneNode(true);
+      line.querySelectorAll(".lineno, .ttc").forEach((node) => node.remove());
+      lines.push(line.textContent.replace(/\u00a0/g, " ").replace(/\s+$/, ""));
+    }
+    return lines.join("\n");
+  },
+
+  createActions() {
+    this.actions = document.createElement("div");
+    this.actions.className = "fpx-lines-actions";
+    this.actions.innerHTML = `
+      <button type="button" class="fpx-lines-action" data-action="permalink">Copy permalink</button>
+      <button type="button" class="fpx-lines-action" data-action="lines">Copy lines</button>
+    `;
+    this.actions.addEventListener("click", (evt) => {
+      const button = evt.target.closest("[data-action]");
+      if (!button || !this.selection) return;
+
+      const text = button.dataset.action === "permalink"
+        ? window.location.href.split("#")[0] + this.hash()
+        : this.text();
+      FpxFragment.copyText(text).then(() => {
+        const label = button.textContent;
+        button.textContent = "Copied";
+        button.classList.add("success");
+        window.setTimeout(() => {
+          button.textContent = label;
+          button.classList.remove("success");
+        }, this.copiedDuration);
+      }, () => {});
+    });
+
+    // beside the fragment, in its wrapper (fpx-fragment.js), which does not scroll
+    this.host = this.fragment.parentNode;
+    this.host.classList.add("fpx-lines-host");
+    this.host.appendChild(this.actions);
+  },
+
+  // At the height of the first selected line
+  showActions() {
+    if (!this.actions) this.createActions();
+
+    this.actions.hidden = false;
+    const line = this.lines[this.selection.start];
+    this.actions.style.top = line.getBoundingClientRect().top - this.host.getBoundingClientRect().top + "px";
+    this.actions.querySelector("[data-action=lines]").textContent = this.selection.start === this.selection.end ? "Copy line" : "Copy lines";
+  }
+};
+
+document.addEventListener("DOMContentLoaded", () => {
+  FpxLines.init();
+});
+
+// After codefold.init() and the layout of the listing
+window.addEventListener("load", () => {
+  FpxLines.fromHash();
+});
@@ -0,0 +1,167 @@
+// fpx-navtree-filter.js - Filter box at the top of the navigation tree
+//
+// Typing in the box replaces the tree by NAVTREE pruned down to the entries
+// whose title contains every typed word, together with their ancestors, so
+// that "line directive" shows "3.7 The line directive" and the J3 pages above
+// it at once. The subtrees navtree.js loads on demand (pages.js,
+// topics.js, group__*.js, j3.js...) are all loaded by fpxNavTreeLoadAll()
+// (fpx-navtree.js) the first time something is typed. Escape clears the box,
+// Down moves to the first match.
+
+const FpxNavFilter = {
+  delay: 150,
+  state: "idle", // idle | loading | ready
+  timer: null,
+
+  init() {
+    const navTree = document.getElementById("nav-tree");
+    this.contents = document.getElementById("nav-tree-contents");
+    if (!navTree || !this.contents || typeof NAVTREE === "undefined") return;
+
+    this.element = document.createElement("div");
+    this.element.className = "fpx-nav-filter";
+    this.element.setAttribute("role", "search");
+    this.element.innerHTML = `
+      <input type="search" class="fpx-nav-filter-input" placeholder="Filter..." autocomplete="off" spellcheck="false"
+        aria-label="Filter the navigation" aria-controls="fpx-nav-filter-results">
+      <div class="fpx-nav-filter-status" aria-live="polite"></div>
+    `;
+    navTree.insertBefore(this.element, navTree.firstChild);
+
+    this.results = document.createElement("ul");
+    this.results.id = "fpx-nav-filter-results";
+    this.results.className = "fpx-nav-filter-results";
+    this.results.hidden = true;
+    navTree.insertBefore(this.results, this.contents);
+
+    this.input = this.element.querySelector(".fpx-nav-filter-input");
+    this.status = this.element.querySelector(".fpx-nav-filter-status");
+
+    this.input.addEventListener("input", () => {
+      clearTimeout(this.timer);
+      this.timer = setTimeout(() => this.update(), this.delay);
+    });
+    this.input.addEventListener("keydown", (evt) => {
+      if (evt.key === "Escape" && this.input.value) {
+        evt.preventDefault();
+        evt.stopPropagation(); // keep the mobile drawer open
+        this.input.value = "";
+        this.update();
+      } else if (evt.key === "ArrowDown" && !this.results.hidden) {
+        evt.preventDefault();
+        this.results.querySelector("a")?.focus();
+      }
+    });
+    this.results.addEventListener("keydown", (evt) => this.onKey(evt));
+  },
+
+  update() {
+    const words = fpxSearchWords(this.input.value);
+    if (words.length === 0) {
+      this.results.hidden = true;
+      this.results.innerHTML = "";
+      this.contents.hidden = false;
+      this.status.textContent = "";
+      return;
+    }
+
+    if (this.state !== "ready") {
+      this.status.textContent = "Loading...";
+      if (this.state === "idle") {
+        this.state = "loading";
+        fpxNavTreeLoadAll(() => {
+          this.state = "ready";
+          this.update();
+        });
+      }
+      return;
+    }
+
+    const count = { matches: 0 };
+    const tree = this.prune(fpxNavTreeEntries(NAVTREE[0]), words, count);
+
+    this.results.innerHTML = "";
+    this.render(tree, this.results, 0, words);
+    this.results.hidden = false;
+    this.contents.hidden = true;
+    this.status.textContent = count.matches === 0
+      ? "No matches"
+      : count.matches + (count.matches === 1 ? " match" : " matches");
+  },
+
+  // Nodes matching every word, or with a matching descendant,
+  // as { name, url, match, children }
+  prune(nodes, words, count) {
+    const pruned = [];
+    nodes.forEach((node) => {
+      const name = fpxNavTreeText(node[0]);
+      const lower = name.toLowerCase();
+      const match = words.every((word) => lower.includes(word));
+      const children = this.prune(fpxNavTreeEntries(node), words, count);
+
+      if (match) count.matches++;
+      if (match || children.length > 0) {
+        pruned.push({ name: name, url: node[1], match: match, children: children });
+      }
+    });
+    return pruned;
+  },
+
+  // Same markup and classes as the items of navtree.js, all expanded
+  render(nodes, list, level, words) {
+    nodes.forEach((node) => {
+      const li = document.createElement("li");
+      const item = document.createElement("div");
+      item.className = "item";
+
+      const indent = document.createElement("span");
+      indent.className = "arrow";
+      indent.style.width = 16 * (level + 1) + "px";
+      indent.innerHTML = "&#160;";
+      item.appendChild(indent);
+
+      const label = document.createElement("span");
+      label.className = "label";
+      const text = document.createElement(node.url ? "a" : "span");
+      if (node.url) text.href = node.url.replace(/^\^/, "");
+      text.textContent = node.name;
+      if (node.match) fpxMarkWords(text, words);
+      else text.classList.add("fpx-nav-filter-ancestor");
+      label.appendChild(text);
+      item.appendChild(label);
+      li.appendChild(item);
+
+      if (node.children.length > 0) {
+        const children = document.createElement("ul");
+        children.className = "children_ul";
+        this.render(node.children, children, level + 1, words);
+        li.appendChild(children);
+      }
+      list.appendChild(li);
+    });
+  },
+
+  // Up and Down go through the links of the results, Up from the first one
+  // and Escape go back to the box
+  onKey(evt) {
+    const links = Array.from(this.results.querySelectorAll("a"));
+    const index = links.indexOf(document.activeElement);
+
+    if (evt.key === "ArrowDown") {
+      links[Math.min(index + 1, links.length - 1)]?.focus();
+    } else if (evt.key === "ArrowUp") {
+      if (index <= 0) this.input.focus();
+      else links[index - 1].focus();
+    } else if (evt.key === "Escape") {
+      evt.stopPropagation();
+      this.input.focus();
+    } else {
+      return;
+    }
+    evt.preventDefault();
+  }
+};
+
+document.addEventListener("DOMContentLoaded", () => {
+  FpxNavFilter.init();
+});
@@ -0,0 +1,194 @@
+// fpx-navtree-state.js - Expanded nodes of the navigation tree kept across pages
+//
+// navtree.js builds the tree again on every page and only expands the path to
+// the current one. The nodes the user expands or collapses are remembered with
+// Cookie.writeSetting (cookie.js) and expanded again on the next page, once the
+// tree is there (fpxOnNavTreeReady, see fpx-navtree.js). A node is known by the
+// class navtree.js gives its link ("j3.html", "index.html:autotoc_md1"), which
+// is the same on every page, unlike its href.
+//
+// Next to the #nav-sync toggle, "collapse all" closes every node and
+// "expand to current" closes all but the path to the selected item.
+
+const FpxNavTreeState = {
+  setting: "fpx_nav_expanded",
+  restoreTime: 3000, // children loaded later than that are left closed
+  restoring: false,
+  silent: false,
+
+  init() {
+    this.contents = document.getElementById("nav-tree-contents");
+    if (!this.contents || typeof Cookie === "undefined") return;
+
+    this.expanded = new Set(this.read());
+    this.createTools();
+
+    this.contents.addEventListener("click", (evt) => this.onToggle(evt), true);
+    // navtree.js focuses the arrow of the nodes it expands, which must not
+    // take the focus away from the page while restoring
+    this.contents.addEventListener("focusin", (evt) => {
+      if (this.restoring && this.isToggle(evt.target) && !this.contents.contains(evt.relatedTarget)) {
+        evt.stopImmediatePropagation();
+        evt.target.blur();
+        if (evt.relatedTarget) evt.relatedTarget.focus();
+      }
+    }, true);
+
+    fpxOnNavTreeReady((navTree) => {
+      if (navTree) this.restore();
+    });
+  },
+
+  read() {
+    try {
+      const list = JSON.parse(decodeURIComponent(Cookie.readSetting(this.setting, "")));
+      return Array.isArray(list) ? list : [];
+    } catch (e) {
+      return [];
+    }
+  },
+
+  // Cookies cannot hold ";" or ",", hence the uri encoding of the json
+  write() {
+    Cookie.writeSetting(this.setting, encodeURIComponent(JSON.stringify(Array.from(this.expanded))));
+  },
+
+  createTools() {
+    const tools = document.createElement("div");
+    tools.className = "fpx-nav-tools";
+    tools.innerHTML = `
+      <button type="button" class="fpx-nav-tool" data-action="collapse" title="Collapse all" aria-label="Collapse all">
+        <svg viewBox="0 0 16 16" aria-hidden="true"><path d="M4 10l4-4 4 4" /><path d="M4 14l4-4 4 4" /></svg>
+      </button>
+      <button type="button" class="fpx-nav-tool" data-action="current" title="Expand to current page" aria-label="Expand to current page">
+        <svg viewBox="0 0 16 16" aria-hidden="true"><circle cx="8" cy="8" r="2.5" /><path d="M8 1v3M8 12v3M1 8h3M12 8h3" /></svg>
+      </button>
+    `;
+    tools.addEventListener("click", (evt) => {
+      const button = evt.target.closest("[data-action]");
+      if (!button) return;
+
+      if (button.dataset.action === "collapse") this.collapseAll();
+      else this.expandToCurrent();
+    });
+
+    // with the sync toggle, in the bar of the filter box (fpx-navtree-filter.js)
+    const sync = document.getElementById("nav-sync");
+    if (sync) tools.appendChild(sync);
+
+    const filter = document.querySelector("#nav-tree .fpx-nav-filter");
+    const input = filter && filter.querySelector(".fpx-nav-filter-input");
+    if (input) input.after(tools);
+    else this.contents.parentNode.insertBefore(tools, this.contents);
+  },
+
+  key(item) {
+    const link = item.querySelector(".label a");
+    if (!link) return null;
+    if (link.className && link.className !== "nolink") return link.className;
+    return link.textContent.trim();
+  },
+
+  // The arrow of a node is the link navtree.js puts first in its item
+  // (createIndent), with no class of its own, around a span.arrow
+  isToggle(element) {
+    return element.matches(".item > a") && !!element.querySelector(":scope > span.arrow");
+  },
+
+  toggleOf(item) {
+    const link = item.querySelector(":scope > a");
+    return link && this.isToggle(link) ? link : null;
+  },
+
+  isOpened(item) {
+    return !!item.querySelector(":scope > a .arrowhead.opened");
+  },
+
+  // Clicks on the arrows, by the user or the keyboard of fpx-navtree.js. An
+  // expanded node implies its ancestors, which are stored along with it.
+  onToggle(evt) {
+    const toggle = evt.target.closest("a");
+    if (!toggle || !this.isToggle(toggle) || this.silent) return;
+
+    const item = toggle.closest(".item");
+    const key = this.key(item);
+    if (!key) return;
+
+    if (this.isOpened(item)) {
+      this.expanded.delete(key);
+    } else {
+      this.expanded.add(key);
+      for (let li = item.parentElement.parentElement.closest("li"); li && this.contents.contains(li); li = li.parentElement.closest("li")) {
+        const ancestor = this.key(li.querySelector(":scope > .item"));
+        if (ancestor) this.expanded.add(ancestor);
+      }
+    }
+    this.write();
+  },
+
+  // Toggles `item` without storing it, and leaves the focus where it was
+  click(item) {
+    const active = document.activeElement;
+    this.silent = true;
+    this.toggleOf(item).click();
+    this.silent = false;
+    if (document.activeElement !== active && active) active.focus();
+  },
+
+  // Expands the stored nodes, again as their children get built: those of a
+  // subtree script (j3.js, group__*.js...) only come after it is loaded
+  restore() {
+    if (this.expanded.size === 0) return;
+
+    const clicked = new WeakSet(); // some are still loading their children
+    const expand = () => {
+      this.contents.querySelectorAll(".item").forEach((item) => {
+        if (clicked.has(item) || !this.toggleOf(item) || this.isOpened(item)) return;
+        if (!this.expanded.has(this.key(item))) return;
+        clicked.add(item);
+        this.click(item);
+      });
+    };
+
+    this.restoring = true;
+    const observer = new MutationObserver(expand);
+    observer.observe(this.contents, { childList: true, subtree: true });
+    expand();
+    setTimeout(() => {
+      observer.disconnect();
+      this.restoring = false;
+    }, this.restoreTime);
+  },
+
+  // Deepest nodes first, so that none stays open below a closed one
+  collapseAll() {
+    Array.from(this.contents.querySelectorAll(".item")).reverse().forEach((item) => {
+      if (this.isOpened(item)) this.click(item);
+    });
+    this.expanded.clear();
+    this.write();
+  },
+
+  expandToCurrent() {
+    this.collapseAll();
+
+    const selected = this.contents.querySelector(".item.selected");
+    if (!selected) return;
+
+    const path = [];
+    for (let li = selected.parentElement.parentElement.closest("li"); li && this.contents.contains(li); li = li.parentElement.closest("li")) {
+      path.unshift(li.querySelector(":scope > .item"));
+    }
+    path.forEach((item) => {
+      if (this.toggleOf(item) && !this.isOpened(item)) this.click(item);
+      const key = this.key(item);
+      if (key) this.expanded.add(key);
+    });
+    this.write();
+    selected.scrollIntoView({ block: "nearest" });
+  }
+};
+
+document.addEventListener("DOMContentLoaded", () => {
+  FpxNavTreeState.init();
+});
@@ -0,0 +1,268 @@
+// fpx-outline.js - Outline of the page in the right-hand panel, with scroll-spy
+//
+// navtree.js builds the page outline (#page-nav) for member pages out of the
+// h2.groupheader and h2.memtitle headings, or for articles out of the
+// h1-h6.doxsection headings, and DoxygenAwesomeInteractiveToc handles the
+// .contents > .toc of the pages without the panel. This builds a single
+// outline for all of them from every kind of heading: the sections of a group,
+// struct or file page with their members (declared in a memberdecls table, or
+// documented under an h2.memtitle) and the markdown sections of its
+// description, or the sections of an article.
+//
+// Members get an icon for their kind (function, subroutine, interface, type or
+// variable), read from the memItemLeft cell of their declaration. Levels with
+// children can be collapsed. The section at the top of the content is found
+// with an IntersectionObserver on the headings, instead of measuring every
+// heading on each scroll event as navtree.js does, whose outline is no longer
+// built.
+
+const FpxOutline = {
+  band: "0px 0px -70% 0px", // headings in the top 30% of the content are read
+  kinds: {
+    function: "f",
+    subroutine: "s",
+    interface: "i",
+    type: "t",
+    variable: "v"
+  },
+  targets: [],
+  links: new Map(), // heading element -> link of the outline
+  visible: new Set(),
+  active: null,
+  idCount: 0,
+
+  init() {
+    this.contents = document.querySelector("#doc-content .contents");
+    if (!this.contents) return;
+
+    const tree = this.build();
+    if (tree.length === 0) return;
+
+    const pageNav = document.getElementById("page-nav");
+    const toc = this.contents.querySelector(":scope > .toc");
+    if (pageNav) {
+      this.element = document.createElement("nav");
+      this.element.className = "fpx-outline";
+      this.element.setAttribute("aria-label", "On this page");
+      // Without #page-nav-contents, initPageToc() (navtree.js, run later as a
+      // jQuery ready handler) has nowhere to build its outline, and the
+      // handler it binds to the scroll of #doc-content returns at once
+      document.getElementById("page-nav-contents")?.remove();
+      (document.getElementById("page-nav-tree") || pageNav).appendChild(this.element);
+    } else if (toc) {
+      this.element = toc;
+      toc.querySelector(":scope > ul")?.remove();
+    } else {
+      return;
+    }
+
+    this.element.appendChild(this.render(tree, 0));
+    this.element.addEventListener("click", (evt) => {
+      const toggle = evt.target.closest(".fpx-outline-toggle");
+      if (toggle) this.toggle(toggle);
+    });
+    this.spy();
+  },
+
+  // Sections as { text, id, kind, children }, in document order
+  build() {
+    const root = { children: [] };
+    const stack = [{ node: root, level: 0 }]; // level 0 for the page itself
+    const kinds = this.declaredKinds();
+    let group = null; // section of the last h2.groupheader
+    let memberGroup = null; // member group (tr.groupHeader) of a declaration table
+
+    const add = (node, level) => {
+      while (stack.length > 1 && stack[stack.length - 1].level >= level) stack.pop();
+      stack[stack.length - 1].node.children.push(node);
+      stack.push({ node: node, level: level });
+      this.targets.push(node.target);
+    };
+
+    const selector = "h2.groupheader, h2.memtitle, .doxsection, tr[class^='memitem:'], tr.groupHeader";
+    this.contents.querySelectorAll(selector).forEach((element) => {
+      if (element.matches("h2.groupheader")) {
+        group = this.node(element, element.textContent, this.id(element));
+        memberGroup = null;
+        add(group, 1);
+      } else if (element.matches(".doxsection")) {
+        // sections of the description of a member page are below its group
+        const level = parseInt(element.tagName.substring(1), 10) + (group ? 1 : 0);
+        add(this.node(element, element.textContent, element.querySelector("a.anchor")?.id || this.id(element)), level);
+      } else if (element.matches("h2.memtitle")) {
+        const href = element.querySelector(".permalink a")?.getAttribute("href");
+        if (!group || !href) return;
+        const name = Array.from(element.childNodes)
+          .filter((child) => !(child.classList && child.classList.contains("permalink")))
+          .map((child) => child.textContent)
+          .join("")
+          .replace(/\(\)(\s*\[\d+\/\d+\])?\s*$/, ""); // func() [2/8] -> func
+        const node = this.node(element, name, href.substring(1));
+        node.kind = kinds.get(node.id) || this.kind(element.nextElementSibling?.querySelector("td.memname")?.textContent);
+        add(node, 2);
+      } else if (element.matches("tr.groupHeader")) {
+        if (!group || !element.id) return;
+        memberGroup = this.node(element, element.textContent, element.id);
+        add(memberGroup, 2);
+      } else {
+        if (!group || !element.id || element.offsetParent === null) return;
+        const right = element.querySelector("td.memItemRight");
+        const node = this.node(element, right ? right.firstElementChild?.textContent || right.textContent : "", element.id);
+        node.kind = this.kind(element.querySelector("td.memItemLeft")?.textContent);
+        add(node, memberGroup ? 3 : 2);
+      }
+    });
+
+    return root.children;
+  },
+
+  node(target, text, id) {
+    return { target: target, text: text.replace(/\s+/g, " ").trim(), id: id, kind: null, children: [] };
+  },
+
+  // Headings without an id get one, for the links of the outline
+  id(element) {
+    if (!element.id) element.id = "fpx-outline-" + this.idCount++;
+    return element.id;
+  },
+
+  // Kinds of the documented members, by the anchor their declaration links to
+  declaredKinds() {
+    const kinds = new Map();
+    this.contents.querySelectorAll("tr[class^='memitem:']").forEach((row) => {
+      const link = row.querySelector("td.memItemRight a[href*='#']");
+      const kind = this.kind(row.querySelector("td.memItemLeft")?.textContent);
+      if (link && kind) kinds.set(link.getAttribute("href").split("#")[1], kind);
+    });
+    return kinds;
+  },
+
+  // "interface", "type", "pure character(:) function, allocatable"...
+  kind(text) {
+    if (!text) return null;
+
+    const words = text.replace(/\([^)]*\)?/g, " ").toLowerCase().split(/[\s,]+/).filter(Boolean);
+    if (words.includes("function")) return "function";
+    if (words.includes("subroutine")) return "subroutine";
+    if (words[0] === "interface") return "interface";
+    if (words.length === 1 && words[0] === "type") return "type";
+    return "variable";
+  },
+
+  render(nodes, level) {
+    const list = document.createElement("ul");
+    list.className = level === 0 ? "fpx-outline-list" : "fpx-outline-children";
+
+    nodes.forEach((node) => {
+      const item = document.createElement("li");
+      const row = document.createElement("div");
+      row.className = "fpx-outline-item";
+      row.style.setProperty("--fpx-outline-level", level);
+
+      if (node.children.length > 0) {
+        const toggle = document.createElement("button");
+        toggle.type = "button";
+        toggle.className = "fpx-outline-toggle";
+        toggle.setAttribute("aria-expanded", "true");
+        toggle.dataset.label = node.text;
+        toggle.setAttribute("aria-label", "Collapse " + node.text);
+        row.appendChild(toggle);
+      }
+
+      const link = document.createElement("a");
+      link.href = "#" + node.id;
+      if (node.kind) {
+        const icon = document.createElement("span");
+        icon.className = "fpx-outline-kind fpx-outline-kind-" + node.kind;
+        icon.textContent = this.kinds[node.kind];
+        icon.title = node.kind;
+        link.appendChild(icon);
+      }
+      const text = document.createElement("span");
+      text.className = "fpx-outline-text";
+      text.textContent = node.text;
+      link.appendChild(text);
+      row.appendChild(link);
+      item.appendChild(row);
+      this.links.set(node.target, link);
+
+      if (node.children.length > 0) item.appendChild(this.render(node.children, level + 1));
+      list.appendChild(item);
+    });
+    return list;
+  },
+
+  toggle(button) {
+    const expanded = button.getAttribute("aria-expanded") !== "true";
+    const item = button.closest("li");
+    button.setAttribute("aria-expanded", expanded);
+    button.setAttribute("aria-label", (expanded ? "Collapse " : "Expand ") + button.dataset.label);
+    item.querySelector(":scope > ul").hidden = !expanded;
+    this.highlight();
+  },
+
+  spy() {
+    const scroller = document.getElementById("doc-content");
+    if (!("IntersectionObserver" in window) || !scroller) return;
+
+    const observer = new IntersectionObserver((entries) => {
+      entries.forEach((entry) => {
+        if (entry.isIntersecting) this.visible.add(entry.target);
+        else this.visible.delete(entry.target);
+      });
+      this.update(scroller);
+    }, { root: scroller, rootMargin: this.band });
+    this.targets.forEach((target) => observer.observe(target));
+  },
+
+  // The first heading in the band, or when there is none the last one above it
+  update(scroller) {
+    let active = this.targets.find((target) => this.visible.has(target));
+    if (!active) {
+      const top = scroller.getBoundingClientRect().top;
+      active = null;
+      for (const target of this.targets) {
+        if (target.getBoundingClientRect().top > top) break;
+        active = target;
+      }
+    }
+    if (active === this.active) return;
+
+    this.active = active;
+    this.highlight();
+  },
+
+  // Marks the link of the active heading, or of its closest collapsed ancestor
+  highlight() {
+    this.element.querySelectorAll("a.active, a.active-parent").forEach((link) => {
+      link.classList.remove("active", "active-parent");
+      link.removeAttribute("aria-current");
+    });
+
+    let link = this.links.get(this.active);
+    if (!link) return;
+
+    for (let list = link.closest("ul"); list && list !== this.element; list = list.parentElement.closest("ul")) {
+      if (list.hidden) link = list.parentElement.querySelector(":scope > .fpx-outline-item > a");
+    }
+    link.classList.add("active");
+    link.setAttribute("aria-current", "location");
+    for (let item = link.closest("li").parentElement.closest("li"); item; item = item.parentElement.closest("li")) {
+      item.querySelector(":scope > .fpx-outline-item > a").classList.add("active-parent");
+    }
+
+    // keeps the active link in view, without scrolling the page
+    const scroller = this.element.matches(".fpx-outline") ? this.element : null;
+    if (scroller) {
+      const box = scroller.getBoundingClientRect();
+      const rect = link.getBoundingClientRect();
+      if (rect.top < box.top || rect.bottom > box.bottom) {
+        scroller.scrollTop += rect.top - box.top - box.height / 2;
+      }
+    }
+  }
+};
+
+document.addEventListener("DOMContentLoaded", () => {
+  FpxOutline.init();
+});
@@ -0,0 +1,275 @@
+// fpx-palette.js - Command palette to jump to any symbol or page
+//
+// Opens on Ctrl+K / Cmd+K, or on "/" when the focus is not in a text field.
+// The list merges the navigation tree (NAVTREE and the lazily loaded subtrees
+// such as pages.js and topics.js), the source pages listed in navtreeindex*.js
+// and the symbols of search/searchindex.js, ranked with FpxSearch (fpx-search.js).
+// Arrow keys move through the list, Enter opens the entry, Escape closes.
+
+const FpxPalette = {
+  maxItems: 50,
+  entries: null,
+  start: [],
+  state: "idle", // idle | loading | ready
+  active: 0,
+  items: [],
+
+  open() {
+    if (!this.element) this.create();
+
+    this.lastFocus = document.activeElement;
+    this.element.hidden = false;
+    this.input.value = "";
+    this.input.focus();
+    this.load(() => this.update());
+  },
+
+  close() {
+    if (!this.element || this.element.hidden) return;
+
+    this.element.hidden = true;
+    if (this.lastFocus && this.lastFocus.focus) this.lastFocus.focus();
+  },
+
+  isOpen() {
+    return this.element && !this.element.hidden;
+  },
+
+  create() {
+    this.element = document.createElement("div");
+    this.element.id = "fpx-palette";
+    this.element.className = "fpx-palette";
+    this.element.hidden = true;
+    this.element.innerHTML = `
+      <div class="fpx-palette-backdrop"></div>
+      <div class="fpx-palette-dialog" role="dialog" aria-modal="true" aria-label="Go to symbol or page">
+        <input type="text" class="fpx-palette-input" placeholder="Go to a symbol or page..." autocomplete="off" spellcheck="false"
+          role="combobox" aria-expanded="true" aria-autocomplete="list" aria-controls="fpx-palette-list">
+        <ul id="fpx-palette-list" class="fpx-palette-list" role="listbox" aria-label="Symbols and pages"></ul>
+        <div class="fpx-palette-footer"><kbd>&#8593;</kbd><kbd>&#8595;</kbd> navigate <kbd>Enter</kbd> open <kbd>Esc</kbd> close</div>
+      </div>
+    `;
+    document.body.appendChild(this.element);
+
+    this.input = this.element.querySelector(".fpx-palette-input");
+    this.list = this.element.querySelector(".fpx-palette-list");
+
+    this.input.addEventListener("input", () => this.update());
+    this.input.addEventListener("keydown", (evt) => this.onKey(evt));
+    this.element.querySelector(".fpx-palette-backdrop").addEventListener("click", () => this.close());
+    this.list.addEventListener("mousemove", (evt) => {
+      const option = evt.target.closest("[role=option]");
+      if (option) this.select(Number(option.dataset.index));
+    });
+    this.list.addEventListener("click", (evt) => {
+      const option = evt.target.closest("[role=option]");
+      if (option) this.go(Number(option.dataset.index));
+    });
+  },
+
+  // Loads the navigation subtrees and the search index, once
+  load(callback) {
+    if (this.state === "ready") {
+      callback();
+      return;
+    }
+
+    this.list.innerHTML = "<li class=\"fpx-palette-status\">Loading...</li>";
+    if (this.state === "loading") return;
+    this.state = "loading";
+
+    let pending = 2;
+    const done = () => {
+      if (--pending > 0) return;
+      const { entries, start } = fpxPaletteEntries();
+      this.entries = entries;
+      this.start = start;
+      this.state = "ready";
+      if (this.isOpen()) callback();
+    };
+
+    fpxNavTreeLoadAll(done);
+    if (typeof FpxSearch !== "undefined") {
+      FpxSearch.load(typeof searchBox !== "undefined" ? searchBox.resultsPath : "search/", done);
+    } else {
+      done();
+    }
+  },
+
+  update() {
+    if (this.state !== "ready") return;
+
+    const query = this.input.value.trim();
+    this.items = query
+      ? FpxSearch.rank(this.entries, query, this.maxItems)
+      : this.start.slice(0, this.maxItems);
+
+    this.list.innerHTML = "";
+    if (this.items.length === 0) {
+      this.list.innerHTML = "<li class=\"fpx-palette-status\">No matches</li>";
+    }
+
+    this.items.forEach((entry, index) => {
+      const option = document.createElement("li");
+      option.id = "fpx-palette-option-" + index;
+      option.className = "fpx-palette-option";
+      option.setAttribute("role", "option");
+      option.dataset.index = index;
+
+      const name = document.createElement("span");
+      name.className = "fpx-palette-name";
+      name.textContent = entry.name;
+      option.appendChild(name);
+
+      const kind = document.createElement("span");
+      kind.className = "fpx-palette-kind";
+      kind.textContent = entry.kind;
+      option.appendChild(kind);
+
+      if (entry.scope) {
+        const scope = document.createElement("span");
+        scope.className = "fpx-palette-scope";
+        scope.textContent = entry.scope;
+        option.appendChild(scope);
+      }
+
+      this.list.appendChild(option);
+    });
+
+    this.select(0);
+  },
+
+  select(index) {
+    if (this.items.length === 0) {
+      this.input.removeAttribute("aria-activedescendant");
+      return;
+    }
+
+    this.active = Math.max(0, Math.min(index, this.items.length - 1));
+    this.list.querySelectorAll("[role=option]").forEach((option) => {
+      option.setAttribute("aria-selected", Number(option.dataset.index) === this.active);
+    });
+
+    const option = document.getElementById("fpx-palette-option-" + this.active);
+    this.input.setAttribute("aria-activedescendant", option.id);
+    option.scrollIntoView({ block: "nearest" });
+  },
+
+  go(index) {
+    const entry = this.items[index];
+    if (!entry) return;
+
+    this.close();
+    window.location.href = entry.url;
+  },
+
+  onKey(evt) {
+    const pageSize = 10;
+
+    switch (evt.key) {
+      case "ArrowDown":
+        this.select(this.active + 1);
+        break;
+      case "ArrowUp":
+        this.select(this.active - 1);
+        break;
+      case "PageDown":
+        this.select(this.active + pageSize);
+        break;
+      case "PageUp":
+        this.select(this.active - pageSize);
+        break;
+      case "Enter":
+        this.go(this.active);
+        break;
+      case "Escape":
+        this.close();
+        break;
+      case "Tab":
+        break; // the input is the only focusable element of the dialog
+      default:
+        return;
+    }
+    evt.preventDefault();
+  }
+};
+
+document.addEventListener("keydown", (evt) => {
+  if (FpxPalette.isOpen()) return;
+
+  const target = evt.target;
+  const editing = target.isContentEditable || /^(INPUT|TEXTAREA|SELECT)$/.test(target.tagName);
+
+  if ((evt.ctrlKey || evt.metaKey) && !evt.altKey && evt.key && evt.key.toLowerCase() === "k") {
+    evt.preventDefault();
+    FpxPalette.open();
+  } else if (evt.key === "/" && !editing && !evt.ctrlKey && !evt.metaKey && !evt.altKey) {
+    evt.preventDefault();
+    FpxPalette.open();
+  }
+});
+
+function fpxPaletteKind(url) {
+  const file = url.split("#")[0];
+
+  if (url.includes("#")) return "section";
+  if (file.startsWith("group__")) return "module";
+  if (/_8[a-z0-9]+\.html$/.test(file)) return "file";
+  return "page";
+}
+
+function fpxPaletteEntry(name, url, kind, scope) {
+  return fpxSearchEntry([name, url, 0, kind, scope, ""]);
+}
+
+// Symbols of the search index first, then the pages and sections of the
+// navigation tree and the source listings not already listed. `start` holds
+// the first two levels of the tree, shown before anything is typed.
+function fpxPaletteEntries() {
+  const entries = [];
+  const start = [];
+  const byUrl = new Map();
+  const add = (entry) => {
+    if (byUrl.has(entry.url)) return byUrl.get(entry.url);
+    byUrl.set(entry.url, entry);
+    entries.push(entry);
+    return entry;
+  };
+
+  if (FpxSearch.entries) {
+    FpxSearch.entries.forEach(add);
+  }
+
+  if (typeof NAVTREE !== "undefined") {
+    const visit = (nodes, path) => {
+      nodes.forEach((node) => {
+        const [name, url] = node;
+        if (url) {
+          const entry = add(fpxPaletteEntry(name, url, fpxPaletteKind(url), path.join(" › ")));
+          if (path.length <= 1 && !start.includes(entry)) start.push(entry);
+        }
+        visit(fpxNavTreeEntries(node), path.concat(name));
+      });
+    };
+    visit(fpxNavTreeEntries(NAVTREE[0]), []);
+  }
+
+  // navtreeindex*.js also knows the pages that are not in the tree, like
+  // the source listings: "[3,0]" is the path of the file they belong to
+  if (typeof NAVTREEINDEX !== "undefined") {
+    NAVTREEINDEX.forEach((_, i) => {
+      const index = window["NAVTREEINDEX" + i] || {};
+      Object.keys(index).forEach((url) => {
+        if (byUrl.has(url) || !url.endsWith("_source.html")) return;
+
+        let node = NAVTREE[0];
+        index[url].forEach((position) => {
+          node = node && fpxNavTreeChildren(node)[position];
+        });
+        if (node) add(fpxPaletteEntry(node[0] + " source", url, "file", "Source"));
+      });
+    });
+  }
+
+  return { entries: entries, start: start };
+}
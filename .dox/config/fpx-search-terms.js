@@ -0,0 +1,124 @@
+// fpx-search-terms.js - Tokenizer, stemmer and synonyms of the page text index
+//
+// Shared by tools/build-search-index.js, which writes search/terms.js (an
+// inverted index from terms to the passages of search/fulltext.js), and by
+// fpx-search.js, which turns the words of a query into the same terms.
+//
+// Plain words are stemmed and replaced by the first word of their synonym
+// group, so that "macros" and "define" both look up "macro". Fortran operators
+// (//, .contains.), preprocessor directives (#elifndef) and double underscore
+// macros (__VA_ARGS__) are terms of their own: "#elifndef" only looks up
+// "#elifndef", while "conditional" also finds the passages using it.
+
+// Project synonyms, the first word of each group is the one stored in the index
+const FPX_SYNONYMS = [
+  ["macro", "define", "#define", "#undef"],
+  ["conditional", "#if", "#ifdef", "#ifndef", "#elif", "#elifdef", "#elifndef", "#else", "#endif"],
+  ["continuation", "continue", "&"],
+  ["include", "#include"],
+  ["stringize", "stringizing", "stringification", "#"],
+  ["paste", "pasting", "concatenation", "##"],
+  ["variadic", "__va_args__", "__va_opt__"],
+  ["diagnostic", "#error", "#warning"]
+];
+
+// Directive names that are not english words, "elifdef" in a sentence is
+// indexed as "#elifdef" as well
+const FPX_DIRECTIVES = new Set(["ifdef", "ifndef", "elif", "elifdef", "elifndef", "endif", "undef"]);
+
+// Words too common to be worth a list of passages
+const FPX_STOP_WORDS = new Set([
+  "a", "an", "and", "are", "as", "at", "be", "by", "for", "from", "in", "is", "it",
+  "of", "on", "or", "that", "the", "this", "to", "was", "which", "with"
+]);
+
+const FPX_TOKEN_PATTERN = new RegExp([
+  "##?[a-z_]\\w*", // directives: #define, #elifndef
+  "\\.[a-z]{2,}\\.", // dotted operators: .contains., .and.
+  "(?<!:)//|==|/=|<=|>=|&&|\\|\\||!=|\\*\\*|=>", // symbolic operators, not the // of urls
+  "##?", // stringizing and token pasting
+  "[a-z_]\\w*", // identifiers, __VA_ARGS__ included
+  "\\d+(?:\\.\\d+)*", // numbers and section numbers
+  "&" // continuation
+].join("|"), "gi");
+
+// Words of `text` with their position, e.g. "#ifdef DEBUG" ->
+// [{ word: "#ifdef", start: 0, end: 6 }, { word: "debug", start: 7, end: 12 }]
+function fpxTokens(text) {
+  const tokens = [];
+  for (const match of text.matchAll(FPX_TOKEN_PATTERN)) {
+    tokens.push({ word: match[0].toLowerCase(), start: match.index, end: match.index + match[0].length });
+  }
+  return tokens;
+}
+
+// Operators, directives and __MACROS__, kept as typed
+function fpxIsSymbol(word) {
+  return !/^[a-z0-9_]/.test(word) || /^__\w+__$/.test(word);
+}
+
+// Light suffix stripping for plain english words, identifiers are kept as is
+function fpxStem(word) {
+  if (word.length <= 3 || !/^[a-z]+$/.test(word)) return word;
+
+  if (word.endsWith("sses")) word = word.slice(0, -2);
+  else if (word.endsWith("ies")) word = word.slice(0, -3) + "y";
+  else if (/[^isu]s$/.test(word)) word = word.slice(0, -1);
+
+  const verb = word.match(/^(.*[aeiouy].*?)(ing|ed)$/);
+  if (verb && verb[1].length >= 3) {
+    word = verb[1];
+    if (/([^aeiouylsz])\1$/.test(word)) word = word.slice(0, -1);
+  }
+
+  if (word.endsWith("ly") && word.length > 5) word = word.slice(0, -2);
+  if (word.endsWith("e") && word.length > 4) word = word.slice(0, -1);
+  return word;
+}
+
+const fpxSynonymTerms = new Map();
+FPX_SYNONYMS.forEach((group) => {
+  const term = fpxStem(group[0]);
+  group.forEach((word) => fpxSynonymTerms.set(fpxIsSymbol(word) ? word : fpxStem(word), term));
+});
+
+// Term looked up for one word of a query
+function fpxTerm(word) {
+  word = word.toLowerCase();
+  if (fpxIsSymbol(word)) return word;
+
+  const stem = fpxStem(word);
+  return fpxSynonymTerms.get(stem) || stem;
+}
+
+// Terms stored in the index for one word of the text: its own term, the
+// synonym group of a symbol, and "#name" for a bare directive name
+function fpxTokenTerms(word) {
+  const terms = [fpxTerm(word)];
+
+  if (fpxIsSymbol(word) && fpxSynonymTerms.has(word)) terms.push(fpxSynonymTerms.get(word));
+  if (FPX_DIRECTIVES.has(word)) terms.push("#" + word);
+  return terms;
+}
+
+// Distinct terms of a query, stop words left out
+function fpxTextTerms(text) {
+  const terms = new Set();
+  fpxTokens(text).forEach((token) => {
+    if (!FPX_STOP_WORDS.has(token.word)) terms.add(fpxTerm(token.word));
+  });
+  return Array.from(terms);
+}
+
+// Distinct terms of a passage to index, stop words left out
+function fpxIndexTerms(text) {
+  const terms = new Set();
+  fpxTokens(text).forEach((token) => {
+    if (!FPX_STOP_WORDS.has(token.word)) fpxTokenTerms(token.word).forEach((term) => terms.add(term));
+  });
+  return Array.from(terms);
+}
+
+if (typeof module !== "undefined") {
+  module.exports = { fpxTokens, fpxStem, fpxTerm, fpxTokenTerms, fpxTextTerms, fpxIndexTerms };
+}
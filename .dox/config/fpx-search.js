@@ -0,0 +1,751 @@
+// fpx-search.js - Ranked, typo tolerant search for the search box popup
+//
+// Replaces doxygen's first-letter lookup (one search/all_<hex>.js bucket, then a
+// prefix match) with a lookup over search/searchindex.js, which is written by
+// tools/build-search-index.js. Every query word is matched against symbol names,
+// scopes and brief descriptions, misspelled words are accepted within a small
+// edit distance, and results are sorted by relevance.
+// The doxygen search is used as is when the index cannot be loaded.
+//
+// The text of the pages (search/fulltext.js) is searched as well, through the
+// inverted index of search/terms.js so that stems and synonyms match (see
+// fpx-search-terms.js). Those results show a snippet with the matched words and
+// link to the page with a `hl` query parameter, used on arrival to scroll to the
+// paragraph and highlight the words.
+//
+// Pressing Enter, or the last entry of the popup, opens search.html with every
+// result (see fpx-search-page.js). A query without any result gets "did you
+// mean" suggestions instead, the closest known symbol names and heading words
+// that do find something.
+
+const FpxSearch = {
+  maxResults: 50,
+  maxTextResults: 20,
+  snippetLength: 160,
+  maxSuggestions: 3,
+  landingDelay: 600, // let navtree.js finish scrolling to the anchor first
+  entries: null,
+  passages: [],
+  terms: new Map(),
+  words: null, // vocabulary of the suggestions, built on first use
+  rows: new WeakMap(), // popup rows -> entry or passage shown, see fpx-search-preview.js
+  state: "idle", // idle | loading | ready | failed
+  callbacks: [],
+
+  // Loads search/searchindex.js, search/fulltext.js and search/terms.js once,
+  // `callback(loaded)` is called when done
+  load(resultsPath, callback) {
+    if (this.state === "ready" || this.state === "failed") {
+      callback(this.state === "ready");
+      return;
+    }
+
+    this.callbacks.push(callback);
+    if (this.state === "loading") return;
+
+    this.state = "loading";
+    fpxLoadScript(resultsPath + "searchindex.js", () => {
+      // the page text is optional, symbols are searched without it
+      fpxLoadScript(resultsPath + "fulltext.js", () => {
+        fpxLoadScript(resultsPath + "terms.js", () => this.onLoaded());
+      });
+    });
+  },
+
+  onLoaded() {
+    const loaded = typeof searchIndexData !== "undefined";
+
+    if (loaded) {
+      this.entries = searchIndexData.map(fpxSearchEntry);
+    }
+    if (typeof searchFullTextData !== "undefined") {
+      this.passages = searchFullTextData.map(fpxSearchPassage);
+    }
+    if (typeof searchTermsData !== "undefined" && typeof fpxTerm !== "undefined") {
+      this.terms = new Map(searchTermsData);
+    }
+    this.state = loaded ? "ready" : "failed";
+    this.callbacks.forEach((callback) => callback(loaded));
+    this.callbacks = [];
+  },
+
+  // Returns the entries matching every word of `query`, best match first.
+  // `category` is an index of indexSectionNames, 0 keeps all categories.
+  search(query, category, limit = this.maxResults) {
+    if (!this.entries) return [];
+
+    const entries = category ? this.entries.filter((entry) => entry.category === category) : this.entries;
+    return this.rank(entries, query, limit);
+  },
+
+  // Ranks any list of fpxSearchEntry() objects against `query`, see
+  // fpxParseQuery() for the qualifiers it accepts
+  rank(entries, query, limit = this.maxResults) {
+    const { words, filters } = fpxParseQuery(query);
+    if (words.length === 0 && filters.length === 0) return [];
+
+    const results = [];
+    entries.forEach((entry) => {
+      if (!filters.every((filter) => filter(entry))) return;
+
+      let score = 0;
+      for (const word of words) {
+        const wordScore = fpxScoreWord(word, entry);
+        if (wordScore === 0) return;
+        score += wordScore;
+      }
+      results.push({ entry: entry, score: score });
+    });
+
+    results.sort((a, b) =>
+      b.score - a.score ||
+      a.entry.name.length - b.entry.name.length ||
+      a.entry.name.localeCompare(b.entry.name)
+    );
+    return results.slice(0, limit).map((result) => result.entry);
+  },
+
+  // Returns the passages of page text containing every word of `query`,
+  // passages containing the whole query first
+  searchText(query, limit = this.maxTextResults) {
+    const { words, filters } = fpxParseQuery(query);
+    // qualifiers are about symbols, page text has no kind, file or group
+    if (words.length === 0 || filters.length > 0) return [];
+
+    // words without any term, like "->", are looked for as typed
+    const ids = this.lookupTerms(words);
+    const literalWords = ids ? words.filter((word) => fpxTerms([word]).length === 0) : words;
+    const candidates = (ids ? ids.map((id) => this.passages[id]) : this.passages)
+      .filter((passage) => literalWords.every((word) => passage.textLower.includes(word)));
+
+    const phrase = words.join(" ");
+    const results = candidates.map((passage) => {
+      // words found as typed rank above stems and synonyms
+      let score = words.filter((word) => passage.textLower.includes(word)).length;
+      if (passage.textLower.includes(phrase)) score += 10;
+      if (words.some((word) => passage.sectionLower.includes(word))) score += 5;
+      return { passage: passage, score: score };
+    });
+
+    results.sort((a, b) => b.score - a.score);
+    return results.slice(0, limit).map((result) => result.passage);
+  },
+
+  // Ids of the passages containing every term of `words` (search/terms.js).
+  // A word that is not a term is looked up as the beginning of one.
+  // Returns null when there is no index, or only stop words, to look into.
+  lookupTerms(words) {
+    const terms = fpxTerms(words);
+    if (this.terms.size === 0 || terms.length === 0) return null;
+
+    let ids = null;
+    for (const term of terms) {
+      let found = fpxDecodeIds(this.terms.get(term));
+      if (!this.terms.has(term)) {
+        const prefixed = new Set();
+        this.terms.forEach((list, key) => {
+          if (key.startsWith(term)) fpxDecodeIds(list).forEach((id) => prefixed.add(id));
+        });
+        found = Array.from(prefixed);
+      }
+
+      ids = ids ? ids.filter((id) => found.includes(id)) : found;
+      if (ids.length === 0) break;
+    }
+    return ids;
+  },
+
+  // Known words, with their number of occurrences: symbol names, their parts
+  // and their scopes, words of the section headings and the symbolic terms of the page
+  // text such as #elifdef or //
+  vocabulary() {
+    if (this.words) return this.words;
+
+    this.words = new Map();
+    const add = (word) => {
+      if (word.length > 1) this.words.set(word, (this.words.get(word) || 0) + 1);
+    };
+
+    this.entries.forEach((entry) => {
+      add(entry.nameLower);
+      entry.nameWords.forEach(add);
+      entry.scopeLower.split("::").forEach(add);
+    });
+    this.passages.forEach((passage) => fpxSearchWords(passage.section.replace(/[^\w#]+/g, " ")).forEach(add));
+    if (typeof fpxIsSymbol !== "undefined") {
+      this.terms.forEach((_, term) => {
+        if (fpxIsSymbol(term)) add(term);
+      });
+    }
+    return this.words;
+  },
+
+  // Queries close to `query` for which `found(query)` is true, e.g.
+  // "expand_macro" -> "expand_macros", "elseifdef" -> "elifdef". The unknown
+  // words are replaced by the known words within a few more typos than the
+  // search itself tolerates, qualifiers are kept as typed.
+  suggest(query, found, limit = this.maxSuggestions) {
+    if (!this.entries) return [];
+
+    const vocabulary = this.vocabulary();
+    const tokens = query.trim().split(/\s+/);
+    const fixes = new Map(); // unknown word -> closest known words, best first
+
+    tokens.forEach((token) => {
+      if (/^\w+:(?!:)/.test(token)) return;
+
+      token.toLowerCase().split("::").forEach((word) => {
+        if (!word || vocabulary.has(word) || fixes.has(word)) return;
+
+        const maxEdits = fpxMaxEdits(word.length) + 1;
+        const candidates = [];
+        vocabulary.forEach((count, known) => {
+          const distance = fpxEditDistance(word, known, maxEdits);
+          if (distance <= maxEdits) candidates.push({ word: known, distance: distance, count: count });
+        });
+        candidates.sort((a, b) => a.distance - b.distance || b.count - a.count || a.word.localeCompare(b.word));
+        if (candidates.length > 0) fixes.set(word, candidates.map((candidate) => candidate.word));
+      });
+    });
+    if (fixes.size === 0) return [];
+
+    // the n-th suggestion takes the n-th closest word of every unknown word
+    const longest = Math.max(...Array.from(fixes.values(), (candidates) => candidates.length));
+    const suggestions = [];
+    for (let n = 0; n < longest && suggestions.length < limit; n++) {
+      const suggestion = tokens.map((token) => {
+        if (/^\w+:(?!:)/.test(token)) return token;
+        return token.split("::").map((word) => {
+          const candidates = fixes.get(word.toLowerCase());
+          return candidates ? candidates[Math.min(n, candidates.length - 1)] : word;
+        }).join("::");
+      }).join(" ");
+
+      if (!suggestions.includes(suggestion) && found(suggestion)) suggestions.push(suggestion);
+    }
+    return suggestions;
+  }
+};
+
+document.addEventListener("DOMContentLoaded", () => {
+  fpxHighlightLanding();
+
+  if (typeof searchBox === "undefined") return;
+
+  const prefixSearch = searchBox.Search;
+
+  searchBox.Search = function() {
+    this.keyTimeout = 0;
+
+    FpxSearch.load(this.resultsPath, (loaded) => {
+      if (loaded) {
+        fpxShowResults(this);
+      } else {
+        prefixSearch.call(this);
+      }
+    });
+  };
+});
+
+function fpxLoadScript(src, callback) {
+  const script = document.createElement("script");
+  script.src = src;
+  script.onload = callback;
+  script.onerror = callback;
+  document.head.appendChild(script);
+}
+
+function fpxSearchEntry(data) {
+  const [name, url, category, kind, scope, brief, file = "", group = "", signature = ""] = data;
+
+  return {
+    name: name,
+    url: url,
+    category: category,
+    kind: kind,
+    scope: scope,
+    brief: brief,
+    file: file,
+    group: group,
+    signature: signature,
+    nameLower: name.toLowerCase(),
+    nameWords: fpxSearchWords(name.replace(/[_:.()-]+/g, " ")),
+    scopeLower: scope.toLowerCase(),
+    briefWords: Array.from(new Set(fpxSearchWords(brief.replace(/[^\w]+/g, " "))))
+  };
+}
+
+function fpxSearchPassage(data) {
+  const [url, section, page, text] = data;
+
+  return {
+    url: url,
+    section: section,
+    page: page,
+    text: text,
+    sectionLower: section.toLowerCase(),
+    textLower: text.toLowerCase()
+  };
+}
+
+// "0 5 a" -> [0, 5, 15], see buildTerms() in tools/build-search-index.js
+function fpxDecodeIds(list) {
+  if (!list) return [];
+
+  let id = 0;
+  return list.split(" ").map((delta) => (id += parseInt(delta, 36)));
+}
+
+// Index terms of the query words (fpx-search-terms.js), stop words left out
+function fpxTerms(words) {
+  if (typeof fpxTextTerms === "undefined") return [];
+  return fpxTextTerms(words.join(" "));
+}
+
+function fpxSearchWords(text) {
+  return text.toLowerCase().split(/\s+/).filter((word) => word.length > 0);
+}
+
+// Splits a query into plain words and qualifiers:
+//   fpx_string::trim   symbols named trim in the fpx_string scope
+//   kind:interface     symbols of one kind (function, subroutine, type...)
+//   file:macro.f90     symbols declared in one file
+//   group:Conditional  symbols of one group
+// Qualifier values can be quoted, e.g. group:"Date"
+function fpxParseQuery(query) {
+  const parsed = { words: [], filters: [] };
+
+  for (const token of query.matchAll(/(\w+):"([^"]*)"?|\S+/g)) {
+    const qualifier = token[1] ? [token[0], token[1], token[2]] : token[0].match(/^(\w+):([^:].*|)$/);
+    const key = qualifier && qualifier[1].toLowerCase();
+    const value = qualifier && qualifier[2].toLowerCase();
+
+    if (qualifier && FPX_QUALIFIERS[key]) {
+      if (value) parsed.filters.push((entry) => FPX_QUALIFIERS[key](entry, value));
+      continue;
+    }
+
+    const scoped = token[0].lastIndexOf("::");
+    if (scoped > 0) {
+      const scope = token[0].substring(0, scoped).toLowerCase();
+      parsed.filters.push((entry) => fpxInScope(entry, scope));
+      parsed.words.push(...fpxSearchWords(token[0].substring(scoped + 2)));
+      continue;
+    }
+
+    parsed.words.push(...fpxSearchWords(token[0]));
+  }
+  return parsed;
+}
+
+const FPX_QUALIFIERS = {
+  kind: (entry, value) => entry.kind.startsWith(value),
+  file: (entry, value) => entry.file.toLowerCase().startsWith(value),
+  group: (entry, value) => entry.group.toLowerCase().startsWith(value)
+};
+
+// "fpx_macro" and "fpx_macro::add" are both in scope "fpx_macro",
+// "add" matches the last part of "fpx_macro::add"
+function fpxInScope(entry, scope) {
+  const entryScope = entry.scopeLower;
+  return entryScope === scope ||
+    entryScope.startsWith(scope + "::") ||
+    entryScope.endsWith("::" + scope) ||
+    entryScope.includes("::" + scope + "::");
+}
+
+// Number of typos tolerated for a word of the given length
+function fpxMaxEdits(length) {
+  if (length <= 3) return 0;
+  if (length <= 6) return 1;
+  return 2;
+}
+
+// Optimal string alignment distance (Levenshtein with transpositions).
+// Gives up and returns max + 1 as soon as the distance exceeds `max`.
+function fpxEditDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let previous2 = null;
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+
+      if (previous2 && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, previous2[j - 2] + 1);
+      }
+      current.push(value);
+      rowMin = Math.min(rowMin, value);
+    }
+
+    if (rowMin > max) return max + 1;
+    previous2 = previous;
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+function fpxClosest(word, candidates, max) {
+  let best = max + 1;
+
+  for (const candidate of candidates) {
+    best = Math.min(best, fpxEditDistance(word, candidate, max));
+    if (best === 0) break;
+  }
+  return best;
+}
+
+// Relevance of one query word for an entry, 0 when it does not match at all
+function fpxScoreWord(word, entry) {
+  const name = entry.nameLower;
+
+  if (name === word) return 100;
+  if (name.startsWith(word)) return 80;
+  if (entry.nameWords.some((part) => part.startsWith(word))) return 60;
+  if (name.includes(word)) return 45;
+
+  // "#elifdef" for handle_elifdef
+  const bare = word.replace(/^#+/, "");
+  if (bare !== word && bare && entry.nameWords.some((part) => part.startsWith(bare))) return 42;
+
+  const maxEdits = fpxMaxEdits(word.length);
+  if (maxEdits > 0) {
+    const distance = fpxClosest(word, [name, name.substring(0, word.length), ...entry.nameWords], maxEdits);
+    if (distance <= maxEdits) return 40 - 10 * distance;
+  }
+
+  if (entry.scopeLower.includes(word)) return 20;
+  if (entry.briefWords.some((part) => part.startsWith(word))) return 15;
+
+  if (maxEdits > 0 && fpxClosest(word, entry.briefWords, maxEdits) <= maxEdits) return 8;
+
+  return 0;
+}
+
+function fpxEscapeHtml(text) {
+  return text.replace(/[&<>"']/g, (c) => "&#" + c.charCodeAt(0) + ";");
+}
+
+function fpxEscapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+function fpxWordsPattern(words) {
+  return new RegExp(words.map(fpxEscapeRegExp).join("|"), "gi");
+}
+
+// [start, end] of the places of `text` matching one of `words`: a token with
+// the same term (stem or synonym, see fpx-search-terms.js), a token starting
+// with the word, or the word itself when it has no token (e.g. "->").
+// The ranges are sorted and do not overlap. `covered` tells which words matched.
+function fpxMatchRanges(text, words) {
+  const ranges = [];
+  const covered = new Set();
+  const tokenWords = typeof fpxTokens === "undefined" ? [] : words.filter((word) => fpxTokens(word).length > 0);
+  const literalWords = words.filter((word) => !tokenWords.includes(word));
+
+  if (tokenWords.length > 0) {
+    const terms = tokenWords.map((word) => fpxTerm(word));
+    fpxTokens(text).forEach((token) => {
+      const tokenTerms = fpxTokenTerms(token.word);
+      const i = tokenWords.findIndex((word, j) => tokenTerms.includes(terms[j]) || token.word.startsWith(word));
+      if (i < 0) return;
+      ranges.push([token.start, token.end]);
+      covered.add(tokenWords[i]);
+    });
+  }
+
+  if (literalWords.length > 0) {
+    const pattern = fpxWordsPattern(literalWords);
+    for (const match of text.matchAll(pattern)) {
+      ranges.push([match.index, match.index + match[0].length]);
+      covered.add(match[0].toLowerCase());
+    }
+  }
+
+  ranges.sort((a, b) => a[0] - b[0]);
+  const merged = ranges.filter((range, i) => i === 0 || range[0] >= ranges[i - 1][1]);
+  merged.covered = covered;
+  return merged;
+}
+
+// Cuts `snippetLength` characters of text around the first match and wraps
+// every matched word in a <mark>
+function fpxSnippet(passage, words) {
+  const text = passage.text;
+  const ranges = fpxMatchRanges(text, words);
+  const phrase = passage.textLower.indexOf(words.join(" "));
+  const first = phrase >= 0 ? phrase : ranges.length ? ranges[0][0] : 0;
+
+  let start = Math.max(0, first - Math.floor(FpxSearch.snippetLength / 3));
+  if (start > 0) start = text.indexOf(" ", start) + 1 || start;
+  const end = Math.min(text.length, start + FpxSearch.snippetLength);
+
+  let html = "";
+  let last = start;
+  ranges.filter((range) => range[0] >= start && range[1] <= end).forEach(([from, to]) => {
+    html += fpxEscapeHtml(text.substring(last, from)) + "<mark>" + fpxEscapeHtml(text.substring(from, to)) + "</mark>";
+    last = to;
+  });
+  html += fpxEscapeHtml(text.substring(last, end));
+
+  return (start > 0 ? "&#8230;" : "") + html + (end < text.length ? "&#8230;" : "");
+}
+
+// Link to a passage, the `hl` parameter is read back by fpxHighlightLanding()
+function fpxPassageUrl(passage, query, rootPath) {
+  const [file, anchor] = passage.url.split("#");
+  return rootPath + file + "?hl=" + encodeURIComponent(query) + (anchor ? "#" + anchor : "");
+}
+
+function fpxShowResults(box) {
+  const searchValue = box.DOMSearchField().value.trim();
+  const results = FpxSearch.search(searchValue, box.searchIndex);
+  const searchesText = box.searchIndex === 0 || indexSectionNames[box.searchIndex] === "pages";
+  const textResults = searchesText ? FpxSearch.searchText(searchValue) : [];
+
+  fpxRenderResults(results, box.resultsPath + "../");
+  fpxRenderTextResults(textResults, searchValue, box.resultsPath + "../", results.length);
+
+  const matches = results.length + textResults.length;
+  let suggestions = [];
+  if (matches) {
+    const all = fpxResultRow(matches, fpxSearchPageUrl(searchValue, box.searchIndex, box.resultsPath + "../"),
+      "All results for \u201c" + searchValue + "\u201d");
+    all.classList.add("SRAll");
+    document.getElementById("SRResults").appendChild(all);
+  } else {
+    suggestions = FpxSearch.suggest(searchValue, (query) =>
+      FpxSearch.search(query, box.searchIndex, 1).length > 0 ||
+      (searchesText && FpxSearch.searchText(query, 1).length > 0)
+    );
+    fpxRenderSuggestions(box, suggestions);
+  }
+  document.getElementById("Loading").style.display = "none";
+  document.getElementById("Searching").style.display = "none";
+  document.getElementById("NoMatches").style.display = matches || suggestions.length ? "none" : "block";
+  searchResults.lastMatchCount = matches || suggestions.length;
+
+  fpxOpenResultsWindow(box);
+  box.lastSearchValue = searchValue.replace(/ +/g, "");
+}
+
+// Link to the full results page, search.html at the root of the documentation
+function fpxSearchPageUrl(query, category, rootPath) {
+  let url = rootPath + "search.html?q=" + encodeURIComponent(query);
+  if (category) url += "&cat=" + indexSectionNames[category];
+  return url;
+}
+
+// Enter in the search field opens the full results page,
+// the arrow keys still go through the popup
+function fpxSearchFieldKey(evt) {
+  if (evt.key !== "Enter" || evt.shiftKey || typeof searchBox === "undefined") return true;
+
+  const searchValue = searchBox.DOMSearchField().value.trim();
+  if (!searchValue) return true;
+
+  window.location.href = fpxSearchPageUrl(searchValue, searchBox.searchIndex, searchBox.resultsPath + "../");
+  return false;
+}
+
+// Builds the same markup as createResults() in search.js so that the
+// keyboard navigation of SearchResults keeps working
+function fpxResultRow(index, href, name, scope) {
+  const srResult = document.createElement("div");
+  srResult.id = "SR_" + index;
+  srResult.className = "SRResult";
+  srResult.style.display = "block";
+
+  const srEntry = document.createElement("div");
+  srEntry.className = "SREntry";
+
+  const srLink = document.createElement("a");
+  srLink.id = "Item" + index;
+  srLink.className = "SRSymbol";
+  srLink.href = href;
+  srLink.target = "_parent";
+  srLink.textContent = name;
+  ["onkeydown", "onkeypress", "onkeyup"].forEach((action) => {
+    srLink.setAttribute(action, "return searchResults.Nav(event," + index + ")");
+  });
+  srLink.setAttribute("onclick", "searchBox.CloseResultsWindow()");
+  srEntry.appendChild(srLink);
+
+  if (scope) {
+    const srScope = document.createElement("span");
+    srScope.className = "SRScope";
+    srScope.textContent = scope;
+    srEntry.appendChild(srScope);
+  }
+
+  srResult.appendChild(srEntry);
+  return srResult;
+}
+
+function fpxRenderResults(results, rootPath) {
+  const container = document.getElementById("SRResults");
+  container.innerHTML = "";
+
+  results.forEach((entry, index) => {
+    const href = /^https?:\/\//.test(entry.url) ? entry.url : rootPath + entry.url;
+    const row = fpxResultRow(index, href, entry.name, entry.scope);
+    FpxSearch.rows.set(row, { entry: entry });
+    container.appendChild(row);
+  });
+}
+
+// "No matches" followed by the suggested queries, which are searched when picked
+function fpxRenderSuggestions(box, suggestions) {
+  if (suggestions.length === 0) return;
+
+  const container = document.getElementById("SRResults");
+  const title = document.createElement("div");
+  title.className = "SRSuggestTitle";
+  title.textContent = "No matches, did you mean";
+  container.appendChild(title);
+
+  suggestions.forEach((suggestion, index) => {
+    const row = fpxResultRow(index, "#", suggestion);
+    row.classList.add("SRSuggestion");
+    fpxRowAction(row, () => {
+      box.DOMSearchField().value = suggestion;
+      box.DOMSearchField().focus();
+      box.Search();
+    });
+    container.appendChild(row);
+  });
+}
+
+// Replaces the navigation of a popup row by `action`
+function fpxRowAction(row, action) {
+  const link = row.querySelector("a");
+  link.removeAttribute("onclick");
+  link.addEventListener("click", (evt) => {
+    evt.preventDefault();
+    action();
+  });
+}
+
+// Appends the page text results below the symbols, numbering continues at
+// `firstIndex` so that the arrow keys go from one list to the other
+function fpxRenderTextResults(passages, query, rootPath, firstIndex) {
+  const container = document.getElementById("SRResults");
+  const words = fpxSearchWords(query);
+
+  passages.forEach((passage, i) => {
+    const row = fpxResultRow(firstIndex + i, fpxPassageUrl(passage, query, rootPath), passage.section,
+      passage.page !== passage.section ? passage.page : "");
+    row.classList.add("SRText");
+
+    const snippet = document.createElement("div");
+    snippet.className = "SRSnippet";
+    snippet.innerHTML = fpxSnippet(passage, words);
+    row.firstChild.appendChild(snippet);
+
+    FpxSearch.rows.set(row, { passage: passage });
+    container.appendChild(row);
+  });
+}
+
+// Wraps every match of `words` (see fpxMatchRanges()) in the text nodes of `element`
+function fpxMarkWords(element, words) {
+  const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT);
+  const nodes = [];
+  while (walker.nextNode()) nodes.push(walker.currentNode);
+
+  nodes.forEach((node) => {
+    const text = node.nodeValue;
+    const ranges = fpxMatchRanges(text, words);
+    if (ranges.length === 0) return;
+
+    const fragment = document.createDocumentFragment();
+    let last = 0;
+    ranges.forEach(([from, to]) => {
+      fragment.appendChild(document.createTextNode(text.substring(last, from)));
+      const mark = document.createElement("mark");
+      mark.className = "fpx-highlight";
+      mark.textContent = text.substring(from, to);
+      fragment.appendChild(mark);
+      last = to;
+    });
+    fragment.appendChild(document.createTextNode(text.substring(last)));
+    node.parentNode.replaceChild(fragment, node);
+  });
+}
+
+// Scrolls to and highlights the paragraph a page text result pointed at:
+// the first block after the anchor that contains every word of `hl`
+function fpxHighlightLanding() {
+  const query = new URLSearchParams(window.location.search).get("hl");
+  if (!query) return;
+
+  const words = fpxSearchWords(query);
+  const anchor = window.location.hash ? document.getElementById(decodeURIComponent(window.location.hash.substring(1))) : null;
+  const blockSelector = "p, li, td, dd, div.fragment";
+  const matches = (block) => {
+    const covered = fpxMatchRanges(block.textContent, words).covered;
+    return words.every((word) => covered.has(word));
+  };
+
+  let target = Array.from(document.querySelectorAll(".contents " + blockSelector)).find((block) =>
+    (!anchor || anchor.compareDocumentPosition(block) & Node.DOCUMENT_POSITION_FOLLOWING) && matches(block)
+  );
+  if (!target) return;
+
+  // prefer the innermost block, e.g. a nested list item
+  for (let inner = Array.from(target.querySelectorAll(blockSelector)).find(matches); inner;
+    inner = Array.from(target.querySelectorAll(blockSelector)).find(matches)) {
+    target = inner;
+  }
+
+  fpxMarkWords(target, words);
+  target.classList.add("fpx-landing");
+  setTimeout(() => target.scrollIntoView({ block: "center" }), FpxSearch.landingDelay);
+}
+
+// Same as getXPos()/getYPos() in search.js
+function fpxPagePosition(item) {
+  let x = 0, y = 0;
+
+  while (item && item.offsetWidth && item !== document.body) {
+    x += item.offsetLeft;
+    y += item.offsetTop;
+    item = item.offsetParent;
+  }
+  return { x: x, y: y };
+}
+
+// Positions the popup like handleResults() in search.js
+function fpxOpenResultsWindow(box) {
+  const resultsWindow = box.DOMPopupSearchResultsWindow();
+  if (resultsWindow.style.display === "block") return;
+
+  const position = fpxPagePosition(box.DOMSearchBox());
+  const maxWidth = document.body.clientWidth;
+  const maxHeight = document.body.clientHeight;
+
+  box.DOMSearchClose().style.display = "inline-block";
+  resultsWindow.style.display = "block";
+
+  let left = position.x + 150 - box.DOMPopupSearchResults().offsetWidth;
+  const top = position.y + 20;
+  let width = 300;
+  let height = 400;
+
+  if (left < 10) left = 10;
+  if (width + left + 8 > maxWidth) width = maxWidth - left - 8;
+  if (height + top + 8 > maxHeight) height = maxHeight - top - 8;
+
+  resultsWindow.style.top = top + "px";
+  resultsWindow.style.left = left + "px";
+  resultsWindow.style.width = width + "px";
+  resultsWindow.style.height = height + "px";
+}
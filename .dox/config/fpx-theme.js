@@ -0,0 +1,274 @@
+// fpx-theme.js - Light, dark or automatic appearance, and theme variants
+//
+// DoxygenAwesomeDarkModeToggle only stores whether the user prefers the other
+// mode than the one of the system, so once it is toggled there is no way back
+// to following the system. The appearance is kept here as "light", "dark" or
+// "auto", along with a variant of the colors: the default ones, high contrast
+// or sepia, which are sets of CSS variables in custom.css selected by a
+// theme-* class on <html>, for the light and the dark mode alike.
+//
+// The classes are set before the first paint by the script at the top of the
+// <head> (header.html), which also keeps the two flags in line with the
+// appearance, so that the static constructor of the toggle finds the same one.
+// The choices made in another tab come through the `storage` event.
+//
+// There is a single toggle element, in the vp-header of custom.js (its init()
+// only moves that one next to the search box): its methods are replaced so
+// that a click opens a menu with both choices, and its icon shows the chosen
+// appearance.
+
+const FpxTheme = {
+  modeKey: "fpx-theme-mode",
+  variantKey: "fpx-theme-variant",
+  modes: {
+    light: "Light",
+    dark: "Dark",
+    auto: "Auto"
+  },
+  variants: {
+    default: "Default",
+    "high-contrast": "High contrast",
+    sepia: "Sepia"
+  },
+  autoIcon: `<svg xmlns="http://www.w3.org/2000/svg" height="24px" viewBox="0 0 24 24" width="24px" fill="#859399"><path d="M12,3c-4.97,0-9,4.03-9,9s4.03,9,9,9s9-4.03,9-9S16.97,3,12,3z M12,19V5c3.86,0,7,3.14,7,7S15.86,19,12,19z"/></svg>`,
+  media: window.matchMedia("(prefers-color-scheme: dark)"),
+
+  // Without a choice yet, the one of the flags of DoxygenAwesomeDarkModeToggle
+  get mode() {
+    const mode = localStorage.getItem(this.modeKey);
+    if (mode in this.modes) return mode;
+
+    const light = localStorage.getItem(DoxygenAwesomeDarkModeToggle.prefersLightModeInDarkModeKey);
+    const dark = localStorage.getItem(DoxygenAwesomeDarkModeToggle.prefersDarkModeInLightModeKey);
+    return light && !dark ? "light" : dark && !light ? "dark" : "auto";
+  },
+
+  get variant() {
+    const variant = localStorage.getItem(this.variantKey);
+    return variant in this.variants ? variant : "default";
+  },
+
+  isDark() {
+    const mode = this.mode;
+    return mode === "auto" ? this.media.matches : mode === "dark";
+  },
+
+  // "light" sets the light-in-dark flag only and "dark" the dark-in-light one,
+  // for which userPreference of the toggle gives the same whatever the system
+  setMode(mode) {
+    localStorage.setItem(this.modeKey, mode);
+    const lightInDark = DoxygenAwesomeDarkModeToggle.prefersLightModeInDarkModeKey;
+    const darkInLight = DoxygenAwesomeDarkModeToggle.prefersDarkModeInLightModeKey;
+    if (mode === "light") localStorage.setItem(lightInDark, true);
+    else localStorage.removeItem(lightInDark);
+    if (mode === "dark") localStorage.setItem(darkInLight, true);
+    else localStorage.removeItem(darkInLight);
+    this.apply();
+  },
+
+  setVariant(variant) {
+    if (variant === "default") localStorage.removeItem(this.variantKey);
+    else localStorage.setItem(this.variantKey, variant);
+    this.apply();
+  },
+
+  apply() {
+    DoxygenAwesomeDarkModeToggle.enableDarkMode(this.isDark());
+
+    const root = document.documentElement;
+    const variant = this.variant;
+    Object.keys(this.variants).forEach((name) => {
+      root.classList.toggle("theme-" + name, name !== "default" && name === variant);
+    });
+    this.updateToggles();
+  },
+
+  // Moves the toggle into `container`, creating it the first time
+  mountToggle(container) {
+    let toggle = document.querySelector("doxygen-awesome-dark-mode-toggle");
+    if (!toggle) {
+      toggle = document.createElement("doxygen-awesome-dark-mode-toggle");
+      toggle.title = DoxygenAwesomeDarkModeToggle.title;
+    }
+    container.prepend(toggle);
+    toggle.updateIcon();
+    return toggle;
+  },
+
+  updateToggles() {
+    document.querySelectorAll("doxygen-awesome-dark-mode-toggle").forEach((toggle) => toggle.updateIcon());
+  },
+
+  renderToggle(toggle) {
+    const mode = this.mode;
+    if (mode === "light") toggle.innerHTML = DoxygenAwesomeDarkModeToggle.lightModeIcon;
+    else if (mode === "dark") toggle.innerHTML = DoxygenAwesomeDarkModeToggle.darkModeIcon;
+    else toggle.innerHTML = this.autoIcon;
+
+    const label = "Theme: " + this.modes[mode] + (mode === "auto" ? " (" + (this.isDark() ? "dark" : "light") + ")" : "");
+    toggle.title = label;
+    toggle.setAttribute("aria-label", label);
+    toggle.setAttribute("role", "button");
+    toggle.setAttribute("aria-haspopup", "menu");
+    toggle.setAttribute("aria-expanded", this.menu && !this.menu.hidden && this.toggle === toggle);
+    toggle.tabIndex = 0;
+
+    if (!toggle.fpxTheme) {
+      toggle.fpxTheme = true;
+      toggle.addEventListener("keydown", (evt) => {
+        if (evt.key === "Enter" || evt.key === " " || evt.key === "ArrowDown") {
+          evt.preventDefault();
+          this.openMenu(toggle, true);
+        }
+      });
+    }
+  },
+
+  createMenu() {
+    this.menu = document.createElement("div");
+    this.menu.className = "fpx-theme-menu";
+    this.menu.setAttribute("role", "menu");
+    this.menu.setAttribute("aria-label", "Theme");
+    this.menu.hidden = true;
+
+    const group = (label, options, setting) => {
+      const element = document.createElement("div");
+      element.className = "fpx-theme-group";
+      element.setAttribute("role", "group");
+      element.setAttribute("aria-label", label);
+      element.innerHTML = `<div class="fpx-theme-group-title" aria-hidden="true"></div>`;
+      element.firstElementChild.textContent = label;
+      Object.keys(options).forEach((value) => {
+        const item = document.createElement("button");
+        item.type = "button";
+        item.className = "fpx-theme-item";
+        item.setAttribute("role", "menuitemradio");
+        item.tabIndex = -1;
+        item.dataset.setting = setting;
+        item.dataset.value = value;
+        item.textContent = options[value];
+        element.appendChild(item);
+      });
+      this.menu.appendChild(element);
+    };
+    group("Appearance", this.modes, "mode");
+    group("Colors", this.variants, "variant");
+
+    this.menu.addEventListener("click", (evt) => {
+      const item = evt.target.closest(".fpx-theme-item");
+      if (!item) return;
+
+      if (item.dataset.setting === "mode") this.setMode(item.dataset.value);
+      else this.setVariant(item.dataset.value);
+      this.updateMenu();
+    });
+    this.menu.addEventListener("keydown", (evt) => this.onMenuKey(evt));
+    document.addEventListener("click", (evt) => {
+      if (!this.menu.hidden && !this.menu.contains(evt.target) && !evt.target.closest("doxygen-awesome-dark-mode-toggle")) {
+        this.closeMenu(false);
+      }
+    });
+    document.body.appendChild(this.menu);
+  },
+
+  updateMenu() {
+    const current = { mode: this.mode, variant: this.variant };
+    this.menu.querySelectorAll(".fpx-theme-item").forEach((item) => {
+      item.setAttribute("aria-checked", current[item.dataset.setting] === item.dataset.value);
+    });
+  },
+
+  toggleMenu(toggle) {
+    if (this.menu && !this.menu.hidden && this.toggle === toggle) this.closeMenu(false);
+    else this.openMenu(toggle, false);
+  },
+
+  // Below the toggle, right aligned with it
+  openMenu(toggle, focusItem) {
+    if (!this.menu) this.createMenu();
+
+    this.toggle = toggle;
+    this.updateMenu();
+    this.menu.hidden = false;
+    const rect = toggle.getBoundingClientRect();
+    this.menu.style.top = rect.bottom + 6 + "px";
+    this.menu.style.left = Math.max(8, rect.right - this.menu.offsetWidth) + "px";
+    this.updateToggles();
+
+    if (focusItem) (this.menu.querySelector("[aria-checked=true]") || this.menu.querySelector(".fpx-theme-item")).focus();
+  },
+
+  closeMenu(restoreFocus) {
+    if (!this.menu || this.menu.hidden) return;
+
+    this.menu.hidden = true;
+    this.updateToggles();
+    if (restoreFocus) this.toggle.focus();
+  },
+
+  onMenuKey(evt) {
+    const items = Array.from(this.menu.querySelectorAll(".fpx-theme-item"));
+    const index = items.indexOf(document.activeElement);
+
+    switch (evt.key) {
+      case "ArrowDown":
+        items[(index + 1) % items.length].focus();
+        break;
+      case "ArrowUp":
+        items[(index - 1 + items.length) % items.length].focus();
+        break;
+      case "Home":
+        items[0].focus();
+        break;
+      case "End":
+        items[items.length - 1].focus();
+        break;
+      case "Escape":
+        this.closeMenu(true);
+        break;
+      case "Tab":
+        this.closeMenu(false);
+        return;
+      default:
+        return;
+    }
+    evt.preventDefault();
+  }
+};
+
+// It would create another toggle on each call, and append it again on every
+// resize: the one toggle goes next to the search box until the vp-header
+// takes it
+DoxygenAwesomeDarkModeToggle.init = function() {
+  document.addEventListener("DOMContentLoaded", () => {
+    const searchBox = document.getElementById("MSearchBox");
+    if (searchBox && !document.querySelector("doxygen-awesome-dark-mode-toggle")) {
+      FpxTheme.mountToggle(searchBox.parentNode);
+    }
+  });
+};
+
+// The toggle opens the menu instead of switching between light and dark, and
+// the changes of the system preference go through FpxTheme.apply()
+DoxygenAwesomeDarkModeToggle.prototype.toggleDarkMode = function() {
+  FpxTheme.toggleMenu(this);
+};
+DoxygenAwesomeDarkModeToggle.prototype.updateIcon = function() {
+  FpxTheme.renderToggle(this);
+};
+DoxygenAwesomeDarkModeToggle.onSystemPreferenceChanged = () => FpxTheme.apply();
+Object.defineProperty(DoxygenAwesomeDarkModeToggle, "userPreference", {
+  configurable: true,
+  get: () => FpxTheme.isDark(),
+  set: (dark) => FpxTheme.setMode(dark ? "dark" : "light")
+});
+
+// Choices made in another tab
+window.addEventListener("storage", (evt) => {
+  if (evt.key === null || evt.key === FpxTheme.modeKey || evt.key === FpxTheme.variantKey) {
+    FpxTheme.apply();
+    if (FpxTheme.menu && !FpxTheme.menu.hidden) FpxTheme.updateMenu();
+  }
+});
+
+FpxTheme.apply();
@@ -0,0 +1,89 @@
+// fpx-breadcrumb.js - Breadcrumb trail above the page content
+//
+// Shows where the page sits in the navigation tree, e.g. fpx.f › Documentation
+// › J3 specifications › Preprocessor Specifications › 3.5 Conditional
+// directives, every crumb linking to its page or section. The trail comes from
+// fpxNavTreePath() (fpx-navtree.js), the navtreeindex lookup navtree.js does
+// to select the current item. It follows the hash of the url and, while
+// scrolling, the last section heading above the top of the page.
+
+const FpxBreadcrumb = {
+  scrollOffset: 80, // a heading counts as current a little before reaching the top
+  current: null,
+  frame: 0,
+
+  init() {
+    const contents = document.querySelector("#doc-content .contents");
+    if (!contents || typeof NAVTREE === "undefined") return;
+
+    this.element = document.createElement("nav");
+    this.element.className = "fpx-breadcrumb";
+    this.element.setAttribute("aria-label", "Breadcrumb");
+    this.element.hidden = true;
+    const header = document.querySelector("#doc-content .header");
+    contents.parentNode.insertBefore(this.element, header && header.parentNode === contents.parentNode ? header : contents);
+
+    this.page = window.location.pathname.split("/").pop() || "index.html";
+    // markdown sections and documented members
+    this.anchors = Array.from(contents.querySelectorAll("a.anchor[id], a[id][name]"));
+    this.scroller = document.getElementById("doc-content");
+
+    window.addEventListener("hashchange", () => this.update(this.hash()));
+    this.scroller.addEventListener("scroll", () => this.onScroll(), { passive: true });
+    this.update(this.hash());
+  },
+
+  // Same clean up of the hash as hashValue() in navtree.js
+  hash() {
+    return window.location.hash.substring(1).replace(/[^\w-]/g, "");
+  },
+
+  update(anchor) {
+    const url = this.page + (anchor ? "#" + anchor : "");
+    if (url === this.current) return;
+    this.current = url;
+
+    fpxNavTreePath(url, (path) => {
+      if (url !== this.current) return; // a later update won
+      this.render(path);
+    });
+  },
+
+  // The section of the last anchor above the top of the visible content
+  onScroll() {
+    if (this.frame || this.anchors.length === 0) return;
+
+    this.frame = requestAnimationFrame(() => {
+      this.frame = 0;
+      const top = this.scroller.getBoundingClientRect().top + this.scrollOffset;
+      let anchor = "";
+      for (const element of this.anchors) {
+        if (element.getBoundingClientRect().top > top) break;
+        anchor = element.id;
+      }
+      this.update(anchor);
+    });
+  },
+
+  render(path) {
+    this.element.innerHTML = "";
+    this.element.hidden = !path;
+    if (!path) return;
+
+    const list = document.createElement("ol");
+    path.forEach(([name, url], i) => {
+      const item = document.createElement("li");
+      const crumb = document.createElement(url ? "a" : "span");
+      crumb.innerHTML = name; // NAVTREE titles are html
+      if (url) crumb.href = url.replace(/^\^/, "");
+      if (i === path.length - 1) crumb.setAttribute("aria-current", "location");
+      item.appendChild(crumb);
+      list.appendChild(item);
+    });
+    this.element.appendChild(list);
+  }
+};
+
+document.addEventListener("DOMContentLoaded", () => {
+  FpxBreadcrumb.init();
+});
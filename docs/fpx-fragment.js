@@ -0,0 +1,511 @@
+// fpx-fragment.js - Copy options for the code fragments, with a fallback copy
+//
+// DoxygenAwesomeFragmentCopyButton copies the text of a fragment as it is,
+// and only creates its buttons when navigator.clipboard is there. The copy
+// goes through document.execCommand when it is not (plain http, older
+// browsers), and the fragments get their button in any case.
+//
+// Doxygen does not keep the language of a fenced block, it is told from the
+// markup instead: Fortran fragments are highlighted (keyword, comment... spans),
+// shell ones are plain lines of commands, with or without prompts, as in
+// usage.html, cheatsheet.html and integration.html.
+// Next to the copy button, a menu offers to copy Fortran without its comments
+// or wrapped in a test program of tests/ (TESTPROGRAM and TEST of
+// include/assertion.inc) unless it defines procedures, and the commands only
+// of a shell fragment, without their output, the comments, the REPL lines
+// and the "-> description" of the cheatsheet.
+//
+// A download button saves the fragment as a file named after its kind (see
+// file()), and the examples with an `#include "name"` as a zip archive, with
+// the fragments that show the included files.
+
+const FpxFragment = {
+  modes: {
+    fortran: {
+      code: "Copy",
+      "no-comments": "Copy without comments",
+      "fpm-test": "Copy as fpm test"
+    },
+    shell: {
+      code: "Copy",
+      commands: "Copy shell commands only"
+    }
+  },
+  highlighted: "span.keyword, span.keywordtype, span.keywordflow, span.preprocessor, span.comment, a.code",
+  prompt: /^(\$|%|>|PS>)\s+/,
+  command: /^(\.{0,2}\/)?[a-z][\w.\/+-]+(\s+[^\s()=,]+(=[^\s(),]*)?)*$/i, // a program and its arguments
+
+  init() {
+    const fragments = Array.from(document.querySelectorAll(".fragment"));
+    fragments.forEach((fragment) => this.wrap(fragment));
+    this.findIncludes(fragments);
+
+    fragments.forEach((fragment, index) => {
+      const language = this.language(fragment);
+      if (!this.modes[language]) return;
+
+      const actions = document.createElement("div");
+      actions.className = "fpx-fragment-actions";
+      actions.appendChild(this.downloadButton(fragment, language, index + 1));
+      actions.appendChild(this.optionsButton());
+      fragment.parentNode.appendChild(actions);
+    });
+  },
+
+  optionsButton() {
+    const options = document.createElement("button");
+    options.type = "button";
+    options.className = "fpx-fragment-action fpx-copy-options";
+    options.title = "Copy options";
+    options.setAttribute("aria-label", "Copy options");
+    options.setAttribute("aria-haspopup", "menu");
+    options.setAttribute("aria-expanded", "false");
+    options.innerHTML = `<svg viewBox="0 0 16 16" aria-hidden="true"><path d="M4 6l4 4 4-4" /></svg>`;
+    options.addEventListener("click", () => this.toggleMenu(options, false));
+    options.addEventListener("keydown", (evt) => {
+      if (evt.key === "ArrowDown") {
+        evt.preventDefault();
+        this.openMenu(options, true);
+      }
+    });
+    return options;
+  },
+
+  // Same wrapper and button as DoxygenAwesomeFragmentCopyButton.init(), which
+  // leaves them out without navigator.clipboard
+  wrap(fragment) {
+    if (fragment.parentNode.classList.contains("doxygen-awesome-fragment-wrapper")) return fragment.parentNode;
+
+    const wrapper = document.createElement("div");
+    wrapper.className = "doxygen-awesome-fragment-wrapper";
+    const button = document.createElement("doxygen-awesome-fragment-copy-button");
+    button.innerHTML = DoxygenAwesomeFragmentCopyButton.copyIcon;
+    button.title = DoxygenAwesomeFragmentCopyButton.title;
+    fragment.parentNode.replaceChild(wrapper, fragment);
+    wrapper.appendChild(fragment);
+    wrapper.appendChild(button);
+    return wrapper;
+  },
+
+  // A shell fragment is not highlighted, and either has prompts ("$ ", "% ",
+  // "> "), the other lines being the output of the commands, or only lines
+  // made of a program and its arguments, as far as "-> description"
+  language(fragment) {
+    if (fragment.querySelector(this.highlighted)) return "fortran";
+
+    const lines = this.lines(fragment)
+      .map((line) => line.trim())
+      .filter((line) => line !== "" && !line.startsWith("#") && !/^\[(in|out)\]/.test(line));
+    if (lines.length === 0) return null;
+    if (lines.some((line) => this.prompt.test(line))) return "shell";
+    return lines.every((line) => this.command.test(line.replace(/\s+->.*$/, ""))) ? "shell" : null;
+  },
+
+  // Text of each line, without the line numbers of the listings and the
+  // tooltips of the linked names. `filter` may change the line element first.
+  lines(fragment, filter) {
+    const content = fragment.cloneNode(true);
+    content.querySelectorAll(".lineno, .ttc").forEach((node) => node.remove());
+
+    const rows = content.querySelectorAll("div.line");
+    const lines = rows.length > 0
+      ? Array.from(rows).map((row) => (filter ? filter(row) : row.textContent))
+      : content.textContent.split("\n");
+    return lines.filter((line) => line !== null).map((line) => line.replace(/\u00a0/g, " ").replace(/\s+$/, ""));
+  },
+
+  text(fragment, mode) {
+    let lines;
+    if (mode === "no-comments") lines = this.withoutComments(fragment);
+    else if (mode === "fpm-test") lines = this.fpmTest(this.lines(fragment));
+    else if (mode === "commands") lines = this.commands(this.lines(fragment));
+    else lines = this.lines(fragment);
+
+    while (lines.length > 0 && lines[lines.length - 1] === "") lines.pop();
+    return lines.join("\n");
+  },
+
+  // Drops the "!" comments, and the lines left empty by that
+  withoutComments(fragment) {
+    return this.lines(fragment, (row) => {
+      const comments = Array.from(row.querySelectorAll("span.comment"))
+        .filter((comment) => comment.textContent.trim().startsWith("!"));
+      if (comments.length === 0) return row.textContent;
+
+      comments.forEach((comment) => comment.remove());
+      return row.textContent.trim() === "" ? null : row.textContent;
+    });
+  },
+
+  // The body of the program (or the whole snippet) in a TEST of a test program
+  fpmTest(lines) {
+    let name = "snippet";
+    const start = lines.findIndex((line) => /^\s*program\s+\w+/i.test(line));
+    if (start !== -1) {
+      name = lines[start].match(/^\s*program\s+(\w+)/i)[1].toLowerCase().replace(/^test_/, "");
+      let end = lines.length - 1;
+      while (end > start && !/^\s*end(\s*program\b.*)?$/i.test(lines[end])) end--;
+      lines = lines.slice(start + 1, end > start ? end : lines.length);
+    }
+    // not allowed in the block of TEST, and part of TESTPROGRAM anyway
+    lines = lines.filter((line) => !/^\s*implicit\s+none\b/i.test(line));
+
+    const code = lines.filter((line) => line.trim() !== "" && !line.trim().startsWith("#"));
+    const indent = Math.min(...code.map((line) => line.match(/^ */)[0].length), Infinity);
+    const body = lines.map((line) => {
+      if (line.trim() === "") return "";
+      if (line.trim().startsWith("#")) return line.trim();
+      return "        " + line.substring(indent === Infinity ? 0 : indent);
+    });
+
+    return [
+      `! tests/test_${name}.f90, declared in fpm.toml as:`,
+      "! [[test]]",
+      `! name = "test_${name}"`,
+      "! source-dir = \"tests\"",
+      `! main = "test_${name}.f90"`,
+      "#include <assertion.inc>",
+      `TESTPROGRAM(test_${name})`,
+      "",
+      `    TEST('${name}')`,
+      ...body,
+      "    END_TEST",
+      "",
+      "END_TESTPROGRAM"
+    ];
+  },
+
+  // Whether the snippet fits in the block of a TEST: END_TESTPROGRAM ends the
+  // program, which leaves no room for its `contains` part, and a block cannot
+  // define a module or a procedure (only declare one in an interface)
+  testable(lines) {
+    let interfaces = 0;
+    return lines.every((line) => {
+      const code = line.replace(/!.*$/, "").trim().toLowerCase();
+      if (/^(abstract\s+)?interface\b/.test(code)) interfaces++;
+      else if (/^end\s*interface\b/.test(code)) interfaces--;
+      else if (code === "contains" || /^(sub)?module\s+(?!procedure\b)\w+/.test(code)) return false;
+      else if (interfaces === 0 && /^(?!end\b)(\w+(\([^)]*\))?\s+)*(subroutine|function)\s+\w+/.test(code)) return false;
+      return true;
+    });
+  },
+
+  commands(lines) {
+    lines = lines.map((line) => line.trim());
+    // with prompts, the lines without one are output
+    if (lines.some((line) => this.prompt.test(line))) lines = lines.filter((line) => this.prompt.test(line));
+    return lines
+      .map((line) => line.replace(this.prompt, "").replace(/\s+->.*$/, ""))
+      .filter((line) => line !== "" && !line.startsWith("#") && !/^\[(in|out)\]/.test(line));
+  },
+
+  // The fragments shown after one with `#include "name"`, in the same section,
+  // when the text before them names the file ("Where constants.h might
+  // contain:", introduction.html): they are that file
+  findIncludes(fragments) {
+    fragments.forEach((fragment) => {
+      const names = this.lines(fragment)
+        .map((line) => line.match(/^\s*#\s*include\s+"([^"]+)"/))
+        .filter(Boolean)
+        .map((match) => match[1]);
+      if (names.length === 0) return;
+
+      const included = [];
+      let text = "";
+      for (let node = fragment.parentNode.nextSibling; node; node = node.nextSibling) {
+        if (node.matches && node.matches("h1, h2, h3, h4, h5, h6")) break;
+
+        const other = node.classList && node.classList.contains("doxygen-awesome-fragment-wrapper")
+          ? node.querySelector(".fragment")
+          : null;
+        if (!other) {
+          text += node.textContent;
+          continue;
+        }
+        const name = names.find((candidate) => text.includes(candidate) && !included.some((file) => file.fpxFileName === candidate));
+        if (name && !other.fpxFileName) {
+          other.fpxFileName = name;
+          included.push(other);
+        }
+        text = "";
+      }
+      if (included.length > 0) fragment.fpxIncludes = included;
+    });
+  },
+
+  downloadButton(fragment, language, number) {
+    const file = this.file(fragment, language, number);
+    const included = fragment.fpxIncludes || [];
+    const name = included.length > 0 ? file.name.replace(/\.[^.]+$/, "") + ".zip" : file.name.split("/").pop();
+
+    const button = document.createElement("button");
+    button.type = "button";
+    button.className = "fpx-fragment-action fpx-download";
+    button.title = "Download " + name + (included.length > 0
+      ? " (with " + included.map((other) => other.fpxFileName).join(", ") + ")"
+      : "");
+    button.setAttribute("aria-label", button.title);
+    button.innerHTML = `<svg viewBox="0 0 16 16" aria-hidden="true"><path d="M8 2v8M4.5 6.5L8 10l3.5-3.5M3 13h10" /></svg>`;
+    button.addEventListener("click", () => {
+      if (included.length === 0) {
+        this.save(name, new Blob([file.text], { type: "text/plain" }));
+        return;
+      }
+      const files = [file].concat(included.map((other) => this.file(other, "fortran", 0)));
+      this.save(name, this.zip(files));
+    });
+    return button;
+  },
+
+  // { name, text } to save: an included file keeps the name it is included
+  // with, a program or module is named after it, other Fortran fragments are
+  // .F90 files, or .inc ones when they only hold directives, and the shell
+  // ones scripts of their commands
+  file(fragment, language, number) {
+    const page = (window.location.pathname.split("/").pop() || "index.html").replace(/\.html$/, "");
+    const base = page + "-" + number;
+
+    if (language === "shell") {
+      return { name: base + ".sh", text: "#!/bin/sh\n" + this.text(fragment, "commands") + "\n" };
+    }
+
+    const text = this.text(fragment, "code") + "\n";
+    if (fragment.fpxFileName) return { name: fragment.fpxFileName.replace(/^(\.\.?\/)+/, ""), text: text };
+
+    const lines = this.lines(fragment).map((line) => line.trim()).filter((line) => line !== "");
+    const unit = lines.map((line) => line.match(/^(program|module)\s+(\w+)/i)).find(Boolean);
+    if (unit) return { name: unit[2].toLowerCase() + ".F90", text: text };
+    const directives = lines.every((line) => line.startsWith("#") || line.startsWith("!"));
+    return { name: base + (directives ? ".inc" : ".F90"), text: text };
+  },
+
+  save(name, blob) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = name;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    window.setTimeout(() => URL.revokeObjectURL(url), 1000);
+  },
+
+  // Zip archive of { name, text } files, stored without compression
+  zip(files) {
+    const encoder = new TextEncoder();
+    const now = new Date();
+    const time = (now.getHours() << 11) | (now.getMinutes() << 5) | (now.getSeconds() >> 1);
+    const date = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+    const parts = [];
+    const directory = [];
+    let offset = 0;
+    let size = 0;
+
+    files.forEach((file) => {
+      const name = encoder.encode(file.name);
+      const data = encoder.encode(file.text);
+      const crc = this.crc32(data);
+
+      const local = new DataView(new ArrayBuffer(30));
+      local.setUint32(0, 0x04034b50, true);
+      local.setUint16(4, 20, true); // version needed
+      local.setUint16(6, 0x0800, true); // utf-8 names
+      local.setUint16(10, time, true);
+      local.setUint16(12, date, true);
+      local.setUint32(14, crc, true);
+      local.setUint32(18, data.length, true);
+      local.setUint32(22, data.length, true);
+      local.setUint16(26, name.length, true);
+      parts.push(local, name, data);
+
+      const entry = new DataView(new ArrayBuffer(46));
+      entry.setUint32(0, 0x02014b50, true);
+      entry.setUint16(4, 20, true); // version made by
+      entry.setUint16(6, 20, true);
+      entry.setUint16(8, 0x0800, true);
+      entry.setUint16(12, time, true);
+      entry.setUint16(14, date, true);
+      entry.setUint32(16, crc, true);
+      entry.setUint32(20, data.length, true);
+      entry.setUint32(24, data.length, true);
+      entry.setUint16(28, name.length, true);
+      entry.setUint32(42, offset, true);
+      directory.push(entry, name);
+
+      offset += 30 + name.length + data.length;
+      size += 46 + name.length;
+    });
+
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, size, true);
+    end.setUint32(16, offset, true);
+    return new Blob(parts.concat(directory, [end]), { type: "application/zip" });
+  },
+
+  crc32(data) {
+    if (!this.crcTable) {
+      this.crcTable = new Uint32Array(256);
+      for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        this.crcTable[n] = c;
+      }
+    }
+    let crc = 0xffffffff;
+    for (let i = 0; i < data.length; i++) crc = this.crcTable[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+    return (crc ^ 0xffffffff) >>> 0;
+  },
+
+  copy(button, mode) {
+    const fragment = button.parentNode.querySelector(".fragment");
+    this.copyText(this.text(fragment, mode)).then(() => {
+      button.classList.add("success");
+      button.innerHTML = DoxygenAwesomeFragmentCopyButton.successIcon;
+      window.setTimeout(() => {
+        button.classList.remove("success");
+        button.innerHTML = DoxygenAwesomeFragmentCopyButton.copyIcon;
+      }, DoxygenAwesomeFragmentCopyButton.successDuration);
+    }, () => {});
+  },
+
+  copyText(text) {
+    if (navigator.clipboard && window.isSecureContext) {
+      return navigator.clipboard.writeText(text).catch(() => this.execCopy(text));
+    }
+    return this.execCopy(text);
+  },
+
+  // From a hidden textarea, the focus going back where it was
+  execCopy(text) {
+    const active = document.activeElement;
+    const area = document.createElement("textarea");
+    area.value = text;
+    area.setAttribute("readonly", "");
+    area.style.position = "fixed";
+    area.style.top = "0";
+    area.style.left = "-9999px";
+    document.body.appendChild(area);
+    area.select();
+
+    let copied = false;
+    try {
+      copied = document.execCommand("copy");
+    } catch (e) {
+      copied = false;
+    }
+    area.remove();
+    if (active && active !== document.body) active.focus();
+    return copied ? Promise.resolve() : Promise.reject(new Error("copy failed"));
+  },
+
+  createMenu() {
+    this.menu = document.createElement("div");
+    this.menu.className = "fpx-copy-menu";
+    this.menu.setAttribute("role", "menu");
+    this.menu.setAttribute("aria-label", "Copy options");
+    this.menu.hidden = true;
+
+    this.menu.addEventListener("click", (evt) => {
+      const item = evt.target.closest(".fpx-copy-item");
+      if (!item) return;
+
+      this.copy(this.options.closest(".doxygen-awesome-fragment-wrapper").querySelector("doxygen-awesome-fragment-copy-button"), item.dataset.mode);
+      this.closeMenu(true);
+    });
+    this.menu.addEventListener("keydown", (evt) => this.onMenuKey(evt));
+    document.addEventListener("click", (evt) => {
+      if (!this.menu.hidden && !this.menu.contains(evt.target) && !evt.target.closest(".fpx-copy-options")) {
+        this.closeMenu(false);
+      }
+    });
+    window.addEventListener("resize", () => this.closeMenu(false));
+    document.getElementById("doc-content")?.addEventListener("scroll", () => this.closeMenu(false));
+    document.body.appendChild(this.menu);
+  },
+
+  toggleMenu(options, focusItem) {
+    if (this.menu && !this.menu.hidden && this.options === options) this.closeMenu(false);
+    else this.openMenu(options, focusItem);
+  },
+
+  // Below the button, right aligned with the copy button
+  openMenu(options, focusItem) {
+    if (!this.menu) this.createMenu();
+    if (this.options && this.options !== options) this.closeMenu(false);
+
+    const wrapper = options.closest(".doxygen-awesome-fragment-wrapper");
+    const fragment = wrapper.querySelector(".fragment");
+    const modes = this.modes[this.language(fragment)];
+    this.menu.innerHTML = "";
+    Object.keys(modes).forEach((mode) => {
+      if (mode === "fpm-test" && !this.testable(this.lines(fragment))) return;
+
+      const item = document.createElement("button");
+      item.type = "button";
+      item.className = "fpx-copy-item";
+      item.setAttribute("role", "menuitem");
+      item.tabIndex = -1;
+      item.dataset.mode = mode;
+      item.textContent = modes[mode];
+      this.menu.appendChild(item);
+    });
+
+    this.options = options;
+    options.setAttribute("aria-expanded", "true");
+    this.menu.hidden = false;
+    const rect = wrapper.querySelector("doxygen-awesome-fragment-copy-button").getBoundingClientRect();
+    this.menu.style.top = rect.bottom + 6 + "px";
+    this.menu.style.left = Math.max(8, rect.right - this.menu.offsetWidth) + "px";
+
+    if (focusItem) this.menu.querySelector(".fpx-copy-item").focus();
+  },
+
+  closeMenu(restoreFocus) {
+    if (!this.menu || this.menu.hidden) return;
+
+    this.menu.hidden = true;
+    this.options.setAttribute("aria-expanded", "false");
+    if (restoreFocus) this.options.focus();
+  },
+
+  onMenuKey(evt) {
+    const items = Array.from(this.menu.querySelectorAll(".fpx-copy-item"));
+    const index = items.indexOf(document.activeElement);
+
+    switch (evt.key) {
+      case "ArrowDown":
+        items[(index + 1) % items.length].focus();
+        break;
+      case "ArrowUp":
+        items[(index - 1 + items.length) % items.length].focus();
+        break;
+      case "Home":
+        items[0].focus();
+        break;
+      case "End":
+        items[items.length - 1].focus();
+        break;
+      case "Escape":
+        this.closeMenu(true);
+        break;
+      case "Tab":
+        this.closeMenu(false);
+        return;
+      default:
+        return;
+    }
+    evt.preventDefault();
+  }
+};
+
+DoxygenAwesomeFragmentCopyButton.prototype.copyContent = function() {
+  FpxFragment.copy(this, "code");
+};
+
+// After DoxygenAwesomeFragmentCopyButton.init(), called in the header
+$(function() {
+  FpxFragment.init();
+});
@@ -0,0 +1,260 @@
+// fpx-layout.js - Width of the sidebar and the page outline, collapsed sidebar
+//
+// One place for the layout state, kept with Cookie.writeSetting (cookie.js).
+// initResizable() in navtree.js keeps the widths of both panels as well, in
+// its "width" and "pagenav" settings, restores them on load and writes back
+// whatever it measures on every window resize, the width of the off-canvas
+// drawer included. The widths are therefore kept in settings of their own, and
+// copied to those of navtree.js before it reads them, so that both agree.
+//
+// The sidebar width goes to --side-nav-fixed-width, which the doxygen-awesome
+// stylesheets size the sidebar and the content with, its bounds come from
+// --side-nav-min-width and --side-nav-max-width (custom.css). Both panels are
+// resized with the separators #vp-resizer (created here) and
+// #page-nav-resize-handle: by dragging, with the arrow keys, Home and End
+// once focused, and back to the default width with a double click. Enter on
+// the sidebar one collapses the sidebar, like the button of the header.
+
+const FpxLayout = {
+  sidebarSetting: "fpx_sidebar_width",
+  pageNavSetting: "fpx_pagenav_width",
+  collapsedSetting: "fpx_sidebar_collapsed",
+  navTreeWidthSetting: "width", // RESIZE_COOKIE_NAME in navtree.js
+  navTreePageNavSetting: "pagenav", // PAGENAV_COOKIE_NAME in navtree.js
+  barWidth: 6, // width of the #splitbar, left out of the "width" setting
+  minContentWidth: 240, // as constrainPanelWidths() in navtree.js
+  pageNavDefault: 240, // default of initResizable() in navtree.js
+  pageNavMin: 120,
+  step: 16,
+  largeStep: 64,
+
+  // Before the first paint and before navtree.js reads its settings, the
+  // script is loaded in the <head>
+  restoreWidths() {
+    if (typeof Cookie === "undefined") return;
+
+    let width = parseInt(Cookie.readSetting(this.sidebarSetting, ""), 10);
+    // setting of the previous resize handle of custom.js
+    const legacy = parseInt(localStorage.getItem("vp-sidebar-width"), 10);
+    if (legacy) {
+      localStorage.removeItem("vp-sidebar-width");
+      if (!width) {
+        width = legacy;
+        Cookie.writeSetting(this.sidebarSetting, width);
+      }
+    }
+    if (width) {
+      document.documentElement.style.setProperty("--side-nav-fixed-width", width + "px");
+      Cookie.writeSetting(this.navTreeWidthSetting, width - this.barWidth);
+    }
+
+    const pageNavWidth = parseInt(Cookie.readSetting(this.pageNavSetting, ""), 10);
+    Cookie.writeSetting(this.navTreePageNavSetting, pageNavWidth || this.pageNavDefault);
+  },
+
+  init() {
+    if (typeof Cookie === "undefined") return;
+
+    const legacy = localStorage.getItem("vp-sidebar-collapsed");
+    if (legacy !== null) {
+      localStorage.removeItem("vp-sidebar-collapsed");
+      Cookie.writeSetting(this.collapsedSetting, legacy === "true" ? "1" : "0");
+    }
+    this.setCollapsed(this.isCollapsed());
+
+    this.initSidebarSeparator();
+    this.initPageNavSeparator();
+  },
+
+  isCollapsed() {
+    return Cookie.readSetting(this.collapsedSetting, "0") === "1";
+  },
+
+  setCollapsed(collapsed) {
+    document.body.classList.toggle("vp-sidebar-collapsed", collapsed);
+    Cookie.writeSetting(this.collapsedSetting, collapsed ? "1" : "0");
+    document.getElementById("vp-toggle-sidebar")?.setAttribute("aria-expanded", !mobileLayout.matches && !collapsed);
+  },
+
+  // Bounds of the sidebar, leaving room for the content and the page outline
+  sidebarBounds() {
+    const style = getComputedStyle(document.documentElement);
+    const pageNav = document.getElementById("page-nav");
+    const room = window.innerWidth - (pageNav ? pageNav.offsetWidth : 0) - this.minContentWidth;
+    const min = parseInt(style.getPropertyValue("--side-nav-min-width"), 10) || 0;
+    const max = parseInt(style.getPropertyValue("--side-nav-max-width"), 10) || room;
+    return { min: min, max: Math.max(min, Math.min(max, room)) };
+  },
+
+  sidebarWidth() {
+    return document.getElementById("side-nav").offsetWidth;
+  },
+
+  setSidebarWidth(width) {
+    const bounds = this.sidebarBounds();
+    width = Math.round(Math.min(bounds.max, Math.max(bounds.min, width)));
+    document.documentElement.style.setProperty("--side-nav-fixed-width", width + "px");
+    Cookie.writeSetting(this.sidebarSetting, width);
+    Cookie.writeSetting(this.navTreeWidthSetting, width - this.barWidth);
+    this.updateSeparator(this.sidebarSeparator, width, bounds);
+  },
+
+  resetSidebarWidth() {
+    document.documentElement.style.removeProperty("--side-nav-fixed-width");
+    Cookie.eraseSetting(this.sidebarSetting);
+    const width = this.sidebarWidth();
+    Cookie.writeSetting(this.navTreeWidthSetting, width - this.barWidth);
+    this.updateSeparator(this.sidebarSeparator, width, this.sidebarBounds());
+  },
+
+  initSidebarSeparator() {
+    const navTree = document.getElementById("nav-tree");
+    if (!navTree || !document.getElementById("side-nav")) return;
+
+    const separator = document.createElement("div");
+    separator.id = "vp-resizer";
+    separator.setAttribute("aria-label", "Resize the sidebar");
+    separator.setAttribute("aria-controls", "side-nav");
+    navTree.appendChild(separator);
+    this.sidebarSeparator = separator;
+
+    this.initSeparator(separator, {
+      width: () => this.sidebarWidth(),
+      bounds: () => this.sidebarBounds(),
+      set: (width) => this.setSidebarWidth(width),
+      reset: () => this.resetSidebarWidth(),
+      fromPointer: (evt) => evt.clientX - navTree.getBoundingClientRect().left,
+      direction: 1,
+      toggle: () => this.setCollapsed(!document.body.classList.contains("vp-sidebar-collapsed"))
+    });
+  },
+
+  pageNavBounds() {
+    const container = document.getElementById("container");
+    const room = container.offsetWidth - this.sidebarWidth() - this.minContentWidth;
+    return { min: this.pageNavMin, max: Math.max(this.pageNavMin, room) };
+  },
+
+  // Same styles as updateWidths() in navtree.js
+  setPageNavWidth(width) {
+    const bounds = this.pageNavBounds();
+    width = Math.round(Math.min(bounds.max, Math.max(bounds.min, width)));
+    document.getElementById("container").style.gridTemplateColumns = "auto " + width + "px";
+    document.getElementById("page-nav").style.width = width - 1 + "px";
+    Cookie.writeSetting(this.pageNavSetting, width);
+    Cookie.writeSetting(this.navTreePageNavSetting, width);
+    this.updateSeparator(this.pageNavSeparator, width, bounds);
+  },
+
+  resetPageNavWidth() {
+    this.setPageNavWidth(this.pageNavDefault);
+    Cookie.eraseSetting(this.pageNavSetting);
+  },
+
+  initPageNavSeparator() {
+    const pageNav = document.getElementById("page-nav");
+    const separator = document.getElementById("page-nav-resize-handle");
+    const container = document.getElementById("container");
+    if (!pageNav || !separator || !container) return;
+
+    // navtree.js drags it with its own mousedown and touchstart handlers,
+    // which would only write its own setting, and without bounds
+    ["mousedown", "touchstart"].forEach((type) => {
+      document.addEventListener(type, (evt) => {
+        if (evt.target === separator) evt.stopPropagation();
+      }, true);
+    });
+
+    separator.setAttribute("aria-label", "Resize the page outline");
+    separator.setAttribute("aria-controls", "page-nav");
+    this.pageNavSeparator = separator;
+
+    this.initSeparator(separator, {
+      width: () => pageNav.offsetWidth,
+      bounds: () => this.pageNavBounds(),
+      set: (width) => this.setPageNavWidth(width),
+      reset: () => this.resetPageNavWidth(),
+      fromPointer: (evt) => container.getBoundingClientRect().right - evt.clientX + this.barWidth / 2,
+      direction: -1
+    });
+  },
+
+  // WAI-ARIA window splitter: the value is the width of the panel in pixels,
+  // `direction` is 1 when moving the separator right widens it, -1 otherwise
+  initSeparator(separator, panel) {
+    separator.setAttribute("role", "separator");
+    separator.setAttribute("aria-orientation", "vertical");
+    separator.tabIndex = 0;
+    separator.title = "Drag or use the arrow keys to resize, double click to reset";
+    this.updateSeparator(separator, panel.width(), panel.bounds());
+
+    let dragging = false;
+    separator.addEventListener("pointerdown", (evt) => {
+      if (evt.button !== 0) return;
+
+      dragging = true;
+      evt.preventDefault();
+      separator.setPointerCapture(evt.pointerId);
+      separator.classList.add("dragging");
+      document.body.classList.add("vp-resizing");
+    });
+
+    separator.addEventListener("pointermove", (evt) => {
+      if (dragging) panel.set(panel.fromPointer(evt));
+    });
+
+    const stop = (evt) => {
+      if (!dragging) return;
+
+      dragging = false;
+      if (separator.hasPointerCapture(evt.pointerId)) separator.releasePointerCapture(evt.pointerId);
+      separator.classList.remove("dragging");
+      document.body.classList.remove("vp-resizing");
+    };
+    separator.addEventListener("pointerup", stop);
+    separator.addEventListener("pointercancel", stop);
+
+    separator.addEventListener("dblclick", () => panel.reset());
+
+    separator.addEventListener("keydown", (evt) => {
+      const step = evt.shiftKey ? this.largeStep : this.step;
+      const bounds = panel.bounds();
+
+      switch (evt.key) {
+        case "ArrowRight":
+          panel.set(panel.width() + step * panel.direction);
+          break;
+        case "ArrowLeft":
+          panel.set(panel.width() - step * panel.direction);
+          break;
+        case "Home":
+          panel.set(bounds.min);
+          break;
+        case "End":
+          panel.set(bounds.max);
+          break;
+        case "Enter":
+          if (!panel.toggle) return;
+          panel.toggle();
+          break;
+        default:
+          return;
+      }
+      evt.preventDefault();
+    });
+  },
+
+  updateSeparator(separator, width, bounds) {
+    if (!separator) return;
+
+    separator.setAttribute("aria-valuenow", Math.round(width));
+    separator.setAttribute("aria-valuemin", bounds.min);
+    separator.setAttribute("aria-valuemax", bounds.max);
+  }
+};
+
+FpxLayout.restoreWidths();
+
+document.addEventListener("DOMContentLoaded", () => {
+  FpxLayout.init();
+});
@@ -0,0 +1,373 @@
+// fpx-navtree.js - Keyboard navigation and ARIA semantics of the navigation tree
+//
+// navtree.js builds the tree as nested lists of clickable links, without any
+// role or keyboard support. This turns it into a WAI-ARIA tree: the lists get
+// the tree and group roles, every <li> is a treeitem with aria-expanded, and a
+// single item is in the tab order (roving tabindex). Up and Down move between
+// the visible items, Right and Left expand and collapse, Home and End go to the
+// first and last item, Enter opens the item and typing jumps to the next item
+// starting with the typed text.
+//
+// The children of a node are created when it is first expanded, possibly after
+// loading its script (getScript/expandNode in navtree.js), so the items are
+// decorated by a MutationObserver, which also follows the arrow icons and the
+// selected item to keep aria-expanded and aria-current up to date.
+//
+// fpxNavTreeChildren() and fpxNavTreeLoadAll() read the NAVTREE data itself,
+// lazily loaded subtrees included, and fpxNavTreeEntries() the part of it
+// listed to the reader, for the top menus, the command palette, the tree
+// filter and the previous / next buttons, fpxNavTreeText() the text of its
+// titles.
+// fpxNavTreePath() finds the nodes leading to a page, for the breadcrumb.
+//
+// The same observer tells the other scripts when the tree is there, instead
+// of each one polling for it: a "navtree:ready" event is dispatched on the
+// document once the first items are built, and "navtree:navigated" every time
+// navtree.js selects another item, with the item and its link in `detail`.
+// fpxOnNavTreeReady() also calls back when the tree is already built, and
+// with null after a timeout or when the page has no tree (treeview off).
+
+const FpxNavTree = {
+  typeaheadDelay: 500,
+  readyTimeout: 5000,
+  typed: "",
+  typedAt: 0,
+  labelCount: 0,
+  isReady: false,
+  selected: null,
+
+  init() {
+    this.contents = document.getElementById("nav-tree-contents");
+    if (!this.contents) return;
+
+    this.contents.addEventListener("keydown", (evt) => this.onKey(evt));
+    this.contents.addEventListener("focusin", (evt) => this.onFocus(evt));
+    new MutationObserver(() => this.decorate()).observe(this.contents, {
+      childList: true,
+      subtree: true,
+      attributes: true,
+      attributeFilter: ["class", "id"]
+    });
+    this.decorate();
+  },
+
+  // Roles, labels and states of the items created since the last call
+  decorate() {
+    const root = this.contents.querySelector(":scope > ul");
+    if (!root) return;
+
+    if (!root.hasAttribute("role")) {
+      root.setAttribute("role", "tree");
+      root.setAttribute("aria-label", "Navigation");
+    }
+
+    root.querySelectorAll("li").forEach((li) => {
+      const item = li.querySelector(":scope > .item");
+      if (!item) return;
+
+      if (li.getAttribute("role") !== "treeitem") {
+        const label = item.querySelector(".label");
+        label.id = label.id || "fpx-nav-label-" + this.labelCount++;
+        li.setAttribute("role", "treeitem");
+        li.setAttribute("aria-labelledby", label.id);
+        li.tabIndex = -1;
+        // the links stay clickable, the item is what gets the focus
+        item.querySelectorAll("a").forEach((link) => {
+          link.tabIndex = -1;
+        });
+        item.querySelector(":scope > a")?.setAttribute("aria-hidden", "true");
+      }
+
+      const children = li.querySelector(":scope > ul.children_ul");
+      if (children && !children.hasAttribute("role")) children.setAttribute("role", "group");
+
+      const arrow = item.querySelector(".arrowhead");
+      if (arrow) li.setAttribute("aria-expanded", arrow.classList.contains("opened"));
+
+      if (item.classList.contains("selected")) li.setAttribute("aria-current", "page");
+      else li.removeAttribute("aria-current");
+    });
+
+    // the selected item, or the first one, is the one reached with Tab
+    if (!root.querySelector("[role=treeitem][tabindex='0']")) {
+      const start = root.querySelector("[aria-current=page]") || root.querySelector("[role=treeitem]");
+      if (start) start.tabIndex = 0;
+    }
+
+    this.dispatch(root);
+  },
+
+  dispatch(root) {
+    if (!this.isReady && root.querySelector("[role=treeitem]")) {
+      this.isReady = true;
+      document.dispatchEvent(new CustomEvent("navtree:ready", {
+        detail: { navTree: document.getElementById("nav-tree"), contents: this.contents }
+      }));
+    }
+
+    const selected = root.querySelector("[aria-current=page]");
+    if (selected && selected !== this.selected) {
+      this.selected = selected;
+      const link = selected.querySelector(":scope > .item .label a");
+      document.dispatchEvent(new CustomEvent("navtree:navigated", {
+        detail: { item: selected, href: link ? link.getAttribute("href") : null }
+      }));
+    }
+  },
+
+  // Items whose ancestors are all expanded, in document order
+  visibleItems() {
+    return Array.from(this.contents.querySelectorAll("[role=treeitem]")).filter((li) => {
+      for (let list = li.parentElement; list && list !== this.contents; list = list.parentElement) {
+        if (list.tagName === "UL" && list.style.display === "none") return false;
+      }
+      return true;
+    });
+  },
+
+  parentItem(li) {
+    return li.parentElement.closest("[role=treeitem]");
+  },
+
+  label(li) {
+    return li.querySelector(":scope > .item .label").textContent.trim().toLowerCase();
+  },
+
+  focus(li) {
+    if (!li) return;
+
+    this.contents.querySelectorAll("[role=treeitem][tabindex='0']").forEach((other) => {
+      other.tabIndex = -1;
+    });
+    li.tabIndex = 0;
+    li.focus();
+  },
+
+  // Clicks the arrow of `li`, which lets navtree.js load and show its children
+  toggle(li) {
+    li.querySelector(":scope > .item > a")?.click();
+  },
+
+  // A click on a link of the tree moves the roving tabindex to its item
+  onFocus(evt) {
+    const li = evt.target.closest("[role=treeitem]");
+    if (li && evt.target !== li) this.focus(li);
+  },
+
+  onKey(evt) {
+    const li = evt.target.closest("[role=treeitem]");
+    if (!li || evt.altKey || evt.ctrlKey || evt.metaKey) return;
+
+    const items = this.visibleItems();
+    const index = items.indexOf(li);
+    const expanded = li.getAttribute("aria-expanded");
+
+    switch (evt.key) {
+      case "ArrowDown":
+        this.focus(items[index + 1]);
+        break;
+      case "ArrowUp":
+        this.focus(items[index - 1]);
+        break;
+      case "Home":
+        this.focus(items[0]);
+        break;
+      case "End":
+        this.focus(items[items.length - 1]);
+        break;
+      case "ArrowRight":
+        if (expanded === "false") this.toggle(li);
+        else if (expanded === "true") this.focus(li.querySelector(":scope > ul [role=treeitem]"));
+        break;
+      case "ArrowLeft":
+        if (expanded === "true") this.toggle(li);
+        else this.focus(this.parentItem(li));
+        break;
+      case "Enter":
+        li.querySelector(":scope > .item .label a")?.click();
+        break;
+      default:
+        // "/" is left to the command palette (fpx-palette.js)
+        if (evt.key.length !== 1 || evt.key === " " || evt.key === "/") return;
+        this.typeahead(evt.key, items, index);
+    }
+    evt.preventDefault();
+  },
+
+  // Next visible item starting with the characters typed in a row
+  typeahead(key, items, index) {
+    const now = Date.now();
+    const repeated = now - this.typedAt > this.typeaheadDelay ? "" : this.typed;
+    this.typed = repeated + key.toLowerCase();
+    this.typedAt = now;
+
+    // a new search starts after the current item, a longer one may match it
+    const from = this.typed.length === 1 ? index + 1 : index;
+    for (let i = 0; i < items.length; i++) {
+      const candidate = items[(from + i) % items.length];
+      if (this.label(candidate).startsWith(this.typed)) {
+        this.focus(candidate);
+        return;
+      }
+    }
+  }
+};
+
+document.addEventListener("DOMContentLoaded", () => {
+  FpxNavTree.init();
+});
+
+// Calls `callback(navTree)` with the #nav-tree element once its items are
+// built, or `callback(null)` if that does not happen within `timeout` ms
+function fpxOnNavTreeReady(callback, timeout = FpxNavTree.readyTimeout) {
+  if (FpxNavTree.isReady) {
+    callback(document.getElementById("nav-tree"));
+    return;
+  }
+
+  let timer = null;
+  const onReady = (evt) => {
+    clearTimeout(timer);
+    callback(evt.detail.navTree);
+  };
+  document.addEventListener("navtree:ready", onReady, { once: true });
+  timer = setTimeout(() => {
+    document.removeEventListener("navtree:ready", onReady);
+    callback(null);
+  }, document.getElementById("nav-tree-contents") ? timeout : 0);
+}
+
+// Children of a NAVTREE node: an array, or the name of a script (e.g. "pages")
+// defining a variable of the same name, loaded on demand like navtree.js does
+function fpxNavTreeChildren(node) {
+  if (Array.isArray(node[2])) return node[2];
+  if (typeof node[2] === "string" && Array.isArray(window[node[2]])) return window[node[2]];
+  return [];
+}
+
+// Children of a NAVTREE node as the reader is shown them, without the pages
+// reached another way: the search results page (search.md), a page of the
+// tree for doxygen, comes from the search box only. Positions in the
+// navtreeindex*.js files count the nodes of fpxNavTreeChildren().
+function fpxNavTreeEntries(node) {
+  return fpxNavTreeChildren(node).filter((child) => child[1] !== "search.html");
+}
+
+// Text of a NAVTREE title, which is html, entities and markup included
+function fpxNavTreeText(html) {
+  const element = document.createElement("span");
+  element.innerHTML = html;
+  return element.textContent.trim();
+}
+
+// Loads every subtree script of NAVTREE and the navtreeindex*.js files
+function fpxNavTreeLoadAll(callback) {
+  if (typeof NAVTREE === "undefined") {
+    callback();
+    return;
+  }
+
+  let pending = 0;
+  const loaded = () => {
+    if (--pending === 0) callback();
+  };
+  const loadScript = (name, file = name) => {
+    pending++;
+    fpxNavTreeLoad(name, (nodes) => {
+      if (Array.isArray(nodes)) visit(nodes);
+      loaded();
+    }, file);
+  };
+  const visit = (nodes) => {
+    nodes.forEach((node) => {
+      if (typeof node[2] === "string" && !Array.isArray(window[node[2]])) {
+        loadScript(node[2]);
+      } else {
+        visit(fpxNavTreeChildren(node));
+      }
+    });
+  };
+
+  pending++;
+  visit(NAVTREE);
+  if (typeof NAVTREEINDEX !== "undefined") {
+    NAVTREEINDEX.forEach((_, i) => {
+      if (typeof window["NAVTREEINDEX" + i] === "undefined") loadScript("NAVTREEINDEX" + i, "navtreeindex" + i);
+    });
+  }
+  loaded();
+}
+
+// Callbacks waiting for a script being loaded by fpxNavTreeLoad, by file
+const fpxNavTreeLoading = new Map();
+
+// Loads the script defining the variable `name`, a subtree such as "j3" in
+// j3.js or NAVTREEINDEX1 in navtreeindex1.js, unless it is already there.
+// A script requested again while it loads is only loaded once.
+function fpxNavTreeLoad(name, callback, file = name) {
+  if (typeof window[name] !== "undefined") {
+    callback(window[name]);
+    return;
+  }
+  if (fpxNavTreeLoading.has(file)) {
+    fpxNavTreeLoading.get(file).push(callback);
+    return;
+  }
+  fpxNavTreeLoading.set(file, [callback]);
+  fpxLoadScript(file + ".js", () => {
+    const callbacks = fpxNavTreeLoading.get(file);
+    fpxNavTreeLoading.delete(file);
+    callbacks.forEach((waiting) => waiting(window[name]));
+  });
+}
+
+// Calls `callback(nodes)` with the NAVTREE nodes from the root down to the
+// page or anchor `url` (e.g. "specifications.html#autotoc_md47"), an anchor
+// missing from the tree falls back to its page. Same lookup as gotoUrl() and
+// gotoNode() in navtree.js: the navtreeindex*.js file is chosen by url, and
+// gives the position of the node below NAVTREE[0]. `callback(null)` when
+// the url is not in the tree.
+function fpxNavTreePath(url, callback) {
+  if (typeof NAVTREE === "undefined" || typeof NAVTREEINDEX === "undefined") {
+    callback(null);
+    return;
+  }
+
+  let i = 0;
+  while (i + 1 < NAVTREEINDEX.length && NAVTREEINDEX[i + 1] <= url) i++;
+
+  fpxNavTreeLoad("NAVTREEINDEX" + i, (index) => fpxNavTreeWalk(url, index, callback), "navtreeindex" + i);
+}
+
+function fpxNavTreeWalk(url, index, callback) {
+  const page = url.split("#")[0];
+  const positions = index && (index[url] || index[page]);
+  if (!positions) {
+    if (url !== page) fpxNavTreePath(page, callback);
+    else callback(null);
+    return;
+  }
+
+  const path = [NAVTREE[0]];
+  const step = (depth) => {
+    if (depth === positions.length) {
+      callback(path);
+      return;
+    }
+
+    const node = path[path.length - 1];
+    const descend = (children) => {
+      const child = Array.isArray(children) ? children[positions[depth]] : null;
+      if (!child) {
+        callback(path.length > 1 ? path : null);
+        return;
+      }
+      path.push(child);
+      step(depth + 1);
+    };
+
+    if (typeof node[2] === "string") fpxNavTreeLoad(node[2], descend);
+    else descend(node[2]);
+  };
+  step(0);
+}
@@ -0,0 +1,148 @@
+// fpx-search-history.js - Recent searches and recently visited pages
+//
+// When the search field is focused and empty, the search popup lists the last
+// queries (those that opened a result or search.html) and the last visited
+// pages, with an entry to clear both lists. They are stored with
+// Cookie.writeSetting (cookie.js) so that they survive SearchBox.Activate(false),
+// which empties the field.
+
+const FpxSearchHistory = {
+  maxQueries: 6,
+  maxPages: 6,
+  queriesSetting: "fpx_search_history",
+  pagesSetting: "fpx_recent_pages",
+
+  read(setting) {
+    try {
+      const list = JSON.parse(decodeURIComponent(Cookie.readSetting(setting, "")));
+      return Array.isArray(list) ? list : [];
+    } catch (e) {
+      return [];
+    }
+  },
+
+  // Cookies cannot hold ";" or ",", hence the uri encoding of the json
+  write(setting, list) {
+    Cookie.writeSetting(setting, encodeURIComponent(JSON.stringify(list)));
+  },
+
+  // Moves `item` to the front of the list, dropping the oldest ones
+  push(setting, item, max, same) {
+    const list = this.read(setting).filter((other) => !same(other));
+    list.unshift(item);
+    this.write(setting, list.slice(0, max));
+  },
+
+  addQuery(query) {
+    query = query.trim();
+    if (!query) return;
+
+    this.push(this.queriesSetting, query, this.maxQueries, (other) => other === query);
+  },
+
+  addPage(title, url) {
+    if (!title || !url) return;
+
+    this.push(this.pagesSetting, { title: title, url: url }, this.maxPages, (other) => other.url === url);
+  },
+
+  clear() {
+    Cookie.eraseSetting(this.queriesSetting);
+    Cookie.eraseSetting(this.pagesSetting);
+  },
+
+  // Fills the search popup with the history, nothing is shown when it is empty
+  show(box) {
+    const queries = this.read(this.queriesSetting);
+    const pages = this.read(this.pagesSetting);
+    if (queries.length === 0 && pages.length === 0) return;
+
+    const container = document.getElementById("SRResults");
+    const rootPath = box.resultsPath + "../";
+    let index = 0;
+    container.innerHTML = "";
+
+    if (queries.length > 0) {
+      container.appendChild(fpxHistoryTitle("Recent searches"));
+      queries.forEach((query) => {
+        const row = fpxResultRow(index++, "#", query);
+        row.classList.add("SRHistory");
+        fpxRowAction(row, () => {
+          box.DOMSearchField().value = query;
+          box.DOMSearchField().focus();
+          box.Search();
+        });
+        container.appendChild(row);
+      });
+    }
+
+    if (pages.length > 0) {
+      container.appendChild(fpxHistoryTitle("Recent pages"));
+      pages.forEach((page) => {
+        const row = fpxResultRow(index++, rootPath + page.url, page.title);
+        row.classList.add("SRHistory");
+        container.appendChild(row);
+      });
+    }
+
+    const clear = fpxResultRow(index++, "#", "Clear history");
+    clear.classList.add("SRClear");
+    fpxRowAction(clear, () => {
+      this.clear();
+      box.CloseResultsWindow();
+    });
+    container.appendChild(clear);
+
+    document.getElementById("Loading").style.display = "none";
+    document.getElementById("Searching").style.display = "none";
+    document.getElementById("NoMatches").style.display = "none";
+    searchResults.lastMatchCount = index;
+
+    fpxOpenResultsWindow(box);
+    box.lastSearchValue = "";
+  }
+};
+
+function fpxHistoryTitle(text) {
+  const title = document.createElement("div");
+  title.className = "SRHistoryTitle";
+  title.textContent = text;
+  return title;
+}
+
+document.addEventListener("DOMContentLoaded", () => {
+  const title = document.querySelector(".headertitle .title");
+  const page = window.location.pathname.split("/").pop();
+  if (title && page && page !== "search.html") {
+    FpxSearchHistory.addPage(title.textContent.trim(), page);
+  }
+
+  if (typeof searchBox === "undefined") return;
+
+  const isEmpty = () => searchBox.DOMSearchField().value.trim() === "";
+
+  const onFocus = searchBox.OnSearchFieldFocus;
+  searchBox.OnSearchFieldFocus = function(isActive) {
+    onFocus.call(this, isActive);
+    if (isActive && isEmpty()) FpxSearchHistory.show(this);
+  };
+
+  // Escape and the arrow keys move the focus away from the field,
+  // the history is only shown again when the field is cleared by typing
+  const onChange = searchBox.OnSearchFieldChange;
+  searchBox.OnSearchFieldChange = function(evt) {
+    const result = onChange.call(this, evt);
+    if (isEmpty() && document.activeElement === this.DOMSearchField()) FpxSearchHistory.show(this);
+    return result;
+  };
+
+  // A query is remembered once one of its results is opened, the rows of
+  // the history and the "did you mean" suggestions only fill in the field
+  document.getElementById("SRResults")?.addEventListener("click", (evt) => {
+    const link = evt.target.closest("a.SRSymbol");
+    const row = link && link.closest(".SRResult");
+    if (row && !row.matches(".SRHistory, .SRClear, .SRSuggestion")) {
+      FpxSearchHistory.addQuery(searchBox.DOMSearchField().value);
+    }
+  });
+});
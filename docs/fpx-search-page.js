@@ -0,0 +1,266 @@
+// fpx-search-page.js - Full page search results (search.html)
+//
+// Lists every result of FpxSearch (fpx-search.js) for the `q` parameter of the
+// url, with one filter per doxygen search category (indexSectionLabels) and
+// pagination. The query, the category and the page are kept in the url
+// (search.html?q=...&cat=functions&page=2) so that a search can be shared.
+// A query without results links to the queries suggested by FpxSearch.suggest().
+
+const FpxSearchPage = {
+  pageSize: 20,
+  maxResults: 1000,
+  query: "",
+  category: 0,
+  page: 1,
+  results: [],
+
+  init() {
+    this.form = document.getElementById("fpx-search-form");
+    this.field = document.getElementById("fpx-search-query");
+    this.filters = document.getElementById("fpx-search-filters");
+    this.summary = document.getElementById("fpx-search-summary");
+    this.list = document.getElementById("fpx-search-results");
+    this.pages = document.getElementById("fpx-search-pages");
+    if (!this.form || !this.list) return;
+
+    this.form.addEventListener("submit", (evt) => {
+      evt.preventDefault();
+      this.navigate(this.field.value.trim(), this.category, 1);
+    });
+    window.addEventListener("popstate", () => {
+      this.readUrl();
+      this.update();
+    });
+
+    this.readUrl();
+    this.summary.textContent = "Loading...";
+    FpxSearch.load("search/", (loaded) => {
+      if (!loaded) {
+        this.summary.textContent = "The search index could not be loaded.";
+        return;
+      }
+      this.update();
+    });
+  },
+
+  readUrl() {
+    const params = new URLSearchParams(window.location.search);
+    const category = Object.keys(indexSectionNames).find((key) => indexSectionNames[key] === params.get("cat"));
+
+    this.query = (params.get("q") || "").trim();
+    this.category = category ? Number(category) : 0;
+    this.page = Math.max(1, parseInt(params.get("page"), 10) || 1);
+    this.field.value = this.query;
+  },
+
+  url(query, category, page) {
+    const params = new URLSearchParams();
+    if (query) params.set("q", query);
+    if (category) params.set("cat", indexSectionNames[category]);
+    if (page > 1) params.set("page", page);
+
+    const search = params.toString();
+    return window.location.pathname + (search ? "?" + search : "");
+  },
+
+  navigate(query, category, page) {
+    history.pushState(null, "", this.url(query, category, page));
+    this.readUrl();
+    this.update();
+  },
+
+  update() {
+    if (this.query && typeof FpxSearchHistory !== "undefined") {
+      FpxSearchHistory.addQuery(this.query);
+    }
+
+    if (this.query) {
+      const textResults = FpxSearch.searchText(this.query, this.maxResults).map((passage) => ({ passage: passage }));
+      this.results = FpxSearch.search(this.query, 0, this.maxResults)
+        .map((entry) => ({ entry: entry }))
+        .concat(textResults);
+    } else {
+      this.results = [];
+    }
+
+    document.title = document.title.replace(/:.*$/, ": Search" + (this.query ? " – " + this.query : ""));
+    this.renderFilters();
+    this.renderResults();
+  },
+
+  // Page text belongs to the "Pages" category, symbols to their own
+  resultCategory(result) {
+    if (result.entry) return result.entry.category;
+    return Number(Object.keys(indexSectionNames).find((key) => indexSectionNames[key] === "pages"));
+  },
+
+  filtered() {
+    if (!this.category) return this.results;
+    return this.results.filter((result) => this.resultCategory(result) === this.category);
+  },
+
+  renderFilters() {
+    const counts = {};
+    this.results.forEach((result) => {
+      const category = this.resultCategory(result);
+      counts[category] = (counts[category] || 0) + 1;
+    });
+    counts[0] = this.results.length;
+
+    this.filters.innerHTML = "";
+    Object.keys(indexSectionLabels).forEach((key) => {
+      const category = Number(key);
+      const button = document.createElement("button");
+      button.type = "button";
+      button.className = "fpx-search-filter";
+      button.setAttribute("aria-pressed", category === this.category);
+      button.disabled = !counts[category] && category !== this.category;
+      button.innerHTML = indexSectionLabels[key] + " <span class=\"fpx-search-count\">" + (counts[category] || 0) + "</span>";
+      button.addEventListener("click", () => this.navigate(this.query, category, 1));
+      this.filters.appendChild(button);
+    });
+  },
+
+  renderResults() {
+    const results = this.filtered();
+    const pageCount = Math.max(1, Math.ceil(results.length / this.pageSize));
+    const page = Math.min(this.page, pageCount);
+    const first = (page - 1) * this.pageSize;
+    const shown = results.slice(first, first + this.pageSize);
+
+    if (!this.query) {
+      this.summary.textContent = "Type a symbol, a file or some words of the documentation. " +
+        "Narrow the results with module::symbol, kind:interface, file:macro.f90 or group:Conditional.";
+    } else if (results.length === 0) {
+      this.summary.textContent = "No results for “" + this.query + "”.";
+      this.renderSuggestions();
+    } else {
+      this.summary.textContent = results.length + (results.length === 1 ? " result" : " results") +
+        " for “" + this.query + "”" +
+        (pageCount > 1 ? ", showing " + (first + 1) + "–" + (first + shown.length) : "") + ".";
+    }
+
+    this.list.innerHTML = "";
+    this.list.start = first + 1;
+    const words = fpxSearchWords(this.query);
+    shown.forEach((result) => {
+      this.list.appendChild(result.entry ? this.entryItem(result.entry) : this.passageItem(result.passage, words));
+    });
+
+    this.renderPages(page, pageCount);
+  },
+
+  // "Did you mean" links, see FpxSearch.suggest()
+  renderSuggestions() {
+    const suggestions = FpxSearch.suggest(this.query, (query) =>
+      FpxSearch.search(query, 0, 1).length > 0 || FpxSearch.searchText(query, 1).length > 0
+    );
+    if (suggestions.length === 0) return;
+
+    this.summary.appendChild(document.createTextNode(" Did you mean "));
+    suggestions.forEach((suggestion, i) => {
+      if (i > 0) this.summary.appendChild(document.createTextNode(i === suggestions.length - 1 ? " or " : ", "));
+
+      const link = document.createElement("a");
+      link.className = "fpx-search-suggestion";
+      link.href = this.url(suggestion, 0, 1);
+      link.textContent = suggestion;
+      link.addEventListener("click", (evt) => {
+        evt.preventDefault();
+        this.navigate(suggestion, 0, 1);
+      });
+      this.summary.appendChild(link);
+    });
+    this.summary.appendChild(document.createTextNode("?"));
+  },
+
+  entryItem(entry) {
+    const item = document.createElement("li");
+    item.className = "fpx-search-result";
+
+    const link = document.createElement("a");
+    link.className = "fpx-search-name";
+    link.href = entry.url;
+    link.textContent = entry.name;
+    item.appendChild(link);
+
+    this.appendLabel(item, "fpx-search-kind", entry.kind);
+    this.appendLabel(item, "fpx-search-scope", entry.scope);
+    this.appendLabel(item, "fpx-search-scope", entry.file);
+
+    if (entry.brief) {
+      const brief = document.createElement("div");
+      brief.className = "fpx-search-text";
+      brief.textContent = entry.brief;
+      item.appendChild(brief);
+    }
+    return item;
+  },
+
+  passageItem(passage, words) {
+    const item = document.createElement("li");
+    item.className = "fpx-search-result";
+
+    const link = document.createElement("a");
+    link.className = "fpx-search-name";
+    link.href = fpxPassageUrl(passage, this.query, "");
+    link.textContent = passage.section;
+    item.appendChild(link);
+
+    this.appendLabel(item, "fpx-search-kind", "text");
+    if (passage.page !== passage.section) this.appendLabel(item, "fpx-search-scope", passage.page);
+
+    const snippet = document.createElement("div");
+    snippet.className = "fpx-search-text";
+    snippet.innerHTML = fpxSnippet(passage, words);
+    item.appendChild(snippet);
+    return item;
+  },
+
+  appendLabel(item, className, text) {
+    if (!text) return;
+
+    const label = document.createElement("span");
+    label.className = className;
+    label.textContent = text;
+    item.appendChild(label);
+  },
+
+  // Previous, first, pages around the current one, last, next
+  renderPages(page, pageCount) {
+    this.pages.innerHTML = "";
+    if (pageCount <= 1) return;
+
+    const addLink = (label, target, current) => {
+      const link = document.createElement("a");
+      link.textContent = label;
+      link.href = this.url(this.query, this.category, target);
+      if (current) link.setAttribute("aria-current", "page");
+      link.addEventListener("click", (evt) => {
+        evt.preventDefault();
+        this.navigate(this.query, this.category, target);
+        window.scrollTo(0, 0);
+      });
+      this.pages.appendChild(link);
+    };
+    const addGap = () => {
+      const gap = document.createElement("span");
+      gap.textContent = "…";
+      this.pages.appendChild(gap);
+    };
+
+    if (page > 1) addLink("‹ Previous", page - 1, false);
+    for (let i = 1; i <= pageCount; i++) {
+      if (i === 1 || i === pageCount || Math.abs(i - page) <= 2) {
+        addLink(String(i), i, i === page);
+      } else if (i === 2 || i === pageCount - 1) {
+        addGap();
+      }
+    }
+    if (page < pageCount) addLink("Next ›", page + 1, false);
+  }
+};
+
+document.addEventListener("DOMContentLoaded", () => {
+  FpxSearchPage.init();
+});
@@ -0,0 +1,110 @@
+// fpx-search-preview.js - Preview of the focused result of the search popup
+//
+// Hovering a result, or moving to it with the arrow keys, shows a card next to
+// the popup with what the name alone does not tell: the signature and the brief
+// description of a procedure (so that add_item_from_name and
+// add_item_from_name_and_value can be told apart), the page of a section, or
+// the whole passage of a page text result. The data comes from the rows
+// registered in FpxSearch.rows by fpxRenderResults() and fpxRenderTextResults().
+
+const FpxSearchPreview = {
+  passageLength: 400,
+  width: 320,
+  gap: 8,
+
+  create() {
+    this.element = document.createElement("div");
+    this.element.id = "SRPreview";
+    this.element.className = "SRPreview";
+    this.element.hidden = true;
+    this.element.setAttribute("aria-live", "polite");
+    document.body.appendChild(this.element);
+  },
+
+  show(row) {
+    const data = row && FpxSearch.rows.get(row);
+    const resultsWindow = document.getElementById("MSearchResultsWindow");
+    if (!data || !resultsWindow || resultsWindow.style.display !== "block") {
+      this.hide();
+      return;
+    }
+
+    if (!this.element) this.create();
+    if (this.row === row && !this.element.hidden) return;
+    this.row = row;
+
+    this.element.innerHTML = "";
+    if (data.entry) this.renderEntry(data.entry);
+    else this.renderPassage(data.passage);
+
+    // left of the popup, which sits at the right of the header, or below it
+    // when there is no room. The offsets leave out the slide in animation,
+    // the css applies the same translation as the popup.
+    let left = resultsWindow.offsetLeft - this.width - this.gap;
+    let top = resultsWindow.offsetTop;
+    if (left < this.gap) {
+      left = Math.max(this.gap, resultsWindow.offsetLeft + resultsWindow.offsetWidth - this.width);
+      top += resultsWindow.offsetHeight + this.gap;
+    }
+    this.element.style.left = left + "px";
+    this.element.style.top = top + "px";
+    this.element.style.width = this.width + "px";
+    this.element.hidden = false;
+  },
+
+  hide() {
+    this.row = null;
+    if (this.element) this.element.hidden = true;
+  },
+
+  renderEntry(entry) {
+    this.append("div", "SRPreviewName", entry.name);
+    this.append("div", "SRPreviewKind", [entry.kind, entry.scope].filter(Boolean).join(" · "));
+    if (entry.signature) this.append("code", "SRPreviewSignature", entry.signature);
+    if (entry.brief) this.append("div", "SRPreviewBrief", entry.brief);
+    this.append("div", "SRPreviewPlace", [entry.file, entry.group].filter(Boolean).join(" · "));
+  },
+
+  renderPassage(passage) {
+    this.append("div", "SRPreviewName", passage.section);
+    if (passage.page !== passage.section) this.append("div", "SRPreviewKind", passage.page);
+
+    let text = passage.text;
+    if (text.length > this.passageLength) text = text.substring(0, this.passageLength).replace(/\s+\S*$/, "") + "…";
+    this.append("div", "SRPreviewBrief", text);
+  },
+
+  append(tag, className, text) {
+    if (!text) return;
+
+    const element = document.createElement(tag);
+    element.className = className;
+    element.textContent = text;
+    this.element.appendChild(element);
+  }
+};
+
+document.addEventListener("DOMContentLoaded", () => {
+  const results = document.getElementById("SRResults");
+  if (!results || typeof searchBox === "undefined") return;
+
+  results.addEventListener("mouseover", (evt) => {
+    FpxSearchPreview.show(evt.target.closest(".SRResult"));
+  });
+  results.addEventListener("focusin", (evt) => {
+    FpxSearchPreview.show(evt.target.closest(".SRResult"));
+  });
+
+  // the rows are replaced on every keystroke and the popup closes on Escape,
+  // on a click elsewhere and when a result is opened
+  const onChange = searchBox.OnSearchFieldChange;
+  searchBox.OnSearchFieldChange = function(evt) {
+    FpxSearchPreview.hide();
+    return onChange.call(this, evt);
+  };
+  const close = searchBox.CloseResultsWindow;
+  searchBox.CloseResultsWindow = function() {
+    FpxSearchPreview.hide();
+    return close.apply(this, arguments);
+  };
+});
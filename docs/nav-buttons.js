@@ -1,82 +1,105 @@
 // nav-buttons.js - Automatic Previous / Next buttons placed in nav-path (bottom)
 
+// The order is the one of the documentation, read from the NAVTREE data with
+// every lazily loaded subtree (fpxNavTreeLoadAll, see fpx-navtree.js), so it
+// does not depend on which nodes of the tree are expanded. Only pages count,
+// the entries pointing to a section of a page (index.html#autotoc_md1) are
+// skipped. Each button shows the title of the parent of the page, '[' and ']'
+// go to the previous and next page.
 document.addEventListener('DOMContentLoaded', function() {
-    const interval = setInterval(() => {
-        // Check if the DOM element exists
-        const nav = document.querySelector('#nav-tree-contents')
-        if (nav) {
-            clearInterval(interval); // Stop the interval
-            const treeLinks = Array.from(nav.querySelectorAll("ul a[class$='.html']"));
-            // Get current page URL
-            let currentUrl = window.location.pathname.replace(/^.*[\\/]/, '');
-            if (currentUrl.endsWith('/')) currentUrl += 'index.html';
+    if (typeof NAVTREE === 'undefined') return;
 
-            // Find current index
-            let currentIndex = -1;
-            for (let i = 0; i < treeLinks.length; i++) {
-                let href = treeLinks[i].getAttribute('href');
-                if (!href) continue;
+    fpxNavTreeLoadAll(() => {
+        const pages = navButtonsPages();
 
-                let linkUrl = new URL(href, window.location.origin).pathname.replace(/^.*[\\/]/, '');
-                if (linkUrl.endsWith('/')) linkUrl += 'index.html';
+        let currentUrl = window.location.pathname.replace(/^.*[\\/]/, '');
+        if (currentUrl === '') currentUrl = 'index.html';
 
-                if (linkUrl === currentUrl) {
-                    currentIndex = i;
-                    break;
-                }
-            }
+        const currentIndex = pages.findIndex((page) => page.url === currentUrl);
+        if (currentIndex === -1) return;
 
-            if (currentIndex === -1) {
-                console.error("Problem with the current index");
-                return
-            };
+        const prev = pages[currentIndex - 1];
+        const next = pages[currentIndex + 1];
+        if (!prev && !next) return;
 
-            const prev = currentIndex > 0 ? treeLinks[currentIndex - 1] : null;
-            const next = currentIndex < treeLinks.length - 1 ? treeLinks[currentIndex + 1] : null;
+        const nav = document.createElement('nav');
+        nav.className = 'nav-buttons';
+        nav.setAttribute('aria-label', 'Previous and next page');
+        nav.appendChild(navButtonsCard(prev, 'prev', 'Previous'));
+        nav.appendChild(navButtonsCard(next, 'next', 'Next'));
 
-            const navHTML = `
-                <div class="section_buttons">
-                    <table class="markdownTable">
-                        <tbody>
-                            <tr class="markdownTableHead">
-                                <th class="markdownTableHeadLeft">Previous  </th>
-                                <th class="markdownTableHeadRight">Next  </th>
-                            </tr>
-                            <tr class="markdownTableRowOdd">
-                                <td class="markdownTableBodyLeft">
-                                    ${prev ? `
-                                        <a href="${prev.getAttribute('href')}">
-                                            ${prev.textContent.trim()}
-                                        </a>
-                                    ` : ''}
-                                </td>
-                                <td class="markdownTableBodyRight">
-                                    ${next ? `
-                                        <a href="${next.getAttribute('href')}">
-                                            ${next.textContent.trim()}
-                                         </a>
-                                    ` : ''}
-                                </td>
-                            </tr>
-                        </tbody>
-                    </table>
-                </div>
-            `;
-            // Insert into nav-path (the breadcrumb/footer area)
-            const docContent = document.querySelector('#doc-content') || 
-                       document.querySelector('.contents') || 
-                       document.querySelector('#main-content');
-            if (docContent) {
-                docContent.insertAdjacentHTML('beforeend', navHTML);
-            }
+        // Insert at the bottom of the page content
+        const docContent = document.querySelector('#doc-content') ||
+                   document.querySelector('.contents') ||
+                   document.querySelector('#main-content');
+        if (docContent) {
+            docContent.appendChild(nav);
         }
-    }, 100); // Check every 100 milliseconds
+
+        document.addEventListener('keydown', (e) => {
+            const target = e.target;
+            const editing = target.isContentEditable || /^(INPUT|TEXTAREA|SELECT)$/.test(target.tagName);
+            if (editing || e.ctrlKey || e.metaKey || e.altKey) return;
+            // the typeahead of the tree (fpx-navtree.js) takes every key
+            if (e.defaultPrevented || target.closest('[role=tree]')) return;
+
+            const page = e.key === '[' ? prev : e.key === ']' ? next : null;
+            if (!page) return;
+
+            e.preventDefault();
+            window.location.href = page.url;
+        });
+    });
 });
 
-function createElementFromHTML(htmlString) {
-  var div = document.createElement('div');
-  div.innerHTML = htmlString.trim();
+// Pages of the tree in document order, each one once, as { url, title, section }
+function navButtonsPages() {
+    const pages = [];
+    const seen = new Set();
+
+    const visit = (nodes, parent) => {
+        nodes.forEach((node) => {
+            const url = node[1] ? node[1].replace(/^\^/, '') : '';
+            if (url && !url.includes('#') && !seen.has(url)) {
+                seen.add(url);
+                pages.push({
+                    url: url,
+                    title: fpxNavTreeText(node[0]),
+                    // the project itself is no section
+                    section: parent && parent !== NAVTREE[0] ? fpxNavTreeText(parent[0]) : ''
+                });
+            }
+            visit(fpxNavTreeEntries(node), node);
+        });
+    };
+    visit(NAVTREE, null);
+
+    return pages;
+}
+
+function navButtonsCard(page, rel, label) {
+    if (!page) {
+        // keeps the next button on the right when there is no previous page
+        const empty = document.createElement('span');
+        empty.className = 'nav-button nav-button-empty';
+        return empty;
+    }
 
-  // Change this to div.childNodes to support multiple top-level nodes.
-  return div.firstChild;
-}
\ No newline at end of file
+    const card = document.createElement('a');
+    card.className = 'nav-button nav-button-' + rel;
+    card.href = page.url;
+    card.rel = rel;
+    const key = rel === 'prev' ? '[' : ']';
+    card.title = label + ' page (' + key + ')';
+    card.setAttribute('aria-keyshortcuts', key);
+    card.innerHTML = `
+        <span class="nav-button-label"></span>
+        <span class="nav-button-section"></span>
+        <span class="nav-button-title"></span>
+    `;
+    card.querySelector('.nav-button-label').textContent = label;
+    card.querySelector('.nav-button-section').textContent = page.section;
+    card.querySelector('.nav-button-title').textContent = page.title;
+    if (!page.section) card.querySelector('.nav-button-section').remove();
+    return card;
+}
@@ -248,6 +248,7 @@ var NAVTREEINDEX0 =
 "requirements.html#autotoc_md43":[1,4,0,3,3],
 "requirements.html#autotoc_md44":[1,4,0,3,4],
 "requirements.html#autotoc_md45":[1,4,0,3,5],
+"search.html":[1,5],
 "specifications.html":[1,4,1],
 "specifications.html#autotoc_md46":[1,4,1,0]
 };
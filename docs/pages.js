@@ -44,5 +44,6 @@ var pages =
       ] ],
       [ "cpp", "integration.html#autotoc_md23", null ]
     ] ],
-    [ "J3 specifications", "j3.html", "j3" ]
+    [ "J3 specifications", "j3.html", "j3" ],
+    [ "Search", "search.html", null ]
 ];
\ No newline at end of file
@@ -0,0 +1,2553 @@
+// Generated by tools/build-search-index.js, do not edit
+// [url, section, page, text]
+var searchFullTextData =
+[
+  ["cheatsheet.html#autotoc_md13","CLI Quick Commands","Cheatsheet","fpx file.F90 -> print to screen fpx file.F90 -o out.f90 -> write to file fpx -DDEBUG=1 -Iinc file.F90 -> define macro + include path fpx -> interactive REPL (great for testing) fpx -v -> show version fpx -h -> show help"],
+  ["cheatsheet.html#autotoc_md14","Most Common Directives","Cheatsheet","Directive Meaning & Example"],
+  ["cheatsheet.html#autotoc_md14","Most Common Directives","Cheatsheet","#define NAME value Object-like macro -> NAME becomes value"],
+  ["cheatsheet.html#autotoc_md14","Most Common Directives","Cheatsheet","#define PI 3.1415926535"],
+  ["cheatsheet.html#autotoc_md14","Most Common Directives","Cheatsheet","#define FUNC(x) x*x Function-like macro"],
+  ["cheatsheet.html#autotoc_md14","Most Common Directives","Cheatsheet","real :: y = FUNC(5.0) -> real :: y = 5.0*5.0"],
+  ["cheatsheet.html#autotoc_md14","Most Common Directives","Cheatsheet","#define LOG(...) print *, __VA_ARGS__ Variadic macro (C99-style)"],
+  ["cheatsheet.html#autotoc_md14","Most Common Directives","Cheatsheet","#undef NAME Remove a macro"],
+  ["cheatsheet.html#autotoc_md14","Most Common Directives","Cheatsheet","#ifdef NAME ... #endif If NAME is defined"],
+  ["cheatsheet.html#autotoc_md14","Most Common Directives","Cheatsheet","#ifndef NAME ... #endif Classic header guard (most common)"],
+  ["cheatsheet.html#autotoc_md14","Most Common Directives","Cheatsheet","#if DEBUG >= 2 ... Full expressions allowed (&&, !, defined(NAME))"],
+  ["cheatsheet.html#autotoc_md14","Most Common Directives","Cheatsheet","#include \"file.inc\" Local include (quotes)"],
+  ["cheatsheet.html#autotoc_md14","Most Common Directives","Cheatsheet","#include <iso_c_binding.h> System include (angle brackets)"],
+  ["cheatsheet.html#autotoc_md15","Built-in Predefined Macros","Cheatsheet","Macro Expands to..."],
+  ["cheatsheet.html#autotoc_md15","Built-in Predefined Macros","Cheatsheet","__FILE__ \"full/path/to/file.F90\""],
+  ["cheatsheet.html#autotoc_md15","Built-in Predefined Macros","Cheatsheet","__FILENAME__ \"file.F90\" (basename only)"],
+  ["cheatsheet.html#autotoc_md15","Built-in Predefined Macros","Cheatsheet","__LINE__ Current line number (integer)"],
+  ["cheatsheet.html#autotoc_md15","Built-in Predefined Macros","Cheatsheet","__DATE__ \"Aug 12 2025\""],
+  ["cheatsheet.html#autotoc_md15","Built-in Predefined Macros","Cheatsheet","__TIME__ \"14:35:27\""],
+  ["cheatsheet.html#autotoc_md15","Built-in Predefined Macros","Cheatsheet","__TIMESTAMP__ \"Tue Aug 12 2025 14:35:27\""],
+  ["cheatsheet.html#autotoc_md15","Built-in Predefined Macros","Cheatsheet","__FUNC__ Current function/subroutine name"],
+  ["cheatsheet.html#autotoc_md16","Advanced Macro Tricks","Cheatsheet","#define STRINGIFY(x) #x #define CONCAT(a,b) a ## _ ## b #define DEBUG_PRINT(...) print *, \"[DEBUG] \", __FILE__, \":\", __LINE__, \" -> \", __VA_ARGS__ #define ASSERT(cond) if (.not.(cond)) then; error stop \"Assertion failed: \" // STRINGIFY(cond); end if integer :: CONCAT(var,123) ! var_123"],
+  ["cheatsheet.html#autotoc_md17","Common Patterns","Cheatsheet","! Header guard (recommended) #ifndef MY_MODULE_MOD #define MY_MODULE_MOD #endif module my_module content ! Feature toggles #ifdef USE_MPI use mpi_f08, only: mpi_comm_world #else integer, parameter :: & MPI_COMM_WORLD = -1 #endif ! Conditional compilation #if defined(DEBUG) && DEBUG > 0 print *, 'Debug mode active' #endif"],
+  ["cheatsheet.html#autotoc_md18","fpx extensions","Cheatsheet","#for T in [integer, real, complex] type(T) :: value #endfor ! Expands to: type(integer) :: value type(real) :: value type(complex) :: value"],
+  ["cheatsheet.html#autotoc_md19","Using fpx as a Library (in your own code)","Cheatsheet","Add include paths"],
+  ["cheatsheet.html#autotoc_md19","Using fpx as a Library (in your own code)","Cheatsheet","use fpx_parser use fpx_global global%includedir = ['./inc', '../common']"],
+  ["cheatsheet.html#autotoc_md19","Using fpx as a Library (in your own code)","Cheatsheet","fpx_global::global"],
+  ["cheatsheet.html#autotoc_md19","Using fpx as a Library (in your own code)","Cheatsheet","type(global_settings), public global"],
+  ["cheatsheet.html#autotoc_md19","Using fpx as a Library (in your own code)","Cheatsheet","Global preprocessor configuration instance."],
+  ["cheatsheet.html#autotoc_md19","Using fpx as a Library (in your own code)","Cheatsheet","Definition global.f90:192"],
+  ["cheatsheet.html#autotoc_md19","Using fpx as a Library (in your own code)","Cheatsheet","Add predefined macros & preprocess"],
+  ["cheatsheet.html#autotoc_md19","Using fpx as a Library (in your own code)","Cheatsheet","use fpx_parser use fpx_global !add version macro call add(global%macros, macro('_VERSION', '1.0.0')) !preprocess call preprocess('src/main.F90', 'build/main.f90')"],
+  ["cheatsheet.html#autotoc_md19","Using fpx as a Library (in your own code)","Cheatsheet","fpx_parser::preprocess"],
+  ["cheatsheet.html#autotoc_md19","Using fpx as a Library (in your own code)","Cheatsheet","Generic interface to start preprocessing from various sources/sinks."],
+  ["cheatsheet.html#autotoc_md19","Using fpx as a Library (in your own code)","Cheatsheet","Definition parser.f90:137"],
+  ["conditional_8f90.html","conditional.f90","conditional.f90","Go to the source code of this file."],
+  ["constants_8f90.html","constants.f90","constants.f90","Go to the source code of this file."],
+  ["context_8f90.html","context.f90","context.f90","Go to the source code of this file."],
+  ["date_8f90.html","date.f90","date.f90","Go to the source code of this file."],
+  ["define_8f90.html","define.f90","define.f90","Go to the source code of this file."],
+  ["diagnostics_8f90.html","diagnostics.f90","diagnostics.f90","Go to the source code of this file."],
+  ["files.html","Files","Files","Here is a list of all documented files with brief descriptions:"],
+  ["files.html","Files","Files","conditional.f90"],
+  ["files.html","Files","Files","constants.f90"],
+  ["files.html","Files","Files","context.f90"],
+  ["files.html","Files","Files","date.f90"],
+  ["files.html","Files","Files","define.f90"],
+  ["files.html","Files","Files","diagnostics.f90"],
+  ["files.html","Files","Files","global.f90"],
+  ["files.html","Files","Files","graph.f90"],
+  ["files.html","Files","Files","include.f90"],
+  ["files.html","Files","Files","line.f90"],
+  ["files.html","Files","Files","logging.f90"],
+  ["files.html","Files","Files","loop.f90"],
+  ["files.html","Files","Files","macro.f90"],
+  ["files.html","Files","Files","operators.f90"],
+  ["files.html","Files","Files","os.f90"],
+  ["files.html","Files","Files","parser.f90"],
+  ["files.html","Files","Files","path.f90"],
+  ["files.html","Files","Files","string.f90"],
+  ["files.html","Files","Files","token.f90"],
+  ["global_8f90.html","global.f90","global.f90","Go to the source code of this file."],
+  ["graph_8f90.html","graph.f90","graph.f90","Go to the source code of this file."],
+  ["group__group__conditional.html#details","Definition","Conditional","Conditional support for the fpx preprocessor."],
+  ["group__group__conditional.html#details","Definition","Conditional","This module implements the complete conditional compilation machinery used by fpx. It provides functionality equivalent to the traditional C preprocessor directives while also introducing a few convenience extensions."],
+  ["group__group__conditional.html#details","Definition","Conditional","Supported directives include:"],
+  ["group__group__conditional.html#details","Definition","Conditional","#if / #elif Evaluate arbitrary constant expressions using evaluate_expression()."],
+  ["group__group__conditional.html#details","Definition","Conditional","#ifdef / #ifndef Test whether a macro has been defined."],
+  ["group__group__conditional.html#details","Definition","Conditional","#elifdef / #elifndef fpx extensions combining #elif semantics with macro existence tests."],
+  ["group__group__conditional.html#details","Definition","Conditional","#else Select the fallback branch when no previous branch in the same conditional group has been activated."],
+  ["group__group__conditional.html#details","Definition","Conditional","#endif Terminate the current conditional block."],
+  ["group__group__conditional.html#details","Definition","Conditional","Nested conditional blocks are supported up to MAX_COND_DEPTH levels."],
+  ["group__group__conditional.html#details","Definition","Conditional","The implementation follows the standard \"first-match\" semantics: once a branch of a conditional group evaluates to true, all remaining #elif, #elifdef, #elifndef, and #else directives belonging to the same group are ignored."],
+  ["group__group__conditional.html#details","Definition","Conditional","Internally, the module maintains a stack of conditional states (cond_stack) together with the current nesting depth (cond_depth). The helper function is_active() determines whether the current source line belongs to an active branch and therefore should be processed by the remainder of the preprocessor."],
+  ["group__group__conditional.html#conditional_design","Design","Conditional","Each active conditional nesting level stores two pieces of state:"],
+  ["group__group__conditional.html#conditional_design","Design","Conditional","active Indicates whether the current branch should emit code."],
+  ["group__group__conditional.html#conditional_design","Design","Conditional","has_met Indicates whether a previous branch within the same #if/#elif/#else group has already been selected."],
+  ["group__group__conditional.html#conditional_design","Design","Conditional","This design allows efficient evaluation of deeply nested conditionals while preserving correct first-match semantics."],
+  ["group__group__conditional.html#conditional_examples","Examples","Conditional","Include guard pattern:"],
+  ["group__group__conditional.html#conditional_examples","Examples","Conditional","#ifndef MY_HEADER_H #define MY_HEADER_H ! Header contents #endif"],
+  ["group__group__conditional.html#conditional_examples","Examples","Conditional","Feature selection using expression evaluation:"],
+  ["group__group__conditional.html#conditional_examples","Examples","Conditional","#if DEBUG >= 2 print *, 'Verbose debugging' #elif DEBUG == 1 print *, 'Standard debugging' #else ! Silent mode #endif"],
+  ["group__group__conditional.html#conditional_examples","Examples","Conditional","Platform-dependent compilation:"],
+  ["group__group__conditional.html#conditional_examples","Examples","Conditional","#ifdef _OPENMP use omp_lib #else integer, parameter :: omp_get_thread_num = 0 #endif"],
+  ["group__group__conditional.html#conditional_examples","Examples","Conditional","Conditional compilation using macro existence:"],
+  ["group__group__conditional.html#conditional_examples","Examples","Conditional","#if defined(USE_MPI) && (MPI_VERSION >= 3) use mpi_f08 #endif"],
+  ["group__group__conditional.html#conditional_examples","Examples","Conditional","Using the fpx extension #elifdef:"],
+  ["group__group__conditional.html#conditional_examples","Examples","Conditional","#ifdef USE_CUDA call gpu_backend() #elifdef USE_OPENMP call omp_backend() #else call serial_backend() #endif"],
+  ["group__group__conditional.html#conditional_examples","Examples","Conditional","Nested conditionals:"],
+  ["group__group__conditional.html#conditional_examples","Examples","Conditional","#ifdef DEBUG #if DEBUG > 1 print *, 'Extra diagnostics' #endif #endif"],
+  ["group__group__conditional.html#ga7f648ff45bb2b891f3fe9a4d602a8f0a","cond_depth","Conditional","Current nesting depth of conditional directives (0 = outside any if)."],
+  ["group__group__conditional.html#gad60907aee6f590d292a06630c10a090c","cond_stack","Conditional","Global stack of conditional states (depth-limited)."],
+  ["group__group__conditional.html#ga912ae461f58529d799b8ad2455c78491","handle_elif()","Conditional","Process elif - alternative branch after if/elif Only activates if no previous branch in the group was taken."],
+  ["group__group__conditional.html#ga912ae461f58529d799b8ad2455c78491","handle_elif()","Conditional","Parameters"],
+  ["group__group__conditional.html#ga912ae461f58529d799b8ad2455c78491","handle_elif()","Conditional","[in] ctx Context source line containing the directive"],
+  ["group__group__conditional.html#ga912ae461f58529d799b8ad2455c78491","handle_elif()","Conditional","[in,out] macros Current macro table"],
+  ["group__group__conditional.html#ga912ae461f58529d799b8ad2455c78491","handle_elif()","Conditional","[in] token Usually 'elif'"],
+  ["group__group__conditional.html#gae350be9571cf5e4ebba32981a9420a59","handle_elifdef()","Conditional","Process elifdef - test if a macro is defined."],
+  ["group__group__conditional.html#gae350be9571cf5e4ebba32981a9420a59","handle_elifdef()","Conditional","Parameters"],
+  ["group__group__conditional.html#gae350be9571cf5e4ebba32981a9420a59","handle_elifdef()","Conditional","[in] ctx Context source line containing the directive"],
+  ["group__group__conditional.html#gae350be9571cf5e4ebba32981a9420a59","handle_elifdef()","Conditional","[in] macros Current macro table"],
+  ["group__group__conditional.html#gae350be9571cf5e4ebba32981a9420a59","handle_elifdef()","Conditional","[in] token Usually 'elifdef'"],
+  ["group__group__conditional.html#gac193f6006f80922cc9bc1435ea38d355","handle_elifndef()","Conditional","Process elifndef - test if a macro is not defined."],
+  ["group__group__conditional.html#gac193f6006f80922cc9bc1435ea38d355","handle_elifndef()","Conditional","Parameters"],
+  ["group__group__conditional.html#gac193f6006f80922cc9bc1435ea38d355","handle_elifndef()","Conditional","[in] ctx Context source line containing the directive"],
+  ["group__group__conditional.html#gac193f6006f80922cc9bc1435ea38d355","handle_elifndef()","Conditional","[in] macros Current macro table"],
+  ["group__group__conditional.html#gac193f6006f80922cc9bc1435ea38d355","handle_elifndef()","Conditional","[in] token Usually 'elifndef'"],
+  ["group__group__conditional.html#gac91aa66155fda9573cb28a6c009ba248","handle_else()","Conditional","Process else - final fallback branch Activates only if no previous if/elif branch was true."],
+  ["group__group__conditional.html#gac91aa66155fda9573cb28a6c009ba248","handle_else()","Conditional","Parameters"],
+  ["group__group__conditional.html#gac91aa66155fda9573cb28a6c009ba248","handle_else()","Conditional","[in] ctx Context (for error messages)"],
+  ["group__group__conditional.html#gaf4f99569b4cda29c93ee782f8e1ad024","handle_endif()","Conditional","Process endif - end of conditional block Pops the top state from the stack. Reports error on unmatched endif."],
+  ["group__group__conditional.html#gaf4f99569b4cda29c93ee782f8e1ad024","handle_endif()","Conditional","Parameters"],
+  ["group__group__conditional.html#gaf4f99569b4cda29c93ee782f8e1ad024","handle_endif()","Conditional","[in] ctx Context (for error messages)"],
+  ["group__group__conditional.html#gadf3d0ad89e7eaadb062dd5b497779a50","handle_if()","Conditional","Process a if directive with constant expression evaluation Evaluates the expression after if using evaluate_expression() and pushes a new state onto the conditional stack."],
+  ["group__group__conditional.html#gadf3d0ad89e7eaadb062dd5b497779a50","handle_if()","Conditional","Parameters"],
+  ["group__group__conditional.html#gadf3d0ad89e7eaadb062dd5b497779a50","handle_if()","Conditional","[in] ctx Context source line containing the directive"],
+  ["group__group__conditional.html#gadf3d0ad89e7eaadb062dd5b497779a50","handle_if()","Conditional","[in,out] macros Current macro table"],
+  ["group__group__conditional.html#gadf3d0ad89e7eaadb062dd5b497779a50","handle_if()","Conditional","[in] token Usually 'if'"],
+  ["group__group__conditional.html#ga78eb08619da61fb3fc630d6dfb928c60","handle_ifdef()","Conditional","Process ifdef - test if a macro is defined."],
+  ["group__group__conditional.html#ga78eb08619da61fb3fc630d6dfb928c60","handle_ifdef()","Conditional","Parameters"],
+  ["group__group__conditional.html#ga78eb08619da61fb3fc630d6dfb928c60","handle_ifdef()","Conditional","[in] ctx Context source line containing the directive"],
+  ["group__group__conditional.html#ga78eb08619da61fb3fc630d6dfb928c60","handle_ifdef()","Conditional","[in] macros Current macro table"],
+  ["group__group__conditional.html#ga78eb08619da61fb3fc630d6dfb928c60","handle_ifdef()","Conditional","[in] token Usually 'ifdef'"],
+  ["group__group__conditional.html#ga1d1cf3aa06ba41d8b04085f038bb7555","handle_ifndef()","Conditional","Process ifndef - test if a macro is NOT defined."],
+  ["group__group__conditional.html#ga1d1cf3aa06ba41d8b04085f038bb7555","handle_ifndef()","Conditional","Parameters"],
+  ["group__group__conditional.html#ga1d1cf3aa06ba41d8b04085f038bb7555","handle_ifndef()","Conditional","[in] ctx Context source line containing the directive"],
+  ["group__group__conditional.html#ga1d1cf3aa06ba41d8b04085f038bb7555","handle_ifndef()","Conditional","[in] macros Current macro table"],
+  ["group__group__conditional.html#ga1d1cf3aa06ba41d8b04085f038bb7555","handle_ifndef()","Conditional","[in] token Usually 'ifndef'"],
+  ["group__group__conditional.html#ga6733787b20b37cdfce6e84d1e7765f53","is_active()","Conditional","Determine whether the current source position is active."],
+  ["group__group__conditional.html#ga6733787b20b37cdfce6e84d1e7765f53","is_active()","Conditional","Traverses all enclosing conditional levels and returns .true. only if every surrounding conditional branch is active."],
+  ["group__group__conditional.html#ga6733787b20b37cdfce6e84d1e7765f53","is_active()","Conditional","This routine is used throughout the preprocessing pipeline to decide whether directives should be executed and whether ordinary source lines should be emitted."],
+  ["group__group__conditional.html#ga6733787b20b37cdfce6e84d1e7765f53","is_active()","Conditional","Returns"],
+  ["group__group__conditional.html#ga6733787b20b37cdfce6e84d1e7765f53","is_active()","Conditional",".true. if the current line belongs to an active branch; .false. otherwise."],
+  ["group__group__constants.html#details","Definition","Constants","Compile-time constants used throughout the fpx preprocessor."],
+  ["group__group__constants.html#details","Definition","Constants","This module centralizes all numerical limits and fixed configuration values required by the implementation. These parameters define the maximum sizes of internal buffers and the allowed nesting depth of various preprocessing constructs."],
+  ["group__group__constants.html#details","Definition","Constants","The chosen values aim to balance flexibility and robustness:"],
+  ["group__group__constants.html#details","Definition","Constants","large enough to accommodate realistic scientific Fortran code,"],
+  ["group__group__constants.html#details","Definition","Constants","small enough to avoid excessive memory consumption,"],
+  ["group__group__constants.html#details","Definition","Constants","fixed at compile time to simplify implementation and improve performance."],
+  ["group__group__constants.html#details","Definition","Constants","The constants are used across multiple modules, including macro expansion, conditional compilation, tokenization, and the extended for directive implementation."],
+  ["group__group__constants.html#constants_examples","Examples","Constants","Limiting nested conditional directives:"],
+  ["group__group__constants.html#constants_examples","Examples","Constants","#if A #if B #if C !some code #endif #endif #endif"],
+  ["group__group__constants.html#constants_examples","Examples","Constants","Nesting is permitted up to MAX_COND_DEPTH levels."],
+  ["group__group__constants.html#constants_examples","Examples","Constants","Nested for loops:"],
+  ["group__group__constants.html#constants_examples","Examples","Constants","#for T in [integer, real] #for K in [32, 64] !some code #endfor #endfor"],
+  ["group__group__constants.html#constants_examples","Examples","Constants","Loop nesting is limited by MAX_FOR_DEPTH ."],
+  ["group__group__constants.html#constants_examples","Examples","Constants","Long macro expansions:"],
+  ["group__group__constants.html#constants_examples","Examples","Constants","#define MESSAGE"],
+  ["group__group__constants.html#constants_examples","Examples","Constants","Intermediate buffers are sized according to MAX_LINE_LEN ."],
+  ["group__group__constants.html#ga38b42c16100fcac33e76ef949c38f0fe","chksize","Constants","Default chunk size used for internal buffering operations."],
+  ["group__group__constants.html#ga38b42c16100fcac33e76ef949c38f0fe","chksize","Constants","This value is primarily used when processing data incrementally to avoid frequent reallocations."],
+  ["group__group__constants.html#gac4ff9f6877693278fc810b9aab345630","max_cond_depth","Constants","Maximum nesting depth of conditional compilation directives."],
+  ["group__group__constants.html#gac4ff9f6877693278fc810b9aab345630","max_cond_depth","Constants","Applies to constructs such as:"],
+  ["group__group__constants.html#gac4ff9f6877693278fc810b9aab345630","max_cond_depth","Constants","#if"],
+  ["group__group__constants.html#gac4ff9f6877693278fc810b9aab345630","max_cond_depth","Constants","#ifdef"],
+  ["group__group__constants.html#gac4ff9f6877693278fc810b9aab345630","max_cond_depth","Constants","#ifndef"],
+  ["group__group__constants.html#gac4ff9f6877693278fc810b9aab345630","max_cond_depth","Constants","#elif"],
+  ["group__group__constants.html#gac4ff9f6877693278fc810b9aab345630","max_cond_depth","Constants","#else"],
+  ["group__group__constants.html#gac4ff9f6877693278fc810b9aab345630","max_cond_depth","Constants","Excessive nesting beyond this limit results in diagnostics."],
+  ["group__group__constants.html#ga6acc1de079a8958c578267679e5127ef","max_depth","Constants","Maximum nesting depth of generic parser structures."],
+  ["group__group__constants.html#ga6acc1de079a8958c578267679e5127ef","max_depth","Constants","Used internally whenever recursive parser constructs require bounded stack-like storage."],
+  ["group__group__constants.html#ga4f43d79a727cb76627ec4cdede0b20f0","max_for_depth","Constants","Maximum nesting depth of #for loops."],
+  ["group__group__constants.html#ga4f43d79a727cb76627ec4cdede0b20f0","max_for_depth","Constants","Applies to the fpx extension:"],
+  ["group__group__constants.html#ga4f43d79a727cb76627ec4cdede0b20f0","max_for_depth","Constants","#for ... !some code #endfor"],
+  ["group__group__constants.html#ga4f43d79a727cb76627ec4cdede0b20f0","max_for_depth","Constants","Nested loops exceeding this limit generate an error."],
+  ["group__group__constants.html#gab5a717360891a02e951e875b734a32a8","max_line_len","Constants","Maximum permitted length of an input or generated line."],
+  ["group__group__constants.html#gab5a717360891a02e951e875b734a32a8","max_line_len","Constants","This limit applies to raw source lines, continued lines, and intermediate results produced during macro expansion."],
+  ["group__group__constants.html#gab5a717360891a02e951e875b734a32a8","max_line_len","Constants","The value should be sufficiently large for practically all modern Fortran source files while preventing unbounded memory use."],
+  ["group__group__constants.html#ga844a6ff7ced833f206ff32a7ae238321","max_params","Constants","Maximum number of parameters accepted by a macro definition."],
+  ["group__group__constants.html#ga844a6ff7ced833f206ff32a7ae238321","max_params","Constants","Applies to function-like macros:"],
+  ["group__group__constants.html#ga844a6ff7ced833f206ff32a7ae238321","max_params","Constants","#define F(a,b,c) ..."],
+  ["group__group__constants.html#ga844a6ff7ced833f206ff32a7ae238321","max_params","Constants","Variadic arguments count toward this limit."],
+  ["group__group__constants.html#ga7b898dec94b3f045e17d927b192d313d","max_tokens","Constants","Maximum number of tokens generated during tokenization."],
+  ["group__group__constants.html#ga7b898dec94b3f045e17d927b192d313d","max_tokens","Constants","This value bounds the temporary token buffers used by expression parsing and macro processing."],
+  ["group__group__context.html#details","Definition","Context","Source context information used for diagnostics and error reporting."],
+  ["group__group__context.html#details","Definition","Context","This module defines the lightweight context type used throughout the fpx preprocessor to associate source-location information with diagnostics, warnings, notes, and error messages."],
+  ["group__group__context.html#details","Definition","Context","Every diagnostic emitted by fpx is accompanied by a context object describing where the event occurred. This enables the generation of modern compiler-style messages containing file names, line numbers, source snippets, and caret annotations."],
+  ["group__group__context.html#details","Definition","Context","A context captures:"],
+  ["group__group__context.html#details","Definition","Context","the original source line,"],
+  ["group__group__context.html#details","Definition","Context","the corresponding 1-based line number,"],
+  ["group__group__context.html#details","Definition","Context","the path of the source file being processed."],
+  ["group__group__context.html#details","Definition","Context","The information stored in a context is consumed primarily by the fpx_logging module to produce precise and user-friendly diagnostics."],
+  ["group__group__context.html#details","Definition","Context","For example:"],
+  ["group__group__context.html#details","Definition","Context","error: undefined macro 'DEBUG' --> src/main.f90:42 | 42 | #ifdef DEBUG | ^^^^^ not defined"],
+  ["group__group__context.html#details","Definition","Context","Accurate context information becomes particularly important when processing nested include files, evaluating conditional directives, or reporting errors originating from macro expansions."],
+  ["group__group__context.html#context_examples","Examples","Context","Creating a context object:"],
+  ["group__group__context.html#context_examples","Examples","Context","type(context) :: ctx ctx = context( & content='real :: x = PI*r**2', & line=27, & path='src/utils.F90')"],
+  ["group__group__context.html#context_examples","Examples","Context","Using context when reporting diagnostics:"],
+  ["group__group__context.html#context_examples","Examples","Context","call printf(render(diagnostic_report( & level_error, & message='Undefined macro', & source=ctx%path), & ctx%content, ctx%line))"],
+  ["group__group__context.html#context_examples","Examples","Context","Updating context during include processing:"],
+  ["group__group__context.html#context_examples","Examples","Context","included_ctx = context( & content=first_line, & line=1, & path=resolved_include_path)"],
+  ["group__group__date.html#details","Definition","Date","Lightweight date and time utilities used by the fpx preprocessor."],
+  ["group__group__date.html#details","Definition","Date","This module provides a compact datetime type together with a small set of date/time operations required by fpx. Its primary purpose is to support expansion of the predefined macros:"],
+  ["group__group__date.html#details","Definition","Date","__DATE__"],
+  ["group__group__date.html#details","Definition","Date","__TIME__"],
+  ["group__group__date.html#details","Definition","Date","__TIMESTAMP__"],
+  ["group__group__date.html#details","Definition","Date","Rather than providing a complete calendaring framework, this module focuses on the functionality required by preprocessing tasks:"],
+  ["group__group__date.html#details","Definition","Date","Retrieval of the current local date and time using date_and_time()"],
+  ["group__group__date.html#details","Definition","Date","Construction of datetime objects from numeric components or strings"],
+  ["group__group__date.html#details","Definition","Date","Parsing of commonly encountered date/time representations"],
+  ["group__group__date.html#details","Definition","Date","Flexible formatting through to_string(fmt)"],
+  ["group__group__date.html#details","Definition","Date","Day-of-week computation using Zeller's congruence"],
+  ["group__group__date.html#details","Definition","Date","The implementation deliberately remains lightweight and dependency-free. It is not intended to replace dedicated date/time libraries, but instead provides exactly the capabilities required by fpx while remaining portable across standard-conforming Fortran compilers."],
+  ["group__group__date.html#date_examples","Examples","Date","Expanding predefined macros:"],
+  ["group__group__date.html#date_examples","Examples","Date","type(datetime) :: dt dt = now() print *, '__DATE__ -> ', dt%to_string('MMM-dd-yyyy') print *, '__TIME__ -> ', dt%to_string('HH:mm:ss') print *, '__TIMESTAMP__ -> ', dt%to_string('ddd-MMM-yyyy HH:mm:ss')"],
+  ["group__group__date.html#date_examples","Examples","Date","Constructing a datetime from a string:"],
+  ["group__group__date.html#date_examples","Examples","Date","type(datetime) :: build_time build_time = datetime('2025-08-12 09:30:00') print *, build_time%to_string('ddd-MMM-yyyy')"],
+  ["group__group__date.html#date_examples","Examples","Date","Constructing a datetime from components:"],
+  ["group__group__date.html#date_examples","Examples","Date","type(datetime) :: epoch epoch = datetime(1970, 1, 1) print *, epoch%to_string()"],
+  ["group__group__date.html#date_examples","Examples","Date","Timestamping preprocessing operations:"],
+  ["group__group__date.html#date_examples","Examples","Date","type(datetime) :: dt dt = now() print *, 'Preprocessing started at ', dt%to_string('HH:mm:ss')"],
+  ["group__group__define.html#details","Definition","Define","Macro definition and removal directives for the fpx preprocessor."],
+  ["group__group__define.html#details","Definition","Define","This module implements the #define and #undef directives used to create, update, and remove preprocessor macros during source preprocessing."],
+  ["group__group__define.html#details","Definition","Define","Supported macro forms include:"],
+  ["group__group__define.html#details","Definition","Define","Object-like macros: #define NAME value"],
+  ["group__group__define.html#details","Definition","Define","Function-like macros: #define NAME(arg1,arg2,...) replacement"],
+  ["group__group__define.html#details","Definition","Define","Variadic macros: #define LOG(level, ...) ..."],
+  ["group__group__define.html#details","Definition","Define","Empty definitions: #define FEATURE"],
+  ["group__group__define.html#details","Definition","Define","Macro redefinition: Existing definitions are replaced by the most recent one."],
+  ["group__group__define.html#details","Definition","Define","The parser correctly identifies matching parentheses in function-like macro signatures, allowing nested parentheses inside parameter lists. Whitespace surrounding parameters is ignored, and variadic arguments are detected automatically through the ... notation."],
+  ["group__group__define.html#details","Definition","Define","The module also implements #undef, allowing previously defined symbols to be removed from the active macro table. Symbols listed in globalundef are protected from redefinition and silently ignored."],
+  ["group__group__define.html#details","Definition","Define","All syntax errors are reported through the diagnostic framework, providing source locations and explanatory messages."],
+  ["group__group__define.html#details","Definition","Define","Note"],
+  ["group__group__define.html#details","Definition","Define","Macro definitions are local to the current preprocessing context unless explicitly propagated by the caller."],
+  ["group__group__define.html#define_examples","Examples","Define","Object-like macros:"],
+  ["group__group__define.html#define_examples","Examples","Define","#define PI 3.141592653589793 #define DEBUG 1 #define VERSION"],
+  ["group__group__define.html#define_examples","Examples","Define","Empty definitions:"],
+  ["group__group__define.html#define_examples","Examples","Define","#define USE_MPI #ifdef USE_MPI !... #endif"],
+  ["group__group__define.html#define_examples","Examples","Define","Function-like macros:"],
+  ["group__group__define.html#define_examples","Examples","Define","#define SQR(x) ((x)*(x)) #define MIN(a,b) ((a)<(b)?(a):(b)) #define CONCAT(a,b) a ## b"],
+  ["group__group__define.html#define_examples","Examples","Define","Variadic macros:"],
+  ["group__group__define.html#define_examples","Examples","Define","#define LOG(level, ...) & print *, , level, , __va_args__"],
+  ["group__group__define.html#define_examples","Examples","Define","Removing a definition:"],
+  ["group__group__define.html#define_examples","Examples","Define","#undef DEBUG #ifdef DEBUG ! This block is skipped #endif"],
+  ["group__group__define.html#define_examples","Examples","Define","Redefinition:"],
+  ["group__group__define.html#define_examples","Examples","Define","#define SIZE 128 #define SIZE 256 integer :: buf(SIZE) ! expands to 256"],
+  ["group__group__define.html#define_examples","Examples","Define","Reserved names:"],
+  ["group__group__define.html#define_examples","Examples","Define","#define defined(x) 1"],
+  ["group__group__define.html#define_examples","Examples","Define","produces a diagnostic because defined is reserved for conditional expressions."],
+  ["group__group__define.html#define_examples","Examples","Define","See also"],
+  ["group__group__define.html#define_examples","Examples","Define","macro"],
+  ["group__group__define.html#define_examples","Examples","Define","global"],
+  ["group__group__define.html#define_examples","Examples","Define","context"],
+  ["group__group__define.html#gab80127adb2307d147ed991977b80f775","handle_define()","Define","Process a #define directive."],
+  ["group__group__define.html#gab80127adb2307d147ed991977b80f775","handle_define()","Define","Parses the directive contained in the supplied context and updates the active macro table accordingly."],
+  ["group__group__define.html#gab80127adb2307d147ed991977b80f775","handle_define()","Define","The routine automatically distinguishes between:"],
+  ["group__group__define.html#gab80127adb2307d147ed991977b80f775","handle_define()","Define","object-like macros,"],
+  ["group__group__define.html#gab80127adb2307d147ed991977b80f775","handle_define()","Define","function-like macros,"],
+  ["group__group__define.html#gab80127adb2307d147ed991977b80f775","handle_define()","Define","variadic macros using ...,"],
+  ["group__group__define.html#gab80127adb2307d147ed991977b80f775","handle_define()","Define","empty definitions."],
+  ["group__group__define.html#gab80127adb2307d147ed991977b80f775","handle_define()","Define","Function-like signatures are parsed using matching-parenthesis tracking, ensuring that the closing parenthesis corresponding to the opening ( is located correctly even in the presence of nested parentheses."],
+  ["group__group__define.html#gab80127adb2307d147ed991977b80f775","handle_define()","Define","Existing definitions are overwritten. Symbols listed in globalundef are ignored. Attempts to define the reserved identifier defined generate an error diagnostic."],
+  ["group__group__define.html#gab80127adb2307d147ed991977b80f775","handle_define()","Define","Parameters"],
+  ["group__group__define.html#gab80127adb2307d147ed991977b80f775","handle_define()","Define","[in] ctx Source context containing the complete #define directive."],
+  ["group__group__define.html#gab80127adb2307d147ed991977b80f775","handle_define()","Define","[in,out] macros Active macro table updated in place."],
+  ["group__group__define.html#gab80127adb2307d147ed991977b80f775","handle_define()","Define","[in] token Directive keyword, typically \"define\"."],
+  ["group__group__define.html#ga14ea5b1ae846b5e67cc54d332fee9d58","handle_undef()","Define","Process a #undef directive."],
+  ["group__group__define.html#ga14ea5b1ae846b5e67cc54d332fee9d58","handle_undef()","Define","Removes the specified macro from the active macro table. If the requested symbol is not currently defined, a warning diagnostic is emitted."],
+  ["group__group__define.html#ga14ea5b1ae846b5e67cc54d332fee9d58","handle_undef()","Define","Parameters"],
+  ["group__group__define.html#ga14ea5b1ae846b5e67cc54d332fee9d58","handle_undef()","Define","[in] ctx Source context containing the complete #undef directive."],
+  ["group__group__define.html#ga14ea5b1ae846b5e67cc54d332fee9d58","handle_undef()","Define","[in,out] macros Active macro table updated in place."],
+  ["group__group__define.html#ga14ea5b1ae846b5e67cc54d332fee9d58","handle_undef()","Define","[in] token Directive keyword, typically \"undef\"."],
+  ["group__group__diagnostics.html#details","Definition","Diagnostics","Diagnostic directives for the fpx preprocessor."],
+  ["group__group__diagnostics.html#details","Definition","Diagnostics","This module implements the handling of the preprocessor directives #error and #warning, allowing source files to emit user-defined diagnostics during preprocessing."],
+  ["group__group__diagnostics.html#details","Definition","Diagnostics","These directives are commonly used to enforce configuration requirements, reject unsupported platforms, report deprecated features, or notify users about assumptions made during compilation."],
+  ["group__group__diagnostics.html#details","Definition","Diagnostics","Supported directives:"],
+  ["group__group__diagnostics.html#details","Definition","Diagnostics","#error Emits a fatal diagnostic and immediately terminates preprocessing."],
+  ["group__group__diagnostics.html#details","Definition","Diagnostics","#warning Emits a non-fatal diagnostic message while allowing preprocessing to continue normally."],
+  ["group__group__diagnostics.html#details","Definition","Diagnostics","The diagnostic text consists of the remainder of the directive line following the keyword itself."],
+  ["group__group__diagnostics.html#details","Definition","Diagnostics","Note"],
+  ["group__group__diagnostics.html#details","Definition","Diagnostics","The routines implemented in this module do not perform macro expansion on the diagnostic message. Any expansion must have been completed before the directive handler is invoked."],
+  ["group__group__diagnostics.html#diagnostics_examples","Examples","Diagnostics","Reject unsupported platforms:"],
+  ["group__group__diagnostics.html#diagnostics_examples","Examples","Diagnostics","#ifdef __VAX__ #error #endif"],
+  ["group__group__diagnostics.html#diagnostics_examples","Examples","Diagnostics","Enforce configuration requirements:"],
+  ["group__group__diagnostics.html#diagnostics_examples","Examples","Diagnostics","#ifndef MPI_VERSION #error #endif"],
+  ["group__group__diagnostics.html#diagnostics_examples","Examples","Diagnostics","Warn about deprecated functionality:"],
+  ["group__group__diagnostics.html#diagnostics_examples","Examples","Diagnostics","#ifdef USE_LEGACY_SOLVER #warning #endif"],
+  ["group__group__diagnostics.html#diagnostics_examples","Examples","Diagnostics","Notify users of unusual configurations:"],
+  ["group__group__diagnostics.html#diagnostics_examples","Examples","Diagnostics","#if PRECISION > 64 #warning #endif"],
+  ["group__group__diagnostics.html#diagnostics_examples","Examples","Diagnostics","Emit custom informational messages:"],
+  ["group__group__diagnostics.html#diagnostics_examples","Examples","Diagnostics","#warning"],
+  ["group__group__diagnostics.html#diagnostics_examples","Examples","Diagnostics","See also"],
+  ["group__group__diagnostics.html#diagnostics_examples","Examples","Diagnostics","logging"],
+  ["group__group__diagnostics.html#diagnostics_examples","Examples","Diagnostics","context"],
+  ["group__group__diagnostics.html#gaa4ec80ff50a60b7b1d6e43531a84e0a3","handle_error()","Diagnostics","Process a #error directive."],
+  ["group__group__diagnostics.html#gaa4ec80ff50a60b7b1d6e43531a84e0a3","handle_error()","Diagnostics","Extracts the message following the directive keyword and immediately terminates preprocessing using an error stop statement."],
+  ["group__group__diagnostics.html#gaa4ec80ff50a60b7b1d6e43531a84e0a3","handle_error()","Diagnostics","This directive is intended for unrecoverable situations such as unsupported targets, invalid configurations, or missing prerequisites."],
+  ["group__group__diagnostics.html#gaa4ec80ff50a60b7b1d6e43531a84e0a3","handle_error()","Diagnostics","Parameters"],
+  ["group__group__diagnostics.html#gaa4ec80ff50a60b7b1d6e43531a84e0a3","handle_error()","Diagnostics","[in] ctx Source context containing the complete #error directive."],
+  ["group__group__diagnostics.html#gaa4ec80ff50a60b7b1d6e43531a84e0a3","handle_error()","Diagnostics","[in,out] macros Active macro table. Present for interface consistency and not modified."],
+  ["group__group__diagnostics.html#gaa4ec80ff50a60b7b1d6e43531a84e0a3","handle_error()","Diagnostics","[in] token Directive keyword, typically \"error\"."],
+  ["group__group__diagnostics.html#gafdddb957adc33b7f025877c9f23eb4ed","handle_warning()","Diagnostics","Process a #warning directive."],
+  ["group__group__diagnostics.html#gafdddb957adc33b7f025877c9f23eb4ed","handle_warning()","Diagnostics","Extracts the message following the directive keyword and writes it to the standard output stream without interrupting preprocessing."],
+  ["group__group__diagnostics.html#gafdddb957adc33b7f025877c9f23eb4ed","handle_warning()","Diagnostics","This directive is intended for non-fatal conditions such as deprecated features, unusual build settings, or informational notices."],
+  ["group__group__diagnostics.html#gafdddb957adc33b7f025877c9f23eb4ed","handle_warning()","Diagnostics","Parameters"],
+  ["group__group__diagnostics.html#gafdddb957adc33b7f025877c9f23eb4ed","handle_warning()","Diagnostics","[in] ctx Source context containing the complete #warning directive."],
+  ["group__group__diagnostics.html#gafdddb957adc33b7f025877c9f23eb4ed","handle_warning()","Diagnostics","[in,out] macros Active macro table. Present for interface consistency and not modified."],
+  ["group__group__diagnostics.html#gafdddb957adc33b7f025877c9f23eb4ed","handle_warning()","Diagnostics","[in] token Directive keyword, typically \"warning\"."],
+  ["group__group__for.html#details","Definition","For","Fortran Preprocessor (fpx) - compile-time loop expansion support."],
+  ["group__group__for.html#details","Definition","For","This module implements the non-standard #for / #endfor directive pair used by fpx to generate repeated source code from a list of values."],
+  ["group__group__for.html#details","Definition","For","Features:"],
+  ["group__group__for.html#details","Definition","For","Simple iteration over explicit lists: #for T in [integer, real, complex]"],
+  ["group__group__for.html#details","Definition","For","Iteration over macro-expanded lists: #define NUMERICS [integer, real, complex] #for T in NUMERICS"],
+  ["group__group__for.html#details","Definition","For","Arbitrary nesting of #for blocks"],
+  ["group__group__for.html#details","Definition","For","Integration with the normal macro expansion engine"],
+  ["group__group__for.html#details","Definition","For","Deferred body collection until matching #endfor"],
+  ["group__group__for.html#details","Definition","For","Automatic cleanup of loop-local variables"],
+  ["group__group__for.html#details","Definition","For","During parsing, loop bodies are stored internally and emitted only when the matching #endfor is encountered. Each iteration temporarily defines the loop variable as a macro whose value is substituted into the collected body before output."],
+  ["group__group__for.html#for_examples","Examples","For","Basic iteration:"],
+  ["group__group__for.html#for_examples","Examples","For","#for T in [integer, real, complex] type(T) :: value #endfor ! Expands to: type(integer) :: value type(real) :: value type(complex) :: value"],
+  ["group__group__for.html#for_examples","Examples","For","Using a macro list:"],
+  ["group__group__for.html#for_examples","Examples","For","#define NUMERICS [integer, real, complex] #for T in NUMERICS type(T) :: value #endfor"],
+  ["group__group__for.html#for_examples","Examples","For","Nested loops:"],
+  ["group__group__for.html#for_examples","Examples","For","#define CONCAT(a,b) a##b #for T in [integer, real] #for R in [32,64] type(CONCAT(T,R)) :: value #endfor #endfor"],
+  ["group__group__for.html#for_examples","Examples","For","Generic procedure generation:"],
+  ["group__group__for.html#for_examples","Examples","For","#define CONCAT(a,b) a##b #define NUMERICS [integer, real, complex] #for T in NUMERICS module procedure concat(add_,t) #endfor"],
+  ["group__group__for.html#for_examples","Examples","For","Cartesian product generation:"],
+  ["group__group__for.html#for_examples","Examples","For","#for T in [real, complex] #for K in [32, 64] type(T(K)) :: value #endfor #endfor ! Generates: ! type(real(32)) :: value ! type(real(64)) :: value ! type(complex(32)) :: value ! type(complex(64)) :: value"],
+  ["group__group__for.html#for_examples","Examples","For","Loop variables behave exactly like temporary object-like macros and therefore participate in all normal macro expansion rules, including nested expansion and token pasting."],
+  ["group__group__for.html#for_examples","Examples","For","Note"],
+  ["group__group__for.html#for_examples","Examples","For","When nested loops are active, generated lines are appended to the enclosing loop body rather than written immediately. This guarantees inside-out expansion semantics."],
+  ["group__group__for.html#ga6079af1c12adf54ac2f0bccc9701e16a","add_to_loop()","For","Append a source line to the innermost active loop body."],
+  ["group__group__for.html#ga6079af1c12adf54ac2f0bccc9701e16a","add_to_loop()","For","Lines are stored verbatim without macro expansion. Expansion is deferred until the corresponding #endfor directive is processed."],
+  ["group__group__for.html#ga6079af1c12adf54ac2f0bccc9701e16a","add_to_loop()","For","Parameters"],
+  ["group__group__for.html#ga6079af1c12adf54ac2f0bccc9701e16a","add_to_loop()","For","[in] line Source line to store"],
+  ["group__group__for.html#gaadc593eef44e3b6aaf4e76e2b0bc2d29","handle_endfor()","For","Finalize a loop and emit all expanded iterations."],
+  ["group__group__for.html#gaadc593eef44e3b6aaf4e76e2b0bc2d29","handle_endfor()","For","The collected loop body is expanded once for every value contained in the loop variable parameter list. Nested loops are handled recursively by forwarding generated lines to the enclosing loop body when present."],
+  ["group__group__for.html#gaadc593eef44e3b6aaf4e76e2b0bc2d29","handle_endfor()","For","For each iteration value:"],
+  ["group__group__for.html#gaadc593eef44e3b6aaf4e76e2b0bc2d29","handle_endfor()","For","the loop variable macro is activated,"],
+  ["group__group__for.html#gaadc593eef44e3b6aaf4e76e2b0bc2d29","handle_endfor()","For","the stored body is macro-expanded,"],
+  ["group__group__for.html#gaadc593eef44e3b6aaf4e76e2b0bc2d29","handle_endfor()","For","generated lines are reprocessed by the normal preprocessing engine,"],
+  ["group__group__for.html#gaadc593eef44e3b6aaf4e76e2b0bc2d29","handle_endfor()","For","output is either emitted directly or forwarded to an enclosing loop."],
+  ["group__group__for.html#gaadc593eef44e3b6aaf4e76e2b0bc2d29","handle_endfor()","For","When the outermost loop terminates, all temporary loop state is released automatically."],
+  ["group__group__for.html#gaadc593eef44e3b6aaf4e76e2b0bc2d29","handle_endfor()","For","Parameters"],
+  ["group__group__for.html#gaadc593eef44e3b6aaf4e76e2b0bc2d29","handle_endfor()","For","[in] ctx Current parsing context"],
+  ["group__group__for.html#gaadc593eef44e3b6aaf4e76e2b0bc2d29","handle_endfor()","For","[in] ounit Output unit"],
+  ["group__group__for.html#gaadc593eef44e3b6aaf4e76e2b0bc2d29","handle_endfor()","For","[in] p preprocessor function pointer"],
+  ["group__group__for.html#gaadc593eef44e3b6aaf4e76e2b0bc2d29","handle_endfor()","For","[in,out] macros Active macro table"],
+  ["group__group__for.html#gaadc593eef44e3b6aaf4e76e2b0bc2d29","handle_endfor()","For","[in] token Directive keyword (endfor)"],
+  ["group__group__for.html#ga47e3b44ecd5caf03d47d9d131ef5a9ce","handle_for()","For","Process a #for directive and initialize a new loop context."],
+  ["group__group__for.html#ga47e3b44ecd5caf03d47d9d131ef5a9ce","handle_for()","For","The directive header is parsed immediately, but the loop body is not expanded at this stage. Instead, subsequent source lines are collected until the matching #endfor directive is encountered."],
+  ["group__group__for.html#ga47e3b44ecd5caf03d47d9d131ef5a9ce","handle_for()","For","The loop variable behaves as a temporary object-like macro whose value changes for each iteration."],
+  ["group__group__for.html#ga47e3b44ecd5caf03d47d9d131ef5a9ce","handle_for()","For","Supported syntax:"],
+  ["group__group__for.html#ga47e3b44ecd5caf03d47d9d131ef5a9ce","handle_for()","For","#for identifier in [value1, value2, ...] #for identifier in macro_name"],
+  ["group__group__for.html#ga47e3b44ecd5caf03d47d9d131ef5a9ce","handle_for()","For","where MACRO_NAME expands to a bracketed list."],
+  ["group__group__for.html#ga47e3b44ecd5caf03d47d9d131ef5a9ce","handle_for()","For","Note"],
+  ["group__group__for.html#ga47e3b44ecd5caf03d47d9d131ef5a9ce","handle_for()","For","#for and #endfor are fpx extensions and are not part of the ISO C preprocessor specification."],
+  ["group__group__for.html#ga47e3b44ecd5caf03d47d9d131ef5a9ce","handle_for()","For","Parameters"],
+  ["group__group__for.html#ga47e3b44ecd5caf03d47d9d131ef5a9ce","handle_for()","For","[in] ctx"],
+  ["group__group__for.html#ga47e3b44ecd5caf03d47d9d131ef5a9ce","handle_for()","For","Current parsing context"],
+  ["group__group__for.html#ga47e3b44ecd5caf03d47d9d131ef5a9ce","handle_for()","For","[in,out] macros Active macro table"],
+  ["group__group__for.html#ga47e3b44ecd5caf03d47d9d131ef5a9ce","handle_for()","For","[in] token"],
+  ["group__group__for.html#ga47e3b44ecd5caf03d47d9d131ef5a9ce","handle_for()","For","Directive keyword (for)"],
+  ["group__group__for.html#gada7f67ccf476be063a6b02c3e0ca49cb","is_in_forloop()","For","Query whether parsing is currently inside a #for block. This routine is typically used by the main preprocessing engine to determine whether incoming source lines should be emitted directly or collected for later expansion."],
+  ["group__group__for.html#gada7f67ccf476be063a6b02c3e0ca49cb","is_in_forloop()","For","Returns"],
+  ["group__group__for.html#gada7f67ccf476be063a6b02c3e0ca49cb","is_in_forloop()","For",".true. when one or more loop contexts are active, .false. otherwise."],
+  ["group__group__global.html#details","Definition","Global","Global configuration and shared runtime state for the fpx preprocessor."],
+  ["group__group__global.html#details","Definition","Global","This module defines the central configuration object used throughout the entire preprocessing session. A single public instance, global , stores all persistent settings controlling the behavior of the preprocessor."],
+  ["group__group__global.html#details","Definition","Global","The global configuration provides:"],
+  ["group__group__global.html#details","Definition","Global","User-defined macro definitions."],
+  ["group__group__global.html#details","Definition","Global","Symbols explicitly excluded via #undef."],
+  ["group__group__global.html#details","Definition","Global","Additional include search directories."],
+  ["group__group__global.html#details","Definition","Global","Feature switches controlling optional extensions."],
+  ["group__group__global.html#details","Definition","Global","Behavioural settings affecting parsing and expansion."],
+  ["group__group__global.html#details","Definition","Global","Runtime flags used by interactive preprocessing sessions."],
+  ["group__group__global.html#details","Definition","Global","All fpx components access the same global state, avoiding the need to pass configuration objects through every procedure call."],
+  ["group__group__global.html#details","Definition","Global","The design assumes the traditional single-threaded preprocessing model. If multiple preprocessing jobs are executed concurrently, each instance should maintain its own independent configuration object."],
+  ["group__group__global.html#global_features","Supported configuration options","Global","The following settings are available:"],
+  ["group__group__global.html#global_features","Supported configuration options","Global","macros(:) Collection of predefined macros available before preprocessing begins."],
+  ["group__group__global.html#global_features","Supported configuration options","Global","undef(:) Symbols protected from future redefinition through #define."],
+  ["group__group__global.html#global_features","Supported configuration options","Global","includedir(:) Additional directories searched by #include."],
+  ["group__group__global.html#global_features","Supported configuration options","Global","expand_macros Enables or disables macro expansion globally."],
+  ["group__group__global.html#global_features","Supported configuration options","Global","exclude_comments Controls whether comments are preserved in the generated output."],
+  ["group__group__global.html#global_features","Supported configuration options","Global","implicit_continuation Enables implicit continuation during macro expansion."],
+  ["group__group__global.html#global_features","Supported configuration options","Global","line_break Interprets a double backslash (\\\\) as an explicit line break."],
+  ["group__group__global.html#global_features","Supported configuration options","Global","extra_macros Enables non-standard predefined macros such as:"],
+  ["group__group__global.html#global_features","Supported configuration options","Global","__FILE__"],
+  ["group__group__global.html#global_features","Supported configuration options","Global","__LINE__"],
+  ["group__group__global.html#global_features","Supported configuration options","Global","__FUNC__"],
+  ["group__group__global.html#global_features","Supported configuration options","Global","__TIMESTAMP__"],
+  ["group__group__global.html#global_features","Supported configuration options","Global","interactive Enables REPL-style interactive preprocessing."],
+  ["group__group__global.html#global_features","Supported configuration options","Global","support_forloop Enables support for the non-standard #for / #endfor directives."],
+  ["group__group__global.html#global_features","Supported configuration options","Global","disable_continuation Disables explicit Fortran continuation handling using trailing &."],
+  ["group__group__global.html#global_features","Supported configuration options","Global","support_dollar_insert Enables ${NAME} placeholder substitution during macro expansion."],
+  ["group__group__global.html#global_features","Supported configuration options","Global","Note"],
+  ["group__group__global.html#global_features","Supported configuration options","Global","All settings can be modified at any time before invoking preprocess(...)."],
+  ["group__group__global.html#global_examples","Examples","Global","Add custom include paths:"],
+  ["group__group__global.html#global_examples","Examples","Global","use fpx_global global%includedir = [ & string('./include'), & string('../common'), & string('/usr/local/include/fpx') ] call preprocess('main.F90')"],
+  ["group__group__global.html#global_examples","Examples","Global","fpx_global::global"],
+  ["group__group__global.html#global_examples","Examples","Global","type(global_settings), public global"],
+  ["group__group__global.html#global_examples","Examples","Global","Global preprocessor configuration instance."],
+  ["group__group__global.html#global_examples","Examples","Global","Definition global.f90:192"],
+  ["group__group__global.html#global_examples","Examples","Global","Predefine macros:"],
+  ["group__group__global.html#global_examples","Examples","Global","use fpx_global use fpx_macro call add(global%macros, macro('DEBUG','1')) call add(global%macros, macro('MPI_VERSION','4')) call preprocess('solver.F90')"],
+  ["group__group__global.html#global_examples","Examples","Global","fpx_macro::add"],
+  ["group__group__global.html#global_examples","Examples","Global","Append macros to a macro table."],
+  ["group__group__global.html#global_examples","Examples","Global","Definition macro.f90:175"],
+  ["group__group__global.html#global_examples","Examples","Global","fpx_macro::macro"],
+  ["group__group__global.html#global_examples","Examples","Global","Representation of a preprocessor macro."],
+  ["group__group__global.html#global_examples","Examples","Global","Definition macro.f90:135"],
+  ["group__group__global.html#global_examples","Examples","Global","Disable macro expansion:"],
+  ["group__group__global.html#global_examples","Examples","Global","global%expand_macros = .false. call preprocess('input.F90', 'output.F90')"],
+  ["group__group__global.html#global_examples","Examples","Global","Enable fpx extensions:"],
+  ["group__group__global.html#global_examples","Examples","Global","global%support_forloop = .true. global%support_dollar_insert = .true. global%extra_macros = .true. call preprocess('templates.F90')"],
+  ["group__group__global.html#global_examples","Examples","Global","Start an interactive preprocessing session:"],
+  ["group__group__global.html#global_examples","Examples","Global","global%interactive = .true. call preprocess(stdin, stdout)"],
+  ["group__group__global.html#global_examples","Examples","Global","See also"],
+  ["group__group__global.html#global_examples","Examples","Global","macro parser include"],
+  ["group__group__global.html#ga8b8524880886f61f8c961589cffa7640","global","Global","Global preprocessor configuration instance."],
+  ["group__group__global.html#ga8b8524880886f61f8c961589cffa7640","global","Global","This singleton is automatically initialized with sensible default values and is shared by all fpx modules during preprocessing."],
+  ["group__group__global.html#ga8b8524880886f61f8c961589cffa7640","global","Global","Applications typically customize this object before invoking preprocess(...)."],
+  ["group__group__graph.html#details","Definition","Graph","Directed graph utilities used for macro dependency analysis."],
+  ["group__group__graph.html#details","Definition","Graph","This module provides a lightweight directed graph implementation used internally by the fpx preprocessor to detect cyclic dependencies during macro expansion."],
+  ["group__group__graph.html#details","Definition","Graph","Unlike general-purpose graph libraries, this implementation is optimized for the small graphs typically encountered during preprocessing:"],
+  ["group__group__graph.html#details","Definition","Graph","Vertices are represented by 1-based integer identifiers."],
+  ["group__group__graph.html#details","Definition","Graph","Edges are stored in a dense adjacency structure for fast traversal."],
+  ["group__group__graph.html#details","Definition","Graph","Cycle detection uses depth-first search (DFS) with a recursion stack."],
+  ["group__group__graph.html#details","Definition","Graph","Invalid vertices are ignored gracefully."],
+  ["group__group__graph.html#details","Definition","Graph","Memory management is automatic through a finalizer."],
+  ["group__group__graph.html#details","Definition","Graph","The primary use case is preventing infinite recursion caused by macros expanding, directly or indirectly, to themselves:"],
+  ["group__group__graph.html#details","Definition","Graph","#define A B #define B C #define C A"],
+  ["group__group__graph.html#details","Definition","Graph","Before expanding a macro, fpx records dependencies in a graph and checks whether introducing a new dependency would create a cycle."],
+  ["group__group__graph.html#graph_examples","Examples","Graph","Detecting a circular dependency:"],
+  ["group__group__graph.html#graph_examples","Examples","Graph","type(digraph) :: g logical :: cycle g = digraph(3) call g%add_edge(1, 2) call g%add_edge(2, 3) call g%add_edge(3, 1) cycle = g%is_circular(1) print *, cycle ! prints .true."],
+  ["group__group__graph.html#graph_examples","Examples","Graph","Detecting an acyclic dependency chain:"],
+  ["group__group__graph.html#graph_examples","Examples","Graph","type(digraph) :: g g = digraph(4) call g%add_edge(1, 2) call g%add_edge(2, 3) call g%add_edge(3, 4) print *, g%is_circular(1) ! .false."],
+  ["group__group__graph.html#graph_examples","Examples","Graph","Internal usage during macro expansion:"],
+  ["group__group__graph.html#graph_examples","Examples","Graph","call graph%add_edge(current_macro, referenced_macro) if (graph%is_circular(referenced_macro)) then ! Prevent recursive expansion end if"],
+  ["group__group__include.html#details","Definition","Include","Include file handling and resolution for the fpx Fortran preprocessor."],
+  ["group__group__include.html#details","Definition","Include","This module implements robust and standard-compliant processing of #include directives with full support for:"],
+  ["group__group__include.html#details","Definition","Include","Both forms: #include \"file.h\" (local/user) and #include <file.h> (system)"],
+  ["group__group__include.html#details","Definition","Include","Proper search order: quotes search source dir first, angle brackets skip source dir"],
+  ["group__group__include.html#details","Definition","Include","Relative paths resolved against the directory of the parent source file"],
+  ["group__group__include.html#details","Definition","Include","Search in user-defined include directories (globalincludedir)"],
+  ["group__group__include.html#details","Definition","Include","Search in system INCLUDE environment variable directories"],
+  ["group__group__include.html#details","Definition","Include","Fallback to current working directory"],
+  ["group__group__include.html#details","Definition","Include","Proper error reporting with file name and line number context"],
+  ["group__group__include.html#details","Definition","Include","Recursion safety through integration with the main preprocessor loop"],
+  ["group__group__include.html#details","Definition","Include","Seamless integration via the abstract preprocess procedure pointer"],
+  ["group__group__include.html#details","Definition","Include","The routine correctly strips quotes or angle brackets, performs path resolution, checks file existence, opens the file, and recursively invokes the main preprocessing engine on the included content using the same macro environment."],
+  ["group__group__include.html#details","Definition","Include","Note"],
+  ["group__group__include.html#details","Definition","Include","For #include \"file\":"],
+  ["group__group__include.html#details","Definition","Include","Directory of the parent source file"],
+  ["group__group__include.html#details","Definition","Include","Directories specified by the -I option (globalincludedir)"],
+  ["group__group__include.html#details","Definition","Include","Directories in INCLUDE environment variable"],
+  ["group__group__include.html#details","Definition","Include","Current working directory"],
+  ["group__group__include.html#details","Definition","Include","For #include <file>:"],
+  ["group__group__include.html#details","Definition","Include","Directories specified by the -I option (globalincludedir)"],
+  ["group__group__include.html#details","Definition","Include","Directories in INCLUDE environment variable"],
+  ["group__group__include.html#details","Definition","Include","Current working directory"],
+  ["group__group__include.html#details","Definition","Include","Nested includes are supported. Relative paths inside included files are resolved relative to the directory containing the including file."],
+  ["group__group__include.html#include_examples","Examples","Include","Include a local header from the same directory using quotes:"],
+  ["group__group__include.html#include_examples","Examples","Include","#include !> fpx will look for ./config.h relative to the current source file first"],
+  ["group__group__include.html#include_examples","Examples","Include","Include a system header using angle brackets:"],
+  ["group__group__include.html#include_examples","Examples","Include","#include <stdlib.h> !> fpx will skip the source directory and search -I paths, then INCLUDE"],
+  ["group__group__include.html#include_examples","Examples","Include","Using from the driver program (adding include paths):"],
+  ["group__group__include.html#include_examples","Examples","Include","global%includedir = ['/usr/include', './include', './headers'] call preprocess('main.F90', 'main.f90') !> All #include <...> will search these directories in order"],
+  ["group__group__include.html#include_examples","Examples","Include","Verbose error reporting when a file is not found:"],
+  ["group__group__include.html#include_examples","Examples","Include","$ fpx -v src/utils.F90 Error: Cannot find include file 'missing.h' at src/utils.F90:27"],
+  ["group__group__include.html#gaa2164306cb7e02304b8f602a63658787","handle_include()","Include","Process a include directive encountered during preprocessing Resolves the include file name (quoted or angle-bracketed), searches for the file using standard C preprocessor rules:"],
+  ["group__group__include.html#gaa2164306cb7e02304b8f602a63658787","handle_include()","Include","Quoted includes search: parent directory, -I paths, INCLUDE, cwd"],
+  ["group__group__include.html#gaa2164306cb7e02304b8f602a63658787","handle_include()","Include","Angle bracket includes search: -I paths, INCLUDE, cwd (skips parent directory) Opens the file and recursively preprocesses its contents into the output unit."],
+  ["group__group__include.html#gaa2164306cb7e02304b8f602a63658787","handle_include()","Include","Parameters"],
+  ["group__group__include.html#gaa2164306cb7e02304b8f602a63658787","handle_include()","Include","[in] ctx Context line containing the include directive"],
+  ["group__group__include.html#gaa2164306cb7e02304b8f602a63658787","handle_include()","Include","[in] ounit Output unit where preprocessed content is written"],
+  ["group__group__include.html#gaa2164306cb7e02304b8f602a63658787","handle_include()","Include","[in] preprocess Procedure pointer to the main line-by-line preprocessor"],
+  ["group__group__include.html#gaa2164306cb7e02304b8f602a63658787","handle_include()","Include","[in,out] macros Current macro table (shared across recursion levels)"],
+  ["group__group__include.html#gaa2164306cb7e02304b8f602a63658787","handle_include()","Include","[in] token Usually 'include' - the directive keyword"],
+  ["group__group__line.html#details","Definition","Line","Standard-compliant handling of the #line directive."],
+  ["group__group__line.html#details","Definition","Line","This module implements support for the ISO C preprocessor #line directive, allowing the logical source location used by the preprocessor to be modified during preprocessing."],
+  ["group__group__line.html#details","Definition","Line","The directive affects the information stored in the active context object and therefore influences:"],
+  ["group__group__line.html#details","Definition","Line","Diagnostic messages and source locations,"],
+  ["group__group__line.html#details","Definition","Line","Expansions of predefined macros such as __LINE__,"],
+  ["group__group__line.html#details","Definition","Line","Expansions of __FILE__ and __FILENAME__,"],
+  ["group__group__line.html#details","Definition","Line","The apparent origin of generated or transformed source code."],
+  ["group__group__line.html#details","Definition","Line","This functionality is particularly useful for:"],
+  ["group__group__line.html#details","Definition","Line","Source-to-source translators,"],
+  ["group__group__line.html#details","Definition","Line","Code generators,"],
+  ["group__group__line.html#details","Definition","Line","Literate programming systems,"],
+  ["group__group__line.html#details","Definition","Line","Template engines,"],
+  ["group__group__line.html#details","Definition","Line","Tools that emit Fortran intended to preserve original source locations."],
+  ["group__group__line.html#details","Definition","Line","The following standard forms are supported:"],
+  ["group__group__line.html#details","Definition","Line","#line <number>"],
+  ["group__group__line.html#details","Definition","Line","#line <number> \"<filename>\""],
+  ["group__group__line.html#details","Definition","Line","When encountered, the directive immediately updates the logical source position used for all subsequent processing."],
+  ["group__group__line.html#details","Definition","Line","Note"],
+  ["group__group__line.html#details","Definition","Line","The specified line number refers to the line immediately following the directive itself, matching the behaviour of the ISO C preprocessor."],
+  ["group__group__line.html#details","Definition","Line","Malformed directives generate warnings and are ignored."],
+  ["group__group__line.html#line_examples","Examples","Line","Reset the logical line number:"],
+  ["group__group__line.html#line_examples","Examples","Line","#line 100 print *,"],
+  ["group__group__line.html#line_examples","Examples","Line","Change both line number and filename:"],
+  ["group__group__line.html#line_examples","Examples","Line","#line 42 integer :: x ! Diagnostics now refer to generated.f90:42"],
+  ["group__group__line.html#line_examples","Examples","Line","Improve diagnostics in generated code:"],
+  ["group__group__line.html#line_examples","Examples","Line","#line 215 call generated_procedure()"],
+  ["group__group__line.html#ga769b3215f1c3814134afbf2d7c95f0ac","handle_line()","Line","Process a #line directive."],
+  ["group__group__line.html#ga769b3215f1c3814134afbf2d7c95f0ac","handle_line()","Line","Parses the directive arguments, validates the requested logical line number, and updates the active context object."],
+  ["group__group__line.html#ga769b3215f1c3814134afbf2d7c95f0ac","handle_line()","Line","Supported forms are:"],
+  ["group__group__line.html#ga769b3215f1c3814134afbf2d7c95f0ac","handle_line()","Line","#line <number> #line <number>"],
+  ["group__group__line.html#ga769b3215f1c3814134afbf2d7c95f0ac","handle_line()","Line","The specified line number becomes the number associated with the source line immediately following the directive."],
+  ["group__group__line.html#ga769b3215f1c3814134afbf2d7c95f0ac","handle_line()","Line","If a filename is supplied, subsequent diagnostics and predefined file-related macros use the new filename."],
+  ["group__group__line.html#ga769b3215f1c3814134afbf2d7c95f0ac","handle_line()","Line","Invalid directives produce warnings and leave the current context unchanged."],
+  ["group__group__line.html#ga769b3215f1c3814134afbf2d7c95f0ac","handle_line()","Line","Parameters"],
+  ["group__group__line.html#ga769b3215f1c3814134afbf2d7c95f0ac","handle_line()","Line","[in,out] ctx Current source context. Its logical line number and optional filename are updated in place."],
+  ["group__group__line.html#ga769b3215f1c3814134afbf2d7c95f0ac","handle_line()","Line","[in] token Directive keyword used to identify the #line directive, typically \"line\"."],
+  ["group__group__logging.html#details","Definition","Logging","Global logging, ANSI-colored diagnostics, and pretty error/warning reporting for fpx."],
+  ["group__group__logging.html#details","Definition","Logging","This module is the central place for all human-readable output in the fpx preprocessor. It provides:"],
+  ["group__group__logging.html#details","Definition","Logging","Full ANSI color and style support (bold, underline, colors, etc.)"],
+  ["group__group__logging.html#details","Definition","Logging","Structured diagnostic messages with source context, line numbers, and caret markers"],
+  ["group__group__logging.html#details","Definition","Logging","Pretty-printed multi-line error/warning/help/note/info reports"],
+  ["group__group__logging.html#details","Definition","Logging","Label-based highlighting of specific code ranges (like rustc-style diagnostics)"],
+  ["group__group__logging.html#details","Definition","Logging","Recursive sub-diagnostic support for nested explanations"],
+  ["group__group__logging.html#details","Definition","Logging","Designed to produce modern, readable, IDE-friendly output similar to rustc, clang, or cargo. When nocolor = .true. (or terminal does not support ANSI), falls back to plain text."],
+  ["group__group__logging.html#logging_examples","Examples","Logging","Simple error message"],
+  ["group__group__logging.html#logging_examples","Examples","Logging","print '(A)', render(diagnostic_report( & level_error, & message='unexpected token', & label=label_type('expected expression', 8, 3)), & 'a = +')"],
+  ["group__group__logging.html#logging_examples","Examples","Logging","Colored message (used internally for verbose logging):"],
+  ["group__group__logging.html#logging_examples","Examples","Logging","use fpx_logging verbose = .true. print '(A)', render('Macro expanded: PI = 3.14159') .."],
+  ["group__group__logging.html#logging_examples","Examples","Logging","fpx_logging::verbose"],
+  ["group__group__logging.html#logging_examples","Examples","Logging","logical, public verbose"],
+  ["group__group__logging.html#logging_examples","Examples","Logging","Master switch for verbose diagnostic output Default value is .false. (quiet mode)...."],
+  ["group__group__logging.html#logging_examples","Examples","Logging","Definition logging.f90:122"],
+  ["group__group__logging.html#logging_examples","Examples","Logging","fpx_logging::render"],
+  ["group__group__logging.html#logging_examples","Examples","Logging","Generic renderer for diagnostics and source excerpts."],
+  ["group__group__logging.html#logging_examples","Examples","Logging","Definition logging.f90:208"],
+  ["group__group__logging.html#logging_examples","Examples","Logging","Full diagnostic report (like a compiler error):"],
+  ["group__group__logging.html#logging_examples","Examples","Logging","character(*), parameter :: input = & '# This is a TOML document.' // nl // & 'title = ' // nl // & '[owner]' // nl // & 'name = ' // nl // & 'dob = 1979-05-27T07:32:00-08:00 # First class dates' // nl // & '[database]' // nl // & 'server = ' // nl // & 'ports = [ 8001, 8001, 8002 ]' // nl // & 'connection_max = 5000' // nl // & 'enabled = true' // nl // & '[servers]' // nl // & ' # Indentation (tabs and/or spaces) is allowed but not required' // nl // & ' [servers.alpha]' // nl // & ' ip = ' // nl // & ' dc = ' // nl // & ' [servers.beta]' // nl // & ' ip = ' // nl // & ' dc = ' // nl // &..."],
+  ["group__group__logging.html#logging_examples","Examples","Logging","fpx_logging::diagnostic_report"],
+  ["group__group__logging.html#logging_examples","Examples","Logging","Structured compiler diagnostic."],
+  ["group__group__logging.html#logging_examples","Examples","Logging","Definition logging.f90:337"],
+  ["group__group__logging.html#logging_examples","Examples","Logging","fpx_logging::label_type"],
+  ["group__group__logging.html#logging_examples","Examples","Logging","Diagnostic label identifying a region of source text."],
+  ["group__group__logging.html#logging_examples","Examples","Logging","Definition logging.f90:304"],
+  ["group__group__logging.html#logging_examples","Examples","Logging","Output might look like (colored in terminal):"],
+  ["group__group__logging.html#logging_examples","Examples","Logging","error: duplicated key 'title' found --> example.toml:19:2-6 | 1 | # This is a TOML document. 2 | title = | ----- first defined here 3 | [owner] : 18 | dc = 19 | [title] | ^^^^^ table 'title' redefined here 20 | data = [ [, ], [1, 2] ] |"],
+  ["group__group__logging.html#logging_examples","Examples","Logging","ANSI style & color reference (used internally)"],
+  ["group__group__logging.html#logging_examples","Examples","Logging","Styles: BOLD_ON, UNDERLINE_ON, INVERSE_ON, STRIKETHROUGH_ON, ..."],
+  ["group__group__logging.html#logging_examples","Examples","Logging","Foreground: RED, GREEN, YELLOW, BLUE, MAGENTA, CYAN, WHITE, ..."],
+  ["group__group__logging.html#logging_examples","Examples","Logging","Background: same as foreground but prefixed with BG_"],
+  ["group__group__logging.html#logging_examples","Examples","Logging","Note"],
+  ["group__group__logging.html#logging_examples","Examples","Logging","This code is adapted from pretty-diagnostics. The visual presentation is inspired by modern compiler diagnostics such as rustc and clang, while being adapted for Fortran workflows."],
+  ["group__group__logging.html#ga67be2c033c55d2320d783d10dfb709ab","nocolor","Logging","Switch for controling the ANSI color output Default value is .true. (color mode on). Set to .false. to get raw string output."],
+  ["group__group__logging.html#gae355b6081c8a7c696837dd711719c998","verbose","Logging","Master switch for verbose diagnostic output Default value is .false. (quiet mode). Set to .true. to get detailed step-by-step information about preprocessing actions. Safe to modify at any time ï¿½ the change takes effect immediately for all subsequent operations."],
+  ["group__group__macro.html#details","Definition","Macro","Macro management and expansion core of the fpx Fortran preprocessor."],
+  ["group__group__macro.html#details","Definition","Macro","This module implements a complete, standards-inspired macro system supporting:"],
+  ["group__group__macro.html#details","Definition","Macro","Object-like and function-like macros"],
+  ["group__group__macro.html#details","Definition","Macro","Variadic macros (... and __VA_ARGS__)"],
+  ["group__group__macro.html#details","Definition","Macro","C++20/C23-style __VA_OPT__ handling for optional variadic content"],
+  ["group__group__macro.html#details","Definition","Macro","Parameter stringification (#param) and token pasting (##)"],
+  ["group__group__macro.html#details","Definition","Macro","Built-in predefined macros: __FILE__, __FILENAME__, __LINE__, __DATE__, __TIME__, __TIMESTAMP__, __FUNC__"],
+  ["group__group__macro.html#details","Definition","Macro","Recursive expansion with circular dependency detection via digraph analysis"],
+  ["group__group__macro.html#details","Definition","Macro","Dynamic macro table of macro objects with efficient addition, lookup, removal"],
+  ["group__group__macro.html#details","Definition","Macro","Full support for nested macro calls and proper argument handling"],
+  ["group__group__macro.html#details","Definition","Macro","The design allows safe, repeated expansion while preventing infinite recursion. All operations are container-agnostic using allocatable dynamic arrays."],
+  ["group__group__macro.html#details","Definition","Macro","Expansion Model"],
+  ["group__group__macro.html#details","Definition","Macro","Macros are expanded recursively. Circular dependencies are detected through dependency graph analysis. Macro lookup is currently linear in the number of defined macros."],
+  ["group__group__macro.html#details","Definition","Macro","Expansion Pipeline"],
+  ["group__group__macro.html#details","Definition","Macro","Macro processing occurs in two stages:"],
+  ["group__group__macro.html#details","Definition","Macro","expand_macros performs recursive expansion of user-defined macros, including function-like macros, variadic substitutions, token pasting, stringification, and cycle detection."],
+  ["group__group__macro.html#details","Definition","Macro","expand_all subsequently substitutes predefined macros such as __FILE__, __LINE__, __DATE__, and related extensions."],
+  ["group__group__macro.html#details","Definition","Macro","This separation allows internal preprocessing routines to reuse the core expansion engine while selectively enabling predefined tokens."],
+  ["group__group__macro.html#macro_examples","Examples","Macro","Define and use simple macros:"],
+  ["group__group__macro.html#macro_examples","Examples","Macro","type(macro), allocatable :: macros(:) call add(macros, macro('PI', '3.1415926535')) call add(macros, macro('MSG(x)', 'print *, ″Hello ″, x')) print *, expand_all(context('area = PI * r**2', 10, './circle.F90', 'circle'), macros, stitch, .false., .false., .true.) !> prints: area = 3.1415926535 * r**2"],
+  ["group__group__macro.html#macro_examples","Examples","Macro","Variadic macro with stringification and pasting:"],
+  ["group__group__macro.html#macro_examples","Examples","Macro","call add(macros, macro('DEBUG_PRINT(...)', 'print *, ″DEBUG[″, __FILE__, ″:″, __LINE__, ″]: ″, __VA_ARGS__')) print *, expand_all(context('DEBUG_PRINT(″value =″, x)', 42, 'test.F90', 'text'), macros, stitch, .false., .false., .true.) !> prints: print *, 'DEBUG[', 'test.F90', ':', 42, ']: ', 'value =', x"],
+  ["group__group__macro.html#macro_examples","Examples","Macro","Token pasting with ##:"],
+  ["group__group__macro.html#macro_examples","Examples","Macro","call add(macros, macro('MAKE_VAR(name,num)', 'var_name_##num')) print *, expand_all(context('real :: MAKE_VAR(temp,42)', 5, 'file.F90', 'file'), macros, stitch, .false., .false.) !> prints: real :: var_name_42"],
+  ["group__group__macro.html#gab51fdaa32665f1141e292d2330a48dbc","expand_all()","Macro","Expand a source line including predefined macros."],
+  ["group__group__macro.html#gab51fdaa32665f1141e292d2330a48dbc","expand_all()","Macro","This routine represents the complete user-visible expansion phase."],
+  ["group__group__macro.html#gab51fdaa32665f1141e292d2330a48dbc","expand_all()","Macro","Expansion proceeds in two steps:"],
+  ["group__group__macro.html#gab51fdaa32665f1141e292d2330a48dbc","expand_all()","Macro","User-defined macros are expanded recursively through expand_macros."],
+  ["group__group__macro.html#gab51fdaa32665f1141e292d2330a48dbc","expand_all()","Macro","Built-in predefined macros are substituted using the current preprocessing context."],
+  ["group__group__macro.html#gab51fdaa32665f1141e292d2330a48dbc","expand_all()","Macro","Supported predefined macros include:"],
+  ["group__group__macro.html#gab51fdaa32665f1141e292d2330a48dbc","expand_all()","Macro","__FILE__"],
+  ["group__group__macro.html#gab51fdaa32665f1141e292d2330a48dbc","expand_all()","Macro","__LINE__"],
+  ["group__group__macro.html#gab51fdaa32665f1141e292d2330a48dbc","expand_all()","Macro","__DATE__"],
+  ["group__group__macro.html#gab51fdaa32665f1141e292d2330a48dbc","expand_all()","Macro","__TIME__"],
+  ["group__group__macro.html#gab51fdaa32665f1141e292d2330a48dbc","expand_all()","Macro","__FUNC__"],
+  ["group__group__macro.html#gab51fdaa32665f1141e292d2330a48dbc","expand_all()","Macro","__FILENAME__ (extension)"],
+  ["group__group__macro.html#gab51fdaa32665f1141e292d2330a48dbc","expand_all()","Macro","__TIMESTAMP__ (extension)"],
+  ["group__group__macro.html#gab51fdaa32665f1141e292d2330a48dbc","expand_all()","Macro","Parameters"],
+  ["group__group__macro.html#gab51fdaa32665f1141e292d2330a48dbc","expand_all()","Macro","[in] ctx"],
+  ["group__group__macro.html#gab51fdaa32665f1141e292d2330a48dbc","expand_all()","Macro","Context"],
+  ["group__group__macro.html#gab51fdaa32665f1141e292d2330a48dbc","expand_all()","Macro","[in,out] macros"],
+  ["group__group__macro.html#gab51fdaa32665f1141e292d2330a48dbc","expand_all()","Macro","Current macro table"],
+  ["group__group__macro.html#gab51fdaa32665f1141e292d2330a48dbc","expand_all()","Macro","[out] stitch"],
+  ["group__group__macro.html#gab51fdaa32665f1141e292d2330a48dbc","expand_all()","Macro","Set to .true.true. if result ends with '&' (Fortran continuation)"],
+  ["group__group__macro.html#gab51fdaa32665f1141e292d2330a48dbc","expand_all()","Macro","[in] has_extra"],
+  ["group__group__macro.html#gab51fdaa32665f1141e292d2330a48dbc","expand_all()","Macro","Has extra macros (non-standard) like FILENAME and TIMESTAMP"],
+  ["group__group__macro.html#gab51fdaa32665f1141e292d2330a48dbc","expand_all()","Macro","[in] implicit_conti If .true., implicit continuation is permitted"],
+  ["group__group__macro.html#gab51fdaa32665f1141e292d2330a48dbc","expand_all()","Macro","[in] dollar_insert If .true., the syntax ${} is supported for macro insertion"],
+  ["group__group__macro.html#gab51fdaa32665f1141e292d2330a48dbc","expand_all()","Macro","Returns"],
+  ["group__group__macro.html#gab51fdaa32665f1141e292d2330a48dbc","expand_all()","Macro","Expanded line with all macros and predefined tokens replaced"],
+  ["group__group__macro.html#ga28c2658615e83c6ca921d93a3dbee370","expand_macros()","Macro","Recursively expand user-defined macros."],
+  ["group__group__macro.html#ga28c2658615e83c6ca921d93a3dbee370","expand_macros()","Macro","Implements the core expansion engine used throughout fpx."],
+  ["group__group__macro.html#ga28c2658615e83c6ca921d93a3dbee370","expand_macros()","Macro","Supported features include:"],
+  ["group__group__macro.html#ga28c2658615e83c6ca921d93a3dbee370","expand_macros()","Macro","object-like macros,"],
+  ["group__group__macro.html#ga28c2658615e83c6ca921d93a3dbee370","expand_macros()","Macro","function-like macros,"],
+  ["group__group__macro.html#ga28c2658615e83c6ca921d93a3dbee370","expand_macros()","Macro","variadic macros,"],
+  ["group__group__macro.html#ga28c2658615e83c6ca921d93a3dbee370","expand_macros()","Macro","__VA_ARGS__,"],
+  ["group__group__macro.html#ga28c2658615e83c6ca921d93a3dbee370","expand_macros()","Macro","__VA_OPT__,"],
+  ["group__group__macro.html#ga28c2658615e83c6ca921d93a3dbee370","expand_macros()","Macro","parameter stringification,"],
+  ["group__group__macro.html#ga28c2658615e83c6ca921d93a3dbee370","expand_macros()","Macro","token pasting,"],
+  ["group__group__macro.html#ga28c2658615e83c6ca921d93a3dbee370","expand_macros()","Macro","nested expansion,"],
+  ["group__group__macro.html#ga28c2658615e83c6ca921d93a3dbee370","expand_macros()","Macro","optional ${...} substitutions,"],
+  ["group__group__macro.html#ga28c2658615e83c6ca921d93a3dbee370","expand_macros()","Macro","circular dependency detection."],
+  ["group__group__macro.html#ga28c2658615e83c6ca921d93a3dbee370","expand_macros()","Macro","Recursive expansion terminates automatically when cyclic dependencies are detected."],
+  ["group__group__macro.html#ga28c2658615e83c6ca921d93a3dbee370","expand_macros()","Macro","Parameters"],
+  ["group__group__macro.html#ga28c2658615e83c6ca921d93a3dbee370","expand_macros()","Macro","[in] line"],
+  ["group__group__macro.html#ga28c2658615e83c6ca921d93a3dbee370","expand_macros()","Macro","Line to be expanded"],
+  ["group__group__macro.html#ga28c2658615e83c6ca921d93a3dbee370","expand_macros()","Macro","[in,out] macros Current macro table"],
+  ["group__group__macro.html#ga28c2658615e83c6ca921d93a3dbee370","expand_macros()","Macro","[out] stitch .true. if final line ends with '&'"],
+  ["group__group__macro.html#ga28c2658615e83c6ca921d93a3dbee370","expand_macros()","Macro","[in] implicit_conti If .true., implicit continuation is permitted"],
+  ["group__group__macro.html#ga28c2658615e83c6ca921d93a3dbee370","expand_macros()","Macro","[in] dollar_insert If .true., ${} macro substitution is supported"],
+  ["group__group__macro.html#ga28c2658615e83c6ca921d93a3dbee370","expand_macros()","Macro","[in] ctx"],
+  ["group__group__macro.html#ga28c2658615e83c6ca921d93a3dbee370","expand_macros()","Macro","Context"],
+  ["group__group__macro.html#ga28c2658615e83c6ca921d93a3dbee370","expand_macros()","Macro","Returns"],
+  ["group__group__macro.html#ga28c2658615e83c6ca921d93a3dbee370","expand_macros()","Macro","Line with user-defined macros expanded (predefined tokens untouched)"],
+  ["group__group__macro.html#gad3bf37972bc247f25f116979e55ba74f","is_defined()","Macro","Determine whether a macro is currently defined."],
+  ["group__group__macro.html#gad3bf37972bc247f25f116979e55ba74f","is_defined()","Macro","Performs a linear search through the macro table and optionally returns the corresponding index."],
+  ["group__group__macro.html#gad3bf37972bc247f25f116979e55ba74f","is_defined()","Macro","Parameters"],
+  ["group__group__macro.html#gad3bf37972bc247f25f116979e55ba74f","is_defined()","Macro","[in] name"],
+  ["group__group__macro.html#gad3bf37972bc247f25f116979e55ba74f","is_defined()","Macro","Macro identifier."],
+  ["group__group__macro.html#gad3bf37972bc247f25f116979e55ba74f","is_defined()","Macro","[in] macros"],
+  ["group__group__macro.html#gad3bf37972bc247f25f116979e55ba74f","is_defined()","Macro","Macro table."],
+  ["group__group__macro.html#gad3bf37972bc247f25f116979e55ba74f","is_defined()","Macro","[out] idx"],
+  ["group__group__macro.html#gad3bf37972bc247f25f116979e55ba74f","is_defined()","Macro","Position of the matching entry, if present."],
+  ["group__group__macro.html#gad3bf37972bc247f25f116979e55ba74f","is_defined()","Macro","Returns"],
+  ["group__group__macro.html#gad3bf37972bc247f25f116979e55ba74f","is_defined()","Macro",".true. if the macro exists."],
+  ["group__group__operators.html#details","Definition","Operators","Module implementing a full C-preprocessor-style constant expression evaluator using a top-down recursive descent parser. The module provides the ability to evaluate integer constant expressions of the kind used in classical preprocessor."],
+  ["group__group__operators.html#details","Definition","Operators","This includes support for:"],
+  ["group__group__operators.html#details","Definition","Operators","All C-style arithmetic, bitwise, logical, relational, and conditional operators"],
+  ["group__group__operators.html#details","Definition","Operators","Operator precedence and associativity"],
+  ["group__group__operators.html#details","Definition","Operators","Macro identifier substitution and the special defined(identifier) operator"],
+  ["group__group__operators.html#details","Definition","Operators","Integer literals in decimal, octal (0...), hexadecimal (0x...), and binary (0b...) bases"],
+  ["group__group__operators.html#details","Definition","Operators","Parenthesized sub-expressions and proper handling of unary operators"],
+  ["group__group__operators.html#details","Definition","Operators","The implementation consists of two major phases:"],
+  ["group__group__operators.html#details","Definition","Operators","Tokenization The input string is scanned and converted into a sequence of token objects. The tokenizer recognizes multi-character operators ('&&', '||', '==', '!=', '<=', '>=', '<<', '>>', '**'), the defined operator (with or without parentheses), numbers in all supported bases, identifiers, and parentheses. Whitespace is ignored except as a token separator."],
+  ["group__group__operators.html#details","Definition","Operators","Parsing and evaluation via top-down recursive descent A classic predictive (LL(1)) recursive descent parser is used, where each non-terminal in the grammar is implemented as a separate parsing function with the exact precedence level. The grammar is directly derived from the C standard operator precedence table:"],
+  ["group__group__operators.html#details","Definition","Operators","parse_expression ? parse_conditional parse_conditional ? parse_or (parse_or '?' parse_expression ':' parse_conditional) parse_or ? parse_and ( '||' parse_and )* parse_and ? parse_bitwise_or ( '&&' parse_bitwise_or )* parse_bitwise_or ? parse_bitwise_xor ( '|' parse_bitwise_xor )* parse_bitwise_xor ? parse_bitwise_and ( '^' parse_bitwise_and )* parse_bitwise_and ? parse_equality ( '&' parse_equality )* parse_equality ? parse_relational ( ('==' | '!=') parse_relational )* parse_relational ? parse_shifting ( ('<' | '>' | '<=' | '>=') parse_shifting )* parse_shifting ? parse_additive ( ('<<' |..."],
+  ["group__group__operators.html#details","Definition","Operators","Each parsing function consumes tokens from the global position pos and returns the integer value of the sub-expression it recognizes. Because the grammar is factored by precedence, left-associativity is achieved naturally via left-recursive loops, while right-associativity for the power operator (**) is handled by calling parse_unary on the right-hand side first."],
+  ["group__group__operators.html#details","Definition","Operators","Macro expansion occurs lazily inside parse_atom when an identifier token is encountered:"],
+  ["group__group__operators.html#details","Definition","Operators","If the identifier is defined, its replacement text is recursively evaluated."],
+  ["group__group__operators.html#details","Definition","Operators","The special defined operator yields 1 or 0 depending on whether the identifier exists."],
+  ["group__group__operators.html#details","Definition","Operators","The parser is fully re-entrant and has no global state."],
+  ["group__group__operators.html#details","Definition","Operators","Public entry points:"],
+  ["group__group__operators.html#details","Definition","Operators","evaluate_expression : tokenize and evaluate an expression in one call."],
+  ["group__group__operators.html#details","Definition","Operators","parse_expression : evaluate an already-tokenized expression."],
+  ["group__group__operators.html#details","Definition","Operators","This design guarantees correct operator precedence without the need for an explicit abstract syntax tree or stack-based shunting-yard algorithm, while remaining easy to read, maintain, and extend."],
+  ["group__group__operators.html#operator_examples","Examples","Operators","Evaluate a simple expression:"],
+  ["group__group__operators.html#operator_examples","Examples","Operators","logical :: ok integer :: value ok = evaluate_expression('1 + 2 * 3', macros, value) ! value = 7"],
+  ["group__group__operators.html#operator_examples","Examples","Operators","Use the defined operator:"],
+  ["group__group__operators.html#operator_examples","Examples","Operators","call add(macros, 'DEBUG') if (evaluate_expression('defined(DEBUG)', macros)) then ... end if"],
+  ["group__group__operators.html#operator_examples","Examples","Operators","Evaluate expressions involving macros:"],
+  ["group__group__operators.html#operator_examples","Examples","Operators","call add(macros, 'LEVEL', '2') if (evaluate_expression('LEVEL >= 2', macros)) then ... end if"],
+  ["group__group__operators.html#operator_examples","Examples","Operators","Conditional operator:"],
+  ["group__group__operators.html#operator_examples","Examples","Operators","call evaluate_expression('1 ? 10 : 20', macros, value) ! value = 10"],
+  ["group__group__operators.html#gafd20ae82cdc3834e353f2e45521f6258","parse_expression()","Operators","Parse and evaluate an already-tokenized expression."],
+  ["group__group__operators.html#gafd20ae82cdc3834e353f2e45521f6258","parse_expression()","Operators","This routine implements the top-level non-terminal of the recursive descent parser. It is primarily intended for internal use by evaluate_expression, but remains public to allow external users to reuse the parser on custom token streams."],
+  ["group__group__operators.html#gafd20ae82cdc3834e353f2e45521f6258","parse_expression()","Operators","Parameters"],
+  ["group__group__operators.html#gafd20ae82cdc3834e353f2e45521f6258","parse_expression()","Operators","[in] expr Expression to be processed"],
+  ["group__group__operators.html#gafd20ae82cdc3834e353f2e45521f6258","parse_expression()","Operators","[in] tokens Array of tokens to parse"],
+  ["group__group__operators.html#gafd20ae82cdc3834e353f2e45521f6258","parse_expression()","Operators","[in] ntokens Number of valid tokens in the array"],
+  ["group__group__operators.html#gafd20ae82cdc3834e353f2e45521f6258","parse_expression()","Operators","[in,out] pos Current parsing position (updated as tokens are consumed)"],
+  ["group__group__operators.html#gafd20ae82cdc3834e353f2e45521f6258","parse_expression()","Operators","[in,out] macros Defined macros for expansion and defined() checks"],
+  ["group__group__operators.html#gafd20ae82cdc3834e353f2e45521f6258","parse_expression()","Operators","[in] ctx Context"],
+  ["group__group__operators.html#gafd20ae82cdc3834e353f2e45521f6258","parse_expression()","Operators","Returns"],
+  ["group__group__operators.html#gafd20ae82cdc3834e353f2e45521f6258","parse_expression()","Operators","Integer value of the parsed expression"],
+  ["group__group__os.html#details","Definition","OS","This module provides portable runtime operating-system detection facilities used throughout the fpx preprocessor."],
+  ["group__group__os.html#details","Definition","OS","Supported platforms include:"],
+  ["group__group__os.html#details","Definition","OS","Linux distributions"],
+  ["group__group__os.html#details","Definition","OS","macOS"],
+  ["group__group__os.html#details","Definition","OS","Native Microsoft Windows"],
+  ["group__group__os.html#details","Definition","OS","Cygwin"],
+  ["group__group__os.html#details","Definition","OS","Solaris/OpenSolaris"],
+  ["group__group__os.html#details","Definition","OS","FreeBSD"],
+  ["group__group__os.html#details","Definition","OS","OpenBSD"],
+  ["group__group__os.html#details","Definition","OS","Detection is performed lazily on first use and cached using OpenMP threadprivate storage, ensuring negligible overhead for repeated queries."],
+  ["group__group__os.html#details","Definition","OS","The implementation relies primarily on environment variables, with fallback detection through the presence of well-known operating-system specific files."],
+  ["group__group__os.html#details","Definition","OS","This strategy is designed to work reliably in native installations, containers, WSL environments, and most cross-compilation setups."],
+  ["group__group__os.html#details","Definition","OS","Detection Model"],
+  ["group__group__os.html#details","Definition","OS","OS identification is attempted in the following order:"],
+  ["group__group__os.html#details","Definition","OS","Environment variable OSTYPE"],
+  ["group__group__os.html#details","Definition","OS","Environment variable OS"],
+  ["group__group__os.html#details","Definition","OS","Operating-system specific filesystem probes"],
+  ["group__group__os.html#details","Definition","OS","Fallback to OS_UNKNOWN"],
+  ["group__group__os.html#os_examples","Examples","OS","Basic OS detection:"],
+  ["group__group__os.html#os_examples","Examples","OS","integer :: my_os my_os = get_os_type() print *, 'Running on: ', os_name(my_os) !> prints e.g. 'Running on: Linux'"],
+  ["group__group__os.html#os_examples","Examples","OS","Conditional compilation based on OS:"],
+  ["group__group__os.html#os_examples","Examples","OS","!platform specific system call if (os_is_unix()) then call system('gcc --version') else call execute_command_line('gfortran --version') end if"],
+  ["group__group__os.html#os_examples","Examples","OS","Using the cached value explicitly:"],
+  ["group__group__os.html#os_examples","Examples","OS","integer :: os_type os_type = get_os_type() ! detects and caches print *, os_is_unix(os_type) ! fast, no re-detection"],
+  ["group__group__os.html#os_examples","Examples","OS","Module constants"],
+  ["group__group__os.html#os_examples","Examples","OS","if (get_os_type() == os_windows) then ... end if"],
+  ["group__group__os.html#gaea747ca4b17690fe52ab56cf44b0ef69","os_cygwin","OS","Cygwin POSIX environment on Windows."],
+  ["group__group__os.html#ga8a09a5ef377801c337f2ac24e992d811","os_freebsd","OS","FreeBSD and its direct derivatives."],
+  ["group__group__os.html#ga48888fd96ebfb6cb7e1a1226f95a0764","os_linux","OS","Linux (any distribution, including GNU/Linux)."],
+  ["group__group__os.html#ga92db930359a293df5384ccad9be01d63","os_macos","OS","macOS (Darwin-based Apple operating system)"],
+  ["group__group__os.html#ga698996c20e3ab09940bb2ccbead24378","os_openbsd","OS","OpenBSD."],
+  ["group__group__os.html#ga191e286694119bd0e2bdb78baa20e1be","os_solaris","OS","Oracle Solaris / OpenSolaris derivatives."],
+  ["group__group__os.html#ga9f56b2b83c7f13700be54bf358080e74","os_unknown","OS","Unknown / undetected operating system."],
+  ["group__group__os.html#ga457d71d7a47f325da4b900d6f77df3ea","os_windows","OS","Microsoft Windows (native, 32-bit or 64-bit)."],
+  ["group__group__os.html#ga078acd1c2a938a3ad3b1244a4f30348a","os_windowsx86","OS","Native Microsoft Windows running on 32-bit x86 architecture."],
+  ["group__group__os.html#ga078acd1c2a938a3ad3b1244a4f30348a","os_windowsx86","OS","This value is returned when the operating system is identified as Windows and the PROCESSOR_ARCHITECTURE environment variable indicates an x86 target."],
+  ["group__group__os.html#ga078acd1c2a938a3ad3b1244a4f30348a","os_windowsx86","OS","It can be used when architecture-specific behavior is required."],
+  ["group__group__os.html#gab22409272fd1365aba83ea3faed5db94","get_os_type()","OS","Determine the current operating system type Returns one of the OS_* constants."],
+  ["group__group__os.html#gab22409272fd1365aba83ea3faed5db94","get_os_type()","OS","Thread Safety"],
+  ["group__group__os.html#gab22409272fd1365aba83ea3faed5db94","get_os_type()","OS","The detected value is cached independently for each OpenMP thread using threadprivate storage. Concurrent calls therefore incur no synchronization overhead after the first query on each thread."],
+  ["group__group__os.html#gab22409272fd1365aba83ea3faed5db94","get_os_type()","OS","Detection strategy:"],
+  ["group__group__os.html#gab22409272fd1365aba83ea3faed5db94","get_os_type()","OS","Environment variable OSTYPE (common on Unix-like systems)"],
+  ["group__group__os.html#gab22409272fd1365aba83ea3faed5db94","get_os_type()","OS","Environment variable OS (set on Windows)"],
+  ["group__group__os.html#gab22409272fd1365aba83ea3faed5db94","get_os_type()","OS","Presence of OS-specific files (/etc/os-release, /usr/bin/sw_vers, etc.)"],
+  ["group__group__os.html#gab22409272fd1365aba83ea3faed5db94","get_os_type()","OS","Returns OS_UNKNOWN if no reliable indicator is found."],
+  ["group__group__os.html#gab22409272fd1365aba83ea3faed5db94","get_os_type()","OS","Returns"],
+  ["group__group__os.html#gab22409272fd1365aba83ea3faed5db94","get_os_type()","OS","OS identifier (OS_LINUX, OS_MACOS, OS_WINDOWS, ...)"],
+  ["group__group__os.html#gab22409272fd1365aba83ea3faed5db94","get_os_type()","OS","Examples"],
+  ["group__group__os.html#gab22409272fd1365aba83ea3faed5db94","get_os_type()","OS","select case (get_os_type()) case (os_windows) print *, 'Windows' case (os_linux) print *, 'Linux' end select"],
+  ["group__group__os.html#gaa68416bffd37d6eb53ae27cae0e406bb","os_is_unix()","OS","Return .true. if the current (or supplied) OS is Unix-like Convenience wrapper that returns .true. for any non-Windows platform. Useful for writing portable code that needs different handling on Windows."],
+  ["group__group__os.html#gaa68416bffd37d6eb53ae27cae0e406bb","os_is_unix()","OS","Parameters"],
+  ["group__group__os.html#gaa68416bffd37d6eb53ae27cae0e406bb","os_is_unix()","OS","[in] os Optional OS identifier; if absent get_os_type() is called"],
+  ["group__group__os.html#gaa68416bffd37d6eb53ae27cae0e406bb","os_is_unix()","OS","Returns"],
+  ["group__group__os.html#gaa68416bffd37d6eb53ae27cae0e406bb","os_is_unix()","OS",".true. if OS is not Windows, .false. otherwise"],
+  ["group__group__os.html#gaa68416bffd37d6eb53ae27cae0e406bb","os_is_unix()","OS","Examples"],
+  ["group__group__os.html#gaa68416bffd37d6eb53ae27cae0e406bb","os_is_unix()","OS","if (os_is_unix()) then call execute_command_line('uname -a') end if"],
+  ["group__group__os.html#gadc3e8d033f0055d5f8f1b6398178db99","os_name()","OS","Return a human-readable string describing the OS type flag Converts any of the OS_* integer constants into its corresponding name. Accepted values include:"],
+  ["group__group__os.html#gadc3e8d033f0055d5f8f1b6398178db99","os_name()","OS","OS_UNKNOWN"],
+  ["group__group__os.html#gadc3e8d033f0055d5f8f1b6398178db99","os_name()","OS","OS_LINUX"],
+  ["group__group__os.html#gadc3e8d033f0055d5f8f1b6398178db99","os_name()","OS","OS_MACOS"],
+  ["group__group__os.html#gadc3e8d033f0055d5f8f1b6398178db99","os_name()","OS","OS_WINDOWS"],
+  ["group__group__os.html#gadc3e8d033f0055d5f8f1b6398178db99","os_name()","OS","OS_WINDOWSx86"],
+  ["group__group__os.html#gadc3e8d033f0055d5f8f1b6398178db99","os_name()","OS","OS_CYGWIN"],
+  ["group__group__os.html#gadc3e8d033f0055d5f8f1b6398178db99","os_name()","OS","OS_SOLARIS"],
+  ["group__group__os.html#gadc3e8d033f0055d5f8f1b6398178db99","os_name()","OS","OS_FREEBSD"],
+  ["group__group__os.html#gadc3e8d033f0055d5f8f1b6398178db99","os_name()","OS","OS_OPENBSD Useful for logging, error messages, or user output."],
+  ["group__group__os.html#gadc3e8d033f0055d5f8f1b6398178db99","os_name()","OS","Parameters"],
+  ["group__group__os.html#gadc3e8d033f0055d5f8f1b6398178db99","os_name()","OS","[in] os OS identifier from get_os_type()"],
+  ["group__group__os.html#gadc3e8d033f0055d5f8f1b6398178db99","os_name()","OS","Returns"],
+  ["group__group__os.html#gadc3e8d033f0055d5f8f1b6398178db99","os_name()","OS","Allocated character string with the OS name"],
+  ["group__group__os.html#gadc3e8d033f0055d5f8f1b6398178db99","os_name()","OS","Examples"],
+  ["group__group__os.html#gadc3e8d033f0055d5f8f1b6398178db99","os_name()","OS","print *, os_name(os_linux) !> prints: Linux"],
+  ["group__group__parser.html#details","Definition","Parser","Fortran Preprocessor (fpx) - core parsing and preprocessing module."],
+  ["group__group__parser.html#details","Definition","Parser","This module implements a full-featured, modern Fortran preprocessor supporting:"],
+  ["group__group__parser.html#details","Definition","Parser","C-style line continuations with \\ and \\\\"],
+  ["group__group__parser.html#details","Definition","Parser","Fortran-style & continuations"],
+  ["group__group__parser.html#details","Definition","Parser","#define, #undef, object-like and function-like macros with variadic support"],
+  ["group__group__parser.html#details","Definition","Parser","#include with proper path resolution and recursion guard"],
+  ["group__group__parser.html#details","Definition","Parser","Conditional compilation: #if, #ifdef, #ifndef, #elif, #else, #endif"],
+  ["group__group__parser.html#details","Definition","Parser","Non-standard #for directive"],
+  ["group__group__parser.html#details","Definition","Parser","C-style /* ... */ comments (nestable aware)"],
+  ["group__group__parser.html#details","Definition","Parser","Macro expansion with argument substitution and stringification (#) / token-pasting (##)"],
+  ["group__group__parser.html#details","Definition","Parser","Interactive REPL mode when reading from stdin"],
+  ["group__group__parser.html#details","Definition","Parser","Multiple entry points for file-to-file, unit-to-unit, etc."],
+  ["group__group__parser.html#details","Definition","Parser","Support ${x} for substituting macro name"],
+  ["group__group__parser.html#details","Definition","Parser","The preprocessor is designed to be standards-conforming where possible while adding useful extensions (variadic macros, better diagnostics, include path handling)."],
+  ["group__group__parser.html#details","Definition","Parser","Processing Pipeline"],
+  ["group__group__parser.html#details","Definition","Parser","Source files are processed in several stages:"],
+  ["group__group__parser.html#details","Definition","Parser","Input acquisition from files, units, or stdin"],
+  ["group__group__parser.html#details","Definition","Parser","C-style continuation handling (\\, \\\\)"],
+  ["group__group__parser.html#details","Definition","Parser","Fortran continuation handling (&)"],
+  ["group__group__parser.html#details","Definition","Parser","C-style block comment removal"],
+  ["group__group__parser.html#details","Definition","Parser","Directive recognition and execution"],
+  ["group__group__parser.html#details","Definition","Parser","Conditional compilation evaluation"],
+  ["group__group__parser.html#details","Definition","Parser","Macro expansion"],
+  ["group__group__parser.html#details","Definition","Parser","Emission to the output stream"],
+  ["group__group__parser.html#details","Definition","Parser","Include files recursively invoke the same processing pipeline."],
+  ["group__group__parser.html#details","Definition","Parser","Parser State"],
+  ["group__group__parser.html#details","Definition","Parser","The parser maintains module-level state describing:"],
+  ["group__group__parser.html#details","Definition","Parser","current source file,"],
+  ["group__group__parser.html#details","Definition","Parser","line continuation status,"],
+  ["group__group__parser.html#details","Definition","Parser","comment state,"],
+  ["group__group__parser.html#details","Definition","Parser","deferred reprocessing buffers,"],
+  ["group__group__parser.html#details","Definition","Parser","interactive mode output state."],
+  ["group__group__parser.html#details","Definition","Parser","This state is reset at the beginning of each top-level preprocessing run."],
+  ["group__group__parser.html#details","Definition","Parser","The parser coordinates several specialized subsystems:"],
+  ["group__group__parser.html#details","Definition","Parser","Define for macro definition directives,"],
+  ["group__group__parser.html#details","Definition","Parser","Include for include processing,"],
+  ["group__group__parser.html#details","Definition","Parser","Macro for macro expansion,"],
+  ["group__group__parser.html#details","Definition","Parser","Conditional for conditional compilation,"],
+  ["group__group__parser.html#details","Definition","Parser","For for non-standard loop directives,"],
+  ["group__group__parser.html#details","Definition","Parser","Diagnostics for reporting."],
+  ["group__group__parser.html#details","Definition","Parser","fpx Extensions"],
+  ["group__group__parser.html#details","Definition","Parser","In addition to standard preprocessing facilities, fpx provides:"],
+  ["group__group__parser.html#details","Definition","Parser","#for / #endfor"],
+  ["group__group__parser.html#details","Definition","Parser","${NAME} macro insertion"],
+  ["group__group__parser.html#details","Definition","Parser","implicit continuation support"],
+  ["group__group__parser.html#details","Definition","Parser","interactive REPL mode"],
+  ["group__group__parser.html#details","Definition","Parser","enhanced diagnostics"],
+  ["group__group__parser.html#parser_examples","Examples","Parser","Preprocess a file to stdout:"],
+  ["group__group__parser.html#parser_examples","Examples","Parser","call preprocess('input.F90')"],
+  ["group__group__parser.html#parser_examples","Examples","Parser","Preprocess a file and write to another file:"],
+  ["group__group__parser.html#parser_examples","Examples","Parser","call preprocess('src/main.F90', 'preprocessed/main.F90')"],
+  ["group__group__parser.html#parser_examples","Examples","Parser","Use in a build system with unit numbers:"],
+  ["group__group__parser.html#parser_examples","Examples","Parser","integer :: iu, ou open(newunit=iu, file='input.F90') open(newunit=ou, file='output.F90') call preprocess(iu, ou) close(iu); close(ou)"],
+  ["group__group__parser.html#parser_examples","Examples","Parser","Interactive mode (stdin to stdout):"],
+  ["group__group__parser.html#parser_examples","Examples","Parser","$ ./fpx [in] #define PI 3.1415926535 [out] [in] real :: x = pi*2 [out] real :: x = 3.1415926535*2 [in] (empty line or 'quit' to exit)"],
+  ["group__group__path.html#details","Definition","Path","A modern, portable Fortran module for path manipulation and basic directory operations. This module provides a clean interface for working with file system paths in a platform-independent way. It correctly handles both Unix ('/') and Windows ('\\') path separators through conditional compilation and offers deferred-length character results for maximum flexibility."],
+  ["group__group__path.html#details","Definition","Path","The module builds upon the fpx_string module for string type support and provides overloads of key procedures to accept either intrinsic character(*) or type(string) arguments."],
+  ["group__group__path.html#details","Definition","Path","Features include:"],
+  ["group__group__path.html#details","Definition","Path","Detection of absolute and rooted paths"],
+  ["group__group__path.html#details","Definition","Path","Cross-platform path joining"],
+  ["group__group__path.html#details","Definition","Path","Extraction of directory and filename components"],
+  ["group__group__path.html#details","Definition","Path","Splitting paths into head/tail elements"],
+  ["group__group__path.html#details","Definition","Path","Retrieval and modification of the current working directory"],
+  ["group__group__path.html#details","Definition","Path","Support for both intrinsic CHARACTER and type(string) arguments"],
+  ["group__group__path.html#details","Definition","Path","Changing the current working directory (chdir)"],
+  ["group__group__path.html#details","Definition","Path","Note"],
+  ["group__group__path.html#details","Definition","Path","All path-returning functions return allocatable deferred-length characters."],
+  ["group__group__path.html#details","Definition","Path","The public generic join interface works with any combination of character and string."],
+  ["group__group__path.html#path_examples","Examples","Path","character(:), allocatable :: p1, p2, full p1 = '/home/user/docs' p2 = 'report.pdf' full = join(p1, p2) ! => '/home/user/docs/report.pdf' print *, is_absolute(full) ! .true. (on Unix) print *, filename(full) ! 'report' print *, filename(full,.true.) ! 'report.pdf' print *, dirpath(full) ! '/home/user/docs'"],
+  ["group__group__path.html#path_examples","Examples","Path","On Windows:"],
+  ["group__group__path.html#path_examples","Examples","Path","character(:), allocatable :: p p = join('C:\\Users', 'Alice', 'Documents') ! p == 'C:\\Users\\Alice\\Documents' print *, is_absolute(p) ! .true."],
+  ["group__group__path.html#ga75f09aeef195fd8649bafaee43421ae1","chdir()","Path","Changes the current working directory. This is a thin wrapper around the underlying C runtime chdir() implementation."],
+  ["group__group__path.html#ga75f09aeef195fd8649bafaee43421ae1","chdir()","Path","Parameters"],
+  ["group__group__path.html#ga75f09aeef195fd8649bafaee43421ae1","chdir()","Path","[in] path Directory to change to"],
+  ["group__group__path.html#ga75f09aeef195fd8649bafaee43421ae1","chdir()","Path","[out] err Optional integer error code (0 = success, non-zero = failure)"],
+  ["group__group__path.html#ga75f09aeef195fd8649bafaee43421ae1","chdir()","Path","integer :: ierr call chdir('/tmp', ierr) if (ierr /= 0) stop 'Failed to change directory'"],
+  ["group__group__path.html#ga3dacbbb5b88aa8f8c772ddbcbff36077","cwd()","Path","Returns the current working directory as a deferred-length character string. Returns an empty string if the current directory cannot be determined."],
+  ["group__group__path.html#ga3dacbbb5b88aa8f8c772ddbcbff36077","cwd()","Path","Returns"],
+  ["group__group__path.html#ga3dacbbb5b88aa8f8c772ddbcbff36077","cwd()","Path","res Current working directory"],
+  ["group__group__path.html#ga3dacbbb5b88aa8f8c772ddbcbff36077","cwd()","Path","character(:), allocatable :: here here = cwd() print *, 'We are in: ', here"],
+  ["group__group__path.html#ga50eef041eb787bd6a02b4a8f576505c5","is_absolute()","Path","Returns .true. if the path is absolute. On Unix a path is absolute when it starts with '/'. On Windows a path is absolute when it starts with a drive letter followed by ':\\C:\\', 'd:/temp')."],
+  ["group__group__path.html#ga50eef041eb787bd6a02b4a8f576505c5","is_absolute()","Path","Parameters"],
+  ["group__group__path.html#ga50eef041eb787bd6a02b4a8f576505c5","is_absolute()","Path","[in] filepath Path to test"],
+  ["group__group__path.html#ga50eef041eb787bd6a02b4a8f576505c5","is_absolute()","Path","Returns"],
+  ["group__group__path.html#ga50eef041eb787bd6a02b4a8f576505c5","is_absolute()","Path","res .true. if filepath is absolute"],
+  ["group__group__path.html#ga50eef041eb787bd6a02b4a8f576505c5","is_absolute()","Path","print *, is_absolute('/home/user') ! .true. (Unix) print *, is_absolute('C:\\\\Temp') ! .true. (Windows) print *, is_absolute('docs/..') ! .false."],
+  ["group__group__path.html#ga2e42aece5ef439ad80581b44ff0f179d","is_rooted()","Path","Returns .true. if the path is rooted (starts with a separator) or is absolute. A rooted path begins with the platform separator ('\\' on Windows, '/' elsewhere) even if it is not a full absolute path (e.g. '/temp' on Linux)."],
+  ["group__group__path.html#ga2e42aece5ef439ad80581b44ff0f179d","is_rooted()","Path","Parameters"],
+  ["group__group__path.html#ga2e42aece5ef439ad80581b44ff0f179d","is_rooted()","Path","[in] filepath Path to test"],
+  ["group__group__path.html#ga2e42aece5ef439ad80581b44ff0f179d","is_rooted()","Path","Returns"],
+  ["group__group__path.html#ga2e42aece5ef439ad80581b44ff0f179d","is_rooted()","Path","res .true. if filepath is rooted"],
+  ["group__group__path.html#gae90f10f0b9c263751cdffdd11d57f5b0","join_character_character()","Path","Implementation of join for character arguments."],
+  ["group__group__path.html#gae90f10f0b9c263751cdffdd11d57f5b0","join_character_character()","Path","The generic interface accepts any combination of intrinsic character(*) and string arguments."],
+  ["group__group__path.html#gae90f10f0b9c263751cdffdd11d57f5b0","join_character_character()","Path","Supported overloads:"],
+  ["group__group__path.html#gae90f10f0b9c263751cdffdd11d57f5b0","join_character_character()","Path","join(character, character)"],
+  ["group__group__path.html#gae90f10f0b9c263751cdffdd11d57f5b0","join_character_character()","Path","join(character, string)"],
+  ["group__group__path.html#gae90f10f0b9c263751cdffdd11d57f5b0","join_character_character()","Path","join(string, character)"],
+  ["group__group__path.html#gae90f10f0b9c263751cdffdd11d57f5b0","join_character_character()","Path","join(string, string)"],
+  ["group__group__path.html#gae90f10f0b9c263751cdffdd11d57f5b0","join_character_character()","Path","Examples"],
+  ["group__group__path.html#gae90f10f0b9c263751cdffdd11d57f5b0","join_character_character()","Path","character(:), allocatable :: p p = join('/usr','bin') ! '/usr/bin' p = join(string('/usr'),'local') ! '/usr/local'"],
+  ["group__group__path.html#ga80f7ef90f9330578901a31bc7c8611c0","join_character_string()","Path","Implementation of join for character arguments."],
+  ["group__group__path.html#ga80f7ef90f9330578901a31bc7c8611c0","join_character_string()","Path","The generic interface accepts any combination of intrinsic character(*) and string arguments."],
+  ["group__group__path.html#ga80f7ef90f9330578901a31bc7c8611c0","join_character_string()","Path","Supported overloads:"],
+  ["group__group__path.html#ga80f7ef90f9330578901a31bc7c8611c0","join_character_string()","Path","join(character, character)"],
+  ["group__group__path.html#ga80f7ef90f9330578901a31bc7c8611c0","join_character_string()","Path","join(character, string)"],
+  ["group__group__path.html#ga80f7ef90f9330578901a31bc7c8611c0","join_character_string()","Path","join(string, character)"],
+  ["group__group__path.html#ga80f7ef90f9330578901a31bc7c8611c0","join_character_string()","Path","join(string, string)"],
+  ["group__group__path.html#ga80f7ef90f9330578901a31bc7c8611c0","join_character_string()","Path","Examples"],
+  ["group__group__path.html#ga80f7ef90f9330578901a31bc7c8611c0","join_character_string()","Path","character(:), allocatable :: p p = join('/usr','bin') ! '/usr/bin' p = join(string('/usr'),'local') ! '/usr/local'"],
+  ["group__group__path.html#gac548ef67858ca3cc318f5cecffd492ad","join_string_character()","Path","Implementation of join for character arguments."],
+  ["group__group__path.html#gac548ef67858ca3cc318f5cecffd492ad","join_string_character()","Path","The generic interface accepts any combination of intrinsic character(*) and string arguments."],
+  ["group__group__path.html#gac548ef67858ca3cc318f5cecffd492ad","join_string_character()","Path","Supported overloads:"],
+  ["group__group__path.html#gac548ef67858ca3cc318f5cecffd492ad","join_string_character()","Path","join(character, character)"],
+  ["group__group__path.html#gac548ef67858ca3cc318f5cecffd492ad","join_string_character()","Path","join(character, string)"],
+  ["group__group__path.html#gac548ef67858ca3cc318f5cecffd492ad","join_string_character()","Path","join(string, character)"],
+  ["group__group__path.html#gac548ef67858ca3cc318f5cecffd492ad","join_string_character()","Path","join(string, string)"],
+  ["group__group__path.html#gac548ef67858ca3cc318f5cecffd492ad","join_string_character()","Path","Examples"],
+  ["group__group__path.html#gac548ef67858ca3cc318f5cecffd492ad","join_string_character()","Path","character(:), allocatable :: p p = join('/usr','bin') ! '/usr/bin' p = join(string('/usr'),'local') ! '/usr/local'"],
+  ["group__group__path.html#ga003662531cae6f864b1b05ca52502864","join_string_string()","Path","Implementation of join for character arguments."],
+  ["group__group__path.html#ga003662531cae6f864b1b05ca52502864","join_string_string()","Path","The generic interface accepts any combination of intrinsic character(*) and string arguments."],
+  ["group__group__path.html#ga003662531cae6f864b1b05ca52502864","join_string_string()","Path","Supported overloads:"],
+  ["group__group__path.html#ga003662531cae6f864b1b05ca52502864","join_string_string()","Path","join(character, character)"],
+  ["group__group__path.html#ga003662531cae6f864b1b05ca52502864","join_string_string()","Path","join(character, string)"],
+  ["group__group__path.html#ga003662531cae6f864b1b05ca52502864","join_string_string()","Path","join(string, character)"],
+  ["group__group__path.html#ga003662531cae6f864b1b05ca52502864","join_string_string()","Path","join(string, string)"],
+  ["group__group__path.html#ga003662531cae6f864b1b05ca52502864","join_string_string()","Path","Examples"],
+  ["group__group__path.html#ga003662531cae6f864b1b05ca52502864","join_string_string()","Path","character(:), allocatable :: p p = join('/usr','bin') ! '/usr/bin' p = join(string('/usr'),'local') ! '/usr/local'"],
+  ["group__group__path.html#gad1d14775f471e84d2d96c2e29b6f8c6a","split_path()","Path","Splits a path into head (directory) and tail (basename) components. Special cases:"],
+  ["group__group__path.html#gad1d14775f471e84d2d96c2e29b6f8c6a","split_path()","Path","Empty paths return ('.','')"],
+  ["group__group__path.html#gad1d14775f471e84d2d96c2e29b6f8c6a","split_path()","Path","Root directories return ('/','')"],
+  ["group__group__path.html#gad1d14775f471e84d2d96c2e29b6f8c6a","split_path()","Path","Trailing separators are ignored"],
+  ["group__group__path.html#gad1d14775f471e84d2d96c2e29b6f8c6a","split_path()","Path","Parameters"],
+  ["group__group__path.html#gad1d14775f471e84d2d96c2e29b6f8c6a","split_path()","Path","[in] filepath Input path"],
+  ["group__group__path.html#gad1d14775f471e84d2d96c2e29b6f8c6a","split_path()","Path","[out] head Directory part (includes trailing separator when appropriate)"],
+  ["group__group__path.html#gad1d14775f471e84d2d96c2e29b6f8c6a","split_path()","Path","[out] tail Base name part"],
+  ["group__group__string.html#details","Definition","String","Minimal yet powerful variable-length string type with modern Fortran features. This module implements a lightweight string derived type that behaves like a true variable-length character string while remaining fully compatible with intrinsic Fortran character operations."],
+  ["group__group__string.html#details","Definition","String","Features:"],
+  ["group__group__string.html#details","Definition","String","Automatic memory management via allocatable character(:)"],
+  ["group__group__string.html#details","Definition","String","Overloaded assignment (=) between string and character(*)"],
+  ["group__group__string.html#details","Definition","String","Overloaded operators: // (concatenation), == (equality), .contains. (membership)"],
+  ["group__group__string.html#details","Definition","String","Generic interfaces for len, len_trim, trim"],
+  ["group__group__string.html#details","Definition","String","Full support for formatted I/O (write, print)"],
+  ["group__group__string.html#details","Definition","String","Helper routines for parsing Fortran source (line continuation, upper/lower case conversion, etc.)"],
+  ["group__group__string.html#details","Definition","String","The design is intentionally minimal - it provides only what's necessary for robust string handling in scientific and preprocessing applications, avoiding the bloat of larger string libraries while remaining fast and standards-compliant."],
+  ["group__group__string.html#details","Definition","String","Note"],
+  ["group__group__string.html#details","Definition","String","All procedures are pure or elemental when possible for maximum performance and usability in array contexts."],
+  ["group__group__string.html#string_examples","Examples","String","Basic Usage"],
+  ["group__group__string.html#string_examples","Examples","String","type(string) :: s, t character(:), allocatable :: line s = 'Hello' ! Assignment from literal t = s // ' World!' ! Concatenation print *, t%chars ! Output: Hello World! if (s == 'Hello') then print *, 'Equal' else print *, 'Case sensitive' endif print *, len(t) ! -> 12 print *, len_trim(t) ! -> 12"],
+  ["group__group__string.html#string_examples","Examples","String","Array and Container Support"],
+  ["group__group__string.html#string_examples","Examples","String","type(string) :: words(3) logical :: found words = [string('apple'), string('banana'), string('cherry')] found = words .contains. 'banana' ! --> .true. found = words .contains. string('date') ! --> .false."],
+  ["group__group__string.html#string_examples","Examples","String","Advanced: Source Code Processing"],
+  ["group__group__string.html#string_examples","Examples","String","character(len=:), allocatable :: code_line code_line = uppercase('program hello_world ! comment') ! --> 'PROGRAM HELLO_WORLD ! comment'"],
+  ["group__group__string.html#gadb259182cf539d22a0de67734b243059","concat()","String","Smart concatenation that removes continuation markers (&) and handles line-continuation rules."],
+  ["group__group__string.html#gadb259182cf539d22a0de67734b243059","concat()","String","Parameters"],
+  ["group__group__string.html#gadb259182cf539d22a0de67734b243059","concat()","String","[in] str1 first line"],
+  ["group__group__string.html#gadb259182cf539d22a0de67734b243059","concat()","String","[in] str2 second line"],
+  ["group__group__string.html#gadb259182cf539d22a0de67734b243059","concat()","String","Returns"],
+  ["group__group__string.html#gadb259182cf539d22a0de67734b243059","concat()","String","Concatenated string with proper continuation handling"],
+  ["group__group__string.html#gafaf25b317ddf986a177b9984e58b75ad","head()","String","Returns the first character of the trimmed string."],
+  ["group__group__string.html#gafaf25b317ddf986a177b9984e58b75ad","head()","String","Parameters"],
+  ["group__group__string.html#gafaf25b317ddf986a177b9984e58b75ad","head()","String","[in] str input string"],
+  ["group__group__string.html#gafaf25b317ddf986a177b9984e58b75ad","head()","String","Returns"],
+  ["group__group__string.html#gafaf25b317ddf986a177b9984e58b75ad","head()","String","First character (space if empty)"],
+  ["group__group__string.html#gaa2b8ec4e39395a3550a97ea0ee92e0a2","lowercase()","String","Convert string to lower case (respects contents of quotes)."],
+  ["group__group__string.html#gaa2b8ec4e39395a3550a97ea0ee92e0a2","lowercase()","String","Parameters"],
+  ["group__group__string.html#gaa2b8ec4e39395a3550a97ea0ee92e0a2","lowercase()","String","[in] str input string"],
+  ["group__group__string.html#gaa2b8ec4e39395a3550a97ea0ee92e0a2","lowercase()","String","Returns"],
+  ["group__group__string.html#gaa2b8ec4e39395a3550a97ea0ee92e0a2","lowercase()","String","Lower-case version of the string"],
+  ["group__group__string.html#gaa2b8ec4e39395a3550a97ea0ee92e0a2","lowercase()","String","Examples"],
+  ["group__group__string.html#gaa2b8ec4e39395a3550a97ea0ee92e0a2","lowercase()","String","character(*), parameter :: input = 'TEST' character(:), allocatable :: output output = lowercase(input) if (output == 'test') print*, 'OK'"],
+  ["group__group__string.html#gad5ed5d996518e663bf692512469bd632","previous()","String","Returns the previous non-blank character before position pos (updates pos)."],
+  ["group__group__string.html#gad5ed5d996518e663bf692512469bd632","previous()","String","Parameters"],
+  ["group__group__string.html#gad5ed5d996518e663bf692512469bd632","previous()","String","[in] line input line"],
+  ["group__group__string.html#gad5ed5d996518e663bf692512469bd632","previous()","String","[in,out] pos current position (moved backward)"],
+  ["group__group__string.html#gad5ed5d996518e663bf692512469bd632","previous()","String","Returns"],
+  ["group__group__string.html#gad5ed5d996518e663bf692512469bd632","previous()","String","Previous non-blank character"],
+  ["group__group__string.html#gae5571ae03556ef6798087ca88b1ffd26","starts_with()","String","Checks if a string starts with a given prefix Returns .true. if the string str (after trimming leading/trailing whitespace) begins exactly with the substring arg1. The function uses index() after trimming both strings with trim(adjustl())."],
+  ["group__group__string.html#gae5571ae03556ef6798087ca88b1ffd26","starts_with()","String","Parameters"],
+  ["group__group__string.html#gae5571ae03556ef6798087ca88b1ffd26","starts_with()","String","[in] str The string to be tested"],
+  ["group__group__string.html#gae5571ae03556ef6798087ca88b1ffd26","starts_with()","String","[in] arg1 The prefix to look for at the beginning of str"],
+  ["group__group__string.html#gae5571ae03556ef6798087ca88b1ffd26","starts_with()","String","[out] idx (optional) If present, receives the starting position of arg1 in the trimmed string (will be 1 if the function returns .true., otherwise >1 or 0)"],
+  ["group__group__string.html#gae5571ae03556ef6798087ca88b1ffd26","starts_with()","String","Returns"],
+  ["group__group__string.html#gae5571ae03556ef6798087ca88b1ffd26","starts_with()","String",".true. if str starts with arg1 (after trimming), .false. otherwise"],
+  ["group__group__string.html#gae5571ae03556ef6798087ca88b1ffd26","starts_with()","String","Note"],
+  ["group__group__string.html#gae5571ae03556ef6798087ca88b1ffd26","starts_with()","String","Leading and trailing whitespace of both str and arg1 is ignored"],
+  ["group__group__string.html#gae5571ae03556ef6798087ca88b1ffd26","starts_with()","String","Comparison is case-sensitive"],
+  ["group__group__string.html#gae5571ae03556ef6798087ca88b1ffd26","starts_with()","String","Empty arg1 will always return .true. (any string starts with empty string)"],
+  ["group__group__string.html#gae5571ae03556ef6798087ca88b1ffd26","starts_with()","String","Warning The returned index (when requested) is the position after trimming of the input string, not in the original untrimmed string."],
+  ["group__group__string.html#gae5571ae03556ef6798087ca88b1ffd26","starts_with()","String","Examples"],
+  ["group__group__string.html#gae5571ae03556ef6798087ca88b1ffd26","starts_with()","String","character(80) :: line = ' hello world ' logical :: ok integer :: pos ok = starts_with(line, 'hello') ! -> .true. ok = starts_with(line, 'hello', pos) ! -> .true. and pos = 1 ok = starts_with(line, 'world') ! -> .false. ok = starts_with(' test123 ', 'test') ! -> .true."],
+  ["group__group__string.html#ga5f1082a048d0e212c77896988f601304","tail()","String","Returns the last non-blank character of a string."],
+  ["group__group__string.html#ga5f1082a048d0e212c77896988f601304","tail()","String","Parameters"],
+  ["group__group__string.html#ga5f1082a048d0e212c77896988f601304","tail()","String","[in] str input string"],
+  ["group__group__string.html#ga5f1082a048d0e212c77896988f601304","tail()","String","Returns"],
+  ["group__group__string.html#ga5f1082a048d0e212c77896988f601304","tail()","String","Last character (space if empty)"],
+  ["group__group__string.html#gad80a98c0e57973f8899bc0f432e26f85","uppercase()","String","Convert string to upper case (respects contents of quotes)."],
+  ["group__group__string.html#gad80a98c0e57973f8899bc0f432e26f85","uppercase()","String","Parameters"],
+  ["group__group__string.html#gad80a98c0e57973f8899bc0f432e26f85","uppercase()","String","[in] str input string"],
+  ["group__group__string.html#gad80a98c0e57973f8899bc0f432e26f85","uppercase()","String","Returns"],
+  ["group__group__string.html#gad80a98c0e57973f8899bc0f432e26f85","uppercase()","String","Upper-case version of the string"],
+  ["group__group__string.html#gad80a98c0e57973f8899bc0f432e26f85","uppercase()","String","Examples"],
+  ["group__group__string.html#gad80a98c0e57973f8899bc0f432e26f85","uppercase()","String","character(*), parameter :: input = 'test' character(:), allocatable :: output output = uppercase(input) if (output == 'TEST') print*, 'OK'"],
+  ["group__group__string.html#gaaaad8624e7dc4b2c05338a5be8d3f906","writechk()","String","Write a long line split into chunks of size CHKSIZE with continuation (&)."],
+  ["group__group__string.html#gaaaad8624e7dc4b2c05338a5be8d3f906","writechk()","String","Parameters"],
+  ["group__group__string.html#gaaaad8624e7dc4b2c05338a5be8d3f906","writechk()","String","[in] unit logical unit"],
+  ["group__group__string.html#gaaaad8624e7dc4b2c05338a5be8d3f906","writechk()","String","[in] str string to write"],
+  ["group__group__token.html#details","Definition","Token","Token classification and representation for expression parsing in fpx."],
+  ["group__group__token.html#details","Definition","Token","This module provides the lightweight but robust token infrastructure used by the fpx preprocessor when evaluating constant expressions in #if / #elif directives."],
+  ["group__group__token.html#details","Definition","Token","It defines:"],
+  ["group__group__token.html#details","Definition","Token","A clean enumeration of token kinds (tokens_enum)"],
+  ["group__group__token.html#details","Definition","Token","A simple token derived type that carries both the lexical value and its semantic category"],
+  ["group__group__token.html#details","Definition","Token","These types are used internally by evaluate_expression() (from fpx_token) to parse and compute #if DEBUG > 1 && defined(USE_MPI)-style conditions."],
+  ["group__group__token.html#details","Definition","Token","Key design goals"],
+  ["group__group__token.html#details","Definition","Token","Minimal memory footprint"],
+  ["group__group__token.html#details","Definition","Token","Clear separation between lexical scanning and semantic interpretation"],
+  ["group__group__token.html#details","Definition","Token","Easy extensibility for future operators or functions"],
+  ["group__group__token.html#token_examples","Examples","Token","Manual token creation (mostly for testing/debugging):"],
+  ["group__group__token.html#token_examples","Examples","Token","use fpx_token type(token) :: t1, t2, t3 t1 = token('42', number) ! numeric literal t2 = token('DEBUG', identifier) ! macro name t3 = token('>', operator) ! comparison operator print *, 'Token: ', t1%value, ' type=', t1%type ! -> 42 type=0"],
+  ["group__group__token.html#token_examples","Examples","Token","fpx_token::token"],
+  ["group__group__token.html#token_examples","Examples","Token","Represents a single token in a parsed expression. Holds the string value of the token and its classif..."],
+  ["group__group__token.html#token_examples","Examples","Token","Definition token.f90:105"],
+  ["group__group__token.html#token_examples","Examples","Token","Typical internal usage during #if evaluation:"],
+  ["group__group__token.html#token_examples","Examples","Token","! (inside evaluate_expression) tokens = tokenize('defined(USE_MPI) && MPI_VERSION >= 3') ! tokens(1) -> value=vdefined' type=identifier ! tokens(2) -> value='(' type=parenthesis ! tokens(3) -> value='USE_MPI' type=identifier ! ..."],
+  ["group__group__token.html#token_examples","Examples","Token","fpx_token::tokenize"],
+  ["group__group__token.html#token_examples","Examples","Token","subroutine, public tokenize(expr, tokens, ntokens)"],
+  ["group__group__token.html#token_examples","Examples","Token","Tokenizes a preprocessor expression into an array of token structures. Handles whitespace,..."],
+  ["group__group__token.html#token_examples","Examples","Token","Definition token.f90:159"],
+  ["group__group__token.html#token_examples","Examples","Token","Token kinds overview"],
+  ["group__group__token.html#token_examples","Examples","Token","Enumerator Value Meaning"],
+  ["group__group__token.html#token_examples","Examples","Token","unknown -1 Invalid / unrecognized token"],
+  ["group__group__token.html#token_examples","Examples","Token","number 0 Integer or floating-point literal"],
+  ["group__group__token.html#token_examples","Examples","Token","| operator | 1 | ?:, +, -, *, /, ==, !=, &&, ||, !, >, <, etc.| | identifier | 2 | Macro name or function name (e.g. defined) | | parenthesis| 3 | ( or ) | | defined | 4 | Special keyword defined (treated specially)|"],
+  ["group__group__token.html#ga4b585815a66c5b370c752e1f82e3ec11","tokens_enum","Token","Kind parameter for token type enumeration. Values are (unknown, number, operation, identifier, parenthesis, defined)."],
+  ["group__group__token.html#ga5f1606ef019abe57f86da59fcfc6a79b","tokenize()","Token","Tokenizes a preprocessor expression into an array of token structures. Handles whitespace, multi-character operators (&&, ||, ==, etc.), the defined operator (with or without parentheses), numbers in various bases, identifiers, and parentheses."],
+  ["group__group__token.html#ga5f1606ef019abe57f86da59fcfc6a79b","tokenize()","Token","Parameters"],
+  ["group__group__token.html#ga5f1606ef019abe57f86da59fcfc6a79b","tokenize()","Token","[in] expr Expression string to tokenize"],
+  ["group__group__token.html#ga5f1606ef019abe57f86da59fcfc6a79b","tokenize()","Token","[out] tokens Allocated array receiving the tokens"],
+  ["group__group__token.html#ga5f1606ef019abe57f86da59fcfc6a79b","tokenize()","Token","[out] ntokens Number of tokens produced"],
+  ["include_8f90.html","include.f90","include.f90","Go to the source code of this file."],
+  ["index.html","fpx.f","fpx.f","FPX"],
+  ["index.html","fpx.f","fpx.f","A Fortran preprocessor"],
+  ["index.html","fpx.f","fpx.f","Simple, embeddable, and open-source preprocessor written in modern Fortran."],
+  ["index.html","fpx.f","fpx.f","Get Started"],
+  ["index.html","fpx.f","fpx.f","API"],
+  ["index.html","fpx.f","fpx.f","View on GitHub"],
+  ["index.html#autotoc_md1","About the Project","fpx.f","Fortran, the venerable language of scientific computing, has powered simulations of galaxies, weather systems, and quantum phenomena for over seven decades. Its enduring strength lies in its clarity, performance, and mathematical soul, qualities that resonate deeply with its community of developers. Yet, nestled within this ecosystem is a contentious tool: the preprocessor. From its ad hoc beginnings in the 1970s to its modern incarnations in tools like cpp, fpp, and fypp, preprocessing has been both a lifeline and a lightning rod for Fortran developers."],
+  ["index.html#autotoc_md1","About the Project","fpx.f","It enables portability across diverse platforms, conditional compilation for debugging, and code generation for complex libraries. These capabilities are critical to Fortran's role in high-performance computing. But it also sparks fierce debate, with many Fortraners decrying its tendency to obscure code, disrupt the language's elegant simplicity, and introduce bugs."],
+  ["index.html#autotoc_md1","About the Project","fpx.f","This project aims at providing a simple, embeddable, open-source preprocessor written in modern Fortran. fpx is mostly compliant to a C preprocessor, fine-tuned for the specificity of the Fortran language. fpx is an embeddable preprocessor. It can be used as a command-line tool or directly embedded into any solution with the module fpx_parser."],
+  ["index.html#autotoc_md1","About the Project","fpx.f","fpx supports:"],
+  ["index.html#autotoc_md1","About the Project","fpx.f","conditional compilation with #if, #ifdef, #ifndef, #elif, #elifdef, #elifndef, #else,#endif"],
+  ["index.html#autotoc_md1","About the Project","fpx.f","simple macros and function like macros with #define, #undef, defined and !defined"],
+  ["index.html#autotoc_md1","About the Project","fpx.f","simple arithmetic and bitwise operations with +, -, *, **, /, >, <, >=, =<, ||, &&, |, ^, &, !, ?: and ~."],
+  ["index.html#autotoc_md1","About the Project","fpx.f","include files with #include"],
+  ["index.html#autotoc_md1","About the Project","fpx.f","diagnostic messages with #warning and #error"],
+  ["index.html#autotoc_md1","About the Project","fpx.f","For loop #for, #endfor"],
+  ["index.html#autotoc_md1","About the Project","fpx.f","variadic macros with __VA_ARGS__, and __VA_OPT__,"],
+  ["index.html#autotoc_md1","About the Project","fpx.f","build-in macros as __LINE__, __FILE__, __FILENAME__, __TIME__, __DATE__, __TIMESTAMP__"],
+  ["index.html#autotoc_md1","About the Project","fpx.f","stringification # and concatenation ##"],
+  ["index.html#autotoc_md1","About the Project","fpx.f","and more..."],
+  ["index.html#autotoc_md3","Requirements","fpx.f","To build that library you need"],
+  ["index.html#autotoc_md3","Requirements","fpx.f","a Fortran 2008 compliant compiler, or better, a Fortran 2018 compliant compiler (Intel Fortran and gfortran compilers are known to work well for fpx.f)."],
+  ["index.html#autotoc_md3","Requirements","fpx.f","The following compilers are tested on the default branch of fpx.f:"],
+  ["index.html#autotoc_md3","Requirements","fpx.f","Name Version Platform Architecture"],
+  ["index.html#autotoc_md3","Requirements","fpx.f","GCC Fortran (MinGW) 14 Windows 10 x86_64"],
+  ["index.html#autotoc_md3","Requirements","fpx.f","Intel oneAPI classic 2021.5 Windows 10 x86_64"],
+  ["index.html#autotoc_md3","Requirements","fpx.f","a preprocessor. fpx.f uses some preprocessor macros. It is known to work both with intel fpp and cpp. The goal is for fpx to preproces itself at some point. In particular, the console line application uses the header file 'app.inc' from the 'fortiche' repo."],
+  ["index.html#autotoc_md3","Requirements","fpx.f","Unit test rely on the the header file assertion.inc. Since the whole framework fits in a single file, it has been added directly to the repo."],
+  ["index.html#autotoc_md5","Get the code","fpx.f","git clone https://github.com/davidpfister/fpx.f cd fpx.f"],
+  ["index.html#autotoc_md6","Build with fpm","fpx.f","The repo can be build using fpm"],
+  ["index.html#autotoc_md6","Build with fpm","fpx.f","fpm build"],
+  ["index.html#autotoc_md6","Build with fpm","fpx.f","Building with ifort requires to specify the compiler name (gfortran by default)"],
+  ["index.html#autotoc_md6","Build with fpm","fpx.f","fpm build --compiler ifort"],
+  ["index.html#autotoc_md6","Build with fpm","fpx.f","Alternatively, the compiler can be set using fpm environment variables."],
+  ["index.html#autotoc_md6","Build with fpm","fpx.f","set FPM_FC=ifort"],
+  ["index.html#autotoc_md6","Build with fpm","fpx.f","The settings to the cpp preprocessor are specified in the file."],
+  ["index.html#autotoc_md6","Build with fpm","fpx.f","[preprocess] cpp.suffixes = [\"F90\", \"f90\"] cpp.macros = [\"_FPM\"]"],
+  ["index.html#autotoc_md6","Build with fpm","fpx.f","The _FPM macro is used to differentiate the build when compiling with fpm or Visual Studio. This is mostly present to adapt the hard coded paths that differs in both cases."],
+  ["index.html#autotoc_md7","Build with Visual Studio 2019","fpx.f","The project was originally developed on Windows with Visual Studio 2019. The repo contains the solution file (Fpx.f.sln) to get you started with Visual Studio 2019."],
+  ["index.html#autotoc_md9","Command line","fpx.f","The preprocessor fpx can be used from the command-line using your favorite shell. The following options are available:"],
+  ["index.html#autotoc_md9","Command line","fpx.f","Option Definition"],
+  ["index.html#autotoc_md9","Command line","fpx.f","-D<macro> Define a <macro> with no value."],
+  ["index.html#autotoc_md9","Command line","fpx.f","-D<macro>=<val> Define a <macro> with <val> as its value."],
+  ["index.html#autotoc_md9","Command line","fpx.f","-U<macro> Undefine <macro>'"],
+  ["index.html#autotoc_md9","Command line","fpx.f","-I<dir> Add <dir> to the end of the global include paths."],
+  ["index.html#autotoc_md9","Command line","fpx.f","-h, --help, -? Display this help."],
+  ["index.html#autotoc_md9","Command line","fpx.f","-o, --output Output file path with name and extension."],
+  ["index.html#autotoc_md9","Command line","fpx.f","-v, --version Display the version of the program."],
+  ["index.html#autotoc_md9","Command line","fpx.f","--no-color Disable ANSI coloring."],
+  ["index.html#autotoc_md9","Command line","fpx.f","--implicit-conti Activate implicit continuation line in macro expansion."],
+  ["index.html#autotoc_md9","Command line","fpx.f","--no-exlicit-conti Deactivate explicit continuation line in macro expansion using & symbol"],
+  ["index.html#autotoc_md9","Command line","fpx.f","--exclude-comments Exclude comments from macro expansion."],
+  ["index.html#autotoc_md9","Command line","fpx.f","--extra-macros Support extra macros (__FILENAME__, __TIMESTAMP__, and __FUNC__)."],
+  ["index.html#autotoc_md9","Command line","fpx.f","--no-macros Deactivate macros expansion."],
+  ["index.html#autotoc_md9","Command line","fpx.f","--no-$ Deactivate ${} substitution in macro expansion."],
+  ["index.html#autotoc_md9","Command line","fpx.f","--std Enforce standard compliance."],
+  ["index.html#autotoc_md9","Command line","fpx.f","Using the file preprocessor could not be easier. The function simply takes as arguments the input and output file paths."],
+  ["index.html#autotoc_md10","Embedded","fpx.f","program test use fpx_parser call preprocess('tests/input.in', 'tests/output.out') end program"],
+  ["index.html#autotoc_md10","Embedded","fpx.f","fpx_parser::preprocess"],
+  ["index.html#autotoc_md10","Embedded","fpx.f","Generic interface to start preprocessing from various sources/sinks."],
+  ["index.html#autotoc_md10","Embedded","fpx.f","Definition parser.f90:137"],
+  ["index.html#autotoc_md10","Embedded","fpx.f","For more examples, please refer to the Documentation"],
+  ["index.html#autotoc_md11","Contributing","fpx.f","Contributions are what make the open source community such an amazing place to learn, inspire, and create. Any contributions you make are greatly appreciated. So, thank you for considering contributing to fpx.f. Please review and follow these guidelines to make the contribution process simple and effective for all involved. In return, the developers will help address your problem, evaluate changes, and guide you through your pull requests."],
+  ["index.html#autotoc_md11","Contributing","fpx.f","By contributing to fpx.f, you certify that you own or are allowed to share the content of your contribution under the same license."],
+  ["index.html#autotoc_md12","License","fpx.f","Distributed under the MIT License."],
+  ["integration.html","Tips & Tricks","Tips & Tricks","This section is providing hints (some may call it hacks) to substitute classical preprocessors like Intel fpp or GNU cpp with fpx. These pieces of information are extracted from different sources and collected here for convenience. May this be useful to anyone willing to try."],
+  ["integration.html#autotoc_md21","fpp-name","Tips & Tricks","The fpp-name Lets you specify an alternate preprocessor to use with Fortran."],
+  ["integration.html#autotoc_md21","fpp-name","Tips & Tricks","Syntax"],
+  ["integration.html#autotoc_md21","fpp-name","Tips & Tricks","Linux -fpp-name=name"],
+  ["integration.html#autotoc_md21","fpp-name","Tips & Tricks","macOS -fpp-name=name"],
+  ["integration.html#autotoc_md21","fpp-name","Tips & Tricks","Windows /fpp-name:name"],
+  ["integration.html#autotoc_md21","fpp-name","Tips & Tricks","Arguments name Is the name of the preprocessor executable. It can include a path. See the description below for more details."],
+  ["integration.html#autotoc_md21","fpp-name","Tips & Tricks","Default OFF No preprocessor is run on files before compilation."],
+  ["integration.html#autotoc_md21","fpp-name","Tips & Tricks","Description This option lets you specify an alternate preprocessor to use with Fortran."],
+  ["integration.html#autotoc_md21","fpp-name","Tips & Tricks","The compiler invokes the user-specified Fortran preprocessor by spawning a command with the following signature:"],
+  ["integration.html#autotoc_md21","fpp-name","Tips & Tricks","alt_fpp @fpp.arg"],
+  ["integration.html#autotoc_md21","fpp-name","Tips & Tricks","where alt_fpp is the name of the Fortran preprocessor you want to use, and fpp.arg is an input file containing the preprocessor's command line arguments."],
+  ["integration.html#autotoc_md21","fpp-name","Tips & Tricks","fpp.arg is generated by the Fortran compiler driver, and contains the -D<define>, -I<include directory>, and input file names from the compiler command line. Compiler predefined options -D<define> and -I<include directory> are also included. Output from the preprocessor goes to STDOUT and will be captured for any further processing."],
+  ["integration.html#autotoc_md21","fpp-name","Tips & Tricks","You can use option Qoption,fpp,... to pass other definitions (using -D<define>), include directories (using -I<include directory>), or other options accepted by the preprocessor."],
+  ["integration.html#autotoc_md21","fpp-name","Tips & Tricks","You can use option Qlocation, fpp,... to specify a directory for supporting tools."],
+  ["integration.html#autotoc_md22","Known issues","Tips & Tricks","link"],
+  ["integration.html#autotoc_md22","Known issues","Tips & Tricks","The Intel compilers provide a flag -fpp-name=<name> which can be used to specify an alternative preprocessor of the form:"],
+  ["integration.html#autotoc_md22","Known issues","Tips & Tricks","alt_fpp [[-D<define>]..] [[-I<include directory>]..] inputfile which prints output to STDOUT that will get captured by the compiler for further processing."],
+  ["integration.html#autotoc_md22","Known issues","Tips & Tricks","I've tried to use this with fypp, but I run into errors:"],
+  ["integration.html#autotoc_md22","Known issues","Tips & Tricks","$ ifx -fpp-name=`which fypp` -DNAME=\\\"Ivan\\\" fypp_example.F90 error: Failed to open file '@/tmp/ifxargBf8BjW' for read [FyppFatalError] error: [Errno 2] No such file or directory: '@/tmp/ifxargBf8BjW' [FileNotFoundError]"],
+  ["integration.html#autotoc_md22","Known issues","Tips & Tricks","$ ifx -fpp-name=fypp -Qlocation,fpp,/home/ivan/.local/bin -DNAME=\\\"Ivan\\\" fypp_example.F90 error: Failed to open file '@/tmp/ifxarg6DL4Me' for read [FyppFatalError] error: [Errno 2] No such file or directory: '@/tmp/ifxarg6DL4Me' [FileNotFoundError]"],
+  ["integration.html#autotoc_md22","Known issues","Tips & Tricks","It seems like the compiler prepends @ to the path, but otherwise it seems it could work. If you'd like to experiment, here is the toy code:"],
+  ["integration.html#autotoc_md22","Known issues","Tips & Tricks","! fypp_example.F90 #:def hello(name) print *, \"Hello ${name}$\" #:enddef #:if defined('NAME') $:hello(NAME) #:else print *, \"Hello World\" #:endif"],
+  ["integration.html#autotoc_md23","cpp","Tips & Tricks","This answer from Jim Dempsey is taken from the intel forum"],
+  ["integration.html#autotoc_md23","cpp","Tips & Tricks","You could experiment with shell piping gcc preprocessor in front of (or in place of) fpp."],
+  ["integration.html#autotoc_md23","cpp","Tips & Tricks","In your development environment, insert in PATH, in front of other paths, a path to a GCChack folder containing a copy of the GCC preprocessor renamed to FPP.EXE. This assumes the GCC preprocessor can completely preprocess the source. This can also be a shell program > youwrite that handles the shell call to GCC then to FPP."],
+  ["integration.html#autotoc_md23","cpp","Tips & Tricks","Plan B is to create a batch file that first runs the GCC preprocessor, then runs the FPP preprocessor. Place the batch file into the \"hack\" folder under the name \"FPP.EXE\". Windows will (has for me) examine the contents of the start of the file and determine it is a batch file."],
+  ["integration.html#autotoc_md23","cpp","Tips & Tricks","Plan C is to create pre-build events and actions to pre-pre-process the files using the GCC pre-processor."],
+  ["interfacefpx__logging_1_1render.html#details","Definition","render","Generic renderer for diagnostics and source excerpts."],
+  ["interfacefpx__logging_1_1render.html#details","Definition","render","Supported overloads:"],
+  ["interfacefpx__logging_1_1render.html#details","Definition","render","render(diagnostic_report, source)"],
+  ["interfacefpx__logging_1_1render.html#details","Definition","render","render(character)"],
+  ["interfacefpx__logging_1_1render.html#details","Definition","render","render(character, label_type)"],
+  ["interfacefpx__logging_1_1render.html#details","Definition","render","render(character, label_type(:))"],
+  ["interfacefpx__logging_1_1render.html#details","Definition","render","Returns a formatted character string suitable for printing."],
+  ["interfacefpx__logging_1_1render.html#details","Definition","render","The documentation for this interface was generated from the following file:"],
+  ["interfacefpx__logging_1_1render.html#details","Definition","render","logging.f90"],
+  ["interfacefpx__macro_1_1add.html#details","Definition","add","Append macros to a macro table."],
+  ["interfacefpx__macro_1_1add.html#details","Definition","add","Existing definitions with the same name are replaced, while new definitions are appended to the dynamic array."],
+  ["interfacefpx__macro_1_1add.html#details","Definition","add","Overloads support:"],
+  ["interfacefpx__macro_1_1add.html#details","Definition","add","insertion of a single Macro Expansion object,"],
+  ["interfacefpx__macro_1_1add.html#details","Definition","add","insertion by name only,"],
+  ["interfacefpx__macro_1_1add.html#details","Definition","add","insertion by name and replacement text,"],
+  ["interfacefpx__macro_1_1add.html#details","Definition","add","insertion of a range of macros."],
+  ["interfacefpx__macro_1_1add.html#details","Definition","add","The documentation for this interface was generated from the following file:"],
+  ["interfacefpx__macro_1_1add.html#details","Definition","add","macro.f90"],
+  ["interfacefpx__macro_1_1add.html#a327058e5ebbad2faec91dccb2be2fc4c","add_item()","add","Add a complete macro object to the table."],
+  ["interfacefpx__macro_1_1add.html#a3f4c719b92a7dfa4d6647905fd660b71","add_item_from_name()","add","Add macro by name only (value = empty)."],
+  ["interfacefpx__macro_1_1add.html#a827ade4b8ee2220c2204dd95e4f8642b","add_item_from_name_and_value()","add","Add macro with name and replacement text."],
+  ["interfacefpx__macro_1_1add.html#a1eb0080240e062d96e1c4d49ab58d882","add_range()","add","Add multiple macros at once."],
+  ["interfacefpx__macro_1_1clear.html#details","Definition","clear","Remove all macro definitions from a table."],
+  ["interfacefpx__macro_1_1clear.html#details","Definition","clear","The table remains allocated as an empty array."],
+  ["interfacefpx__macro_1_1clear.html#details","Definition","clear","The documentation for this interface was generated from the following file:"],
+  ["interfacefpx__macro_1_1clear.html#details","Definition","clear","macro.f90"],
+  ["interfacefpx__macro_1_1clear.html#a4f994e57053fe61253d895c1e91a56ce","clear_item()","clear","Remove all macros from table."],
+  ["interfacefpx__macro_1_1get.html#details","Definition","get","Retrieve a macro by index."],
+  ["interfacefpx__macro_1_1get.html#details","Definition","get","The documentation for this interface was generated from the following file:"],
+  ["interfacefpx__macro_1_1get.html#details","Definition","get","macro.f90"],
+  ["interfacefpx__macro_1_1get.html#a7604180d974de569928d3b87aee85320","get_item()","get","Retrieve macro by 1-based index."],
+  ["interfacefpx__macro_1_1insert.html#details","Definition","insert","Insert a macro at a specified position."],
+  ["interfacefpx__macro_1_1insert.html#details","Definition","insert","Existing elements are shifted to preserve ordering."],
+  ["interfacefpx__macro_1_1insert.html#details","Definition","insert","The documentation for this interface was generated from the following file:"],
+  ["interfacefpx__macro_1_1insert.html#details","Definition","insert","macro.f90"],
+  ["interfacefpx__macro_1_1insert.html#a2ffc17397c66207bd747892999731695","insert_item()","insert","Insert macro at specific position."],
+  ["interfacefpx__macro_1_1preprocess__line.html#details","Definition","preprocess_line","Abstract interface for line preprocessing callbacks."],
+  ["interfacefpx__macro_1_1preprocess__line.html#details","Definition","preprocess_line","Implementations process a single source line after directive handling and macro substitution."],
+  ["interfacefpx__macro_1_1preprocess__line.html#details","Definition","preprocess_line","The callback mechanism is primarily used by nested constructs such as #for expansion, allowing generated lines to re-enter the main preprocessing pipeline."],
+  ["interfacefpx__macro_1_1preprocess__line.html#details","Definition","preprocess_line","The documentation for this interface was generated from the following file:"],
+  ["interfacefpx__macro_1_1preprocess__line.html#details","Definition","preprocess_line","macro.f90"],
+  ["interfacefpx__macro_1_1read__unit.html#details","Definition","read_unit","Abstract interface to the top-level preprocessing routine."],
+  ["interfacefpx__macro_1_1read__unit.html#details","Definition","read_unit","This callback allows modules such as the include handler to invoke recursive preprocessing of additional source units without creating circular module dependencies."],
+  ["interfacefpx__macro_1_1read__unit.html#details","Definition","read_unit","Implementations are expected to preprocess the contents of the input unit and emit the resulting output to the specified unit."],
+  ["interfacefpx__macro_1_1read__unit.html#details","Definition","read_unit","The documentation for this interface was generated from the following file:"],
+  ["interfacefpx__macro_1_1read__unit.html#details","Definition","read_unit","macro.f90"],
+  ["interfacefpx__macro_1_1remove.html#details","Definition","remove","Remove a macro definition from a table."],
+  ["interfacefpx__macro_1_1remove.html#details","Definition","remove","The array is compacted after removal and cyclic dependency markers are recomputed."],
+  ["interfacefpx__macro_1_1remove.html#details","Definition","remove","The documentation for this interface was generated from the following file:"],
+  ["interfacefpx__macro_1_1remove.html#details","Definition","remove","macro.f90"],
+  ["interfacefpx__macro_1_1remove.html#a068e7d980a27b70532c743e01ff01b0c","remove_item()","remove","Remove macro at given index."],
+  ["interfacefpx__macro_1_1size__of.html#details","Definition","size_of","Return the number of stored macro definitions."],
+  ["interfacefpx__macro_1_1size__of.html#details","Definition","size_of","Convenience wrapper around the intrinsic size function that safely handles non allocated arrays."],
+  ["interfacefpx__macro_1_1size__of.html#details","Definition","size_of","The documentation for this interface was generated from the following file:"],
+  ["interfacefpx__macro_1_1size__of.html#details","Definition","size_of","macro.f90"],
+  ["interfacefpx__macro_1_1size__of.html#af17d4172c874b18f0da7b70b150a4c2b","size_item()","size_of","Return number of defined macros."],
+  ["interfacefpx__operators_1_1evaluate__expression.html#details","Definition","evaluate_expression","Evaluates a preprocessor-style expression with macro substitution. Tokenizes the input expression, expands macros where appropriate, parses it according to operator precedence, and computes the integer result. Returns .true. if evaluation succeeded and the result is non-zero."],
+  ["interfacefpx__operators_1_1evaluate__expression.html#evaluate_expression_examples","Examples","evaluate_expression","integer :: value call add(macros, 'SIZE', '64') if (evaluate_expression('SIZE >= 32', macros, value)) then print *, value ! 1 end if"],
+  ["interfacefpx__operators_1_1evaluate__expression.html#evaluate_expression_constructors","Constructors","evaluate_expression","Constructor"],
+  ["interfacefpx__operators_1_1evaluate__expression.html#evaluate_expression_constructors","Constructors","evaluate_expression","logical function evaluate(expr, macros, val)"],
+  ["interfacefpx__operators_1_1evaluate__expression.html#evaluate_expression_constructors","Constructors","evaluate_expression","Parameters"],
+  ["interfacefpx__operators_1_1evaluate__expression.html#evaluate_expression_constructors","Constructors","evaluate_expression","[in] expr"],
+  ["interfacefpx__operators_1_1evaluate__expression.html#evaluate_expression_constructors","Constructors","evaluate_expression","Expression string to evaluate"],
+  ["interfacefpx__operators_1_1evaluate__expression.html#evaluate_expression_constructors","Constructors","evaluate_expression","[in,out] macros Array of defined macros for substitution and defined() checks"],
+  ["interfacefpx__operators_1_1evaluate__expression.html#evaluate_expression_constructors","Constructors","evaluate_expression","[out] val (optional) integer result of the evaluation"],
+  ["interfacefpx__operators_1_1evaluate__expression.html#evaluate_expression_constructors","Constructors","evaluate_expression","Returns"],
+  ["interfacefpx__operators_1_1evaluate__expression.html#evaluate_expression_constructors","Constructors","evaluate_expression",".true. if the expression evaluated successfully to non-zero, .false. otherwise"],
+  ["interfacefpx__operators_1_1evaluate__expression.html#evaluate_expression_constructors","Constructors","evaluate_expression","Constructor"],
+  ["interfacefpx__operators_1_1evaluate__expression.html#evaluate_expression_constructors","Constructors","evaluate_expression","logical function evaluate(expr, macros, ctx, val)"],
+  ["interfacefpx__operators_1_1evaluate__expression.html#evaluate_expression_constructors","Constructors","evaluate_expression","Parameters"],
+  ["interfacefpx__operators_1_1evaluate__expression.html#evaluate_expression_constructors","Constructors","evaluate_expression","[in] expr"],
+  ["interfacefpx__operators_1_1evaluate__expression.html#evaluate_expression_constructors","Constructors","evaluate_expression","Expression string to evaluate"],
+  ["interfacefpx__operators_1_1evaluate__expression.html#evaluate_expression_constructors","Constructors","evaluate_expression","[in,out] macros Array of defined macros for substitution and defined() checks"],
+  ["interfacefpx__operators_1_1evaluate__expression.html#evaluate_expression_constructors","Constructors","evaluate_expression","[in] ctx Current context"],
+  ["interfacefpx__operators_1_1evaluate__expression.html#evaluate_expression_constructors","Constructors","evaluate_expression","[out] val"],
+  ["interfacefpx__operators_1_1evaluate__expression.html#evaluate_expression_constructors","Constructors","evaluate_expression","(optional) integer result of the evaluation"],
+  ["interfacefpx__operators_1_1evaluate__expression.html#evaluate_expression_constructors","Constructors","evaluate_expression","Returns"],
+  ["interfacefpx__operators_1_1evaluate__expression.html#evaluate_expression_constructors","Constructors","evaluate_expression",".true. if the expression evaluated successfully to non-zero, .false. otherwise"],
+  ["interfacefpx__operators_1_1evaluate__expression.html#evaluate_expression_constructors","Constructors","evaluate_expression","The documentation for this interface was generated from the following file:"],
+  ["interfacefpx__operators_1_1evaluate__expression.html#evaluate_expression_constructors","Constructors","evaluate_expression","operators.f90"],
+  ["interfacefpx__operators_1_1evaluate__expression.html#ad442aac01e27547dea68ce9e07fb351d","evaluate_expression_default()","evaluate_expression","Evaluates a preprocessor-style expression with macro substitution. Tokenizes the input expression, expands macros where appropriate, parses it according to operator precedence, and computes the integer result. Returns .true. if evaluation succeeded and the result is non-zero."],
+  ["interfacefpx__operators_1_1evaluate__expression.html#ad442aac01e27547dea68ce9e07fb351d","evaluate_expression_default()","evaluate_expression","Parameters"],
+  ["interfacefpx__operators_1_1evaluate__expression.html#ad442aac01e27547dea68ce9e07fb351d","evaluate_expression_default()","evaluate_expression","[in] expr Expression string to evaluate"],
+  ["interfacefpx__operators_1_1evaluate__expression.html#ad442aac01e27547dea68ce9e07fb351d","evaluate_expression_default()","evaluate_expression","[in,out] macros Array of defined macros for substitution and defined() checks"],
+  ["interfacefpx__operators_1_1evaluate__expression.html#ad442aac01e27547dea68ce9e07fb351d","evaluate_expression_default()","evaluate_expression","[out] val (optional) integer result of the evaluation"],
+  ["interfacefpx__operators_1_1evaluate__expression.html#ad442aac01e27547dea68ce9e07fb351d","evaluate_expression_default()","evaluate_expression","Returns"],
+  ["interfacefpx__operators_1_1evaluate__expression.html#ad442aac01e27547dea68ce9e07fb351d","evaluate_expression_default()","evaluate_expression",".true. if the expression evaluated successfully to non-zero, .false. otherwise"],
+  ["interfacefpx__operators_1_1evaluate__expression.html#a8d262b1b47bd6d7683ee124c06acd0ec","evaluate_expression_with_context()","evaluate_expression","Evaluates a preprocessor-style expression with macro substitution. Tokenizes the input expression, expands macros where appropriate, parses it according to operator precedence, and computes the integer result. Returns .true. if evaluation succeeded and the result is non-zero."],
+  ["interfacefpx__operators_1_1evaluate__expression.html#a8d262b1b47bd6d7683ee124c06acd0ec","evaluate_expression_with_context()","evaluate_expression","Parameters"],
+  ["interfacefpx__operators_1_1evaluate__expression.html#a8d262b1b47bd6d7683ee124c06acd0ec","evaluate_expression_with_context()","evaluate_expression","[in] expr Expression string to evaluate"],
+  ["interfacefpx__operators_1_1evaluate__expression.html#a8d262b1b47bd6d7683ee124c06acd0ec","evaluate_expression_with_context()","evaluate_expression","[in,out] macros Array of defined macros for substitution and defined() checks"],
+  ["interfacefpx__operators_1_1evaluate__expression.html#a8d262b1b47bd6d7683ee124c06acd0ec","evaluate_expression_with_context()","evaluate_expression","[in] ctx Context"],
+  ["interfacefpx__operators_1_1evaluate__expression.html#a8d262b1b47bd6d7683ee124c06acd0ec","evaluate_expression_with_context()","evaluate_expression","[out] val (optional) integer result of the evaluation"],
+  ["interfacefpx__operators_1_1evaluate__expression.html#a8d262b1b47bd6d7683ee124c06acd0ec","evaluate_expression_with_context()","evaluate_expression","Returns"],
+  ["interfacefpx__operators_1_1evaluate__expression.html#a8d262b1b47bd6d7683ee124c06acd0ec","evaluate_expression_with_context()","evaluate_expression",".true. if the expression evaluated successfully to non-zero, .false. otherwise"],
+  ["interfacefpx__parser_1_1preprocess.html#details","Definition","preprocess","Generic interface to start preprocessing from various sources/sinks."],
+  ["interfacefpx__parser_1_1preprocess.html#details","Definition","preprocess","Allows preprocessing:"],
+  ["interfacefpx__parser_1_1preprocess.html#details","Definition","preprocess","file to stdout"],
+  ["interfacefpx__parser_1_1preprocess.html#details","Definition","preprocess","file to file"],
+  ["interfacefpx__parser_1_1preprocess.html#details","Definition","preprocess","unit to file"],
+  ["interfacefpx__parser_1_1preprocess.html#details","Definition","preprocess","unit to unit (most flexible, used internally for include)"],
+  ["interfacefpx__parser_1_1preprocess.html#preprocess_overloads","Overloads","preprocess","preprocess(character(*))"],
+  ["interfacefpx__parser_1_1preprocess.html#preprocess_overloads","Overloads","preprocess","Preprocess a source file and write to stdout."],
+  ["interfacefpx__parser_1_1preprocess.html#preprocess_overloads","Overloads","preprocess","preprocess(character(*), character(*))"],
+  ["interfacefpx__parser_1_1preprocess.html#preprocess_overloads","Overloads","preprocess","Preprocess a source file and write to another file."],
+  ["interfacefpx__parser_1_1preprocess.html#preprocess_overloads","Overloads","preprocess","preprocess(integer, integer)"],
+  ["interfacefpx__parser_1_1preprocess.html#preprocess_overloads","Overloads","preprocess","Preprocess an already-open input unit to an output unit."],
+  ["interfacefpx__parser_1_1preprocess.html#preprocess_overloads","Overloads","preprocess","preprocess(integer, character(*))"],
+  ["interfacefpx__parser_1_1preprocess.html#preprocess_overloads","Overloads","preprocess","Preprocess an already-open input unit to a file."],
+  ["interfacefpx__parser_1_1preprocess.html#preprocess_overloads","Overloads","preprocess","The documentation for this interface was generated from the following file:"],
+  ["interfacefpx__parser_1_1preprocess.html#preprocess_overloads","Overloads","preprocess","parser.f90"],
+  ["interfacefpx__parser_1_1preprocess.html#ab89d17f91b95e7cc0531ae8d2971dab2","preprocess_file()","preprocess","Preprocess a file and write result to an optional output file (default: stdout) Opens the input file, determines the base filename for error messages, opens the output file if requested, and delegates to the unit-to-unit routine."],
+  ["interfacefpx__parser_1_1preprocess.html#ab89d17f91b95e7cc0531ae8d2971dab2","preprocess_file()","preprocess","Parameters"],
+  ["interfacefpx__parser_1_1preprocess.html#ab89d17f91b95e7cc0531ae8d2971dab2","preprocess_file()","preprocess","[in] filepath Path to the input source file"],
+  ["interfacefpx__parser_1_1preprocess.html#ab89d17f91b95e7cc0531ae8d2971dab2","preprocess_file()","preprocess","[in] outputfile Optional path to the output file; if absent output goes to stdout"],
+  ["interfacefpx__parser_1_1preprocess.html#a4320a015ed673ba1501c2db89944866d","preprocess_file_to_unit()","preprocess","Preprocess a file and write to an already-open output unit."],
+  ["interfacefpx__parser_1_1preprocess.html#a4320a015ed673ba1501c2db89944866d","preprocess_file_to_unit()","preprocess","Parameters"],
+  ["interfacefpx__parser_1_1preprocess.html#a4320a015ed673ba1501c2db89944866d","preprocess_file_to_unit()","preprocess","[in] ifile Input filename"],
+  ["interfacefpx__parser_1_1preprocess.html#a4320a015ed673ba1501c2db89944866d","preprocess_file_to_unit()","preprocess","[in] ounit Output unit (already open for writing)"],
+  ["interfacefpx__parser_1_1preprocess.html#aba9728c940a6c1d17e784608e3a53ea4","preprocess_unit_to_file()","preprocess","Preprocess from an already-open input unit and write to a file."],
+  ["interfacefpx__parser_1_1preprocess.html#aba9728c940a6c1d17e784608e3a53ea4","preprocess_unit_to_file()","preprocess","Parameters"],
+  ["interfacefpx__parser_1_1preprocess.html#aba9728c940a6c1d17e784608e3a53ea4","preprocess_unit_to_file()","preprocess","[in] iunit Input unit (must already be open for reading)"],
+  ["interfacefpx__parser_1_1preprocess.html#aba9728c940a6c1d17e784608e3a53ea4","preprocess_unit_to_file()","preprocess","[in] ofile Output filename"],
+  ["interfacefpx__parser_1_1preprocess.html#a708ab65963252431cb7c45849cbc81c5","preprocess_unit_to_unit()","preprocess","Core preprocessing routine: read from iunit, write to ounit Sets up a clean macro environment for the top-level file, resets conditional compilation state, and calls the worker routine."],
+  ["interfacefpx__parser_1_1preprocess.html#a708ab65963252431cb7c45849cbc81c5","preprocess_unit_to_unit()","preprocess","A local copy of the global macro table is created so that preprocessing sessions remain isolated while preserving command-line definitions."],
+  ["interfacefpx__parser_1_1preprocess.html#a708ab65963252431cb7c45849cbc81c5","preprocess_unit_to_unit()","preprocess","Parameters"],
+  ["interfacefpx__parser_1_1preprocess.html#a708ab65963252431cb7c45849cbc81c5","preprocess_unit_to_unit()","preprocess","[in] iunit Input unit"],
+  ["interfacefpx__parser_1_1preprocess.html#a708ab65963252431cb7c45849cbc81c5","preprocess_unit_to_unit()","preprocess","[in] ounit Output unit"],
+  ["interfacefpx__path_1_1join.html#details","Definition","join","Join path components using the platform separator."],
+  ["interfacefpx__path_1_1join.html#details","Definition","join","The generic interface accepts any combination of intrinsic character(*) and string arguments."],
+  ["interfacefpx__path_1_1join.html#details","Definition","join","Supported overloads:"],
+  ["interfacefpx__path_1_1join.html#details","Definition","join","join(character, character)"],
+  ["interfacefpx__path_1_1join.html#details","Definition","join","join(character, string)"],
+  ["interfacefpx__path_1_1join.html#details","Definition","join","join(string, character)"],
+  ["interfacefpx__path_1_1join.html#details","Definition","join","join(string, string)"],
+  ["interfacefpx__path_1_1join.html#details","Definition","join","Examples"],
+  ["interfacefpx__path_1_1join.html#details","Definition","join","character(:), allocatable :: p p = join('/usr','bin') ! '/usr/bin' p = join(string('/usr'),'local') ! '/usr/local'"],
+  ["interfacefpx__path_1_1join.html#details","Definition","join","The documentation for this interface was generated from the following file:"],
+  ["interfacefpx__path_1_1join.html#details","Definition","join","path.f90"],
+  ["interfacefpx__path_1_1join.html#ae90f10f0b9c263751cdffdd11d57f5b0","join_character_character()","join","Implementation of join for character arguments."],
+  ["interfacefpx__path_1_1join.html#ae90f10f0b9c263751cdffdd11d57f5b0","join_character_character()","join","The generic interface accepts any combination of intrinsic character(*) and string arguments."],
+  ["interfacefpx__path_1_1join.html#ae90f10f0b9c263751cdffdd11d57f5b0","join_character_character()","join","Supported overloads:"],
+  ["interfacefpx__path_1_1join.html#ae90f10f0b9c263751cdffdd11d57f5b0","join_character_character()","join","join(character, character)"],
+  ["interfacefpx__path_1_1join.html#ae90f10f0b9c263751cdffdd11d57f5b0","join_character_character()","join","join(character, string)"],
+  ["interfacefpx__path_1_1join.html#ae90f10f0b9c263751cdffdd11d57f5b0","join_character_character()","join","join(string, character)"],
+  ["interfacefpx__path_1_1join.html#ae90f10f0b9c263751cdffdd11d57f5b0","join_character_character()","join","join(string, string)"],
+  ["interfacefpx__path_1_1join.html#ae90f10f0b9c263751cdffdd11d57f5b0","join_character_character()","join","Examples"],
+  ["interfacefpx__path_1_1join.html#ae90f10f0b9c263751cdffdd11d57f5b0","join_character_character()","join","character(:), allocatable :: p p = join('/usr','bin') ! '/usr/bin' p = join(string('/usr'),'local') ! '/usr/local'"],
+  ["interfacefpx__path_1_1join.html#a80f7ef90f9330578901a31bc7c8611c0","join_character_string()","join","Implementation of join for character arguments."],
+  ["interfacefpx__path_1_1join.html#a80f7ef90f9330578901a31bc7c8611c0","join_character_string()","join","The generic interface accepts any combination of intrinsic character(*) and string arguments."],
+  ["interfacefpx__path_1_1join.html#a80f7ef90f9330578901a31bc7c8611c0","join_character_string()","join","Supported overloads:"],
+  ["interfacefpx__path_1_1join.html#a80f7ef90f9330578901a31bc7c8611c0","join_character_string()","join","join(character, character)"],
+  ["interfacefpx__path_1_1join.html#a80f7ef90f9330578901a31bc7c8611c0","join_character_string()","join","join(character, string)"],
+  ["interfacefpx__path_1_1join.html#a80f7ef90f9330578901a31bc7c8611c0","join_character_string()","join","join(string, character)"],
+  ["interfacefpx__path_1_1join.html#a80f7ef90f9330578901a31bc7c8611c0","join_character_string()","join","join(string, string)"],
+  ["interfacefpx__path_1_1join.html#a80f7ef90f9330578901a31bc7c8611c0","join_character_string()","join","Examples"],
+  ["interfacefpx__path_1_1join.html#a80f7ef90f9330578901a31bc7c8611c0","join_character_string()","join","character(:), allocatable :: p p = join('/usr','bin') ! '/usr/bin' p = join(string('/usr'),'local') ! '/usr/local'"],
+  ["interfacefpx__path_1_1join.html#ac548ef67858ca3cc318f5cecffd492ad","join_string_character()","join","Implementation of join for character arguments."],
+  ["interfacefpx__path_1_1join.html#ac548ef67858ca3cc318f5cecffd492ad","join_string_character()","join","The generic interface accepts any combination of intrinsic character(*) and string arguments."],
+  ["interfacefpx__path_1_1join.html#ac548ef67858ca3cc318f5cecffd492ad","join_string_character()","join","Supported overloads:"],
+  ["interfacefpx__path_1_1join.html#ac548ef67858ca3cc318f5cecffd492ad","join_string_character()","join","join(character, character)"],
+  ["interfacefpx__path_1_1join.html#ac548ef67858ca3cc318f5cecffd492ad","join_string_character()","join","join(character, string)"],
+  ["interfacefpx__path_1_1join.html#ac548ef67858ca3cc318f5cecffd492ad","join_string_character()","join","join(string, character)"],
+  ["interfacefpx__path_1_1join.html#ac548ef67858ca3cc318f5cecffd492ad","join_string_character()","join","join(string, string)"],
+  ["interfacefpx__path_1_1join.html#ac548ef67858ca3cc318f5cecffd492ad","join_string_character()","join","Examples"],
+  ["interfacefpx__path_1_1join.html#ac548ef67858ca3cc318f5cecffd492ad","join_string_character()","join","character(:), allocatable :: p p = join('/usr','bin') ! '/usr/bin' p = join(string('/usr'),'local') ! '/usr/local'"],
+  ["interfacefpx__path_1_1join.html#a003662531cae6f864b1b05ca52502864","join_string_string()","join","Implementation of join for character arguments."],
+  ["interfacefpx__path_1_1join.html#a003662531cae6f864b1b05ca52502864","join_string_string()","join","The generic interface accepts any combination of intrinsic character(*) and string arguments."],
+  ["interfacefpx__path_1_1join.html#a003662531cae6f864b1b05ca52502864","join_string_string()","join","Supported overloads:"],
+  ["interfacefpx__path_1_1join.html#a003662531cae6f864b1b05ca52502864","join_string_string()","join","join(character, character)"],
+  ["interfacefpx__path_1_1join.html#a003662531cae6f864b1b05ca52502864","join_string_string()","join","join(character, string)"],
+  ["interfacefpx__path_1_1join.html#a003662531cae6f864b1b05ca52502864","join_string_string()","join","join(string, character)"],
+  ["interfacefpx__path_1_1join.html#a003662531cae6f864b1b05ca52502864","join_string_string()","join","join(string, string)"],
+  ["interfacefpx__path_1_1join.html#a003662531cae6f864b1b05ca52502864","join_string_string()","join","Examples"],
+  ["interfacefpx__path_1_1join.html#a003662531cae6f864b1b05ca52502864","join_string_string()","join","character(:), allocatable :: p p = join('/usr','bin') ! '/usr/bin' p = join(string('/usr'),'local') ! '/usr/local'"],
+  ["interfacefpx__string_1_1index.html#details","Definition","index","Locate the position of a substring."],
+  ["interfacefpx__string_1_1index.html#details","Definition","index","This generic interface extends the intrinsic Fortran index function to support the fpx string type."],
+  ["interfacefpx__string_1_1index.html#details","Definition","index","Supported combinations are:"],
+  ["interfacefpx__string_1_1index.html#details","Definition","index","index(string, string)"],
+  ["interfacefpx__string_1_1index.html#details","Definition","index","index(string, character(*))"],
+  ["interfacefpx__string_1_1index.html#details","Definition","index","index(character(*), string)"],
+  ["interfacefpx__string_1_1index.html#details","Definition","index","The optional argument back behaves exactly as in the intrinsic Fortran procedure:"],
+  ["interfacefpx__string_1_1index.html#details","Definition","index","if absent or .false., the first occurrence is returned;"],
+  ["interfacefpx__string_1_1index.html#details","Definition","index","if .true., the last occurrence is returned."],
+  ["interfacefpx__string_1_1index.html#details","Definition","index","The function returns zero if the substring is not found."],
+  ["interfacefpx__string_1_1index.html#index_examples","Examples","index","String and character:"],
+  ["interfacefpx__string_1_1index.html#index_examples","Examples","index","type(string) :: s s = 'banana' print *, index(s, 'na') ! 3 print *, index(s, 'xy') ! 0"],
+  ["interfacefpx__string_1_1index.html#index_examples","Examples","index","String and string:"],
+  ["interfacefpx__string_1_1index.html#index_examples","Examples","index","type(string) :: text type(string) :: sub text = 'banana' sub = 'na' print *, index(text, sub) ! 3"],
+  ["interfacefpx__string_1_1index.html#index_examples","Examples","index","Search from the end:"],
+  ["interfacefpx__string_1_1index.html#index_examples","Examples","index","type(string) :: s s = 'banana' print *, index(s, 'na', back=.true.) ! 5"],
+  ["interfacefpx__string_1_1index.html#index_examples","Examples","index","Mixed usage:"],
+  ["interfacefpx__string_1_1index.html#index_examples","Examples","index","type(string) :: sub sub = 'ana' print *, index('banana', sub) ! 2"],
+  ["interfacefpx__string_1_1index.html#index_examples","Examples","index","Returns"],
+  ["interfacefpx__string_1_1index.html#index_examples","Examples","index","Position of the matching substring, or zero if not found."],
+  ["interfacefpx__string_1_1index.html#index_examples","Examples","index","The documentation for this interface was generated from the following file:"],
+  ["interfacefpx__string_1_1index.html#index_examples","Examples","index","string.f90"],
+  ["interfacefpx__string_1_1len.html#details","Definition","len","Return the length of a string object."],
+  ["interfacefpx__string_1_1len.html#details","Definition","len","This generic interface extends the intrinsic Fortran len function to support the fpx string type."],
+  ["interfacefpx__string_1_1len.html#details","Definition","len","The returned value corresponds to the full length of the underlying character storage, including trailing blanks."],
+  ["interfacefpx__string_1_1len.html#details","Definition","len","If the string is not allocated, the returned value is zero."],
+  ["interfacefpx__string_1_1len.html#len_examples","Examples","len","Basic usage:"],
+  ["interfacefpx__string_1_1len.html#len_examples","Examples","len","type(string) :: s s = 'foo' print *, len(s) ! 3 s = 'foo ' print *, len(s) ! 4"],
+  ["interfacefpx__string_1_1len.html#len_examples","Examples","len","Unallocated strings:"],
+  ["interfacefpx__string_1_1len.html#len_examples","Examples","len","type(string) :: s print *, len(s) ! 0"],
+  ["interfacefpx__string_1_1len.html#len_examples","Examples","len","The documentation for this interface was generated from the following file:"],
+  ["interfacefpx__string_1_1len.html#len_examples","Examples","len","string.f90"],
+  ["interfacefpx__string_1_1len.html#a19967656406d8e98e6a7d66bdbfcb91b","string_len()","len","Length of the string entity."],
+  ["interfacefpx__string_1_1len.html#a19967656406d8e98e6a7d66bdbfcb91b","string_len()","len","Parameters"],
+  ["interfacefpx__string_1_1len.html#a19967656406d8e98e6a7d66bdbfcb91b","string_len()","len","[in] this string"],
+  ["interfacefpx__string_1_1len.html#a19967656406d8e98e6a7d66bdbfcb91b","string_len()","len","Examples"],
+  ["interfacefpx__string_1_1len.html#a19967656406d8e98e6a7d66bdbfcb91b","string_len()","len","type(string) :: s integer :: l s = string('foo ') l = len(s) ! the value of l is 4"],
+  ["interfacefpx__string_1_1len.html#a19967656406d8e98e6a7d66bdbfcb91b","string_len()","len","Returns"],
+  ["interfacefpx__string_1_1len.html#a19967656406d8e98e6a7d66bdbfcb91b","string_len()","len","An integer corresponding to the length of the string."],
+  ["interfacefpx__string_1_1len__trim.html#details","Definition","len_trim","Return the trimmed length of a string object."],
+  ["interfacefpx__string_1_1len__trim.html#details","Definition","len_trim","This generic interface extends the intrinsic Fortran len_trim function to support the fpx string type."],
+  ["interfacefpx__string_1_1len__trim.html#details","Definition","len_trim","The returned value corresponds to the number of characters after removing trailing blanks."],
+  ["interfacefpx__string_1_1len__trim.html#details","Definition","len_trim","If the string is not allocated, the returned value is zero."],
+  ["interfacefpx__string_1_1len__trim.html#len_trim_examples","Examples","len_trim","Basic usage:"],
+  ["interfacefpx__string_1_1len__trim.html#len_trim_examples","Examples","len_trim","type(string) :: s s = 'foo' print *, len_trim(s) ! 3 s = 'foo ' print *, len_trim(s) ! 3"],
+  ["interfacefpx__string_1_1len__trim.html#len_trim_examples","Examples","len_trim","Unallocated strings:"],
+  ["interfacefpx__string_1_1len__trim.html#len_trim_examples","Examples","len_trim","type(string) :: s print *, len_trim(s) ! 0"],
+  ["interfacefpx__string_1_1len__trim.html#len_trim_examples","Examples","len_trim","The documentation for this interface was generated from the following file:"],
+  ["interfacefpx__string_1_1len__trim.html#len_trim_examples","Examples","len_trim","string.f90"],
+  ["interfacefpx__string_1_1len__trim.html#aef295e9d95b8c97db0bff1e007aa518e","string_len_trim()","len_trim","Length of the string entity without trailing blanks (len_trim)."],
+  ["interfacefpx__string_1_1len__trim.html#aef295e9d95b8c97db0bff1e007aa518e","string_len_trim()","len_trim","Parameters"],
+  ["interfacefpx__string_1_1len__trim.html#aef295e9d95b8c97db0bff1e007aa518e","string_len_trim()","len_trim","[in] this string"],
+  ["interfacefpx__string_1_1len__trim.html#aef295e9d95b8c97db0bff1e007aa518e","string_len_trim()","len_trim","Examples"],
+  ["interfacefpx__string_1_1len__trim.html#aef295e9d95b8c97db0bff1e007aa518e","string_len_trim()","len_trim","type(string) :: s integer :: l s = string('foo ') l = len_trim(s) ! the value of l is 3"],
+  ["interfacefpx__string_1_1len__trim.html#aef295e9d95b8c97db0bff1e007aa518e","string_len_trim()","len_trim","Returns"],
+  ["interfacefpx__string_1_1len__trim.html#aef295e9d95b8c97db0bff1e007aa518e","string_len_trim()","len_trim","An integer corresponding to the trimmed length of the string."],
+  ["interfacefpx__string_1_1operator_07_2_2_08.html#details","Definition","operator(//)","Concatenate string and character expressions."],
+  ["interfacefpx__string_1_1operator_07_2_2_08.html#details","Definition","operator(//)","Supports all combinations of:"],
+  ["interfacefpx__string_1_1operator_07_2_2_08.html#details","Definition","operator(//)","string // string"],
+  ["interfacefpx__string_1_1operator_07_2_2_08.html#details","Definition","operator(//)","string // character(*)"],
+  ["interfacefpx__string_1_1operator_07_2_2_08.html#details","Definition","operator(//)","character(*) // string"],
+  ["interfacefpx__string_1_1operator_07_2_2_08.html#details","Definition","operator(//)","The result is returned as a deferred-length character expression."],
+  ["interfacefpx__string_1_1operator_07_2_2_08.html#details","Definition","operator(//)","Examples"],
+  ["interfacefpx__string_1_1operator_07_2_2_08.html#details","Definition","operator(//)","type(string) :: s s = 'foo' print *, s // 'bar' print *, '>>' // s"],
+  ["interfacefpx__string_1_1operator_07_2_2_08.html#details","Definition","operator(//)","The documentation for this interface was generated from the following file:"],
+  ["interfacefpx__string_1_1operator_07_2_2_08.html#details","Definition","operator(//)","string.f90"],
+  ["interfacefpx__string_1_1operator_07_2_2_08.html#a15077d99187f2d9c111f3fb78f92cf4b","character_concat_string()","operator(//)","Concatenation of character expression and string."],
+  ["interfacefpx__string_1_1operator_07_2_2_08.html#a15077d99187f2d9c111f3fb78f92cf4b","character_concat_string()","operator(//)","Parameters"],
+  ["interfacefpx__string_1_1operator_07_2_2_08.html#a15077d99187f2d9c111f3fb78f92cf4b","character_concat_string()","operator(//)","[in] lhs character expression"],
+  ["interfacefpx__string_1_1operator_07_2_2_08.html#a15077d99187f2d9c111f3fb78f92cf4b","character_concat_string()","operator(//)","[in] rhs string"],
+  ["interfacefpx__string_1_1operator_07_2_2_08.html#a15077d99187f2d9c111f3fb78f92cf4b","character_concat_string()","operator(//)","Returns"],
+  ["interfacefpx__string_1_1operator_07_2_2_08.html#a15077d99187f2d9c111f3fb78f92cf4b","character_concat_string()","operator(//)","New concatenated string."],
+  ["interfacefpx__string_1_1operator_07_2_2_08.html#af17980cf28a65da4cc1e865fdd998b2c","string_concat_character()","operator(//)","Concatenation of string and character expression."],
+  ["interfacefpx__string_1_1operator_07_2_2_08.html#af17980cf28a65da4cc1e865fdd998b2c","string_concat_character()","operator(//)","Parameters"],
+  ["interfacefpx__string_1_1operator_07_2_2_08.html#af17980cf28a65da4cc1e865fdd998b2c","string_concat_character()","operator(//)","[in] lhs string"],
+  ["interfacefpx__string_1_1operator_07_2_2_08.html#af17980cf28a65da4cc1e865fdd998b2c","string_concat_character()","operator(//)","[in] rhs character expression"],
+  ["interfacefpx__string_1_1operator_07_2_2_08.html#af17980cf28a65da4cc1e865fdd998b2c","string_concat_character()","operator(//)","Returns"],
+  ["interfacefpx__string_1_1operator_07_2_2_08.html#af17980cf28a65da4cc1e865fdd998b2c","string_concat_character()","operator(//)","New concatenated string."],
+  ["interfacefpx__string_1_1operator_07_2_2_08.html#a138d3784805fd602b55bdacfa65f1abb","string_concat_string()","operator(//)","Concatenation of two string objects."],
+  ["interfacefpx__string_1_1operator_07_2_2_08.html#a138d3784805fd602b55bdacfa65f1abb","string_concat_string()","operator(//)","Parameters"],
+  ["interfacefpx__string_1_1operator_07_2_2_08.html#a138d3784805fd602b55bdacfa65f1abb","string_concat_string()","operator(//)","[in] lhs left-hand side string"],
+  ["interfacefpx__string_1_1operator_07_2_2_08.html#a138d3784805fd602b55bdacfa65f1abb","string_concat_string()","operator(//)","[in] rhs right-hand side string"],
+  ["interfacefpx__string_1_1operator_07_2_2_08.html#a138d3784805fd602b55bdacfa65f1abb","string_concat_string()","operator(//)","Returns"],
+  ["interfacefpx__string_1_1operator_07_2_2_08.html#a138d3784805fd602b55bdacfa65f1abb","string_concat_string()","operator(//)","New concatenated string."],
+  ["interfacefpx__string_1_1operator_07_8contains_8_08.html#details","Definition","operator(.contains.)","Test whether a value is present in an array."],
+  ["interfacefpx__string_1_1operator_07_8contains_8_08.html#details","Definition","operator(.contains.)","The .contains. operator provides convenient membership testing between arrays of intrinsic characters and arrays of string objects."],
+  ["interfacefpx__string_1_1operator_07_8contains_8_08.html#details","Definition","operator(.contains.)","Supported combinations are:"],
+  ["interfacefpx__string_1_1operator_07_8contains_8_08.html#details","Definition","operator(.contains.)","string(:) .contains. string"],
+  ["interfacefpx__string_1_1operator_07_8contains_8_08.html#details","Definition","operator(.contains.)","string(:) .contains. character(*)"],
+  ["interfacefpx__string_1_1operator_07_8contains_8_08.html#details","Definition","operator(.contains.)","character(:) .contains. string"],
+  ["interfacefpx__string_1_1operator_07_8contains_8_08.html#details","Definition","operator(.contains.)","character(:) .contains. character(*)"],
+  ["interfacefpx__string_1_1operator_07_8contains_8_08.html#details","Definition","operator(.contains.)","The comparison uses the overloaded equality operator (==) associated with the involved types."],
+  ["interfacefpx__string_1_1operator_07_8contains_8_08.html#contains_examples","Examples","operator(.contains.)","Arrays of string:"],
+  ["interfacefpx__string_1_1operator_07_8contains_8_08.html#contains_examples","Examples","operator(.contains.)","type(string) :: fruits(3) fruits = [ string('apple'), & string('banana'), & string('cherry') ] print *, fruits .contains. 'banana' ! .true. print *, fruits .contains. 'orange' ! .false."],
+  ["interfacefpx__string_1_1operator_07_8contains_8_08.html#contains_examples","Examples","operator(.contains.)","Mixed character/string usage:"],
+  ["interfacefpx__string_1_1operator_07_8contains_8_08.html#contains_examples","Examples","operator(.contains.)","character(10) :: names(2) names = ['foo ', 'bar '] print *, names .contains. string('foo') ! .true."],
+  ["interfacefpx__string_1_1operator_07_8contains_8_08.html#contains_examples","Examples","operator(.contains.)","Empty arrays:"],
+  ["interfacefpx__string_1_1operator_07_8contains_8_08.html#contains_examples","Examples","operator(.contains.)","type(string) :: values(0) print *, values .contains. 'x' ! .false."],
+  ["interfacefpx__string_1_1operator_07_8contains_8_08.html#contains_examples","Examples","operator(.contains.)","Returns"],
+  ["interfacefpx__string_1_1operator_07_8contains_8_08.html#contains_examples","Examples","operator(.contains.)",".true. if the searched value is present, .false. otherwise."],
+  ["interfacefpx__string_1_1operator_07_8contains_8_08.html#contains_examples","Examples","operator(.contains.)","The documentation for this interface was generated from the following file:"],
+  ["interfacefpx__string_1_1operator_07_8contains_8_08.html#contains_examples","Examples","operator(.contains.)","string.f90"],
+  ["interfacefpx__string_1_1operator_07_8contains_8_08.html#a5a7725093fba9d2c024ab4fad37e278c","characters_contain_character()","operator(.contains.)","Checks whether an array of character contains a given character expression."],
+  ["interfacefpx__string_1_1operator_07_8contains_8_08.html#a5a7725093fba9d2c024ab4fad37e278c","characters_contain_character()","operator(.contains.)","Parameters"],
+  ["interfacefpx__string_1_1operator_07_8contains_8_08.html#a5a7725093fba9d2c024ab4fad37e278c","characters_contain_character()","operator(.contains.)","[in] lhs array of character"],
+  ["interfacefpx__string_1_1operator_07_8contains_8_08.html#a5a7725093fba9d2c024ab4fad37e278c","characters_contain_character()","operator(.contains.)","[in] rhs character expression to search for"],
+  ["interfacefpx__string_1_1operator_07_8contains_8_08.html#a5a7725093fba9d2c024ab4fad37e278c","characters_contain_character()","operator(.contains.)","Returns"],
+  ["interfacefpx__string_1_1operator_07_8contains_8_08.html#a5a7725093fba9d2c024ab4fad37e278c","characters_contain_character()","operator(.contains.)",".true. if rhs is present in lhs"],
+  ["interfacefpx__string_1_1operator_07_8contains_8_08.html#a40a4eebeb200e41d543d7e65c4341ca4","characters_contain_string()","operator(.contains.)","Checks whether an array of character contains a given string."],
+  ["interfacefpx__string_1_1operator_07_8contains_8_08.html#a40a4eebeb200e41d543d7e65c4341ca4","characters_contain_string()","operator(.contains.)","Parameters"],
+  ["interfacefpx__string_1_1operator_07_8contains_8_08.html#a40a4eebeb200e41d543d7e65c4341ca4","characters_contain_string()","operator(.contains.)","[in] lhs array of character"],
+  ["interfacefpx__string_1_1operator_07_8contains_8_08.html#a40a4eebeb200e41d543d7e65c4341ca4","characters_contain_string()","operator(.contains.)","[in] rhs string to search for"],
+  ["interfacefpx__string_1_1operator_07_8contains_8_08.html#a40a4eebeb200e41d543d7e65c4341ca4","characters_contain_string()","operator(.contains.)","Returns"],
+  ["interfacefpx__string_1_1operator_07_8contains_8_08.html#a40a4eebeb200e41d543d7e65c4341ca4","characters_contain_string()","operator(.contains.)",".true. if rhs is present in lhs"],
+  ["interfacefpx__string_1_1operator_07_8contains_8_08.html#a2160ddf26e3dddfd05e620a46157b294","strings_contain_character()","operator(.contains.)","Checks whether an array of string contains a given character expression."],
+  ["interfacefpx__string_1_1operator_07_8contains_8_08.html#a2160ddf26e3dddfd05e620a46157b294","strings_contain_character()","operator(.contains.)","Parameters"],
+  ["interfacefpx__string_1_1operator_07_8contains_8_08.html#a2160ddf26e3dddfd05e620a46157b294","strings_contain_character()","operator(.contains.)","[in] lhs array of string"],
+  ["interfacefpx__string_1_1operator_07_8contains_8_08.html#a2160ddf26e3dddfd05e620a46157b294","strings_contain_character()","operator(.contains.)","[in] rhs character expression to search for"],
+  ["interfacefpx__string_1_1operator_07_8contains_8_08.html#a2160ddf26e3dddfd05e620a46157b294","strings_contain_character()","operator(.contains.)","Returns"],
+  ["interfacefpx__string_1_1operator_07_8contains_8_08.html#a2160ddf26e3dddfd05e620a46157b294","strings_contain_character()","operator(.contains.)",".true. if rhs is present in lhs"],
+  ["interfacefpx__string_1_1operator_07_8contains_8_08.html#a2c57ffe961e9ae1df1da3ac591248ae1","strings_contain_string()","operator(.contains.)","Checks whether an array of string contains a given string."],
+  ["interfacefpx__string_1_1operator_07_8contains_8_08.html#a2c57ffe961e9ae1df1da3ac591248ae1","strings_contain_string()","operator(.contains.)","Parameters"],
+  ["interfacefpx__string_1_1operator_07_8contains_8_08.html#a2c57ffe961e9ae1df1da3ac591248ae1","strings_contain_string()","operator(.contains.)","[in] lhs array of string"],
+  ["interfacefpx__string_1_1operator_07_8contains_8_08.html#a2c57ffe961e9ae1df1da3ac591248ae1","strings_contain_string()","operator(.contains.)","[in] rhs string to search for"],
+  ["interfacefpx__string_1_1operator_07_8contains_8_08.html#a2c57ffe961e9ae1df1da3ac591248ae1","strings_contain_string()","operator(.contains.)","Returns"],
+  ["interfacefpx__string_1_1operator_07_8contains_8_08.html#a2c57ffe961e9ae1df1da3ac591248ae1","strings_contain_string()","operator(.contains.)",".true. if rhs is present in lhs"],
+  ["interfacefpx__string_1_1trim.html#details","Definition","trim","Remove trailing blanks from a string object."],
+  ["interfacefpx__string_1_1trim.html#details","Definition","trim","This generic interface extends the intrinsic Fortran trim function to support the fpx string type."],
+  ["interfacefpx__string_1_1trim.html#details","Definition","trim","The result is returned as a deferred-length intrinsic character expression with trailing blanks removed."],
+  ["interfacefpx__string_1_1trim.html#details","Definition","trim","If the string is not allocated, an empty character string is returned."],
+  ["interfacefpx__string_1_1trim.html#trim_examples","Examples","trim","Basic usage:"],
+  ["interfacefpx__string_1_1trim.html#trim_examples","Examples","trim","type(string) :: s character(:), allocatable :: c s = 'hello ' c = trim(s) print *, '' !"],
+  ["interfacefpx__string_1_1trim.html#trim_examples","Examples","trim","Unallocated strings:"],
+  ["interfacefpx__string_1_1trim.html#trim_examples","Examples","trim","type(string) :: s print *, len(trim(s)) ! 0"],
+  ["interfacefpx__string_1_1trim.html#trim_examples","Examples","trim","Returns"],
+  ["interfacefpx__string_1_1trim.html#trim_examples","Examples","trim","Deferred-length character string without trailing blanks."],
+  ["interfacefpx__string_1_1trim.html#trim_examples","Examples","trim","The documentation for this interface was generated from the following file:"],
+  ["interfacefpx__string_1_1trim.html#trim_examples","Examples","trim","string.f90"],
+  ["interfacefpx__string_1_1trim.html#a43dc2858966a82313eb97b95a4c8fdf1","string_trim()","trim","Returns a copy of the string with trailing blanks removed."],
+  ["interfacefpx__string_1_1trim.html#a43dc2858966a82313eb97b95a4c8fdf1","string_trim()","trim","Parameters"],
+  ["interfacefpx__string_1_1trim.html#a43dc2858966a82313eb97b95a4c8fdf1","string_trim()","trim","[in] this string"],
+  ["interfacefpx__string_1_1trim.html#a43dc2858966a82313eb97b95a4c8fdf1","string_trim()","trim","Returns"],
+  ["interfacefpx__string_1_1trim.html#a43dc2858966a82313eb97b95a4c8fdf1","string_trim()","trim","Trimmed character string (deferred length)."],
+  ["interfacefpx__token_1_1strtol.html#details","Definition","strtol","Converts a string to integer."],
+  ["interfacefpx__token_1_1strtol.html#details","Definition","strtol","Methods"],
+  ["interfacefpx__token_1_1strtol.html#details","Definition","strtol","strtol(character(*) str, (optional) logical success)"],
+  ["interfacefpx__token_1_1strtol.html#details","Definition","strtol","Parameters"],
+  ["interfacefpx__token_1_1strtol.html#details","Definition","strtol","[in] str String to convert"],
+  ["interfacefpx__token_1_1strtol.html#details","Definition","strtol","[out] success Optional flag indicating successful conversion"],
+  ["interfacefpx__token_1_1strtol.html#details","Definition","strtol","Returns"],
+  ["interfacefpx__token_1_1strtol.html#details","Definition","strtol","Converted integer value"],
+  ["interfacefpx__token_1_1strtol.html#details","Definition","strtol","strtol(character(*) str, integer base, (optional) logical success)"],
+  ["interfacefpx__token_1_1strtol.html#details","Definition","strtol","Converts a string to integer with explicit base handling. Supports base 2, 8, 10, 16 and prefixes 0x, 0b."],
+  ["interfacefpx__token_1_1strtol.html#details","Definition","strtol","Parameters"],
+  ["interfacefpx__token_1_1strtol.html#details","Definition","strtol","[in] str String to convert"],
+  ["interfacefpx__token_1_1strtol.html#details","Definition","strtol","[in,out] base 0 = auto-detect, otherwise forces given base"],
+  ["interfacefpx__token_1_1strtol.html#details","Definition","strtol","[out] success Optional flag indicating successful conversion"],
+  ["interfacefpx__token_1_1strtol.html#details","Definition","strtol","Returns"],
+  ["interfacefpx__token_1_1strtol.html#details","Definition","strtol","Converted integer value"],
+  ["interfacefpx__token_1_1strtol.html#details","Definition","strtol","Examples"],
+  ["interfacefpx__token_1_1strtol.html#details","Definition","strtol","The following demonstrate a call to the strtol interface."],
+  ["interfacefpx__token_1_1strtol.html#details","Definition","strtol","integer :: i logical :: success i = strtol(' 123', 0, success = res) ! i = 123"],
+  ["interfacefpx__token_1_1strtol.html#details","Definition","strtol","The documentation for this interface was generated from the following file:"],
+  ["interfacefpx__token_1_1strtol.html#details","Definition","strtol","token.f90"],
+  ["introduction.html","A bit of History","A bit of History","Fortran has powered simulations of galaxies, weather systems, and quantum phenomena for over seven decades. Its enduring strength lies in its clarity, performance, and mathematical soul, qualities that resonate deeply with its community of developers. Yet, nestled within this ecosystem is a contentious tool: the preprocessor. From its ad hoc beginnings in the 1970s to its modern incarnations in tools like cpp, fpp, and fypp, preprocessing has been both a lifeline and a lightning rod for Fortran developers. It enables portability across diverse platforms, conditional compilation for debugging,..."],
+  ["introduction.html#autotoc_md24","A Brief History of Preprocessing","A bit of History","Fortran, born in the 1950s for scientific and numerical computing, was designed for clarity and performance on early computers. Preprocessing was not part of its original vision. As Fortran evolved, the need for portability, code reuse, and conditional compilation grew, particularly in large-scale scientific projects. This led to the adoption of preprocessing tools, though their integration into Fortran's ecosystem has been uneven and controversial. Below is a concise history of preprocessing in Fortran, culminating in the notable attempt to standardize it with CoCo."],
+  ["introduction.html#autotoc_md25","Early Days: Ad Hoc Preprocessing (1950s-1970s)","A bit of History","In Fortran's infancy (Fortran I, II, IV), preprocessing was virtually nonexistent. Developers relied on manual code edits or rudimentary scripts to handle tasks like platform-specific tweaks. Early computers varied widely in architecture, so scientists often customized code by hand for each system a tedious process. Some used external tools, like simple text processors, to automate repetitive changes, but these were bespoke and non-standard. Fortran 66 and 77, with their rigid structure, offered no built-in preprocessing capabilities, leaving developers to cobble together solutions."],
+  ["introduction.html#autotoc_md26","Rise of External Preprocessors (1980s)","A bit of History","By the 1980s, Fortran 77 was the workhorse of scientific computing, and large projects, like climate models or finite element simulations, demanded portability across diverse hardware (e.g., Cray, VAX, IBM). The C preprocessor (cpp), developed for C, became a popular stopgap. Its #define, #ifdef, and #include directives allowed Fortran developers to write flexible code for multiple platforms. Files with .F or .F77 extensions signaled preprocessing, distinguishing them from raw .f files. However, cpp was a imperfect fit: its C-centric syntax clashed with Fortran's column-based formatting, and..."],
+  ["introduction.html#autotoc_md27","Fortran 90/95: Reduced Need, Persistent Use (1990s)","A bit of History","Fortran 90 introduced modules, parameterized types, and dynamic memory, giving developers native tools for modularity and portability. These features reduced reliance on preprocessing for tasks like code reuse or constant definition. For example, modules replaced many #include use cases, and PARAMETER statements handled constants better than #define. Still, preprocessing persisted in large codebases, especially for conditional compilation (e.g., enabling/disabling debug code) or legacy Fortran 77 projects. Tools like cpp and fpp remained common, though their use was often seen as a necessary..."],
+  ["introduction.html#autotoc_md28","The CoCo Standardization Attempt (Late 1990s-Early 2000s)","A bit of History","By the late 1990s, the Fortran community recognized preprocessing's utility but also its chaos. Different preprocessors (cpp, fpp, custom tools) produced inconsistent behavior, and there was no standard way to write portable, preprocessable Fortran code. This led to the development of CoCo (Conditional Compilation), a proposed standard for Fortran preprocessing, spearheaded by the ISO/IEC Fortran committee (J3)."],
+  ["introduction.html#autotoc_md28","The CoCo Standardization Attempt (Late 1990s-Early 2000s)","A bit of History","CoCo aimed to integrate preprocessing directly into the Fortran language, defining a native syntax for directives like conditional compilation, macro expansion, and file inclusion. Unlike cpp, CoCo was designed with Fortran's structure in mind, respecting its free- and fixed-form source and avoiding C's pitfalls. Key goals included:"],
+  ["introduction.html#autotoc_md28","The CoCo Standardization Attempt (Late 1990s-Early 2000s)","A bit of History","Portability: Ensure code behaved consistently across compilers."],
+  ["introduction.html#autotoc_md28","The CoCo Standardization Attempt (Late 1990s-Early 2000s)","A bit of History","Simplicity: Provide a minimal set of directives tailored to Fortran's needs (e.g., scientific computing)."],
+  ["introduction.html#autotoc_md28","The CoCo Standardization Attempt (Late 1990s-Early 2000s)","A bit of History","Clarity: Preserve Fortran's readable, explicit style, avoiding macro-heavy complexity."],
+  ["introduction.html#autotoc_md28","The CoCo Standardization Attempt (Late 1990s-Early 2000s)","A bit of History","CoCo's syntax used directives prefixed with ??, such as ??IF, ??DEFINE, or ??INCLUDE, to distinguish them from Fortran code. For example:"],
+  ["introduction.html#autotoc_md28","The CoCo Standardization Attempt (Late 1990s-Early 2000s)","A bit of History","??IF (debug) print *, \"Debug mode active\" ??ENDIF"],
+  ["introduction.html#autotoc_md28","The CoCo Standardization Attempt (Late 1990s-Early 2000s)","A bit of History","This allowed conditional compilation without external tools, and compilers could process it natively."],
+  ["introduction.html#autotoc_md28","The CoCo Standardization Attempt (Late 1990s-Early 2000s)","A bit of History","However, CoCo never made it into the Fortran standard. Several factors contributed:"],
+  ["introduction.html#autotoc_md28","The CoCo Standardization Attempt (Late 1990s-Early 2000s)","A bit of History","Community Pushback: Many Fortran developers disliked preprocessing altogether, viewing it as a C-like intrusion that muddied the language's clarity. They argued that Fortran 90/95/2003 features (e.g., modules, derived types) already addressed most use cases."],
+  ["introduction.html#autotoc_md28","The CoCo Standardization Attempt (Late 1990s-Early 2000s)","A bit of History","Implementation Challenges: Standardizing a preprocessor meant every Fortran compiler had to support CoCo, a burden for vendors already grappling with modern Fortran's complexity."],
+  ["introduction.html#autotoc_md28","The CoCo Standardization Attempt (Late 1990s-Early 2000s)","A bit of History","Existing Tools: cpp and fpp were entrenched, and many developers saw no need for a new standard when workarounds existed."],
+  ["introduction.html#autotoc_md28","The CoCo Standardization Attempt (Late 1990s-Early 2000s)","A bit of History","Scope Concerns: Some feared CoCo would bloat the language, encouraging macro-heavy code that clashed with Fortran's scientific focus."],
+  ["introduction.html#autotoc_md28","The CoCo Standardization Attempt (Late 1990s-Early 2000s)","A bit of History","By the early 2000s, CoCo faded as a proposal. The Fortran 2003 standard focused on object-oriented features and interoperability (e.g., with C), sidelining preprocessing standardization."],
+  ["introduction.html#autotoc_md29","Modern Era: Preprocessing Today (2000s-2025)","A bit of History","Today, preprocessing in Fortran remains unstandardized but widely used. cpp and fpp are still common, especially in high-performance computing (HPC) projects like LAPACK, PETSc, or WRF, hosted on platforms like GitHub. Newer tools, like fypp (a Python-based preprocessor), have gained traction for their flexibility, particularly in projects like the Fortran Standard Library. Fortran 2008, 2018, and the upcoming 2023 standard introduced features like submodules and enhanced generics, further reducing preprocessing needs, but legacy code and cross-platform projects keep preprocessors relevant."],
+  ["introduction.html#autotoc_md29","Modern Era: Preprocessing Today (2000s-2025)","A bit of History","The CoCo attempt left a legacy: it highlighted the community's ambivalence toward preprocessing. While some developers value its power, others see it as a last resort, preferring Fortran's native constructs. The lack of a standard means preprocessing remains a fragmented practice, with tools and conventions varying by project."],
+  ["introduction.html#autotoc_md29","Modern Era: Preprocessing Today (2000s-2025)","A bit of History","Preprocessing in Fortran evolved from ad hoc scripts to external tools like cpp, driven by the need for portability and flexibility in scientific computing. The CoCo initiative sought to bring order by standardizing preprocessing, but resistance from a community valuing simplicity, combined with practical hurdles, led to its demise. Today, preprocessing endures as a pragmatic tool in Fortran's ecosystem, neither fully embraced nor abandoned, reflecting the language's balance between tradition and adaptation."],
+  ["introduction.html#autotoc_md29","Modern Era: Preprocessing Today (2000s-2025)","A bit of History","In modern Fortran (referring to standards like Fortran 2003, 2008, 2018, and the upcoming 2023), preprocessing remains a practical tool despite the language's evolution toward native constructs that reduce its necessity. While modern Fortran offers robust features like modules, derived types, and submodules, preprocessing is still widely used in specific scenarios, particularly in large-scale scientific, high-performance computing (HPC), and legacy projects. Below, I'll expand on the most common uses of preprocessing in modern Fortran, focusing on their practical applications, prevalence, and..."],
+  ["introduction.html#autotoc_md31","Conditional Compilation","A bit of History","What It Is: Preprocessing directives like #ifdef, #ifndef, #else, and #endif allow developers to include or exclude code blocks based on predefined conditions, typically set at compile time."],
+  ["introduction.html#autotoc_md31","Conditional Compilation","A bit of History","Common Uses:"],
+  ["introduction.html#autotoc_md31","Conditional Compilation","A bit of History","Debug vs. Production Code:"],
+  ["introduction.html#autotoc_md31","Conditional Compilation","A bit of History","Developers use conditional compilation to toggle debugging features, such as verbose logging or array bounds checking, which are enabled in development but stripped out for performance in production builds."],
+  ["introduction.html#autotoc_md31","Conditional Compilation","A bit of History","Example:"],
+  ["introduction.html#autotoc_md31","Conditional Compilation","A bit of History","#ifdef DEBUG print *, \"Entering subroutine X with N =\", n CALL check_bounds(array, n) #endif"],
+  ["introduction.html#autotoc_md31","Conditional Compilation","A bit of History","Platform-Specific Code:"],
+  ["introduction.html#autotoc_md31","Conditional Compilation","A bit of History","Scientific software often runs on diverse systems, Linux clusters, GPUs, or supercomputers like those using Intel, AMD, or Cray architectures. Preprocessing lets developers tailor code to specific compilers, hardware, or libraries (e.g., MPI vs. OpenMP)."],
+  ["introduction.html#autotoc_md31","Conditional Compilation","A bit of History","Example:"],
+  ["introduction.html#autotoc_md31","Conditional Compilation","A bit of History","#ifdef USE_MPI CALL mpi_bcast(data, size, mpi_double, 0, comm, ierr) #else data_local = data #endif"],
+  ["introduction.html#autotoc_md31","Conditional Compilation","A bit of History","Feature Toggles:"],
+  ["introduction.html#autotoc_md31","Conditional Compilation","A bit of History","In large projects, preprocessing enables or disables optional features (e.g., experimental algorithms or legacy compatibility) without maintaining separate codebases."],
+  ["introduction.html#autotoc_md31","Conditional Compilation","A bit of History","Example: A numerical solver might include a new algorithm only if a flag like NEW_SOLVER is defined."],
+  ["introduction.html#autotoc_md31","Conditional Compilation","A bit of History","Prevalence:"],
+  ["introduction.html#autotoc_md31","Conditional Compilation","A bit of History","Conditional compilation is arguably the most widespread preprocessing use in modern Fortran, especially in HPC libraries and applications (e.g., PETSc, WRF, or SPECFEM3D). It's critical for projects on GitHub that target multiple environments or maintain long-lived codebases."],
+  ["introduction.html#autotoc_md31","Conditional Compilation","A bit of History","It's less common in small, single-purpose programs or academic code, where native Fortran constructs suffice."],
+  ["introduction.html#autotoc_md31","Conditional Compilation","A bit of History","Why It Persists:"],
+  ["introduction.html#autotoc_md31","Conditional Compilation","A bit of History","Modern Fortran lacks a direct equivalent to conditional compilation. While IF statements can handle runtime conditions, they don't exclude code from compilation, which impacts binary size and performance optimization."],
+  ["introduction.html#autotoc_md32","Portability Across Systems","A bit of History","What It Is: Preprocessing helps write code that adapts to different compilers, operating systems, or hardware by defining platform-specific macros or including system-dependent code."],
+  ["introduction.html#autotoc_md32","Portability Across Systems","A bit of History","Common Uses:"],
+  ["introduction.html#autotoc_md32","Portability Across Systems","A bit of History","Compiler-Specific Directives:"],
+  ["introduction.html#autotoc_md32","Portability Across Systems","A bit of History","Different Fortran compilers (e.g., GNU gfortran, Intel ifort, NVIDIA nvfortran) support unique extensions or optimizations. Preprocessing ensures compatibility."],
+  ["introduction.html#autotoc_md32","Portability Across Systems","A bit of History","Example:"],
+  ["introduction.html#autotoc_md32","Portability Across Systems","A bit of History","#ifdef __GFORTRAN__ call getenv(\"PATH\", path_var) #else call get_environment_variable(\"PATH\", path_var) #endif"],
+  ["introduction.html#autotoc_md32","Portability Across Systems","A bit of History","Library Dependencies:"],
+  ["introduction.html#autotoc_md32","Portability Across Systems","A bit of History","Scientific codes often link to external libraries like BLAS, LAPACK, or FFTW. Preprocessing manages variations in library availability or interfaces."],
+  ["introduction.html#autotoc_md32","Portability Across Systems","A bit of History","Example:"],
+  ["introduction.html#autotoc_md32","Portability Across Systems","A bit of History","#ifdef HAVE_MKL call dgemm('N', 'N', m, n, k, alpha, a, m, b, k, beta, c, m) #else call custom_gemm(m, n, k, a, b, c) #endif"],
+  ["introduction.html#autotoc_md32","Portability Across Systems","A bit of History","Precision Control:"],
+  ["introduction.html#autotoc_md32","Portability Across Systems","A bit of History","Fortran's KIND system allows flexible numeric precision, but preprocessing is used to enforce consistent precision across platforms or to switch between single/double precision for performance."],
+  ["introduction.html#autotoc_md32","Portability Across Systems","A bit of History","Example:"],
+  ["introduction.html#autotoc_md32","Portability Across Systems","A bit of History","#ifdef SINGLE_PRECISION INTEGER, PARAMETER :: wp = kind(1.0) #else INTEGER, PARAMETER :: wp = kind(1.0d0) #endif REAL(wp) :: array(N)"],
+  ["introduction.html#autotoc_md32","Portability Across Systems","A bit of History","Prevalence:"],
+  ["introduction.html#autotoc_md32","Portability Across Systems","A bit of History","Portability is a top use case in open-source Fortran projects, especially those in computational physics, climate modeling, or astrophysics (e.g., MPAS, LAMMPS). Repositories on GitHub often include build scripts (CMake, Makefile) that define preprocessor flags for different systems."],
+  ["introduction.html#autotoc_md32","Portability Across Systems","A bit of History","It's less critical in controlled environments (e.g., a single supercomputer) but vital for software distributed across institutions."],
+  ["introduction.html#autotoc_md32","Portability Across Systems","A bit of History","Why It Persists:"],
+  ["introduction.html#autotoc_md32","Portability Across Systems","A bit of History","Despite Fortran's ISO_C_BINDING and improved interoperability, hardware and library ecosystems remain fragmented. Preprocessing bridges these gaps more efficiently than rewriting code for each target."],
+  ["introduction.html#autotoc_md33","File Inclusion","A bit of History","What It Is: The #include directive inserts external files into the source code, often for shared definitions, constants, or interfaces."],
+  ["introduction.html#autotoc_md33","File Inclusion","A bit of History","Common Uses:"],
+  ["introduction.html#autotoc_md33","File Inclusion","A bit of History","Shared Constants and Types:"],
+  ["introduction.html#autotoc_md33","File Inclusion","A bit of History","Large projects define constants, derived types, or interface blocks in a single file, included across multiple source files to ensure consistency."],
+  ["introduction.html#autotoc_md33","File Inclusion","A bit of History","Example:"],
+  ["introduction.html#autotoc_md33","File Inclusion","A bit of History","#include \"constants.h\" REAL(wp), PARAMETER :: gravity = gravity_constant"],
+  ["introduction.html#autotoc_md33","File Inclusion","A bit of History","Where constants.h might contain:"],
+  ["introduction.html#autotoc_md33","File Inclusion","A bit of History","#define GRAVITY_CONSTANT 9.80665_wp"],
+  ["introduction.html#autotoc_md33","File Inclusion","A bit of History","Legacy Code Integration:"],
+  ["introduction.html#autotoc_md33","File Inclusion","A bit of History","Older Fortran 77 codebases, lacking modules, use #include to share COMMON blocks or subroutine declarations."],
+  ["introduction.html#autotoc_md33","File Inclusion","A bit of History","Example:"],
+  ["introduction.html#autotoc_md33","File Inclusion","A bit of History","#include \"common_blocks.inc\""],
+  ["introduction.html#autotoc_md33","File Inclusion","A bit of History","Interface Definitions:"],
+  ["introduction.html#autotoc_md33","File Inclusion","A bit of History","For codes interfacing with C or other languages, #include pulls in header-like files defining data structures or function signatures."],
+  ["introduction.html#autotoc_md33","File Inclusion","A bit of History","Prevalence:"],
+  ["introduction.html#autotoc_md33","File Inclusion","A bit of History","File inclusion is common in legacy-heavy projects or those maintaining Fortran 77/90 compatibility (e.g., numerical libraries like SLATEC). Modern projects prefer modules, but #include persists in mixed-language or older HPC codes."],
+  ["introduction.html#autotoc_md33","File Inclusion","A bit of History","On GitHub, you'll see it in projects like netCDF-Fortran or older simulation frameworks, though its use is declining."],
+  ["introduction.html#autotoc_md33","File Inclusion","A bit of History","Why It Persists:"],
+  ["introduction.html#autotoc_md33","File Inclusion","A bit of History","Modules are superior for modularity, but #include is entrenched in legacy workflows and simpler for small, shared snippets. It's also used when interfacing with C-style build systems."],
+  ["introduction.html#autotoc_md34","Macro Definitions for Code Reuse","A bit of History","What It Is: Macros (#define) create reusable code snippets or constants, reducing duplication or simplifying complex expressions."],
+  ["introduction.html#autotoc_md34","Macro Definitions for Code Reuse","A bit of History","Common Uses:"],
+  ["introduction.html#autotoc_md34","Macro Definitions for Code Reuse","A bit of History","Constant Definitions:"],
+  ["introduction.html#autotoc_md34","Macro Definitions for Code Reuse","A bit of History","While Fortran's PARAMETER is preferred, macros define constants in preprocessed code, especially for conditional values."],
+  ["introduction.html#autotoc_md34","Macro Definitions for Code Reuse","A bit of History","Example:"],
+  ["introduction.html#autotoc_md34","Macro Definitions for Code Reuse","A bit of History","#define MAX_ITER 1000 INTEGER :: i DO i = 1, max_iter ... END DO"],
+  ["introduction.html#autotoc_md34","Macro Definitions for Code Reuse","A bit of History","Simplified Syntax:"],
+  ["introduction.html#autotoc_md34","Macro Definitions for Code Reuse","A bit of History","Macros streamline repetitive or verbose code, like array indexing or mathematical formulas in numerical algorithms."],
+  ["introduction.html#autotoc_md34","Macro Definitions for Code Reuse","A bit of History","Example:"],
+  ["introduction.html#autotoc_md34","Macro Definitions for Code Reuse","A bit of History","#define IDX(i,j,n) ((i-1)*n + j) array(idx(i,j,n)) = value"],
+  ["introduction.html#autotoc_md34","Macro Definitions for Code Reuse","A bit of History","Code Generation:"],
+  ["introduction.html#autotoc_md34","Macro Definitions for Code Reuse","A bit of History","Advanced preprocessors like fypp generate boilerplate code, such as loops or type-specific routines, for generic programming."],
+  ["introduction.html#autotoc_md34","Macro Definitions for Code Reuse","A bit of History","Example (in fypp):"],
+  ["introduction.html#autotoc_md34","Macro Definitions for Code Reuse","A bit of History","{% for type in ['REAL', 'INTEGER'] %} SUBROUTINE process_${type}$(data) ${type}$ :: data(:) ... END SUBROUTINE {% endfor %}"],
+  ["introduction.html#autotoc_md34","Macro Definitions for Code Reuse","A bit of History","Prevalence:"],
+  ["introduction.html#autotoc_md34","Macro Definitions for Code Reuse","A bit of History","Basic macro use is moderately common, especially in performance-critical code where inline calculations benefit from shorthand. fypp is gaining traction in newer projects like the Fortran Standard Library (stdlib) for its code-generation capabilities."],
+  ["introduction.html#autotoc_md34","Macro Definitions for Code Reuse","A bit of History","It's less frequent in small or purely modern Fortran projects, where intrinsic features like procedures or generics suffice."],
+  ["introduction.html#autotoc_md34","Macro Definitions for Code Reuse","A bit of History","Why It Persists:"],
+  ["introduction.html#autotoc_md34","Macro Definitions for Code Reuse","A bit of History","Macros offer concise solutions for repetitive patterns, and tools like fypp extend this to template-like programming, which Fortran's generics don't fully replicate. However, overuse is frowned upon due to readability concerns."],
+  ["introduction.html#autotoc_md35","Interfacing with Build Systems and External Tools","A bit of History","What It Is: Preprocessing integrates Fortran code with build systems (e.g., CMake, Autotools) or external tools by defining flags or generating code."],
+  ["introduction.html#autotoc_md35","Interfacing with Build Systems and External Tools","A bit of History","Common Uses:"],
+  ["introduction.html#autotoc_md35","Interfacing with Build Systems and External Tools","A bit of History","Build-Time Configuration:"],
+  ["introduction.html#autotoc_md35","Interfacing with Build Systems and External Tools","A bit of History","Build scripts set preprocessor flags to configure code for specific environments, libraries, or optimizations."],
+  ["introduction.html#autotoc_md35","Interfacing with Build Systems and External Tools","A bit of History","Example (CMake):"],
+  ["introduction.html#autotoc_md35","Interfacing with Build Systems and External Tools","A bit of History","add_definitions(-DHAVE_HDF5)"],
+  ["introduction.html#autotoc_md35","Interfacing with Build Systems and External Tools","A bit of History","Used in Fortran as:"],
+  ["introduction.html#autotoc_md35","Interfacing with Build Systems and External Tools","A bit of History","#ifdef HAVE_HDF5 CALL write_hdf5_file(data) #endif"],
+  ["introduction.html#autotoc_md35","Interfacing with Build Systems and External Tools","A bit of History","Automated Code Generation:"],
+  ["introduction.html#autotoc_md35","Interfacing with Build Systems and External Tools","A bit of History","Tools like fypp or custom scripts generate Fortran code for specific cases (e.g., different precisions or dimensions), embedded in the build process."],
+  ["introduction.html#autotoc_md35","Interfacing with Build Systems and External Tools","A bit of History","Testing Frameworks:"],
+  ["introduction.html#autotoc_md35","Interfacing with Build Systems and External Tools","A bit of History","Preprocessing enables test-specific code, like mocking I/O or enabling assertions, in projects using frameworks like pFUnit."],
+  ["introduction.html#autotoc_md35","Interfacing with Build Systems and External Tools","A bit of History","Prevalence:"],
+  ["introduction.html#autotoc_md35","Interfacing with Build Systems and External Tools","A bit of History","This is highly common in professional or open-source Fortran projects with complex build systems (e.g., WRF, Trilinos). On GitHub, repos with CMake or Makefile setups often include preprocessor flags."],
+  ["introduction.html#autotoc_md35","Interfacing with Build Systems and External Tools","A bit of History","It's rare in standalone scripts or academic code without formal build processes."],
+  ["introduction.html#autotoc_md35","Interfacing with Build Systems and External Tools","A bit of History","Why It Persists:"],
+  ["introduction.html#autotoc_md35","Interfacing with Build Systems and External Tools","A bit of History","Modern build systems rely on preprocessing to manage complexity, and Fortran's role in HPC demands integration with tools like MPI, CUDA, or HDF5, where preprocessing simplifies configuration."],
+  ["j3.html","J3 specifications","J3 specifications","Fortran preprocessor requirements"],
+  ["j3.html","J3 specifications","J3 specifications","Preprocessor Specifications"],
+  ["j3.html","J3 specifications","J3 specifications","Macro Expansion"],
+  ["line_8f90.html","line.f90","line.f90","Go to the source code of this file."],
+  ["logging_8f90.html","logging.f90","logging.f90","Go to the source code of this file."],
+  ["loop_8f90.html","loop.f90","loop.f90","Go to the source code of this file."],
+  ["macro.html","Macro Expansion","Macro Expansion","(24-176r3)"],
+  ["macro.html#autotoc_md99","Background","Macro Expansion","The current Fortran 202Y work list WG5/N2249 includes specifying a Fortran-friendly preprocessor as accepted work item US10."],
+  ["macro.html#autotoc_md99","Background","Macro Expansion","At meeting #235 in Feb 2025, J3 approved requirements for cpp-like preprocessing (paper 25-114r2)."],
+  ["macro.html#autotoc_md99","Background","Macro Expansion","At meeting #236 in Jun 2025, J3 approved corresponding specifications covering the majority of preprocessing (paper 25-142r2). That document left one incomplete section, section 4 \"Macro identification and expansion\"."],
+  ["macro.html#autotoc_md99","Background","Macro Expansion","This document provides the remaining specifications for preprocessing, specifying the details of macro identification and expansion. It should be read along with 25-142r2, which provides all the other specifications."],
+  ["macro.html#autotoc_md99","Background","Macro Expansion","The first revision of this document (25-176r1) was discussed in plenary at J3 meeting #237 on 2025-10-27. Updates were made based on that discussion, most notably the addition of the \"Straw polls\" section below; this has been used to resolve controversial issues that arose in the initial discussion and establish clear design direction to inform future papers."],
+  ["macro.html#autotoc_md99","Background","Macro Expansion","The second revision of this document (25-176r2) was discussed in plenary at J3 meeting #237 on 2025-11-12. The results of the straw polls in 25-176r2 have been applied to the current revision of this paper, 25-176r3, which passed as amended at J3 meeting #237."],
+  ["macro.html#autotoc_md101","Straw poll 1","Macro Expansion","How should fixed source form be handled in forthcoming syntax/edit papers for preprocessing?"],
+  ["macro.html#autotoc_md101","Straw poll 1","Macro Expansion","OPTION A: Fixed source form preprocessing should be fully specified, and support is just as mandatory as free-form preprocessing."],
+  ["macro.html#autotoc_md101","Straw poll 1","Macro Expansion","OPTION B: Fixed source form preprocessing should have recommendations but be explicitly labeled as optional because of fixed-form obsolescence."],
+  ["macro.html#autotoc_md101","Straw poll 1","Macro Expansion","OPTION C: Nothing should be specified about preprocessing for fixed source form, which means preprocessing for fixed source form remains entirely processor-dependent (as it is today). The edits should explicitly note that preprocessing of fixed source form is processor-dependent."],
+  ["macro.html#autotoc_md101","Straw poll 1","Macro Expansion","The subgroup is unanimously opposed to option A, and recommends option C."],
+  ["macro.html#autotoc_md101","Straw poll 1","Macro Expansion","At plenary on 2025-11-12, the straw poll results were:"],
+  ["macro.html#autotoc_md101","Straw poll 1","Macro Expansion","OPTION A: 4 votes"],
+  ["macro.html#autotoc_md101","Straw poll 1","Macro Expansion","OPTION B: 5 votes"],
+  ["macro.html#autotoc_md101","Straw poll 1","Macro Expansion","OPTION C: 9 votes"],
+  ["macro.html#autotoc_md101","Straw poll 1","Macro Expansion","Undecided: 2 votes"],
+  ["macro.html#autotoc_md101","Straw poll 1","Macro Expansion","Based on these totals, this revision adopts OPTION C."],
+  ["macro.html#autotoc_md101","Straw poll 1","Macro Expansion","Note"],
+  ["macro.html#autotoc_md101","Straw poll 1","Macro Expansion","the results of straw poll 1 will inform the content of subsequent papers, not serve to excise content from this paper."],
+  ["macro.html#autotoc_md102","Straw poll 2","Macro Expansion","Should it be mandatory to explicitly continue lines inside the argument list for the invocation of a function-like macro?"],
+  ["macro.html#autotoc_md102","Straw poll 2","Macro Expansion","OPTION R: Explicit Fortran-style continuation is required to continue lines within the argument list of a function-like macro invocation. If a function-like macro invocation begins on one line and the closing ')' needed to close the argument list does not appear on the same line, then Fortran-style continuation syntax must be used to mark the continuation, otherwise the processor may consider this an error."],
+  ["macro.html#autotoc_md102","Straw poll 2","Macro Expansion","OPTION O: Explicit Fortran-style continuation is permitted, but not required, to continue lines within the argument list of a function-like macro invocation. If a function-like macro invocation begins on one line and the closing ')' needed to close the argument list does not appear on the same line, the processor will continue looking for the closing ')' on subsequent source fragment lines, even without explicit continuation syntax."],
+  ["macro.html#autotoc_md102","Straw poll 2","Macro Expansion","In either case, any explicit continuation characters (e.g. a trailing & in free form) are not part of the argument list of a function-like macro."],
+  ["macro.html#autotoc_md102","Straw poll 2","Macro Expansion","The subgroup does not have a recommendation and is divided. The subgroup unanimously agrees that either option is preferable to not passing a version of this paper."],
+  ["macro.html#autotoc_md102","Straw poll 2","Macro Expansion","At plenary on 2025-11-12, the straw poll results were:"],
+  ["macro.html#autotoc_md102","Straw poll 2","Macro Expansion","OPTION R: 11 votes"],
+  ["macro.html#autotoc_md102","Straw poll 2","Macro Expansion","OPTION O: 4 votes"],
+  ["macro.html#autotoc_md102","Straw poll 2","Macro Expansion","Undecided: 5 votes"],
+  ["macro.html#autotoc_md102","Straw poll 2","Macro Expansion","Based on these totals, this revision adopts OPTION R."],
+  ["macro.html#autotoc_md103","Straw poll 2 analysis","Macro Expansion","The analysis provided below is intended to help inform the committee regarding the implications of straw poll 2."],
+  ["macro.html#autotoc_md104","PROS OPTION R:","Macro Expansion","Code Description"],
+  ["macro.html#autotoc_md104","PROS OPTION R:","Macro Expansion","RP01 Forces a style which is more aesthetically \"Fortranic\"."],
+  ["macro.html#autotoc_md105","CONS OPTION R:","Macro Expansion","Code Description"],
+  ["macro.html#autotoc_md105","CONS OPTION R:","Macro Expansion","RC01 Mandates more restrictive line continuation syntax."],
+  ["macro.html#autotoc_md105","CONS OPTION R:","Macro Expansion","RC02 Forcing the programmer to type a continuation does not resolve any ambiguity between two or more correct programs in this context. If the the closing ) for the argument list does not appear on the opening line, then it must appear on a subsequent line, otherwise the entire program is an error."],
+  ["macro.html#autotoc_md105","CONS OPTION R:","Macro Expansion","RC03 This requirement will break current codes that don't use explicit continuations (e.g. due to focusing on a compiler that does not currently require them)."],
+  ["macro.html#autotoc_md105","CONS OPTION R:","Macro Expansion","RC04 In compilers that don't currently recognize explicit continuations in FLM invocations, this syntax generates confusing garbage (e.g. adding the & to the argument), which is a very unfriendly error behavior until those compilers are upgraded to the standard preprocessor."],
+  ["macro.html#autotoc_md105","CONS OPTION R:","Macro Expansion","RC05 Current implementations may need adjustment to match specified behavior."],
+  ["macro.html#autotoc_md106","PROS OPTION O:","Macro Expansion","Code Description"],
+  ["macro.html#autotoc_md106","PROS OPTION O:","Macro Expansion","OP01 Provides more permissive line continuation syntax."],
+  ["macro.html#autotoc_md106","PROS OPTION O:","Macro Expansion","OP02 Option O accepts a strictly wider set of current programs than Option R, and hence it reduces breakage of existing codes."],
+  ["macro.html#autotoc_md106","PROS OPTION O:","Macro Expansion","OP03 Users who are accustomed to typing explicit continuations may still do so."],
+  ["macro.html#autotoc_md106","PROS OPTION O:","Macro Expansion","OP04 Current codes that are not using explicit continuations (e.g. due to focusing on a compiler that does not currently accept them) will continue to work unchanged."],
+  ["macro.html#autotoc_md107","CONS OPTION O:","Macro Expansion","Code Description"],
+  ["macro.html#autotoc_md107","CONS OPTION O:","Macro Expansion","OC01 Allows omitting the redundant continuation indicator, a style which is less aesthetically \"Fortranic\"."],
+  ["macro.html#autotoc_md107","CONS OPTION O:","Macro Expansion","OC02 Current implementations may need adjustment to match specified behavior."],
+  ["macro.html#autotoc_md109","1 General","Macro Expansion","Code Description"],
+  ["macro.html#autotoc_md109","1 General","Macro Expansion","ge01 Macro identification and expansion is a process that occurs on source fragment lines and comment lines when they are first encountered during preprocessing, and may be recursively repeated as specified in section 4."],
+  ["macro.html#autotoc_md109","1 General","Macro Expansion","ge03 During expansion, an identifier that is the name of a defined object-like macro (25-142r2 section 3.1) is replaced by the replacement-list of that macro's definition."],
+  ["macro.html#autotoc_md109","1 General","Macro Expansion","ge05 During expansion, an identifier that is the name of a defined function-like macro (25-142r2 section 3.2) followed by a left parenthesis '(' introduces an invocation of the function-like macro. The arguments of the macro invocation are collected before the macro is expanded (section 2)."],
+  ["macro.html#autotoc_md109","1 General","Macro Expansion","ge07 After expansion has replaced a macro invocation, the resulting tokens are rescanned to find additional macro invocations for expansion (section 4)."],
+  ["macro.html#autotoc_md112","2.1.1 Argument gathering and separation","Macro Expansion","This subsection specifies the rules used to gather and separate the arguments for the invocation of a function-like macro."],
+  ["macro.html#autotoc_md112","2.1.1 Argument gathering and separation","Macro Expansion","Code Description"],
+  ["macro.html#autotoc_md112","2.1.1 Argument gathering and separation","Macro Expansion","ag01 During expansion when a function-like macro name is encountered followed by a ( as the next nonblank character, the processor shall scan ahead, removing comments (section 2.1.4), to identify the full list of macro arguments. This process is known as \"argument gathering\". The argument list begins after the initial ( and terminates before the matching closing parenthesis ), skipping intervening matched pairs of ( and ) parentheses. The argument list shall terminate before the end of the current file."],
+  ["macro.html#autotoc_md112","2.1.1 Argument gathering and separation","Macro Expansion","ag03 After argument gathering, argument separation is performed. Commas within the argument list separate individual arguments. However, a comma that appears within a balanced set of parentheses (), square brackets [], or curly braces {} does not act as an argument separator. All such bracketing characters within an argument must be balanced and properly nested. Array constructor delimiters (/ /) are implicitly handled as a special case of parentheses."],
+  ["macro.html#autotoc_md112","2.1.1 Argument gathering and separation","Macro Expansion","ag05 During argument gathering, commas and bracketing characters within comments are removed (section 2.1.4) and thus do not affect argument separation."],
+  ["macro.html#autotoc_md112","2.1.1 Argument gathering and separation","Macro Expansion","ag07 An argument consists of all tokens between the beginning of the argument list and a separating comma, between a pair of separating commas, or between a separating comma and the end of the argument list. Line continuations (sections 2.1.2 and 2.1.3), and comments (section 2.1.4) are removed as part of argument gathering and thus are not part of any arguments themselves."],
+  ["macro.html#autotoc_md112","2.1.1 Argument gathering and separation","Macro Expansion","ag11 For a macro that is not variadic (section 2.3), the number of arguments in the invocation shall be equal to the number of parameters in the macro definition."],
+  ["macro.html#autotoc_md112","2.1.1 Argument gathering and separation","Macro Expansion","ag13 For a variadic macro (section 2.3), the number of arguments shall not be less than the number of named parameters in the macro definition, and any arguments supplied beyond the number of named parameters are collectively known as the \"variable arguments list\" (section 2.3). If the number of arguments is equal to the number of named parameters, then the variable arguments list is empty."],
+  ["macro.html#autotoc_md112","2.1.1 Argument gathering and separation","Macro Expansion","ag15 An argument is considered empty if it contains no preprocessing tokens. When an empty argument is substituted, it is replaced by a placemarker token (section 3)."],
+  ["macro.html#autotoc_md112","2.1.1 Argument gathering and separation","Macro Expansion","ag17 Preprocessing directives are not recognized as such within the arguments of a function-like macro invocation."],
+  ["macro.html#autotoc_md112","2.1.1 Argument gathering and separation","Macro Expansion","ag19 Within the arguments of a function-like macro invocation, the token INCLUDE is not treated as introducing an INCLUDE line, even if it resembles one."],
+  ["macro.html#autotoc_md112","2.1.1 Argument gathering and separation","Macro Expansion","EXAMPLE age01:"],
+  ["macro.html#autotoc_md112","2.1.1 Argument gathering and separation","Macro Expansion","Given the macro definition:"],
+  ["macro.html#autotoc_md112","2.1.1 Argument gathering and separation","Macro Expansion","#define F(a,b,c) a;b;c"],
+  ["macro.html#autotoc_md112","2.1.1 Argument gathering and separation","Macro Expansion","The invocation:"],
+  ["macro.html#autotoc_md112","2.1.1 Argument gathering and separation","Macro Expansion","f(1,,3)"],
+  ["macro.html#autotoc_md112","2.1.1 Argument gathering and separation","Macro Expansion","is equivalent to:"],
+  ["macro.html#autotoc_md112","2.1.1 Argument gathering and separation","Macro Expansion","1;;3"],
+  ["macro.html#autotoc_md112","2.1.1 Argument gathering and separation","Macro Expansion","The second argument is empty, so 'b' is replaced by a placemarker token, which is then removed (section 4)."],
+  ["macro.html#autotoc_md112","2.1.1 Argument gathering and separation","Macro Expansion","EXAMPLE age02:"],
+  ["macro.html#autotoc_md112","2.1.1 Argument gathering and separation","Macro Expansion","#define ASSIGN(x, y) x = y assign( a(1,2)[3,4], 10 )"],
+  ["macro.html#autotoc_md112","2.1.1 Argument gathering and separation","Macro Expansion","the invocation is equivalent to:"],
+  ["macro.html#autotoc_md112","2.1.1 Argument gathering and separation","Macro Expansion","a(1,2)[3,4] = 10"],
+  ["macro.html#autotoc_md112","2.1.1 Argument gathering and separation","Macro Expansion","The commas within the bracketing characters do not act as argument separators, they are instead part of the first argument."],
+  ["macro.html#autotoc_md112","2.1.1 Argument gathering and separation","Macro Expansion","EXAMPLE age03:"],
+  ["macro.html#autotoc_md112","2.1.1 Argument gathering and separation","Macro Expansion","Given the macro definition:"],
+  ["macro.html#autotoc_md112","2.1.1 Argument gathering and separation","Macro Expansion","#define ACCUM(var, val) \\ var = var+val ; \\ print *, \"value:\", var ..."],
+  ["macro.html#autotoc_md112","2.1.1 Argument gathering and separation","Macro Expansion","The invocation:"],
+  ["macro.html#autotoc_md112","2.1.1 Argument gathering and separation","Macro Expansion","accum( a(1,2)[3,4], 10 )"],
+  ["macro.html#autotoc_md112","2.1.1 Argument gathering and separation","Macro Expansion","is equivalent to:"],
+  ["macro.html#autotoc_md112","2.1.1 Argument gathering and separation","Macro Expansion","a(1,2)[3,4] = a(1,2)[3,4]+10 ; print *, \"value:\", a(1,2)[3,4]"],
+  ["macro.html#autotoc_md112","2.1.1 Argument gathering and separation","Macro Expansion","EXAMPLE age04:"],
+  ["macro.html#autotoc_md112","2.1.1 Argument gathering and separation","Macro Expansion","Given the macro definition:"],
+  ["macro.html#autotoc_md112","2.1.1 Argument gathering and separation","Macro Expansion","#define ASSIGN(x, y) x = y"],
+  ["macro.html#autotoc_md112","2.1.1 Argument gathering and separation","Macro Expansion","The invocation:"],
+  ["macro.html#autotoc_md112","2.1.1 Argument gathering and separation","Macro Expansion","assign(a(5,6)[7,8], foo{t1, t2}(9, b[10,11]))"],
+  ["macro.html#autotoc_md112","2.1.1 Argument gathering and separation","Macro Expansion","is equivalent to:"],
+  ["macro.html#autotoc_md112","2.1.1 Argument gathering and separation","Macro Expansion","a(5,6)[7,8] = foo{t1, t2}(9, b[10,11])"],
+  ["macro.html#autotoc_md113","2.1.2 Line breaks and continuations in macro invocations (free-form)","Macro Expansion","This subsection describes the handling of line continuations during argument gathering within function-like macro invocations in free source form."],
+  ["macro.html#autotoc_md113","2.1.2 Line breaks and continuations in macro invocations (free-form)","Macro Expansion","Code Description"],
+  ["macro.html#autotoc_md113","2.1.2 Line breaks and continuations in macro invocations (free-form)","Macro Expansion","lb01 An invocation of a function-like macro can be continued across multiple lines. An invocation that begins with an open parenthesis ( continues until the matching closing parenthesis ) is found (outside of a comment)."],
+  ["macro.html#autotoc_md113","2.1.2 Line breaks and continuations in macro invocations (free-form)","Macro Expansion","lb03 Comment lines within the argument list of an invocation of a function-like macro are discarded (section 2.1.4)."],
+  ["macro.html#autotoc_md113","2.1.2 Line breaks and continuations in macro invocations (free-form)","Macro Expansion","lb05 A newline character appearing within the argument list is treated as a blank character, except where rule lb07 applies."],
+  ["macro.html#autotoc_md113","2.1.2 Line breaks and continuations in macro invocations (free-form)","Macro Expansion","lb07 Fortran-style continuation markers are required when the argument list spans multiple source fragment lines. An ampersand & which is the last non-whitespace character (after the removal of comments) preceding a newline character is removed, and all subsequent characters up to and including the newline are removed. If the first non-whitespace character on a continuation line is an ampersand &, all characters up to and including the leading ampersand & are removed."],
+  ["macro.html#autotoc_md113","2.1.2 Line breaks and continuations in macro invocations (free-form)","Macro Expansion","EXAMPLE lbe01:"],
+  ["macro.html#autotoc_md113","2.1.2 Line breaks and continuations in macro invocations (free-form)","Macro Expansion","If MAC is a function-like macro which accepts three arguments, then the following lines:"],
+  ["macro.html#autotoc_md113","2.1.2 Line breaks and continuations in macro invocations (free-form)","Macro Expansion","mac(a, b, c) mac(q,r s, t)"],
+  ["macro.html#autotoc_md113","2.1.2 Line breaks and continuations in macro invocations (free-form)","Macro Expansion","have a processor-dependent interpretation."],
+  ["macro.html#autotoc_md113","2.1.2 Line breaks and continuations in macro invocations (free-form)","Macro Expansion","If MAC is a function-like macro which accepts three arguments, then the following lines:"],
+  ["macro.html#autotoc_md113","2.1.2 Line breaks and continuations in macro invocations (free-form)","Macro Expansion","mac(a, & b, & & c) mac(d, & e & &f, g) mac(h, & i& &j, k) mac(l, m& n& &o, p) ..."],
+  ["macro.html#autotoc_md113","2.1.2 Line breaks and continuations in macro invocations (free-form)","Macro Expansion","are equivalent to:"],
+  ["macro.html#autotoc_md113","2.1.2 Line breaks and continuations in macro invocations (free-form)","Macro Expansion","mac(a,b,c) mac(d,e f,g) mac(h,ij,k) mac(l,m no,p)"],
+  ["macro.html#autotoc_md113","2.1.2 Line breaks and continuations in macro invocations (free-form)","Macro Expansion","where all line continuations and extraneous blank characters have been removed."],
+  ["macro.html#autotoc_md114","2.1.3 Line breaks and continuations in macro invocations (fixed-form)","Macro Expansion","Warning"],
+  ["macro.html#autotoc_md114","2.1.3 Line breaks and continuations in macro invocations (fixed-form)","Macro Expansion","J3 recommends against specifying preprocessing for fixed source form."],
+  ["macro.html#autotoc_md114","2.1.3 Line breaks and continuations in macro invocations (fixed-form)","Macro Expansion","This subsection describes the handling of line continuations during argument gathering within function-like macro invocations in fixed source form."],
+  ["macro.html#autotoc_md114","2.1.3 Line breaks and continuations in macro invocations (fixed-form)","Macro Expansion","Code Description"],
+  ["macro.html#autotoc_md114","2.1.3 Line breaks and continuations in macro invocations (fixed-form)","Macro Expansion","lc01 An invocation of a function-like macro can be continued across multiple lines. An invocation that begins with an open parenthesis ( continues until the matching closing parenthesis ) is found (outside of a comment)."],
+  ["macro.html#autotoc_md114","2.1.3 Line breaks and continuations in macro invocations (fixed-form)","Macro Expansion","lc03 Comment lines within the argument list of an invocation of a function-like macro are discarded (section 2.1.4)."],
+  ["macro.html#autotoc_md114","2.1.3 Line breaks and continuations in macro invocations (fixed-form)","Macro Expansion","lc07 If character position 6 of a source fragment line contains any character other than a blank or zero, then any trailing blank characters of the continued line are removed along with the newline."],
+  ["macro.html#autotoc_md114","2.1.3 Line breaks and continuations in macro invocations (fixed-form)","Macro Expansion","lc09 On a continuation source fragment line inside the argument list for a function-like macro, character positions 1 to 5 shall be blank."],
+  ["macro.html#autotoc_md114","2.1.3 Line breaks and continuations in macro invocations (fixed-form)","Macro Expansion","EXAMPLE lce01:"],
+  ["macro.html#autotoc_md114","2.1.3 Line breaks and continuations in macro invocations (fixed-form)","Macro Expansion","If MAC is a function-like macro which accepts three arguments, then the following lines:"],
+  ["macro.html#autotoc_md114","2.1.3 Line breaks and continuations in macro invocations (fixed-form)","Macro Expansion","!23456 mac(a, b, c) mac(q,r s, t) ..."],
+  ["macro.html#autotoc_md114","2.1.3 Line breaks and continuations in macro invocations (fixed-form)","Macro Expansion","have a processor-dependent interpretation."],
+  ["macro.html#autotoc_md114","2.1.3 Line breaks and continuations in macro invocations (fixed-form)","Macro Expansion","If MAC is a function-like macro which accepts three arguments, then the following lines:"],
+  ["macro.html#autotoc_md114","2.1.3 Line breaks and continuations in macro invocations (fixed-form)","Macro Expansion","!23456 mac(a, & b, & c) mac(d, & e & f, g) mac(h, & i &j, k) mac(l, m & n &o, p) ..."],
+  ["macro.html#autotoc_md114","2.1.3 Line breaks and continuations in macro invocations (fixed-form)","Macro Expansion","are equivalent to:"],
+  ["macro.html#autotoc_md114","2.1.3 Line breaks and continuations in macro invocations (fixed-form)","Macro Expansion","!23456 mac(a,b,c) mac(d,e f,g) mac(h,ij,k) mac(l,m no,p) ..."],
+  ["macro.html#autotoc_md114","2.1.3 Line breaks and continuations in macro invocations (fixed-form)","Macro Expansion","where all line continuations and extraneous blank characters have been removed."],
+  ["macro.html#autotoc_md115","2.1.4 Comments in macro invocations","Macro Expansion","This subsection details how Fortran-style comments and comment lines appearing within the argument list of a function-like macro invocation are removed during argument gathering and do not become part of the arguments."],
+  ["macro.html#autotoc_md115","2.1.4 Comments in macro invocations","Macro Expansion","Code Description"],
+  ["macro.html#autotoc_md115","2.1.4 Comments in macro invocations","Macro Expansion","cm03 A Fortran comment line encountered during argument gathering, including the newline, is removed."],
+  ["macro.html#autotoc_md115","2.1.4 Comments in macro invocations","Macro Expansion","cm05 During argument gathering, a Fortran-style comment on a source fragment line begins with an exclamation mark '!' and includes all subsequent characters on that line. The entire sequence is removed (not including the newline character)."],
+  ["macro.html#autotoc_md115","2.1.4 Comments in macro invocations","Macro Expansion","cm07 In a source fragment line, the token sequences '/*' and '*/' are not interpreted as bracketing a comment (unlike in directive lines, see 25-142r2 section 2.4). C-style comments are not supported on source fragment lines."],
+  ["macro.html#autotoc_md115","2.1.4 Comments in macro invocations","Macro Expansion","cm09 In a source fragment line, the '//' token is not interpreted as introducing a comment."],
+  ["macro.html#autotoc_md115","2.1.4 Comments in macro invocations","Macro Expansion","cm11 The processing specified in this subsection effectively takes place before line continuation processing (sections 2.1.2 and 2.1.3)."],
+  ["macro.html#autotoc_md115","2.1.4 Comments in macro invocations","Macro Expansion","EXAMPLE cme01:"],
+  ["macro.html#autotoc_md115","2.1.4 Comments in macro invocations","Macro Expansion","Given the macro definition:"],
+  ["macro.html#autotoc_md115","2.1.4 Comments in macro invocations","Macro Expansion","#define ADD(a,b) a+b"],
+  ["macro.html#autotoc_md115","2.1.4 Comments in macro invocations","Macro Expansion","The following invocation in free-form source:"],
+  ["macro.html#autotoc_md115","2.1.4 Comments in macro invocations","Macro Expansion","add(1, & ! first argument is 1 1) ! second argument is 2 ..."],
+  ["macro.html#autotoc_md115","2.1.4 Comments in macro invocations","Macro Expansion","is equivalent to:"],
+  ["macro.html#autotoc_md115","2.1.4 Comments in macro invocations","Macro Expansion","add(1,2) ! second argument is 2"],
+  ["macro.html#autotoc_md115","2.1.4 Comments in macro invocations","Macro Expansion","and is equivalent to:"],
+  ["macro.html#autotoc_md115","2.1.4 Comments in macro invocations","Macro Expansion","1+2 ! second argument is 2"],
+  ["macro.html#autotoc_md115","2.1.4 Comments in macro invocations","Macro Expansion","EXAMPLE cme02: (free-form)"],
+  ["macro.html#autotoc_md115","2.1.4 Comments in macro invocations","Macro Expansion","If MAC is a function-like macro which accepts three arguments, then the following free form source lines:"],
+  ["macro.html#autotoc_md115","2.1.4 Comments in macro invocations","Macro Expansion","mac(d, & ! comment 1 e, & ! comment 2 ! comment line & f) mac(g, & !$foo 1 h, & !$foo 2 i) !$foo 3 mac(j,k& ! comment 1 &l& ! comment 2 ! comment line &m, n) mac(o,p& ! comment 1 &q & ! comment 2 &r,s) mac(t,u&!comment 1 v,&!comment 2 w)"],
+  ["macro.html#autotoc_md115","2.1.4 Comments in macro invocations","Macro Expansion","are equivalent to:"],
+  ["macro.html#autotoc_md115","2.1.4 Comments in macro invocations","Macro Expansion","mac(d,e,f) mac(g,h,i) !$foo 3 mac(j,klm,n) mac(o,pq r,s) mac(t,u v,w)"],
+  ["macro.html#autotoc_md115","2.1.4 Comments in macro invocations","Macro Expansion","where all line continuations and extraneous blank characters have been removed."],
+  ["macro.html#autotoc_md115","2.1.4 Comments in macro invocations","Macro Expansion","EXAMPLE cme03: (fixed-form)"],
+  ["macro.html#autotoc_md115","2.1.4 Comments in macro invocations","Macro Expansion","Warning"],
+  ["macro.html#autotoc_md115","2.1.4 Comments in macro invocations","Macro Expansion","J3 recommends against specifying preprocessing for fixed source form."],
+  ["macro.html#autotoc_md115","2.1.4 Comments in macro invocations","Macro Expansion","If MAC is a function-like macro which accepts three arguments, then the following fixed form source lines:"],
+  ["macro.html#autotoc_md115","2.1.4 Comments in macro invocations","Macro Expansion","!23456 mac(d, ! comment 1 & e, ! comment 2 c comment line & f) mac(g, !$foo 1 & h, !$foo 2 & i) !$foo 3 mac(j,k !comment 1 &l ! comment 2 ! comment line &m, n) mac(o,p ! comment 1 &q! comment 2 & r,s) ..."],
+  ["macro.html#autotoc_md115","2.1.4 Comments in macro invocations","Macro Expansion","are equivalent to:"],
+  ["macro.html#autotoc_md115","2.1.4 Comments in macro invocations","Macro Expansion","!23456 mac(d,e,f) mac(g,h,i) !$foo 3 mac(j,klm,n) mac(o,pq r,s) ..."],
+  ["macro.html#autotoc_md115","2.1.4 Comments in macro invocations","Macro Expansion","where all line continuations and extraneous blank characters have been removed."],
+  ["macro.html#autotoc_md116","2.2 Argument substitution and expansion","Macro Expansion","After the arguments of a function-like macro have been identified, argument substitution is performed. This section details how argument substitution is performed, which may include macro expansion of the argument tokens as a part of substitution."],
+  ["macro.html#autotoc_md117","2.2.1 Macro expansion during argument substitution","Macro Expansion","Code Description"],
+  ["macro.html#autotoc_md117","2.2.1 Macro expansion during argument substitution","Macro Expansion","me01 For each parameter appearing in the replacement list of a function-like macro that is neither preceded by # (section 2.2.2), nor preceded or followed by ## (section 3), nor part of a <va-opt-replacement> (section 2.3.1), the tokens comprising the corresponding argument of an invocation are subjected to complete macro expansion as if they were the only tokens remaining in the file. The result of that expansion is then substituted for the parameter in the replacement list. If the __VA_ARGS__ identifier (section 2.3) appears in the replacement-list, it is treated as if it were a parameter..."],
+  ["macro.html#autotoc_md117","2.2.1 Macro expansion during argument substitution","Macro Expansion","me05 The entire function-like macro invocation, from the identifier to the closing ), is replaced by the tokens from the replacement-list after all substitutions as described in this document."],
+  ["macro.html#autotoc_md117","2.2.1 Macro expansion during argument substitution","Macro Expansion","me07 The resulting tokens are rescanned for the presence of further macro names to be expanded, according to the rules in section 4."],
+  ["macro.html#autotoc_md118","2.2.2 The Stringizing Operator (#)","Macro Expansion","Code Description"],
+  ["macro.html#autotoc_md118","2.2.2 The Stringizing Operator (#)","Macro Expansion","st01 If a parameter in a function-like macro's replacement list is immediately preceded by a # token, the # and the parameter are replaced by a single character literal containing the preprocessing tokens of the corresponding argument (which are not expanded, see me01)."],
+  ["macro.html#autotoc_md118","2.2.2 The Stringizing Operator (#)","Macro Expansion","st02 (C2023 6.10.5.2-3) Let the \"stringizing argument\" be the preprocessing token sequence for the corresponding argument with placemarker tokens removed. Each occurrence of white space between the stringizing argument's preprocessing tokens becomes a single space character in the character string literal. White space before the first preprocessing token and after the last preprocessing token composing the stringizing argument is deleted. Otherwise, the original spelling of each preprocessing token in the stringizing argument is retained in the character string literal, except for special..."],
+  ["macro.html#autotoc_md118","2.2.2 The Stringizing Operator (#)","Macro Expansion","st03 Each double quote character (\") within the stringizing argument is replaced by a pair of double quote characters (\"\"). The resulting sequence of characters is then enclosed in double quotes to form the character literal."],
+  ["macro.html#autotoc_md118","2.2.2 The Stringizing Operator (#)","Macro Expansion","EXAMPLE ste01:"],
+  ["macro.html#autotoc_md118","2.2.2 The Stringizing Operator (#)","Macro Expansion","Given the macro definitions:"],
+  ["macro.html#autotoc_md118","2.2.2 The Stringizing Operator (#)","Macro Expansion","#define fox rabbit #define STR(x) #x"],
+  ["macro.html#autotoc_md118","2.2.2 The Stringizing Operator (#)","Macro Expansion","The invocation:"],
+  ["macro.html#autotoc_md118","2.2.2 The Stringizing Operator (#)","Macro Expansion","str( the \"quick\" brown fox )"],
+  ["macro.html#autotoc_md118","2.2.2 The Stringizing Operator (#)","Macro Expansion","is equivalent to:"],
+  ["macro.html#autotoc_md118","2.2.2 The Stringizing Operator (#)","Macro Expansion","\"The \"\"quick\"\" brown fox\""],
+  ["macro.html#autotoc_md119","2.3 Variadic Macros","Macro Expansion","Code Description"],
+  ["macro.html#autotoc_md119","2.3 Variadic Macros","Macro Expansion","vm01 A function-like macro can be defined to accept a variable number of arguments by specifying an ellipsis '...' as its final parameter (25-142r2 section 3.2). Such a macro is a \"variadic\" macro."],
+  ["macro.html#autotoc_md119","2.3 Variadic Macros","Macro Expansion","vm03 The special identifier __VA_ARGS__ may only appear in the replacement list of a variadic macro."],
+  ["macro.html#autotoc_md119","2.3 Variadic Macros","Macro Expansion","vm05 During expansion of a variadic macro, the variable arguments list is merged by inserting commas between the elements of the list. An identifier __VA_ARGS__ in the replacement list is treated as a parameter and the merged variable arguments are the corresponding argument which is then substituted according to rule me01. If the variable arguments list is empty or if the substitution of the merged variable arguments results in no tokens, then the __VA_ARGS__ identifier in the replacement-list is replaced by a placemarker token (section 3)."],
+  ["macro.html#autotoc_md119","2.3 Variadic Macros","Macro Expansion","EXAMPLE vme01:"],
+  ["macro.html#autotoc_md119","2.3 Variadic Macros","Macro Expansion","Given the macro definitions:"],
+  ["macro.html#autotoc_md119","2.3 Variadic Macros","Macro Expansion","#define LOG(p, ...) call log_message(p, __VA_ARGS__) #define WARN(...) call log_message(\"WARNING\", __VA_ARGS__)"],
+  ["macro.html#autotoc_md119","2.3 Variadic Macros","Macro Expansion","The invocation:"],
+  ["macro.html#autotoc_md119","2.3 Variadic Macros","Macro Expansion","log(\"Index out of bounds:\", i, j, k )"],
+  ["macro.html#autotoc_md119","2.3 Variadic Macros","Macro Expansion","is equivalent to:"],
+  ["macro.html#autotoc_md119","2.3 Variadic Macros","Macro Expansion","call log_message(\"Index out of bounds:\", i, j, k)"],
+  ["macro.html#autotoc_md119","2.3 Variadic Macros","Macro Expansion","The invocation:"],
+  ["macro.html#autotoc_md119","2.3 Variadic Macros","Macro Expansion","warn(\"Initialization failed\")"],
+  ["macro.html#autotoc_md119","2.3 Variadic Macros","Macro Expansion","is equivalent to:"],
+  ["macro.html#autotoc_md119","2.3 Variadic Macros","Macro Expansion","call log_message(\"WARNING\", \"Initialization failed\")"],
+  ["macro.html#autotoc_md119","2.3 Variadic Macros","Macro Expansion","The invocation:"],
+  ["macro.html#autotoc_md119","2.3 Variadic Macros","Macro Expansion","log(\"Task complete\")"],
+  ["macro.html#autotoc_md119","2.3 Variadic Macros","Macro Expansion","is equivalent to:"],
+  ["macro.html#autotoc_md119","2.3 Variadic Macros","Macro Expansion","call log_message(\"Task complete\", )"],
+  ["macro.html#autotoc_md120","2.3.1 __VA_OPT__","Macro Expansion","Syntax:"],
+  ["macro.html#autotoc_md120","2.3.1 __VA_OPT__","Macro Expansion","<va-opt-replacement> <<is>> `__VA_OPT__` ( <va-opt-arg> )"],
+  ["macro.html#autotoc_md120","2.3.1 __VA_OPT__","Macro Expansion","Code Description"],
+  ["macro.html#autotoc_md120","2.3.1 __VA_OPT__","Macro Expansion","vo01 The special identifier __VA_OPT__ may only appear in the replacement list of a variadic macro, followed by a parenthesized sequence of preprocessing tokens. The sequence of preprocessing tokens within the parentheses is called the <va-opt-arg>. The closing ) is determined by skipping intervening pairs of matching left and right parentheses in its preprocessing tokens."],
+  ["macro.html#autotoc_md120","2.3.1 __VA_OPT__","Macro Expansion","vo03 A <va-opt-arg> shall not contain the identifier __VA_OPT__."],
+  ["macro.html#autotoc_md120","2.3.1 __VA_OPT__","Macro Expansion","vo05 When a variadic function-like macro is being expanded, if the replacement-list contains a <va-opt-replacement>, the following two rules apply."],
+  ["macro.html#autotoc_md120","2.3.1 __VA_OPT__","Macro Expansion","vo07 If the variable arguments list is empty (rule ag13) or if the expansion of the merged variable argument list (rule vm05) results in no tokens, then the <va-opt-replacement> is replaced by a placemarker token (section 3)."],
+  ["macro.html#autotoc_md120","2.3.1 __VA_OPT__","Macro Expansion","vo09 If the expansion of the merged variable argument list (rule vm05) results in a non-empty sequence of tokens, then the <va-opt-replacement> is replaced by the expansion of <va-opt-arg>. Any occurrences of macro parameters including __VA_ARGS__ within the <va-opt-arg> are substituted as specified in rule me01 before that expansion is performed."],
+  ["macro.html#autotoc_md120","2.3.1 __VA_OPT__","Macro Expansion","EXAMPLE voe01:"],
+  ["macro.html#autotoc_md120","2.3.1 __VA_OPT__","Macro Expansion","Given the macro definitions:"],
+  ["macro.html#autotoc_md120","2.3.1 __VA_OPT__","Macro Expansion","#define LOG(msg, ...) call log_message(msg __VA_OPT__(, __VA_ARGS__)) #define NOTHING"],
+  ["macro.html#autotoc_md120","2.3.1 __VA_OPT__","Macro Expansion","The invocation:"],
+  ["macro.html#autotoc_md120","2.3.1 __VA_OPT__","Macro Expansion","log(\"hello\")"],
+  ["macro.html#autotoc_md120","2.3.1 __VA_OPT__","Macro Expansion","is equivalent to:"],
+  ["macro.html#autotoc_md120","2.3.1 __VA_OPT__","Macro Expansion","call log_message(\"hello\" )"],
+  ["macro.html#autotoc_md120","2.3.1 __VA_OPT__","Macro Expansion","The invocation:"],
+  ["macro.html#autotoc_md120","2.3.1 __VA_OPT__","Macro Expansion","log(\"Answer:\", 42)"],
+  ["macro.html#autotoc_md120","2.3.1 __VA_OPT__","Macro Expansion","is equivalent to:"],
+  ["macro.html#autotoc_md120","2.3.1 __VA_OPT__","Macro Expansion","call log_message(\"Answer:\" , 42)"],
+  ["macro.html#autotoc_md120","2.3.1 __VA_OPT__","Macro Expansion","The invocation:"],
+  ["macro.html#autotoc_md120","2.3.1 __VA_OPT__","Macro Expansion","log(\"nothing:\", nothing)"],
+  ["macro.html#autotoc_md120","2.3.1 __VA_OPT__","Macro Expansion","is equivalent to"],
+  ["macro.html#autotoc_md120","2.3.1 __VA_OPT__","Macro Expansion","call log_message(\"nothing:\" )"],
+  ["macro.html#autotoc_md121","3 The Token-Pasting Operator (##)","Macro Expansion","Code Description"],
+  ["macro.html#autotoc_md121","3 The Token-Pasting Operator (##)","Macro Expansion","tp01 If a ## operator appears in the replacement list of an object-like or function-like macro, it concatenates the preceding and following preprocessing tokens to form a single new preprocessing token. Any whitespace surrounding the ## operator is removed. The result of the concatenation must be a valid preprocessing token."],
+  ["macro.html#autotoc_md121","3 The Token-Pasting Operator (##)","Macro Expansion","tp02 Placemarker tokens are handled specially: concatenation of two placemarkers results in a single placemarker token, and concatenation of a placemarker with a non-placemarker token results in the non-placemarker token."],
+  ["macro.html#autotoc_md121","3 The Token-Pasting Operator (##)","Macro Expansion","tp03 If an operand of the ## operator is a macro parameter, the parameter is replaced by the corresponding argument's preprocessing tokens, and the resulting token adjacent to the ## operator becomes its operand. The argument tokens are not macro-expanded before this concatenation (see me01)."],
+  ["macro.html#autotoc_md121","3 The Token-Pasting Operator (##)","Macro Expansion","tp07 The ## operator shall not appear at the beginning or end of a replacement list."],
+  ["macro.html#autotoc_md121","3 The Token-Pasting Operator (##)","Macro Expansion","EXAMPLE tpe01:"],
+  ["macro.html#autotoc_md121","3 The Token-Pasting Operator (##)","Macro Expansion","Given the macro definition:"],
+  ["macro.html#autotoc_md121","3 The Token-Pasting Operator (##)","Macro Expansion","#define MAKE_VAR(type, index) type ## var ## index"],
+  ["macro.html#autotoc_md121","3 The Token-Pasting Operator (##)","Macro Expansion","The invocation:"],
+  ["macro.html#autotoc_md121","3 The Token-Pasting Operator (##)","Macro Expansion","integer :: MAKE_VAR(real, 1)"],
+  ["macro.html#autotoc_md121","3 The Token-Pasting Operator (##)","Macro Expansion","is equivalent to:"],
+  ["macro.html#autotoc_md121","3 The Token-Pasting Operator (##)","Macro Expansion","integer :: realvar1"],
+  ["macro.html#autotoc_md122","4 Rescanning and Recursion Prevention","Macro Expansion","|Code|Description| |:-&mdash;|:&mdash;|| |rs01|After a macro invocation is replaced, all placemarker tokens are removed from the replacement. This removal never pastes adjacent tokens together. The resulting sequence of tokens is rescanned, together with the subsequent tokens in the source file, for more macro names to expand.| |rs03|(C2023 6.10.5.4-2) If the name of the macro being replaced is found during this scan of the replacement list (not including the rest of the source file's preprocessing tokens), it is not replaced. Furthermore, if any nested replacements encounter the name of the..."],
+  ["macro.html#autotoc_md122","4 Rescanning and Recursion Prevention","Macro Expansion","EXAMPLE rse01:"],
+  ["macro.html#autotoc_md122","4 Rescanning and Recursion Prevention","Macro Expansion","Given the macro definitions:"],
+  ["macro.html#autotoc_md122","4 Rescanning and Recursion Prevention","Macro Expansion","#define A A #define B C #define C B"],
+  ["macro.html#autotoc_md122","4 Rescanning and Recursion Prevention","Macro Expansion","The invocations:"],
+  ["macro.html#autotoc_md122","4 Rescanning and Recursion Prevention","Macro Expansion","a b"],
+  ["macro.html#autotoc_md122","4 Rescanning and Recursion Prevention","Macro Expansion","once fully expanded are equivalent to:"],
+  ["macro.html#autotoc_md122","4 Rescanning and Recursion Prevention","Macro Expansion","a b"],
+  ["macro.html#autotoc_md122","4 Rescanning and Recursion Prevention","Macro Expansion","Here A was expanded once, then expansion stopped due to rule rs03. Similarly, B was expanded once to C, then rescanned and expanded back into B, then expansion stopped due to rule rs03."],
+  ["macro.html#autotoc_md122","4 Rescanning and Recursion Prevention","Macro Expansion","EXAMPLE rse02:"],
+  ["macro.html#autotoc_md122","4 Rescanning and Recursion Prevention","Macro Expansion","Given the macro definitions:"],
+  ["macro.html#autotoc_md122","4 Rescanning and Recursion Prevention","Macro Expansion","#define X(a) (a, Y(a)) #define Y(a) (a, X(a))"],
+  ["macro.html#autotoc_md122","4 Rescanning and Recursion Prevention","Macro Expansion","The invocation:"],
+  ["macro.html#autotoc_md122","4 Rescanning and Recursion Prevention","Macro Expansion","x(1)"],
+  ["macro.html#autotoc_md122","4 Rescanning and Recursion Prevention","Macro Expansion","is equivalent to:"],
+  ["macro.html#autotoc_md122","4 Rescanning and Recursion Prevention","Macro Expansion","(1, (1, x(1)))"],
+  ["macro.html#autotoc_md122","4 Rescanning and Recursion Prevention","Macro Expansion","EXAMPLE rse03:"],
+  ["macro.html#autotoc_md122","4 Rescanning and Recursion Prevention","Macro Expansion","Given the macro definition:"],
+  ["macro.html#autotoc_md122","4 Rescanning and Recursion Prevention","Macro Expansion","#define ID(x) x"],
+  ["macro.html#autotoc_md122","4 Rescanning and Recursion Prevention","Macro Expansion","The invocation"],
+  ["macro.html#autotoc_md122","4 Rescanning and Recursion Prevention","Macro Expansion","id(id(1))"],
+  ["macro.html#autotoc_md122","4 Rescanning and Recursion Prevention","Macro Expansion","is equivalent to:"],
+  ["macro.html#autotoc_md122","4 Rescanning and Recursion Prevention","Macro Expansion","EXAMPLE rse05:"],
+  ["macro.html#autotoc_md122","4 Rescanning and Recursion Prevention","Macro Expansion","Given the macro definitions:"],
+  ["macro.html#autotoc_md122","4 Rescanning and Recursion Prevention","Macro Expansion","#define H I #define I(x) J(1)+x(2) #define J H"],
+  ["macro.html#autotoc_md122","4 Rescanning and Recursion Prevention","Macro Expansion","The invocations:"],
+  ["macro.html#autotoc_md122","4 Rescanning and Recursion Prevention","Macro Expansion","h(k) h(h)"],
+  ["macro.html#autotoc_md122","4 Rescanning and Recursion Prevention","Macro Expansion","are equivalent to:"],
+  ["macro.html#autotoc_md122","4 Rescanning and Recursion Prevention","Macro Expansion","i(1)+k(2) i(1)+i(2)"],
+  ["macro.html#autotoc_md123","Appendix A: Divergences from C","Macro Expansion","In most ways, the FPP specified by this document and 25-142r2 adheres to the existing practice established by the C preprocessor over the past several decades. However FPP semantics also deliberately diverge from the analogous behavior of the C preprocessor as specified in C 2023. This non-normative section enumerates such deliberate differences that were discussed in this document, as a reference for readers to assist in comparisons."],
+  ["macro.html#autotoc_md123","Appendix A: Divergences from C","Macro Expansion","For additional differences not discussed within this document, see the corresponding Appendix in 25-142r2."],
+  ["macro.html#autotoc_md123","Appendix A: Divergences from C","Macro Expansion","Differences include:"],
+  ["macro.html#autotoc_md123","Appendix A: Divergences from C","Macro Expansion","Code Description"],
+  ["macro.html#autotoc_md123","Appendix A: Divergences from C","Macro Expansion","dfc40 FPP expands macro invocations inside Fortran comments on Fortran source fragment lines and in Fortran comment lines (rule ge01)."],
+  ["macro.html#autotoc_md123","Appendix A: Divergences from C","Macro Expansion","dfc50 Line continuation semantics within the argument list of function-like macro invocation have been adjusted to allow for Fortran-style line continuation (sections 2.1.2 and 2.1.3)."],
+  ["macro.html#autotoc_md123","Appendix A: Divergences from C","Macro Expansion","dfc60 Fortran-style comments within the argument list of function-like macro invocation are removed during argument gathering (section 2.1.4)."],
+  ["macro.html#autotoc_md123","Appendix A: Divergences from C","Macro Expansion","dfc70 When determining argument boundaries in the invocation of a function-like macro, FPP ignores commas surrounded by matching sets of '[ ]' and '{ }' bracketing characters, in addition to matching sets of ( ) parentheses (rule ag03)."],
+  ["macro.html#autotoc_md123","Appendix A: Divergences from C","Macro Expansion","dfc80 The rules for applying the stringizing operator # have been adjusted to match Fortran character string quoting (rule st03)."],
+  ["macro_8f90.html","macro.f90","macro.f90","Go to the source code of this file."],
+  ["operators_8f90.html","operators.f90","operators.f90","Go to the source code of this file."],
+  ["os_8f90.html","os.f90","os.f90","Go to the source code of this file."],
+  ["pages.html","Documentation","Documentation","Here is a list of all related documentation pages:"],
+  ["pages.html","Documentation","Documentation","[detail level 123]"],
+  ["pages.html","Documentation","Documentation","A bit of History"],
+  ["pages.html","Documentation","Documentation","Basic Usage"],
+  ["pages.html","Documentation","Documentation","Cheatsheet"],
+  ["pages.html","Documentation","Documentation","Tips & Tricks"],
+  ["pages.html","Documentation","Documentation","J3 specifications"],
+  ["pages.html","Documentation","Documentation","Fortran preprocessor requirements"],
+  ["pages.html","Documentation","Documentation","Preprocessor Specifications"],
+  ["pages.html","Documentation","Documentation","Macro Expansion"],
+  ["pages.html","Documentation","Documentation","Search"],
+  ["parser_8f90.html","parser.f90","parser.f90","Go to the source code of this file."],
+  ["path_8f90.html","path.f90","path.f90","Go to the source code of this file."],
+  ["requirements.html","Fortran preprocessor requirements","Fortran preprocessor requirements","(24-114r2)"],
+  ["requirements.html#autotoc_md36","1. Introduction","Fortran preprocessor requirements","From paper 96-063, April 3, 1996 (lightly edited):"],
+  ["requirements.html#autotoc_md36","1. Introduction","Fortran preprocessor requirements","Frequently Fortran programmers need to maintain more than one version of a code, or to run the code in various environments. The easiest solution for the programmer is to keep a single source file that has all the code variations interleaved within it so that any version can be easily extracted. This way, modifications that apply to all versions need only be made once."],
+  ["requirements.html#autotoc_md36","1. Introduction","Fortran preprocessor requirements","Source code preprocessors have long been used to provide these capabilities. They allow the user to insert directive statements within the source code that affect the output of the preprocessor. In general, source code preprocessors permit the user to define special variables and logical constructs that conditionally control which source lines in the file are passed on to the compiler and which lines are skipped over. In addition, the preprocessor's capabilities allow the user to specify how the source code should be changed according to the value of defined string variables and functions."],
+  ["requirements.html#autotoc_md36","1. Introduction","Fortran preprocessor requirements","Historically, the source code preprocessor found in standard C compilers, CPP, has been used to provide Fortran programmers with these capabilities. However, CPP is too closely tied into the C language syntax and source line format to be used without careful scrutiny. The proposed Fortran PreProcessor, FPP, would provide Fortran-specific source code capabilities that C programmers have long grown to expect."],
+  ["requirements.html#autotoc_md36","1. Introduction","Fortran preprocessor requirements","><end of text borrowed from 96-063>"],
+  ["requirements.html#autotoc_md36","1. Introduction","Fortran preprocessor requirements","Existing compiler implementations either use CPP directly, or implement Fortran-oriented semantics of CPP in the processor. For simple use cases, these implementations support similar functionality and behavior."],
+  ["requirements.html#autotoc_md36","1. Introduction","Fortran preprocessor requirements","Many existing Fortran projects make extensive use of C preprocessor directives and macro expansion, despite the lack of an FPP standard. This is usually done to tailor the code to specific environments, such as target compilers or machines."],
+  ["requirements.html#autotoc_md36","1. Introduction","Fortran preprocessor requirements","Unfortunately, more complex use cases fail to be portable between different implementations. This is enough of a problem that WG 5 raised this as the number 2 issue to address in Fortran 202y, behind generics."],
+  ["requirements.html#autotoc_md36","1. Introduction","Fortran preprocessor requirements","This is not a new problem, as evidenced by the J3 discussions from the mid 1990s. The introduction of CoCo in Fortran 95 did not solve the problem, either, because it was not a mandatory part of the standard and because it was not compatible with the preprocessor syntax used by many existing Fortran projects."],
+  ["requirements.html#autotoc_md36","1. Introduction","Fortran preprocessor requirements","This document attempts to define the requirements for a mandatory Fortran preprocessor based on the preprocessor syntax already in common use today. The guiding principle is to promote Fortran program portability by defining consistent syntax and semantics of a useful subset of CPP. Some FPP behavior will be slightly different from CPP, in order to accommodate some Fortran idiosyncrasies."],
+  ["requirements.html#autotoc_md36","1. Introduction","Fortran preprocessor requirements","A major overarching goal of this effort is to standardize de facto current practice for preprocessing in Fortran compilers and code. It is the standard's responsibility to standardize syntax in order to settle minor divergences that have arisen amongst pre-standard FPP implementations, to the detriment of portability for end users."],
+  ["requirements.html#autotoc_md37","2. The basic idea: phases before the \"processor\"","Fortran preprocessor requirements","The preprocessor will be a mandatory part of the language. Any file passed to a processor may contain preprocessor directive lines."],
+  ["requirements.html#autotoc_md37","2. The basic idea: phases before the \"processor\"","Fortran preprocessor requirements","The C standards define eight phases of the compilation process. These phases don't prescribe the details of an implementation, but are useful for defining in focused terms the expected behavior of implementations."],
+  ["requirements.html#autotoc_md37","2. The basic idea: phases before the \"processor\"","Fortran preprocessor requirements","We plan to take a similar approach for defining FPP. This should simplify the explanation of the expected behavior of any given implementation."],
+  ["requirements.html#autotoc_md38","3. FPP Phase 1: Line conjoining","Fortran preprocessor requirements","The C language defines phase 2 as a pass where continuation lines are removed. To simplify the explanation of FPP's preprocessing phase 2, we will define phase 1 to simply remove continuation lines seen in the source file. This will apply to both fixed-form and free-form source Fortran lines and preprocessor directive lines. The output of this phase is a sequence of \"logical lines\", each of which may be up to 1 million characters long. Logical lines are a sequence of strings and comment-strings in the same order as they are encountered in the input stream."],
+  ["requirements.html#autotoc_md39","4. FPP Phase 2: Directive processing","Fortran preprocessor requirements","The directive processing phase is analogous to CPP phase 4. Preprocessor directives are executed. Macros are expanded in non-directive lines (Fortran source lines)."],
+  ["requirements.html#autotoc_md39","4. FPP Phase 2: Directive processing","Fortran preprocessor requirements","The directive language accepted by FPP is based on the syntax of CPP. It has syntax that differs from Fortran, but macros can expand to include arbitrary Fortran tokens. It differs from C and Fortran syntax in the following ways."],
+  ["requirements.html#autotoc_md39","4. FPP Phase 2: Directive processing","Fortran preprocessor requirements","Token recognition:"],
+  ["requirements.html#autotoc_md39","4. FPP Phase 2: Directive processing","Fortran preprocessor requirements","FPP's directives and token recognition are case sensitive."],
+  ["requirements.html#autotoc_md39","4. FPP Phase 2: Directive processing","Fortran preprocessor requirements","FPP treats blanks adjacent to tokens as significant, even in fixed-form source files."],
+  ["requirements.html#autotoc_md39","4. FPP Phase 2: Directive processing","Fortran preprocessor requirements","Line continuation in directives:"],
+  ["requirements.html#autotoc_md39","4. FPP Phase 2: Directive processing","Fortran preprocessor requirements","FPP directive lines accept backslash (\\) for line continuations."],
+  ["requirements.html#autotoc_md39","4. FPP Phase 2: Directive processing","Fortran preprocessor requirements","FPP does not recognize fixed-form (column 6) or free-form (&) continuations on directive lines."],
+  ["requirements.html#autotoc_md39","4. FPP Phase 2: Directive processing","Fortran preprocessor requirements","Comment handling:"],
+  ["requirements.html#autotoc_md39","4. FPP Phase 2: Directive processing","Fortran preprocessor requirements","FPP does not recognize '!' as initiating a comment on directive lines. In #if and #elif directive expressions, '!' is interpreted as the C 'not' operator."],
+  ["requirements.html#autotoc_md39","4. FPP Phase 2: Directive processing","Fortran preprocessor requirements","FPP does not recognize // as initiating a comment on directive lines. // can be used to construct macro definitions that contain Fortran string concatenation."],
+  ["requirements.html#autotoc_md39","4. FPP Phase 2: Directive processing","Fortran preprocessor requirements","FPP recognizes /* ... */ C-style comments on directive lines. /* ... */ comments are not recognized in (non-directive) Fortran source lines."],
+  ["requirements.html#autotoc_md39","4. FPP Phase 2: Directive processing","Fortran preprocessor requirements","On (non-directive) Fortran source lines, macros are expanded within all Fortran-style comment lines (i.e., as defined by clauses 6.3.2.3 and 6.3.3.2 in the Fortran 2023 interpretation document). This notably implies macro expansion within processor- specific \"directive-style\" comment lines (such as '!$omp', or '!$acc', or others)."],
+  ["requirements.html#autotoc_md39","4. FPP Phase 2: Directive processing","Fortran preprocessor requirements","Constant expressions in #if and #elif:"],
+  ["requirements.html#autotoc_md39","4. FPP Phase 2: Directive processing","Fortran preprocessor requirements","Expressions in #if and #elif directives allow most operators from CPP (see section 4.3 below)."],
+  ["requirements.html#autotoc_md39","4. FPP Phase 2: Directive processing","Fortran preprocessor requirements","Expressions in #if and #elif directives must be integer constant expressions as specified for CPP and evaluate to INTEGER values. As in CPP, zero values are treated as false. Non-zero values are treated as true."],
+  ["requirements.html#autotoc_md39","4. FPP Phase 2: Directive processing","Fortran preprocessor requirements","Any undefined identifiers that remain after macro expansion (including those lexically identical to keywords or intrinsics) are treated as zero, as in CPP."],
+  ["requirements.html#autotoc_md39","4. FPP Phase 2: Directive processing","Fortran preprocessor requirements","C character constants (such as A , \\n) are treated as integer values, as they are in CPP."],
+  ["requirements.html#autotoc_md39","4. FPP Phase 2: Directive processing","Fortran preprocessor requirements","There are no KIND specifiers on integer constants in the preprocessor."],
+  ["requirements.html#autotoc_md39","4. FPP Phase 2: Directive processing","Fortran preprocessor requirements","Integer expressions in preprocessor directives are evaluated using the integer kind that has the largest decimal exponent range supported by the processor."],
+  ["requirements.html#autotoc_md40","4.1 Directives accepted by the preprocessor","Fortran preprocessor requirements","The following preprocessor directives will have the same semantics as defined in the C23 edition of the C programming language standard."],
+  ["requirements.html#autotoc_md40","4.1 Directives accepted by the preprocessor","Fortran preprocessor requirements","#line"],
+  ["requirements.html#autotoc_md40","4.1 Directives accepted by the preprocessor","Fortran preprocessor requirements","#define including function-like macros and those that use the ellipsis notation in the parameters"],
+  ["requirements.html#autotoc_md40","4.1 Directives accepted by the preprocessor","Fortran preprocessor requirements","#undef"],
+  ["requirements.html#autotoc_md40","4.1 Directives accepted by the preprocessor","Fortran preprocessor requirements","#if, #elif, #else, #endif"],
+  ["requirements.html#autotoc_md40","4.1 Directives accepted by the preprocessor","Fortran preprocessor requirements","#ifdef, #ifndef, #elifdef, #elifndef"],
+  ["requirements.html#autotoc_md40","4.1 Directives accepted by the preprocessor","Fortran preprocessor requirements","#include"],
+  ["requirements.html#autotoc_md40","4.1 Directives accepted by the preprocessor","Fortran preprocessor requirements","#error"],
+  ["requirements.html#autotoc_md40","4.1 Directives accepted by the preprocessor","Fortran preprocessor requirements","#warning"],
+  ["requirements.html#autotoc_md40","4.1 Directives accepted by the preprocessor","Fortran preprocessor requirements","#pragma"],
+  ["requirements.html#autotoc_md40","4.1 Directives accepted by the preprocessor","Fortran preprocessor requirements","Just as #include lines interpolate the source from other files, the preprocessor will include the text from Fortran INCLUDE lines. Text interpolated by INCLUDE lines will be treated as if it had been included via #include."],
+  ["requirements.html#autotoc_md41","4.2 Tokens recognized in define directives","Fortran preprocessor requirements","The following tokens are recognized in the replacement-list of a #define directive and handled by the preprocessor during expansion:"],
+  ["requirements.html#autotoc_md41","4.2 Tokens recognized in define directives","Fortran preprocessor requirements","# (stringify operator)"],
+  ["requirements.html#autotoc_md41","4.2 Tokens recognized in define directives","Fortran preprocessor requirements","## (token concatenation operator)"],
+  ["requirements.html#autotoc_md41","4.2 Tokens recognized in define directives","Fortran preprocessor requirements","Any previously #defined macro name"],
+  ["requirements.html#autotoc_md41","4.2 Tokens recognized in define directives","Fortran preprocessor requirements","Any argument name in a function-like macro"],
+  ["requirements.html#autotoc_md41","4.2 Tokens recognized in define directives","Fortran preprocessor requirements","__VA_ARGS__ in the replacement-list of a function-like macro that uses the ellipsis notation in the parameters."],
+  ["requirements.html#autotoc_md41","4.2 Tokens recognized in define directives","Fortran preprocessor requirements","__VA_OPT__ in the replacement-list of a function-like macro that use the ellipsis notation in the parameters."],
+  ["requirements.html#autotoc_md41","4.2 Tokens recognized in define directives","Fortran preprocessor requirements","Any other text in the replacement-list is preserved unchanged during macro expansion, and may for example include any tokens valid in Fortran or C."],
+  ["requirements.html#autotoc_md42","4.3 Operators accepted in if and elif expressions","Fortran preprocessor requirements","The \"defined\" operator"],
+  ["requirements.html#autotoc_md42","4.3 Operators accepted in if and elif expressions","Fortran preprocessor requirements","From C:"],
+  ["requirements.html#autotoc_md42","4.3 Operators accepted in if and elif expressions","Fortran preprocessor requirements","&&, ||, ! (logical operators)"],
+  ["requirements.html#autotoc_md42","4.3 Operators accepted in if and elif expressions","Fortran preprocessor requirements","==, !=, <, >, <=, >= (equality- and relational-expression)"],
+  ["requirements.html#autotoc_md42","4.3 Operators accepted in if and elif expressions","Fortran preprocessor requirements","+, - (additive-expression, also unary forms)"],
+  ["requirements.html#autotoc_md42","4.3 Operators accepted in if and elif expressions","Fortran preprocessor requirements","*, /, % (multiplicative-expression)"],
+  ["requirements.html#autotoc_md42","4.3 Operators accepted in if and elif expressions","Fortran preprocessor requirements","&, |, ^, ~, <<, >> (bitwise operators)"],
+  ["requirements.html#autotoc_md42","4.3 Operators accepted in if and elif expressions","Fortran preprocessor requirements","? : (conditional-expression)"],
+  ["requirements.html#autotoc_md42","4.3 Operators accepted in if and elif expressions","Fortran preprocessor requirements","(, ) (parenthetical grouping)"],
+  ["requirements.html#autotoc_md42","4.3 Operators accepted in if and elif expressions","Fortran preprocessor requirements","Earlier revisions of this document considered allowing Fortran syntax in #if and #elif expressions, such as: = /= .AND. .OR. .NOT. .TRUE. .FALSE. but we eventually decided to omit these due to a lack of compelling use cases."],
+  ["requirements.html#autotoc_md43","4.4 Macros defined by the preprocessor","Fortran preprocessor requirements","__LINE__ __FILE__ __DATE__ __TIME__ __STDF__"],
+  ["requirements.html#autotoc_md43","4.4 Macros defined by the preprocessor","Fortran preprocessor requirements","__STDF__ is an analog to __STDC__ in C and __cplusplus in C++. Its primary role is to provide preprocessor-visible and vendor-independent identification of the underlying target language (i.e., \"the processor is Fortran\"), which enables one to write multi-language header files with conditional compilation based on language."],
+  ["requirements.html#autotoc_md44","4.5 Fortran awareness during macro expansion","Fortran preprocessor requirements","Just as CPP does not expand tokens in strings, there are places in Fortran lines that FPP should not recognize or expand tokens."],
+  ["requirements.html#autotoc_md44","4.5 Fortran awareness during macro expansion","Fortran preprocessor requirements","FPP will not expand in fixed-form:"],
+  ["requirements.html#autotoc_md44","4.5 Fortran awareness during macro expansion","Fortran preprocessor requirements","A token \"C\" or \"c\" in column 1."],
+  ["requirements.html#autotoc_md44","4.5 Fortran awareness during macro expansion","Fortran preprocessor requirements","Anything in column 6."],
+  ["requirements.html#autotoc_md44","4.5 Fortran awareness during macro expansion","Fortran preprocessor requirements","FPP will not expand tokens in either fixed- or free-form:"],
+  ["requirements.html#autotoc_md44","4.5 Fortran awareness during macro expansion","Fortran preprocessor requirements","In character literal constants."],
+  ["requirements.html#autotoc_md44","4.5 Fortran awareness during macro expansion","Fortran preprocessor requirements","In character string edit descriptors (quoted character strings)."],
+  ["requirements.html#autotoc_md44","4.5 Fortran awareness during macro expansion","Fortran preprocessor requirements","If alternative syntax for character literal constants is available, FPP will not expand tokens in either fixed- or free-form:"],
+  ["requirements.html#autotoc_md44","4.5 Fortran awareness during macro expansion","Fortran preprocessor requirements","In the alternative syntax for character literal constants."],
+  ["requirements.html#autotoc_md44","4.5 Fortran awareness during macro expansion","Fortran preprocessor requirements","In the alternative syntax for character string edit descriptors."],
+  ["requirements.html#autotoc_md45","4.6 Output of Phase 2","Fortran preprocessor requirements","Similar to phase 1, the output is a sequence of logical lines where the logical lines contain the strings representing the now-preprocessed characters of the input file and comment-strings."],
+  ["specifications.html","Preprocessor Specifications","Preprocessor Specifications","(24-142r2)"],
+  ["specifications.html#autotoc_md46","1 Introduction","Preprocessor Specifications","At its meeting Feb 19, 2025, J3 decided to approve requirements for a cpp-like preprocessor for Fortran 202Y (paper 25-114r2)."],
+  ["specifications.html#autotoc_md46","1 Introduction","Preprocessor Specifications","This is the formal specifications document, revised according to the discussion arising from 25-114r2."],
+  ["specifications.html#autotoc_md46","1 Introduction","Preprocessor Specifications","Terminology: For the purpose of this specification, the \"preprocessor\" encompasses all stages of preprocessing of the input text. For didactic purposes, that might include additional phases of \"preprocessing\" that help define the expected priorities of preprocessing behaviors. (In past discussions, these have included line continuation processing, comment handling, and tokenization for the preprocessor.)"],
+  ["specifications.html#autotoc_md48","2.1 Lines","Preprocessor Specifications","Code Description"],
+  ["specifications.html#autotoc_md48","2.1 Lines","Preprocessor Specifications","li00 The Fortran preprocessor recognizes three distinct types of lines: preprocessing directives (and continuation lines thereof), Fortran comment lines, and Fortran source fragments."],
+  ["specifications.html#autotoc_md48","2.1 Lines","Preprocessor Specifications","li11 A line that has a # character as the first non-blank character of the line is a directive line (as required by C 2023 section 6.10.1 paragraph 2), except when otherwise specified by the next two rules."],
+  ["specifications.html#autotoc_md48","2.1 Lines","Preprocessor Specifications","li13 In fixed source form, a # in column 6 of a non-comment line does not introduce a directive line."],
+  ["specifications.html#autotoc_md48","2.1 Lines","Preprocessor Specifications","li15 A preprocessor directive can be continued with a backslash \\ immediately followed by a new-line. The backslash and new-line are deleted, the content of the subsequent line is textually appended to the current directive, and the subsequent line is deleted. This process repeats until the current directive does not end with a backslash \\ immediately followed by a new-line."],
+  ["specifications.html#autotoc_md48","2.1 Lines","Preprocessor Specifications","li17 Preprocessor directive continuation processing described by the prior rule is effectively performed before any other processing of the text in affected lines."],
+  ["specifications.html#autotoc_md48","2.1 Lines","Preprocessor Specifications","li19 The maximum length of a preprocessor directive (including continuation text) is one million characters."],
+  ["specifications.html#autotoc_md48","2.1 Lines","Preprocessor Specifications","li21 A source file that ends with a directive line shall neither end with a \\, nor a \\ followed immediately by a new-line (analogously to C 2023 section 5.1.1.2 bullet 2)."],
+  ["specifications.html#autotoc_md48","2.1 Lines","Preprocessor Specifications","li31 Fortran comment lines are defined as in 25-007 6.3.2.3 and 6.3.3.2."],
+  ["specifications.html#autotoc_md48","2.1 Lines","Preprocessor Specifications","li41 Fortran source fragments are those lines that are neither preprocessor directive lines (or continuations thereof) nor Fortran comment lines."],
+  ["specifications.html#autotoc_md48","2.1 Lines","Preprocessor Specifications","li43 Text on fixed-form Fortran source fragments is ignored beyond column 72."],
+  ["specifications.html#autotoc_md48","2.1 Lines","Preprocessor Specifications","li45 Fortran source fragments may be continued with a continuation (& at the end of a free-form line as specified in Fortran 2023 6.3.2.4, or with a non-blank, non-zero character in column 6 of a fixed-form line as specified in Fortran 2023 6.3.3.3)."],
+  ["specifications.html#autotoc_md48","2.1 Lines","Preprocessor Specifications","Example 1 (free-form):"],
+  ["specifications.html#autotoc_md48","2.1 Lines","Preprocessor Specifications","call subroutine_foo(1, 2, & #ifdef USE_3 3, & #else 666, & #endif .true.)"],
+  ["specifications.html#autotoc_md48","2.1 Lines","Preprocessor Specifications","Example 2 (fixed-form):"],
+  ["specifications.html#autotoc_md48","2.1 Lines","Preprocessor Specifications","call subroutine_foo(1, 2, #ifdef USE_3 1 3, #else 1 666, #endif 2 .true.)"],
+  ["specifications.html#autotoc_md49","2.2 Case sensitivity of identifiers","Preprocessor Specifications","Code Description"],
+  ["specifications.html#autotoc_md49","2.2 Case sensitivity of identifiers","Preprocessor Specifications","cs01 Directive names are case-sensitive and recognized in lower-case."],
+  ["specifications.html#autotoc_md49","2.2 Case sensitivity of identifiers","Preprocessor Specifications","cs03 Macro names and function-like macro argument names are case-sensitive."],
+  ["specifications.html#autotoc_md49","2.2 Case sensitivity of identifiers","Preprocessor Specifications","cs05 Predefined macro names are case-sensitive."],
+  ["specifications.html#autotoc_md50","2.3 Significance of whitespace","Preprocessor Specifications","Code Description"],
+  ["specifications.html#autotoc_md50","2.3 Significance of whitespace","Preprocessor Specifications","ws01 The whitespace characters blank and horizontal tab character may appear on directive lines."],
+  ["specifications.html#autotoc_md50","2.3 Significance of whitespace","Preprocessor Specifications","ws02 Whitespace may appear before or after the '#' character that introduces a directive line."],
+  ["specifications.html#autotoc_md50","2.3 Significance of whitespace","Preprocessor Specifications","ws03 Whitespace characters are significant in determining token boundaries in preprocessor directive lines."],
+  ["specifications.html#autotoc_md50","2.3 Significance of whitespace","Preprocessor Specifications","ws05 Outside of character constants, multiple whitespace characters on a directive line are treated as a single space."],
+  ["specifications.html#autotoc_md50","2.3 Significance of whitespace","Preprocessor Specifications","ws07 Whitespace characters are significant in determining token boundaries for the purposes of recognizing macro names, in both fixed-form and free-form Fortran source fragments."],
+  ["specifications.html#autotoc_md50","2.3 Significance of whitespace","Preprocessor Specifications","ws09 Whitespace characters are significant in determining token boundaries for the purposes of recognizing macro names, in both fixed-form and free-form Fortran comment lines."],
+  ["specifications.html#autotoc_md50","2.3 Significance of whitespace","Preprocessor Specifications","ws11 In fixed-form input, macro names are not recognized as such when spaces are inserted into their invocations."],
+  ["specifications.html#autotoc_md51","2.4 Comments","Preprocessor Specifications","Code Description"],
+  ["specifications.html#autotoc_md51","2.4 Comments","Preprocessor Specifications","co01 Directive lines may contain C-style /* ... */ comments"],
+  ["specifications.html#autotoc_md51","2.4 Comments","Preprocessor Specifications","co05 /* ... */ comments on directive lines shall extend past a new-line only if the line ends in \\ new-line, indicating a continuation line."],
+  ["specifications.html#autotoc_md51","2.4 Comments","Preprocessor Specifications","co07 /* ... */ comments on directive lines are replaced by a single space, as specified in C 2023 section 5.1.1.2 bullet 3."],
+  ["specifications.html#autotoc_md51","2.4 Comments","Preprocessor Specifications","co08 In a directive line, the // token is not interpreted as introducing a C-style comment, and neither the // token nor any subsequent text are removed by the preprocessor."],
+  ["specifications.html#autotoc_md51","2.4 Comments","Preprocessor Specifications","co09 In a directive line, the ! character is not interpreted as introducing a Fortran-style comment, and neither the ! character nor any subsequent text are removed by the preprocessor."],
+  ["specifications.html#autotoc_md51","2.4 Comments","Preprocessor Specifications","co11 Directive lines (by definition) cannot contain Fortran fixed-form C or * style comments."],
+  ["specifications.html#autotoc_md52","2.5 Token lexicon","Preprocessor Specifications","The preprocessor decomposes the source file into preprocessing tokens (see C 2023 section 5.1.1.2 Translation phases)."],
+  ["specifications.html#autotoc_md52","2.5 Token lexicon","Preprocessor Specifications","As such, there is a specific lexicon of tokens recognized by the preprocessor (including unrecognizable tokens)."],
+  ["specifications.html#autotoc_md52","2.5 Token lexicon","Preprocessor Specifications","As in C 2023, these tokens are recognized after any line and comment handling specified in section 2.1 \"Lines\" and section 2.4 \"Comments\" above."],
+  ["specifications.html#autotoc_md52","2.5 Token lexicon","Preprocessor Specifications","We use illustrative syntax to describe the directive specifications, and the translation behavior of the preprocess on Fortran comment lines and Fortran source fragment lines."],
+  ["specifications.html#autotoc_md52","2.5 Token lexicon","Preprocessor Specifications","This illustrative syntax makes use of these \"tokens\"."],
+  ["specifications.html#autotoc_md52","2.5 Token lexicon","Preprocessor Specifications","Further definition of the recognized tokens is deferred to the upcoming preprocessor syntax paper."],
+  ["specifications.html#autotoc_md52","2.5 Token lexicon","Preprocessor Specifications","Code Description"],
+  ["specifications.html#autotoc_md52","2.5 Token lexicon","Preprocessor Specifications","to01 In the definitions of object macros and function-like macros, the replacement list may include any arbitrary sequence of characters that doesn't include a new-line. Once tokenized, this for example may include any tokens allowed in Fortran source fragments, those allowed in C integer expressions, and any additional tokens recognized by the processor."],
+  ["specifications.html#autotoc_md52","2.5 Token lexicon","Preprocessor Specifications","to03 Without naming all the tokens explicitly, they appear in the illustrative syntax in subsequent sections."],
+  ["specifications.html#autotoc_md52","2.5 Token lexicon","Preprocessor Specifications","to09 The preprocessor is line-oriented. To define the end of a logical line (after continuation handling), the 'EOL' token is shown explicitly in the illustrative syntax."],
+  ["specifications.html#autotoc_md52","2.5 Token lexicon","Preprocessor Specifications","to11 The following tokens also appear in the illustrative syntax below."],
+  ["specifications.html#autotoc_md52","2.5 Token lexicon","Preprocessor Specifications","Token name Characters"],
+  ["specifications.html#autotoc_md52","2.5 Token lexicon","Preprocessor Specifications","ID Regex [A-Za-z_][A-Za-z0-9_]*"],
+  ["specifications.html#autotoc_md52","2.5 Token lexicon","Preprocessor Specifications","WHOLE_NUMBER Regex [0-9]+"],
+  ["specifications.html#autotoc_md52","2.5 Token lexicon","Preprocessor Specifications","CHARACTER_STRING Regex [^\"\\\\n]* where \\n represents new-line."],
+  ["specifications.html#autotoc_md52","2.5 Token lexicon","Preprocessor Specifications","EOL The new-line ending a directive line, after continuation processing (see li15)."],
+  ["specifications.html#autotoc_md53","3 #-Directives","Preprocessor Specifications","The following directives are recognized during Fortran preprocessing. Detailed specifications for each directive appear in the subsections below."],
+  ["specifications.html#autotoc_md53","3 #-Directives","Preprocessor Specifications","We use illustrative syntax in the detailed descriptions. Detailed syntax will appear in a paper to be named later."],
+  ["specifications.html#autotoc_md53","3 #-Directives","Preprocessor Specifications","Most directives take a sequence of tokens (as defined in section 2.5 \"Token lexicon\" above). In the detailed descriptions and illustrative syntax below, we denote these as just \"token-list\" or \"replacement-list\"."],
+  ["specifications.html#autotoc_md53","3 #-Directives","Preprocessor Specifications","Code Description"],
+  ["specifications.html#autotoc_md53","3 #-Directives","Preprocessor Specifications","di00 The directives listed in di01-di08 are only recognized as such if the token immediately following the # introducing a directive line exactly matches one of the standard directive names (define, if, pragma, etc.)."],
+  ["specifications.html#autotoc_md53","3 #-Directives","Preprocessor Specifications","di01 The #define object-like macro directive"],
+  ["specifications.html#autotoc_md53","3 #-Directives","Preprocessor Specifications","di02 The #define function-like macro directive"],
+  ["specifications.html#autotoc_md53","3 #-Directives","Preprocessor Specifications","di03 The #undef directive"],
+  ["specifications.html#autotoc_md53","3 #-Directives","Preprocessor Specifications","di04 The #include directive"],
+  ["specifications.html#autotoc_md53","3 #-Directives","Preprocessor Specifications","di05 The #if, #ifdef, #ifndef, #elif, #elifdef, #elifndef, #else, #endif conditional directives"],
+  ["specifications.html#autotoc_md53","3 #-Directives","Preprocessor Specifications","di06 The #error and #warning directives"],
+  ["specifications.html#autotoc_md53","3 #-Directives","Preprocessor Specifications","di07 The #line directive"],
+  ["specifications.html#autotoc_md53","3 #-Directives","Preprocessor Specifications","di08 The #pragma directive"],
+  ["specifications.html#autotoc_md53","3 #-Directives","Preprocessor Specifications","di09 The null directive"],
+  ["specifications.html#autotoc_md53","3 #-Directives","Preprocessor Specifications","di10 The processor-dependent directive"],
+  ["specifications.html#autotoc_md54","3.1 The define object-like macro directive","Preprocessor Specifications","See also the rules for expanding object-like macros in section 4 \"Macro identification and expansion\" below."],
+  ["specifications.html#autotoc_md54","3.1 The define object-like macro directive","Preprocessor Specifications","Example syntax:"],
+  ["specifications.html#autotoc_md54","3.1 The define object-like macro directive","Preprocessor Specifications","#define ID replacement-list EOL"],
+  ["specifications.html#autotoc_md55","3.1.1 Static semantics specifications","Preprocessor Specifications","Code Description"],
+  ["specifications.html#autotoc_md55","3.1.1 Static semantics specifications","Preprocessor Specifications","do02 The replacement-list is a (possibly empty) sequence of tokens."],
+  ["specifications.html#autotoc_md55","3.1.1 Static semantics specifications","Preprocessor Specifications","do04 The identifier ID must be immediately followed by whitespace or EOL."],
+  ["specifications.html#autotoc_md55","3.1.1 Static semantics specifications","Preprocessor Specifications","do06 Whitespace before or after the replacement-list is not considered to be part of the replacement-list."],
+  ["specifications.html#autotoc_md56","3.1.2 Evaluation semantics specifications","Preprocessor Specifications","Code Description"],
+  ["specifications.html#autotoc_md56","3.1.2 Evaluation semantics specifications","Preprocessor Specifications","do20 This #define directive defines an object-like macro named by ID with a replacement list comprised of the tokens specified in the replacement-list."],
+  ["specifications.html#autotoc_md56","3.1.2 Evaluation semantics specifications","Preprocessor Specifications","do22 There is one name space for all macro names."],
+  ["specifications.html#autotoc_md56","3.1.2 Evaluation semantics specifications","Preprocessor Specifications","do24 The #define directive does not scan the replacement-list for macros to expand."],
+  ["specifications.html#autotoc_md56","3.1.2 Evaluation semantics specifications","Preprocessor Specifications","do26 An identifier currently defined as an object-like macro shall not be redefined by another #define preprocessing directive unless the second definition is an object-like macro definition and the two replacement lists are identical (as in C 2023)."],
+  ["specifications.html#autotoc_md56","3.1.2 Evaluation semantics specifications","Preprocessor Specifications","do28 Two replacement lists are identical if and only if the preprocessing tokens in both have the same number, ordering, spelling, and white-space separation, where all white-space separations are considered identical (as in C 2023)."],
+  ["specifications.html#autotoc_md57","3.2 The define function-like macro directive","Preprocessor Specifications","See also the rules for expanding function-like macros in the section 4 \"Macro identification and expansion\" below."],
+  ["specifications.html#autotoc_md57","3.2 The define function-like macro directive","Preprocessor Specifications","Example syntax:"],
+  ["specifications.html#autotoc_md57","3.2 The define function-like macro directive","Preprocessor Specifications","#define ID() replacement-list EOL #define ID(identifier-list) replacement-list EOL #define ID(...) replacement-list EOL #define ID(identifier-list, ...) replacement-list EOL"],
+  ["specifications.html#autotoc_md58","3.2.1 Static semantics specifications","Preprocessor Specifications","Code Description"],
+  ["specifications.html#autotoc_md58","3.2.1 Static semantics specifications","Preprocessor Specifications","df02 The identifier ID must be immediately followed by a left parenthesis ( with no intervening whitespace."],
+  ["specifications.html#autotoc_md58","3.2.1 Static semantics specifications","Preprocessor Specifications","df04 The identifier-list is a comma-separated list of ID tokens."],
+  ["specifications.html#autotoc_md58","3.2.1 Static semantics specifications","Preprocessor Specifications","df06 No identifier may appear more than once in the identifier-list."],
+  ["specifications.html#autotoc_md58","3.2.1 Static semantics specifications","Preprocessor Specifications","df08 The identifier names in the identifier-list define macro \"parameters\" that affect macro expansion of the replacement list. (See section 4 \"Macro identification and expansion\" for the semantics of function-like macro expansion.)"],
+  ["specifications.html#autotoc_md58","3.2.1 Static semantics specifications","Preprocessor Specifications","df10 The replacement-list may be the empty sequence of tokens."],
+  ["specifications.html#autotoc_md58","3.2.1 Static semantics specifications","Preprocessor Specifications","df12 Whitespace before or after the replacement-list is not considered to be part of the replacement-list."],
+  ["specifications.html#autotoc_md58","3.2.1 Static semantics specifications","Preprocessor Specifications","df16 The '...' between the parentheses specifies that the function-like macro may be invoked with a variable number of arguments. (See section 4 \"Macro identification and expansion\" for the semantics of function-like macros with a variable number of arguments.)"],
+  ["specifications.html#autotoc_md59","3.2.2 Evaluation semantics specifications","Preprocessor Specifications","Code Description"],
+  ["specifications.html#autotoc_md59","3.2.2 Evaluation semantics specifications","Preprocessor Specifications","df30 This #define directive defines a function-like macro named by ID with the specified macro parameters and with a replacement list comprised of the tokens specified in the replacement-list."],
+  ["specifications.html#autotoc_md59","3.2.2 Evaluation semantics specifications","Preprocessor Specifications","df32 This #define directive does not scan the replacement-list for macros to expand."],
+  ["specifications.html#autotoc_md59","3.2.2 Evaluation semantics specifications","Preprocessor Specifications","df34 An identifier currently defined as a function-like macro shall not be redefined by another #define preprocessing directive unless the second definition is a function-like macro definition, with the same number and spelling of the parameters, and the two replacement lists are identical (as in C 2023)."],
+  ["specifications.html#autotoc_md60","3.3 The undef directive","Preprocessor Specifications","Example syntax:"],
+  ["specifications.html#autotoc_md60","3.3 The undef directive","Preprocessor Specifications","#undef ID EOL"],
+  ["specifications.html#autotoc_md61","3.3.1 Static semantics specifications","Preprocessor Specifications","Code Description"],
+  ["specifications.html#autotoc_md61","3.3.1 Static semantics specifications","Preprocessor Specifications","ud02 ID shall not be one of the macros defined in section 7 \"Predefined macros\" below."],
+  ["specifications.html#autotoc_md61","3.3.1 Static semantics specifications","Preprocessor Specifications","ud04 The specified identifier may or may not have been defined."],
+  ["specifications.html#autotoc_md62","3.3.2 Evaluation semantics specifications","Preprocessor Specifications","Code Description"],
+  ["specifications.html#autotoc_md62","3.3.2 Evaluation semantics specifications","Preprocessor Specifications","ud20 If no definition exists for the identifier ID, this directive has no effect."],
+  ["specifications.html#autotoc_md62","3.3.2 Evaluation semantics specifications","Preprocessor Specifications","ud22 The definition for the object-like macro or function-like macro named by ID is removed."],
+  ["specifications.html#autotoc_md63","3.4 The include directive","Preprocessor Specifications","Example syntax:"],
+  ["specifications.html#autotoc_md63","3.4 The include directive","Preprocessor Specifications","#include CHARACTER_STRING EOL #include <character-list> EOL #include token-list EOL"],
+  ["specifications.html#autotoc_md64","3.4.1 Static semantics specifications","Preprocessor Specifications","Code Description"],
+  ["specifications.html#autotoc_md64","3.4.1 Static semantics specifications","Preprocessor Specifications","in06 In the second form, the character-list is any sequence of processor-dependent characters except EOL and '>'."],
+  ["specifications.html#autotoc_md64","3.4.1 Static semantics specifications","Preprocessor Specifications","in08 In the third form, the token-list does not match the previous two forms."],
+  ["specifications.html#autotoc_md65","3.4.2 Evaluation semantics specifications","Preprocessor Specifications","Code Description"],
+  ["specifications.html#autotoc_md65","3.4.2 Evaluation semantics specifications","Preprocessor Specifications","in18 In the third form, the token-list is processed as in Fortran source fragments (see section 4 \"Macro identification and expansion\" below). The directive resulting after all replacements shall match one of the previous two forms, and evaluation proceeds as such."],
+  ["specifications.html#autotoc_md65","3.4.2 Evaluation semantics specifications","Preprocessor Specifications","in20 The preprocessor searches in processor-defined places for the file denoted by the CHARACTER_STRING or the character-list."],
+  ["specifications.html#autotoc_md65","3.4.2 Evaluation semantics specifications","Preprocessor Specifications","in22 It is an error if the processor cannot locate the specified file."],
+  ["specifications.html#autotoc_md65","3.4.2 Evaluation semantics specifications","Preprocessor Specifications","in24 If the file is located, the processor replaces the #include directive line with the contents of that file."],
+  ["specifications.html#autotoc_md65","3.4.2 Evaluation semantics specifications","Preprocessor Specifications","in26 A #include directive may appear in an included file, up to a processor-defined nesting limit."],
+  ["specifications.html#autotoc_md65","3.4.2 Evaluation semantics specifications","Preprocessor Specifications","in28 Unlike INCLUDE lines in Fortran 2023 (see 25-007 section 6.4, \"Including source text\"), the #include directive is not prohibited from including the same source file at a deeper level of nesting. See also section 8 \"INCLUDE line processing\"."],
+  ["specifications.html#autotoc_md66","3.5 The if, ifdef, ifndef, elif, elifdef, elifndef, else, endif conditional directives","Preprocessor Specifications","Example syntax (extra spacing for illustration purposes only):"],
+  ["specifications.html#autotoc_md66","3.5 The if, ifdef, ifndef, elif, elifdef, elifndef, else, endif conditional directives","Preprocessor Specifications","General form: <if-head> <if-elif-list> #endif EOL <if-head> <if-elif-list> <if-else> #endif EOL Where: <if-head> is one of: #if token-list EOL <group> #ifdef ID EOL <group> #ifndef ID EOL <group> <if-elif-list> is zero or more of: <if-elif> <if-elif> is one of: #elif token-list EOL <group> #elifdef ID EOL <group> #elifndef ID EOL <group> <if-else> is one of: #else EOL <group> <group> is zero or more of: directive lines Fortran comment lines Fortran source fragment lines"],
+  ["specifications.html#autotoc_md67","3.5.1 Static semantics specifications","Preprocessor Specifications","Code Description"],
+  ["specifications.html#autotoc_md67","3.5.1 Static semantics specifications","Preprocessor Specifications","if05 An <if-head> is comprised of a #if, #ifdef, or #ifndef directive and signals the start of a \"chain\" of conditional directives."],
+  ["specifications.html#autotoc_md67","3.5.1 Static semantics specifications","Preprocessor Specifications","if15 A series of #elif, #elifdef, and #elifndef directives, and the else directive (if present) are part of the same chain of directives introduced by the nearest preceding <if-head>."],
+  ["specifications.html#autotoc_md67","3.5.1 Static semantics specifications","Preprocessor Specifications","if20 A chain of conditional directives ends with the #endif directive."],
+  ["specifications.html#autotoc_md67","3.5.1 Static semantics specifications","Preprocessor Specifications","if25 Within a conditional directive chain, a #if, #ifdef, or #ifndef directive introduces a new chain of conditional directives, at a new nesting level, within the enclosing conditional directive chain."],
+  ["specifications.html#autotoc_md67","3.5.1 Static semantics specifications","Preprocessor Specifications","if30 The conditional directive chains must properly nest, with each nested chain appearing entirely within a single <group> of the enclosing chain."],
+  ["specifications.html#autotoc_md68","3.5.2 Evaluation semantics specifications","Preprocessor Specifications","Code Description"],
+  ["specifications.html#autotoc_md68","3.5.2 Evaluation semantics specifications","Preprocessor Specifications","ix05 The #ifdef and #ifndef directives are evaluated as if they had been written #if defined(ID) and #if !defined(ID) respectively. (For brevity, the descriptions of #ifdef and #ifndef directives below are omitted, and assume this transformation.)"],
+  ["specifications.html#autotoc_md68","3.5.2 Evaluation semantics specifications","Preprocessor Specifications","ix10 The #elifdef and #elifndef directives are evaluated as if they had been written #elif defined(ID) and #elif !defined(ID) respectively. (For brevity, the descriptions below assume this transformation has been made)."],
+  ["specifications.html#autotoc_md68","3.5.2 Evaluation semantics specifications","Preprocessor Specifications","ix12 In the descriptions below, constructs may be \"skipped\". When skipped:"],
+  ["specifications.html#autotoc_md68","3.5.2 Evaluation semantics specifications","Preprocessor Specifications","Conditional directives within the construct are recognized only to maintain proper nesting of conditional directives."],
+  ["specifications.html#autotoc_md68","3.5.2 Evaluation semantics specifications","Preprocessor Specifications","No nested directives in the construct are processed."],
+  ["specifications.html#autotoc_md68","3.5.2 Evaluation semantics specifications","Preprocessor Specifications","No macro expansion takes place in directive lines, Fortran comment lines or Fortran source fragment lines in the construct."],
+  ["specifications.html#autotoc_md68","3.5.2 Evaluation semantics specifications","Preprocessor Specifications","No skipped lines of any kind in the construct are made available to subsequent processing by the processor."],
+  ["specifications.html#autotoc_md68","3.5.2 Evaluation semantics specifications","Preprocessor Specifications","ix14 In the descriptions below, <group> constructs that are not skipped participate in further preprocessing and processing. When participating:"],
+  ["specifications.html#autotoc_md68","3.5.2 Evaluation semantics specifications","Preprocessor Specifications","Macros are expanded in Fortran comment lines and Fortran source fragment lines."],
+  ["specifications.html#autotoc_md68","3.5.2 Evaluation semantics specifications","Preprocessor Specifications","Nested directives in the <group> are processed."],
+  ["specifications.html#autotoc_md68","3.5.2 Evaluation semantics specifications","Preprocessor Specifications","The resulting Fortran comment lines and Fortran source fragment lines are made available for subsequent processing by the processor."],
+  ["specifications.html#autotoc_md68","3.5.2 Evaluation semantics specifications","Preprocessor Specifications","ix15 Before evaluating the token-lists in any <if-head> and <if-elif> constructs that are not skipped, macros in the token-lists are processed as described in section 4 \"Macro identification and expansion\"."],
+  ["specifications.html#autotoc_md68","3.5.2 Evaluation semantics specifications","Preprocessor Specifications","ix20 After expansion, the resulting token list in <if-head> and <if-elif> constructs that are not skipped must comprise a valid integer expression as described in section 5 \"Expressions allowed in `#if` and `#elif` directives\" static semantics. This expression is called the \"controlling expression\" for the directive."],
+  ["specifications.html#autotoc_md68","3.5.2 Evaluation semantics specifications","Preprocessor Specifications","ix25 The values of controlling expressions in <if-head> and <if-elif> constructs are evaluated according to the evaluation semantics described in section 5 \"Expressions allowed in `#if` and `#elif` directives\"."],
+  ["specifications.html#autotoc_md68","3.5.2 Evaluation semantics specifications","Preprocessor Specifications","ix30 If the controlling expression in an <if-head> evaluates to a nonzero value, then the <group> contained within that <if-head> construct participates in further preprocessing, as described above. Subsequent <if-elif> and <if-else> constructs in the same chain are skipped."],
+  ["specifications.html#autotoc_md68","3.5.2 Evaluation semantics specifications","Preprocessor Specifications","ix45 If the controlling expression in an <if-head> construct evaluates to a zero value, then the <group> contained within that <if-head> construct is skipped. Preprocessing continues with any <if-elif> constructs in the same chain, as described below."],
+  ["specifications.html#autotoc_md68","3.5.2 Evaluation semantics specifications","Preprocessor Specifications","ix50 When the controlling expression in an <if-head> construct evaluates to zero, the controlling expressions in each <if-elif> construct in the same chain are evaluated in turn, until one evaluates to a non-zero value. Those <group>s whose controlling expression evaluates to zero are skipped."],
+  ["specifications.html#autotoc_md68","3.5.2 Evaluation semantics specifications","Preprocessor Specifications","ix55 When the controlling expression in an <if-elif> construct evaluates to a nonzero value, the <group> contained within that <if-elif> construct continues to participate in preprocessing. Subsequent <if-elif> constructs and any remaining <if-else> constructs in the same chain are skipped."],
+  ["specifications.html#autotoc_md68","3.5.2 Evaluation semantics specifications","Preprocessor Specifications","ix60 When all controlling expressions in the <if-head> construct and <if-elif> constructs evaluate to a zero value and an <if-else> construct is present in the same chain, the <group> contained in the <if-else> construct continues to participate in preprocessing."],
+  ["specifications.html#autotoc_md68","3.5.2 Evaluation semantics specifications","Preprocessor Specifications","ix65 When all controlling expressions in the <if-head> construct and all <if-elif> constructs evaluate to a zero value and no <if-else> construct is present in the same chain, then all <group>s in these constructs are skipped."],
+  ["specifications.html#autotoc_md69","3.6 The error and warning directives","Preprocessor Specifications","Example syntax:"],
+  ["specifications.html#autotoc_md69","3.6 The error and warning directives","Preprocessor Specifications","#error token-list EOL #warning token-list EOL"],
+  ["specifications.html#autotoc_md69","3.6 The error and warning directives","Preprocessor Specifications","The #error and #warning directives are used to announce user-defined error conditions in the input."],
+  ["specifications.html#autotoc_md71","3.6.2 Evaluation semantics specifications","Preprocessor Specifications","Code Description"],
+  ["specifications.html#autotoc_md71","3.6.2 Evaluation semantics specifications","Preprocessor Specifications","ew02 The token-list is not expanded."],
+  ["specifications.html#autotoc_md71","3.6.2 Evaluation semantics specifications","Preprocessor Specifications","ew04 The processor produces a diagnostic message that includes the token-list."],
+  ["specifications.html#autotoc_md71","3.6.2 Evaluation semantics specifications","Preprocessor Specifications","ew06 The processor shall reject a submitted program if the processor encounters a #error directive during preprocessing."],
+  ["specifications.html#autotoc_md71","3.6.2 Evaluation semantics specifications","Preprocessor Specifications","ew10 Additional behavior is processor-dependent."],
+  ["specifications.html#autotoc_md72","3.7 The line directive","Preprocessor Specifications","Example syntax:"],
+  ["specifications.html#autotoc_md72","3.7 The line directive","Preprocessor Specifications","#line WHOLE_NUMBER EOL #line WHOLE_NUMBER CHARACTER_STRING EOL"],
+  ["specifications.html#autotoc_md73","3.7.1 Static semantics specifications","Preprocessor Specifications","Code Description"],
+  ["specifications.html#autotoc_md73","3.7.1 Static semantics specifications","Preprocessor Specifications","li02 The WHOLE_NUMBER shall not be zero."],
+  ["specifications.html#autotoc_md73","3.7.1 Static semantics specifications","Preprocessor Specifications","li04 The WHOLE_NUMBER shall not exceed 2147483647."],
+  ["specifications.html#autotoc_md74","3.7.2 Evaluation semantics specifications","Preprocessor Specifications","Code Description"],
+  ["specifications.html#autotoc_md74","3.7.2 Evaluation semantics specifications","Preprocessor Specifications","li20 In both forms, the line directive causes the processor to behave as if the following sequence of lines begins with a presumed line number specified by the WHOLE_NUMBER."],
+  ["specifications.html#autotoc_md74","3.7.2 Evaluation semantics specifications","Preprocessor Specifications","li24 In the second form, the line directive causes the processor to change the presumed file name of the source file to be the contents of the CHARACTER_STRING."],
+  ["specifications.html#autotoc_md75","3.8 The pragma directive","Preprocessor Specifications","Example syntax:"],
+  ["specifications.html#autotoc_md75","3.8 The pragma directive","Preprocessor Specifications","#pragma token-list EOL"],
+  ["specifications.html#autotoc_md76","3.8.1 Static semantics specifications","Preprocessor Specifications","Code Description"],
+  ["specifications.html#autotoc_md76","3.8.1 Static semantics specifications","Preprocessor Specifications","pr02 The token-list may not be empty."],
+  ["specifications.html#autotoc_md76","3.8.1 Static semantics specifications","Preprocessor Specifications","pr10 The token-list shall not begin with the identifier 'STDF', either before or after macro expansion."],
+  ["specifications.html#autotoc_md77","3.8.2 Evaluation semantics specifications","Preprocessor Specifications","Code Description"],
+  ["specifications.html#autotoc_md77","3.8.2 Evaluation semantics specifications","Preprocessor Specifications","pr20 The semantics of the token-list are processor-dependent. In particular, it is processor-dependent whether macro expansion is performed on the token-list."],
+  ["specifications.html#autotoc_md77","3.8.2 Evaluation semantics specifications","Preprocessor Specifications","pr22 The #pragma directive causes the processor to behave in a processor-defined manner."],
+  ["specifications.html#autotoc_md77","3.8.2 Evaluation semantics specifications","Preprocessor Specifications","pr24 Any #pragma that is not recognized by the processor is ignored."],
+  ["specifications.html#autotoc_md78","3.9 The null directive","Preprocessor Specifications","Example syntax:"],
+  ["specifications.html#autotoc_md78","3.9 The null directive","Preprocessor Specifications","# EOL"],
+  ["specifications.html#autotoc_md79","3.9.1 Static semantics specifications","Preprocessor Specifications","Code Description"],
+  ["specifications.html#autotoc_md79","3.9.1 Static semantics specifications","Preprocessor Specifications","nu02 The only tokens allowed on a null directive are the # and the end-of-line indicator EOL."],
+  ["specifications.html#autotoc_md80","3.9.2 Evaluation semantics specifications","Preprocessor Specifications","Code Description"],
+  ["specifications.html#autotoc_md80","3.9.2 Evaluation semantics specifications","Preprocessor Specifications","nu10 The null directive has no effect."],
+  ["specifications.html#autotoc_md81","3.10 The processor-dependent directive","Preprocessor Specifications","Example syntax:"],
+  ["specifications.html#autotoc_md81","3.10 The processor-dependent directive","Preprocessor Specifications","# token-list EOL"],
+  ["specifications.html#autotoc_md82","3.10.1 Static semantics specifications","Preprocessor Specifications","Code Description"],
+  ["specifications.html#autotoc_md82","3.10.1 Static semantics specifications","Preprocessor Specifications","nd02 The token-list in a processor-dependent directive may not begin with any of the directive names appearing in the syntax above (define, undef, include, etc.)."],
+  ["specifications.html#autotoc_md83","3.10.2 Evaluation semantics specifications","Preprocessor Specifications","Code Description"],
+  ["specifications.html#autotoc_md83","3.10.2 Evaluation semantics specifications","Preprocessor Specifications","nd20 The result of evaluating a processor-dependent directive is processor-dependent."],
+  ["specifications.html#autotoc_md84","4 Macro identification and expansion","Preprocessor Specifications","Note"],
+  ["specifications.html#autotoc_md84","4 Macro identification and expansion","Preprocessor Specifications","This section is currently incomplete. A self-contained specification for macro identification and expansion will appear in a forthcoming paper."],
+  ["specifications.html#autotoc_md85","4.1 Comparison to macro identification and expansion in CPP","Preprocessor Specifications","We intend for macro identification and expansion to operate almost exactly as specified in C 2023 section 6.10.5, however it will differ in minor ways to accommodate Fortran syntax. The following exceptions have consensus amongst the authors:"],
+  ["specifications.html#autotoc_md85","4.1 Comparison to macro identification and expansion in CPP","Preprocessor Specifications","Code Description"],
+  ["specifications.html#autotoc_md85","4.1 Comparison to macro identification and expansion in CPP","Preprocessor Specifications","me10 When determining argument boundaries in the invocation of a function-like macro, FPP ignores commas surrounded by matching sets of [ ] or (/ /) brackets, in addition to matching sets of ( ) parentheses (as specified in C 2023 section 6.10.5-11)."],
+  ["specifications.html#autotoc_md85","4.1 Comparison to macro identification and expansion in CPP","Preprocessor Specifications","Additional details are still under discussion and will be outlined in a future paper."],
+  ["specifications.html#autotoc_md86","4.2 The identifiers __VA_ARGS__ and __VA_OPT__","Preprocessor Specifications","As specified in C 2023 section 6.10.5.1, see also section 4.1 above."],
+  ["specifications.html#autotoc_md87","4.3 The # and ## operators","Preprocessor Specifications","As specified in C 2023 section 6.10.5.{2,3}, see also section 4.1 above."],
+  ["specifications.html#autotoc_md88","5 Expressions allowed in if and elif directives","Preprocessor Specifications","Code Description"],
+  ["specifications.html#autotoc_md88","5 Expressions allowed in if and elif directives","Preprocessor Specifications","ex05 When evaluating a #if or #elif directive, first every instance of the 'defined ID' or 'defined(ID)' operator is evaluated and replaced with the resulting WHOLE_NUMBER. A 'defined' expression evaluates to 1 if the identifier is currently defined as a macro name (that is, if it is predefined or if it has been the subject of a #define preprocessing directive without an intervening undef directive with the same subject identifier), 0 if it is not."],
+  ["specifications.html#autotoc_md88","5 Expressions allowed in if and elif directives","Preprocessor Specifications","ex10 When evaluating a #if or #elif directive and after 'defined' processing described in ex05, the token-list is then subjected to macro expansion and replacement (see section 4 \"Macro identification and expansion\"). This results in a token-list of the expression to be evaluated."],
+  ["specifications.html#autotoc_md88","5 Expressions allowed in if and elif directives","Preprocessor Specifications","ex12 Since expression evaluation occurs after macro expansion, there will be no object-like macro or function-like macro invocations left to expand. All remaining IDs are replaced with the WHOLE_NUMBER 0."],
+  ["specifications.html#autotoc_md88","5 Expressions allowed in if and elif directives","Preprocessor Specifications","ex15 The resulting list of tokens shall be a valid expression comprised of WHOLE_NUMBERs and operators as described below."],
+  ["specifications.html#autotoc_md88","5 Expressions allowed in if and elif directives","Preprocessor Specifications","ex17 Preprocessing computes the integer value of conditional expressions using the greatest integer range available to the processor to determine the truth or falsity of the controlling expression."],
+  ["specifications.html#autotoc_md88","5 Expressions allowed in if and elif directives","Preprocessor Specifications","ex20 The processor shall reject a program if evaluation of the expression generates a computational error (such as divide by zero)."],
+  ["specifications.html#autotoc_md88","5 Expressions allowed in if and elif directives","Preprocessor Specifications","ex25 When the expression evaluates to zero, the controlling expression will be considered \"false\". If the expression evaluates to any non-zero value, the controlling expression will be considered \"true\"."],
+  ["specifications.html#autotoc_md89","5.1 Operators allowed in controlling expressions","Preprocessor Specifications","Code Description"],
+  ["specifications.html#autotoc_md89","5.1 Operators allowed in controlling expressions","Preprocessor Specifications","op01 To maintain compatibility with the use of C preprocessing directives in many existing Fortran programs, the operators allowed in controlling expressions in if and #elif expressions are a subset of those defined in C 2023 section 6.5 \"Expressions\" and section 6.6 \"Constant expressions\"."],
+  ["specifications.html#autotoc_md89","5.1 Operators allowed in controlling expressions","Preprocessor Specifications","op03 A \"precedence level\" is assigned to each operator that determines how the operators combine with sub-expressions containing other operators at different precedence levels."],
+  ["specifications.html#autotoc_md89","5.1 Operators allowed in controlling expressions","Preprocessor Specifications","op05 An \"associativity\" is assigned to each operator that determines how operators at the same precedence level are combined. \"left\" means the operator binds to the left, \"right\" means the operator binds to the right."],
+  ["specifications.html#autotoc_md89","5.1 Operators allowed in controlling expressions","Preprocessor Specifications","op07 The following table describes the semantics of the allowed operators in controlling expressions. The table is grouped by precedence level, from lowest precedence to highest. We label subexpressions \"e1\", \"e2\", and \"e3\" to aid in describing the evaluation semantics. Unless otherwise specified, all operators evaluate with the same semantics as their Fortran counterparts."],
+  ["specifications.html#autotoc_md89","5.1 Operators allowed in controlling expressions","Preprocessor Specifications","Prec Op Syntax Assoc'y Evaluation Semantics"],
+  ["specifications.html#autotoc_md89","5.1 Operators allowed in controlling expressions","Preprocessor Specifications","low ? : e1 ? e2 : e3 right conditional expression (see op14)"],
+  ["specifications.html#autotoc_md89","5.1 Operators allowed in controlling expressions","Preprocessor Specifications","&#124;&#124; e1 &#124;&#124; e2 left logical OR (see op12)"],
+  ["specifications.html#autotoc_md89","5.1 Operators allowed in controlling expressions","Preprocessor Specifications","&& e1 && e2 left logical AND (see op13)"],
+  ["specifications.html#autotoc_md89","5.1 Operators allowed in controlling expressions","Preprocessor Specifications","&#124; e1 &#124; e2 left Fortran IOR(e1, e2)"],
+  ["specifications.html#autotoc_md89","5.1 Operators allowed in controlling expressions","Preprocessor Specifications","e1 ^ e2 left Fortran IAND(e1, e2)"],
+  ["specifications.html#autotoc_md89","5.1 Operators allowed in controlling expressions","Preprocessor Specifications","& e1 & e2 left Fortran IEOR(e1, e2)"],
+  ["specifications.html#autotoc_md89","5.1 Operators allowed in controlling expressions","Preprocessor Specifications","== e1 == e2 left 1 if e1 == e2, 0 otherwise"],
+  ["specifications.html#autotoc_md89","5.1 Operators allowed in controlling expressions","Preprocessor Specifications","!= e1 != e2 left 1 if e1 /= e2, 0 otherwise"],
+  ["specifications.html#autotoc_md89","5.1 Operators allowed in controlling expressions","Preprocessor Specifications","> e1 > e2 left 1 if e1 > e2, 0 otherwise"],
+  ["specifications.html#autotoc_md89","5.1 Operators allowed in controlling expressions","Preprocessor Specifications",">= e1 >= e2 left 1 if e1 >= e2, 0 otherwise"],
+  ["specifications.html#autotoc_md89","5.1 Operators allowed in controlling expressions","Preprocessor Specifications","< e1 < e2 left 1 if e1 < e2, 0 otherwise"],
+  ["specifications.html#autotoc_md89","5.1 Operators allowed in controlling expressions","Preprocessor Specifications","<= e1 <= e2 left 1 if e1 <= e2, 0 otherwise"],
+  ["specifications.html#autotoc_md89","5.1 Operators allowed in controlling expressions","Preprocessor Specifications","<< e1 << e2 left Fortran SHIFTL(e1, e2)"],
+  ["specifications.html#autotoc_md89","5.1 Operators allowed in controlling expressions","Preprocessor Specifications",">> e1 >> e2 left Fortran SHIFTR(e1, e2)"],
+  ["specifications.html#autotoc_md89","5.1 Operators allowed in controlling expressions","Preprocessor Specifications","+ e1 + e2 left +"],
+  ["specifications.html#autotoc_md89","5.1 Operators allowed in controlling expressions","Preprocessor Specifications","- e1 - e2 left -"],
+  ["specifications.html#autotoc_md89","5.1 Operators allowed in controlling expressions","Preprocessor Specifications","* e1 * e2 left *"],
+  ["specifications.html#autotoc_md89","5.1 Operators allowed in controlling expressions","Preprocessor Specifications","/ e1 / e2 left /"],
+  ["specifications.html#autotoc_md89","5.1 Operators allowed in controlling expressions","Preprocessor Specifications","% e1 % e2 left Fortran MOD(e1, e2)"],
+  ["specifications.html#autotoc_md89","5.1 Operators allowed in controlling expressions","Preprocessor Specifications","unary + + e1 right unary +"],
+  ["specifications.html#autotoc_md89","5.1 Operators allowed in controlling expressions","Preprocessor Specifications","unary - - e1 right unary -"],
+  ["specifications.html#autotoc_md89","5.1 Operators allowed in controlling expressions","Preprocessor Specifications","unary ~ ~ e1 right Fortran NOT(e1)"],
+  ["specifications.html#autotoc_md89","5.1 Operators allowed in controlling expressions","Preprocessor Specifications","unary ! ! e1 right 1 if e1 == 0, 0 otherwise"],
+  ["specifications.html#autotoc_md89","5.1 Operators allowed in controlling expressions","Preprocessor Specifications","high ( e1 ) N/A e1"],
+  ["specifications.html#autotoc_md89","5.1 Operators allowed in controlling expressions","Preprocessor Specifications","Code Description"],
+  ["specifications.html#autotoc_md89","5.1 Operators allowed in controlling expressions","Preprocessor Specifications","op12 The logical OR operator guarantees left-to-right evaluation; if the first operand evaluates to non-zero, the second operand is not evaluated and the resulting value is 1. Otherwise, the second operand is evaluated, and if that evaluation yields 0 the resulting value is 0, otherwise the resulting value is 1."],
+  ["specifications.html#autotoc_md89","5.1 Operators allowed in controlling expressions","Preprocessor Specifications","op13 The logical AND operator guarantees left-to-right evaluation; if the first operand evaluates to 0, the second operand is not evaluated and the resulting value is 0. Otherwise, the second operand is evaluated, and if that evaluation yields 0 the resulting value is 0, otherwise the resulting value is 1."],
+  ["specifications.html#autotoc_md89","5.1 Operators allowed in controlling expressions","Preprocessor Specifications","op14 The conditional expression 'e1 ? e2 : e3' guarantees left-to-right evaluation; if the first operand e1 evaluates to non-zero, then the third operand e3 is not evaluated and the resulting value is the value of evaluating the second operand e2. Otherwise, the second operand e2 is not evaluated and the resulting value is the value of evaluating the third operand e3."],
+  ["specifications.html#autotoc_md90","7 Predefined macros","Preprocessor Specifications","pm00"],
+  ["specifications.html#autotoc_md90","7 Predefined macros","Preprocessor Specifications","Macro names beginning with a leading underscore followed by an uppercase letter or a second underscore are reserved to the processor. If a macro with a reserved name is the subject of a define or undef directive within the program unit, then behavior is processor-dependent."],
+  ["specifications.html#autotoc_md90","7 Predefined macros","Preprocessor Specifications","Note"],
+  ["specifications.html#autotoc_md90","7 Predefined macros","Preprocessor Specifications","Any macro name matching the regular expression /^_[A-Z_][A-Za-z0-9_]*$/ is considered reserved."],
+  ["specifications.html#autotoc_md90","7 Predefined macros","Preprocessor Specifications","pm01 Any macro name predefined by the processor shall begin with a leading underscore followed by an uppercase letter or a second underscore."],
+  ["specifications.html#autotoc_md90","7 Predefined macros","Preprocessor Specifications","pm02 The processor shall not predefine the macro __cplusplus, nor any macro whose name starts with __STDC."],
+  ["specifications.html#autotoc_md90","7 Predefined macros","Preprocessor Specifications","pm03 Unless listed in the following subclauses, the processor shall not predefine any macro whose name starts with __STDF or __stdf."],
+  ["specifications.html#autotoc_md90","7 Predefined macros","Preprocessor Specifications","pm10 The values of the predefined macros listed in the following subclauses (except for __FILE__ and __LINE__) remain constant throughout the program unit."],
+  ["specifications.html#autotoc_md90","7 Predefined macros","Preprocessor Specifications","pm12 The identifier defined shall not be the subject of a define or a #undef preprocessing directive."],
+  ["specifications.html#autotoc_md90","7 Predefined macros","Preprocessor Specifications","pm15 The presumed source file name and line number can be changed by the #line directive."],
+  ["specifications.html#autotoc_md90","7 Predefined macros","Preprocessor Specifications","The following macro names shall be defined by the processor:"],
+  ["specifications.html#autotoc_md91","7.1 __LINE__","Preprocessor Specifications","Code Description"],
+  ["specifications.html#autotoc_md91","7.1 __LINE__","Preprocessor Specifications","pm20 __LINE__ shall be predefined to a WHOLE_NUMBER representing the presumed line number (within the current source file) of the current line."],
+  ["specifications.html#autotoc_md92","7.2 __FILE__","Preprocessor Specifications","Code Description"],
+  ["specifications.html#autotoc_md92","7.2 __FILE__","Preprocessor Specifications","pm30 __FILE__ shall be predefined to a CHARACTER_STRING representing the presumed name of the current source file"],
+  ["specifications.html#autotoc_md93","7.3 __DATE__","Preprocessor Specifications","Code Description"],
+  ["specifications.html#autotoc_md93","7.3 __DATE__","Preprocessor Specifications","pm40 __DATE__ shall be predefined to a CHARACTER_STRING representing the date of translation of the preprocessing program unit"],
+  ["specifications.html#autotoc_md93","7.3 __DATE__","Preprocessor Specifications","pm41 __DATE__ shall be a character literal constant of the form \"Mmm dd yyyy\", where the names of the months are the same as those specified in C 2023 for the asctime function, and the first character of \"dd\" is a space character if the value is less than 10."],
+  ["specifications.html#autotoc_md93","7.3 __DATE__","Preprocessor Specifications","pm42 If the date of translation is not available, a processor-dependent valid date shall be supplied."],
+  ["specifications.html#autotoc_md94","7.4 __TIME__","Preprocessor Specifications","Code Description"],
+  ["specifications.html#autotoc_md94","7.4 __TIME__","Preprocessor Specifications","pm50 __TIME__ shall be predefined to a CHARACTER_STRING representing the time of translation of the preprocessing program unit."],
+  ["specifications.html#autotoc_md94","7.4 __TIME__","Preprocessor Specifications","pm51 __TIME__ shall be a character literal constant of the form \"hh:mm:ss\", where \"hh\" is the hour of the day, \"mm\" is the minutes of the hour, and \"ss\" is the seconds of the minute."],
+  ["specifications.html#autotoc_md94","7.4 __TIME__","Preprocessor Specifications","pm52 If the time of translation is not available, a processor-dependent valid time shall be supplied."],
+  ["specifications.html#autotoc_md95","7.5 __STDF__","Preprocessor Specifications","__STDF__ is an analog to __STDC__ in C and __cplusplus in C++. Its primary role is to provide preprocessor-visible and vendor-independent identification of the underlying target language (i.e., \"the processor is Fortran\"), which enables one to write multi-language header files with conditional compilation based on language."],
+  ["specifications.html#autotoc_md95","7.5 __STDF__","Preprocessor Specifications","Code Description"],
+  ["specifications.html#autotoc_md95","7.5 __STDF__","Preprocessor Specifications","pm61 __STDF__ shall be predefined to the WHOLE_NUMBER 1"],
+  ["specifications.html#autotoc_md96","8 INCLUDE line processing","Preprocessor Specifications","Code Description"],
+  ["specifications.html#autotoc_md96","8 INCLUDE line processing","Preprocessor Specifications","ic01 After macro expansion takes place on a given Fortran source fragment, it may contain a Fortran 'INCLUDE' line. 'INCLUDE' line replacement occurs during preprocessing and is handled analogously to #include directives (as specified in section 3.4 \"The `#include` directive\")."],
+  ["specifications.html#autotoc_md96","8 INCLUDE line processing","Preprocessor Specifications","ic03 The source text included via an 'INCLUDE' line is subject to preprocessing. After the INCLUDE line is replaced with the source text of the included file, preprocessing continues at the first line of the replacement text."],
+  ["specifications.html#autotoc_md96","8 INCLUDE line processing","Preprocessor Specifications","ic07 An 'INCLUDE' line can be generated by macro expansion (unlike #include directives)."],
+  ["specifications.html#autotoc_md96","8 INCLUDE line processing","Preprocessor Specifications","ic10 Included text may contain any source text, including additional 'INCLUDE' lines."],
+  ["specifications.html#autotoc_md96","8 INCLUDE line processing","Preprocessor Specifications","ic11 An 'INCLUDE' line is permitted to directly or indirectly result in the inclusion of the same source text."],
+  ["specifications.html#autotoc_md96","8 INCLUDE line processing","Preprocessor Specifications","ic12 The maximum depth of nesting of any nested INCLUDE lines is processor-dependent (analogously to in26)."],
+  ["specifications.html#autotoc_md97","9 Translation limits","Preprocessor Specifications","To enhance portability of source translated by the Fortran preprocessor, the standard shall specify minimum translation limits for conforming processors, governing various aspects of preprocessing source text. Program units exceeding the specified limits might not be acceptable to all processors."],
+  ["specifications.html#autotoc_md97","9 Translation limits","Preprocessor Specifications","Specific minimum values for the limits will be the subject of a future paper, but are expected to include at least the number of:"],
+  ["specifications.html#autotoc_md97","9 Translation limits","Preprocessor Specifications","Nesting levels of conditional compilation directives"],
+  ["specifications.html#autotoc_md97","9 Translation limits","Preprocessor Specifications","Characters in a macro name"],
+  ["specifications.html#autotoc_md97","9 Translation limits","Preprocessor Specifications","Macro identifiers simultaneously defined in one program unit"],
+  ["specifications.html#autotoc_md97","9 Translation limits","Preprocessor Specifications","Characters in a string literal"],
+  ["specifications.html#autotoc_md97","9 Translation limits","Preprocessor Specifications","Parameters in one function-like macro definition"],
+  ["specifications.html#autotoc_md97","9 Translation limits","Preprocessor Specifications","Arguments in one function-like macro invocation"],
+  ["specifications.html#autotoc_md97","9 Translation limits","Preprocessor Specifications","Nesting levels for #include files"],
+  ["specifications.html#autotoc_md98","Appendix A: Divergences from C","Preprocessor Specifications","In many ways, the FPP specified by this document adheres to the existing practice established by the C preprocessor over the past several decades. However FPP semantics also deliberately diverge from the analogous behavior of the C preprocessor as specified in C 2023. This non-normative section enumerates such deliberate differences, as a reference for readers to assist in comparisons."],
+  ["specifications.html#autotoc_md98","Appendix A: Divergences from C","Preprocessor Specifications","General differences include:"],
+  ["specifications.html#autotoc_md98","Appendix A: Divergences from C","Preprocessor Specifications","Code Description"],
+  ["specifications.html#autotoc_md98","Appendix A: Divergences from C","Preprocessor Specifications","dfc10 FPP does not recognize '//'-style comments on directive lines."],
+  ["specifications.html#autotoc_md98","Appendix A: Divergences from C","Preprocessor Specifications","dfc20 FPP omits the embed directive added in C 2023."],
+  ["specifications.html#autotoc_md98","Appendix A: Divergences from C","Preprocessor Specifications","dfc30 FPP omits (and forbids) many predefined macros whose names begin with __STDC."],
+  ["specifications.html#autotoc_md98","Appendix A: Divergences from C","Preprocessor Specifications","dfc40 FPP expands macro invocations inside Fortran comments on Fortran source fragment lines and in Fortran comment lines."],
+  ["specifications.html#autotoc_md98","Appendix A: Divergences from C","Preprocessor Specifications","dfc60 The token-list in the FPP pragma directive may not be empty."],
+  ["specifications.html#autotoc_md98","Appendix A: Divergences from C","Preprocessor Specifications","Differences in the controlling expression grammar for if and elif directives include:"],
+  ["specifications.html#autotoc_md98","Appendix A: Divergences from C","Preprocessor Specifications","Code Description"],
+  ["specifications.html#autotoc_md98","Appendix A: Divergences from C","Preprocessor Specifications","dfc80 FPP omits the comma operator."],
+  ["specifications.html#autotoc_md98","Appendix A: Divergences from C","Preprocessor Specifications","dfc82 FPP omits character literal constants."],
+  ["specifications.html#autotoc_md98","Appendix A: Divergences from C","Preprocessor Specifications","dfc84 FPP omits the 'true' and 'false' boolean literals added in C 2023."],
+  ["specifications.html#autotoc_md98","Appendix A: Divergences from C","Preprocessor Specifications","dfc86 FPP omits the __has_include expression added in C 2023."],
+  ["specifications.html#autotoc_md98","Appendix A: Divergences from C","Preprocessor Specifications","dfc88 FPP omits the __has_c_attribute expression added in C 2023."],
+  ["specifications.html#autotoc_md98","Appendix A: Divergences from C","Preprocessor Specifications","dfc90 FPP omits the __has_embed expression added in C 2023."],
+  ["specifications.html#autotoc_md98","Appendix A: Divergences from C","Preprocessor Specifications","Differences in macro identification and expansion are currently documented explicitly in section 4.1."],
+  ["string_8f90.html","string.f90","string.f90","Go to the source code of this file."],
+  ["structfpx__conditional_1_1cond__state.html#details","Definition","cond_state","State associated with a single conditional nesting level."],
+  ["structfpx__conditional_1_1cond__state.html#details","Definition","cond_state","Each #if directive pushes one instance of this type onto cond_stack, and the corresponding #endif removes it."],
+  ["structfpx__conditional_1_1cond__state.html#details","Definition","cond_state","The combination of active and has_met implements the standard first-match semantics of conditional preprocessing."],
+  ["structfpx__conditional_1_1cond__state.html#cond_state_constructors","Constructors","cond_state","Constructor"],
+  ["structfpx__conditional_1_1cond__state.html#cond_state_constructors","Constructors","cond_state","type(cond_state) function cond_state(logical active, logical has_met)"],
+  ["structfpx__conditional_1_1cond__state.html#cond_state_constructors","Constructors","cond_state","Parameters"],
+  ["structfpx__conditional_1_1cond__state.html#cond_state_constructors","Constructors","cond_state","[in] active Whether the current branch is active and should emit code."],
+  ["structfpx__conditional_1_1cond__state.html#cond_state_constructors","Constructors","cond_state","[in] has_met Whether a previous branch in the same conditional group has already evaluated to true."],
+  ["structfpx__conditional_1_1cond__state.html#cond_state_constructors","Constructors","cond_state","Returns"],
+  ["structfpx__conditional_1_1cond__state.html#cond_state_constructors","Constructors","cond_state","A newly constructed conditional state object."],
+  ["structfpx__conditional_1_1cond__state.html#cond_state_constructors","Constructors","cond_state","The documentation for this type was generated from the following file:"],
+  ["structfpx__conditional_1_1cond__state.html#cond_state_constructors","Constructors","cond_state","conditional.f90"],
+  ["structfpx__context_1_1context.html#details","Definition","context","Snapshot of a source location within the preprocessing stream."],
+  ["structfpx__context_1_1context.html#details","Definition","context","Instances of this type accompany diagnostics throughout fpx and provide the information required to identify where an event occurred in the original source."],
+  ["structfpx__context_1_1context.html#details","Definition","context","The stored line content is typically displayed alongside highlighted regions when rendering diagnostics."],
+  ["structfpx__context_1_1context.html#context_type_examples","Examples","context","type(context) :: ctx ctx = context('lorem ipsum', 42, 'example.F90')"],
+  ["structfpx__context_1_1context.html#context_type_remarks","Remarks","context","A new context is typically created for each processed source line."],
+  ["structfpx__context_1_1context.html#context_type_remarks","Remarks","context","Entering an #include file naturally creates contexts referring to the included file."],
+  ["structfpx__context_1_1context.html#context_type_remarks","Remarks","context","Context objects are lightweight and inexpensive to copy."],
+  ["structfpx__context_1_1context.html#context_type_remarks","Remarks","context","They form the foundation of fpx's compiler-style diagnostics."],
+  ["structfpx__context_1_1context.html#context_type_constructors","Constructors","context","Initializes a new instance of the context type."],
+  ["structfpx__context_1_1context.html#context_type_constructors","Constructors","context","Constructor"],
+  ["structfpx__context_1_1context.html#context_type_constructors","Constructors","context","type(context) function context(character(*) content, integer line, character(*) path)"],
+  ["structfpx__context_1_1context.html#context_type_constructors","Constructors","context","Parameters"],
+  ["structfpx__context_1_1context.html#context_type_constructors","Constructors","context","[in] content Source line associated with the diagnostic."],
+  ["structfpx__context_1_1context.html#context_type_constructors","Constructors","context","[in] line One-based line number within the source file."],
+  ["structfpx__context_1_1context.html#context_type_constructors","Constructors","context","[in] path Relative or absolute path of the source file."],
+  ["structfpx__context_1_1context.html#context_type_constructors","Constructors","context","Returns"],
+  ["structfpx__context_1_1context.html#context_type_constructors","Constructors","context","Newly constructed context object."],
+  ["structfpx__context_1_1context.html#context_type_constructors","Constructors","context","The documentation for this type was generated from the following file:"],
+  ["structfpx__context_1_1context.html#context_type_constructors","Constructors","context","context.f90"],
+  ["structfpx__date_1_1datetime.html#details","Definition","datetime","Compact representation of date and time Stores all components in minimal integer kinds to reduce memory usage. All fields are public for easy access."],
+  ["structfpx__date_1_1datetime.html#details","Definition","datetime","Constructor interface for datetime type."],
+  ["structfpx__date_1_1datetime.html#details","Definition","datetime","Examples"],
+  ["structfpx__date_1_1datetime.html#details","Definition","datetime","type(datetime) :: bt bt = datetime('2025-08-12 09:30:00') print *, 'build on: ', bt%to_string('ddd-MMM-yyyy')"],
+  ["structfpx__date_1_1datetime.html#datetime_type_remarks","Remarks","datetime","This type intentionally provides only the functionality required by fpx. It is designed to be compact, portable, and efficient rather than serving as a comprehensive date/time framework."],
+  ["structfpx__date_1_1datetime.html#datetime_type_constructors","Constructors","datetime","Initializes a new instance of the datetime class. Two constructor forms are available:"],
+  ["structfpx__date_1_1datetime.html#datetime_type_constructors","Constructors","datetime","Construction from numeric components"],
+  ["structfpx__date_1_1datetime.html#datetime_type_constructors","Constructors","datetime","Construction from a character representation"],
+  ["structfpx__date_1_1datetime.html#datetime_type_constructors","Constructors","datetime","Constructor"],
+  ["structfpx__date_1_1datetime.html#datetime_type_constructors","Constructors","datetime","type(datetime) function datetime(character(*) string, (optional) character(*) fmt)"],
+  ["structfpx__date_1_1datetime.html#datetime_type_constructors","Constructors","datetime","Parameters"],
+  ["structfpx__date_1_1datetime.html#datetime_type_constructors","Constructors","datetime","[in] string date as string"],
+  ["structfpx__date_1_1datetime.html#datetime_type_constructors","Constructors","datetime","[in] fmt (optional) date format"],
+  ["structfpx__date_1_1datetime.html#datetime_type_constructors","Constructors","datetime","Examples"],
+  ["structfpx__date_1_1datetime.html#datetime_type_constructors","Constructors","datetime","type(datetime) :: d d = datetime('2025-08-12 09:30:00')"],
+  ["structfpx__date_1_1datetime.html#datetime_type_constructors","Constructors","datetime","Constructor"],
+  ["structfpx__date_1_1datetime.html#datetime_type_constructors","Constructors","datetime","type(datetime) function datetime((optional) integer year, (optional) integer month, ...)"],
+  ["structfpx__date_1_1datetime.html#datetime_type_constructors","Constructors","datetime","Parameters"],
+  ["structfpx__date_1_1datetime.html#datetime_type_constructors","Constructors","datetime","[in] year (optional)"],
+  ["structfpx__date_1_1datetime.html#datetime_type_constructors","Constructors","datetime","[in] month (optional)"],
+  ["structfpx__date_1_1datetime.html#datetime_type_constructors","Constructors","datetime","[in] day (optional)"],
+  ["structfpx__date_1_1datetime.html#datetime_type_constructors","Constructors","datetime","[in] hour (optional)"],
+  ["structfpx__date_1_1datetime.html#datetime_type_constructors","Constructors","datetime","[in] minute (optional)"],
+  ["structfpx__date_1_1datetime.html#datetime_type_constructors","Constructors","datetime","[in] second (optional)"],
+  ["structfpx__date_1_1datetime.html#datetime_type_constructors","Constructors","datetime","[in] millisecond (optional)"],
+  ["structfpx__date_1_1datetime.html#datetime_type_constructors","Constructors","datetime","Examples"],
+  ["structfpx__date_1_1datetime.html#datetime_type_constructors","Constructors","datetime","type(datetime) :: d d = datetime(1970, 1, 1)"],
+  ["structfpx__date_1_1datetime.html#datetime_type_constructors","Constructors","datetime","Returns"],
+  ["structfpx__date_1_1datetime.html#datetime_type_constructors","Constructors","datetime","The constructed datetime object."],
+  ["structfpx__date_1_1datetime.html#datetime_type_constructors","Constructors","datetime","The documentation for this interface was generated from the following file:"],
+  ["structfpx__date_1_1datetime.html#datetime_type_constructors","Constructors","datetime","date.f90"],
+  ["structfpx__date_1_1datetime.html#a58beb4858dc26b5282bc7ada19ef5be6","parse()","datetime","Parse date/time from string using common formats."],
+  ["structfpx__date_1_1datetime.html#a58beb4858dc26b5282bc7ada19ef5be6","parse()","datetime","Supports ISO, US, and abbreviated month formats. On error, defaults to Unix epoch (1970-01-01 00:00:00) Perform conversion to ISO string"],
+  ["structfpx__date_1_1datetime.html#a58beb4858dc26b5282bc7ada19ef5be6","parse()","datetime","d: Represents the day of the month as a number from 1 through 31."],
+  ["structfpx__date_1_1datetime.html#a58beb4858dc26b5282bc7ada19ef5be6","parse()","datetime","dd: Represents the day of the month as a number from 01 through 31."],
+  ["structfpx__date_1_1datetime.html#a58beb4858dc26b5282bc7ada19ef5be6","parse()","datetime","ddd: Represents the abbreviated name of the day (Mon, Tues, Wed, etc)."],
+  ["structfpx__date_1_1datetime.html#a58beb4858dc26b5282bc7ada19ef5be6","parse()","datetime","dddd: Represents the full name of the day (Monday, Tuesday, etc)."],
+  ["structfpx__date_1_1datetime.html#a58beb4858dc26b5282bc7ada19ef5be6","parse()","datetime","h: 12-hour clock hour (e.g. 4)."],
+  ["structfpx__date_1_1datetime.html#a58beb4858dc26b5282bc7ada19ef5be6","parse()","datetime","hh: 12-hour clock, with a leading 0 (e.g. 06)"],
+  ["structfpx__date_1_1datetime.html#a58beb4858dc26b5282bc7ada19ef5be6","parse()","datetime","H: 24-hour clock hour (e.g. 15)"],
+  ["structfpx__date_1_1datetime.html#a58beb4858dc26b5282bc7ada19ef5be6","parse()","datetime","HH: 24-hour clock hour, with a leading 0 (e.g. 22)"],
+  ["structfpx__date_1_1datetime.html#a58beb4858dc26b5282bc7ada19ef5be6","parse()","datetime","m: Minutes"],
+  ["structfpx__date_1_1datetime.html#a58beb4858dc26b5282bc7ada19ef5be6","parse()","datetime","mm: Minutes with a leading zero"],
+  ["structfpx__date_1_1datetime.html#a58beb4858dc26b5282bc7ada19ef5be6","parse()","datetime","M: Month number(eg.3)"],
+  ["structfpx__date_1_1datetime.html#a58beb4858dc26b5282bc7ada19ef5be6","parse()","datetime","MM: Month number with leading zero(eg.04)"],
+  ["structfpx__date_1_1datetime.html#a58beb4858dc26b5282bc7ada19ef5be6","parse()","datetime","MMM: Abbreviated Month Name (e.g. Dec)"],
+  ["structfpx__date_1_1datetime.html#a58beb4858dc26b5282bc7ada19ef5be6","parse()","datetime","MMMM: Full month name (e.g. December)"],
+  ["structfpx__date_1_1datetime.html#a58beb4858dc26b5282bc7ada19ef5be6","parse()","datetime","s: Seconds"],
+  ["structfpx__date_1_1datetime.html#a58beb4858dc26b5282bc7ada19ef5be6","parse()","datetime","ss: Seconds with leading zero"],
+  ["structfpx__date_1_1datetime.html#a58beb4858dc26b5282bc7ada19ef5be6","parse()","datetime","t: Abbreviated AM / PM (e.g. A or P)"],
+  ["structfpx__date_1_1datetime.html#a58beb4858dc26b5282bc7ada19ef5be6","parse()","datetime","tt: AM / PM (e.g. AM or PM"],
+  ["structfpx__date_1_1datetime.html#a58beb4858dc26b5282bc7ada19ef5be6","parse()","datetime","y: Year, no leading zero (e.g. 2015 would be 15)"],
+  ["structfpx__date_1_1datetime.html#a58beb4858dc26b5282bc7ada19ef5be6","parse()","datetime","yy: Year, leading zero (e.g. 2015 would be 015)"],
+  ["structfpx__date_1_1datetime.html#a58beb4858dc26b5282bc7ada19ef5be6","parse()","datetime","yyy: Year, (e.g. 2015)"],
+  ["structfpx__date_1_1datetime.html#a58beb4858dc26b5282bc7ada19ef5be6","parse()","datetime","yyyy: Year, (e.g. 2015)"],
+  ["structfpx__date_1_1datetime.html#a35ca2e061fb33efea4fe94df04622755","to_string()","datetime","Format datetime as string using flexible format codes Supports many common patterns including those required for __DATE__ and __TIMESTAMP__. Default format: 'yyyy-MM-ddTHH:mm:ss'."],
+  ["structfpx__global_1_1global__settings.html#details","Definition","global_settings","Global preprocessor configuration and shared runtime state."],
+  ["structfpx__global_1_1global__settings.html#details","Definition","global_settings","This type encapsulates all user-configurable options controlling the behaviour of the fpx preprocessor."],
+  ["structfpx__global_1_1global__settings.html#details","Definition","global_settings","A single public instance, global, is provided and used throughout the library. Applications may modify its components before starting preprocessing to customize parsing rules, enable extensions, or predefine symbols."],
+  ["structfpx__global_1_1global__settings.html#global_type_examples","Examples","global_settings","use fpx_global use fpx_macro call add(global%macros, macro('__LFORTRAN__','1')) global%extra_macros = .true. global%support_forloop = .true."],
+  ["structfpx__global_1_1global__settings.html#global_type_examples","Examples","global_settings","fpx_global::global"],
+  ["structfpx__global_1_1global__settings.html#global_type_examples","Examples","global_settings","type(global_settings), public global"],
+  ["structfpx__global_1_1global__settings.html#global_type_examples","Examples","global_settings","Global preprocessor configuration instance."],
+  ["structfpx__global_1_1global__settings.html#global_type_examples","Examples","global_settings","Definition global.f90:192"],
+  ["structfpx__global_1_1global__settings.html#global_type_examples","Examples","global_settings","fpx_macro::add"],
+  ["structfpx__global_1_1global__settings.html#global_type_examples","Examples","global_settings","Append macros to a macro table."],
+  ["structfpx__global_1_1global__settings.html#global_type_examples","Examples","global_settings","Definition macro.f90:175"],
+  ["structfpx__global_1_1global__settings.html#global_type_examples","Examples","global_settings","fpx_macro::macro"],
+  ["structfpx__global_1_1global__settings.html#global_type_examples","Examples","global_settings","Representation of a preprocessor macro."],
+  ["structfpx__global_1_1global__settings.html#global_type_examples","Examples","global_settings","Definition macro.f90:135"],
+  ["structfpx__global_1_1global__settings.html#global_type_remarks","Remarks","global_settings","The settings remain active for the duration of the preprocessing session."],
+  ["structfpx__global_1_1global__settings.html#global_type_remarks","Remarks","global_settings","Components may be modified at any time before calling preprocess."],
+  ["structfpx__global_1_1global__settings.html#global_type_remarks","Remarks","global_settings","The global instance is intended for single-threaded use."],
+  ["structfpx__global_1_1global__settings.html#global_type_remarks","Remarks","global_settings","The documentation for this type was generated from the following file:"],
+  ["structfpx__global_1_1global__settings.html#global_type_remarks","Remarks","global_settings","global.f90"],
+  ["structfpx__graph_1_1digraph.html#details","Definition","digraph","Directed graph supporting efficient cycle detection."],
+  ["structfpx__graph_1_1digraph.html#details","Definition","digraph","Construct a directed graph with a fixed number of vertices."],
+  ["structfpx__graph_1_1digraph.html#details","Definition","digraph","The graph stores a fixed number of vertices identified by integers in the range [1, vertices]."],
+  ["structfpx__graph_1_1digraph.html#details","Definition","digraph","Edges are represented internally using a dense adjacency structure together with per-vertex occupancy counters. This approach avoids repeated allocations and is well suited to the relatively small dependency graphs encountered by fpx."],
+  ["structfpx__graph_1_1digraph.html#digraph_type_examples","Examples","digraph","type(digraph) :: g g = digraph(2) call g%add_edge(1, 2) print *, g%is_circular(1)"],
+  ["structfpx__graph_1_1digraph.html#digraph_type_constructors","Constructors","digraph","Initializes a new directed graph."],
+  ["structfpx__graph_1_1digraph.html#digraph_type_constructors","Constructors","digraph","Constructor"],
+  ["structfpx__graph_1_1digraph.html#digraph_type_constructors","Constructors","digraph","type(digraph) function digraph(integer vertices)"],
+  ["structfpx__graph_1_1digraph.html#digraph_type_constructors","Constructors","digraph","Parameters"],
+  ["structfpx__graph_1_1digraph.html#digraph_type_constructors","Constructors","digraph","[in] vertices Number of vertices in the graph."],
+  ["structfpx__graph_1_1digraph.html#digraph_type_constructors","Constructors","digraph","Returns"],
+  ["structfpx__graph_1_1digraph.html#digraph_type_constructors","Constructors","digraph","A newly constructed directed graph."],
+  ["structfpx__graph_1_1digraph.html#digraph_type_remarks","Remarks","digraph","Vertices are numbered from 1."],
+  ["structfpx__graph_1_1digraph.html#digraph_type_remarks","Remarks","digraph","The number of vertices is fixed after construction."],
+  ["structfpx__graph_1_1digraph.html#digraph_type_remarks","Remarks","digraph","Intended primarily for internal use by the macro expander."],
+  ["structfpx__graph_1_1digraph.html#digraph_type_remarks","Remarks","digraph","Allocates the internal adjacency structures and initializes the graph without any edges."],
+  ["structfpx__graph_1_1digraph.html#digraph_type_remarks","Remarks","digraph","Parameters"],
+  ["structfpx__graph_1_1digraph.html#digraph_type_remarks","Remarks","digraph","[in] vertices Number of vertices."],
+  ["structfpx__graph_1_1digraph.html#digraph_type_remarks","Remarks","digraph","Returns"],
+  ["structfpx__graph_1_1digraph.html#digraph_type_remarks","Remarks","digraph","Newly initialized graph."],
+  ["structfpx__graph_1_1digraph.html#digraph_type_remarks","Remarks","digraph","The documentation for this interface was generated from the following file:"],
+  ["structfpx__graph_1_1digraph.html#digraph_type_remarks","Remarks","digraph","graph.f90"],
+  ["structfpx__graph_1_1digraph.html#a615d7ee7c2b575e92b08b2756b27b89c","add_edge()","digraph","Add a directed edge to the graph."],
+  ["structfpx__graph_1_1digraph.html#a615d7ee7c2b575e92b08b2756b27b89c","add_edge()","digraph","Inserts an edge from source to destination. If either vertex lies outside the valid range, the request is ignored."],
+  ["structfpx__graph_1_1digraph.html#a615d7ee7c2b575e92b08b2756b27b89c","add_edge()","digraph","Parameters"],
+  ["structfpx__graph_1_1digraph.html#a615d7ee7c2b575e92b08b2756b27b89c","add_edge()","digraph","[in,out] this Graph instance."],
+  ["structfpx__graph_1_1digraph.html#a615d7ee7c2b575e92b08b2756b27b89c","add_edge()","digraph","[in] source Source vertex (1-based)."],
+  ["structfpx__graph_1_1digraph.html#a615d7ee7c2b575e92b08b2756b27b89c","add_edge()","digraph","[in] destination Destination vertex (1-based)."],
+  ["structfpx__graph_1_1digraph.html#a615d7ee7c2b575e92b08b2756b27b89c","add_edge()","digraph","[out] overflow Optional flag indicating whether the insertion position was already occupied."],
+  ["structfpx__graph_1_1digraph.html#a615d7ee7c2b575e92b08b2756b27b89c","add_edge()","digraph","Note"],
+  ["structfpx__graph_1_1digraph.html#a615d7ee7c2b575e92b08b2756b27b89c","add_edge()","digraph","Duplicate edges are not explicitly filtered."],
+  ["structfpx__graph_1_1digraph.html#a7a5d26bc74b8ed21492654c3dc826638","is_circular()","digraph","Determine whether a cycle is reachable from a vertex."],
+  ["structfpx__graph_1_1digraph.html#a7a5d26bc74b8ed21492654c3dc826638","is_circular()","digraph","Performs a depth-first traversal starting from start_vertex and detects back edges using a recursion stack."],
+  ["structfpx__graph_1_1digraph.html#a7a5d26bc74b8ed21492654c3dc826638","is_circular()","digraph","Parameters"],
+  ["structfpx__graph_1_1digraph.html#a7a5d26bc74b8ed21492654c3dc826638","is_circular()","digraph","[in] this Graph instance."],
+  ["structfpx__graph_1_1digraph.html#a7a5d26bc74b8ed21492654c3dc826638","is_circular()","digraph","[in] start_vertex Vertex from which the search begins."],
+  ["structfpx__graph_1_1digraph.html#a7a5d26bc74b8ed21492654c3dc826638","is_circular()","digraph","Returns"],
+  ["structfpx__graph_1_1digraph.html#a7a5d26bc74b8ed21492654c3dc826638","is_circular()","digraph",".true. if a cycle exists in the reachable component; .false. otherwise."],
+  ["structfpx__graph_1_1digraph.html#a21cfa48f4b027b2883a80773b871a5df","graph_final()","digraph","final"],
+  ["structfpx__graph_1_1digraph.html#a21cfa48f4b027b2883a80773b871a5df","graph_final()","digraph","Finalizer for the directed graph."],
+  ["structfpx__graph_1_1digraph.html#a21cfa48f4b027b2883a80773b871a5df","graph_final()","digraph","Releases all dynamically allocated storage associated with the graph when it leaves scope."],
+  ["structfpx__logging_1_1diagnostic__report.html#details","Definition","diagnostic_report","Structured compiler diagnostic."],
+  ["structfpx__logging_1_1diagnostic__report.html#details","Definition","diagnostic_report","A diagnostic report consists of:"],
+  ["structfpx__logging_1_1diagnostic__report.html#details","Definition","diagnostic_report","a severity level,"],
+  ["structfpx__logging_1_1diagnostic__report.html#details","Definition","diagnostic_report","a primary message,"],
+  ["structfpx__logging_1_1diagnostic__report.html#details","Definition","diagnostic_report","one or more source labels,"],
+  ["structfpx__logging_1_1diagnostic__report.html#details","Definition","diagnostic_report","optional nested diagnostics."],
+  ["structfpx__logging_1_1diagnostic__report.html#details","Definition","diagnostic_report","Reports can be rendered using the generic interface render(...) to produce human-readable output."],
+  ["structfpx__logging_1_1diagnostic__report.html#details","Definition","diagnostic_report","The documentation for this interface was generated from the following file:"],
+  ["structfpx__logging_1_1diagnostic__report.html#details","Definition","diagnostic_report","logging.f90"],
+  ["structfpx__logging_1_1diagnostic__report.html#ad6eda09d25385e2032adef70a07f9f66","diagnostic_new()","diagnostic_report","Create new diagnostic message."],
+  ["structfpx__logging_1_1diagnostic__report.html#ad6eda09d25385e2032adef70a07f9f66","diagnostic_new()","diagnostic_report","Parameters"],
+  ["structfpx__logging_1_1diagnostic__report.html#ad6eda09d25385e2032adef70a07f9f66","diagnostic_new()","diagnostic_report","[in] level Level of message"],
+  ["structfpx__logging_1_1diagnostic__report.html#ad6eda09d25385e2032adef70a07f9f66","diagnostic_new()","diagnostic_report","[in] message Primary message"],
+  ["structfpx__logging_1_1diagnostic__report.html#ad6eda09d25385e2032adef70a07f9f66","diagnostic_new()","diagnostic_report","[in] source Context of the diagnostic source"],
+  ["structfpx__logging_1_1diagnostic__report.html#ad6eda09d25385e2032adef70a07f9f66","diagnostic_new()","diagnostic_report","[in] label Messages associated with this diagnostic"],
+  ["structfpx__logging_1_1diagnostic__report.html#ad6eda09d25385e2032adef70a07f9f66","diagnostic_new()","diagnostic_report","[in] diagnostic Additional diagnostic information"],
+  ["structfpx__logging_1_1label__type.html#details","Definition","label_type","Diagnostic label identifying a region of source text."],
+  ["structfpx__logging_1_1label__type.html#details","Definition","label_type","A label highlights a specific character range within a source line and may carry an explanatory message. Labels are used to produce compiler-style diagnostics similar to those of rustc or clang."],
+  ["structfpx__logging_1_1label__type.html#details","Definition","label_type","Labels may be primary or secondary:"],
+  ["structfpx__logging_1_1label__type.html#details","Definition","label_type","Primary labels identify the principal cause of the diagnostic."],
+  ["structfpx__logging_1_1label__type.html#details","Definition","label_type","Secondary labels provide additional context."],
+  ["structfpx__logging_1_1label__type.html#details","Definition","label_type","Primary labels determine the source location shown in the diagnostic header and are rendered using '^' markers."],
+  ["structfpx__logging_1_1label__type.html#details","Definition","label_type","Secondary labels are rendered using '-' markers and provide supplementary context."],
+  ["structfpx__logging_1_1label__type.html#details","Definition","label_type","Note"],
+  ["structfpx__logging_1_1label__type.html#details","Definition","label_type","Character positions are 1-based. The highlighted range spans:"],
+  ["structfpx__logging_1_1label__type.html#details","Definition","label_type","first <= position < finish"],
+  ["structfpx__logging_1_1label__type.html#details","Definition","label_type","where finish is exclusive."],
+  ["structfpx__logging_1_1label__type.html#label_type_examples","Examples","label_type","type(string) :: s s = 'foo'"],
+  ["structfpx__logging_1_1label__type.html#label_type_constructor","Constructors","label_type","Initializes a new instance of the label_type class Constructor"],
+  ["structfpx__logging_1_1label__type.html#label_type_constructor","Constructors","label_type","type(label_type) function string(character(*) text, integer first, integer length, (optional) integer level)"],
+  ["structfpx__logging_1_1label__type.html#label_type_constructor","Constructors","label_type","Parameters"],
+  ["structfpx__logging_1_1label__type.html#label_type_constructor","Constructors","label_type","[in] text Text displayed next to the label"],
+  ["structfpx__logging_1_1label__type.html#label_type_constructor","Constructors","label_type","[in] first Position of the label"],
+  ["structfpx__logging_1_1label__type.html#label_type_constructor","Constructors","label_type","[in] length Length of the label"],
+  ["structfpx__logging_1_1label__type.html#label_type_constructor","Constructors","label_type","[in] level (optional) Level of the label"],
+  ["structfpx__logging_1_1label__type.html#label_type_constructor","Constructors","label_type","Examples"],
+  ["structfpx__logging_1_1label__type.html#label_type_constructor","Constructors","label_type","type(label_type) :: label label = label_type('Syntax error', 5, 7)"],
+  ["structfpx__logging_1_1label__type.html#label_type_constructor","Constructors","label_type","Returns"],
+  ["structfpx__logging_1_1label__type.html#label_type_constructor","Constructors","label_type","The constructed label_type object."],
+  ["structfpx__logging_1_1label__type.html#label_type_constructor","Constructors","label_type","Constructor"],
+  ["structfpx__logging_1_1label__type.html#label_type_constructor","Constructors","label_type","type(label_type) function label_type(integer line, character(*) text, integer first, integer length, (optional) integer level, (optional) logical primary)"],
+  ["structfpx__logging_1_1label__type.html#label_type_constructor","Constructors","label_type","Parameters"],
+  ["structfpx__logging_1_1label__type.html#label_type_constructor","Constructors","label_type","[in] line line number for the label"],
+  ["structfpx__logging_1_1label__type.html#label_type_constructor","Constructors","label_type","[in] text Text displayed next to the label"],
+  ["structfpx__logging_1_1label__type.html#label_type_constructor","Constructors","label_type","[in] first Position of the label"],
+  ["structfpx__logging_1_1label__type.html#label_type_constructor","Constructors","label_type","[in] length Length of the label"],
+  ["structfpx__logging_1_1label__type.html#label_type_constructor","Constructors","label_type","[in] level (optional) Level of the label"],
+  ["structfpx__logging_1_1label__type.html#label_type_constructor","Constructors","label_type","[in] primary .true. if the label is the primary one"],
+  ["structfpx__logging_1_1label__type.html#label_type_constructor","Constructors","label_type","Examples"],
+  ["structfpx__logging_1_1label__type.html#label_type_constructor","Constructors","label_type","type(label_type) :: label label = label_type(1, 'Syntax error', 5, 7, level_error, .true.)"],
+  ["structfpx__logging_1_1label__type.html#label_type_constructor","Constructors","label_type","Returns"],
+  ["structfpx__logging_1_1label__type.html#label_type_constructor","Constructors","label_type","The constructed label_type object."],
+  ["structfpx__logging_1_1label__type.html#label_type_constructor","Constructors","label_type","The documentation for this interface was generated from the following file:"],
+  ["structfpx__logging_1_1label__type.html#label_type_constructor","Constructors","label_type","logging.f90"],
+  ["structfpx__macro_1_1macro.html","macro","macro","Inherits string."],
+  ["structfpx__macro_1_1macro.html#details","Definition","macro","Representation of a preprocessor macro."],
+  ["structfpx__macro_1_1macro.html#details","Definition","macro","Construct a new macro definition."],
+  ["structfpx__macro_1_1macro.html#details","Definition","macro","A macro stores its identifier together with the metadata required during expansion:"],
+  ["structfpx__macro_1_1macro.html#details","Definition","macro","replacement text,"],
+  ["structfpx__macro_1_1macro.html#details","Definition","macro","formal parameter list,"],
+  ["structfpx__macro_1_1macro.html#details","Definition","macro","variadic status,"],
+  ["structfpx__macro_1_1macro.html#details","Definition","macro","cycle detection flags,"],
+  ["structfpx__macro_1_1macro.html#details","Definition","macro","temporary activation state."],
+  ["structfpx__macro_1_1macro.html#details","Definition","macro","The type extends string so that the macro name itself behaves as a string value."],
+  ["structfpx__macro_1_1macro.html#macro_type_examples","Examples","macro","Object-like macro:"],
+  ["structfpx__macro_1_1macro.html#macro_type_examples","Examples","macro","type(macro) :: m m = macro('PI', '3.1415926535')"],
+  ["structfpx__macro_1_1macro.html#macro_type_examples","Examples","macro","Function-like macro:"],
+  ["structfpx__macro_1_1macro.html#macro_type_examples","Examples","macro","type(macro) :: m m = macro('SQR(x)', '((x)*(x))')"],
+  ["structfpx__macro_1_1macro.html#macro_type_constructor","Constructors","macro","Initializes a new instance of the Macro Expansion class"],
+  ["structfpx__macro_1_1macro.html#macro_type_constructor","Constructors","macro","Constructor"],
+  ["structfpx__macro_1_1macro.html#macro_type_constructor","Constructors","macro","type(macro) function macro(character(*) name, (optional) character(*) val)"],
+  ["structfpx__macro_1_1macro.html#macro_type_constructor","Constructors","macro","Parameters"],
+  ["structfpx__macro_1_1macro.html#macro_type_constructor","Constructors","macro","[in] name macro name"],
+  ["structfpx__macro_1_1macro.html#macro_type_constructor","Constructors","macro","[in] val"],
+  ["structfpx__macro_1_1macro.html#macro_type_constructor","Constructors","macro","(optional) value of the macro"],
+  ["structfpx__macro_1_1macro.html#macro_type_constructor","Constructors","macro","Examples"],
+  ["structfpx__macro_1_1macro.html#macro_type_constructor","Constructors","macro","type(macro) :: m m = macro('_WIN32')"],
+  ["structfpx__macro_1_1macro.html#macro_type_constructor","Constructors","macro","Returns"],
+  ["structfpx__macro_1_1macro.html#macro_type_constructor","Constructors","macro","The constructed macro object."],
+  ["structfpx__macro_1_1macro.html#macro_type_constructor","Constructors","macro","Creates an initialized Macro Expansion object with the specified name and optional replacement text."],
+  ["structfpx__macro_1_1macro.html#macro_type_constructor","Constructors","macro","Parameter lists are initialized to empty, variadic expansion is disabled, and direct self-references are marked as cyclic."],
+  ["structfpx__macro_1_1macro.html#macro_type_constructor","Constructors","macro","Parameters"],
+  ["structfpx__macro_1_1macro.html#macro_type_constructor","Constructors","macro","[in] name Macro identifier."],
+  ["structfpx__macro_1_1macro.html#macro_type_constructor","Constructors","macro","[in] val Replacement text (default: empty)."],
+  ["structfpx__macro_1_1macro.html#macro_type_constructor","Constructors","macro","Returns"],
+  ["structfpx__macro_1_1macro.html#macro_type_constructor","Constructors","macro","Initialized macro object."],
+  ["structfpx__macro_1_1macro.html#macro_type_constructor","Constructors","macro","The documentation for this interface was generated from the following file:"],
+  ["structfpx__macro_1_1macro.html#macro_type_constructor","Constructors","macro","macro.f90"],
+  ["structfpx__string_1_1string.html","string","string","Inherited by macro."],
+  ["structfpx__string_1_1string.html#details","Definition","string","Represents text as a sequence of ASCII code units. The derived type wraps an allocatable character array."],
+  ["structfpx__string_1_1string.html#string_type_examples","Examples","string","type(string) :: s s = 'foo'"],
+  ["structfpx__string_1_1string.html#string_type_constructor","Constructors","string","Initializes a new instance of the string class"],
+  ["structfpx__string_1_1string.html#string_type_constructor","Constructors","string","string(character(:))"],
+  ["structfpx__string_1_1string.html#string_type_constructor","Constructors","string","type(string) function string(chars)"],
+  ["structfpx__string_1_1string.html#string_type_constructor","Constructors","string","Parameters"],
+  ["structfpx__string_1_1string.html#string_type_constructor","Constructors","string","[in] chars character(:)"],
+  ["structfpx__string_1_1string.html#string_type_constructor","Constructors","string","Examples"],
+  ["structfpx__string_1_1string.html#string_type_constructor","Constructors","string","type(string) :: s s = string('foo')"],
+  ["structfpx__string_1_1string.html#string_type_constructor","Constructors","string","Returns"],
+  ["structfpx__string_1_1string.html#string_type_constructor","Constructors","string","The constructed string object."],
+  ["structfpx__string_1_1string.html#string_type_remarks","Remarks","string","The string implementation proposed here is kept at the bare minimum of what is required by the library. There are many other implementations that can be found."],
+  ["structfpx__string_1_1string.html#string_type_remarks","Remarks","string","The documentation for this type was generated from the following file:"],
+  ["structfpx__string_1_1string.html#string_type_remarks","Remarks","string","string.f90"],
+  ["structfpx__string_1_1string.html#a4a3c3898b4d385097118507fa6fedf74","assignment() [1/2]","string","Assignment overloading. Assign a character array to a string."],
+  ["structfpx__string_1_1string.html#a4a3c3898b4d385097118507fa6fedf74","assignment() [1/2]","string","Parameters"],
+  ["structfpx__string_1_1string.html#a4a3c3898b4d385097118507fa6fedf74","assignment() [1/2]","string","[in,out] lhs string"],
+  ["structfpx__string_1_1string.html#a4a3c3898b4d385097118507fa6fedf74","assignment() [1/2]","string","[in] rhs character(*)"],
+  ["structfpx__string_1_1string.html#a4a3c3898b4d385097118507fa6fedf74","assignment() [1/2]","string","Examples"],
+  ["structfpx__string_1_1string.html#a4a3c3898b4d385097118507fa6fedf74","assignment() [1/2]","string","type(string) :: s s = 'foo'"],
+  ["structfpx__string_1_1string.html#a4a3c3898b4d385097118507fa6fedf74","assignment() [1/2]","string","assignment() [2/2]"],
+  ["structfpx__string_1_1string.html#a4a3c3898b4d385097118507fa6fedf74","assignment() [1/2]","string","Assignment overloading. Assign a string to a character array."],
+  ["structfpx__string_1_1string.html#a4a3c3898b4d385097118507fa6fedf74","assignment() [1/2]","string","Parameters"],
+  ["structfpx__string_1_1string.html#a4a3c3898b4d385097118507fa6fedf74","assignment() [1/2]","string","[in,out] lhs character(:), allocatable"],
+  ["structfpx__string_1_1string.html#a4a3c3898b4d385097118507fa6fedf74","assignment() [1/2]","string","[in] rhs string"],
+  ["structfpx__string_1_1string.html#a4a3c3898b4d385097118507fa6fedf74","assignment() [1/2]","string","Examples"],
+  ["structfpx__string_1_1string.html#a4a3c3898b4d385097118507fa6fedf74","assignment() [1/2]","string","type(string) :: s character(:), allocatable :: c s = 'foo' c = s ! the value of c is now 'foo'"],
+  ["structfpx__string_1_1string.html#aaa6d9ce1bb7ada703b45a1bd1b81a6df","formatted()","string","Formatted output procedure for user-defined type string (UDTIO) This procedure is called automatically when a formatted WRITE statement is used with a variable of type string (when using the DT edit descriptor or default formatted output for the type)."],
+  ["structfpx__string_1_1string.html#aaa6d9ce1bb7ada703b45a1bd1b81a6df","formatted()","string","It writes the content of the string component dtvchars using a simple A format. If the string is not allocated, an empty string is written."],
+  ["structfpx__string_1_1string.html#aaa6d9ce1bb7ada703b45a1bd1b81a6df","formatted()","string","Parameters"],
+  ["structfpx__string_1_1string.html#aaa6d9ce1bb7ada703b45a1bd1b81a6df","formatted()","string","[in] dtv The string object to be written (polymorphic dummy argument)"],
+  ["structfpx__string_1_1string.html#aaa6d9ce1bb7ada703b45a1bd1b81a6df","formatted()","string","[in] unit Fortran logical unit number"],
+  ["structfpx__string_1_1string.html#aaa6d9ce1bb7ada703b45a1bd1b81a6df","formatted()","string","[in] iotype String describing the edit descriptor ('DT' + optional string)"],
+  ["structfpx__string_1_1string.html#aaa6d9ce1bb7ada703b45a1bd1b81a6df","formatted()","string","[in] v_list Integer array containing the values from the DT edit descriptor (v_list is empty if no parentheses were used after DT)"],
+  ["structfpx__string_1_1string.html#aaa6d9ce1bb7ada703b45a1bd1b81a6df","formatted()","string","[out] iostat I/O status code (0 = success, positive = error, negative = end-of-file/end-of-record)"],
+  ["structfpx__string_1_1string.html#aaa6d9ce1bb7ada703b45a1bd1b81a6df","formatted()","string","[in,out] iomsg Message describing the I/O error (if any)"],
+  ["structfpx__string_1_1string.html#aaa6d9ce1bb7ada703b45a1bd1b81a6df","formatted()","string","Note"],
+  ["structfpx__string_1_1string.html#aaa6d9ce1bb7ada703b45a1bd1b81a6df","formatted()","string","This implementation ignores iotype and v_list parameters -> the same simple character output is always performed"],
+  ["structfpx__string_1_1string.html#aaa6d9ce1bb7ada703b45a1bd1b81a6df","formatted()","string","The procedure always uses format (A)"],
+  ["structfpx__string_1_1string.html#aaa6d9ce1bb7ada703b45a1bd1b81a6df","formatted()","string","Empty (not allocated) string is written as empty line (zero characters)"],
+  ["structfpx__string_1_1string.html#aaa6d9ce1bb7ada703b45a1bd1b81a6df","formatted()","string","Warning This is a minimal implementation of UDTIO formatted output. More sophisticated versions could:"],
+  ["structfpx__string_1_1string.html#aaa6d9ce1bb7ada703b45a1bd1b81a6df","formatted()","string","respect iotype (DT\"...\" or LISTDIRECTED)"],
+  ["structfpx__string_1_1string.html#aaa6d9ce1bb7ada703b45a1bd1b81a6df","formatted()","string","use v_list for width/precision control"],
+  ["structfpx__string_1_1string.html#aaa6d9ce1bb7ada703b45a1bd1b81a6df","formatted()","string","add quotation marks, escaping, etc."],
+  ["structfpx__string_1_1string.html#aaa6d9ce1bb7ada703b45a1bd1b81a6df","formatted()","string","Examples"],
+  ["structfpx__string_1_1string.html#aaa6d9ce1bb7ada703b45a1bd1b81a6df","formatted()","string","type(string) :: s call s%set() write(*, *) s ! may call write_formatted (depending on compiler) write(*, '(DT)') s ! explicitly calls write_formatted"],
+  ["structfpx__string_1_1string.html#af7993dfb57ce263cb05a3b6ccb32a120","operator() [1/3]","string","Equality comparison between two string objects."],
+  ["structfpx__string_1_1string.html#af7993dfb57ce263cb05a3b6ccb32a120","operator() [1/3]","string","Parameters"],
+  ["structfpx__string_1_1string.html#af7993dfb57ce263cb05a3b6ccb32a120","operator() [1/3]","string","[in] lhs left-hand side"],
+  ["structfpx__string_1_1string.html#af7993dfb57ce263cb05a3b6ccb32a120","operator() [1/3]","string","[in] rhs right-hand side"],
+  ["structfpx__string_1_1string.html#af7993dfb57ce263cb05a3b6ccb32a120","operator() [1/3]","string","Returns"],
+  ["structfpx__string_1_1string.html#af7993dfb57ce263cb05a3b6ccb32a120","operator() [1/3]","string",".true. if the strings are equal, .false. otherwise."],
+  ["structfpx__string_1_1string.html#af7993dfb57ce263cb05a3b6ccb32a120","operator() [1/3]","string","operator() [2/3]"],
+  ["structfpx__string_1_1string.html#af7993dfb57ce263cb05a3b6ccb32a120","operator() [1/3]","string","Equality comparison between string and character expression."],
+  ["structfpx__string_1_1string.html#af7993dfb57ce263cb05a3b6ccb32a120","operator() [1/3]","string","Parameters"],
+  ["structfpx__string_1_1string.html#af7993dfb57ce263cb05a3b6ccb32a120","operator() [1/3]","string","[in] lhs string"],
+  ["structfpx__string_1_1string.html#af7993dfb57ce263cb05a3b6ccb32a120","operator() [1/3]","string","[in] rhs character expression"],
+  ["structfpx__string_1_1string.html#af7993dfb57ce263cb05a3b6ccb32a120","operator() [1/3]","string","Returns"],
+  ["structfpx__string_1_1string.html#af7993dfb57ce263cb05a3b6ccb32a120","operator() [1/3]","string",".true. if equal, .false. otherwise."],
+  ["structfpx__string_1_1string.html#af7993dfb57ce263cb05a3b6ccb32a120","operator() [1/3]","string","operator() [3/3]"],
+  ["structfpx__string_1_1string.html#af7993dfb57ce263cb05a3b6ccb32a120","operator() [1/3]","string","Equality comparison (reversed) between character expression and string."],
+  ["structfpx__string_1_1string.html#af7993dfb57ce263cb05a3b6ccb32a120","operator() [1/3]","string","Parameters"],
+  ["structfpx__string_1_1string.html#af7993dfb57ce263cb05a3b6ccb32a120","operator() [1/3]","string","[in] lhs character expression"],
+  ["structfpx__string_1_1string.html#af7993dfb57ce263cb05a3b6ccb32a120","operator() [1/3]","string","[in] rhs string"],
+  ["structfpx__string_1_1string.html#af7993dfb57ce263cb05a3b6ccb32a120","operator() [1/3]","string","Returns"],
+  ["structfpx__string_1_1string.html#af7993dfb57ce263cb05a3b6ccb32a120","operator() [1/3]","string",".true. if equal, .false. otherwise."],
+  ["structfpx__token_1_1token.html#details","Definition","token","Represents a single token in a parsed expression. Holds the string value of the token and its classified type."],
+  ["structfpx__token_1_1token.html#details","Definition","token","Constructors"],
+  ["structfpx__token_1_1token.html#details","Definition","token","Initializes a new instance of the token class"],
+  ["structfpx__token_1_1token.html#details","Definition","token","token(character(:), integer)"],
+  ["structfpx__token_1_1token.html#details","Definition","token","type(token) function token(character(:) value, integer type)"],
+  ["structfpx__token_1_1token.html#details","Definition","token","Parameters"],
+  ["structfpx__token_1_1token.html#details","Definition","token","[in] value"],
+  ["structfpx__token_1_1token.html#details","Definition","token","[in] type"],
+  ["structfpx__token_1_1token.html#details","Definition","token","Examples"],
+  ["structfpx__token_1_1token.html#details","Definition","token","a = token('9', number)"],
+  ["structfpx__token_1_1token.html#details","Definition","token","The documentation for this type was generated from the following file:"],
+  ["structfpx__token_1_1token.html#details","Definition","token","token.f90"],
+  ["token_8f90.html","token.f90","token.f90","Go to the source code of this file."],
+  ["topics.html","API","API","Here is a list of all topics with brief descriptions:"],
+  ["topics.html","API","API","Conditional Conditional support for the fpx preprocessor"],
+  ["topics.html","API","API","Constants Compile-time constants used throughout the fpx preprocessor"],
+  ["topics.html","API","API","Context Source context information used for diagnostics and error reporting"],
+  ["topics.html","API","API","Date Lightweight date and time utilities used by the fpx preprocessor"],
+  ["topics.html","API","API","Define Macro definition and removal directives for the fpx preprocessor"],
+  ["topics.html","API","API","Diagnostics Diagnostic directives for the fpx preprocessor"],
+  ["topics.html","API","API","For Fortran Preprocessor (fpx) - compile-time loop expansion support"],
+  ["topics.html","API","API","Global Global configuration and shared runtime state for the fpx preprocessor"],
+  ["topics.html","API","API","Graph Directed graph utilities used for macro dependency analysis"],
+  ["topics.html","API","API","Include Include file handling and resolution for the fpx Fortran preprocessor"],
+  ["topics.html","API","API","Line Standard-compliant handling of the #line directive"],
+  ["topics.html","API","API","Logging Global logging, ANSI-colored diagnostics, and pretty error/warning reporting for fpx"],
+  ["topics.html","API","API","Macro Macro management and expansion core of the fpx Fortran preprocessor"],
+  ["topics.html","API","API","OS This module provides portable runtime operating-system detection facilities used throughout the fpx preprocessor"],
+  ["topics.html","API","API","Operators Module implementing a full C-preprocessor-style constant expression evaluator using a top-down recursive descent parser. The module provides the ability to evaluate integer constant expressions of the kind used in classical preprocessor"],
+  ["topics.html","API","API","Parser Fortran Preprocessor (fpx) - core parsing and preprocessing module"],
+  ["topics.html","API","API","Path A modern, portable Fortran module for path manipulation and basic directory operations. This module provides a clean interface for working with file system paths in a platform-independent way. It correctly handles both Unix ('/') and Windows ('\\') path separators through conditional compilation and offers deferred-length character results for maximum flexibility"],
+  ["topics.html","API","API","String Minimal yet powerful variable-length string type with modern Fortran features. This module implements a lightweight string derived type that behaves like a true variable-length character string while remaining fully compatible with intrinsic Fortran character operations"],
+  ["topics.html","API","API","Token Token classification and representation for expression parsing in fpx"],
+  ["usage.html","Basic Usage","Basic Usage","Perfect for Fortran projects that need #include, #define, #ifdef, macro expansion, __FILE__, __LINE__, __DATE__, etc. - all without leaving the Fortran ecosystem."],
+  ["usage.html","Basic Usage","Basic Usage","fpx: A fast, pure-Fortran, standards-compatible preprocessor written in Fortran"],
+  ["usage.html#autotoc_md124","Using fpx from the Command Line (CLI)","Basic Usage","After compiling the program (e.g. fpm @build), you get an executable called fpx."],
+  ["usage.html#autotoc_md125","Basic usage","Basic Usage","fpx [options] input.F90 [output.f90]"],
+  ["usage.html#autotoc_md125","Basic usage","Basic Usage","Command What it does"],
+  ["usage.html#autotoc_md125","Basic usage","Basic Usage","fpx src/main.F90 Preprocess main.F90 and print result to screen"],
+  ["usage.html#autotoc_md125","Basic usage","Basic Usage","fpx src/main.F90 -o build/main.f90 Write preprocessed code to build/main.f90"],
+  ["usage.html#autotoc_md125","Basic usage","Basic Usage","fpx (no arguments) Interactive REPL mode - type lines and see them expanded instantly"],
+  ["usage.html#autotoc_md126","Most useful options","Basic Usage","Option Meaning Example"],
+  ["usage.html#autotoc_md126","Most useful options","Basic Usage","-DNAME Define macro NAME with empty value -DDEBUG"],
+  ["usage.html#autotoc_md126","Most useful options","Basic Usage","-DNAME=10 Define macro NAME with value 10 -DMAX_ITER=1000"],
+  ["usage.html#autotoc_md126","Most useful options","Basic Usage","-UNAME Undefine a macro (useful to force a header guard off) -U_OPENMP"],
+  ["usage.html#autotoc_md126","Most useful options","Basic Usage","-I/path Add a directory to the include search path -I./include"],
+  ["usage.html#autotoc_md126","Most useful options","Basic Usage","-o file.f90 Specify output file (otherwise stdout) -o preprocessed.f90"],
+  ["usage.html#autotoc_md126","Most useful options","Basic Usage","-v Show version and exit fpx -v"],
+  ["usage.html#autotoc_md126","Most useful options","Basic Usage","-h / -? Show help fpx -h"],
+  ["usage.html#autotoc_md127","Real-world examples","Basic Usage","# Typical build fpx -DDEBUG=1 -DMPI -I./include src/program.F90 -o build/program.f90 # Cross-platform build with different features fpx -DUSE_OPENMP -DUSE_MPI=3 src/app.F90 -o app_openmp_mpi.f90 # Clean file with no comments fpx -DNO_DEBUG src/messy.F90 -o clean.f90 # Interactive playground [in] #define MSG(x) print *, '=> ', x [out] [in] call MSG('Hello') [out] call print *, '=> ', 'Hello'"],
+  ["usage.html#autotoc_md128","Using fpx as an Embedded Library in Your Own Fortran Program","Basic Usage","You can call the preprocessor directly from any Fortran program - ideal for build systems, code generators, or tools."],
+  ["usage.html#autotoc_md128","Using fpx as an Embedded Library in Your Own Fortran Program","Basic Usage","Everything you need is in the module fpx_parser."],
+  ["usage.html#autotoc_md129","Minimal example - preprocess a file to another file","Basic Usage","program demo_embed use fpx_parser implicit none call preprocess('input.F90', 'output.f90') print *, 'Preprocessing finished -> output.f90' end program"],
+  ["usage.html#autotoc_md129","Minimal example - preprocess a file to another file","Basic Usage","fpx_parser::preprocess"],
+  ["usage.html#autotoc_md129","Minimal example - preprocess a file to another file","Basic Usage","Generic interface to start preprocessing from various sources/sinks."],
+  ["usage.html#autotoc_md129","Minimal example - preprocess a file to another file","Basic Usage","Definition parser.f90:137"],
+  ["usage.html#autotoc_md130","Full control - predefined macros, include paths, etc.","Basic Usage","program my_builder use fpx_parser use fpx_global use fpx_macro, only: add, macro implicit none ! Include directories global%includedir = [ './include', '../common', '/usr/local/fortran' ] ! Predefine macros call add(global%macros, macro('DEBUG', '1')) call add(global%macros, macro('VERSION', '\"2.1.0\"')) call add(global%macros, macro('USE_MPI', '1')) call add(global%macros, macro('MAX_THREADS', '8')) global%expand_macros = .true. ! default global%exclude_comments = .true. ! strip comments call preprocess('src/main.F90', 'build/main.f90') print *, 'Done!' end program"],
+  ["usage.html#autotoc_md130","Full control - predefined macros, include paths, etc.","Basic Usage","fpx_global::global"],
+  ["usage.html#autotoc_md130","Full control - predefined macros, include paths, etc.","Basic Usage","type(global_settings), public global"],
+  ["usage.html#autotoc_md130","Full control - predefined macros, include paths, etc.","Basic Usage","Global preprocessor configuration instance."],
+  ["usage.html#autotoc_md130","Full control - predefined macros, include paths, etc.","Basic Usage","Definition global.f90:192"],
+  ["usage.html#autotoc_md130","Full control - predefined macros, include paths, etc.","Basic Usage","fpx_macro::add"],
+  ["usage.html#autotoc_md130","Full control - predefined macros, include paths, etc.","Basic Usage","Append macros to a macro table."],
+  ["usage.html#autotoc_md130","Full control - predefined macros, include paths, etc.","Basic Usage","Definition macro.f90:175"],
+  ["usage.html#autotoc_md130","Full control - predefined macros, include paths, etc.","Basic Usage","fpx_macro::macro"],
+  ["usage.html#autotoc_md130","Full control - predefined macros, include paths, etc.","Basic Usage","Representation of a preprocessor macro."],
+  ["usage.html#autotoc_md130","Full control - predefined macros, include paths, etc.","Basic Usage","Definition macro.f90:135"],
+  ["usage.html#autotoc_md131","Preprocess from memory (string -> string)","Basic Usage","program memory_preprocess use fpx_parser character(:), allocatable :: source integer :: unit source = & '#define GREET Hello'//new_line('a')//& 'program hello'//new_line('a')//& ' print *, GREET'//new_line('a')//& 'end program' open(newunit=unit, status='scratch', action='write') write(unit,'(A)') source rewind(unit) call preprocess(unit, output_unit) ! prints expanded code close(unit) end program"]
+];
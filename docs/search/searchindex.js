@@ -0,0 +1,405 @@
+// Generated by tools/build-search-index.js, do not edit
+// [name, url, category, kind, scope, brief, file, group, signature]
+var searchIndexData =
+[
+  ["1 General","macro.html#autotoc_md109",6,"section","Macro Expansion","","","",""],
+  ["1 Introduction","specifications.html#autotoc_md46",6,"section","Preprocessor Specifications","At its meeting Feb 19, 2025, J3 decided to approve requirements for a cpp-like preprocessor for Fortran 202Y (paper 25-114r2).","","",""],
+  ["1. Introduction","requirements.html#autotoc_md36",6,"section","Fortran preprocessor requirements","From paper 96-063, April 3, 1996 (lightly edited):","","",""],
+  ["2 Function-like macro invocation","macro.html#autotoc_md110",6,"section","Macro Expansion","","","",""],
+  ["2 Lexical specifications","specifications.html#autotoc_md47",6,"section","Preprocessor Specifications","","","",""],
+  ["2. The basic idea: phases before the \"processor\"","requirements.html#autotoc_md37",6,"section","Fortran preprocessor requirements","The preprocessor will be a mandatory part of the language. Any file passed to a processor may contain preprocessor directive lines.","","",""],
+  ["2.1 Function-like macro identification","macro.html#autotoc_md111",6,"section","Macro Expansion","","","",""],
+  ["2.1 Lines","specifications.html#autotoc_md48",6,"section","Preprocessor Specifications","Example 1 (free-form):","","",""],
+  ["2.1.1 Argument gathering and separation","macro.html#autotoc_md112",6,"section","Macro Expansion","This subsection specifies the rules used to gather and separate the arguments for the invocation of a function-like macro.","","",""],
+  ["2.1.2 Line breaks and continuations in macro invocations (free-form)","macro.html#autotoc_md113",6,"section","Macro Expansion","This subsection describes the handling of line continuations during argument gathering within function-like macro invocations in free source form.","","",""],
+  ["2.1.3 Line breaks and continuations in macro invocations (fixed-form)","macro.html#autotoc_md114",6,"section","Macro Expansion","This subsection describes the handling of line continuations during argument gathering within function-like macro invocations in fixed source form.","","",""],
+  ["2.1.4 Comments in macro invocations","macro.html#autotoc_md115",6,"section","Macro Expansion","This subsection details how Fortran-style comments and comment lines appearing within the argument list of a function-like macro invocation are removed during argument gathering and do not become part...","","",""],
+  ["2.2 Argument substitution and expansion","macro.html#autotoc_md116",6,"section","Macro Expansion","After the arguments of a function-like macro have been identified, argument substitution is performed. This section details how argument substitution is performed, which may include macro expansion of...","","",""],
+  ["2.2 Case sensitivity of identifiers","specifications.html#autotoc_md49",6,"section","Preprocessor Specifications","","","",""],
+  ["2.2.1 Macro expansion during argument substitution","macro.html#autotoc_md117",6,"section","Macro Expansion","","","",""],
+  ["2.2.2 The Stringizing Operator (#)","macro.html#autotoc_md118",6,"section","Macro Expansion","EXAMPLE ste01:","","",""],
+  ["2.3 Significance of whitespace","specifications.html#autotoc_md50",6,"section","Preprocessor Specifications","","","",""],
+  ["2.3 Variadic Macros","macro.html#autotoc_md119",6,"section","Macro Expansion","EXAMPLE vme01:","","",""],
+  ["2.3.1 __VA_OPT__","macro.html#autotoc_md120",6,"section","Macro Expansion","Syntax:","","",""],
+  ["2.4 Comments","specifications.html#autotoc_md51",6,"section","Preprocessor Specifications","","","",""],
+  ["2.5 Token lexicon","specifications.html#autotoc_md52",6,"section","Preprocessor Specifications","The preprocessor decomposes the source file into preprocessing tokens (see C 2023 section 5.1.1.2 Translation phases).","","",""],
+  ["3 #-Directives","specifications.html#autotoc_md53",6,"section","Preprocessor Specifications","The following directives are recognized during Fortran preprocessing. Detailed specifications for each directive appear in the subsections below.","","",""],
+  ["3 The Token-Pasting Operator (##)","macro.html#autotoc_md121",6,"section","Macro Expansion","EXAMPLE tpe01:","","",""],
+  ["3. FPP Phase 1: Line conjoining","requirements.html#autotoc_md38",6,"section","Fortran preprocessor requirements","The C language defines phase 2 as a pass where continuation lines are removed. To simplify the explanation of FPP's preprocessing phase 2, we will define phase 1 to simply remove continuation lines...","","",""],
+  ["3.1 The define object-like macro directive","specifications.html#autotoc_md54",6,"section","Preprocessor Specifications","See also the rules for expanding object-like macros in section 4 \"Macro identification and expansion\" below.","","",""],
+  ["3.1.1 Static semantics specifications","specifications.html#autotoc_md55",6,"section","Preprocessor Specifications","","","",""],
+  ["3.1.2 Evaluation semantics specifications","specifications.html#autotoc_md56",6,"section","Preprocessor Specifications","","","",""],
+  ["3.10 The processor-dependent directive","specifications.html#autotoc_md81",6,"section","Preprocessor Specifications","Example syntax:","","",""],
+  ["3.10.1 Static semantics specifications","specifications.html#autotoc_md82",6,"section","Preprocessor Specifications","","","",""],
+  ["3.10.2 Evaluation semantics specifications","specifications.html#autotoc_md83",6,"section","Preprocessor Specifications","","","",""],
+  ["3.2 The define function-like macro directive","specifications.html#autotoc_md57",6,"section","Preprocessor Specifications","See also the rules for expanding function-like macros in the section 4 \"Macro identification and expansion\" below.","","",""],
+  ["3.2.1 Static semantics specifications","specifications.html#autotoc_md58",6,"section","Preprocessor Specifications","","","",""],
+  ["3.2.2 Evaluation semantics specifications","specifications.html#autotoc_md59",6,"section","Preprocessor Specifications","","","",""],
+  ["3.3 The undef directive","specifications.html#autotoc_md60",6,"section","Preprocessor Specifications","Example syntax:","","",""],
+  ["3.3.1 Static semantics specifications","specifications.html#autotoc_md61",6,"section","Preprocessor Specifications","","","",""],
+  ["3.3.2 Evaluation semantics specifications","specifications.html#autotoc_md62",6,"section","Preprocessor Specifications","","","",""],
+  ["3.4 The include directive","specifications.html#autotoc_md63",6,"section","Preprocessor Specifications","Example syntax:","","",""],
+  ["3.4.1 Static semantics specifications","specifications.html#autotoc_md64",6,"section","Preprocessor Specifications","","","",""],
+  ["3.4.2 Evaluation semantics specifications","specifications.html#autotoc_md65",6,"section","Preprocessor Specifications","","","",""],
+  ["3.5 The if, ifdef, ifndef, elif, elifdef, elifndef, else, endif conditional directives","specifications.html#autotoc_md66",6,"section","Preprocessor Specifications","Example syntax (extra spacing for illustration purposes only):","","",""],
+  ["3.5.1 Static semantics specifications","specifications.html#autotoc_md67",6,"section","Preprocessor Specifications","","","",""],
+  ["3.5.2 Evaluation semantics specifications","specifications.html#autotoc_md68",6,"section","Preprocessor Specifications","","","",""],
+  ["3.6 The error and warning directives","specifications.html#autotoc_md69",6,"section","Preprocessor Specifications","Example syntax:","","",""],
+  ["3.6.1 Static semantics specifications","specifications.html#autotoc_md70",6,"section","Preprocessor Specifications","","","",""],
+  ["3.6.2 Evaluation semantics specifications","specifications.html#autotoc_md71",6,"section","Preprocessor Specifications","","","",""],
+  ["3.7 The line directive","specifications.html#autotoc_md72",6,"section","Preprocessor Specifications","Example syntax:","","",""],
+  ["3.7.1 Static semantics specifications","specifications.html#autotoc_md73",6,"section","Preprocessor Specifications","","","",""],
+  ["3.7.2 Evaluation semantics specifications","specifications.html#autotoc_md74",6,"section","Preprocessor Specifications","","","",""],
+  ["3.8 The pragma directive","specifications.html#autotoc_md75",6,"section","Preprocessor Specifications","Example syntax:","","",""],
+  ["3.8.1 Static semantics specifications","specifications.html#autotoc_md76",6,"section","Preprocessor Specifications","","","",""],
+  ["3.8.2 Evaluation semantics specifications","specifications.html#autotoc_md77",6,"section","Preprocessor Specifications","","","",""],
+  ["3.9 The null directive","specifications.html#autotoc_md78",6,"section","Preprocessor Specifications","Example syntax:","","",""],
+  ["3.9.1 Static semantics specifications","specifications.html#autotoc_md79",6,"section","Preprocessor Specifications","","","",""],
+  ["3.9.2 Evaluation semantics specifications","specifications.html#autotoc_md80",6,"section","Preprocessor Specifications","","","",""],
+  ["4 Macro identification and expansion","specifications.html#autotoc_md84",6,"section","Preprocessor Specifications","","","",""],
+  ["4 Rescanning and Recursion Prevention","macro.html#autotoc_md122",6,"section","Macro Expansion","|Code|Description| |:-&mdash;|:&mdash;|| |rs01|After a macro invocation is replaced, all placemarker tokens are removed from the replacement. This removal never pastes adjacent tokens together. The...","","",""],
+  ["4. FPP Phase 2: Directive processing","requirements.html#autotoc_md39",6,"section","Fortran preprocessor requirements","The directive processing phase is analogous to CPP phase 4. Preprocessor directives are executed. Macros are expanded in non-directive lines (Fortran source lines).","","",""],
+  ["4.1 Comparison to macro identification and expansion in CPP","specifications.html#autotoc_md85",6,"section","Preprocessor Specifications","We intend for macro identification and expansion to operate almost exactly as specified in C 2023 section 6.10.5, however it will differ in minor ways to accommodate Fortran syntax. The following...","","",""],
+  ["4.1 Directives accepted by the preprocessor","requirements.html#autotoc_md40",6,"section","Fortran preprocessor requirements","The following preprocessor directives will have the same semantics as defined in the C23 edition of the C programming language standard.","","",""],
+  ["4.2 The identifiers __VA_ARGS__ and __VA_OPT__","specifications.html#autotoc_md86",6,"section","Preprocessor Specifications","As specified in C 2023 section 6.10.5.1, see also section 4.1 above.","","",""],
+  ["4.2 Tokens recognized in define directives","requirements.html#autotoc_md41",6,"section","Fortran preprocessor requirements","The following tokens are recognized in the replacement-list of a #define directive and handled by the preprocessor during expansion:","","",""],
+  ["4.3 Operators accepted in if and elif expressions","requirements.html#autotoc_md42",6,"section","Fortran preprocessor requirements","Earlier revisions of this document considered allowing Fortran syntax in #if and #elif expressions, such as: = /= .AND. .OR. .NOT. .TRUE. .FALSE. but we eventually decided to omit these due to a lack...","","",""],
+  ["4.3 The # and ## operators","specifications.html#autotoc_md87",6,"section","Preprocessor Specifications","As specified in C 2023 section 6.10.5.{2,3}, see also section 4.1 above.","","",""],
+  ["4.4 Macros defined by the preprocessor","requirements.html#autotoc_md43",6,"section","Fortran preprocessor requirements","__LINE__ __FILE__ __DATE__ __TIME__ __STDF__","","",""],
+  ["4.5 Fortran awareness during macro expansion","requirements.html#autotoc_md44",6,"section","Fortran preprocessor requirements","Just as CPP does not expand tokens in strings, there are places in Fortran lines that FPP should not recognize or expand tokens.","","",""],
+  ["4.6 Output of Phase 2","requirements.html#autotoc_md45",6,"section","Fortran preprocessor requirements","Similar to phase 1, the output is a sequence of logical lines where the logical lines contain the strings representing the now-preprocessed characters of the input file and comment-strings.","","",""],
+  ["5 Expressions allowed in if and elif directives","specifications.html#autotoc_md88",6,"section","Preprocessor Specifications","","","",""],
+  ["5.1 Operators allowed in controlling expressions","specifications.html#autotoc_md89",6,"section","Preprocessor Specifications","","","",""],
+  ["7 Predefined macros","specifications.html#autotoc_md90",6,"section","Preprocessor Specifications","The following macro names shall be defined by the processor:","","",""],
+  ["7.1 __LINE__","specifications.html#autotoc_md91",6,"section","Preprocessor Specifications","","","",""],
+  ["7.2 __FILE__","specifications.html#autotoc_md92",6,"section","Preprocessor Specifications","","","",""],
+  ["7.3 __DATE__","specifications.html#autotoc_md93",6,"section","Preprocessor Specifications","","","",""],
+  ["7.4 __TIME__","specifications.html#autotoc_md94",6,"section","Preprocessor Specifications","","","",""],
+  ["7.5 __STDF__","specifications.html#autotoc_md95",6,"section","Preprocessor Specifications","__STDF__ is an analog to __STDC__ in C and __cplusplus in C++. Its primary role is to provide preprocessor-visible and vendor-independent identification of the underlying target language (i.e., \"the...","","",""],
+  ["8 INCLUDE line processing","specifications.html#autotoc_md96",6,"section","Preprocessor Specifications","","","",""],
+  ["9 Translation limits","specifications.html#autotoc_md97",6,"section","Preprocessor Specifications","To enhance portability of source translated by the Fortran preprocessor, the standard shall specify minimum translation limits for conforming processors, governing various aspects of preprocessing...","","",""],
+  ["A bit of History","introduction.html",6,"page","","","","",""],
+  ["A Brief History of Preprocessing","introduction.html#autotoc_md24",6,"section","A bit of History","Fortran, born in the 1950s for scientific and numerical computing, was designed for clarity and performance on early computers. Preprocessing was not part of its original vision. As Fortran evolved,...","","",""],
+  ["About the Project","index.html#autotoc_md1",6,"section","fpx.f","Fortran, the venerable language of scientific computing, has powered simulations of galaxies, weather systems, and quantum phenomena for over seven decades. Its enduring strength lies in its clarity,...","","",""],
+  ["add","interfacefpx__macro_1_1add.html",1,"interface","fpx_macro","Append macros to a macro table.","macro.f90","Macro",""],
+  ["add_edge","structfpx__graph_1_1digraph.html#a615d7ee7c2b575e92b08b2756b27b89c",3,"procedure","fpx_graph::digraph","Add a directed edge to the graph.","graph.f90","Graph","procedure, pass, public add_edge(class(digraph), intent(inout) this, integer, intent(in) source, integer, intent(in) destination, logical, intent(out), optional overflow)"],
+  ["add_item","interfacefpx__macro_1_1add.html#a327058e5ebbad2faec91dccb2be2fc4c",3,"subroutine","fpx_macro::add","Add a complete macro object to the table.","macro.f90","Macro","subroutine add_item(type(macro), dimension(:), intent(inout), allocatable this, type(macro), intent(in) m)"],
+  ["add_item_from_name","interfacefpx__macro_1_1add.html#a3f4c719b92a7dfa4d6647905fd660b71",3,"subroutine","fpx_macro::add","Add macro by name only (value = empty).","macro.f90","Macro","subroutine add_item_from_name(type(macro), dimension(:), intent(inout), allocatable this, character(*), intent(in) name)"],
+  ["add_item_from_name_and_value","interfacefpx__macro_1_1add.html#a827ade4b8ee2220c2204dd95e4f8642b",3,"subroutine","fpx_macro::add","Add macro with name and replacement text.","macro.f90","Macro","subroutine add_item_from_name_and_value(type(macro), dimension(:), intent(inout), allocatable this, character(*), intent(in) name, character(*), intent(in) value)"],
+  ["add_range","interfacefpx__macro_1_1add.html#a1eb0080240e062d96e1c4d49ab58d882",3,"subroutine","fpx_macro::add","Add multiple macros at once.","macro.f90","Macro","subroutine add_range(type(macro), dimension(:), intent(inout), allocatable this, type(macro), dimension(:), intent(in) m)"],
+  ["add_to_loop","group__group__for.html#ga6079af1c12adf54ac2f0bccc9701e16a",3,"subroutine","fpx_for","Append a source line to the innermost active loop body.","loop.f90","For","subroutine, public add_to_loop(character(*), intent(in) line)"],
+  ["Advanced Macro Tricks","cheatsheet.html#autotoc_md16",6,"section","Cheatsheet","","","",""],
+  ["Appendix A: Divergences from C","macro.html#autotoc_md123",6,"section","Macro Expansion","In most ways, the FPP specified by this document and 25-142r2 adheres to the existing practice established by the C preprocessor over the past several decades. However FPP semantics also deliberately...","","",""],
+  ["Appendix A: Divergences from C","specifications.html#autotoc_md98",6,"section","Preprocessor Specifications","In many ways, the FPP specified by this document adheres to the existing practice established by the C preprocessor over the past several decades. However FPP semantics also deliberately diverge from...","","",""],
+  ["assignment","structfpx__string_1_1string.html#a4a3c3898b4d385097118507fa6fedf74",3,"variable","fpx_string::string::assignment(lhs, rhs)","Assignment overloading. Assign a character array to a string.","string.f90","String","generic, public assignment(class(string), intent(inout) lhs, character(*), intent(in) rhs)"],
+  ["Background","macro.html#autotoc_md99",6,"section","Macro Expansion","The current Fortran 202Y work list WG5/N2249 includes specifying a Fortran-friendly preprocessor as accepted work item US10.","","",""],
+  ["Basic usage","usage.html#autotoc_md125",6,"section","Basic Usage","","","",""],
+  ["Basic Usage","usage.html",6,"page","","","","",""],
+  ["Build with fpm","index.html#autotoc_md6",6,"section","fpx.f","The repo can be build using fpm","","",""],
+  ["Build with Visual Studio 2019","index.html#autotoc_md7",6,"section","fpx.f","The project was originally developed on Windows with Visual Studio 2019. The repo contains the solution file (Fpx.f.sln) to get you started with Visual Studio 2019.","","",""],
+  ["Building","index.html#autotoc_md4",6,"section","fpx.f","","","",""],
+  ["Built-in Predefined Macros","cheatsheet.html#autotoc_md15",6,"section","Cheatsheet","","","",""],
+  ["character_concat_string","interfacefpx__string_1_1operator_07_2_2_08.html#a15077d99187f2d9c111f3fb78f92cf4b",3,"function","fpx_string::operator(//)","Concatenation of character expression and string.","string.f90","String","pure character(:) function, allocatable character_concat_string(character(*), intent(in) lhs, class(string), intent(in) rhs)"],
+  ["characters_contain_character","interfacefpx__string_1_1operator_07_8contains_8_08.html#a5a7725093fba9d2c024ab4fad37e278c",3,"function","fpx_string::operator(.contains.)","Checks whether an array of character contains a given character expression.","string.f90","String","logical function characters_contain_character(character(*), dimension(:), intent(in) lhs, character(*), intent(in) rhs)"],
+  ["characters_contain_string","interfacefpx__string_1_1operator_07_8contains_8_08.html#a40a4eebeb200e41d543d7e65c4341ca4",3,"function","fpx_string::operator(.contains.)","Checks whether an array of character contains a given string.","string.f90","String","logical function characters_contain_string(character(*), dimension(:), intent(in) lhs, type(string), intent(in) rhs)"],
+  ["chars","structfpx__string_1_1string.html#a4b784a6a2638175406a6cbaab07608fd",4,"variable","fpx_string::string","Variable length character array.","string.f90","String","character(:), allocatable chars"],
+  ["chdir","group__group__path.html#ga75f09aeef195fd8649bafaee43421ae1",3,"subroutine","fpx_path","Changes the current working directory. This is a thin wrapper around the underlying C runtime chdir() implementation.","path.f90","Path","subroutine, public chdir(character(*), intent(in) path, integer, intent(out), optional err)"],
+  ["Cheatsheet","cheatsheet.html",6,"page","","","","",""],
+  ["chksize","group__group__constants.html#ga38b42c16100fcac33e76ef949c38f0fe",4,"variable","fpx_constants","Default chunk size used for internal buffering operations.","constants.f90","Constants","integer, parameter, public chksize = 72"],
+  ["clear","interfacefpx__macro_1_1clear.html",1,"interface","fpx_macro","Remove all macro definitions from a table.","macro.f90","Macro",""],
+  ["clear_item","interfacefpx__macro_1_1clear.html#a4f994e57053fe61253d895c1e91a56ce",3,"subroutine","fpx_macro::clear","Remove all macros from table.","macro.f90","Macro","subroutine clear_item(type(macro), dimension(:), intent(inout), allocatable this)"],
+  ["CLI Quick Commands","cheatsheet.html#autotoc_md13",6,"section","Cheatsheet","","","",""],
+  ["colorize","logging_8f90.html#af3c6ea45fb74f9a12f010b01f9b875a0",3,"function","fpx_logging","Colorize and stylize strings, DEFAULT kind.","logging.f90","Logging","pure character(:) function, allocatable colorize(string, foreground, background, style)"],
+  ["Command line","index.html#autotoc_md9",6,"section","fpx.f","The preprocessor fpx can be used from the command-line using your favorite shell. The following options are available:","","",""],
+  ["Common Patterns","cheatsheet.html#autotoc_md17",6,"section","Cheatsheet","","","",""],
+  ["concat","group__group__string.html#gadb259182cf539d22a0de67734b243059",3,"function","fpx_string","Smart concatenation that removes continuation markers (&) and handles line-continuation rules.","string.f90","String","character(:) function, allocatable, public concat(character(*), intent(in) str1, character(*), intent(in) str2)"],
+  ["cond_depth","group__group__conditional.html#ga7f648ff45bb2b891f3fe9a4d602a8f0a",4,"variable","fpx_conditional","Current nesting depth of conditional directives (0 = outside any if).","conditional.f90","Conditional","integer, public cond_depth = 0"],
+  ["cond_stack","group__group__conditional.html#gad60907aee6f590d292a06630c10a090c",4,"type","fpx_conditional","Global stack of conditional states (depth-limited).","conditional.f90","Conditional","type(cond_state), dimension(max_cond_depth), public cond_stack"],
+  ["cond_state","structfpx__conditional_1_1cond__state.html",1,"type","fpx_conditional","State associated with a single conditional nesting level.","conditional.f90","Conditional",""],
+  ["Conditional","group__group__conditional.html",5,"module","","Conditional support for the fpx preprocessor.","","Conditional",""],
+  ["Conditional Compilation","introduction.html#autotoc_md31",6,"section","A bit of History","What It Is: Preprocessing directives like #ifdef, #ifndef, #else, and #endif allow developers to include or exclude code blocks based on predefined conditions, typically set at compile time.","","",""],
+  ["conditional.f90","conditional_8f90.html",2,"file","","","conditional.f90","",""],
+  ["CONS OPTION O:","macro.html#autotoc_md107",6,"section","Macro Expansion","","","",""],
+  ["CONS OPTION R:","macro.html#autotoc_md105",6,"section","Macro Expansion","","","",""],
+  ["Constants","group__group__constants.html",5,"module","","Compile-time constants used throughout the fpx preprocessor.","","Constants",""],
+  ["constants.f90","constants_8f90.html",2,"file","","","constants.f90","",""],
+  ["Constructors","interfacefpx__operators_1_1evaluate__expression.html#evaluate_expression_constructors",6,"section","evaluate_expression","Constructor","operators.f90","Operators",""],
+  ["Constructors","structfpx__conditional_1_1cond__state.html#cond_state_constructors",6,"section","cond_state","Constructor","conditional.f90","Conditional",""],
+  ["Constructors","structfpx__context_1_1context.html#context_type_constructors",6,"section","context","Initializes a new instance of the context type.","context.f90","Context",""],
+  ["Constructors","structfpx__date_1_1datetime.html#datetime_type_constructors",6,"section","datetime","Initializes a new instance of the datetime class. Two constructor forms are available:","date.f90","Date",""],
+  ["Constructors","structfpx__graph_1_1digraph.html#digraph_type_constructors",6,"section","digraph","Initializes a new directed graph.","graph.f90","Graph",""],
+  ["Constructors","structfpx__logging_1_1label__type.html#label_type_constructor",6,"section","label_type","Initializes a new instance of the label_type class Constructor","logging.f90","Logging",""],
+  ["Constructors","structfpx__macro_1_1macro.html#macro_type_constructor",6,"section","macro","Initializes a new instance of the Macro Expansion class","macro.f90","Macro",""],
+  ["Constructors","structfpx__string_1_1string.html#string_type_constructor",6,"section","string","Initializes a new instance of the string class","string.f90","String",""],
+  ["context","structfpx__context_1_1context.html",1,"type","fpx_context","Snapshot of a source location within the preprocessing stream.","context.f90","Context",""],
+  ["Context","group__group__context.html",5,"module","","Source context information used for diagnostics and error reporting.","","Context",""],
+  ["context.f90","context_8f90.html",2,"file","","","context.f90","",""],
+  ["Contributing","index.html#autotoc_md11",6,"section","fpx.f","Contributions are what make the open source community such an amazing place to learn, inspire, and create. Any contributions you make are greatly appreciated. So, thank you for considering...","","",""],
+  ["cpp","integration.html#autotoc_md23",6,"section","Tips & Tricks","This answer from Jim Dempsey is taken from the intel forum","","",""],
+  ["cwd","group__group__path.html#ga3dacbbb5b88aa8f8c772ddbcbff36077",3,"function","fpx_path","Returns the current working directory as a deferred-length character string. Returns an empty string if the current directory cannot be determined.","path.f90","Path","character(:) function, allocatable, public cwd"],
+  ["Date","group__group__date.html",5,"module","","Lightweight date and time utilities used by the fpx preprocessor.","","Date",""],
+  ["date.f90","date_8f90.html",2,"file","","","date.f90","",""],
+  ["datetime","structfpx__date_1_1datetime.html",1,"type","fpx_date","Compact representation of date and time Stores all components in minimal integer kinds to reduce memory usage. All fields are public for easy access.","date.f90","Date",""],
+  ["day","structfpx__date_1_1datetime.html#af74408358a8c7c52d15e3c6205f2f4bf",4,"variable","fpx_date::datetime","Day.","date.f90","Date","integer(i1), public day"],
+  ["Define","group__group__define.html",5,"module","","Macro definition and removal directives for the fpx preprocessor.","","Define",""],
+  ["define.f90","define_8f90.html",2,"file","","","define.f90","",""],
+  ["Design","group__group__conditional.html#conditional_design",6,"section","Conditional","Each active conditional nesting level stores two pieces of state:","","Conditional",""],
+  ["diagnostic_new","structfpx__logging_1_1diagnostic__report.html#ad6eda09d25385e2032adef70a07f9f66",3,"function","fpx_logging::diagnostic_report","Create new diagnostic message.","logging.f90","Logging","type(diagnostic_report) function diagnostic_new(integer, intent(in) level, character(*), intent(in), optional message, character(*), intent(in), optional source, type(label_type), dimension(..), intent(in), optional label, type(diagnostic_report), dimension(:), intent(in), optional diagnostic)"],
+  ["diagnostic_report","structfpx__logging_1_1diagnostic__report.html",1,"type","fpx_logging","Structured compiler diagnostic.","logging.f90","Logging",""],
+  ["Diagnostics","group__group__diagnostics.html",5,"module","","Diagnostic directives for the fpx preprocessor.","","Diagnostics",""],
+  ["diagnostics.f90","diagnostics_8f90.html",2,"file","","","diagnostics.f90","",""],
+  ["digraph","structfpx__graph_1_1digraph.html",1,"type","fpx_graph","Directed graph supporting efficient cycle detection.","graph.f90","Graph",""],
+  ["disable_continuation","structfpx__global_1_1global__settings.html#a8a6abae5e497f893ca063e2a4c225848",4,"variable","fpx_global::global_settings","Disable explicit continuation using trailing &.","global.f90","Global","logical, public disable_continuation = .false."],
+  ["Documentation","pages.html",6,"page","","","","",""],
+  ["Early Days: Ad Hoc Preprocessing (1950s-1970s)","introduction.html#autotoc_md25",6,"section","A bit of History","In Fortran's infancy (Fortran I, II, IV), preprocessing was virtually nonexistent. Developers relied on manual code edits or rudimentary scripts to handle tasks like platform-specific tweaks. Early...","","",""],
+  ["Embedded","index.html#autotoc_md10",6,"section","fpx.f","For more examples, please refer to the Documentation","","",""],
+  ["evaluate_expression","interfacefpx__operators_1_1evaluate__expression.html",1,"interface","fpx_operators","Evaluates a preprocessor-style expression with macro substitution. Tokenizes the input expression, expands macros where appropriate, parses it according to operator precedence, and computes the...","operators.f90","Operators",""],
+  ["evaluate_expression_default","interfacefpx__operators_1_1evaluate__expression.html#ad442aac01e27547dea68ce9e07fb351d",3,"function","fpx_operators::evaluate_expression","Evaluates a preprocessor-style expression with macro substitution. Tokenizes the input expression, expands macros where appropriate, parses it according to operator precedence, and computes the...","operators.f90","Operators","logical function evaluate_expression_default(character(*), intent(in) expr, type(macro), dimension(:), intent(inout), allocatable macros, integer, intent(out), optional val)"],
+  ["evaluate_expression_with_context","interfacefpx__operators_1_1evaluate__expression.html#a8d262b1b47bd6d7683ee124c06acd0ec",3,"function","fpx_operators::evaluate_expression","Evaluates a preprocessor-style expression with macro substitution. Tokenizes the input expression, expands macros where appropriate, parses it according to operator precedence, and computes the...","operators.f90","Operators","logical function evaluate_expression_with_context(character(*), intent(in) expr, type(macro), dimension(:), intent(inout), allocatable macros, type(context), intent(in) ctx, integer, intent(out), optional val)"],
+  ["Examples","group__group__conditional.html#conditional_examples",6,"section","Conditional","","","Conditional",""],
+  ["Examples","group__group__constants.html#constants_examples",6,"section","Constants","","","Constants",""],
+  ["Examples","group__group__context.html#context_examples",6,"section","Context","","","Context",""],
+  ["Examples","group__group__date.html#date_examples",6,"section","Date","","","Date",""],
+  ["Examples","group__group__define.html#define_examples",6,"section","Define","produces a diagnostic because defined is reserved for conditional expressions.","","Define",""],
+  ["Examples","group__group__diagnostics.html#diagnostics_examples",6,"section","Diagnostics","","","Diagnostics",""],
+  ["Examples","group__group__for.html#for_examples",6,"section","For","Loop variables behave exactly like temporary object-like macros and therefore participate in all normal macro expansion rules, including nested expansion and token pasting.","","For",""],
+  ["Examples","group__group__global.html#global_examples",6,"section","Global","","","Global",""],
+  ["Examples","group__group__graph.html#graph_examples",6,"section","Graph","","","Graph",""],
+  ["Examples","group__group__include.html#include_examples",6,"section","Include","","","Include",""],
+  ["Examples","group__group__line.html#line_examples",6,"section","Line","","","Line",""],
+  ["Examples","group__group__logging.html#logging_examples",6,"section","Logging","","","Logging",""],
+  ["Examples","group__group__macro.html#macro_examples",6,"section","Macro","","","Macro",""],
+  ["Examples","group__group__operators.html#operator_examples",6,"section","Operators","","","Operators",""],
+  ["Examples","group__group__os.html#os_examples",6,"section","OS","","","OS",""],
+  ["Examples","group__group__parser.html#parser_examples",6,"section","Parser","","","Parser",""],
+  ["Examples","group__group__path.html#path_examples",6,"section","Path","On Windows:","","Path",""],
+  ["Examples","group__group__string.html#string_examples",6,"section","String","","","String",""],
+  ["Examples","group__group__token.html#token_examples",6,"section","Token","","","Token",""],
+  ["Examples","interfacefpx__operators_1_1evaluate__expression.html#evaluate_expression_examples",6,"section","evaluate_expression","","operators.f90","Operators",""],
+  ["Examples","interfacefpx__string_1_1index.html#index_examples",6,"section","index","String and character:","string.f90","String",""],
+  ["Examples","interfacefpx__string_1_1len__trim.html#len_trim_examples",6,"section","len_trim","Basic usage:","string.f90","String",""],
+  ["Examples","interfacefpx__string_1_1len.html#len_examples",6,"section","len","Basic usage:","string.f90","String",""],
+  ["Examples","interfacefpx__string_1_1operator_07_8contains_8_08.html#contains_examples",6,"section","operator(.contains.)","Arrays of string:","string.f90","String",""],
+  ["Examples","interfacefpx__string_1_1trim.html#trim_examples",6,"section","trim","Basic usage:","string.f90","String",""],
+  ["Examples","structfpx__context_1_1context.html#context_type_examples",6,"section","context","","context.f90","Context",""],
+  ["Examples","structfpx__global_1_1global__settings.html#global_type_examples",6,"section","global_settings","","global.f90","Global",""],
+  ["Examples","structfpx__graph_1_1digraph.html#digraph_type_examples",6,"section","digraph","","graph.f90","Graph",""],
+  ["Examples","structfpx__logging_1_1label__type.html#label_type_examples",6,"section","label_type","","logging.f90","Logging",""],
+  ["Examples","structfpx__macro_1_1macro.html#macro_type_examples",6,"section","macro","Object-like macro:","macro.f90","Macro",""],
+  ["Examples","structfpx__string_1_1string.html#string_type_examples",6,"section","string","","string.f90","String",""],
+  ["exclude_comments","structfpx__global_1_1global__settings.html#af3c91755269de05a262b4e23d252be1b",4,"variable","fpx_global::global_settings","Preserve comments in the generated output.","global.f90","Global","logical, public exclude_comments = .false."],
+  ["expand_all","group__group__macro.html#gab51fdaa32665f1141e292d2330a48dbc",3,"function","fpx_macro","Expand a source line including predefined macros.","macro.f90","Macro","character(:) function, allocatable, public expand_all(type(context), intent(in) ctx, type(macro), dimension(:), intent(inout), allocatable macros, logical, intent(out) stitch, logical, intent(in) has_extra, logical, intent(in) implicit_conti, logical, intent(in) dollar_insert)"],
+  ["expand_macros","group__group__macro.html#ga28c2658615e83c6ca921d93a3dbee370",3,"function","fpx_macro","Recursively expand user-defined macros.","macro.f90","Macro","character(:) function, allocatable, public expand_macros(character(*), intent(in) line, type(macro), dimension(:), intent(inout), allocatable macros, logical, intent(out) stitch, logical, intent(in) implicit_conti, logical, intent(in) dollar_insert, type(context), intent(in) ctx)"],
+  ["expand_macros","structfpx__global_1_1global__settings.html#a988365f52ad50a945548611771ef7549",4,"variable","fpx_global::global_settings","Enable global macro expansion.","global.f90","Global","logical, public expand_macros = .true."],
+  ["extra_macros","structfpx__global_1_1global__settings.html#a59066840467a819eb4e4aa60bb6fbe9c",4,"variable","fpx_global::global_settings","Enable non-standard predefined macros such as __FILE__, __LINE__, __FUNC__, and __TIMESTAMP__.","global.f90","Global","logical, public extra_macros = .true."],
+  ["File Inclusion","introduction.html#autotoc_md33",6,"section","A bit of History","What It Is: The #include directive inserts external files into the source code, often for shared definitions, constants, or interfaces.","","",""],
+  ["finish","structfpx__logging_1_1label__type.html#a4b00abe535580557844cc6c1639dba0a",4,"variable","fpx_logging::label_type","Last character of message.","logging.f90","Logging","integer finish"],
+  ["first","structfpx__logging_1_1label__type.html#a17e18ca9e65c3f74bc8567f39b337270",4,"variable","fpx_logging::label_type","First character of message.","logging.f90","Logging","integer first"],
+  ["For","group__group__for.html",5,"module","","Fortran Preprocessor (fpx) - compile-time loop expansion support.","","For",""],
+  ["formatted","structfpx__string_1_1string.html#aaa6d9ce1bb7ada703b45a1bd1b81a6df",3,"variable","fpx_string::string","Formatted output procedure for user-defined type string (UDTIO) This procedure is called automatically when a formatted WRITE statement is used with a variable of type string (when using the DT edit...","string.f90","String","public formatted(class(string), intent(in) dtv, integer, intent(in) unit, character(*), intent(in) iotype, integer, dimension(:), intent(in) v_list, integer, intent(out) iostat, character(*), intent(inout) iomsg)"],
+  ["Fortran 90/95: Reduced Need, Persistent Use (1990s)","introduction.html#autotoc_md27",6,"section","A bit of History","Fortran 90 introduced modules, parameterized types, and dynamic memory, giving developers native tools for modularity and portability. These features reduced reliance on preprocessing for tasks like...","","",""],
+  ["Fortran preprocessor requirements","requirements.html",6,"page","","","","",""],
+  ["fpp","integration.html#autotoc_md20",6,"section","Tips & Tricks","","","",""],
+  ["fpp-name","integration.html#autotoc_md21",6,"section","Tips & Tricks","The fpp-name Lets you specify an alternate preprocessor to use with Fortran.","","",""],
+  ["fpx extensions","cheatsheet.html#autotoc_md18",6,"section","Cheatsheet","","","",""],
+  ["fpx.f","index.html",6,"page","","","","",""],
+  ["Full control - predefined macros, include paths, etc.","usage.html#autotoc_md130",6,"section","Basic Usage","","","",""],
+  ["get","interfacefpx__macro_1_1get.html",1,"interface","fpx_macro","Retrieve a macro by index.","macro.f90","Macro",""],
+  ["Get the code","index.html#autotoc_md5",6,"section","fpx.f","","","",""],
+  ["get_item","interfacefpx__macro_1_1get.html#a7604180d974de569928d3b87aee85320",3,"function","fpx_macro::get","Retrieve macro by 1-based index.","macro.f90","Macro","type(macro) function, allocatable get_item(type(macro), dimension(:), intent(inout) this, integer, intent(in) key)"],
+  ["get_os_type","group__group__os.html#gab22409272fd1365aba83ea3faed5db94",3,"function","fpx_os","Determine the current operating system type Returns one of the OS_* constants.","os.f90","OS","integer function, public get_os_type"],
+  ["global","group__group__global.html#ga8b8524880886f61f8c961589cffa7640",4,"type","fpx_global","Global preprocessor configuration instance.","global.f90","Global","type(global_settings), public global"],
+  ["Global","group__group__global.html",5,"module","","Global configuration and shared runtime state for the fpx preprocessor.","","Global",""],
+  ["global_settings","structfpx__global_1_1global__settings.html",1,"type","fpx_global","Global preprocessor configuration and shared runtime state.","global.f90","Global",""],
+  ["global.f90","global_8f90.html",2,"file","","","global.f90","",""],
+  ["Graph","group__group__graph.html",5,"module","","Directed graph utilities used for macro dependency analysis.","","Graph",""],
+  ["graph_final","structfpx__graph_1_1digraph.html#a21cfa48f4b027b2883a80773b871a5df",3,"variable","fpx_graph::digraph","Finalizer for the directed graph.","graph.f90","Graph","final graph_final(type(digraph), intent(inout) this)"],
+  ["graph.f90","graph_8f90.html",2,"file","","","graph.f90","",""],
+  ["handle_define","group__group__define.html#gab80127adb2307d147ed991977b80f775",3,"subroutine","fpx_define","Process a #define directive.","define.f90","Define","subroutine, public handle_define(type(context), intent(in) ctx, type(macro), dimension(:), intent(inout), allocatable macros, character(*), intent(in) token)"],
+  ["handle_elif","group__group__conditional.html#ga912ae461f58529d799b8ad2455c78491",3,"subroutine","fpx_conditional","Process elif - alternative branch after if/elif Only activates if no previous branch in the group was taken.","conditional.f90","Conditional","subroutine, public handle_elif(type(context), intent(in) ctx, type(macro), dimension(:), intent(inout), allocatable macros, character(*), intent(in) token)"],
+  ["handle_elifdef","group__group__conditional.html#gae350be9571cf5e4ebba32981a9420a59",3,"subroutine","fpx_conditional","Process elifdef - test if a macro is defined.","conditional.f90","Conditional","subroutine, public handle_elifdef(type(context), intent(in) ctx, type(macro), dimension(:), intent(in) macros, character(*), intent(in) token)"],
+  ["handle_elifndef","group__group__conditional.html#gac193f6006f80922cc9bc1435ea38d355",3,"subroutine","fpx_conditional","Process elifndef - test if a macro is not defined.","conditional.f90","Conditional","subroutine, public handle_elifndef(type(context), intent(in) ctx, type(macro), dimension(:), intent(in) macros, character(*), intent(in) token)"],
+  ["handle_else","group__group__conditional.html#gac91aa66155fda9573cb28a6c009ba248",3,"subroutine","fpx_conditional","Process else - final fallback branch Activates only if no previous if/elif branch was true.","conditional.f90","Conditional","subroutine, public handle_else(type(context), intent(in) ctx)"],
+  ["handle_endfor","group__group__for.html#gaadc593eef44e3b6aaf4e76e2b0bc2d29",3,"subroutine","fpx_for","Finalize a loop and emit all expanded iterations.","loop.f90","For","subroutine, public handle_endfor(type(context), intent(inout) ctx, integer, intent(in) ounit, type(c_funptr), intent(in) p, type(macro), dimension(:), intent(in) macros, character(*), intent(in) token)"],
+  ["handle_endif","group__group__conditional.html#gaf4f99569b4cda29c93ee782f8e1ad024",3,"subroutine","fpx_conditional","Process endif - end of conditional block Pops the top state from the stack. Reports error on unmatched endif.","conditional.f90","Conditional","subroutine, public handle_endif(type(context), intent(in) ctx)"],
+  ["handle_error","group__group__diagnostics.html#gaa4ec80ff50a60b7b1d6e43531a84e0a3",3,"subroutine","fpx_diagnostics","Process a #error directive.","diagnostics.f90","Diagnostics","subroutine, public handle_error(type(context), intent(in) ctx, type(macro), dimension(:), intent(inout), allocatable macros, character(*), intent(in) token)"],
+  ["handle_for","group__group__for.html#ga47e3b44ecd5caf03d47d9d131ef5a9ce",3,"subroutine","fpx_for","Process a #for directive and initialize a new loop context.","loop.f90","For","subroutine, public handle_for(type(context), intent(in) ctx, type(macro), dimension(:), intent(inout), allocatable macros, character(*), intent(in) token)"],
+  ["handle_if","group__group__conditional.html#gadf3d0ad89e7eaadb062dd5b497779a50",3,"subroutine","fpx_conditional","Process a if directive with constant expression evaluation Evaluates the expression after if using evaluate_expression() and pushes a new state onto the conditional stack.","conditional.f90","Conditional","subroutine, public handle_if(type(context), intent(in) ctx, type(macro), dimension(:), intent(inout), allocatable macros, character(*), intent(in) token)"],
+  ["handle_ifdef","group__group__conditional.html#ga78eb08619da61fb3fc630d6dfb928c60",3,"subroutine","fpx_conditional","Process ifdef - test if a macro is defined.","conditional.f90","Conditional","subroutine, public handle_ifdef(type(context), intent(in) ctx, type(macro), dimension(:), intent(in) macros, character(*), intent(in) token)"],
+  ["handle_ifndef","group__group__conditional.html#ga1d1cf3aa06ba41d8b04085f038bb7555",3,"subroutine","fpx_conditional","Process ifndef - test if a macro is NOT defined.","conditional.f90","Conditional","subroutine, public handle_ifndef(type(context), intent(in) ctx, type(macro), dimension(:), intent(in) macros, character(*), intent(in) token)"],
+  ["handle_include","group__group__include.html#gaa2164306cb7e02304b8f602a63658787",3,"subroutine","fpx_include","Process a include directive encountered during preprocessing Resolves the include file name (quoted or angle-bracketed), searches for the file using standard C preprocessor rules:","include.f90","Include","recursive subroutine, public handle_include(type(context), intent(in) ctx, integer, intent(in) ounit, procedure(read_unit) preprocess, type(macro), dimension(:), intent(inout), allocatable macros, character(*), intent(in) token)"],
+  ["handle_line","group__group__line.html#ga769b3215f1c3814134afbf2d7c95f0ac",3,"subroutine","fpx_line","Process a #line directive.","line.f90","Line","subroutine, public handle_line(type(context), intent(inout) ctx, character(*), intent(in) token)"],
+  ["handle_undef","group__group__define.html#ga14ea5b1ae846b5e67cc54d332fee9d58",3,"subroutine","fpx_define","Process a #undef directive.","define.f90","Define","subroutine, public handle_undef(type(context), intent(in) ctx, type(macro), dimension(:), intent(inout), allocatable macros, character(*), intent(in) token)"],
+  ["handle_warning","group__group__diagnostics.html#gafdddb957adc33b7f025877c9f23eb4ed",3,"subroutine","fpx_diagnostics","Process a #warning directive.","diagnostics.f90","Diagnostics","subroutine, public handle_warning(type(context), intent(in) ctx, type(macro), dimension(:), intent(inout), allocatable macros, character(*), intent(in) token)"],
+  ["head","group__group__string.html#gafaf25b317ddf986a177b9984e58b75ad",3,"function","fpx_string","Returns the first character of the trimmed string.","path.f90","String","character function, public head(character(*), intent(in) str)"],
+  ["hour","structfpx__date_1_1datetime.html#a8f46f95091ad95db43e8ec4d788c3385",4,"variable","fpx_date::datetime","Hour.","date.f90","Date","integer(i1), public hour"],
+  ["implicit_continuation","structfpx__global_1_1global__settings.html#a2911c35e273e4efa20a83a199982ed2f",4,"variable","fpx_global::global_settings","Enable implicit continuation during macro expansion.","global.f90","Global","logical, public implicit_continuation = .false."],
+  ["Include","group__group__include.html",5,"module","","Include file handling and resolution for the fpx Fortran preprocessor.","","Include",""],
+  ["include.f90","include_8f90.html",2,"file","","","include.f90","",""],
+  ["includedir","structfpx__global_1_1global__settings.html#a491bcf3f67b62dfca929515f8b5561de",4,"type","fpx_global::global_settings","Additional directories searched by #include.","global.f90","Global","type(string), dimension(:), allocatable, public includedir"],
+  ["index","interfacefpx__string_1_1index.html",1,"interface","fpx_string","Locate the position of a substring.","string.f90","String",""],
+  ["insert","interfacefpx__macro_1_1insert.html",1,"interface","fpx_macro","Insert a macro at a specified position.","macro.f90","Macro",""],
+  ["insert_item","interfacefpx__macro_1_1insert.html#a2ffc17397c66207bd747892999731695",3,"subroutine","fpx_macro::insert","Insert macro at specific position.","macro.f90","Macro","subroutine insert_item(type(macro), dimension(:), intent(inout), allocatable this, integer, intent(in) i, type(macro), intent(in) m)"],
+  ["Installation","index.html#autotoc_md2",6,"section","fpx.f","","","",""],
+  ["interactive","structfpx__global_1_1global__settings.html#a91d389343c1633fc6dcbef5f5140f0ae",4,"variable","fpx_global::global_settings","Enable interactive REPL mode.","global.f90","Global","logical, public interactive = .false."],
+  ["Interfacing with Build Systems and External Tools","introduction.html#autotoc_md35",6,"section","A bit of History","What It Is: Preprocessing integrates Fortran code with build systems (e.g., CMake, Autotools) or external tools by defining flags or generating code.","","",""],
+  ["Introduction","index.html#autotoc_md0",6,"section","fpx.f","","","",""],
+  ["is_absolute","group__group__path.html#ga50eef041eb787bd6a02b4a8f576505c5",3,"function","fpx_path","Returns .true. if the path is absolute. On Unix a path is absolute when it starts with '/'. On Windows a path is absolute when it starts with a drive letter followed by ':\\C:\\', 'd:/temp').","path.f90","Path","pure logical function, public is_absolute(character(*), intent(in) filepath)"],
+  ["is_active","group__group__conditional.html#ga6733787b20b37cdfce6e84d1e7765f53",3,"function","fpx_conditional","Determine whether the current source position is active.","conditional.f90","Conditional","logical function, public is_active"],
+  ["is_circular","structfpx__graph_1_1digraph.html#a7a5d26bc74b8ed21492654c3dc826638",3,"procedure","fpx_graph::digraph","Determine whether a cycle is reachable from a vertex.","graph.f90","Graph","procedure, pass, public is_circular(class(digraph), intent(in) this, integer, intent(in) start_vertex)"],
+  ["is_cyclic","structfpx__macro_1_1macro.html#a22bb2ebef576d9b02ac428400eb35b70",4,"variable","fpx_macro::macro","Indicates whether the macro has cyclic dependencies or not.","macro.f90","Macro","logical is_cyclic"],
+  ["is_defined","group__group__macro.html#gad3bf37972bc247f25f116979e55ba74f",3,"function","fpx_macro","Determine whether a macro is currently defined.","macro.f90","Macro","logical function, public is_defined(character(*), intent(in) name, type(macro), dimension(:), intent(in) macros, integer, intent(inout), optional idx)"],
+  ["is_in_forloop","group__group__for.html#gada7f67ccf476be063a6b02c3e0ca49cb",3,"function","fpx_for","Query whether parsing is currently inside a #for block. This routine is typically used by the main preprocessing engine to determine whether incoming source lines should be emitted directly or...","loop.f90","For","logical function, public is_in_forloop"],
+  ["is_rooted","group__group__path.html#ga2e42aece5ef439ad80581b44ff0f179d",3,"function","fpx_path","Returns .true. if the path is rooted (starts with a separator) or is absolute. A rooted path begins with the platform separator ('\\' on Windows, '/' elsewhere) even if it is not a full absolute path...","path.f90","Path","pure logical function, public is_rooted(character(*), intent(in) filepath)"],
+  ["is_variadic","structfpx__macro_1_1macro.html#a37758531fbfb275a28be321c849604f0",4,"variable","fpx_macro::macro","Indicate whether the macro is variadic or not.","macro.f90","Macro","logical is_variadic"],
+  ["J3 specifications","j3.html",6,"page","","","","",""],
+  ["join","interfacefpx__path_1_1join.html",1,"interface","fpx_path","Join path components using the platform separator.","path.f90","Path",""],
+  ["join_character_character","group__group__path.html#gae90f10f0b9c263751cdffdd11d57f5b0",3,"function","fpx_path","Implementation of join for character arguments.","path.f90","Path","pure character(:) function, allocatable join_character_character(character(*), intent(in) path1, character(*), intent(in) path2)"],
+  ["join_character_character","interfacefpx__path_1_1join.html#ae90f10f0b9c263751cdffdd11d57f5b0",3,"function","fpx_path::join","Implementation of join for character arguments.","path.f90","Path","pure character(:) function, allocatable join_character_character(character(*), intent(in) path1, character(*), intent(in) path2)"],
+  ["join_character_string","group__group__path.html#ga80f7ef90f9330578901a31bc7c8611c0",3,"function","fpx_path","Implementation of join for character arguments.","path.f90","Path","pure character(:) function, allocatable join_character_string(character(*), intent(in) path1, type(string), intent(in) path2)"],
+  ["join_character_string","interfacefpx__path_1_1join.html#a80f7ef90f9330578901a31bc7c8611c0",3,"function","fpx_path::join","Implementation of join for character arguments.","path.f90","Path","pure character(:) function, allocatable join_character_string(character(*), intent(in) path1, type(string), intent(in) path2)"],
+  ["join_string_character","group__group__path.html#gac548ef67858ca3cc318f5cecffd492ad",3,"function","fpx_path","Implementation of join for character arguments.","path.f90","Path","pure character(:) function, allocatable join_string_character(type(string), intent(in) path1, character(*), intent(in) path2)"],
+  ["join_string_character","interfacefpx__path_1_1join.html#ac548ef67858ca3cc318f5cecffd492ad",3,"function","fpx_path::join","Implementation of join for character arguments.","path.f90","Path","pure character(:) function, allocatable join_string_character(type(string), intent(in) path1, character(*), intent(in) path2)"],
+  ["join_string_string","group__group__path.html#ga003662531cae6f864b1b05ca52502864",3,"function","fpx_path","Implementation of join for character arguments.","path.f90","Path","pure character(:) function, allocatable join_string_string(type(string), intent(in) path1, type(string), intent(in) path2)"],
+  ["join_string_string","interfacefpx__path_1_1join.html#a003662531cae6f864b1b05ca52502864",3,"function","fpx_path::join","Implementation of join for character arguments.","path.f90","Path","pure character(:) function, allocatable join_string_string(type(string), intent(in) path1, type(string), intent(in) path2)"],
+  ["Known issues","integration.html#autotoc_md22",6,"section","Tips & Tricks","The Intel compilers provide a flag -fpp-name=<name> which can be used to specify an alternative preprocessor of the form:","","",""],
+  ["label","structfpx__logging_1_1diagnostic__report.html#a66778bdb3ef64ce77e22ea36294a9ce2",4,"type","fpx_logging::diagnostic_report","Messages associated with this diagnostic.","logging.f90","Logging","type(label_type), dimension(:), allocatable label"],
+  ["label_type","structfpx__logging_1_1label__type.html",1,"type","fpx_logging","Diagnostic label identifying a region of source text.","logging.f90","Logging",""],
+  ["len","interfacefpx__string_1_1len.html",1,"interface","fpx_string","Return the length of a string object.","string.f90","String",""],
+  ["len_trim","interfacefpx__string_1_1len__trim.html",1,"interface","fpx_string","Return the trimmed length of a string object.","string.f90","String",""],
+  ["level","structfpx__logging_1_1diagnostic__report.html#abb61fd771abfbb3d560f2403a2118cfe",4,"variable","fpx_logging::diagnostic_report","Level of message.","logging.f90","Logging","integer level"],
+  ["level","structfpx__logging_1_1label__type.html#a9d99e5dda87c0d0cdc4d2c50ce313013",4,"variable","fpx_logging::label_type","Level of message.","logging.f90","Logging","integer, allocatable level"],
+  ["License","index.html#autotoc_md12",6,"section","fpx.f","Distributed under the MIT License.","","",""],
+  ["line","structfpx__logging_1_1label__type.html#af312c583393b652a1ca07b5c7d240408",4,"variable","fpx_logging::label_type","Line number of message.","logging.f90","Logging","integer line"],
+  ["Line","group__group__line.html",5,"module","","Standard-compliant handling of the #line directive.","","Line",""],
+  ["line_break","structfpx__global_1_1global__settings.html#a0077fa550303be52a94634c64dd15715",4,"variable","fpx_global::global_settings","Treat \\\\ as an explicit output line break.","global.f90","Global","logical, public line_break = .false."],
+  ["line.f90","line_8f90.html",2,"file","","","line.f90","",""],
+  ["Logging","group__group__logging.html",5,"module","","Global logging, ANSI-colored diagnostics, and pretty error/warning reporting for fpx.","","Logging",""],
+  ["logging.f90","logging_8f90.html",2,"file","","","logging.f90","",""],
+  ["loop.f90","loop_8f90.html",2,"file","","","loop.f90","",""],
+  ["lowercase","group__group__string.html#gaa2b8ec4e39395a3550a97ea0ee92e0a2",3,"function","fpx_string","Convert string to lower case (respects contents of quotes).","string.f90","String","pure character(len_trim(str)) function, public lowercase(character(*), intent(in) str)"],
+  ["macro","structfpx__macro_1_1macro.html",1,"type","fpx_macro","Representation of a preprocessor macro.","macro.f90","Macro",""],
+  ["Macro","group__group__macro.html",5,"module","","Macro management and expansion core of the fpx Fortran preprocessor.","","Macro",""],
+  ["Macro Definitions for Code Reuse","introduction.html#autotoc_md34",6,"section","A bit of History","What It Is: Macros (#define) create reusable code snippets or constants, reducing duplication or simplifying complex expressions.","","",""],
+  ["Macro Expansion","macro.html",6,"page","","","","",""],
+  ["macro.f90","macro_8f90.html",2,"file","","","macro.f90","",""],
+  ["macros","structfpx__global_1_1global__settings.html#a56d40939333c0f2deccf3da3bd416868",4,"type","fpx_global::global_settings","Predefined macros available before preprocessing begins.","global.f90","Global","type(macro), dimension(:), allocatable, public macros"],
+  ["max_cond_depth","group__group__constants.html#gac4ff9f6877693278fc810b9aab345630",4,"variable","fpx_constants","Maximum nesting depth of conditional compilation directives.","conditional.f90","Constants","integer, parameter, public max_cond_depth = 50"],
+  ["max_depth","group__group__constants.html#ga6acc1de079a8958c578267679e5127ef",4,"variable","fpx_constants","Maximum nesting depth of generic parser structures.","constants.f90","Constants","integer, parameter, public max_depth = 50"],
+  ["max_for_depth","group__group__constants.html#ga4f43d79a727cb76627ec4cdede0b20f0",4,"variable","fpx_constants","Maximum nesting depth of #for loops.","constants.f90","Constants","integer, parameter, public max_for_depth = 50"],
+  ["max_line_len","group__group__constants.html#gab5a717360891a02e951e875b734a32a8",4,"variable","fpx_constants","Maximum permitted length of an input or generated line.","constants.f90","Constants","integer, parameter, public max_line_len = 4096"],
+  ["max_params","group__group__constants.html#ga844a6ff7ced833f206ff32a7ae238321",4,"variable","fpx_constants","Maximum number of parameters accepted by a macro definition.","constants.f90","Constants","integer, parameter, public max_params = 10"],
+  ["max_tokens","group__group__constants.html#ga7b898dec94b3f045e17d927b192d313d",4,"variable","fpx_constants","Maximum number of tokens generated during tokenization.","constants.f90","Constants","integer, parameter, public max_tokens = 100"],
+  ["message","structfpx__logging_1_1diagnostic__report.html#aeb6486626266108b7e567face1fc6df8",4,"variable","fpx_logging::diagnostic_report","Primary message.","logging.f90","Logging","character(:), allocatable message"],
+  ["millisecond","structfpx__date_1_1datetime.html#a92dbe951f9ce476e8f6e8f73a1ab61a0",4,"variable","fpx_date::datetime","Millisecond.","date.f90","Date","integer(i2), public millisecond"],
+  ["Minimal example - preprocess a file to another file","usage.html#autotoc_md129",6,"section","Basic Usage","","","",""],
+  ["minute","structfpx__date_1_1datetime.html#a6a89f2f1df2c00e9e57429450f1b6769",4,"variable","fpx_date::datetime","Minute.","date.f90","Date","integer(i1), public minute"],
+  ["Modern Era: Preprocessing Today (2000s-2025)","introduction.html#autotoc_md29",6,"section","A bit of History","Today, preprocessing in Fortran remains unstandardized but widely used. cpp and fpp are still common, especially in high-performance computing (HPC) projects like LAPACK, PETSc, or WRF, hosted on...","","",""],
+  ["month","structfpx__date_1_1datetime.html#ace49b7b9bce457afc711e152a0b05e48",4,"variable","fpx_date::datetime","Month.","date.f90","Date","integer(i1), public month"],
+  ["Most Common Directives","cheatsheet.html#autotoc_md14",6,"section","Cheatsheet","","","",""],
+  ["Most frequent Usage","introduction.html#autotoc_md30",6,"section","A bit of History","","","",""],
+  ["Most useful options","usage.html#autotoc_md126",6,"section","Basic Usage","","","",""],
+  ["nocolor","group__group__logging.html#ga67be2c033c55d2320d783d10dfb709ab",4,"variable","fpx_logging","Switch for controling the ANSI color output Default value is .true. (color mode on). Set to .false. to get raw string output.","logging.f90","Logging","logical, public nocolor = .false."],
+  ["now","date_8f90.html#a018dde25548b5156908383c9020ac683",3,"function","fpx_date","Return current local date and time Uses intrinsic date_and_time() and populates all fields including milliseconds.","date.f90","Date","type(datetime) function, public now()"],
+  ["operator","structfpx__string_1_1string.html#af7993dfb57ce263cb05a3b6ccb32a120",3,"variable","fpx_string::string::operator(lhs, rhs)","Equality comparison between two string objects.","string.f90","String","generic, public operator(class(string), intent(in) lhs, class(string), intent(in) rhs)"],
+  ["operator(.contains.)","interfacefpx__string_1_1operator_07_8contains_8_08.html",1,"interface","fpx_string","Test whether a value is present in an array.","string.f90","String",""],
+  ["operator(//)","interfacefpx__string_1_1operator_07_2_2_08.html",1,"interface","fpx_string","Concatenate string and character expressions.","string.f90","String",""],
+  ["Operators","group__group__operators.html",5,"module","","Module implementing a full C-preprocessor-style constant expression evaluator using a top-down recursive descent parser. The module provides the ability to evaluate integer constant expressions of the...","","Operators",""],
+  ["operators.f90","operators_8f90.html",2,"file","","","operators.f90","",""],
+  ["OS","group__group__os.html",5,"module","","This module provides portable runtime operating-system detection facilities used throughout the fpx preprocessor.","","OS",""],
+  ["os_cygwin","group__group__os.html#gaea747ca4b17690fe52ab56cf44b0ef69",4,"variable","fpx_os","Cygwin POSIX environment on Windows.","os.f90","OS","integer, parameter, public os_cygwin = 4"],
+  ["os_freebsd","group__group__os.html#ga8a09a5ef377801c337f2ac24e992d811",4,"variable","fpx_os","FreeBSD and its direct derivatives.","os.f90","OS","integer, parameter, public os_freebsd = 6"],
+  ["os_is_unix","group__group__os.html#gaa68416bffd37d6eb53ae27cae0e406bb",3,"function","fpx_os","Return .true. if the current (or supplied) OS is Unix-like Convenience wrapper that returns .true. for any non-Windows platform. Useful for writing portable code that needs different handling on...","os.f90","OS","logical function, public os_is_unix(integer, intent(in), optional os)"],
+  ["os_linux","group__group__os.html#ga48888fd96ebfb6cb7e1a1226f95a0764",4,"variable","fpx_os","Linux (any distribution, including GNU/Linux).","os.f90","OS","integer, parameter, public os_linux = 1"],
+  ["os_macos","group__group__os.html#ga92db930359a293df5384ccad9be01d63",4,"variable","fpx_os","macOS (Darwin-based Apple operating system)","os.f90","OS","integer, parameter, public os_macos = 2"],
+  ["os_name","group__group__os.html#gadc3e8d033f0055d5f8f1b6398178db99",3,"function","fpx_os","Return a human-readable string describing the OS type flag Converts any of the OS_* integer constants into its corresponding name. Accepted values include:","os.f90","OS","pure character(:) function, allocatable, public os_name(integer, intent(in) os)"],
+  ["os_openbsd","group__group__os.html#ga698996c20e3ab09940bb2ccbead24378",4,"variable","fpx_os","OpenBSD.","os.f90","OS","integer, parameter, public os_openbsd = 7"],
+  ["os_solaris","group__group__os.html#ga191e286694119bd0e2bdb78baa20e1be",4,"variable","fpx_os","Oracle Solaris / OpenSolaris derivatives.","os.f90","OS","integer, parameter, public os_solaris = 5"],
+  ["os_unknown","group__group__os.html#ga9f56b2b83c7f13700be54bf358080e74",4,"variable","fpx_os","Unknown / undetected operating system.","os.f90","OS","integer, parameter, public os_unknown = 0"],
+  ["os_windows","group__group__os.html#ga457d71d7a47f325da4b900d6f77df3ea",4,"variable","fpx_os","Microsoft Windows (native, 32-bit or 64-bit).","os.f90","OS","integer, parameter, public os_windows = 3"],
+  ["os_windowsx86","group__group__os.html#ga078acd1c2a938a3ad3b1244a4f30348a",4,"variable","fpx_os","Native Microsoft Windows running on 32-bit x86 architecture.","os.f90","OS","integer, parameter, public os_windowsx86 = 8"],
+  ["os.f90","os_8f90.html",2,"file","","","os.f90","",""],
+  ["Overloads","interfacefpx__parser_1_1preprocess.html#preprocess_overloads",6,"section","preprocess","Preprocess a source file and write to stdout.","parser.f90","Parser",""],
+  ["params","structfpx__macro_1_1macro.html#ade11c43053747c6dfb204c4475f6ae5b",4,"type","fpx_macro::macro","List of parameter for function like macros.","macro.f90","Macro","type(string), dimension(:), allocatable params"],
+  ["parse","structfpx__date_1_1datetime.html#a58beb4858dc26b5282bc7ada19ef5be6",3,"procedure","fpx_date::datetime","Parse date/time from string using common formats.","date.f90","Date","procedure, pass, public parse(class(datetime), intent(inout) this, character(*), intent(in) string, character(*), intent(in), optional fmt)"],
+  ["parse_expression","group__group__operators.html#gafd20ae82cdc3834e353f2e45521f6258",3,"function","fpx_operators","Parse and evaluate an already-tokenized expression.","operators.f90","Operators","recursive integer function, public parse_expression(character(*), intent(in) expr, type(token), dimension(:), intent(in) tokens, integer, intent(in) ntokens, integer, intent(inout) pos, type(macro), dimension(:), intent(inout), allocatable macros, type(context), intent(in) ctx)"],
+  ["Parser","group__group__parser.html",5,"module","","Fortran Preprocessor (fpx) - core parsing and preprocessing module.","","Parser",""],
+  ["parser.f90","parser_8f90.html",2,"file","","","parser.f90","",""],
+  ["Path","group__group__path.html",5,"module","","A modern, portable Fortran module for path manipulation and basic directory operations. This module provides a clean interface for working with file system paths in a platform-independent way. It...","","Path",""],
+  ["path.f90","path_8f90.html",2,"file","","","path.f90","",""],
+  ["Portability Across Systems","introduction.html#autotoc_md32",6,"section","A bit of History","What It Is: Preprocessing helps write code that adapts to different compilers, operating systems, or hardware by defining platform-specific macros or including system-dependent code.","","",""],
+  ["preprocess","interfacefpx__parser_1_1preprocess.html",1,"interface","fpx_parser","Generic interface to start preprocessing from various sources/sinks.","parser.f90","Parser",""],
+  ["Preprocess from memory (string -> string)","usage.html#autotoc_md131",6,"section","Basic Usage","","","",""],
+  ["preprocess_file","interfacefpx__parser_1_1preprocess.html#ab89d17f91b95e7cc0531ae8d2971dab2",3,"subroutine","fpx_parser::preprocess","Preprocess a file and write result to an optional output file (default: stdout) Opens the input file, determines the base filename for error messages, opens the output file if requested, and delegates...","parser.f90","Parser","subroutine preprocess_file(character(*), intent(in) filepath, character(*), intent(in), optional outputfile)"],
+  ["preprocess_file_to_unit","interfacefpx__parser_1_1preprocess.html#a4320a015ed673ba1501c2db89944866d",3,"subroutine","fpx_parser::preprocess","Preprocess a file and write to an already-open output unit.","parser.f90","Parser","subroutine preprocess_file_to_unit(character(*), intent(in) ifile, integer, intent(in) ounit)"],
+  ["preprocess_line","interfacefpx__macro_1_1preprocess__line.html",1,"interface","fpx_macro","Abstract interface for line preprocessing callbacks.","macro.f90","Macro",""],
+  ["preprocess_unit_to_file","interfacefpx__parser_1_1preprocess.html#aba9728c940a6c1d17e784608e3a53ea4",3,"subroutine","fpx_parser::preprocess","Preprocess from an already-open input unit and write to a file.","parser.f90","Parser","subroutine preprocess_unit_to_file(integer, intent(in) iunit, character(*), intent(in) ofile)"],
+  ["preprocess_unit_to_unit","interfacefpx__parser_1_1preprocess.html#a708ab65963252431cb7c45849cbc81c5",3,"subroutine","fpx_parser::preprocess","Core preprocessing routine: read from iunit, write to ounit Sets up a clean macro environment for the top-level file, resets conditional compilation state, and calls the worker routine.","parser.f90","Parser","subroutine preprocess_unit_to_unit(integer, intent(in) iunit, integer, intent(in) ounit)"],
+  ["Preprocessor Specifications","specifications.html",6,"page","","","","",""],
+  ["previous","group__group__string.html#gad5ed5d996518e663bf692512469bd632",3,"function","fpx_string","Returns the previous non-blank character before position pos (updates pos).","string.f90","String","character(1) function, public previous(character(*), intent(in) line, integer, intent(inout) pos)"],
+  ["primary","structfpx__logging_1_1label__type.html#ad9340d4f212770ec436d47816520f21f",4,"variable","fpx_logging::label_type","Primary message.","logging.f90","Logging","logical primary"],
+  ["printf","logging_8f90.html#a7cdffd50478be878dd6f99948bee303e",3,"subroutine","fpx_logging","Conditionally print a message when verbose logging is enabled.","logging.f90","Logging","subroutine, public printf(str, fmt, unit)"],
+  ["PROS OPTION O:","macro.html#autotoc_md106",6,"section","Macro Expansion","","","",""],
+  ["PROS OPTION R:","macro.html#autotoc_md104",6,"section","Macro Expansion","","","",""],
+  ["Quick Start","index.html#autotoc_md8",6,"section","fpx.f","","","",""],
+  ["read_unit","interfacefpx__macro_1_1read__unit.html",1,"interface","fpx_macro","Abstract interface to the top-level preprocessing routine.","macro.f90","Include",""],
+  ["Real-world examples","usage.html#autotoc_md127",6,"section","Basic Usage","","","",""],
+  ["Remarks","structfpx__context_1_1context.html#context_type_remarks",6,"section","context","","context.f90","Context",""],
+  ["Remarks","structfpx__date_1_1datetime.html#datetime_type_remarks",6,"section","datetime","This type intentionally provides only the functionality required by fpx. It is designed to be compact, portable, and efficient rather than serving as a comprehensive date/time framework.","date.f90","Date",""],
+  ["Remarks","structfpx__global_1_1global__settings.html#global_type_remarks",6,"section","global_settings","","global.f90","Global",""],
+  ["Remarks","structfpx__graph_1_1digraph.html#digraph_type_remarks",6,"section","digraph","Allocates the internal adjacency structures and initializes the graph without any edges.","graph.f90","Graph",""],
+  ["Remarks","structfpx__string_1_1string.html#string_type_remarks",6,"section","string","The string implementation proposed here is kept at the bare minimum of what is required by the library. There are many other implementations that can be found.","string.f90","String",""],
+  ["remove","interfacefpx__macro_1_1remove.html",1,"interface","fpx_macro","Remove a macro definition from a table.","macro.f90","Macro",""],
+  ["remove_item","interfacefpx__macro_1_1remove.html#a068e7d980a27b70532c743e01ff01b0c",3,"subroutine","fpx_macro::remove","Remove macro at given index.","macro.f90","Macro","subroutine remove_item(type(macro), dimension(:), intent(inout), allocatable this, integer, intent(in) i)"],
+  ["render","interfacefpx__logging_1_1render.html",1,"interface","fpx_logging","Generic renderer for diagnostics and source excerpts.","logging.f90","Logging",""],
+  ["Requirements","index.html#autotoc_md3",6,"section","fpx.f","To build that library you need","","",""],
+  ["Rise of External Preprocessors (1980s)","introduction.html#autotoc_md26",6,"section","A bit of History","By the 1980s, Fortran 77 was the workhorse of scientific computing, and large projects, like climate models or finite element simulations, demanded portability across diverse hardware (e.g., Cray,...","","",""],
+  ["second","structfpx__date_1_1datetime.html#ade1fd9849046b488743ff7967e72b51a",4,"variable","fpx_date::datetime","Second.","date.f90","Date","integer(i1), public second"],
+  ["size_item","interfacefpx__macro_1_1size__of.html#af17d4172c874b18f0da7b70b150a4c2b",3,"function","fpx_macro::size_of","Return number of defined macros.","macro.f90","Macro","pure integer function size_item(class(*), dimension(..), intent(in), optional x)"],
+  ["size_of","interfacefpx__macro_1_1size__of.html",1,"interface","fpx_macro","Return the number of stored macro definitions.","macro.f90","Macro",""],
+  ["source","structfpx__logging_1_1diagnostic__report.html#a755cd32dada44dcdbb2f5b671471489a",4,"variable","fpx_logging::diagnostic_report","Context of the diagnostic source.","logging.f90","Logging","character(:), allocatable source"],
+  ["Specifications","macro.html#autotoc_md108",6,"section","Macro Expansion","","","",""],
+  ["split_path","group__group__path.html#gad1d14775f471e84d2d96c2e29b6f8c6a",3,"subroutine","fpx_path","Splits a path into head (directory) and tail (basename) components. Special cases:","path.f90","Path","pure subroutine, public split_path(character(*), intent(in) filepath, character(:), intent(out), allocatable head, character(:), intent(out), allocatable tail)"],
+  ["starts_with","group__group__string.html#gae5571ae03556ef6798087ca88b1ffd26",3,"function","fpx_string","Checks if a string starts with a given prefix Returns .true. if the string str (after trimming leading/trailing whitespace) begins exactly with the substring arg1. The function uses index() after...","string.f90","String","logical function, public starts_with(character(*), intent(in) str, character(*), intent(in) arg1, integer, intent(out), optional idx)"],
+  ["Straw poll 1","macro.html#autotoc_md101",6,"section","Macro Expansion","How should fixed source form be handled in forthcoming syntax/edit papers for preprocessing?","","",""],
+  ["Straw poll 2","macro.html#autotoc_md102",6,"section","Macro Expansion","Should it be mandatory to explicitly continue lines inside the argument list for the invocation of a function-like macro?","","",""],
+  ["Straw poll 2 analysis","macro.html#autotoc_md103",6,"section","Macro Expansion","The analysis provided below is intended to help inform the committee regarding the implications of straw poll 2.","","",""],
+  ["Straw polls","macro.html#autotoc_md100",6,"section","Macro Expansion","","","",""],
+  ["string","structfpx__string_1_1string.html",1,"type","","Represents text as a sequence of ASCII code units. The derived type wraps an allocatable character array.","string.f90","String",""],
+  ["String","group__group__string.html",5,"module","","Minimal yet powerful variable-length string type with modern Fortran features. This module implements a lightweight string derived type that behaves like a true variable-length character string while...","","String",""],
+  ["string_concat_character","interfacefpx__string_1_1operator_07_2_2_08.html#af17980cf28a65da4cc1e865fdd998b2c",3,"function","fpx_string::operator(//)","Concatenation of string and character expression.","string.f90","String","pure character(:) function, allocatable string_concat_character(class(string), intent(in) lhs, character(*), intent(in) rhs)"],
+  ["string_concat_string","interfacefpx__string_1_1operator_07_2_2_08.html#a138d3784805fd602b55bdacfa65f1abb",3,"function","fpx_string::operator(//)","Concatenation of two string objects.","string.f90","String","pure character(:) function, allocatable string_concat_string(class(string), intent(in) lhs, class(string), intent(in) rhs)"],
+  ["string_len","interfacefpx__string_1_1len.html#a19967656406d8e98e6a7d66bdbfcb91b",3,"function","fpx_string::len","Length of the string entity.","string.f90","String","elemental integer function string_len(class(string), intent(in) this)"],
+  ["string_len_trim","interfacefpx__string_1_1len__trim.html#aef295e9d95b8c97db0bff1e007aa518e",3,"function","fpx_string::len_trim","Length of the string entity without trailing blanks (len_trim).","string.f90","String","pure integer function string_len_trim(class(string), intent(in) this)"],
+  ["string_trim","interfacefpx__string_1_1trim.html#a43dc2858966a82313eb97b95a4c8fdf1",3,"function","fpx_string::trim","Returns a copy of the string with trailing blanks removed.","string.f90","String","pure character(:) function, allocatable string_trim(class(string), intent(in) this)"],
+  ["string.f90","string_8f90.html",2,"file","","","string.f90","",""],
+  ["strings_contain_character","interfacefpx__string_1_1operator_07_8contains_8_08.html#a2160ddf26e3dddfd05e620a46157b294",3,"function","fpx_string::operator(.contains.)","Checks whether an array of string contains a given character expression.","string.f90","String","logical function strings_contain_character(type(string), dimension(:), intent(in) lhs, character(*), intent(in) rhs)"],
+  ["strings_contain_string","interfacefpx__string_1_1operator_07_8contains_8_08.html#a2c57ffe961e9ae1df1da3ac591248ae1",3,"function","fpx_string::operator(.contains.)","Checks whether an array of string contains a given string.","string.f90","String","logical function strings_contain_string(type(string), dimension(:), intent(in) lhs, type(string), intent(in) rhs)"],
+  ["strtol","interfacefpx__token_1_1strtol.html",1,"interface","fpx_token","Converts a string to integer.","token.f90","Operators",""],
+  ["sub","structfpx__logging_1_1diagnostic__report.html#a7621335e448217b1bfed8d995feaf56b",4,"type","fpx_logging::diagnostic_report","Additional diagnostic information.","logging.f90","Logging","type(diagnostic_report), dimension(:), allocatable sub"],
+  ["support_dollar_insert","structfpx__global_1_1global__settings.html#a1b70e4f57a170bde67fc741654d2127e",4,"variable","fpx_global::global_settings","Enable ${NAME} placeholder substitution.","global.f90","Global","logical, public support_dollar_insert = .true."],
+  ["support_forloop","structfpx__global_1_1global__settings.html#acb624f222f5fd6ac2c5720d4cab250ab",4,"variable","fpx_global::global_settings","Enable support for #for and #endfor.","global.f90","Global","logical, public support_forloop = .true."],
+  ["Supported configuration options","group__group__global.html#global_features",6,"section","Global","The following settings are available:","","Global",""],
+  ["tail","group__group__string.html#ga5f1082a048d0e212c77896988f601304",3,"function","fpx_string","Returns the last non-blank character of a string.","path.f90","String","character function, public tail(character(*), intent(in) str)"],
+  ["text","structfpx__logging_1_1label__type.html#a41d8ebe9b717cc73a78b3c0c3a998e7c",4,"variable","fpx_logging::label_type","Message text.","logging.f90","Logging","character(:), allocatable text"],
+  ["The CoCo Standardization Attempt (Late 1990s-Early 2000s)","introduction.html#autotoc_md28",6,"section","A bit of History","By the late 1990s, the Fortran community recognized preprocessing's utility but also its chaos. Different preprocessors (cpp, fpp, custom tools) produced inconsistent behavior, and there was no...","","",""],
+  ["Tips & Tricks","integration.html",6,"page","","","","",""],
+  ["to_string","structfpx__date_1_1datetime.html#a35ca2e061fb33efea4fe94df04622755",3,"procedure","fpx_date::datetime","Format datetime as string using flexible format codes Supports many common patterns including those required for __DATE__ and __TIMESTAMP__. Default format: 'yyyy-MM-ddTHH:mm:ss'.","date.f90","Date","procedure, pass, public to_string(class(datetime), intent(in) this, character(*), intent(in), optional fmt)"],
+  ["token","structfpx__token_1_1token.html",1,"type","fpx_token","Represents a single token in a parsed expression. Holds the string value of the token and its classified type.","token.f90","Token",""],
+  ["Token","group__group__token.html",5,"module","","Token classification and representation for expression parsing in fpx.","","Token",""],
+  ["token.f90","token_8f90.html",2,"file","","","token.f90","",""],
+  ["tokenize","group__group__token.html#ga5f1606ef019abe57f86da59fcfc6a79b",3,"subroutine","fpx_token","Tokenizes a preprocessor expression into an array of token structures. Handles whitespace, multi-character operators (&&, ||, ==, etc.), the defined operator (with or without parentheses), numbers in...","token.f90","Token","subroutine, public tokenize(character(*), intent(in) expr, type(token), dimension(:), intent(out), allocatable tokens, integer, intent(out) ntokens)"],
+  ["tokens_enum","group__group__token.html#ga4b585815a66c5b370c752e1f82e3ec11",4,"variable","fpx_token","Kind parameter for token type enumeration. Values are (unknown, number, operation, identifier, parenthesis, defined).","token.f90","Token","integer, parameter, public tokens_enum = kind(unknown)"],
+  ["trim","interfacefpx__string_1_1trim.html",1,"interface","fpx_string","Remove trailing blanks from a string object.","string.f90","String",""],
+  ["type","structfpx__token_1_1token.html#a3f913c0248f4767b501921d3e2b69b9d",4,"variable","fpx_token::token","Token type, from the enum tokens_enum.","token.f90","Token","integer(tokens_enum) type"],
+  ["undef","structfpx__global_1_1global__settings.html#ad9026b64059afc75e29d30195bf91959",4,"type","fpx_global::global_settings","Symbols protected from future redefinition.","global.f90","Global","type(string), dimension(:), allocatable, public undef"],
+  ["uppercase","group__group__string.html#gad80a98c0e57973f8899bc0f432e26f85",3,"function","fpx_string","Convert string to upper case (respects contents of quotes).","string.f90","String","pure character(len_trim(str)) function, public uppercase(character(*), intent(in) str)"],
+  ["Using fpx as a Library (in your own code)","cheatsheet.html#autotoc_md19",6,"section","Cheatsheet","Add include paths","","",""],
+  ["Using fpx as an Embedded Library in Your Own Fortran Program","usage.html#autotoc_md128",6,"section","Basic Usage","You can call the preprocessor directly from any Fortran program - ideal for build systems, code generators, or tools.","","",""],
+  ["Using fpx from the Command Line (CLI)","usage.html#autotoc_md124",6,"section","Basic Usage","After compiling the program (e.g. fpm @build), you get an executable called fpx.","","",""],
+  ["value","structfpx__macro_1_1macro.html#ac6ce9ddf35e848aac2064196b6f12756",4,"variable","fpx_macro::macro","Value of the macro.","macro.f90","Macro","character(:), allocatable value"],
+  ["value","structfpx__token_1_1token.html#ac6ce9ddf35e848aac2064196b6f12756",4,"variable","fpx_token::token","Token value.","token.f90","Token","character(:), allocatable value"],
+  ["verbose","group__group__logging.html#gae355b6081c8a7c696837dd711719c998",4,"variable","fpx_logging","Master switch for verbose diagnostic output Default value is .false. (quiet mode). Set to .true. to get detailed step-by-step information about preprocessing actions. Safe to modify at any time � the...","logging.f90","Logging","logical, public verbose = .false."],
+  ["writechk","group__group__string.html#gaaaad8624e7dc4b2c05338a5be8d3f906",3,"subroutine","fpx_string","Write a long line split into chunks of size CHKSIZE with continuation (&).","string.f90","String","subroutine, public writechk(integer, intent(in) unit, character(*), intent(in) str)"],
+  ["year","structfpx__date_1_1datetime.html#ab31da52ea429141ab33e05070392e360",4,"variable","fpx_date::datetime","Year.","date.f90","Date","integer(i2), public year"]
+];
@@ -0,0 +1,2637 @@
+// Generated by tools/build-search-index.js, do not edit
+// [term, passages]
+var searchTermsData =
+[
+  ["!=","hn 2 98 ov 6h"],
+  ["#","ek 8 5z 6w 1x d0 1 2 1 44 3 1 1 1 1 1 1 1 1 1 1 2k 1t 10 1 j t 1 1 1 1 1 1 1 1 1 1 1 1 1 1 2w 2 4 c g 2 c4"],
+  ["##","l 5s 8t h 54 6w j5 1k 1 1 1 1 1 1 1 1 1 1 1 2w 64"],
+  ["##b","8p 2"],
+  ["##num","fo"],
+  ["#define","2 1 1 2 f 1 1l 1w n 16 2 1 1 1 8 2 2 2 4 2 6 a 1d 9 2 2 1i 1f 8y 1e 5g bs 1 1r c 5 4 2q 7 6 7 1a w b n k 8 8 7 6 1w 9 2j 1 b 6 2 1 4 a 1 1 2o c4 g i"],
+  ["#defined","1fk"],
+  ["#elif","1u 2 4 4 5 b 4 b 1d gc 5l 16 ng 4 1 1 9 f 1 1 1 1 1 1 1 1 1 26 1i 1 3 6 a 1 1 1 1 1 1 1 1 1a 1 1 1 1 1 1 1 2 2b"],
+  ["#elifdef","1w 4 e 1 a 4 om nw 2t 1i 1 3 6"],
+  ["#elifndef","1w 4 u 4 oh nw 2t 1i 1 3 6"],
+  ["#else","m 1b 3 4 5 2 4 1y gb 6r cd 9 e 4 4 an 1j 2 19 1j"],
+  ["#endfor","n 3d j 3s 6 2 2 2 2 2 2 5 i 6 z b3 5w"],
+  ["#endif","8 1 d 1c 9 2 2 2 2 2 l v 2e 6 13 2 2 2 cy 3x 2u 25 9w c 5 4 e 4 4 1f 98 1j 2 19 1i 1 4 4s"],
+  ["#error","7b 3 6 2 a 4 jj nu 2s 2b 1 4"],
+  ["#for","n 3d h 2 3s 2 1 1 6 2 2 2 2 m 4 3 7 s a4 z 5w 38"],
+  ["#if","a c 18 a 5 4 4 1g c 3h cy 5l 4 a s ng 4 1 1 9 o 26 1j 2 3 3 c 1 1h 1 2t"],
+  ["#ifdef","8 e 19 g 4 2 t 4 w t 18 6 13 4 d0 6r bt k 5 4 e 4 4 1f 99 1i 2 19 1i 1 2 3 3 dy"],
+  ["#ifndef","9 d 19 c 18 4 s 3b d2 6r cd bj 2t 1i 1 2 3 3"],
+  ["#include","b 1 9y 1n 1 b 5 6 2 2 7z 6v bq 1 1k 5 4 2 2 2 3 a1 4 2n 18 8 1 1 40 2 c 10 8u"],
+  ["#line","d0 1 d 1 6 2 2 1 3 6 118 2z 2i 2f ah"],
+  ["#param","f6"],
+  ["#pragma","1ff 2s 2p 6 1"],
+  ["#undef","7 5p 8 d n 3 2 2r 9 ad 6u nt 2t 10 1 2a c 16 7"],
+  ["#warning","7b 4 9 2 2 b 4 jc nv 2r 2b 1"],
+  ["#x","l 1ag"],
+  ["&","1 l 8 4c 2 2 15 47 5 3i b 9 1f p s 2w f 3q 1e 1d 12 f 88 5z e 1m 6 h f 7 8 22 1a v 12 w 2 5a 2 2 ck"],
+  ["&&","a c 1r fa 2 8o b 9 2 i oa 6d"],
+  ["**","56 ae 23 3 9r"],
+  [".and.","1fy"],
+  [".contains.","od a cb 2 1 1 1 3 2 2"],
+  [".exe.","tn"],
+  [".false.","3o 67 1a o 2l l 1 k 2 2 4b 2w 1s x 7 5t b 9 8 2g 2e 4 2 em cj 40 7 7"],
+  [".inc.","rw"],
+  [".not.","l 1fd"],
+  [".or.","1fy"],
+  [".true.","3l 3 67 1c 2 i 2g 4 o 1 k 2 m 3 1 l 1 1 f 2h 4 2f 2 a 4 1 1 4 1n r 4 2 4 3 5j a b 3 6 1 7 2h 7 26 2 4 8 6 6 6 dw v 2 a5 1h 1f 2 2j 7 7 1l"],
+  ["//","l dz 9t 8 bm 1 1 3 9p 4v 2g 6r ao"],
+  ["/=","ml td 6b"],
+  ["0","m 1p 7 f2 9 4r 1 2x 11 d 80 i h 1f 10 j 3 6 z dr 3x 2 h 1 1 1 1 1 b 3 1 3n 2 5j"],
+  ["00","5q 8u 1aw b i"],
+  ["007","1go 2x"],
+  ["01","1q9 2"],
+  ["015","1qt"],
+  ["04","1ql"],
+  ["05","ek"],
+  ["06","1qf"],
+  ["063","1e7 4"],
+  ["08","5q 8u 1aw b"],
+  ["09","5q 1jq b"],
+  ["1","0 m 1n 8 2i b i h c 4c l 9 2 2z 2w 5 7 6 7c 9 m b 7 2 3n r a6 4 14 1 1 1 1 1 1 1 1 1 1 1 1 s 1 1 1 1 g 2 3 2 6 2 u l 2 2 3 8 1z g 2 5 4 4 r 1 1 1 1 1 1 1 1 1 1 4 1i 8 2 1 1 d 1 2 4u j 1 1 1 1 1 b 3 1 r 2k 7 q i 2 8 e 1 12 p 1i 1 1 1 1 1 1 1 1 1 1 1 1 k 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1e 7"],
+  ["1.0","14n"],
+  ["1.0.0","v"],
+  ["10","fk 2m 9n 1 9e 1l 3u 1v 2 6 2 5 2 ec as"],
+  ["100","dl"],
+  ["1000","15h sm"],
+  ["105","qm"],
+  ["11","16o 6 d 1 1p 2 cl"],
+  ["114","16k 7m 27 1"],
+  ["12","h 2 57 iv i3 6 d i9 b n 1"],
+  ["122","ef"],
+  ["123","l 12h as"],
+  ["124","1m3 2"],
+  ["128","6j"],
+  ["135","b3 1g7 7g"],
+  ["137","y rv 15m"],
+  ["14","i 1 ra"],
+  ["142","16l 1 19 1 24 17 2a 1 2u"],
+  ["15","1qg c"],
+  ["159","qs"],
+  ["16","12t"],
+  ["175","b0 1g7 7g"],
+  ["176","16i 5 1"],
+  ["18","es"],
+  ["19","es 11l"],
+  ["192","t a2 1g9 7g"],
+  ["1950","136 1"],
+  ["1970","5s lj bu 2 mw 6"],
+  ["1979","ek"],
+  ["1980","138"],
+  ["1990","139 1 1 1 1 1 1 1 1 1 1 1 1 1 1 as"],
+  ["1996","1e7"],
+  ["2","a 1z 2x 6l 2 2z s 2g 4 3w 4o 9 2k 1 5k 26 1l 45 4 1 1 1 1 1 1 1 1 1 1 k m 2 6 2 1f 2 2 3 8 22 o 4 y 4 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 16 7 5 6 1 1 4s 5x 3w 1 1 1 1 1 1 1 1 1 1 1 1 q"],
+  ["2.1","1gg 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 m"],
+  ["2.1.0","1yg"],
+  ["2.1.1","17y 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1"],
+  ["2.1.2","183 x 1 1 1 1 1 1 1 1 1 1 1 1 1 1 o 3k"],
+  ["2.1.3","183 1c 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 7 3k"],
+  ["2.1.4","180 2 1 10 h c 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 2y"],
+  ["2.2","1aq 66 1 1 1"],
+  ["2.2.1","1ar 1 1 1"],
+  ["2.2.2","1as 3 1 1 1 1 1 1 1 1 1 1"],
+  ["2.3","184 1 2n e 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 5c 1 1 1 1 1 1 1"],
+  ["2.3.1","1as x 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1"],
+  ["2.4","1a0 78 1 1 1 1 1 1 3"],
+  ["2.5","1hf 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 3"],
+  ["20","es d 31"],
+  ["2000","13a 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1"],
+  ["2003","13j 4 4"],
+  ["2008","rq by 3"],
+  ["2015","1qs 1 1 1"],
+  ["2018","rq by 3"],
+  ["2019","s7"],
+  ["202","16j 7v 1z"],
+  ["2021.5","ru"],
+  ["2023","13o 3 9q 1h 1k 5 4 k 4 2 14 1 f k 1x 2 2 1 a 1e p 4 8 1 1 1"],
+  ["2025","h 2 57 xy 1 1 1 2t 1 2 1 6 d 96 93 b"],
+  ["208","ei"],
+  ["2147483647","1kr"],
+  ["215","dp"],
+  ["22","1qh"],
+  ["23456","19p 3 2 s 2"],
+  ["235","16k"],
+  ["236","16l"],
+  ["237","16n 1"],
+  ["24","16i 7o 26 a4 1"],
+  ["25","16k 1 1 1 1 17 1 24 17 2a 1 2v 1 a 2x"],
+  ["256","6j"],
+  ["27","i 1 4n 7k 1u s3"],
+  ["3","2d 9e 2 2g j 38 6n 21 9 7z 2 e h 9 14 70 7 2 3 2 6 2 1m 2 6 2 4 5 c m h 1 1 1 1 1 1 1 1 1 1 1 1k e 28 2 g k 1 1 1 1 1 1 1 1 1 1 1 1 1 1 3e 4x 5s 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1e"],
+  ["3.1","17v af 1 1"],
+  ["3.1.1","1id 1 1 1"],
+  ["3.1.2","1ih 1 1 1 1 1"],
+  ["3.10","1la 1"],
+  ["3.10.1","1lc 1"],
+  ["3.10.2","1le 1"],
+  ["3.14159","eb"],
+  ["3.1415926535","3 fh 6g 18e"],
+  ["3.141592653589793","69"],
+  ["3.2","17w 3b 7g 1 1"],
+  ["3.2.1","1iq 1 1 1 1 1 1 1"],
+  ["3.2.2","1iy 1 1 1"],
+  ["3.3","1j2 1"],
+  ["3.3.1","1j4 1 1"],
+  ["3.3.2","1j7 1 1"],
+  ["3.4","1ja 1 4a"],
+  ["3.4.1","1jc 1 1"],
+  ["3.4.2","1jf 1 1 1 1 1 1"],
+  ["3.5","1jm 1"],
+  ["3.5.1","1jo 1 1 1 1 1"],
+  ["3.5.2","1ju 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1"],
+  ["3.6","1kf 1 1"],
+  ["3.6.2","1ki 1 1 1 1"],
+  ["3.7","1kn 1"],
+  ["3.7.1","1kp 1 1"],
+  ["3.7.2","1ks 1 1"],
+  ["3.8","1kv 1"],
+  ["3.8.1","1kx 1 1"],
+  ["3.8.2","1l0 1 1 1"],
+  ["3.9","1l4 1"],
+  ["3.9.1","1l6 1"],
+  ["3.9.2","1l8 1"],
+  ["30","5q 1jq b"],
+  ["304","eq"],
+  ["31","1qa 1"],
+  ["32","40 4p 4 5r 4v 1 bv"],
+  ["337","en"],
+  ["35","i 1"],
+  ["4","ax w f4 8f 9 70 a e l 3 j 2 2 6 2 22 1u 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 16 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 35 d 7 3 j q 1a 1 9 4o"],
+  ["4.1","1f6 1 1 1 1 1 1 1 1 1 1 62 1 1 1 1 1 2t"],
+  ["4.2","1fh 1 1 1 1 1 1 1 5y"],
+  ["4.3","1f0 p 1 1 1 1 1 1 1 1 1 5p"],
+  ["4.4","1fz 1"],
+  ["4.5","1g1 1 1 1 1 1 1 1 1 1"],
+  ["4.6","1gb"],
+  ["42","53 8k 1z 2 av lm 2 cq"],
+  ["5","fo jc 7w e 1n 2 n 4s 5t 1 1g 1 1 1 1 1 1 1 7q d"],
+  ["5.0","5"],
+  ["5.1","1lw 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1"],
+  ["5.1.1.2","1gn o 4"],
+  ["5000","ek"],
+  ["6","es u5 2 m 58 1b f 8"],
+  ["6.10.1","1gi"],
+  ["6.10.5","1li 2 3"],
+  ["6.10.5.1","1lm"],
+  ["6.10.5.2","1ax"],
+  ["6.10.5.4","1co"],
+  ["6.3.2.3","1ey 1q"],
+  ["6.3.2.4","1gr"],
+  ["6.3.3.2","1ey 1q"],
+  ["6.3.3.3","1gr"],
+  ["6.4","1jl"],
+  ["6.5","1lx"],
+  ["6.6","1lx"],
+  ["64","40 3q z 4 am bw"],
+  ["66","137"],
+  ["666","1gt 2"],
+  ["7","i0 qx 2 a6 3p 1 1 1 1 1 1 1 1 1 1 6h d"],
+  ["7.1","1n5 1"],
+  ["7.2","1n7 1"],
+  ["7.3","1n9 1 1 1"],
+  ["7.4","1nd 1 1 1"],
+  ["7.5","1nh 1 1"],
+  ["72","1gq"],
+  ["77","137 1 1 1t 6"],
+  ["8","e9 ok 64 2 am 3z 1 1 1 1 1 1 aq"],
+  ["80","pr"],
+  ["8001","ek"],
+  ["8002","ek"],
+  ["9","16x 20 2 8s 1 55 u 1 1 1 1 1 1 1 1 96"],
+  ["9.80665","150"],
+  ["90","139 a 1p"],
+  ["95","139 a aw"],
+  ["96","1e7 4"],
+  ["<=","hn 2 y3 6l 6x"],
+  ["==","29 fe 2 1i 39 1x 8 m w u 2 a5 eo 6g g"],
+  ["=>","me 1bv"],
+  [">=","a 1z 4 fa 2 f 8k t u 30 kh 6j"],
+  ["_","l 1h6 56"],
+  ["__cplusplus","1g0 6z i"],
+  ["__date__","h 4w b 9j a g bp od 7a 1 1 1 3k 6x"],
+  ["__file__","e 7 9v 2p 22 a 5 9 br od 72 6 1 al"],
+  ["__filename__","f cq 22 t bm z"],
+  ["__func__","k 9y 4p s cm"],
+  ["__gfortran__","14f"],
+  ["__has_c_attribute","1oe"],
+  ["__has_embed","1of"],
+  ["__has_include","1od"],
+  ["__lfortran__","1r0"],
+  ["__line__","g 5 9w 2n 23 a 5 a bq od 72 4 1 an"],
+  ["__stdc","1mz 16"],
+  ["__stdc__","1g0 7h"],
+  ["__stdf","1n0"],
+  ["__stdf__","1fz 1 7h 1 1"],
+  ["__time__","i 4w a 9j r bo od 7e 1 1 1"],
+  ["__timestamp__","j 4w 9 4v 4o u bl z yb"],
+  ["__va_args__","6 f 5u 8p i z b0 j7 g 1 3 k 3 3n 60"],
+  ["__va_opt__","f5 1h az k4 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 3c 5z"],
+  ["__vax__","7k"],
+  ["_fpm","s5 1"],
+  ["_openmp","2b"],
+  ["_version","v"],
+  ["_win32","1up"],
+  ["_wp","150"],
+  ["abandon","13q"],
+  ["abbreviat","1q9 3 a 4"],
+  ["ability","hf 1g9"],
+  ["about","7c b 7d cb 1 1 1 1 1 1 1 1 1 1 1 1 1 f4"],
+  ["abov","1hh g 2c 14 9 1"],
+  ["absent","jx cz 1w"],
+  ["absolut","m4 m 4 2 12c"],
+  ["abstract","c6 5s cs 5"],
+  ["academic","147 22"],
+  ["acc","1ey"],
+  ["accept","4o fe 20 10 9 9 9 5i 40 b 9 9 9 86 14 2 1i 3 e 3 m 8 m 3g 5 e 1 1 1 1 1 1 1 1 1 1 9 1 1 1 1 1 1 1 1 1"],
+  ["acceptabl","1nr"],
+  ["access","a5 1f8"],
+  ["accommodat","3s 1ao 72"],
+  ["accompani","4w"],
+  ["accompany","1ov"],
+  ["accord","44 r6 o 7 ep f 30 25 3u"],
+  ["according","6s"],
+  ["accum","18o 2"],
+  ["accurat","54"],
+  ["accustom","17o"],
+  ["achiev","hq"],
+  ["acquisition","ky"],
+  ["across","3v 1r 7c ee bt 3 4 y 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 4 46 h"],
+  ["act","181 k"],
+  ["action","f0 ep 152"],
+  ["activ","m 1f 1 1 1h 1 3 2g o a 3 3 t 7 o 1 g d 5 37 p pp l4 2 2 2n"],
+  ["activat","1x n f 65 je"],
+  ["activation","1ub"],
+  ["acyclic","bs"],
+  ["ad","cn 88 6g l b9 2 j 3t gl 8 1 1 1"],
+  ["adapt","ey d8 c4"],
+  ["adaptation","13q"],
+  ["add","o 6 1 9v 7 1 4m 2 2 2e 2 a9 1v 1 1 1 10 eu 2 2 gr 5 x 47 1w b 5"],
+  ["add_","8r"],
+  ["add_definitions","160"],
+  ["add_edge","br 2 2 1fp i 1 1 1 1 1 1 1 1"],
+  ["add_item","u8"],
+  ["add_item_from_name","u9"],
+  ["add_item_from_name_and_value","ua"],
+  ["add_range","ub"],
+  ["add_to_loop","8x 1 1 1"],
+  ["addition","f9 6e l0 71 l 7b"],
+  ["additional","a1 9 km d1 5l 2x 17 30 z 23 5c 5"],
+  ["additiv","1ft"],
+  ["address","sv ao av"],
+  ["adher","1dh aj"],
+  ["adjacency","bj 1g0 c"],
+  ["adjacent","1cf 9 22"],
+  ["adjust","1dm 3"],
+  ["adjustl","pe"],
+  ["adjustment","17k 8"],
+  ["adopt","16z c"],
+  ["adoption","136"],
+  ["advanc","l o3 gz"],
+  ["aesthetical","17e d"],
+  ["affect","a3 2z v0 67 2c 29"],
+  ["after","2k l gg 5t 6 5 52 a 4p 87 3 1 14 1l 3 4 1r 2e 20 f 7 6 m g k r s r 1 1u 1 47 46 1w"],
+  ["ag01","180"],
+  ["ag03","181 5n"],
+  ["ag05","182"],
+  ["ag07","183"],
+  ["ag11","184"],
+  ["ag13","185 3q"],
+  ["ag15","186"],
+  ["ag17","187"],
+  ["ag19","188"],
+  ["against","c0 xg 14"],
+  ["age01","189"],
+  ["age02","18h"],
+  ["age03","18m"],
+  ["age04","18t"],
+  ["agnostic","fb"],
+  ["agre","176"],
+  ["ahead","180"],
+  ["aid","1m0"],
+  ["aim","3r nm by"],
+  ["algorithm","hy m5 1 1f"],
+  ["alic","mg"],
+  ["all","15 v 1l 5 x 1i 2p 7 7 p 8 k o 1b s l z b 13 13 6 4p 27 4c 1h 4 5q 6g 1f 2 12 9 h 4 i 8 4 1v 15 f q 1h 18 w 3 u x 1 1d 9 1r 1m 1l 1m 4p k"],
+  ["allocat","kf 6n 3b t 44 h 2f pp p 3a b"],
+  ["allocatabl","fb 9 6s 2 2 9 k 9 9 9 b a 4 i w 7f b 9 9 9 3o su n 3 2z"],
+  ["allocation","1rj"],
+  ["allow","a 1v 1l 2d 1 17 4 5m 1j r 7 2q ao 1w 4 1i 6u 9 b t 36 5v n r y 1o 2l 1 z h 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1"],
+  ["almost","1li"],
+  ["along","16m 2z"],
+  ["alongsid","1ow"],
+  ["alpha","ek pz"],
+  ["already","24 ft a eh 2 7 3 1 2 6g 1 aw a9 3j"],
+  ["also","1s 4c j 16 3h g2 1y d 9n 21 86 2c 1w l d y 21 1 2d"],
+  ["alt_fpp","t8 1 6"],
+  ["alternat","sz 7"],
+  ["alternativ","2k pi 1c mu 1 1"],
+  ["altogether","13j"],
+  ["alway","po 16f 1"],
+  ["am","1qq 1"],
+  ["amaz","sv"],
+  ["ambiguity","17h"],
+  ["ambivalenc","13p"],
+  ["amd","13z"],
+  ["amend","16o"],
+  ["amongst","1eh 71"],
+  ["ampersand","195"],
+  ["ana","z2"],
+  ["analog","1g0 7h"],
+  ["analogous","1dh 15 21 6y 5 a"],
+  ["analysis","bf 3t 5 rz q6"],
+  ["angl","c bn 8 e 6 2"],
+  ["annotation","4w"],
+  ["announc","1kh"],
+  ["another","lv ar lz g fb 1 1 1"],
+  ["ansi","e0 2 5 m 6 di 154"],
+  ["answer","tl ik 2"],
+  ["any","2i 50 37 4b 4a l 7 2b p 9 9 9 1v 1p 1i f 41 b 9 9 9 8s c m 2 1g 2b h b 1k a 2 i i 1 3 x r 1 4 5 1r o 5 4 2 r a i 12 1 1 1 o 2 3m j 46 29"],
+  ["anyon","sy"],
+  ["anyth","1g4"],
+  ["api","r9 160 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1"],
+  ["app","rv 16e"],
+  ["app_openmp_mpi","1y9"],
+  ["apparent","d6"],
+  ["appear","173 1 d k 13 s w g k l 3 4l 1 l 2 6 1 x r 9 1k 4"],
+  ["append","8w 1 22 j0 1 mk am 7g"],
+  ["appendix","1dh 1 1 1 1 1 1 1 1 ab 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1"],
+  ["appl","jb 5c cj"],
+  ["appli","16o"],
+  ["application","be d3 3e bw f mt"],
+  ["apply","48 a 4 3 14f 2q 1v j d"],
+  ["appreciat","sv"],
+  ["approach","1ek cz"],
+  ["appropriat","o7 73 o 7"],
+  ["approv","16k 1 9s"],
+  ["april","1e7"],
+  ["arbitrary","1u 6l 168 2z"],
+  ["architectur","jg 2 8a bf s"],
+  ["area","fk"],
+  ["arg","t8 1 1 ig 2 1 3"],
+  ["arg1","5z jf 3 1 2 2 2"],
+  ["arg2","5z"],
+  ["argu","13j"],
+  ["arguab","146"],
+  ["argument","4r 1c 7o 1j 5h 1b 7 s 1 8 1 8 1 8 1 4w f 5 42 a 1 8 1 8 1 8 1 e 8b 1 1 1 c 2 d 2 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 3 1 1 2 3 7 3 2 2 3 5 2 1 8 2 2 2 8 5 1 1 1 1 2 1 1 9 2 m 1 j 17 1 1 1x 1d 1z 2n 2e 7y 24"],
+  ["aris","1ge"],
+  ["arisen","1eh"],
+  ["arithmetic","hh a0"],
+  ["aros","16n"],
+  ["around","mh 8p"],
+  ["array","fb 30 1 67 3 25 8 3 2y d o 5 b 9 b 7 4p 1 7 4 6 2 4 2 4 2 4 2 1w 2 q w 2 2g n1 e 7 c"],
+  ["ascii","1v2"],
+  ["asctim","1nb"],
+  ["aspect","1nr"],
+  ["assert","l"],
+  ["assertion","l rb ea"],
+  ["assign","18i d 2 d1 1 9h 7"],
+  ["assignment","oc 9 16v 1 1 1 1 1 1 1 1 1 1 1 1"],
+  ["assist","1dh aj"],
+  ["assoc","1m1"],
+  ["associat","4v 8z na ne o 3e f"],
+  ["associativity","hi 8 149"],
+  ["assum","a6 jh q8 1"],
+  ["assumption","7c"],
+  ["astrophysic","14p"],
+  ["attempt","6z bw kb 4 1 1 1 1 1 1 1 1 1 1 1 1 1 2 ar"],
+  ["aug","h 2"],
+  ["author","1li"],
+  ["auto","12w"],
+  ["automat","137 2w"],
+  ["automatic","8i 34 cp"],
+  ["automatical","63 q 2f 25 5f 1f1"],
+  ["autotool","15v"],
+  ["availability","14h"],
+  ["availabl","a7 1 i0 o0 3t 4 1o 1j 4 22"],
+  ["avoid","3t d 5z ec eu 3 o5"],
+  ["awar","kq"],
+  ["awareness","1g1 1 1 1 1 1 1 1 1 1"],
+  ["b","l 3c t 1n 2c 2 2x 5w c4 95 1q 28 5 1f 5 h 2 9 3 2 c 3 2 b 2m 2 2 1"],
+  ["back","e7 kk 9 dw fg"],
+  ["background","ew rn 1 1 1 1 1"],
+  ["backslash","ae 14e 1s"],
+  ["backward","pb"],
+  ["balanc","3r zz 4b"],
+  ["banana","on a9 2 2 2 24"],
+  ["bar","10c w"],
+  ["bare","1vd"],
+  ["bas","4z 6j 2n 3t 14 9 b9 8o g 4 2v c c 75 7 1d 7h 1q 2z 1 12"],
+  ["base","hk 3 6l 2r 5u 5z 1 3"],
+  ["basenam","f nm"],
+  ["basic","8k ag 31 2j ar h 2f 3k 85 m 1 1 j6 3 1 2 1 1 1 1"],
+  ["batch","to"],
+  ["becam","138"],
+  ["becaus","6m b4 p1 7o"],
+  ["becom","2 52 8q w2 11 1i"],
+  ["been","1v 2 7 5e jt l b9 1 3h 1 2q h m 8 1 2w 3 k 1 16 3q p 1 1t"],
+  ["befor","7i 11 1p h p b dj 3x er 4 22 v z j 23 1 1 21 h 1e g 1a t 60 d"],
+  ["begin","a8 b6 1i 2i 3 1u bu 3y 1 w 3 z h g 2h 8d 6 e 1i 3 17 4a"],
+  ["behav","8u n es ai 4l hh 9 9a 3f"],
+  ["behavior","9x 9l js 49 1 8 5p v 4 3 1 1v 13 34 29 15"],
+  ["behaviour","di 1dg"],
+  ["behavioural","a3"],
+  ["behind","1ee"],
+  ["being","50 9y ww u"],
+  ["belong","20 1 1n"],
+  ["below","t4 a2 l 2w p 7o 2p 6 2 d d i b f 1 1 5 8 1i"],
+  ["benefit","15r"],
+  ["bespok","137"],
+  ["beta","ek pz"],
+  ["better","kv 6v bj"],
+  ["between","6t hj 24 ai 2s v 2w m 2u c 35 4j df 7 7"],
+  ["beyond","4e 13r 8l"],
+  ["bg_","ew"],
+  ["bin","jp 3k 9 9 9 5i 40 b 9 9 9"],
+  ["binary","hk mp"],
+  ["bind","1lz"],
+  ["bit","jf 1 jp aq"],
+  ["bitwis","hh a0 oe"],
+  ["bla","14h"],
+  ["blank","p8 5 f 9h h 8 25 2 7 3 6p a 7 1 9 m 8 41 1s 9 a"],
+  ["bloat","oh f5"],
+  ["block","1y 1 13 3f 1y 1e b8 ir 14 6"],
+  ["blue","ev"],
+  ["body","8h 2 d 1 5 3 b"],
+  ["boilerplat","15n"],
+  ["bold","e2"],
+  ["bold_on","eu"],
+  ["boolean","1oc"],
+  ["born","136"],
+  ["borrow","1eb"],
+  ["both","by 1o 8f 8 35 8 q z k b az bg 2k 1 1g 27 cx"],
+  ["bound","4g d z2 7j 2"],
+  ["boundary","1do 3f 2 1 4e"],
+  ["brac","181"],
+  ["bracket","c 98 2f 8 e 6 2 v8 1 j 1f 3o 7w"],
+  ["branch","1x 3 1 2 1 g f m 3 o3 wx 1"],
+  ["break","ae x4 1i 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1"],
+  ["breakag","17n"],
+  ["brevity","1jv 1"],
+  ["bridg","14s"],
+  ["brief","15 121 u3"],
+  ["bring","13q"],
+  ["brown","1b3 2"],
+  ["bt","1pg"],
+  ["buf","6j"],
+  ["buffer","3q e 1 o gj"],
+  ["bug","rc"],
+  ["build","v 7a ds 5 5k 3 9 1 1 1 1 1 1 1 1 1 1i a6 u m k 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 j5 8f 4 a 1 6"],
+  ["build_time","5q"],
+  ["built","d 1 1 1 1 1 1 1 en m ne"],
+  ["bullet","1gn o"],
+  ["burden","13k"],
+  ["but","5m 3u 54 c 3c 81 13 24 3 9o 3 e 2 5 q 5 i 3 1g d 7f 4 1b 7u"],
+  ["c","1s 25 t 4w 22 13 a h 1n 2a 2 7 2w 6 9 2 1f 1 9 5 4i 2c 8j 10 3 8 4 w n 5 1h 1 4 2 1c x 3 2 c 3 2 6 m 25 5 l 1 1 1 1 1 1 1 1 l 3 6 2 2 8 2 6 3 i 2 a 3 f 5 m 2 1 2 1 2 5 z 1 f 2h 2 2 1 a 1e 6 j 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 7c 1w"],
+  ["c2023","1ax 1r"],
+  ["c23","f5 101"],
+  ["c99","6"],
+  ["cach","ir d 1 g"],
+  ["calculation","15r"],
+  ["calendar","5g"],
+  ["call","v 1k 2t 4x m 6 8 2 2 i 2 2 t 11 1l a 2 2 22 6 6 2 2 x i c 4 1t 2 2 n 65 8 p 1o 1u 5w w 4 e 4 1j 5a 4 4 4 4 7 4 4 4 4i 2 3c 6t c 8 49 i 1k e 1 2 4 b"],
+  ["callback","uq 2 4"],
+  ["caller","67"],
+  ["can","ap 8t 7v l 4 6 w 7 1 2 9 am 4t h 1o 31 f 9 1o 6j k 54 2m 2x"],
+  ["cannot","cq 9w us 24"],
+  ["capability","5m lq bv 2k 8i 1"],
+  ["captur","4x od 5"],
+  ["careful","1ea"],
+  ["caret","4w 97"],
+  ["cargo","e7"],
+  ["carry","qc 12q"],
+  ["cartesian","8s"],
+  ["case","bn 87 47 f 5 g 4 i a 4 25 b3 a 16 1f 11 w 6b 2 b 19 y 1 1 1"],
+  ["category","qc"],
+  ["caus","bn 196 1 8 82"],
+  ["cd","rx"],
+  ["central","9x 44"],
+  ["centraliz","3q"],
+  ["centric","138"],
+  ["certify","sw"],
+  ["chain","bs 17x 1 1 1 1 g 1 1 1 1 1"],
+  ["challeng","13k"],
+  ["chang","9h 45 1e 7a 7 2 2 6a ac b2 6l 29"],
+  ["chao","13a"],
+  ["char","ol 16l 2"],
+  ["character","ek 33 2s 1m 1 7 3 1 1 2 6 3 c 1 2 1 1 3 1 1 2 1 1 3 1 1 2 1 1 3 1 1 2 1 1 3 9 2 1 9 4 7 4 7 1 5 e 1 4 7 w 2u 1 1 1 2n 2 4 m 2 1 1 3 3 1 2 1 1 3 1 1 2 1 1 3 1 1 2 1 1 3 1 1 2 1 1 3 5 1 5 e h f 3 1 1 5 2 4 3 a 3 1 1 4 1 7 2 1 3 2 4 3 b 1 2 4 7 3 6 4d v 1 1 j j 1 9 7 1 9 4 i 8 7 1 1 2q 1 w i 13 1 1 1 1 1 7 4 5 a 1 1 1 1 1 7 9 4 1l 2 4 3u 4 f 2 f t g 2 3g 7 5 b u j 3 3 8 3 4 2 3 b 2 e 3 4 2 7 1 q 1 10"],
+  ["character_concat_string","10f 1 1 1 1 1"],
+  ["character_string","1ht 1i 6 17 6 2e 2 4"],
+  ["characters_contain_character","11f 1 1 1 1 1"],
+  ["characters_contain_string","11l 1 1 1 1 1"],
+  ["chdir","ma 7 1 1 1 1"],
+  ["cheatsheet","1dx"],
+  ["check","bp i 67 70 63 9 b 7 57 6 6 6 1y"],
+  ["check_bounds","13x"],
+  ["cherry","on cj"],
+  ["chksiz","45 1 ly"],
+  ["chosen","3r"],
+  ["chunk","45 lz"],
+  ["circl","fk"],
+  ["circular","bq 3i 5 1e e5"],
+  ["clang","e7 r 1e4"],
+  ["clarity","rb bu 1 8 5"],
+  ["clash","138 e"],
+  ["class","ek 1ay 3v 14 n 1u"],
+  ["classic","9 hf a6"],
+  ["classical","hf bj 14q"],
+  ["classif","ql"],
+  ["classifi","1ww"],
+  ["classification","q8 17k"],
+  ["claus","1ey"],
+  ["clean","m1 4a 6u 10l j"],
+  ["cleanup","8i"],
+  ["clear","qg g7"],
+  ["clear_item","ug"],
+  ["cli","0 1xv"],
+  ["climat","138 1h"],
+  ["clock","1qe 1 1 1"],
+  ["clon","rx"],
+  ["clos","6y f0 l5 1 d j 12 h 1a z 2i kh"],
+  ["cluster","13z"],
+  ["cm03","19y"],
+  ["cm05","19z"],
+  ["cm07","1a0"],
+  ["cm09","1a1"],
+  ["cm11","1a2"],
+  ["cmak","14p 16 4 9"],
+  ["cme01","1a3"],
+  ["cme02","1ac"],
+  ["cme03","1ai"],
+  ["co01","1h9"],
+  ["co05","1ha"],
+  ["co07","1hb"],
+  ["co08","1hc"],
+  ["co09","1hd"],
+  ["co11","1he"],
+  ["cobbl","137"],
+  ["coco","136 4 1 1 1 1 1 1 1 1 1 1 1 1 1 2 1 ap"],
+  ["cod","s6"],
+  ["code","o 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 l 1 d 1p 5 3 j 3s 4v 3 f h t 4x 2p 24 2g 8 l 1m 9n 1 1 1 1 2 3 7 2 4 2 4 1 8 2 1 7 b 1 8 5 2 4 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 3 5 1 2 3 6 1 1 w 2 3 3 2 2 1 3 6 12 h f u 4 b l l c w 6 1 1 c 1 3 1 1 3 4 1z g 4 8 d d f 4 9 8 6 3 5 3 9 6 o 7 3 5 3 6 2 4 2 5 5 8 u f 2 2 4 5 2 i 7 8 7 28 46 y 18 r b h"],
+  ["code_line","op"],
+  ["codebas","139 u 3 w"],
+  ["collect","8j j e d j5 ey"],
+  ["collection","8h 1r"],
+  ["collectiv","185"],
+  ["color","e0 2 8 h 2 6 di 154"],
+  ["column","138 bl 1a 1 f 7 1"],
+  ["com","rx"],
+  ["combin","1w 11u i8 1"],
+  ["combination","md p 9 9 9 9i b 9 9 9 a 1j t nl"],
+  ["comm","141"],
+  ["comma","181 1 1 i 2o 2f 54 2s 2q"],
+  ["command","0 rd v 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 i 2 1 3w 10p 2"],
+  ["comment","ac ae b a 3e 3v fa 6 2 1 z 1 2 e 1 c 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 2w 2 y 9 1 1 1 1 1d 4 2 2 5 1 h 2 1 1 1 1 1 1 3 1 25 d 3 2 3y 3 a3 7"],
+  ["committe","13a 42"],
+  ["common","1 1 1 1 1 1 1 1 1 1 1 1 a 3 4u 1t 3f 8w jm f 3 2 e 4 j 8 6 5 e 5 c 88 bs o 7k"],
+  ["common_blocks","154"],
+  ["community","rb 1k aa 5 9 6 1"],
+  ["compact","5c pp uc 4"],
+  ["comparison","pn w al cd 81 1 1 1 2f 8c 7 7"],
+  ["compatibility","143 a v gp"],
+  ["compatibl","o9 q6 jc 3"],
+  ["compell","1fy"],
+  ["compil","3p 5 4g jw bm tj 5 f"],
+  ["compilation","m 16 i 2 1j c 35 bh 9 1m f g i 5b 3 1q 40 60 1 3 1 1 6 b 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 aa 1h 7h c 9x"],
+  ["compiler","4w q 8x 3 c cs 1 9 1 1 15 3 4 1 4 9t 5 3 f b 2 1 35 1 6 6k 1 2 1 4 ak 3k h 39"],
+  ["complet","1s 3o 1l 6 b i 7 6v o dx l gk u 2"],
+  ["complex","n 7q 1 7 2 4 2 ij e0 w 86"],
+  ["complexity","13e 6 2r"],
+  ["complianc","so"],
+  ["compliant","bx 13 bh 2w d 15u"],
+  ["component","5i 9 4e c1 1v 99 s3 6 1g d 15 3d"],
+  ["compos","1ax"],
+  ["comprehensiv","1ph"],
+  ["compris","1as 7q h q i 1l"],
+  ["comput","qd y 1 3y o 7 71 2 5 b 2 1 i2"],
+  ["computation","5l"],
+  ["computational","14p h5"],
+  ["computer","136 1"],
+  ["con","17f 1 1 1 1 1 6 1 1"],
+  ["concat","l 5s 2c 2 fz 1 1 1 1 1"],
+  ["concatenat","ov ba f 6 6 bh"],
+  ["concern","13m 28"],
+  ["concis","136 2o"],
+  ["concurrent","a6 9f"],
+  ["cond","l"],
+  ["cond_depth","21 h"],
+  ["cond_stack","21 i 1m0"],
+  ["cond_state","1om"],
+  ["condition","85 i8 df h g8"],
+  ["conditional","8 1 1 c d 7 l 1 2 1 1 1 1 1 1 1 1 2 1 2 2 2 1 1 1 1 1 1 1 1 j 3 g a 1 1 a 2 1 1 1 1 q 1 17 6 5 y 2 2 2 9r o x 1m f g i 48 4 a p 3 5q 60 1 2 1 1 1 6 b 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 6 4 4 s n 87 m 4 1 1 9 1 l 2 2 t 2 19 1i 1 2 1 1 1 1 2 1 2 9 1 1h 1 3 4 5 r o c p 1 1 5 2 2 8h g 3"],
+  ["config","ck"],
+  ["configur","15y"],
+  ["configurabl","1qy"],
+  ["configuration","s 2y 3m 9 4 9 1y 1 1 7 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 5 i ul e km 6 6e 12"],
+  ["conform","5m f9 12w"],
+  ["confus","17j"],
+  ["congruenc","5l"],
+  ["conjoin","1el"],
+  ["connection_max","ek"],
+  ["consensus","1li"],
+  ["consider","sv e8 13 7s 2i 6 a 2z 12"],
+  ["consist","7g a6 qh kj"],
+  ["consistency","81 7 wo"],
+  ["consistent","13c 19 9v"],
+  ["consol","rv"],
+  ["constant","10 7 n 1b k 6 dk 1r d j 67 d0 1k 2 1 2 1 d 2 1 9k 2 2 1 12 2 1 v 4t 14 a 4 w 90 d"],
+  ["construct","3q i 8 19 2 p1 8x 2 g a2 n 51 1 1 1 1 1 4 1 1 1 1 1 1 1 1 4d j v 1c a 1w d 5 m l"],
+  ["construction","5i 1k1 1 29"],
+  ["constructor","vc 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 c4 gk 1 1 1 1 1 1 1 1 9 1 1 1 1 1 1 1 1 1 1 2 4 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1e 1 1 1 1 1 1 1m 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 f 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 4 1 1 1 1 1 1 1 1 1l"],
+  ["consum","51 cp n"],
+  ["consumption","3t"],
+  ["contain","2m 5 5 b 5 5 1f 1w 9 6 t 7 v 3g d fc 12 1 d 7s 6 6 6 32 37 1f 1b x 1 2o e 1f y 5 2v 1 2 1 14 h 1n 3 8b"],
+  ["container","fb 3i 5t"],
+  ["content","m 1l 2z 2 2 6x m 3 29 9w w 2z s 19 c4 9j 2z 1b 42 8 2 6o"],
+  ["contentious","rb bu"],
+  ["context","11 7 1e 5 5 5 3 3 5 5 1d 1 1 1 4 3 1 1 1 2 1 x j 2 9 6 o 5 7 13 5 a 6 29 r 7 p 5 2 5 1h 2 2 5 b x 1e 64 78 i b8 hg 1 1 1 2 2 6 2 3m 7 2 45"],
+  ["conti","si 1"],
+  ["continuation","1 l 8 3s k 2 2 15 10 2y 9 5 3i b 9 1f 3 m 1 r 2v 1 e 1 a g 2q a 5 19 1d 11 1 f 88 5w 1 1 1 b 1 1 1 3 2 1 2 c x 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 7 5 7 3 5 3 1z y c n 6 1 1 12 k 2 3 1 1 3 2 2 h e 6 2g 2 1 1q 2 2 1f b5"],
+  ["contribut","sv 1 am"],
+  ["contribution","sv 1"],
+  ["control","ac 4n pl 9p hz 28 1 1 1 1 1 1 1 1 1 1"],
+  ["controll","9x 5 uo fh 1 1 1 1 1 1 1 1f 2 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1f 2q"],
+  ["controversial","136 3h"],
+  ["convenienc","1s i3 93 28"],
+  ["convenient","10y"],
+  ["convention","13p"],
+  ["conversion","og e9 8 nc"],
+  ["convert","hn 2f 4z w cn 4 3 2 2 4"],
+  ["coordinat","lf"],
+  ["copy","tn 3j 59 ml"],
+  ["core","f1 h y 42 cn 10h 3"],
+  ["correct","25 3y v 59 5r 43 lg q9"],
+  ["correspond","4z 1z 20 87 2x f7 e 3 e 6h 47 4 1 c 16 13 b1"],
+  ["could","sp u 3 9v sp"],
+  ["count","4r"],
+  ["counter","1rj"],
+  ["counterpart","1m0"],
+  ["cover","16l"],
+  ["cpp","rb k 9 1 t n 1 1 1 1 9g 3 1 1 1 a 3 2 2u 7q 2 4 6 1 d 1 1 1 y c 55 1 1 1"],
+  ["cray","138 r"],
+  ["creat","55 r 5t h6 t 1 17 2a 86 jm 1 3v 1y"],
+  ["creation","qi"],
+  ["critical","rc cu k 11"],
+  ["cross","it 3c hj ul"],
+  ["cs01","1gx"],
+  ["cs03","1gy"],
+  ["cs05","1gz"],
+  ["ctx","2m 5 5 5 3 3 5 5 1p 2 1t 6 t 7 13 e 37 13 25 x 1f d7 5 i so"],
+  ["cuda","16b"],
+  ["culminat","136"],
+  ["curly","181"],
+  ["current","g 4 1e 3 2 f 5 5 5 b 5 5 2 4 1t q y 25 f 4 2a a 4 3 e y 2 1f g d q 8 19 16 c 1e z 2 7 5 2 2n 6g as 5 u 1 1 3 2 3 8 6h 23 21 g 2g 8 1h 2 18 8"],
+  ["current_macro","bv"],
+  ["custom","7r 2z 7i l2 2u"],
+  ["custom_gemm","14j"],
+  ["customiz","be rt ns"],
+  ["cwd","cs 1 9t 1 1 1"],
+  ["cyan","ev"],
+  ["cycl","bk 5 2 3p 1c0 v 6 1t"],
+  ["cyclic","bg 5c e9 zs"],
+  ["cygwin","in l"],
+  ["d","mq 5k 1 z 1 4 4 fs 2 f 2 k 2 6 2 f3 c 7"],
+  ["d0","14n"],
+  ["darwin","jb"],
+  ["data","46 am p9 15 j d"],
+  ["data_local","141"],
+  ["databas","ek"],
+  ["date","12 7 42 1 5 2 3 8y a3 yn 2 21 4 7 1 i 1 75"],
+  ["date_and_time","5h"],
+  ["datetim","5c 6 6 1 1 1 1 2 1jk 2 2 4 5 2 a 2 r"],
+  ["davidpfister","rx"],
+  ["day","5l xm k8 2i d 1 1 1"],
+  ["dc","ek 8"],
+  ["dd","5o 1hn 30"],
+  ["ddd","5o 2 1jq w"],
+  ["dddd","1qd"],
+  ["ddebug","0 1y2 7"],
+  ["ddthh","1qw"],
+  ["de","1eh"],
+  ["deactivat","sj 3 1"],
+  ["debat","rc"],
+  ["debug","a b 1 1n 8 2m 16 8 4g 4p 2g 8b 5 1 t bt 4 7 e 1 2 uj"],
+  ["debug_print","l f1"],
+  ["dec","1qm"],
+  ["decad","rb bu ac aj"],
+  ["december","1qn"],
+  ["decid","3m 1cc f"],
+  ["decimal","hk xl"],
+  ["declaration","152"],
+  ["declin","159"],
+  ["decompos","1hf"],
+  ["decry","rc"],
+  ["dedicat","5m"],
+  ["deep","25 p6 bu"],
+  ["deeper","1jl"],
+  ["def","tk"],
+  ["default","45 78 31 l 1 cr 9 15 3o tg n 40 x 2n"],
+  ["defer","8h h ce p b a do 1v 7 7 f1 g6"],
+  ["definition","t 5 t 1 1 1 1 1 1 1 1 1 1 1o 1 1 1 1 1 1 t 6 1 1 1 1 1 1 1 1 1 1 7 1 1 1 1 1 1 1 1 1 1 1 9 1 1 1 1 1 1 1 1 1 1 1 1 3 6 h 2 b 1 1 1 1 1 1 1 1 s 1 1 1 1 1 1 1 1 1 1d 1 1 1 1 1 1 1 1 1 1 p 5 3 c 1 1 1 1 1 1 1 1 1 1 7 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 i 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 h 1 1 1 1 1 1 1 8 3 5 3 b 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1x 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 k 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1j 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 9 1 1 1 1 1 1 1 1 1 1 1 1 1w 1 1 1 1 1 1 1 1 1 1 1p 1 1 1 1 1 1 1 1 1 5 6 1h k i f 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 5 1 1 1 2 1 1 2 1 1 1 2 1 1 1 1 1 1 1 1 1 1 1 1 1 2 1 1 1 2 13 1 1 1 1 1 o 4 1 1 1 1 1 1 1 1 1 1 11 1 1 1 1 1 1 1 1 1 d 1 1 1 e 1 1 1 e 1 1 1 1 1 1 1 1 1 j 1 1 1 1 1 1 1 z 1 1 1 e 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 5 1k c 7 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 21 9 1 5 d 7 1a w b n k 8 8 7 6 1l 2i 6 2 z g 7 1 4o l 1 1 a 1 1 h 1 1 1 1h 1 1 5 3 3 6 1 1 1 12 1 1 1 1 1 1 1 1 8 1 1 1 1 1 1 1 1 1 1 t 1 1 1 1 1 1 1 1 q 1u 1 1 1 1 1 1 1 1 1 1 1 7 11 5 3 3"],
+  ["delegat","wt"],
+  ["delet","1ax 5n"],
+  ["deliberat","5m 17v aj"],
+  ["delimiter","181"],
+  ["demand","138 33"],
+  ["demis","13q"],
+  ["demo_embed","1yc"],
+  ["demonstrat","131"],
+  ["dempsey","tl"],
+  ["denot","1hx 1k"],
+  ["dens","bj 1g0"],
+  ["depend","ht 1ei"],
+  ["dependency","5m 5t 1 9 1 2 3g 5 1e 1 e4 5 9f n3 5z"],
+  ["dependent","2a 120 2i 2h h 8j 14 19 f 9 1 2 2 1g h 4 a"],
+  ["deprecat","7c b i"],
+  ["depth","21 h 1 17 h 8 2 73 1c6 4m"],
+  ["deriv","ho 6l 23 d7 8 15 q6 2p"],
+  ["derivativ","j9 4"],
+  ["descent","hf 9 k 1fg"],
+  ["describ","4w f6 16 ns h 1c 5s x 2o 1 1 1 1 1g 2 8 9y 3"],
+  ["description","15 rz 2 e7 2 6 5 3 6 12 h f u 4 b l l c w 2w g 4 8 d b 1 1 f 4 9 8 6 3 5 3 9 6 1 1 1 5 g 7 3 5 3 6 2 4 2 5 5 8 u f 2 2 4 5 2 i 7 90"],
+  ["descriptor","1g7 3 fj 5 1"],
+  ["design","22 1 1 1 81 41 14 2n v 22 3m 1x cs 5 3c iu"],
+  ["despit","13r 11 9l"],
+  ["destination","1s3 4"],
+  ["detail","f0 e4 di 3a u 34 p 3c 1 1 3o"],
+  ["detect","63 5d a 2 3l 1f 2d g jb pg"],
+  ["detection","bk 3o 8 1b 1r 9 1 2 6 5 h 2i 15c 2u 3d"],
+  ["determin","21 1j 69 7b 2f 33 72 35 ez 1w 3f 2 1 4e 9 5 1 6c v"],
+  ["detriment","1eh"],
+  ["develop","s7 b1"],
+  ["developer","rb 1k aa 2 1 1 a 2 4 3 3 4"],
+  ["development","tn 9n l"],
+  ["df02","1ir"],
+  ["df04","1is"],
+  ["df06","1it"],
+  ["df08","1iu"],
+  ["df10","1iv"],
+  ["df12","1iw"],
+  ["df16","1ix"],
+  ["df30","1iz"],
+  ["df32","1j0"],
+  ["df34","1j1"],
+  ["dfc10","1o3"],
+  ["dfc20","1o4"],
+  ["dfc30","1o5"],
+  ["dfc40","1dl al"],
+  ["dfc50","1dm"],
+  ["dfc60","1dn ak"],
+  ["dfc70","1do"],
+  ["dfc80","1dp al"],
+  ["dfc82","1ob"],
+  ["dfc84","1oc"],
+  ["dfc86","1od"],
+  ["dfc88","1oe"],
+  ["dfc90","1of"],
+  ["dfs","bk"],
+  ["dgemm","14j"],
+  ["dhave_hdf5","160"],
+  ["di00","1hz"],
+  ["di01","1hz 1"],
+  ["di02","1i1"],
+  ["di03","1i2"],
+  ["di04","1i3"],
+  ["di05","1i4"],
+  ["di06","1i5"],
+  ["di07","1i6"],
+  ["di08","1hz 8"],
+  ["di09","1i8"],
+  ["di10","1i9"],
+  ["diagnostic","14 7 16 1x g 1 1 5 6 y h d 6 5 1 3 1 1 2 2 2 2 2 2 4 4 3 4 4w k 1 7 5 3 2 1 8 3 2 3 3 9 2 5v q 7 5r 27 ln 1 2r 2b 1 3 1 4a 1 5 5 3f 1 4 4 4 1 1 1 1 2 2 46 3 6"],
+  ["diagnostic_new","1su 1 1 1 1 1 1"],
+  ["diagnostic_report","58 91 c f7"],
+  ["did","1ef"],
+  ["didactic","1gf"],
+  ["differ","s6 mh 6v"],
+  ["differenc","1dh 1 1 ah 1 7 8"],
+  ["different","jv 93 ac 10 3 c 1f 8a 2 7i cb"],
+  ["differentiat","s6"],
+  ["digraph","br 2 3f 1cc 3"],
+  ["dimension","164"],
+  ["dir","bz ge"],
+  ["direct","97 m 1m 1 7 61 1l 84 j bf y a3 9d 3r 1 4 6 b h 2a 2p s"],
+  ["direction","16n"],
+  ["directiv","1 1 1 1 1 1 1 1 1 1 1 1 1g 1 7 i 4 5 5 9 2 5 5 5 9 1 b x r 1 v 1 9 2 1 3 2 1 1 1 1 3 2 e 1 1 2 2 1 1 1 2 2 2 n g 1 1 c t 1c u 4 4 1 1 1 e 2 1 7 1 3 2 3 6q d e 4 4p 4i 8h 3 2 2 d k h 3e 1t 49 4 5 3 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 t 1 1 1 1 1 1 2 8 4 1 1 1 5 1 1 1 1 1 4 c 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 6 2 1 2 1 1 a 1 1 1 1 5 2 1 5 3 1 1 1 1 2 1 1 1 1 2 1 2 1 1 4 3 1 7 1 1 4 2 1 5 1 1 1 6 2 1 2 2 1 1 2 2 9 1 1 1 1 1 1 1 2 y 7 1 i 2 6 a 1 3 1 b 8v 1 5"],
+  ["directory","a1 9 1q 1 1 1 7 1 1 1 2 1 1 1 1 3 2 4 1 98 5 2 2 7 2 2 1 2 1d 2 4 53 1 1 3 2 1 148 f b"],
+  ["dirpath","me"],
+  ["disabl","ab b i hd as u qq"],
+  ["disable_continuation","am"],
+  ["discard","193 h"],
+  ["discuss","16n 1 6t 1"],
+  ["discussion","16n 7s 1z 1 56"],
+  ["dislik","13j"],
+  ["display","se 2 wg 4k c"],
+  ["disrupt","rc"],
+  ["distinct","1gh"],
+  ["distinguish","6t wf 7"],
+  ["distribut","sx bt"],
+  ["distribution","ik q"],
+  ["diverg","1dh aj"],
+  ["divergenc","1dh 1 1 1 1 1 1 1 1 s 9j 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1"],
+  ["divers","rc bt 3 r"],
+  ["divid","176 eo"],
+  ["dmax_iter","1y3"],
+  ["dmpi","1y9"],
+  ["dnam","th 1 14k 1"],
+  ["dno_debug","1y9"],
+  ["do","7i xz 27 e j 1b"],
+  ["do02","1ie"],
+  ["do04","1if"],
+  ["do06","1ig"],
+  ["do20","1ii"],
+  ["do22","1ij"],
+  ["do24","1ik"],
+  ["do26","1il"],
+  ["do28","1im"],
+  ["dob","ek"],
+  ["doc","me h"],
+  ["document","15 df 8 7o k5 1 1 1 45 2o 1 y i 10 g 7m g"],
+  ["documentation","su 13 9 8 4 5 6 5 4 5 p v s 1m a h h 10 10 q aq 1 1 1 1 1 1 1 1 1 1 ap j v 18 m s 19 y f 1s"],
+  ["doe","e7 sw 1 2 b 1 7 c 6s 2 1 15 i 1 20 g e 4p 9u"],
+  ["doesn","1hm"],
+  ["dollar_insert","gc n"],
+  ["don","149 1l 1o 1 70"],
+  ["done","1ed k3"],
+  ["doubl","ae u7 6d"],
+  ["down","hf 9 1g0"],
+  ["driv","mq"],
+  ["driven","13q"],
+  ["driver","cn gn"],
+  ["dt","5o 6 1pz 5 1 8 4"],
+  ["dtv","1vw"],
+  ["dtvchar","1vu"],
+  ["due","15u 1o 7 57 32"],
+  ["dummy","1vw"],
+  ["duplicat","es 1di"],
+  ["duplication","15c"],
+  ["dur","4m 6 h n 1f 1 17 1u a q 3 1 d x a dm h7 1 1 4 2 y h f 2 1 s 1 1 1 f 1f z 1u 7 d 1 1 1 1 1 1 1 1 1 1l 2q 30 6l"],
+  ["duration","1rb"],
+  ["duse_mpi","1y9"],
+  ["duse_openmp","1y9"],
+  ["dynamic","f9 2 ep 99"],
+  ["dynamical","1sk"],
+  ["e","j1 3v 41 cb 1 4 6 4 c 4 3 7 c 1 i n 9 4 x d 1 6 1m 2 f 2 k 2 6 2 4a 12 7h 2x 1 1 1 5 1 3 1 1 1 1 1 70"],
+  ["e1","1m0 2 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 4"],
+  ["e2","1m0 2 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 9"],
+  ["e3","1m0 2 r"],
+  ["each","22 6h k e p 7i 2 1v 1t ht 1l 60 5 1 3n 3a 1y i 1n 1 2k f"],
+  ["earlier","1fy"],
+  ["early","136 1 3 1 1 1 1 1 1 1 1 1 1 1 1 1"],
+  ["easi","1e8"],
+  ["easier","sp"],
+  ["easiest","1e8"],
+  ["easy","hy 8j yw"],
+  ["ecosystem","rb bu 1 k 12 t1"],
+  ["edge","bj 1g0 c 7 1 7 2"],
+  ["edit","137 3i 3 7f 20 3 fj 5 1"],
+  ["edition","1f6"],
+  ["effect","f0 148 21"],
+  ["effectiv","sv h7 6j"],
+  ["efficient","25 d4 pj kp 1z"],
+  ["effort","1eh"],
+  ["eg","1qk 1"],
+  ["eight","1ej"],
+  ["either","97 cv l3 1 76 3 1q 3 4r 74"],
+  ["elegant","rc"],
+  ["element","m7 8f 8m 81"],
+  ["elemental","oj"],
+  ["elif","2k 4 b 1cq 1 1 1 1 1 1 1 1 1 3o 1 j 1 1 1 1 1 1 1 1 1a 1 1 1 1 1 1 1 2d"],
+  ["elifdef","2p 4 1gt 1"],
+  ["elifndef","2u 4 1go 1"],
+  ["ellipsis","1b7 41 e 1"],
+  ["else","2z g4 5i 4z q2 1 3 j 3 1 1"],
+  ["elsewher","mw"],
+  ["emb","1o4"],
+  ["embed","rd 1d 1 1 1 1 da s6 1"],
+  ["embeddabl","r7 6"],
+  ["embrac","13q"],
+  ["emission","l5"],
+  ["emit","23 1j 1a 29 6 3 1 c s i 6 m 3j hl tr"],
+  ["empty","61 9 n f3 m 1g y o 8 4d 4 6w x 5z 1 a 2t m 1 6i h 23 39 6m 3 y 5 6 1x"],
+  ["enabl","4w 5f 2 2 5 1 2 j 3e y bu bt 4 m 8 23 9u 7h 3i"],
+  ["encapsulat","1qy"],
+  ["enclos","3l 5b 6 5 11r 8u 1"],
+  ["encompass","1gf"],
+  ["encounter","5j 30 x 21 1a p 4b q3 6 1y 2q 1x 60 6y"],
+  ["encourag","13m"],
+  ["end","l 2h 8t 4d p 15 2 z 4 n 7 8c d 2l 3o 6i 8 2b 3 4d 1v 6 23 3 4 j e 6 1x 1g at 2c 4 b"],
+  ["enddef","tk"],
+  ["endfor","9e wb"],
+  ["endif","32 lj 4z 9w g6 1"],
+  ["endur","rb bu l"],
+  ["enforc","7c 9 l3 bx"],
+  ["engin","8g q n 2e 14 27 y"],
+  ["enhanc","ls hw k3"],
+  ["enough","3s 1 1al"],
+  ["ensur","6y bt kl 11 j"],
+  ["enter","us 95 l2"],
+  ["entir","9x wv p 2i u 90"],
+  ["entity","zh h"],
+  ["entrant","hu"],
+  ["entrench","13l 1q"],
+  ["entry","hc j 2y"],
+  ["enumerat","1dh aj"],
+  ["enumeration","qb n"],
+  ["enumerator","qu"],
+  ["environment","c2 5 5 4 6c 1 3 1 b 9 6 1 8e 1l 3i 71 k 18 8a 5"],
+  ["eol","1ho 6 i 3 a e 8 2 a t 8 8 9 2 4"],
+  ["epoch","5s 1kh"],
+  ["equal","ol jj 1 oc 7 7"],
+  ["equality","od cr eo gk 7 7"],
+  ["equivalent","1s 12h 45 5 8 7 e h f 2 5 8 h b 4 4 f 4 4 c 8 8 7 6"],
+  ["era","13o 1 1 1"],
+  ["err","mk"],
+  ["errno","th 1"],
+  ["error","l 2g 1 2 1g a 1 8 1 11 u y 5 42 l 1 1a 4 4 b 9 5j 29 6w 1 1 3b aa e 2 bz x 1 1 1d 4f 3c d 22 1 1b 9"],
+  ["escap","1w9"],
+  ["especial","139 f i j q c"],
+  ["establish","16n 6u aj"],
+  ["etc","e2 5n 14 3n 2h 2 r0 3e 4z 1 5w 1k n 1 1 1 1 1 1 1 1 1 1"],
+  ["evaluat","1u 6 15 1z cb d 4 1 2 4 4 82 2m 2f 3 3 4 2 3 6 3 2 4 1 2 5 ip 4 4q 1 a 2 1 1 1 1 1 1 11 a 1 5 5 r 1 1 1w 8z"],
+  ["evaluate_expression","1u 1b er 4 2 2 2 2 85 b 4n"],
+  ["evaluate_expression_default","vy 1 1 1 1 1 1"],
+  ["evaluate_expression_with_context","w5 1 1 1 1 1 1 1"],
+  ["evaluation","25 3 x ej 3f 5k 4n 8 b 5 4 3 5 m7 1 1 1 1 1 c 1 1 1 6 1 1 6 1 1 1 1 1 1 9 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 4 1 1 1 1 6 1 1 6 1 1 1 5 1 5 1 c 3 6 1 q 1 1"],
+  ["evaluator","hf 1g9"],
+  ["even","6y fy k8 14 6i"],
+  ["event","4w ot v6"],
+  ["eventual","1fy"],
+  ["every","3l 1b 46 13 tf i5"],
+  ["everyth","1yb"],
+  ["evidenc","1ef"],
+  ["evolution","13r"],
+  ["evolv","136 k"],
+  ["ew02","1kj"],
+  ["ew04","1kk"],
+  ["ew06","1kl"],
+  ["ew10","1km"],
+  ["ex05","1lp 1"],
+  ["ex10","1lq"],
+  ["ex12","1lr"],
+  ["ex15","1ls"],
+  ["ex17","1lt"],
+  ["ex20","1lu"],
+  ["ex25","1lv"],
+  ["exact","5m 38 8u 7q 9d j8 3j"],
+  ["examin","to"],
+  ["exampl","1 25 1 1 1 1 1 1 1 1 1 1 1 1f 1 1 1 1 1 1 1 1 y 3 1 1 1 1 1 d 1 1 1 1 1 1 1 e 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 t 1 1 1 1 1 1 1 1 1 1 1 1 p 1 1 1 1 1 1 1 1 1 1 1 1 1u 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 f 1 1 1 1 1 o 1 1 1 1 1 1 1 u 1 1 1 1 1 j 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 l 1 1 1 1 1 2b 1 1 1 1 1 1 1 u 1 1 1 1 1 1 1 m 7 g 1d 1 1 1 1 1 1 1 e 1 1 s 9 9 9 l 1 1 1 1 1 h k c g 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1x 2h 26 b 9 9 9 c 1 1 1 1 1 1 1 1 1 1 1 5 1 1 1 1 1 4 8 1 1 1 1 1 4 a u 1 1 1 1 1 1 1 1 1 t 1 1 1 1 1 1 1 m 9 6 h 4 4 a 4 4 b 6 d 4 4 b 2a 8 5 7 d h g 9 6 h b n k 8 8 7 6 2e 14 2 s p d e 8 c t 8 8 9 6 3n i b c y 1 1 1 1 1 1 1 1 1 1 a 1s 8 d g 1 1 1 8 f 6 b 7 j u x 8 3 1 1 1"],
+  ["exce","1kr"],
+  ["exceed","4k 1j7"],
+  ["except","hn rh 1t 5l 2v 3o"],
+  ["exception","1li"],
+  ["excerpt","eh f9"],
+  ["excessiv","3t l"],
+  ["excis","171"],
+  ["exclamation","19z"],
+  ["exclud","a0 ik b8 h"],
+  ["exclude_comments","ac 1o4"],
+  ["exclusiv","1tb"],
+  ["exe","to"],
+  ["execut","3m 6k 14g"],
+  ["executabl","t4 14r"],
+  ["execute_command_line","j3 y"],
+  ["execution","l2"],
+  ["exist","62 x af f c7 m 8z 42 5u v 1 2 4t 2p 23 4h"],
+  ["existenc","1w g 9v"],
+  ["exit","m0 1c7"],
+  ["exlicit","sj"],
+  ["expand","d a 50 w 1v 7 g 1 3 b 4 23 2 2m 12 c 3 m 1 g 8 e7 o 7 7m 45 2y 2 y l 9 6 2 p 11 1 b 13 1 3 3 22 a 3 d 13 g 18 2f 9u r"],
+  ["expand_all","fh 3 2 2 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1"],
+  ["expand_macros","ab u 4b c n 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1hd"],
+  ["expander","1ru"],
+  ["expansion","3v 7 k i 8 26 s 6 e 2 2 v a 8 2 a h c e 1 19 1 1w 7 3 1 2 2 2 8 1 p 9 3 z n 2d d e 70 1 1 2 1 1f q 8j 33 4 3 1 18 1 1 1 3 2q 1 1 1 1 f m 1 10 16 b l 4 f 7 d 1 1 1 1 1 1 1 1 1 20 d 7 3 j k 6 1 s 2 f 1 1 1 1 1 5 1 1u 2 t 5q b b 1 2n 6 7"],
+  ["expect","e9 go jd 9 1 1v 7d"],
+  ["experiment","tj 3"],
+  ["experimental","143"],
+  ["explanation","e6 10e 1"],
+  ["explanatory","65 1mx"],
+  ["explicit","67 26 1n e 8 7c 16 9f aa l 3d 1 a 1 1 1 d 1 5 1 9y 1 6s 3u 41"],
+  ["exponent","1f5"],
+  ["expr","ia 8g b 4c 2 7 2 c 7"],
+  ["expression","a 1k e x 1o 1t 7n 36 6 5 6 1 2 4 4 3 7 7r 1 c 6 8 2 49 6 4 5 6 3 2 4 1 2 5 3t 5 5 2 4 3 r 3 9 3 b 37 9j 4 1 1 4 k 1 1 1 1 1 1 1 1 1 1o 2l 1 1 1 1 1 1 1 1a 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 4 1b 5 1 1 84 3 4 2 4 s 4"],
+  ["extend","3v e3 go m h 2f 3q bg d2"],
+  ["extensibility","qh"],
+  ["extension","n 15 4 i 24 54 g 14 4b j 1 4u r 6t at 15 mm"],
+  ["extensiv","1ed"],
+  ["external","i8 kz 1 9 9 r c 12 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1"],
+  ["extra","2h dt cb r1"],
+  ["extra_macros","af s 1ft"],
+  ["extract","7x 7 ku la"],
+  ["extraction","m6"],
+  ["extraneous","19e h m 8"],
+  ["f","4q mf 1 1 1 1 1 g 1 4 2 a o 1 ac 53 2 y 2 f 2 k 2 6 2"],
+  ["f77","138"],
+  ["f90","0 e 1 e 2 3 1 1 1 1 1 1 2 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 3d 3 5l 4 2 3 3 2 2 1h 2 x s 3 5 3 u 2 2 66 2 2 4o 6 c 11 o o 1 2 e 9 8 4 5 6 5 4 5 p v s 1m a h h 10 10 q 3b 1 1 79 1 1 c 1 ac c 4 f v x 3 3 5 m s 19 y f 1s 1 o 2 1 7 3 3 3 1 4 3 3"],
+  ["facility","ii 35 1c0"],
+  ["facto","1eh"],
+  ["factor","hq ls"],
+  ["fad","13n"],
+  ["fail","l m0 6w 1 i0 2 2u"],
+  ["failur","mk"],
+  ["fall","e7"],
+  ["fallback","1x 12 94 6p 7"],
+  ["fals","1f1 6u 2h"],
+  ["falsity","1lt"],
+  ["fast","bj 7m 5c 19d"],
+  ["fatal","7e 1 q"],
+  ["favorit","s8"],
+  ["fear","13m"],
+  ["featur","m 1m 3t 1b t 7 1q 6f 42 1k 26 1 ez a 4 1 3 4 7 1 1p rz i"],
+  ["feb","16k 9t"],
+  ["few","1s"],
+  ["fftw","14h"],
+  ["field","1pd"],
+  ["fierc","rc"],
+  ["file","0 b 3 1 k 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 2x 9 4 4 27 4l 2 2 4 3 2 1 4 4 2 5 1 1 2 12 1t 34 x 14 4 1 8 3 k 2 3 3 53 e d 1 8 3 8 a g 4 1 7 1 6 1 8 9 8 4 5 6 5 4 5 p j 1 1 3 2 4 1 2 2 1 1 4 4 e 1m a h h 10 10 q 5 3 1i 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 14 1 1 1j 2s 1w 12 1 1 c 1 3 1 9 3 5 q k b c s 22 1 1 1 1 19 29 3 2 9 5 d i b 7 8 1 3 v 18 m s 19 y f m 16 2 b 7 g 3 3 1 1 1"],
+  ["filenam","df 7 9 3 2c 5w 8 af 6 5"],
+  ["filenotfounderror","th 1"],
+  ["filepath","ms 2 4 2 16 8p"],
+  ["filesystem","iy"],
+  ["filter","1sa"],
+  ["final","2z dy ua hb"],
+  ["finaliz","91"],
+  ["finalizer","bm 1gx"],
+  ["find","cq v7"],
+  ["fine","rd"],
+  ["finish","1ta 1 51"],
+  ["finit","138"],
+  ["first","20 5 9f f l 20 8 2y 11 u 57 4 4 4o 54 7v 17 r k 12 q 5l 57 12 1 1 i b y 3s y 4 3 8 4"],
+  ["first_line","5a"],
+  ["fit","rw bc"],
+  ["fix","3q 4 zh 3e 1 1 1 2n 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 n 2 1 40 5 3 19 3 3 b 7 1 3 b 1 1 7 a3 1 b"],
+  ["flag","a4 9y 9c 9b 8 17 l 16 3 a m0 22"],
+  ["flexibility","3r ia hn 2 u0"],
+  ["flexibl","5k qy 6q 1d mb"],
+  ["flm","17j"],
+  ["float","qw"],
+  ["fmt","5k 1k2 3"],
+  ["focus","5g y6 1 4 3r 7 6u"],
+  ["folder","tn 1"],
+  ["follow","20 5g h 7 23 36 5 c 51 3v 51 h n c q 9 8 4 5 6 5 4 5 p v s 1m a h h 10 10 o 2 4t 4 17 3 e 3 f 7 8 7 10 2 j 2a j b 13 3 12 6 4 g c 22 p i v 3 2 1 3 1o j v 18 m s 19 y f 1s"],
+  ["foo","zc 9 8 9 a w 7p 2 1f 2 6 2 io 1r 7 b 7"],
+  ["footprint","qf"],
+  ["forbid","1o5"],
+  ["forc","12w 4i 3 qn"],
+  ["foreground","ev 1"],
+  ["form","5x 61 1f f fm 9x 3e 1 1 1 d 1v 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 b 6 1 5 2 1 d 1f 28 5 3 10 9 3 3 b 7 1 1 2 b 1 1 7 1z 1 2 7 16 1 2h 4 1m h"],
+  ["formal","169 a5 du"],
+  ["format","5k iv 5h 9c b2 bf j 1 n 4x 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1"],
+  ["formula","15j"],
+  ["forthcom","16p es"],
+  ["fortich","rv"],
+  ["fortran","3s v z 2o 2c 1a 1g 1m 3 17 4a 1 2 f 11 28 7 2q 1 4 1 1 d 3 16 7 1 2 1 5c 5 h h 2f 11 1 1 1 1 1 1 2 1 1 3 1 1 2 1 1 1 1 1 f 1 2 4 8 4 3 a 6 1 6 c 1 2 1 6 3 4 3 1 7 k 1 21 r 2 1 3m 1 1 2 b 6 2 2 2 1 1 1 1 1 4 1 1 9 1 1 i 8 a 2 1 1 1 1 1 1 1 1 1 1 3 4 7 1 1 1 e 1 7 1 4 4 9 1l 5 2 d 3 2 1d f 3 5 1 1 7 1 5 3 u 4 6 f 7r 1j 3 3 3 1 1 2 1 g 1 5"],
+  ["fortraner","rc"],
+  ["fortranic","17e d"],
+  ["forum","tl"],
+  ["forward","92 5"],
+  ["found","cp 23 4y 4x a7 a 9y h 35 1m h3"],
+  ["foundation","1p1"],
+  ["fox","1b1 2 2"],
+  ["fpm","ry 1 1 1 1 1 1 1 1 15p"],
+  ["fpm_fc","s3"],
+  ["fpp","rb k 13 1 1 1 1 1 1 1 1 1 1 1 1 1 1 2 3 1 4 1 1 9h 4 1 b 3 9t 4 3 m 3 3 1 3 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 w 1 3 3 5c 2g 3 1 1 1 1 3 1 1 1 1 1"],
+  ["fpx","0 n 1 1 1 1 1 1 1 1 1 1 1 t 1 4 i 1b t d 1 f 1 a 9 1f 10 1 1b a 9 m f 7 3 9 7 o 2 4 1a 1 10 1f 22 20 14 1 d 48 1 w 1 1 1 1 1 3 1 c 1 4 2 a 1 n 1 2 5o m h 2f mr 6 g 1h l 5r 1 2 1 1 1 1 2 2 1 1 2 3 2 1 1 2 1 1 7 1 1 1 1"],
+  ["fpx_global","p 1 5 9w 1 5 1g3 1 7f 1"],
+  ["fpx_logging","51 9a 1 4 5 3"],
+  ["fpx_macro","ax 1 3 1fz 5 3 78 5 3"],
+  ["fpx_parser","p 6 1 qh 1d 1 15k 1 1 3 b"],
+  ["fpx_string","m2"],
+  ["fpx_token","qd 6 1 5"],
+  ["fragment","13p 13 2c q 1b g 1 d 1 1 3k 2w 8 1 1 e d 4 1u 7 d 3 2 3g l"],
+  ["framework","5g p lr dd w 1 jb"],
+  ["free","5m xp 3f f 1v 1 1 1 1 1 1 1 1 1 1 1 1 1 1 s 6 1 48 8 1c 3 j 1 d 1"],
+  ["freebsd","ip k"],
+  ["frequent","46 11m 8g"],
+  ["friend","51 96 sc"],
+  ["front","tm 1"],
+  ["frown","15u"],
+  ["fruit","116"],
+  ["full","a 4 bj 25 h r 25 34 1v i 1j au 8r id a 71 s 1 1 1 1 1 1 1 1 1 1"],
+  ["fully","hu 6f fh 24 w 64 kx"],
+  ["func","4 1"],
+  ["function","4 g 1h 2o 1a 4 9 j 3 2e 5r d 13 15 2 2w 1q 32 4 z g j 19 2h 7 9 30 8 e h 2f 32 1w 1 1 1 r 2 2 7 1 s 2 1 4 3 7 2 1 2 2 3 5 h 8 5 2 1 3 b n j 19 1 1 l z d 1 1 1b o f m 1 1 5 3 2 2 8 2b 7 1k m 1 o i i 7 1u 1r b q 4 n 1u"],
+  ["functionality","1s 3o 27 5k 115 b5"],
+  ["further","ta 5 a9 76 6q 2i 7"],
+  ["furthermor","1co"],
+  ["futur","a9 g8 g6 ey 27"],
+  ["fypp","rb 25 1 1 9n j 1z 1 3 3 a"],
+  ["fypp_example","th 1 2"],
+  ["fyppfatalerror","th 1"],
+  ["g","br 2 78 3v 41 cb 1 4 6 4 c 4 3 7 c 1 i n 9 4 x d 1 6 1m 2 f 2 k 2 6 2 fq 1 1 1 5 1 3 1 1 1 1 1 p 6b"],
+  ["gain","13o 23"],
+  ["galaxy","rb bu"],
+  ["gap","14s"],
+  ["garbag","17j"],
+  ["gather","17y 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 h f 2 1 3o"],
+  ["gcc","j3 8q 1t 1 1 1"],
+  ["gcchack","tn"],
+  ["ge01","17u 5r"],
+  ["ge03","17v"],
+  ["ge05","17w"],
+  ["ge07","17x"],
+  ["general","bh wc 1 1 1 1 6c 5e 4e"],
+  ["generat","4k 1 7 27 1c i 3 6 4 16 2u d 4 1 fm n 9 8 4 5 5 1 5 4 5 p v s 1m a h h 10 10 q 2k 8 9 1f eb 1t 15 j v 18 m s 19 y f 1s"],
+  ["generated_procedure","dp"],
+  ["generation","4w 3u 2 ik ea 5 c"],
+  ["generator","d9 1l1"],
+  ["generic","x 3i 4b 5r 7w p 9 9 9 l 4e y 2n y b 9 9 9 9 m h 2f 1k 1z 5 2 8k ed 5n"],
+  ["get","ez 1 c8 p a 18 14g"],
+  ["get_environment_variable","14f"],
+  ["get_item","uk"],
+  ["get_os_type","j1 4 2 c 1 1 1 1 1 1 1 1 1 1 1 3 g"],
+  ["getenv","14f"],
+  ["gfortran","j3 8n a cd"],
+  ["git","rx"],
+  ["github","ra n br i j k z"],
+  ["giv","139"],
+  ["given","pe 5q 6b 6 6 6 z 5e d 7 1a w b n k 8 8 7 6 19 91"],
+  ["global","p 1 1 1 1 2 h d u 46 37 1 1 7 6 g 1 1 1 1 2 8 2 2 3 1 1 1a 1c 3q 4 aj 4t tr 2 1 1 1 1 1 9 2 62 4 v 1 1 1 1"],
+  ["global_settings","r a2 1g9 7g"],
+  ["globalincludedir","c1 a 4"],
+  ["globalundef","64 v"],
+  ["gnu","ja 9o bf"],
+  ["go","z 1 1 1 1 1 l 1 pe fb 1 1 79 1 1 c 1 ac 8r"],
+  ["goal","qe 1h bg b6"],
+  ["goe","ta 3m"],
+  ["govern","1nr"],
+  ["gpu_backend","2f"],
+  ["gpus","13z"],
+  ["graceful","bl"],
+  ["grammar","ho 2 16i"],
+  ["graph","1d d 9p 1 1 8 6 3i 1c3 1 1 1 2 4 2 4 4 2 1 3 9 5 1 4y"],
+  ["graph_final","1si 1 1"],
+  ["grappl","13k"],
+  ["gravity","14y"],
+  ["gravity_constant","14y 2"],
+  ["great","0 sv"],
+  ["greatest","1lt"],
+  ["green","ev"],
+  ["greet","1yr"],
+  ["grew","136"],
+  ["group","1x 3 4 g 1dd 3q 6 9 2 5 1 1 1 1 1 1m 2p"],
+  ["grown","1ea"],
+  ["guarante","8w 92 14t 1 1"],
+  ["guard","9 d 1k ih 1dh"],
+  ["guid","sv ll"],
+  ["guidelin","sv"],
+  ["h","0 c bm m 2 4 fo ck 1 4c 2 f 2 k 2 6 2 2o 2 d0 2 7s"],
+  ["hack","sy q"],
+  ["had","13k bw 4f 1"],
+  ["hand","hq j3 1 2d t7 1"],
+  ["handl","7b 1r 1k 1a 14 25 5 2b 5 25 10 4 1 11 2g 9 5 1w 8 2o 14 f 7n e 2 10 2g 1c z h 2x 2g n y 12 7 5x 9y 1 6"],
+  ["handle_define","6r 1 1 1 1 1 1 1 1 1 1 1 1"],
+  ["handle_elif","2k 1 1 1 1"],
+  ["handle_elifdef","2p 1 1 1 1"],
+  ["handle_elifndef","2u 1 1 1 1"],
+  ["handle_else","2z 1 1"],
+  ["handle_endfor","91 1 1 1 1 1 1 1 1 1 1 1 1 1"],
+  ["handle_endif","32 1 1"],
+  ["handle_error","7w 1 1 1 1 1 1"],
+  ["handle_for","9f 1 1 1 1 1 1 1 1 1 1 1 1 1"],
+  ["handle_if","35 1 1 1 1"],
+  ["handle_ifdef","3a 1 1 1 1"],
+  ["handle_ifndef","3f 1 1 1 1"],
+  ["handle_include","cr 1 1 1 1 1 1 1 1"],
+  ["handle_line","dq 1 1 1 1 1 1 1 1 1"],
+  ["handle_undef","74 1 1 1 1 1"],
+  ["handle_warning","83 1 1 1 1 1 1"],
+  ["handler","7i ne"],
+  ["hard","s6"],
+  ["hardwar","138 r b i"],
+  ["has","1v 2 7 e6 1k 9h l 1s 9h 1 3h 1a 6b 2 d i 1d 2q o 1d g 30"],
+  ["has_extra","g9"],
+  ["has_met","24 1mg 2 3"],
+  ["have","7i w6 30 3 f 23 5 c 5 m 8 1 2w 3 k 1 7 p 19 27 k 2c"],
+  ["have_hdf5","162"],
+  ["have_mkl","14j"],
+  ["hdf5","16b"],
+  ["head","m7 1u 6 p 1 1 1 1 un 2 1 g 1 1 1 1 1 2 1"],
+  ["header","9 d 1l 79 33 2 3 f7 1 da au 7h 5p 4y"],
+  ["heavy","13e 8 1m"],
+  ["hello","fk 91 16 3t 8o 9t 2 m6 i"],
+  ["hello_world","op"],
+  ["help","0 e4 ea h bf 32 93 ht"],
+  ["helper","21 mf"],
+  ["henc","17n"],
+  ["here","15 dn 7x 69 l jd x hk 1w"],
+  ["hexadecimal","hk"],
+  ["hh","5o 6 1hl 30 2"],
+  ["high","rc cc 3 2h gh"],
+  ["highest","1m0"],
+  ["highlight","e5 pk l7 46 7"],
+  ["hint","sy"],
+  ["historical","1ea"],
+  ["history","135 1 ap"],
+  ["hoc","rb bu 2 j"],
+  ["hold","ql 16b"],
+  ["home","me h 6n"],
+  ["horizontal","1h1"],
+  ["host","13o"],
+  ["hour","1nf 2j g 1 1 1"],
+  ["how","16p 37 u 3j 7p 1"],
+  ["however","138 a 2c 27 5g t 78 2i"],
+  ["hpc","13o 3 f 12 13"],
+  ["http","rx"],
+  ["human","e1 61 18p"],
+  ["hurdl","13q"],
+  ["i","cb 4 7 6 1 bm 3y x 1 4 1 9m 5 k 1q 4 l 35 h m 2 6 2 q 2 1w 4 1i 12 7h 8j 1 24 4"],
+  ["iand","1m6"],
+  ["ibm","138"],
+  ["ic01","1nl"],
+  ["ic03","1nm"],
+  ["ic07","1nn"],
+  ["ic10","1no"],
+  ["ic11","1np"],
+  ["ic12","1nq"],
+  ["id","1d6 2 4j l 3 3 7 2 1 7 4 2 3 1 e 8 1 1t"],
+  ["ide","e7"],
+  ["idea","1ei 1 1"],
+  ["ideal","1ya"],
+  ["identical","1f2 3j 1 f"],
+  ["identifi","jh r9 gs"],
+  ["identification","iv nq 1 18 86 2a d 7 3 j q 1a 1 1 1 1 1 5 1r z"],
+  ["identifier","6z 2k 1z 5q b 4 4 1 1 1z 5 g 66 5 9 1 1 gw 1 2w 1 f 1 j 1 39 1u 1 1 1 1g 6 4 2 1 1 1 7 5 2 1r n 3 1d t 6b p"],
+  ["identify","63 7w q tb gv 46 3"],
+  ["idiosyncrasy","1eg"],
+  ["ids","1lr"],
+  ["idx","hb 87 g3"],
+  ["iec","13a"],
+  ["ieor","1m7"],
+  ["ierr","ml hg"],
+  ["if","8 d 1x 2 5 5 5 6 4 1 5 6 3 3h 31 1p 20 2d 3 1 l 1 1 d 2 e a 2 z 4 j 5 2 2 2 2k 1 4 4 2 4 1l f 7 7 4 2 c 7 3g 1 1q 1 9 b 3 6 1 7 h 3 1w 1 1 a 6 h 1l 8 6 6 6 4 19 1 o 5 2u 1 d o 1 2 x 2 3 b 3 3 m 8 7 4 d l 1 1 h 2 9 2s 9 1 1 1 1 1 1 1 1 1 a 12 p n m a 1 3 1 2 1 5 1 a 1 1 1 1 1 1 1 1 7 8 v 1 1 1 1 1 1 1 2 b 1 1 1 1 1 b 3 1 1 2 g 1 4 s 3v e 1f 1y 5 2 g 7 7"],
+  ["if05","1jp"],
+  ["if15","1jq"],
+  ["if20","1jr"],
+  ["if25","1js"],
+  ["if30","1jt"],
+  ["ifdef","3a 4 1g8 1"],
+  ["ifil","wz"],
+  ["ifndef","3f 4 1g3 1"],
+  ["ifort","s0 1 2 ca"],
+  ["ifx","th 1"],
+  ["ifxarg6dl4me","ti"],
+  ["ifxargbf8bjw","th"],
+  ["ignor","20 43 1 v 4m 1y 44 6h 1i o2 32 4d h 6j 40"],
+  ["ii","137"],
+  ["iinc","0"],
+  ["ij","19d h"],
+  ["illustration","1jm"],
+  ["illustrativ","1hi 1 4 1 1 7 1"],
+  ["immediat","7e j z k 40 2 c 16 vw 5o 3 1c g c"],
+  ["impact","149"],
+  ["imperfect","138"],
+  ["implement","1s 44 8 17 7 t 3m 14 21 1e z 9 k 2b 3q q3 a8 94 3"],
+  ["implementation","20 1q 4 1 1r 5u 1 65 16 3p k 9 9 9 6z 6 2o 9 9 9 58 40 8 6k 2 3 2 1 gt q 3"],
+  ["implication","17c"],
+  ["implicit","ad 5y n 4s 6s fj qb 4"],
+  ["implicit_conti","gb n"],
+  ["implicit_continuation","ad"],
+  ["imply","1ey"],
+  ["important","54"],
+  ["improv","3u 9u r4"],
+  ["in06","1jd"],
+  ["in08","1je"],
+  ["in18","1jg"],
+  ["in20","1jh"],
+  ["in22","1ji"],
+  ["in24","1jj"],
+  ["in26","1jk 46"],
+  ["in28","1jl"],
+  ["inc","b e r6 d9"],
+  ["incarnation","rb bu"],
+  ["includ","0 b 1 c q f d 1p 19 5 o 2x 17 9 g 1 k l 1 1 3 1 5 2 3 2 2 2 1 1 1 1 1 1 2 1 1 1 2 4 2h 9 5 n z 13 r s l 8 b b m 24 2x e v r 6 1 4 1h 1m 2r 3z 1 2 4 d c 6 f 4 3 2 4 2 2 2 3 x b 1p x t 1 r 16 s v 14 f 6 4 4 8 r 7 u 6 h 17 1 8 1 1 z t 27 1 1 1 1 1 1 2 7 2 7 r 1x 6n a c 4 7 1 1 1 1 1 1 1 1 1 1"],
+  ["included_ctx","5a"],
+  ["includedir","p 9l h 1x 1ls"],
+  ["inclusion","13b 1i 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 ie"],
+  ["incom","9t"],
+  ["incomplet","16l ew"],
+  ["inconsistent","13a"],
+  ["incremental","46"],
+  ["incur","jl"],
+  ["indentation","ek"],
+  ["independent","a6 9f 2g tz 7h a9"],
+  ["index","h5 89 b 4s 3 k 3i 2 1 1 6 2 2 2 6h 5v 2 13"],
+  ["indicat","23 1 hd j8 8 ed ay"],
+  ["indicator","jq o1 dg"],
+  ["indirect","bn 1c2"],
+  ["individual","181"],
+  ["inexpensiv","1p0"],
+  ["infancy","137"],
+  ["infinit","bn 3o"],
+  ["influenc","d2"],
+  ["info","e4"],
+  ["inform","16n e b"],
+  ["information","4u 1 6 3 7y 1y dy vx 45 4c"],
+  ["informational","7r e"],
+  ["infrastructur","q9"],
+  ["inherit","1u3 y"],
+  ["initial","16n 1d"],
+  ["initializ","9f 1y 1dp g 23 a 4 1e 14 b 1 5 6 1u"],
+  ["initialization","1bi 2"],
+  ["initiat","1ev 1"],
+  ["initiativ","13q"],
+  ["inlin","15r"],
+  ["innermost","8x"],
+  ["input","4l 6k 3f 33 3b w 4 28 s 5 4 3 f 5 5 4 2m 1 j 1 1n d o 7 j 2 3 2 4 2 2 5 hd 1q 4 s 3a df g"],
+  ["inputfil","tf"],
+  ["insert","tn y 4 a4 6g 30 2y aw"],
+  ["insert_item","up"],
+  ["insertion","gc 5d 8d 1 1 1 y3"],
+  ["insid","63 2t x 2p 59 8x ge 2k 3z al"],
+  ["inspir","ey 4 dt"],
+  ["installation","it"],
+  ["instanc","s 95 9 o i 1ad 2u c 7 g 1h 4 a s 9 z 14 n 1u 1l"],
+  ["instant","1y0"],
+  ["instead","5m 3u z5"],
+  ["institution","14q"],
+  ["integer","g 5 1 1 1o 1p 2j 1u 1 7 2 2 2 2r 25 3s 5 6 a h k 4 x 1w m 1 36 15 4e 1 7 b 5 4 3 5 d 2 2w 2 f 2 2g 7 1 1 6 3 1l u 8 6w 2 2e 2 1 1 2h 2l 1m 3b 9 g 1p 5 1r b 2a 10 1 o 13"],
+  ["integrat","13b 2k"],
+  ["integration","8g 3p 1 r0 1v 1a"],
+  ["intel","rq 4 1 13 g 7 ae e"],
+  ["intend","5m 2c 7 57 4w p4 e6 5v h"],
+  ["intentional","oh 110"],
+  ["interactiv","0 a4 g o 1 9j l e 8 1c1 9"],
+  ["interfac","x 74 7 dt c p 9 9 9 l 4e 15 9 8 4 5 3 3 2 3 4 5 p h e k 8 3 9 9 9 9 j 3 7 a 7 h 10 r 9 o 2 1e c 3 9 1 5 k 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 j3 s 1u r 1 19 y 2r o"],
+  ["interleav","1e8"],
+  ["intermediat","44 i"],
+  ["internal","21 1p f b 43 2x e 2g j p 2q 85 a 5v v1 b 1"],
+  ["interoperability","13n 15"],
+  ["interpolat","1fg"],
+  ["interpret","ae zm 1 4u 2h 1"],
+  ["interpretation","qg it h 58"],
+  ["interrupt","84"],
+  ["interven","180 3s 6z 2y"],
+  ["into","8j 4a 4u 2f 25 1u 23 n 8 e 23 8 9i 5 7 1b 83 1e 2x 8"],
+  ["intrinsic","m2 7 t 9 9 9 g 6x 25 b 9 9 9 9 5 h h 19 16 1 3n 9a ip"],
+  ["introduc","1s 9x fn bx f 48 c 1t 6i j a 1 m 1r 2"],
+  ["introduction","1e7 1 1 1 1 1 1 1 1 1 1 1w 1 1"],
+  ["intrusion","13j"],
+  ["invalid","7y 3n 2b cz"],
+  ["inverse_on","eu"],
+  ["invocation","172 1 1 f d 1 1 6 3 1 4 7 6 7 4 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 3 1 9 b 4 4 f 4 4 c 4 4 8 7 6 8 1 1 1 3j 4d 7 27 8"],
+  ["invok","7i 37 p t 8z 81 1p o1"],
+  ["involv","i3 as 89"],
+  ["iomsg","1w1"],
+  ["ior","1m5"],
+  ["iostat","1w0"],
+  ["iotyp","1vy 5 4"],
+  ["ip","ek"],
+  ["ipsum","1ox"],
+  ["is_absolute","me 2 a 1 1 1 1 1"],
+  ["is_active","21 1j 1 1 1 1"],
+  ["is_circular","br 2 2 1fp r 1 1 1 1 1 1"],
+  ["is_defined","h4 1 1 1 1 1 1 1 1 1 1"],
+  ["is_in_forloop","9t 1 1"],
+  ["is_rooted","mw 1 1 1 1"],
+  ["iso","9m 3f h ps mz"],
+  ["iso_c_binding","c 14g"],
+  ["isolat","x6"],
+  ["issu","td 1 1 1 1 1 1 1 d3 7r"],
+  ["item","16j"],
+  ["iteration","8d 1 5 1 h 2 e"],
+  ["its","5c 4u 2n 15 3u 1h t 6a 9 q 1 z au 1 2 2 1 e 1 1 1i i 5g l n 3l d 74 3i 37 2q"],
+  ["itself","7g 62 ed 12h"],
+  ["iu","ly"],
+  ["iunit","x3 2 3"],
+  ["iv","137"],
+  ["ivan","th 1"],
+  ["ix05","1jv"],
+  ["ix10","1jw"],
+  ["ix12","1jx"],
+  ["ix14","1k2"],
+  ["ix15","1k6"],
+  ["ix20","1k7"],
+  ["ix25","1k8"],
+  ["ix30","1k9"],
+  ["ix45","1ka"],
+  ["ix50","1kb"],
+  ["ix55","1kc"],
+  ["ix60","1kd"],
+  ["ix65","1ke"],
+  ["j","15l 3q h m 2 6 2 q 2 1w"],
+  ["j3","13a 32 1 1 6 1 2 1 2s 14 3f g 1y"],
+  ["jim","tl"],
+  ["job","a6"],
+  ["join","m5 8 1 2 l 3 1 1 1 2 1 3 1 1 1 2 1 3 1 1 1 2 1 3 1 1 1 2 9a 3 1 1 1 2 3 3 1 1 1 2 1 3 1 1 1 2 1 3 1 1 1 2 1 3 1 1 1 2"],
+  ["join_character_character","n1 1 1 1 1 1 1 1 1 ac 1 1 1 1 1 1 1 1"],
+  ["join_character_string","na 1 1 1 1 1 1 1 1 ac 1 1 1 1 1 1 1 1"],
+  ["join_string_character","nj 1 1 1 1 1 1 1 1 ac 1 1 1 1 1 1 1 1"],
+  ["join_string_string","ns 1 1 1 1 1 1 1 1 ac 1 1 1 1 1 1 1 1"],
+  ["jun","16l"],
+  ["just","16q 8q l 1w"],
+  ["k","40 4t vq 4s 2 f 2 k 8 s 2 1y 2"],
+  ["keep","13o ak"],
+  ["kept","1vd"],
+  ["key","es 7a 4c cx"],
+  ["keyword","73 6 7 h 5 2 5 15 e 37 10 cy o5"],
+  ["kind","hf 8w i 5 dn 2 ah 1 4w 5c 8b"],
+  ["klm","1ag 8"],
+  ["known","is 8y 5 1i 1 1 1 1 1 1 1 eg 5"],
+  ["l","zl h 99 2 f 2 k 8"],
+  ["label","e5 4 g s2 f9 6p a 2 1 1 1 1 1 1 9 1 1 1 2 6 1 1 1 1 1 2"],
+  ["label_type","e9 f f6 1 zi 1 7 2 2 9 2"],
+  ["lack","13p k t 9b 1l"],
+  ["lammp","14p"],
+  ["languag","rb 1 1 by 8 3 4 1 1f 2 92 8 3 2 j u 7h"],
+  ["lapack","13o t"],
+  ["larg","3s v yj 2 1 i c t"],
+  ["larger","oh"],
+  ["largest","1f5"],
+  ["last","ps 4 8x 4w 5g 1s"],
+  ["late","13a 1 1 1 1 1 1 1 1 1 1 1 1 1"],
+  ["later","9t 183"],
+  ["lazi","hr 10"],
+  ["lb01","192"],
+  ["lb03","193"],
+  ["lb05","194"],
+  ["lb07","194 1"],
+  ["lbe01","196"],
+  ["lc01","19j"],
+  ["lc03","19k"],
+  ["lc07","19l"],
+  ["lc09","19m"],
+  ["lce01","19n"],
+  ["lead","pe 8 jj dq 3 3h 2 2 2 4 3 1"],
+  ["learn","sv"],
+  ["least","1ns"],
+  ["leav","dw pb pd 59"],
+  ["led","136 4 g"],
+  ["left","hq j3 2w 2w 1b 3w 6z 30 8 4 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 7 1 1 9l"],
+  ["legacy","139 f 1 2 c y 7 3"],
+  ["len","oe 7 4 aj 4 2 7 2p"],
+  ["len_trim","oe 7 b4 4 2 3 4"],
+  ["length","4l hg b a 1n ay 2 8 6 1 a 6 6 1v 7 7 e3 cs 4 7 5 3w 1"],
+  ["less","147 j 12 1z e f6"],
+  ["let","sz 7 at 6y"],
+  ["letter","mq 105 3"],
+  ["level","1z 3 1j d 22 f 6j 4q g 4 30 6 9h 2a gp 5r 7 26 1 1 1t 6 j 45 9 i 5 6 6"],
+  ["level_error","58 91 1fp"],
+  ["lexical","qc 4 om"],
+  ["lexicon","1hf 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 3"],
+  ["lhs","10h 6 6 o 3 3 3 3 3 3 3 tg 7 p 7 7"],
+  ["li00","1gh"],
+  ["li02","1kq"],
+  ["li04","1kr"],
+  ["li11","1gi"],
+  ["li13","1gj"],
+  ["li15","1gk 1a"],
+  ["li17","1gl"],
+  ["li19","1gm"],
+  ["li20","1kt"],
+  ["li21","1gn"],
+  ["li24","1ku"],
+  ["li31","1go"],
+  ["li41","1gp"],
+  ["li43","1gq"],
+  ["li45","1gr"],
+  ["library","o 1 1 1 1 1 1 1 1 1 1 4o 5v d0 2v d bz b 7 a 1 b g j 7 l1 4e 2x 1"],
+  ["licens","sw 1"],
+  ["lifelin","rb bu"],
+  ["light","1e7"],
+  ["lightn","rb bu"],
+  ["lightweight","4v g b 5u ct 20 yr 8d e"],
+  ["like","2 2 4c 9 19 1 4 5 4 i 1 3 1w n 4o e 8 c d u 8 1 34 8 r 3n 32 5 1i l 9m 2 1 1 2 8 5 2 1 1 7 5 d p 2 1 a 4 4 1 2 a 2 5 9 i 1 1 1 q 1 2 2 7 1 s 2 1 4 3 7 2 1 2 2 3 5 h 8 5 2 1 3 b n j 19 1 1 1k d 1 1 q l o e 1 9 1 1 6 3 2 1 1 5 3 2 2 8 2b 7 26 1 6f 2 3c"],
+  ["limit","2j 17 6 5 d 6 2 5 1et 47 1 1 1 1 1 1 1 1"],
+  ["line","g z m l 5 5 b 5 5 5 2 x 1 a 2 1 7 2 2 26 1g 1 1 2 2 4 a d l 1q r 2 l 2 2 5 3 4 1 4 1 1l p g 1 2 6 3h q q 2g 5 5 2 1 h h d 19 i d 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 k 1 1g 1 1 2e 99 n 1 1 c 1 5 8 9 5 s 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 2 1 1 1 1 b 1 3 4 1 3 2w 1 n 1 8 3 1 5 1 1 2 1 1 1 i l a 4 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 6 1 1 1 2 3 1 1 1 1 1 3 1 4 2 5 1 5 1k 2 2 d 1 2 2 i 1 5 1 d 1w 3 e 1 1 1 1 1 1 d 3 q 2 6 2 1 3v n 2 2e 1f b 5"],
+  ["line_break","ae"],
+  ["linear","fd 1s"],
+  ["link","td b4"],
+  ["linux","ik h 9 k n 2f 65 ay"],
+  ["list","15 4y 1 v 1c 2 1 8 g i wz j 1 1 1 c e 5 1 2 2 y 1 1 f 2 a w 1 3 c 1 j 2 1 1 h 3 8 y 1 6 1o 5 1 1 1y b 2 d 2 2 2 2 1 1 3 3 1 1 1 1 3 1 1 a 2 1 2 1 6 j 1 9 3 1 c 2 1 2 a 2 d 2 18 1 16 61 l 2g"],
+  ["listdirect","1w7"],
+  ["literal","hk 71 1y d k0 1 1 58 2 1 72 4 h f 1"],
+  ["literat","da"],
+  ["liv","146"],
+  ["ll","ho m3 1i"],
+  ["local","b 56 q 2b 29 17 l aq 9 9 9 5i 3o c b 9 9 9 zw"],
+  ["locat","6y rn kx 1"],
+  ["location","4v 1a 6w 2 9 1bi 4c"],
+  ["log","6 1a 4k f 1f 66 a 5 3 5 3 5l 9n 9x 2l 4w 2 8 d 2 4 4 gk 19 3j"],
+  ["log_message","1bc 4 4 4 b 4 4 4"],
+  ["logical","br 1a f 4 7 7 f 34 j 6n 14 f 57 9 70 6 a b7 c 16 k 1d 4f 1 n 1 1u 53 28"],
+  ["long","42 m2 e2 a3 1 b"],
+  ["look","ck 27 aq hn"],
+  ["lookup","f9 4"],
+  ["loop","1h 2i 2 g 3 3q 8 1 5 6 2 1 4 1 2 3 1 7 1 1 e 2a 5l 3u 60 e3 u qz"],
+  ["lorem","1ox"],
+  ["low","1m2"],
+  ["lower","og l 4 rs"],
+  ["lowercas","p1 1 1 1 1 1 1"],
+  ["lowest","1m0"],
+  ["ly","rb bu oy"],
+  ["m","14j 4s 2 f 2 k 8 fw 2 3u 2 9"],
+  ["mac","197 1 2 1 2 b 1 2 1 2 j 1 2 5 1 2"],
+  ["machin","1ed"],
+  ["machinery","1s"],
+  ["maco","il q 9r"],
+  ["macro","0 2 1 1 2 1 1 2 3 1 1 1 1 1 1 1 1 1 8 1 8 7 8 d 1 b 5 1 a 2 3 2 3 b 2 3 2 3 8 5 7 1 j 2 1 1 3 2 8 1 4 4 b 8 1 1 1 1 1 1 1 1 1 3 1 1 2 1 1 1 1 2 2 2 1 2 3 1 2 1 1 3 2 1 1 1 1 2 1 3 7 j 7 6 2 3 3 1 2 2 3 4 6 1 8 4 9 7 2 1 8 1 2 2 2 8 9 1 2 1 1 1 1 1 7 4 1 7 1 1 5 7 6 r 6 r g h 9 1 1 1 3 2 1 3 2 1 1 2 1 1 1 2 1 3 1 1 b 1 4 2 2 1 3 1 1 c 3 4 1 1 3 1 1 4 5 4 4 1 1 7 1 1 1 1 2 8 28 5 3 1 9 c 2 7 b 4a 3 6 5 9 1 1 h 5 1 9 a 1 4 1 1 6 1 1 1 1 1 n 1 4 5 f 3 3 2 1 1 1 1 1 3 1 1 2 1 1 3 1 2 3 5 1 3 1 1 3 1 1 1 2 4 5 4 8 3 4 3 x 1 62 1 2 3 1 7 i 6 f 7 4 6 6 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 j 4 3 1 g 1 1 1 p 1 1 1 1 2 4 1 2 1 2 1 7 5 1 6 1 5 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 2 4 1 5 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 4 2 2 2 1 e 2 3 1 5 2 1 7 1 6 1 5 1 9 1 1 1 2 c 7 4 3 3 1 1 1 1 9 2 4 4 2 1 8 1 1 1 1 1 1 1 1 a 1 1 1 1 1 1 1 1 1 1 1 5 9 a 1 6 1 1 f 2 9 2 1 1 1 8 1 1 6 1 1 1 2 1 1 5 3 2 1 1 2 2 1 3 7 1 3 b 1 4 3 3 b i 2 1 b 3 1 1 1 1 1 4 1 1 6 x 1 1 1 1 1 1 1 1 1 1 h 2 7 1 2 1 7 1 a 2k 6 1 1 1 1 k 29 1 1 1 6 1 1 1 1 1 2 2 2 2 2 1 3 3 2 1 s 1l 4 4 7 9 1 1 5 7 1 1 1 1 1 1 1 1 1 1 1"],
+  ["macro_name","9j 1"],
+  ["made","7c w6 35 7l 5o 5 4"],
+  ["magenta","ev"],
+  ["main","v 48 4q y 1e 2 h 9 8z 8w 136 1 h"],
+  ["maintain","21 85 7s 3a iv 3 12 90 5q 1z"],
+  ["major","hm wv"],
+  ["majority","16l"],
+  ["make","sv li 36"],
+  ["make_var","fo wv 2"],
+  ["makefil","14p 1j"],
+  ["malform","dj"],
+  ["manag","14h 1u"],
+  ["management","bm 3f 9a 19b"],
+  ["mandat","17g"],
+  ["mandatory","16q c 7d 1 2"],
+  ["manipulation","m1 1bp"],
+  ["manner","1l2"],
+  ["manual","qi cp"],
+  ["many","rc bx a 2 as 2 7i 23 5 2r 4h"],
+  ["mark","173 2w ku 1g"],
+  ["marker","e3 an 6b e4 k1 1"],
+  ["master","ee m"],
+  ["match","20 5 3y v 1j 2 x 42 3u hs 8g 8 8 12 h 29 1w 1 4a 1f 2 24 1d 1n"],
+  ["mathematical","rb bu 2e"],
+  ["max_cond_depth","1z 1z 9 1 1 1 1 1 1 1"],
+  ["max_depth","4f 1"],
+  ["max_for_depth","41 g 1 1 1"],
+  ["max_iter","15h"],
+  ["max_line_len","44 h 1 1"],
+  ["max_params","4o 1 1 1"],
+  ["max_threads","1yg"],
+  ["max_tokens","4s 1"],
+  ["maximum","3q h 8 2 4 3 4 h9 2i s3 74 a0"],
+  ["may","sy e5 h 4 4 2 2w i k 2q 3 13 13 a 1 7 d 17 2 2 9 e d 11 f 28 3 j 2s d 1q 1 38"],
+  ["mdash","1co"],
+  ["me","to"],
+  ["me01","1as 4 d n j"],
+  ["me05","1at"],
+  ["me07","1au"],
+  ["me10","1lk"],
+  ["mean","1 qt cv 33 f7 c2"],
+  ["meant","13k"],
+  ["mechanism","us"],
+  ["meet","16k 1 2 1 9p"],
+  ["membership","od cl"],
+  ["memory","3t u 6z cp 24 cu m4 9e"],
+  ["memory_preprocess","1yr"],
+  ["merg","1b9 m 1"],
+  ["messag","31 3 z s 1 c x 1a 3 9 6 7 4z 10 5 1 1 61 78 5a nr 84 6 2 1 2 3 2z"],
+  ["messy","1y9"],
+  ["metadata","1u6"],
+  ["method","12l"],
+  ["microsoft","im t 1"],
+  ["mid","1ef"],
+  ["might","er pd v bg 7c"],
+  ["million","1el 21"],
+  ["millisecond","1q1"],
+  ["min","6d"],
+  ["mind","13b"],
+  ["mingw","rt"],
+  ["minimal","o9 8 1y cy m0 6t 1l l 1 1 1"],
+  ["minimum","1nr 1 7l"],
+  ["minor","1eh 71"],
+  ["minut","1nf 2k j 1"],
+  ["miss","7y 4s"],
+  ["mit","sx"],
+  ["mix","z1 26 41"],
+  ["mm","5o 6 1hl 34 2 b"],
+  ["mmm","5o 2 1hl 25 16"],
+  ["mmmm","1qn"],
+  ["mock","166"],
+  ["mod","1mk"],
+  ["mode","m 1n c5 l 1 5s l e 8 hh uk"],
+  ["model","a6 56 3i ke 1h"],
+  ["moderat","15r"],
+  ["modern","4n 9 9b r 5l 1i 28 2y 4 2 bs f 4 1 1 1 f 3 z k j rf 1"],
+  ["modifi","81 7 2h 2c 1eb"],
+  ["modification","m8 s0"],
+  ["modify","f0 1bz"],
+  ["modul","m 16 9 1p 5 10 6 b 4 g 8 17 7 t g 16 1g 3 h 14 10 11 2d 13 o 1c 1 p t 1 27 20 14 3j 8d a 8 1b 6 3 sc 1 1 1 1 k"],
+  ["modularity","139 22"],
+  ["mon","1qc"],
+  ["monday","1qd"],
+  ["month","1nb 2i 3 d 1 1 9 1 1 1"],
+  ["more","9v ht 16 a bo 2m 2 1 5 52 1k 6 4f u 92 3h"],
+  ["most","1 1 1 1 1 1 1 1 1 1 1 1 5q cr 7p v t 4c 71 8 f 2h 6u 1j 2x g4 1 1 1 1 1 1 1"],
+  ["mov","pb"],
+  ["mpa","14p"],
+  ["mpi","13z 2c"],
+  ["mpi_bcast","141"],
+  ["mpi_comm_world","m"],
+  ["mpi_double","141"],
+  ["mpi_f08","m 1r"],
+  ["mpi_version","2d 59 3b fr"],
+  ["msg","fk wf ma"],
+  ["muddi","13j"],
+  ["multi","e4 3j 9c p1 7h"],
+  ["multipl","3v 6b an 9i 8x y q 46 3 e 7l"],
+  ["multiplicativ","1fu"],
+  ["must","7i pl a0 e k 4c 2o 3e c 12 e"],
+  ["my_builder","1yg"],
+  ["my_header_h","27"],
+  ["my_module","m"],
+  ["my_module_mod","m"],
+  ["my_os","j1"],
+  ["n","13x m 4 y 3q h m 2 6 2 4f 2q 4w"],
+  ["n2249","16j"],
+  ["na","yw 2 2"],
+  ["nam","185 9i 9 m h a"],
+  ["name","2 5 1 1 1 a 4c 12 1 l 43 1h n 1t 14 1j 2v d f v 2j 2b e v 8 f k 1 1 1 1 1 1 1 1 1 1 1 1 1 2 3 1 2 4 c 3 1 5 1 6y 6n 1 4 2u 1u 2w 1 1c 1 1 6 1 1 j 9 k b 20 j c 16 2 1 1 1 3 1 4 3 j b 27 1 9 1 3p 7 2 7 3 37 1"],
+  ["nativ","im 7 m 1 jt 2 6 8 2 g"],
+  ["natural","hq 179"],
+  ["nd02","1ld"],
+  ["nd20","1lf"],
+  ["nearest","1jq"],
+  ["necessary","oh es"],
+  ["necessity","13r"],
+  ["need","a5 7t 1x 7u bh 3 4 8 3 2 3d 1 g 8 6g jl i"],
+  ["negativ","1w0"],
+  ["negligibl","ir"],
+  ["neither","13q 72 5v 2 n 1"],
+  ["nest","1z 2 1 3 b 2 18 6 2 1 2 6 7 1 2 3 k z v 1h 9 6 2 6 3g 1o 14 1f e3 d9 4n 6w 1 7 1 5 1 5 3m 3 6 j 48"],
+  ["nestabl","kq"],
+  ["nestl","rb bu"],
+  ["netcdf","159"],
+  ["never","13i 96"],
+  ["new","35 6a 2a 26 g5 6k 6 6 2p j 89 22 25 3 n c 7 1 1y 56 4 g 23 19 j s c n 1u"],
+  ["new_line","1yr"],
+  ["new_solver","144"],
+  ["newer","13o 23"],
+  ["newlin","194 1 g d 1"],
+  ["newly","1or j 2h 8"],
+  ["newunit","ly 1ct"],
+  ["next","180 8i cy c"],
+  ["nl","ek"],
+  ["no","1x n f ev 1b g 5 8k 7 2 3 1 i c 1 9p 3 b 4l 17 h 1f m 39 3n 2 f r 1 1 d v i 51 57 21 9"],
+  ["nocolor","e7 s"],
+  ["non","7f q 6 24 6 5p 1e k 1n u v 10 2o 5 f 5e 4 a b 3 6 1 7 6v 5y 2r i 13 15 b 1 3 1h 1 8 3k 1k w 2 17"],
+  ["nonblank","180"],
+  ["none","1yc 4"],
+  ["nonexistent","137"],
+  ["nonzero","1k9 3"],
+  ["nor","13q 72 5v 2 n 1 5m"],
+  ["normal","7f 11 e c"],
+  ["normativ","1dh aj"],
+  ["not","2u l 1o j 1j d j 7 18 6 33 1i d 5f 2x 2t 30 65 a 6 h 2f 10 3v 2 1 1 1 b 1 7 c 1 1 1 1 2 1 d 1b 3 1 1 v x m 1 8 u x e 2 1 1 14 1 3 3 b 1 n 5 1 13 4 1 b 4 1 4 1 8 7 h 4 1 c 7 1 7 1 4 a c y 4 1 1 6 1 2 a 4 b c 4 43 3k b"],
+  ["notab","16n 8b"],
+  ["notabl","136"],
+  ["notation","63 195 e 1"],
+  ["note","4v 1b 1b 1e q 13 1k 19 n t 7e 27 13 h7 8 eg 1g 5d z 2u"],
+  ["noth","16s 57 a 2"],
+  ["notic","85"],
+  ["notify","7c d"],
+  ["now","5o 6 7t 12o fh"],
+  ["ntoken","ic 8e d"],
+  ["nu02","1l7"],
+  ["nu10","1l9"],
+  ["null","1i8 2w 1 2 2"],
+  ["num","fo"],
+  ["number","g 48 4 4 3 75 1a 1 3 2 2 5 2 1 4 5 1a 2a p 3l 4m d 2 1 4 42 4 4h 8e 1 32 37 48 b 4 1s 2a 3 m 1f 13 1 9 1 w 1 7 3 1 4 1u 26 18"],
+  ["numeric","5i 2w 9 4 hs e2 ky"],
+  ["numerical","3q zg y 14 b"],
+  ["nvfortran","14d"],
+  ["nvidia","14d"],
+  ["o","0 of 40 dr y 5 c 1 1 1 1 1 1 1 1j h m 2 6 2 lc 1 1y 7 3"],
+  ["object","2 4u 9 d g a m 20 n g 8 1 18 1o p 1c 6 19 15 2z 9g 6 4z h 13 7 15 1k 48 4i 59 e a 1 1 6 3 o 2i 30 9 a v 3i d d e 1 6 e k g"],
+  ["obscur","rc"],
+  ["obsolescenc","16r"],
+  ["oc01","17r"],
+  ["oc02","17s"],
+  ["occupancy","1rj"],
+  ["occupi","1s8"],
+  ["occur","4w aj 2c q3 dx 1u 1a"],
+  ["occurrenc","ys 1 c4 z"],
+  ["octal","hk"],
+  ["off","t5 14z"],
+  ["offer","m1 h6 k 23 rw"],
+  ["ofil","x4"],
+  ["often","137 2 q i 8 4 1f"],
+  ["ok","i0 77 k c"],
+  ["older","152 6 1"],
+  ["omit","17r 87 3x 49 1 5 1 1 1 1 1"],
+  ["omp","1ey"],
+  ["omp_backend","2f"],
+  ["omp_get_thread_num","2b"],
+  ["omp_lib","2b"],
+  ["once","20 72 l9 ij 2 1c 3e 17"],
+  ["one","62 3t 81 1n n2 i 1 14 60 1s m 1d k m b 7 o 36 e 2 1 l o 3i 17"],
+  ["oneapi","ru"],
+  ["only","f 7 1y f m 4y fy 5m 6 9v 6o g k 2g 32 p n 10 c 19 4a 8z"],
+  ["onto","35 1le"],
+  ["op","1m1"],
+  ["op01","17m eb"],
+  ["op02","17n"],
+  ["op03","17o ea"],
+  ["op04","17p"],
+  ["op05","1lz"],
+  ["op07","1m0"],
+  ["op12","1m3 o"],
+  ["op13","1m4 o"],
+  ["op14","1m2 r"],
+  ["open","6y 59 m 95 59 6 1i m 1 36 2 3 4 3 1 2 7m 1j 19 1l h p8"],
+  ["openbsd","iq m"],
+  ["openmp","ir u ke"],
+  ["opensolaris","io p"],
+  ["operand","1cf ac 1 1"],
+  ["operat","ii a 6 d 3 3 2 kr h8 c5"],
+  ["operation","45 17 h 97 b 6q 28 2p j 169 1"],
+  ["operator","1j fy 1 1 2 2 1 2 3 5 3 4 68 24 2 e 2 4b n 1 7 4t 6 9r 1 1 1 1 1 1 1 1 1 1 17 1 1 1 1 1 1 1 1 1 1 1 12 2 14 5 i 1 6 1 1 1 1 1 1 1 1 1 5p 2 3 4 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1h 82 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 t"],
+  ["oppos","16t"],
+  ["opt","1as y 2 1 1 1 1"],
+  ["optimiz","bh"],
+  ["optimization","149 4 1l"],
+  ["option","a7 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1m 4 ft 1 x 4 1 1 de 1 1 1 2 1 1 2 4 1 2 2 1 2 2 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 j6 6y 5 1 1 1 1 1 1 1"],
+  ["optional","a2 3w 17 1l f 2s 2n 2y 60 b 9 8 j 3 1v 3v 3 3 5 16 2o iv 3 4 2 1 1 1 1 1 1 27 i o 5 6 6 o 4 5 16"],
+  ["oracl","jd"],
+  ["orang","116"],
+  ["order","bz p 67 br 94 aq 1 4 41"],
+  ["ordinary","3m"],
+  ["orient","13n ap 3c"],
+  ["origin","d6"],
+  ["original","4y 8e cd 2i az 7r dy"],
+  ["originat","54"],
+  ["os","1k hb 2 3 2 m 1 3 3 2 2 3 b 2 td jv"],
+  ["os_","jj j"],
+  ["os_cygwin","j8 10"],
+  ["os_freebsd","j9 11"],
+  ["os_is_unix","j3 2 q 1 1 1 1 1 1"],
+  ["os_linux","ja i 2 a d"],
+  ["os_macos","jb h d"],
+  ["os_name","j1 11 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1"],
+  ["os_openbsd","jc z"],
+  ["os_solaris","jd w"],
+  ["os_type","j5"],
+  ["os_unknown","iz f c d"],
+  ["os_windows","j7 8 d 2 c"],
+  ["os_windowsx86","jg 1 1 p"],
+  ["ostyp","iw r"],
+  ["other","tb c a2 1h 1g 2z 5d i 8 x 5d 9f"],
+  ["otherwis","3o 67 a4 5j 2 3z 21 b 9 8 50 1k 47 e 3g 5l 5i 8 1 1 1 1 1 b 3 1 1 5o 40 7 7 1b"],
+  ["ou","ly"],
+  ["ounit","9b 3l k4 5 4"],
+  ["out","0 2n l 3u 6 t 7 o h d 38 10 27 2 p 1 e 12 1 3m k 1n 1 13 7 1k 1 1n 2r 1 8 2 9 1 6 2 6f 7 1 y 7j 2 gp 3 3a 7 b 1 28"],
+  ["outermost","98"],
+  ["outlin","1ll"],
+  ["output","84 f o 4 11 t 1o 3 15 6 7 d 8 1 5b u 8 l 2n m w 2c a 1 k 5 1i 1r 5 3 1 3 4 5 h0 c 1q cg 32 a 3 1q a 6"],
+  ["output_unit","1yr"],
+  ["outputfil","ww"],
+  ["outsid","2i 16k h 7l az"],
+  ["over","8d 1 ix bu ac s 9r"],
+  ["overarch","1eh"],
+  ["overflow","1s8"],
+  ["overhead","ir u"],
+  ["overload","m2 11 9 9 9 i 1 5e a 2i 1 1 1 1 1 1 1 1 1 k b 9 9 9 2q uc 7"],
+  ["overus","15u"],
+  ["overview","qt"],
+  ["overwritten","6z"],
+  ["own","o 1 1 1 1 1 1 1 1 1 1 98 iq 15e 1"],
+  ["owner","ek 8"],
+  ["p","9c d4 t 9 9 9 9i b 9 9 9 ar 2 f 2 k 8 q fe"],
+  ["p1","me"],
+  ["p2","me"],
+  ["page","1dt"],
+  ["pair","8b zp 3 2v u"],
+  ["paper","16k 1 2 1 1 c 5 71 26 17 c 3l 4 27"],
+  ["paragraph","1gi"],
+  ["parameter","m 1p a 5 5 5 3 3 5 5 a y 1f x 6 t 7 t 3 7 e 37 13 n m w l 6 d 13 1n g 26 9 6 18 m 6 5 5 2 6 e 5 5 2 t 2 4e 9 c 7 o 4 4 5 2b h h 6 6 o 6 6 6 i 7 7 f 1e b h 2p 1 2n 4 b 2 n j 2t e 1 37 5 2 4w q i i 7 1u 8 8 9 i k b i c 9 1 d a 7 7 8 a 7 7 a"],
+  ["parameteriz","139"],
+  ["parent","c0 a i 1"],
+  ["parenthes","63 v ap 9c h1 1 3r 1w 59 2n af"],
+  ["parenthesis","6y jq 9 1 gy 4 12 h 98"],
+  ["parenthesiz","hl u7"],
+  ["parenthetical","1fx"],
+  ["pars","4t q 19 6 1l r 6 9 4 a 3o 3x 2 h 4 2 4 21 3y 1s 5 8 4p o 7 u3 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 4 5x t 3"],
+  ["parse_additive","hp"],
+  ["parse_and","hp"],
+  ["parse_atom","hr"],
+  ["parse_bitwise_and","hp"],
+  ["parse_bitwise_or","hp"],
+  ["parse_bitwise_xor","hp"],
+  ["parse_conditional","hp"],
+  ["parse_equality","hp"],
+  ["parse_expression","hp 8 a 1 1 1 1 1 1 1 1 1 1"],
+  ["parse_or","hp"],
+  ["parse_relational","hp"],
+  ["parse_shifting","hp"],
+  ["parse_unary","hq"],
+  ["parser","y n 2u 1 1n 58 64 9 6 e 2z 1 7 7e 3z hc jk 1 q"],
+  ["part","9m el 1 ey 3z y i 1b u 2 3n 3 3y g u"],
+  ["participat","8u 1b8 7 3 1"],
+  ["particular","54 83 eo bb i 3 ha"],
+  ["pass","a5 j6 dd i 73 9 3"],
+  ["past","l 5s 2h 6c a 5 2 11 43 3m 8 5 2x 8s 6 6 a1 1k 1 1 1 1 1 1 1 1 1 1 1 1 t 1f n w v 4d 2d"],
+  ["path","0 e a y 3e 6 2 2 5g 1a 7 b 4 1 5 1 7u 8 16 3 1 2 5 7 7 2 4 2 13 1 4 40 7 2 a f f 4 38 1 e a 6v 9q az 4 8i f b 1 1 1 1 1 1 1 1 1 1"],
+  ["path_var","14f"],
+  ["pattern","m 1k 13o l2"],
+  ["pdf","me"],
+  ["per","1rj"],
+  ["perfect","1xt"],
+  ["perform","7i 4p 39 1p 1m pa 2p 16 4p 4g 58 23 3r"],
+  ["performanc","3u kp 2s 1 bt 1 i 3 4 e c 16"],
+  ["permissiv","17m"],
+  ["permit","3y n bq n q6 75 9g"],
+  ["persist","139 z j h 2 j h"],
+  ["persistent","9x tc"],
+  ["petsc","13o i"],
+  ["pfunit","166"],
+  ["phas","fq 1w ww 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 16 4 10"],
+  ["phenomena","rb bu"],
+  ["physic","14p"],
+  ["pi","3 53 13 82 19 6g 18e"],
+  ["piec","22 qw"],
+  ["pip","tm"],
+  ["pipelin","3m bs 5i a 9m"],
+  ["pitfall","13b"],
+  ["plac","72 6 6q 3 eu r 2 ge 5z 3g j 3l"],
+  ["placeholder","an"],
+  ["placemarker","186 a 2h c m j a"],
+  ["plain","e7"],
+  ["plan","to 1 kv"],
+  ["platform","2a 52 7 b0 k s 26 4 r 4g g 5i 5v 2 1 g a c b t5 j"],
+  ["playground","1y9"],
+  ["pleas","su 1"],
+  ["plenary","16n 1 6 d"],
+  ["pm","1qq 1"],
+  ["pm00","1mu"],
+  ["pm01","1my"],
+  ["pm02","1mz"],
+  ["pm03","1n0"],
+  ["pm10","1n1"],
+  ["pm12","1n2"],
+  ["pm15","1n3"],
+  ["pm20","1n6"],
+  ["pm30","1n8"],
+  ["pm40","1na"],
+  ["pm41","1nb"],
+  ["pm42","1nc"],
+  ["pm50","1ne"],
+  ["pm51","1nf"],
+  ["pm52","1ng"],
+  ["pm61","1nj"],
+  ["point","hv 2y 63 z"],
+  ["pointer","9c 2u r"],
+  ["poll","16n 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1"],
+  ["polymorphic","1vw"],
+  ["pop","32"],
+  ["popular","138"],
+  ["port","ek"],
+  ["portability","rc bt 1 2 1 3 e k 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 9o 1 9a"],
+  ["portabl","5m cw 1d 26 h9 b4 b3 86 3"],
+  ["pos","hq n 6v 3 g"],
+  ["position","3k 9w 3w e n 6v 3 7 7 4w 4 3w j ah 1 im 11 1 7 c"],
+  ["positiv","1w0"],
+  ["posix","j8"],
+  ["possib","1ie"],
+  ["possibl","kv 3o"],
+  ["power","hq 9l bu k"],
+  ["powerful","o9 19i"],
+  ["pq","1ag 8"],
+  ["pr02","1ky"],
+  ["pr10","1kz"],
+  ["pr20","1l1"],
+  ["pr22","1l2"],
+  ["pr24","1l3"],
+  ["practic","13p 9s 10 9j"],
+  ["practical","4n z3 1"],
+  ["pragma","1hz 2w 1 3b"],
+  ["pragmatic","13q"],
+  ["pre","tp ks"],
+  ["prec","1m1"],
+  ["preced","195 1n 4 1h 7d"],
+  ["precedenc","hi 6 2 8 dc o 7 pt 1 1"],
+  ["precis","51"],
+  ["precision","7q wu 1 1j q4"],
+  ["predefin","d 1 1 1 1 1 1 1 a 4i b 4l 7 h 28 r 1c a 1 7 4 1 k p c7 ai d7 26 2k 15 1 1 1 1 1 1 1 1 1 1 2 2 2 4 5 m 2u 7h 1 1 1 1 1 1 1 1 1 1"],
+  ["predictiv","ho"],
+  ["prefer","13p 1j 7"],
+  ["preferabl","176"],
+  ["prefix","ew ai 3 dc m"],
+  ["prepend","tj"],
+  ["preproc","rv"],
+  ["preprocess","u 1 1 1 2p 4 1q d 1 2 b 14 3 1 i 7 12 n 4 7 2 2 c 5 2 6 8 2 1 1 4 1 3 p 1 h 3 2 3 1 4 1z i b 4p w 9 6 1 1 1 2 2j 2u u l 1 1 v 13 2 3 1 1 1g 1 5 1 1 1 1 1 1 1 3 4 4 4 1 5z 1 1 1 1 1 1 8 4 1 1 1 1 1 7 4 3 4 3 4 4 7 n g b 5 9 1 1 3 1 1 1 12 c 1 19 14 c 1 v l 2 9 1t 4 1q 4 2 y 3 d q 1 f 11 7 1 2 1 8 14 4 4 15 8 4 7 1 5 t a 25 c 1 6d 9 1 7 6 1 1 1 1 b"],
+  ["preprocess_file","wt 1 1 1"],
+  ["preprocess_file_to_unit","wx 1 1 1"],
+  ["preprocess_unit_to_file","x1 1 1 1"],
+  ["preprocess_unit_to_unit","x5 1 1 1 1"],
+  ["preprocessabl","13a"],
+  ["preprocessor","s z 1 9 1o 16 g k 1 1e 1 z 12 a a 1 x 8 a 4 g 9 m 6 4 h j 10 2e 13 20 1 c 5e i 8 7 1 4 2 i 9 4 h 9 1 5 1 1 1 2 1 1 3 8 1 1 1m o 7 70 3 2 a 4 11 y b a 4 1 6 10 5y j 1 5 3 1 3 2 1 2 3 1 i 1 1 1 1 1 1 1 1 1 1 1 1 1 i 1 c 1 2 2 3 1 1 3 e 9 1 2 1 4 4 1t 40 a 9 2x 1 5 6 2v 36 1 2 1 1 1 1 2 3 1 1 1 5 g 9 6"],
+  ["prerequisit","7y"],
+  ["prescrib","1ej"],
+  ["presenc","6y bu x r5"],
+  ["present","81 7 u 8a 86 2o 8r f 8 6 6 6 ho n 1"],
+  ["presentation","ey"],
+  ["preserv","25 87 30 ha 2k 68 ca"],
+  ["presum","1kt 1 29 3 2"],
+  ["pretty","e0 4 u 1in"],
+  ["prevalenc","13r e j j j h"],
+  ["prevent","4n 70 8 3g"],
+  ["prevention","1co 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1"],
+  ["previous","1x 7 g f 35 j4 1 1 1 1 1 q7 3u 2 59"],
+  ["primari","46 v d7 k c0 x2"],
+  ["primary","5c 6b 14d 7h 57 9 6 1 2 j 7"],
+  ["principal","1t4"],
+  ["principl","1eg"],
+  ["print","0 6 f 1 1n 8 37 2 2 2 l 5c 2 1s j 5 2 19 2 2 3d 4 p n 1x 2 9 6 1k 6 m w g 2w 5 c 1f 3l 2 2 2 a 2 f 2 h u 2 2 y 2 16 h 4r 4 go 24 6e b 3 4 b"],
+  ["printf","58"],
+  ["prior","1gl"],
+  ["priority","1gf"],
+  ["pro","17d 1 7 1 1 1 1"],
+  ["prob","iy"],
+  ["problem","sv lj 1"],
+  ["proc","fr 13p"],
+  ["procedur","8q 1 1e 21 r 95 2h a8 71 q1 b"],
+  ["process","21 j 5 5 5 3 3 5 5 r n 7 4 5 1i d s 7 v h 2i u p a 1p 2v 2m 1 9 b 37 47 f 5 a 12 8g a 2n 5 1l 6 22 4h 3 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1a 5 1 19 1m 5 e 2 1 2 1 1 1k 1u 1 1 1 1 1 1 18"],
+  ["process_","15p"],
+  ["processor","tp 9i 3l b 1 w 19 h 4m 6 1 1 e 7 v 1m n 14 4 1 1 1 h 4 f 1 1 7 1 7 1 1 7 1 2 2 e 1 11 3 1 1 4 8 4 1 9 1"],
+  ["processor_architecture","jh"],
+  ["produc","4m f 1l 7a b cw c7 ha 87 b"],
+  ["product","8s"],
+  ["production","13u 1"],
+  ["professional","168"],
+  ["program","cn n bf 3r a x ak 1g 7 1n 6 6t q 5f 19 3 y 6 9 4 d 4 a0 e 1 1 1 4 b"],
+  ["programmer","17h 6r 2"],
+  ["prohibit","1jl"],
+  ["project","rb 1 1 1 1 1 1 1 1 1 1 1 1 1 j az 2 1 f 1 2 c 3 j 7 c 1 i 1 e 2 85 2 je"],
+  ["promot","1eg"],
+  ["propagat","67"],
+  ["proper","bz 5 36 2b 32 48 j6 bs 5"],
+  ["propos","13a b0 h3"],
+  ["proposal","13n"],
+  ["protect","64 45"],
+  ["provid","1s 3k 4 6 j 3t 1i 2l 3e 13 35 e 1 2f 1s 14 1l g 7k 2f 39 q a 6n 1 1q 7h 1e m 1i 26 2 4g 1 2"],
+  ["public","r 96 w 3k 3i d 45 4d yn 1m 3 7g"],
+  ["pull","sv cb"],
+  ["pure","oj h9 s2"],
+  ["purpos","5c 65 sq c8 q 1 2g"],
+  ["push","35 1le"],
+  ["pushback","13j"],
+  ["python","13o"],
+  ["q","198 h p 8"],
+  ["qlocation","tc 6"],
+  ["qoption","tb"],
+  ["quality","rb bu"],
+  ["quantum","rb bu"],
+  ["query","9t 8y u"],
+  ["quick","0 1b3 2"],
+  ["quiet","ee m"],
+  ["quit","m0"],
+  ["quot","b bo 8 c 8 1 c9 w l1 2r 2i"],
+  ["quotation","1w9"],
+  ["r","56 3j 6v rj 5 3 2 1 1 1 1 1 1 1 3 1l h p 2 6 2"],
+  ["r1","16n"],
+  ["r2","16k 1 1 2 17 1 24 17 2a 1 o 26 1 1"],
+  ["r3","16i 6"],
+  ["rabbit","1b1"],
+  ["rais","1ee"],
+  ["rang","e5 g0 l0 6o 5p l z 7"],
+  ["rare","169"],
+  ["rather","5g 3g 1gl"],
+  ["raw","4m ad o9"],
+  ["rc01","17g"],
+  ["rc02","17h"],
+  ["rc03","17i"],
+  ["rc04","17j"],
+  ["rc05","17k"],
+  ["re","hu 1b bn"],
+  ["reachabl","1sb 6"],
+  ["read","hy 2u 8p 1 3l 2 9h"],
+  ["readability","15u"],
+  ["readabl","e1 6 5v jc pd"],
+  ["reader","1dh aj"],
+  ["real","5 i 3d 16 37 1 7 2 2 2 2 6v 6c in b r 6w lo"],
+  ["realistic","3s"],
+  ["reallocation","46"],
+  ["realvar1","1cn"],
+  ["receiv","pi 1k"],
+  ["recent","62"],
+  ["recognition","l2 tm 1"],
+  ["recogniz","hn 3 lk 49 o 6m 2 1 1 k 1 1 1 1 1 1 1 d g g 8 1 1 9 1 3 2 9 4 1z 15 30"],
+  ["recommend","m 167 2n 14"],
+  ["recommendation","16r f"],
+  ["recomput","v1"],
+  ["record","bp 1kb"],
+  ["recursion","bk 3 i t 2d 5c s1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 ew"],
+  ["recursiv","4g 4m 2t c m 1d 12 5 3 c n d n 9 2 2 g 2y 9q cy pu"],
+  ["red","ev"],
+  ["redefin","es 13t g"],
+  ["redefinition","62 2 e 3r"],
+  ["reduc","139 f 3 1l 2b hq"],
+  ["redundant","17r"],
+  ["refer","di 5 f7 ax l8"],
+  ["referenc","et yo aj 6t"],
+  ["referenced_macro","bv"],
+  ["reflect","13q"],
+  ["regard","17c"],
+  ["regex","1hr 1 1"],
+  ["region","ep 1a7 45"],
+  ["regular","1mx"],
+  ["reject","7c 7 1d2 19"],
+  ["relat","dv 1m yc"],
+  ["relational","hh yb"],
+  ["relativ","c0 i 2 1co 2b"],
+  ["releas","98 ah 18v"],
+  ["relevant","13o"],
+  ["reli","137"],
+  ["reliab","it"],
+  ["reliabl","jq"],
+  ["relianc","139"],
+  ["rely","is 94 ef"],
+  ["remain","20 3m cc a 61 8 5w 2t 63 f 1 2 11 1u 6 40 4a 5a 1f 1a 4a 6g"],
+  ["remainder","21 5f"],
+  ["remark","1oy 1 1 1 g 1u 1 1 1 1 d 1 1 1 1 1 1 1 1 1 3c 1 1"],
+  ["remov","7 5p 8 c p hl 5m 4 k 4 4m 2d 2 a 5l 2 1 d p 9 7 a 1 2 1 i 8 8 1g b z y 2r 1 1w 5a"],
+  ["removal","5v 9e 5s a0 e4 3j kq"],
+  ["remove_item","v4"],
+  ["renam","tn"],
+  ["render","58 91 2 5 fc 1 1 1 v1 3v f 1"],
+  ["renderer","eh f9"],
+  ["repeat","8b 70 3g p3 8q az"],
+  ["repetitiv","137 2c b"],
+  ["repl","0 ak a8 z 1c9"],
+  ["replac","5m g ac dm 99 4m 2 9 a 2d 3 2 b m 1 j 9 4n 28 26 2 1v"],
+  ["replacement","5z bt cc 6 dl 2x 1 3 c 1 h 2 2 1 1 h 3 8 2t 5 1 1 1y b f 2 2 2 2 1 1 3 5 1 1 3 1 1 f 2a 1v 1 6l l 4"],
+  ["replicat","15u"],
+  ["repo","rv 1 2 9 e1"],
+  ["report","32 1s a 3 y 17 4s l 1b 4 f 72 t 168 5 4l 9"],
+  ["repository","14p"],
+  ["represent","bi 48 av pq 1i 5d 2 2 4 2w 1 1 1 16 3j 1u"],
+  ["representation","5j 5j f6 z5 7 1p 2v 3o x"],
+  ["reprocess","96 c6"],
+  ["request","75 6m by 36 3y va"],
+  ["requir","3q q w 4 6 8y 4y 8i f3 1 e 1n 7d 8d m 1f 3a 17"],
+  ["requirement","7c 9 k4 1 1 1 1 1 1 1 eg 8 y 6i 6 a 1x"],
+  ["res","mo 6 6 g2"],
+  ["rescan","17x 2x 1u 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1"],
+  ["resembl","188"],
+  ["reserv","6k 2 d 1fw 2"],
+  ["reset","dk 7u br"],
+  ["resistanc","13q"],
+  ["resolution","bw b 8g 1cw"],
+  ["resolv","c0 i 9 tw u"],
+  ["resolved_include_path","5a"],
+  ["resonat","rb bu"],
+  ["resort","13p"],
+  ["respect","p1 w de sw"],
+  ["respectiv","1jv 1"],
+  ["responsibility","1eh"],
+  ["rest","1co"],
+  ["restrictiv","17g"],
+  ["result","4e 8 bm 5t 8w d 8 b 5 4 3 5 j 3h 1v 4j 6 7 6 q 2v 2 4 b m 1 h 1 1 9 6s p 2 18 a 1 2 z 1 1 w a1 8"],
+  ["retain","1ax"],
+  ["retriev","uh 3"],
+  ["retrieval","5h gr"],
+  ["return","3l 2 67 6j p 3 8 d q 11 2 7 1 4 3 4 c 1y a 1 3 3 3 3 13 1 r 2 3 5 4 4 2 4 1 5 1 3 3 5 2v 11 19 4 1 9 b 4 5 2 6 2h 1 1 9 4 2 1 c 2 2 1 c 7 9 6 6 g 8 6 6 6 4 1 5 4 3 8 8 ls j v 1m 8 i 16 d r 7 e 15 7 7"],
+  ["reus","fi 2q ky 3 23 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1"],
+  ["reusabl","15c"],
+  ["revers","1wq"],
+  ["review","sv"],
+  ["revis","1ge"],
+  ["revision","16n 1 b c 8n"],
+  ["rewind","1yr"],
+  ["rewrit","14s"],
+  ["rhs","10i 6 6 o 2 4 2 4 2 4 2 th 7 p 7 7"],
+  ["right","hq j4 ay a7 3 j 1 1 1 3 1 1 9m"],
+  ["rigid","137"],
+  ["rise","138"],
+  ["robust","bx ck 1s di"],
+  ["robustness","3r"],
+  ["rod","rb bu"],
+  ["role","rc ez 9p 7h"],
+  ["root","m4 s 4 13"],
+  ["routin","3m 37 p 2b 2e 3b 8 2i 68 6f 1y c 8i"],
+  ["rp01","17e"],
+  ["rs01","1co"],
+  ["rs03","1co 8"],
+  ["rse01","1cp"],
+  ["rse02","1cx"],
+  ["rse03","1d4"],
+  ["rse05","1da"],
+  ["rudimentary","137"],
+  ["rule","8u 3x bz j8 16 1q f l 1 1 10 p 3 1 2t 3 1p d 8c"],
+  ["run","j1 f 1y 7r b 8 ab a9"],
+  ["runtim","9w 8 8e 3z hs mo 6k 6"],
+  ["rustc","e5 2 r 1e4"],
+  ["s","5l iw 4 2q 1 1x 5n 4 c 2 7 8 2 7 a 1w 2 v 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 f 1 e 5 2 j 4 d 2 f 2 1k 1d h p 2 6 2 8 1 1i 9 1l 6 2 4 4 5m 3 4n 1n 2o 1r 7 b 7 j"],
+  ["safe","f0 b fv"],
+  ["safety","c5 7f"],
+  ["same","1x 3 4 81 22 c 2d 6a 7q 14 d3 1 7h l 3g f k 5 j 1 1 1 1 1 1b a 1 1b e 10 7e"],
+  ["saw","13l"],
+  ["scal","136 l"],
+  ["scan","hn 8t hk 4o 5w g"],
+  ["scenario","13r"],
+  ["scientific","3s kp 2u bv 2 5 9 4 1 8 i"],
+  ["scientist","137"],
+  ["scop","13m oy"],
+  ["scratch","1yr"],
+  ["screen","0 1xy"],
+  ["script","137 j z 19 6 5"],
+  ["scrutiny","1ea"],
+  ["seamless","c6"],
+  ["search","a1 9 1a f 2 1 k 2 3 1 1 4c hu 2d 6 6 6 6 c3 5e 8y 5q"],
+  ["second","ot hv 1s 1r 2 2 8a g c 1h 1x 1 1 2 3 h 2l o 1"],
+  ["secondary","1t3 2 2"],
+  ["section","sy dn 2 17 1 1 1 3 2 1 1 1 1 a n h g 2 o 2 2 d 2 m 1m 5 1 1d 1i 5 o 4 2 6 a d d 7 3 8 b 5 l 1 1 19 1 2 2 1 3 7 1o f g"],
+  ["see","6n 16 3h hu al 1k 4r w 1j 13 1i 2f f g d 7 3 j 5 21 1 3 c 1 1 bw"],
+  ["seem","tj"],
+  ["seen","139 bc"],
+  ["select","1x 7 hq"],
+  ["selection","28"],
+  ["selectiv","fi"],
+  ["self","1lh 9c"],
+  ["semantic","1w 4 5 6r hg 4 n1 5 q 4 q 37 1 1 1 1 1 1 1 1 1 4 1 1 1 1 1 1 1 1 1 1 1 3 1 1 1 1 1 3 1 1 1 1 1 1 1 1 1 3 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 4 1 1 1 1 3 1 1 1 1 1 3 1 1 1 1 1 1 3 1 1 1 3 1 1 1 l 1 1z k"],
+  ["sensibl","bd"],
+  ["sensitiv","ol 12 p2 28 1 1"],
+  ["sensitivity","1gw 1 1 1"],
+  ["separat","ho mf 3v 3 2 ap"],
+  ["separation","fi ay hi 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 9n"],
+  ["separator","hn 4e v 18 3 93 ar k p5"],
+  ["sequenc","hn sc 1 x 1 u 4 s 1x 1q 1b b h h i 1g a9"],
+  ["serial_backend","2f"],
+  ["serv","171 ig"],
+  ["server","ek"],
+  ["sery","1jq"],
+  ["session","9x 7 14 ly u5"],
+  ["set","5c 2t 1s 6 4 i 4a 1 18 3g 8e 1 1 51 68 f 26 1p e 5n 7w 5r 50"],
+  ["settl","1eh"],
+  ["setup","it nf"],
+  ["seven","rb bu"],
+  ["several","kx i i3 9z aj"],
+  ["severity","1sn"],
+  ["shall","180 4 1 1h 27 n 47 n 1b g 4 b 15 5 1 8 t 2 14 1 1 2 2 2 2 2 1 1 2 1 1 3 8"],
+  ["shar","9w 1h 1l fy bx 2 7 9 lm 6k"],
+  ["shell","s8 1e 1"],
+  ["shift","um"],
+  ["shiftl","1me"],
+  ["shiftr","1mf"],
+  ["shorthand","15r"],
+  ["should","21 2 1j 11 56 d wg 3 1 1 1 a 77 b 1h 8n"],
+  ["show","0 1y7 1"],
+  ["shown","1ho bi"],
+  ["shunt","hy"],
+  ["side","hq j3 1 vk 1"],
+  ["sidelin","13n"],
+  ["signal","138 gh"],
+  ["signatur","63 v m9 bz"],
+  ["significanc","1h0 1 1 1 1 1 1 1"],
+  ["significant","1eq 2d 2 1"],
+  ["silent","29 3v"],
+  ["similar","e7 yp 1g 8 1r cr"],
+  ["simp","sp lw"],
+  ["simpl","8d 5v 1b 2g 8d v 6 3 1 1e ac b5 hi 9"],
+  ["simpler","15b"],
+  ["simplicity","rc c1 d"],
+  ["simplifi","15i"],
+  ["simplify","3u 11i z 89 1"],
+  ["simulation","rb bu 3 21"],
+  ["simultaneous","1nv"],
+  ["sinc","rw tv"],
+  ["singl","9x 9 gf 1b 26 p 9g e 5 6 60 1 1g 1 1u 2w 7 2i 4p 2h e 5j"],
+  ["single_precision","14n"],
+  ["singleton","bd"],
+  ["sink","x rv 3l 121"],
+  ["situation","7y"],
+  ["siz","44"],
+  ["size","3q f 2e jl 52 5 8q 8"],
+  ["size_item","v9"],
+  ["skip","6h 5i n 7 v7 3s 2h 5o 4 1 4 1 2 1 1 1 2"],
+  ["slatec","158"],
+  ["slight","1eg"],
+  ["sln","s7"],
+  ["small","3t 1j 65 sq 14 h lr"],
+  ["smart","oq"],
+  ["snapshot","1ou"],
+  ["snippet","4w 10f 1"],
+  ["so","sv 4b 61 4h s 5s g4"],
+  ["softwar","13z r"],
+  ["solaris","io p"],
+  ["solution","rd u b0 2n 8e"],
+  ["solv","1ef"],
+  ["solver","ax t7"],
+  ["some","3x 3 j nc 13 a9 f 3 ar"],
+  ["sophisticat","1w6"],
+  ["sought","13q"],
+  ["soul","rb bu"],
+  ["sourc","x 2 1 1 1 1 1 l 1 b l 5 5 b 5 5 3 2 10 1 7 1 1 2 2 8 o 9 w 6 4 p 7 4 m 3 g d 26 1 a a 2 f 2 3 2 4 4 e 4 5 e 8 10 58 c 37 8 2g 3 6 1f 3 3 p 3 2 z 5 1h 7 2 9 6g 1e 4 3 1c 7 1 1 8 1 1 1 c q 16 5 b 1 4 1 d 1 1 5 7 7 1 23 x 5 1 1 c 1 3 1 1 b 1 4 7 1 i 11 2 4 2 1 1 e a 3 4 1u 5 2 d 3 2 p 29 3 2 d 1 2 1 2 f b d 1 3 8 1 1 2v 3 j 9 3 1 4 42 4 12 d"],
+  ["spac","ek ag w l1 67 3 4 18 3 10 3p"],
+  ["span","195 k4"],
+  ["spark","rc"],
+  ["spawn","t7"],
+  ["spearhead","13a"],
+  ["specfem3d","146"],
+  ["special","hj a 68 2w h4 2w b k m 1v"],
+  ["specializ","lf"],
+  ["specifi","75 56 4 13 c ea 13 1e c bt 2 s 8 2 28 1u 1l 1k 1h 9 k 6 11 h 7 c 1b p 2 2 1 d 1b a 6 9 6s"],
+  ["specific","e5 4n 6 5 f 7 b0 8i k 7 1 b 2 1b b 6 2 84 3 l 2i 6c 5a"],
+  ["specification","9m wq 1 1 7 1 7d 2 2b 2 1 13 d i 1 1 1 1 1 1 1 1 1 4 1 1 1 1 1 1 1 1 1 1 1 3 1 1 1 1 1 3 1 1 1 1 1 1 1 1 1 3 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 4 1 1 1 1 3 1 1 1 1 1 3 1 1 1 1 1 1 3 1 1 1 3 1 1 1 2"],
+  ["specificity","rd"],
+  ["specifier","1f4"],
+  ["specify","s0 z 7 6 2 d5 3 1c 1i 14 n 32 4o 4u af"],
+  ["spell","1ax 7p f"],
+  ["split","m7 1u 23"],
+  ["split_path","o1 1 1 1 1 1 1 1"],
+  ["sqr","6d 1o3"],
+  ["squar","181"],
+  ["src","v 48 3 7k 96 1c2 1 a 7"],
+  ["ss","5o 6 1hl 3a 7"],
+  ["st01","1aw"],
+  ["st02","1ax"],
+  ["st03","1ay 2r"],
+  ["stack","21 i j 3 1b 74 6e 1ae"],
+  ["stag","9g 5z 5i vi"],
+  ["standalon","169"],
+  ["standard","20 9 3d 2i 7 24 6 1c u 9 d 1p 18 1e 31 6 p 3 2u 47 aj 3 8 3 2 1 1 2 20 1s 6r 3 2 2 2 n 2t 5s t 90 a"],
+  ["standardiz","136 e 6 ar"],
+  ["standardization","13a 1 1 1 1 1 1 1 1 1 1 1 1 1"],
+  ["start","x 4x 5e bi 6 2i 4 2 4 1k z l w 2p nc 3a 1 3z 1d 62"],
+  ["start_vertex","1sc 3"],
+  ["starts_with","pe 1 1 1 1 1 1 1 1 1 1 1 1 1"],
+  ["stat","21 1 h j 3 63 o 9 7p 3d 1 3 2 1 br rd 9 26 3e 36"],
+  ["statement","7x vc 10 a0 hk"],
+  ["static","1id 1 1 1 a 1 1 1 1 1 1 1 7 1 1 6 1 1 a 1 1 1 1 1 e i 1 1 6 1 1 7 1 5 1"],
+  ["status","la 18z 1r 2r"],
+  ["std","so"],
+  ["stdf","1kz"],
+  ["stdin","b9 9j 6 11"],
+  ["stdlib","cm t5"],
+  ["stdout","b9 ak 6 7b 5 30 5 9 3 11a"],
+  ["ste01","1az"],
+  ["step","f0 r"],
+  ["still","139 f 3 3x dx"],
+  ["stitch","fk 2 2 j q"],
+  ["stop","l 7c eo qb"],
+  ["stopgap","138"],
+  ["stor","22 2z 3i f 2 5 s 1m 1j i3 tr h 25 2o"],
+  ["storag","4g eb u fo tb"],
+  ["str","oy 5 b 2 1 3 2 8 5 8 cf 2 4 3 86 2"],
+  ["str1","os"],
+  ["str2","ot"],
+  ["strategy","it t"],
+  ["straw","16n 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1"],
+  ["stream","84 a4 2x tg a9"],
+  ["streamlin","15j"],
+  ["strength","rb bu"],
+  ["strict","17n"],
+  ["strikethrough_on","eu"],
+  ["string","1n 3v 7 52 48 2o 2f d 1n 7 4 9 g 3 1 1 2 2 3 1 1 2 2 3 1 1 2 2 3 1 1 2 9 3 5 4 2 8 1 2 3 2 2 9 2 2 6 1 3 2 3 2 2 6 e g 2v 1k 9 b 7 14 3 1 1 2 4 3 1 1 2 2 3 1 1 2 2 3 1 1 2 2 3 1 1 2 2 2 1 1 5 1 1 1 2 2 4 1 1 2 2 1 1 2 1 2 2 2 1 1 2 2 1 1 2 1 2 2 2 1 2 1 1 3 2 1 3 2 1 2 3 1 2 1 2 2 2 1 1 3 1 1 1 2 4 7 3 3 2 4 2 1 3 1 2 2 1 1 2 2 1 2 2 1 4 5 2 82 2s k c b 15 6 3 1 7l l 15 2 k 1 n 2g 2 p 9 p 2 1 1 1 4 2 1 2 1 2 3 2 3 2 1 1 2 2 7 6 1 5 2 2 5 3 3 v 10"],
+  ["string_concat_character","10l 1 1 1 1 1"],
+  ["string_concat_string","10r 1 1 1 1 1"],
+  ["string_len","zh 1 1 1 1 1 1"],
+  ["string_len_trim","zy 1 1 1 1 1 1"],
+  ["string_trim","12f 1 1 1 1"],
+  ["stringify","l 1ex"],
+  ["stringiz","ek 8 e a 5 12 44 6w 1x d0 1 2 1 44 3 1 1 1 1 1 1 1 1 1 1 2k 1t 10 1 j t 1 1 1 1 1 1 1 1 1 1 1 1 1 1 2w 2 4 c g 2 c4"],
+  ["strings_contain_character","11r 1 1 1 1 1"],
+  ["strings_contain_string","11x 1 1 1 1 1"],
+  ["strip","c7 ro ul"],
+  ["strtol","12m 6 9 1"],
+  ["structur","4f 74 2k j c5 8 c8 4 1v md c q"],
+  ["studio","s6 1"],
+  ["styl","6 4q 5o 3i 3 o 1 b 2a 2 33 1 5 9 2 5c 4x o 7 79 1x 1s 1 a d 1e r 3 1 3m 1 1a 1 2b 3 1 1 6p y 41 4m"],
+  ["sub","e6 3f 5 h8 4 mw"],
+  ["subclaus","1n0 1"],
+  ["subexpression","1m0"],
+  ["subgroup","16t d"],
+  ["subject","1as ax 1 15 7 k 6"],
+  ["submit","1kl"],
+  ["submodul","13o 3"],
+  ["subroutin","k q6 d7 15 n"],
+  ["subroutine_foo","1gt 2"],
+  ["subsection","17y 12 h f 6 7t"],
+  ["subsequent","9g 40 f 15 h rk 3 d 1o u 2p 3w s 1 a 2e 4 4 3"],
+  ["subset","1eg 7h"],
+  ["substitut","8j 6y c 51 84 f8 2m h n"],
+  ["substitution","an 4t 1a 9 k 38 7w 24 j 7 9 8 3 4 3 ei 1 1 1 1 f"],
+  ["substr","pe 97 9 a"],
+  ["subsystem","lf"],
+  ["succeed","va o 7"],
+  ["success","mk g2 3 3 5 5 sy"],
+  ["successful","vk b 9 8 6d 8"],
+  ["such","48 3q 7 2a 2p 1u j de m 1 1a 4 8j g 1s 2e 6 30 2a w l 5 v 19 9 j 1h 2e 26"],
+  ["suffic","147 1l"],
+  ["sufficient","4n"],
+  ["suffix","s5"],
+  ["suit","1rj"],
+  ["suitabl","tw"],
+  ["supercomputer","13z r"],
+  ["superior","15b"],
+  ["supplementary","1t7"],
+  ["suppli","6s 73 60 oa f7 4"],
+  ["support","1r 2 6 3d l 1g x 18 p 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 18 l j c f a 4 1 v 8 k i 5 i h 7 w 20 3 8 w c 7 u 9 9 9 l 7 2s 17 r f a 3b b 9 9 9 8 1 l h h t 15 p r t 2d 3a 4c t b4 n k 5u 6"],
+  ["support_dollar_insert","an k"],
+  ["support_forloop","al m 1ft"],
+  ["surround","3l 2i 16a 1b 7w"],
+  ["sw_vers","jp"],
+  ["switch","a2 4c l 1 pl"],
+  ["symbol","64 v 6 2v 9 ia yg"],
+  ["synchronization","jl"],
+  ["syntax","65 3d 6u 1m b2 a8 3 4 23 17 e 1 c 3 3 43 2l 5 1 1 6 1b a 1 1 18 1 1 3 1 1 7 1 e d e 8 c t 8 8 9 6 3 5 j 7k d"],
+  ["system","c bm 4 j p 1s 3g a 6 5 8 3 3 2 4 2a 4 5a bu 2 s b 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 j k 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 rc 3 k"],
+  ["t","n 3d 4d 1 7 2 2 2 2 fs fo 1l 1o 1 1p h p 2 43 33 94"],
+  ["t07","ek"],
+  ["t1","qj ie 2"],
+  ["t2","qj ie 2"],
+  ["t3","qj"],
+  ["tab","ek 12h"],
+  ["tabl","2n 5 5 b 5 5 2m o a 3 3 t 7 15 d 19 1z 1u h x q 9 5 e cb 9 4 1 3 k 26 ou 56 7g"],
+  ["tail","m7 1u 7 1k 1 1 1 1"],
+  ["tailor","13d m ae"],
+  ["take","f0 dp hd 4i 3d 23 3l"],
+  ["taken","2k r1"],
+  ["target","7y bj kp m 9l 1n 7h"],
+  ["task","5g xr 2 8d 2"],
+  ["tedious","137"],
+  ["temp","fo 72 5 1"],
+  ["templat","b7 24 sj"],
+  ["temporari","8j"],
+  ["temporary","4t 41 e 9 1ku"],
+  ["tendency","rc"],
+  ["term","1ej"],
+  ["terminal","e7 k 2x k"],
+  ["terminat","1y 5g j 1b 7k r8"],
+  ["terminology","1gf"],
+  ["test","0 1v 1 t 5 g 5 c7 76 6 29 9 b c f 19 5 u 87 1 57 1"],
+  ["test123","pr"],
+  ["text","7g 6r i x 26 cc 6 4o 49 b4 15 8 r 6 1 4 m 1 28 41 2 1 2 5a d 2 9 3 f l 4 6"],
+  ["textual","1gk"],
+  ["than","5g 3g ud 1j 2v i 1g 4n 4l 4i 26"],
+  ["thank","sv"],
+  ["their","136 1 2 f 3 dg 4t"],
+  ["them","138 7 43 7 qb"],
+  ["themselv","bn wg"],
+  ["then","l ba r 5g 2 z 4 u 4k 52 1 1n bs e o b r 3 b 3 3 m 8 7 6 b m 1 10 7d 1 4 1c 13 2"],
+  ["ther","13a bu x 1f 13 38 9m"],
+  ["therefor","21 6t 48 6j"],
+  ["thereof","1gh 8"],
+  ["thes","3q 3m 5c dp z 1j 3 a9 2 1j 27 c 6y 1 2 7 1f h 12 2 e 2h"],
+  ["they","13j q 3l r 27 3h c i 2k 28 1 55"],
+  ["thin","mh"],
+  ["third","1je 2 3d"],
+  ["thos","13z q j 2b 7j 6 1h x 2p 1m 1e 3l 26"],
+  ["though","136 3 20"],
+  ["thre","197 3 e 3 m 8 5w"],
+  ["thread","a6 9e 1 17s"],
+  ["threadprivat","ir u"],
+  ["through","5k j 2 40 4 1d j 38 f 1d 1n 39 6u xf 1 7f"],
+  ["throughout","3m 3 16 52 6j 22 14j 1u 24 6c c"],
+  ["thus","182 1"],
+  ["tied","1ea"],
+  ["time","3p 5 1h 1 5 2 3 2o 2f 4b os 25 hh 2 1x 4 r 14 5z 2 3"],
+  ["timestamp","5t ah"],
+  ["tip","sy l0"],
+  ["titl","ek 8"],
+  ["tmp","ml 6w 1"],
+  ["to01","1hm"],
+  ["to03","1hn"],
+  ["to09","1ho"],
+  ["to11","1hp"],
+  ["to_string","5k 4 2 2 2 1jm 1g"],
+  ["today","13o 1 1 1 31 7o"],
+  ["together","21 3b xv 9h ev 2n"],
+  ["toggl","m 139 7"],
+  ["token","1o 10 5 5 b 5 5 19 1 2a 6 t 7 l k d 38 10 a x a 2 5 r a f k 3 1 h 3 1 1 2e 5h 1 2 1 6 1 1 1 1 2 2 1 1 1 2 3 1 3 1 c1 4t 6 3 2 8 1k 1 p 2 1 1 2 1 c j 3 1 g 1 1 1 1 1 1 1 1 1 1 1 1 1z 1 1 1 r 1 1 1 1 1 1 1 d 2 2 3 v 2 1 6 3 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 3 2 f 4 4 6 3 4 c 3 2 7 j 1 9 3 1 c 2 1 2 6 4 2 d 2 2f 8p 2 1 1 5 2 1 k"],
+  ["tokeniz","hw 1 a 8h 1 1 1 8 1 1 1 1 47 o 7 lh"],
+  ["tokenization","3v x cv ys"],
+  ["tokenizer","hn"],
+  ["tokens_enum","qb n"],
+  ["toml","ek 8"],
+  ["too","1ea"],
+  ["tool","dc dz 2 1z 9t 1 1 2 1 7 4 3 1 1 1 23 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 rz"],
+  ["top","32 ed 9 k 36 9h 2a 7k sz"],
+  ["topic","1x9"],
+  ["total","16z c"],
+  ["toward","4r yy 2"],
+  ["toy","tj"],
+  ["tp01","1cd"],
+  ["tp02","1ce"],
+  ["tp03","1cf"],
+  ["tp07","1cg"],
+  ["tpe01","1ch"],
+  ["track","6y"],
+  ["traction","13o 23"],
+  ["tradition","13q"],
+  ["traditional","1s 8e"],
+  ["trail","am di 3 17 8 9n h 8 25 2 7 3 4q 2g"],
+  ["transform","d6"],
+  ["transformation","1jv 1"],
+  ["translat","1nr"],
+  ["translation","1hf 3 5s 2 2 2 b 1 1 1 1 1 1 1 1"],
+  ["translator","d8"],
+  ["travers","3l"],
+  ["traversal","bj 1gt"],
+  ["treat","qx hb w 1o h 3h b 1 1 d 1o"],
+  ["tree","hy"],
+  ["tri","tg"],
+  ["trick","l sd l0"],
+  ["trilino","168"],
+  ["trim","oe i i 4 2 5 9z g 20 4 2 9"],
+  ["true","20 z bl 1o 81 qs 6u 2h d 92"],
+  ["truth","1lt"],
+  ["try","sy"],
+  ["tt","1qr"],
+  ["tue","j 1pt"],
+  ["tuesday","1qd"],
+  ["tun","rd"],
+  ["turn","1kb"],
+  ["tweak","137"],
+  ["two","22 dd c 1v j5 6q 4d k 44 23 1 f d 2 62 6u"],
+  ["typ","17o"],
+  ["type","n 4 44 b 6 c 2 2 2 2r 2 2 4 20 y 2 3r 3z j 20 7 20 c 2 1p 1 6 5 a 7o a 2 2 2 6 4 2 7 4 4 2 7 a s 2 4 u 4 2 z a 8 14 1 r 2 1s 52 3y 82 3 6 3 2 5 2 7 3 2 1 5 5 2 a v 4 c 6 3 1p 2 7 4 9 e 2 2 3 6 d 1 3 4 4 7 7 1 i l 4 3 3 l 9 i"],
+  ["typical","73 6 t 7 1k 1l 3 2i co d5 l4 2 9b"],
+  ["u","sc i2 2"],
+  ["u_openmp","1y4"],
+  ["ud02","1j5"],
+  ["ud04","1j6"],
+  ["ud20","1j8"],
+  ["ud22","1j9"],
+  ["udtio","1vt d"],
+  ["unallocat","zd h 2f"],
+  ["unam","k1 1e3"],
+  ["unanimous","16t d"],
+  ["unary","hl y8 6s 1 1 1"],
+  ["unbound","4n"],
+  ["unchang","dw tt 7z"],
+  ["undecid","16y c"],
+  ["undef","79 30 18t 1 2a c 16"],
+  ["undefin","53 5 n4 mq j2"],
+  ["under","mh 6f 1 r 5l gr 5l 1w"],
+  ["underlin","e2"],
+  ["underline_on","eu"],
+  ["underscor","1mv 3"],
+  ["undetect","je"],
+  ["uneven","136"],
+  ["unexpect","e9"],
+  ["unfortunat","1ee"],
+  ["unfriend","17j"],
+  ["uniqu","14d"],
+  ["unit","9b 3i 3 7x 5 z 49 1q 30 1 1k 1 6 2 3 4 3 1 2 5 1 pm 6 9 4 d 4 77 v 2u"],
+  ["unix","jn 8 26 d c 5 13e 7h"],
+  ["unknown","je 7h 3"],
+  ["unless","67 1ce g 2z 10"],
+  ["unlik","bh ru 6p 9l 42"],
+  ["unmatch","32"],
+  ["unrecogniz","qv"],
+  ["unrecognizabl","1hg"],
+  ["unrecoverabl","7y"],
+  ["unstandardiz","13o"],
+  ["unsupport","7c 7 f"],
+  ["until","8h h i y3 1j h 71 3r"],
+  ["untouch","h3"],
+  ["untrim","pp"],
+  ["unusual","7p g"],
+  ["up","1z 1z t7 c0 5g 4z"],
+  ["upcom","13o 3 dt"],
+  ["updat","59 n w a 6 68 b 7 4f 6v hf"],
+  ["upgrad","17j"],
+  ["upon","m2 js"],
+  ["upper","og 1h 4"],
+  ["uppercas","op 18 1 1 1 1 1 1 ws 3"],
+  ["us","1q9"],
+  ["us10","16j"],
+  ["usability","oj"],
+  ["usag","bu cq 23 8e a h 1f 10 bp bh 8g 1 2 1 1 1 1"],
+  ["use","m 3 6 1g 2 2a 64 6 n 3 28 g 18 2i 7 j 36 3h 15 1c v 9 7 3 2 1 4 7o 25 a 8 2 2 b 5 e 5 8 7 4 e 5 1m 6u 1 1 2 s e 1 b 1k 1 d 41 53 d h 4a 4 24 4 b"],
+  ["use_3","1gt 2"],
+  ["use_cuda","2f"],
+  ["use_legacy_solver","7o"],
+  ["use_mpi","m 1r 3y k2 b dd uf"],
+  ["use_openmp","2f"],
+  ["used","1s 1u 3 6 a 1 a d 1 1 g l 1g z 1i 4 7 1b 1 1l f j b j 1n z 9 u 10 6r 4 10 t 2 16 1e 1q 6p 8 9 3 u q q m g v 6b 1 5 h 5l 6i 23 2r 6 1c 1 1 5 5 1"],
+  ["useful","d7 6o g k 83 li 3 ji 1 1 1 1 1 1 1"],
+  ["user","51 2a 1 d 2a 1z 3 3f a 2 n o 15 23 23 2 f 6c eh 6l 8 60 6h 4v"],
+  ["using","o 1 1 1 1 1 1 1 1 1 1 w e 4 2 r 22 a 4 1b 2 z p 20 1l c 2 2 4 2k i 1m 1c d h 8d 4 6 b 6 m e 3l 6p 27 1j 7g 6o 4f o n t f f 1 2m 1 1u 7 f 1"],
+  ["usr","ar 1x 71 3k 9 9 9 9i b 9 9 9 zw"],
+  ["usual","2o 5 5 b 5 5 9g 11e"],
+  ["util","56 7k"],
+  ["utility","5b 64 rv u3 5"],
+  ["v","0 cq fq hy 2 nr"],
+  ["v_list","1vz 4 5"],
+  ["va","1as y 2 1 1 1 1"],
+  ["val","sb 32 5 4 6 a 8 ce lv 3 a"],
+  ["valid","ic u1 3b 4j 1l 1k 4 4n"],
+  ["validat","dr"],
+  ["valu","2 l 33 1 f h 6 15 2d 8 2 2 2 4 9 1 e 1w 31 l 1 m 24 a 6 b n d 4 h 6a 7 2 3 6 4 1c 1 1y 12 3y 1 b 5 1 b v d 2 1f 8 q 1 1p 6 33 4 5h s 2 55 1 1 1 1 1 1 1f 2 w 1 1 8 a h 6k b 15 7 x 4 2 10 1"],
+  ["value1","9j"],
+  ["value2","9j"],
+  ["var","l 183 3v"],
+  ["var_123","l"],
+  ["var_name_","fo"],
+  ["var_name_42","fo"],
+  ["vari","137"],
+  ["variabl","8i 1 b 8 2 d 2l a 4 6c 4 1 k 6 1 4l 3t g3 32 2 m 1 2d 4o cw 1y"],
+  ["variadic","6 f 46 19 3 b 1 h 88 1 b 5 1 y 1 1 40 9 6q gj 1 2n e 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 1 3b 1 5z 8n k"],
+  ["variation","14h 9r"],
+  ["various","x 2t n9 1t 3l hv 9j an"],
+  ["vary","13p"],
+  ["vax","138"],
+  ["vdefin","qo"],
+  ["ve","tg"],
+  ["vendor","13k cg 7h"],
+  ["venerabl","rb"],
+  ["verbatim","8y"],
+  ["verbos","29 ag 1l 1 1 1 1 m ov 1o"],
+  ["version","0 v 5e cu 62 w 1r o eq 72 hy 21 9"],
+  ["vertex","1rj k 3 1 4 4"],
+  ["vertic","bi 3 1fw 1 5 2 3 1 4"],
+  ["very","17j"],
+  ["via","a0 26 32 2g 2 6l r5 86"],
+  ["view","ra c9"],
+  ["virtual","137"],
+  ["visibl","fq 10a 7h"],
+  ["vision","136"],
+  ["visual","ey d8 1"],
+  ["vital","14q"],
+  ["vm01","1b7"],
+  ["vm03","1b8"],
+  ["vm05","1b9 m 1"],
+  ["vme01","1ba"],
+  ["vo01","1bs"],
+  ["vo03","1bt"],
+  ["vo05","1bu"],
+  ["vo07","1bv"],
+  ["vo09","1bw"],
+  ["voe01","1bx"],
+  ["vote","16v 1 1 1 a 1 1"],
+  ["vs","13u 5"],
+  ["w","1ae 2"],
+  ["want","t9"],
+  ["warn","4v 2a i m 5a d 4 4 bl jq 14 t 6 2 8v 1 1 bp 1f"],
+  ["way","m1 h9 a7 r f 6v 2i 9q"],
+  ["we","mp rv 1 1d 1k e 1 3l i"],
+  ["weather","rb bu"],
+  ["wed","1qc"],
+  ["week","5l"],
+  ["well","is 8y zt"],
+  ["were","137 e 32 7 d 3l 2p ii"],
+  ["wg","1ee"],
+  ["wg5","16j"],
+  ["what","oh 4e ax i j j j pi 2k"],
+  ["when","1x 29 y 3 3c d 6 6 n 2u r r 2l z 1q 1 1a 1y 1h c 16 k 1x bf 1q 2j 6 6 z 2p 1u 2u p 2q 5 9 1 1 1 16 5 1 5 31 3o 39"],
+  ["whenever","4g"],
+  ["wher","4w 4o 3c 4s 37 8e 21 o 7 82 s s 1 j 2t a h m 8 3w 1q 1i t 11 3o 4 1g 4g"],
+  ["whether","1v 6 2 1 1g 2 67 j 1d 5f p j4 i 6 6 6 j4 3n 1 3j 3"],
+  ["whil","1s d 2i z 1t 7j d 7 28 8 2x 3e 8 5j 36 6j 2 i 16 sc"],
+  ["whit","ev w2 7p"],
+  ["whitespac","63 bk 7r 8 15 8 i6 38 4n 1 1 1 1 1 1 1 18 1 b 5"],
+  ["who","17o"],
+  ["whol","rw"],
+  ["whole_number","1hs 2w 2 1 2 w 2 1f d"],
+  ["whole_numbers","1ls"],
+  ["whos","8j y 1au 2o 1 15"],
+  ["why","148 j j j h"],
+  ["wide","137 h 3"],
+  ["wider","17n"],
+  ["widespread","146"],
+  ["width","1w8"],
+  ["will","ck 2 2 cu 6 37 3 c 5 9 dd 3 e 7 6r 2 3 l a m 3 3 1o 3l 1 3 6 4 1x"],
+  ["window","im m 7 1 1 7 6 1 4 22 e b 5 1 4x 1 d w l 142"],
+  ["within","24 p7 bu 3y 1 x 1 5 1 d f 3 1 d 3 c 12 u 4 1m 4 1 l 1 p 4u 1 5 b 1 2 2j b 1o d 3v"],
+  ["without","84 u 8p b 91 3x 52 2e 15 m 26 v 76 3d 42 66 5y"],
+  ["word","on"],
+  ["work","c3 a 4 6c 38 7 2 3 4 5 2 52 5 1o d0 16 q1"],
+  ["workaround","13l"],
+  ["worker","x5"],
+  ["workflow","ey qd"],
+  ["workhors","138"],
+  ["world","ol 16 3t 14p"],
+  ["would","bp rx ao ci 1"],
+  ["wp","14n b"],
+  ["wrap","1v2"],
+  ["wrapper","jv 2m 8p"],
+  ["wrf","13o i 22"],
+  ["writ","0 84 br 20 2k 1p 3 6d 2 7 4 3 1 4 63 2 10 bq 7h 8c 1 h 1o s"],
+  ["write_formatted","1wb"],
+  ["write_hdf5_file","162"],
+  ["writechk","q4 1 1 1"],
+  ["written","8w 40 eb 6 si 1 by 2 9 1p"],
+  ["ws01","1h1"],
+  ["ws02","1h2"],
+  ["ws03","1h3"],
+  ["ws05","1h4"],
+  ["ws07","1h5"],
+  ["ws09","1h6"],
+  ["ws11","1h7"],
+  ["wsl","it"],
+  ["x","4 h 4l 17 8 72 1x 2 1y 3a 16 fa 1j 14 4l d 26 1y 2 2 3 6 h4 3t"],
+  ["x86","jg 1"],
+  ["x86_64","rt 1"],
+  ["xy","yw"],
+  ["y","5 16e 1z d 44 1f 1z 5o 4r"],
+  ["yard","hy"],
+  ["year","1pt 2 x 1 1 1"],
+  ["yellow","ev"],
+  ["yet","o9 32 bu um"],
+  ["yield","ht 14y 1"],
+  ["you","rp i o 1 3 7 3 2 1 7 3 bn sm f 1"],
+  ["your","o 1 1 1 1 1 1 1 1 1 1 ra n 1 r 14n 1"],
+  ["youwrit","tn"],
+  ["yy","1qt"],
+  ["yyy","1qu"],
+  ["yyyy","5o 2 1hl 25 1f 1"],
+  ["z0","1hr 56"],
+  ["z_","1hr 56"],
+  ["za","1hr 56"],
+  ["zeller","5l"],
+  ["zero","mk 8q a b 3 6 1 7 2i a 6 h 9u 5g 1 1p 2w n 1 2 1 c 14 1 w 2 3q 2 4 3 1 5c"],
+  ["||","hn 2 98 2 i l7 33"]
+];
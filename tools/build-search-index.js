@@ -0,0 +1,481 @@
+#!/usr/bin/env node
+// build-search-index.js - Builds the ranked search index used by fpx-search.js
+//
+// Usage: node tools/build-search-index.js [docs folder]
+//
+// Reads the doxygen search buckets (docs/search/<section>_<hex>.js) to know every
+// searchable entry and its category, then enriches each entry with its title, kind,
+// brief description and declaration taken from the generated html pages, the file
+// declaring it and its group. The result is written to docs/search/searchindex.js.
+//
+// The text of the pages listed by doxygen_crawl.html (paragraphs, list items, table
+// rows and code fragments) is written to docs/search/fulltext.js, one passage per
+// block, together with the closest anchor preceding it. docs/search/terms.js is the
+// inverted index of those passages, from the stemmed terms of fpx-search-terms.js
+// (synonyms included) to the passages containing them.
+
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+const { fpxIndexTerms } = require("../.dox/config/fpx-search-terms.js");
+
+const docsDir = path.resolve(process.argv[2] || path.join(__dirname, "..", "docs"));
+const searchDir = path.join(docsDir, "search");
+const outputFile = path.join(searchDir, "searchindex.js");
+const fullTextFile = path.join(searchDir, "fulltext.js");
+const termsFile = path.join(searchDir, "terms.js");
+const crawlFile = path.join(docsDir, "doxygen_crawl.html");
+
+const BRIEF_MAX_LENGTH = 200;
+const SIGNATURE_MAX_LENGTH = 400;
+const PASSAGE_MAX_LENGTH = 600;
+const PASSAGE_MIN_LENGTH = 3;
+
+// Kinds of the entries documented with a prototype, the others have no signature
+const MEMBER_KINDS = new Set(["function", "subroutine", "procedure", "variable", "type"]);
+
+// Pages whose text is not worth indexing: source listings, member lists,
+// directory listings, doxygen's own helper pages and the search results page
+
+const FULLTEXT_EXCLUDE = /(_source|-members)\.html$|^(dir_|doxygen_crawl|search\.html)/;
+
+const ENTITIES = {
+  amp: "&",
+  lt: "<",
+  gt: ">",
+  quot: "\"",
+  apos: "'",
+  nbsp: " "
+};
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, code) => {
+    if (code[0] === "#") {
+      const value = code[1] === "x" || code[1] === "X"
+        ? parseInt(code.substring(2), 16)
+        : parseInt(code.substring(1), 10);
+      return value === 160 ? " " : String.fromCodePoint(value);
+    }
+    return ENTITIES[code.toLowerCase()] ?? match;
+  });
+}
+
+function htmlToText(html) {
+  return decodeEntities(html.replace(/<[^>]*>/g, ""))
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+function truncate(text, length) {
+  if (text.length <= length) return text;
+
+  const cut = text.lastIndexOf(" ", length);
+  return text.substring(0, cut > 0 ? cut : length) + "...";
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+function loadSearchData(file) {
+  const context = {};
+  vm.runInNewContext(fs.readFileSync(file, "utf8") + ";this.searchData = searchData;", context);
+  return context.searchData || [];
+}
+
+function loadSections() {
+  const context = {};
+  vm.runInNewContext(
+    fs.readFileSync(path.join(searchDir, "searchdata.js"), "utf8") +
+    ";this.names = indexSectionNames; this.contents = indexSectionsWithContent;",
+    context
+  );
+  return context;
+}
+
+// Page cache, each html file is read at most once
+const pages = new Map();
+
+function readPage(file) {
+  if (!pages.has(file)) {
+    const fullPath = path.join(docsDir, file);
+    pages.set(file, fs.existsSync(fullPath) ? fs.readFileSync(fullPath, "utf8") : "");
+  }
+  return pages.get(file);
+}
+
+function pageTitle(html) {
+  const match = html.match(/<div class="title">([\s\S]*?)(?:<div|<\/div>)/);
+  return match ? htmlToText(match[1]) : "";
+}
+
+// Position right after the heading (or member title) that owns the anchor
+function anchorPosition(html, anchor) {
+  let start;
+  if (anchor) {
+    start = html.search(new RegExp(`id="${escapeRegExp(anchor)}"`));
+  } else {
+    start = html.indexOf("<div class=\"contents\">");
+  }
+  if (start < 0) return -1;
+
+  const heading = html.substring(start, start + 600).match(/^[\s\S]*?<\/h[1-6]>/);
+  return heading ? start + heading[0].length : start;
+}
+
+function headingText(html, anchor) {
+  const match = html.match(new RegExp(`id="${escapeRegExp(anchor)}"[^>]*>(?:</a>)?([\\s\\S]*?)</h[1-6]>`));
+  return match ? htmlToText(match[1]) : "";
+}
+
+// Members documented only in the declaration tables have no member title,
+// just a "memitem:<anchor>" row followed by a "memdesc:<anchor>" row.
+function declarationRow(html, anchor, kind) {
+  const match = html.match(new RegExp(`<tr class="${kind}:${escapeRegExp(anchor)}"[\\s\\S]*?</tr>`));
+  return match ? match[0] : "";
+}
+
+function descriptionText(cell) {
+  return truncate(htmlToText(cell.replace(/<a href="[^"]*#details">More...<\/a>/, "")), BRIEF_MAX_LENGTH);
+}
+
+function briefAt(html, anchor) {
+  const start = anchorPosition(html, anchor);
+  if (start < 0) {
+    const row = anchor ? declarationRow(html, anchor, "memdesc") : "";
+    const description = row.match(/<td class="mdescRight">([\s\S]*?)<\/td>/);
+    return description ? descriptionText(description[1]) : "";
+  }
+
+  let body = html.substring(start);
+  const next = body.search(/<h[1-6][\s>]/);
+  if (next >= 0) body = body.substring(0, next);
+
+  const paragraph = body.match(/<p>([\s\S]*?)<\/p>/);
+  return paragraph ? truncate(htmlToText(paragraph[1]), BRIEF_MAX_LENGTH) : "";
+}
+
+function memberKind(html, anchor) {
+  const start = anchorPosition(html, anchor);
+  let declaration;
+  if (start < 0) {
+    const row = declarationRow(html, anchor, "memitem");
+    const left = row.match(/<td class="memItemLeft">([\s\S]*?)<\/td>/);
+    if (!left) return "";
+    declaration = htmlToText(left[1]);
+  } else {
+    const proto = html.substring(start, start + 2000).match(/<td class="memname">([\s\S]*?)<\/td>/);
+    if (!proto) return "";
+    declaration = htmlToText(proto[1]);
+  }
+
+  // "type(datetime) function" is a function, so test the kinds by priority
+  const kind = ["function", "subroutine", "procedure", "interface", "type", "module"]
+    .find((k) => new RegExp(`\\b${k}\\b`).test(declaration));
+  return kind || "variable";
+}
+
+// Declaration of a member on one line, from its prototype or its declaration
+// row, e.g. "subroutine add_item_from_name(type(macro), ..., character(*), intent(in) name)"
+function signatureAt(html, anchor) {
+  const start = anchorPosition(html, anchor);
+  let declaration;
+  if (start < 0) {
+    const row = declarationRow(html, anchor, "memitem");
+    if (!row) return "";
+    declaration = row;
+  } else {
+    const proto = html.substring(start, start + 4000)
+      .match(/^\s*<div class="memitem">\s*<div class="memproto">[\s\S]*?(<table class="memname">[\s\S]*?<\/table>)/);
+    if (!proto) return "";
+    declaration = proto[1];
+  }
+
+  const text = htmlToText(declaration.replace(/<\/td>/g, " </td>"))
+    .replace(/\s*\(\s*/g, "(")
+    .replace(/\s+([,)])/g, "$1");
+  return truncate(text, SIGNATURE_MAX_LENGTH);
+}
+
+function entryKind(file, anchor, section, html) {
+  if (section === "groups") return "module";
+  if (section === "files") return "file";
+  if (section === "pages") return anchor ? "section" : "page";
+  if (!anchor) {
+    if (file.startsWith("interface")) return "interface";
+    if (file.startsWith("struct")) return "type";
+    return "page";
+  }
+  return memberKind(html, anchor) || "variable";
+}
+
+// Strips the symbol itself from doxygen's scope string, e.g.
+// "fpx_macro::expand_macros()" -> "fpx_macro"
+function containerScope(scope, name) {
+  const parts = scope.split("::");
+  const last = parts[parts.length - 1].replace(/\(\)$/, "");
+  if (parts.length > 1 && last === name) parts.pop();
+  else if (parts.length === 1 && last === name) return "";
+  return parts.join("::");
+}
+
+function collectEntries() {
+  const sections = loadSections();
+  const entries = new Map();
+
+  for (const key of Object.keys(sections.names)) {
+    const section = sections.names[key];
+    const buckets = sections.contents[key].length;
+
+    for (let i = 0; i < buckets; i++) {
+      const file = path.join(searchDir, `${section}_${i.toString(16)}.js`);
+      if (!fs.existsSync(file)) continue;
+
+      loadSearchData(file).forEach((elem) => {
+        const name = decodeEntities(elem[1][0]);
+
+        elem[1].slice(1).forEach((result) => {
+          const url = result[0].replace(/^\.\.\//, "");
+          // the search results page is not something to find
+          if (pageOf(url) === "search.html") return;
+          const entry = entries.get(url) || { url: url, name: name, scope: decodeEntities(result[2]), category: 0 };
+
+          if (section !== "all") {
+            entry.category = Number(key);
+            entry.section = section;
+          }
+          entries.set(url, entry);
+        });
+      });
+    }
+  }
+  return entries;
+}
+
+function pageOf(url) {
+  return url.split("#")[0];
+}
+
+// Maps the url of every symbol to the file declaring it, read from the
+// declaration tables of the file pages (e.g. macro_8f90.html)
+function fileMembers(entries) {
+  const files = new Map();
+
+  entries.forEach((entry) => {
+    if (entry.section !== "files" || entry.url.includes("#")) return;
+
+    const tables = readPage(entry.url).match(/<table class="memberdecls">[\s\S]*?<\/table>/g) || [];
+    tables.forEach((table) => {
+      for (const link of table.matchAll(/<a class="el" href="([^"]+)"/g)) {
+        if (!link[1].endsWith("#details") && !files.has(link[1])) files.set(link[1], entry.name);
+      }
+    });
+    files.set(entry.url, entry.name);
+  });
+  return files;
+}
+
+// Maps the anchor of every member to the short description of the declaration
+// tables of the group and file pages ("memdesc:<anchor>" rows), which is the
+// one sentence brief even when the member documentation starts with details
+function memberDescriptions(entries) {
+  const descriptions = new Map();
+
+  entries.forEach((entry) => {
+    if ((entry.section !== "groups" && entry.section !== "files") || entry.url.includes("#")) return;
+
+    const rows = readPage(entry.url).matchAll(/<tr class="memdesc:([^"]+)">[\s\S]*?<td class="mdescRight">([\s\S]*?)<\/td>/g);
+    for (const row of rows) {
+      if (!descriptions.has(row[1])) descriptions.set(row[1], descriptionText(row[2]));
+    }
+  });
+  return descriptions;
+}
+
+// Maps the url of every symbol to the title of its group, from the topics
+// tree of the navigation (topics.js and the group__*.js subtrees)
+function groupMembers() {
+  const groups = new Map();
+  const load = (name) => {
+    const file = path.join(docsDir, `${name}.js`);
+    if (!fs.existsSync(file)) return [];
+
+    const context = {};
+    vm.runInNewContext(fs.readFileSync(file, "utf8") + `;this.tree = ${name};`, context);
+    return context.tree || [];
+  };
+  const visit = (nodes, group) => {
+    nodes.forEach(([name, url, children]) => {
+      if (url && !groups.has(url)) groups.set(url, group);
+      if (Array.isArray(children)) visit(children, group);
+    });
+  };
+
+  load("topics").forEach(([title, url, children]) => {
+    groups.set(url, title);
+    visit(typeof children === "string" ? load(children) : children || [], title);
+  });
+  return groups;
+}
+
+function buildIndex() {
+  const index = [];
+  const entries = collectEntries();
+  const files = fileMembers(entries);
+  const groups = groupMembers();
+  const descriptions = memberDescriptions(entries);
+
+  entries.forEach((entry) => {
+    const [file, anchor] = entry.url.split("#");
+    const html = readPage(file);
+    const kind = entryKind(file, anchor, entry.section, html);
+
+    let name = entry.name;
+    let scope = containerScope(entry.scope, entry.name);
+    if (kind === "page") {
+      name = pageTitle(html) || name;
+      scope = "";
+    } else if (kind === "section") {
+      name = headingText(html, anchor) || name;
+      scope = pageTitle(html);
+    }
+
+    const fileName = files.get(entry.url) || files.get(file) || "";
+    const group = groups.get(entry.url) || groups.get(file) || "";
+    const brief = (anchor && descriptions.get(anchor)) || briefAt(html, anchor);
+    const signature = anchor && MEMBER_KINDS.has(kind) ? signatureAt(html, anchor) : "";
+    index.push([name, entry.url, entry.category, kind, scope, brief, fileName, group, signature]);
+  });
+
+  // Members documented on the file page only (e.g. "now" in date_8f90.html) take
+  // the group of the other symbols of their module
+  const moduleGroups = new Map();
+  index.forEach((row) => {
+    if (row[7] && row[4]) moduleGroups.set(row[4].split("::")[0], row[7]);
+  });
+  index.forEach((row) => {
+    if (!row[7] && row[4]) row[7] = moduleGroups.get(row[4].split("::")[0]) || "";
+  });
+
+  return index.sort((a, b) => a[0].localeCompare(b[0]) || a[1].localeCompare(b[1]));
+}
+
+function sectionTitle(html, anchor) {
+  if (!anchor) return pageTitle(html);
+
+  const title = headingText(html, anchor).replace(/^\u25c6\s*/, "");
+  return title || pageTitle(html);
+}
+
+// Splits the contents of a page into text passages, one per block. Anchors are
+// replaced by markers so that each passage knows the section it belongs to.
+function pagePassages(html) {
+  const begin = html.indexOf("<div class=\"contents\">");
+  const end = html.indexOf("<!-- contents -->");
+  if (begin < 0) return [];
+
+  // Signatures and declaration tables are left out, the symbols they describe
+  // are already part of searchindex.js
+  const contents = html.substring(begin, end > begin ? end : html.length)
+    .replace(/\s+/g, " ")
+    .replace(/<table class="(memname|memberdecls)">[\s\S]*?<\/table>/g, "")
+    .replace(/<p class="definition">[\s\S]*?<\/p>/g, "")
+    .replace(/<a href="[^"]*#details">More...<\/a>/g, "")
+    .replace(/<div class="fragment">([\s\S]*?)<\/div><!-- fragment -->/g,
+      (match, lines) => "<p>" + lines.replace(/<div class="line">/g, " ").replace(/<\/div>/g, "") + "</p>")
+    .replace(/<\/t[dh]>/g, " ")
+    .replace(/<a\b[^>]*\bid="([^"]+)"[^>]*>/g, (match, id) => id.startsWith("md__") ? "" : `\n\u0001${id}\n`)
+    .replace(/<\/?(p|li|ul|ol|tr|div|dl|dt|dd|h[1-6]|table|blockquote|center|br|hr)\b[^>]*>/g, "\n");
+
+  const passages = [];
+  let anchor = "";
+  let title = pageTitle(html);
+  contents.split("\n").forEach((line) => {
+    if (line.startsWith("\u0001")) {
+      anchor = line.substring(1);
+      title = sectionTitle(html, anchor);
+      return;
+    }
+
+    const text = htmlToText(line).replace(/^\u25c6\s*/, "");
+    // headings are already part of searchindex.js
+    if (text.length < PASSAGE_MIN_LENGTH || text === title) return;
+
+    passages.push({ anchor: anchor, title: title, text: truncate(text, PASSAGE_MAX_LENGTH) });
+  });
+  return passages;
+}
+
+// Pages listed by doxygen_crawl.html, every html file of the folder without it
+function crawlPages() {
+  let files;
+  if (fs.existsSync(crawlFile)) {
+    const links = fs.readFileSync(crawlFile, "utf8").matchAll(/<a href="([^"#]+)/g);
+    files = Array.from(new Set(Array.from(links, (link) => link[1])));
+  } else {
+    files = fs.readdirSync(docsDir).filter((file) => file.endsWith(".html"));
+  }
+
+  return files
+    .filter((file) => !FULLTEXT_EXCLUDE.test(file) && fs.existsSync(path.join(docsDir, file)))
+    .sort();
+}
+
+function buildFullText() {
+  const fullText = [];
+
+  crawlPages()
+    .forEach((file) => {
+      const html = readPage(file);
+      const page = pageTitle(html);
+
+      pagePassages(html).forEach((passage) => {
+        const url = passage.anchor ? `${file}#${passage.anchor}` : file;
+        fullText.push([url, passage.title, page, passage.text]);
+      });
+    });
+
+  return fullText;
+}
+
+// Inverted index of the passages: each term with the ids of the passages
+// containing it, as the base 36 differences between consecutive ids
+// ("0 5 a" is passages 0, 5 and 15)
+function buildTerms(fullText) {
+  const terms = new Map();
+
+  fullText.forEach(([url, section, page, text], id) => {
+    fpxIndexTerms(section + " " + text).forEach((term) => {
+      if (!terms.has(term)) terms.set(term, []);
+      terms.get(term).push(id);
+    });
+  });
+
+  return Array.from(terms.keys()).sort().map((term) => {
+    const ids = terms.get(term);
+    return [term, ids.map((id, i) => (i === 0 ? id : id - ids[i - 1]).toString(36)).join(" ")];
+  });
+}
+
+function writeData(file, variable, legend, rows) {
+  const lines = rows.map((row) => "  " + JSON.stringify(row));
+  const content =
+    "// Generated by tools/build-search-index.js, do not edit\n" +
+    `// ${legend}\n` +
+    `var ${variable} =\n[\n` + lines.join(",\n") + "\n];\n";
+
+  fs.writeFileSync(file, content, "utf8");
+  console.log(`Wrote ${rows.length} entries to ${path.relative(process.cwd(), file)}`);
+}
+
+if (!fs.existsSync(path.join(searchDir, "searchdata.js"))) {
+  console.error(`No doxygen search data found in ${searchDir}`);
+  process.exit(1);
+}
+
+writeData(outputFile, "searchIndexData", "[name, url, category, kind, scope, brief, file, group, signature]", buildIndex());
+const fullText = buildFullText();
+writeData(fullTextFile, "searchFullTextData", "[url, section, page, text]", fullText);
+writeData(termsFile, "searchTermsData", "[term, passages]", buildTerms(fullText));